@@ -631,11 +631,11 @@ export async function manageUpserts(token, options = {}) {
 
 // Allow running directly from command line
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
-    const token = process.argv[2];
+    const token = process.argv[2] || process.env.CHATGENIUS_API_TOKEN;
     const debugLevel = process.argv[3]?.toUpperCase() || 'INFO';
 
     if (!token) {
-        logger.error('Please provide an authentication token');
+        logger.error('Please provide an API token with the rag:admin scope (argument or CHATGENIUS_API_TOKEN); create one with POST /api/tokens');
         process.exit(1);
     }
 
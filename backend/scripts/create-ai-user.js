@@ -50,7 +50,8 @@ async function createAIUser() {
                 avatar_url: '/ai-avatar.png', // Default AI avatar
                 password_hash: generatePasswordHash(),
                 status: 'online', // AI is always online
-                type: 'ai' // Custom type for AI user
+                type: 'ai', // Custom type for AI user
+                is_bot: true // Cannot sign in; integrations use API tokens
             })
             .select()
             .limit(1)
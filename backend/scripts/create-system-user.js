@@ -49,7 +49,8 @@ async function createSystemUser() {
                 username: 'system',
                 email: 'system@chatgenius.local',
                 avatar_url: null,
-                password_hash: generatePasswordHash()
+                password_hash: generatePasswordHash(),
+                is_bot: true
             })
             .select()
             .limit(1)
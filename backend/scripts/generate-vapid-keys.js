@@ -0,0 +1,13 @@
+/**
+ * @file generate-vapid-keys.js
+ * @description Script to create the VAPID key pair for Web Push. Paste the output
+ * into .env; subscriptions are tied to the public key, so changing it later means
+ * every browser has to subscribe again.
+ */
+
+import { generateVapidKeys } from '../src/services/push/webPush.js';
+
+const { publicKey, privateKey } = generateVapidKeys();
+
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
@@ -0,0 +1,22 @@
+/**
+ * @file jwt.js
+ * @description JWT signing configuration. The server refuses to start without
+ * JWT_SECRET rather than signing tokens with a guessable default.
+ *
+ * Environment Variables:
+ * - JWT_SECRET: Secret used to sign and verify access tokens (required)
+ * - JWT_EXPIRY: Access token lifetime (default 15m)
+ * - REFRESH_TOKEN_TTL_DAYS: Refresh token lifetime in days (default 30)
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not set; refusing to start without a token signing secret');
+}
+
+export const JWT_SECRET = process.env.JWT_SECRET;
+export const ACCESS_TOKEN_EXPIRY = process.env.JWT_EXPIRY || '15m';
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
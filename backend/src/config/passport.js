@@ -25,6 +25,7 @@ import { Strategy as JwtStrategy, ExtractJwt } from 'passport-jwt';
 import bcrypt from 'bcryptjs';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { JWT_SECRET } from './jwt.js';
 
 dotenv.config();
 
@@ -54,6 +55,11 @@ passport.use(new LocalStrategy(
                 return done(null, false, { message: 'Incorrect email.' });
             }
 
+            // Bots authenticate with API tokens only
+            if (user.is_bot) {
+                return done(null, false, { message: 'Bot accounts cannot sign in.' });
+            }
+
             // Check password
             const isMatch = await bcrypt.compare(password, user.password_hash);
             if (!isMatch) {
@@ -71,7 +77,7 @@ passport.use(new LocalStrategy(
 passport.use(new JwtStrategy(
     {
         jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
-        secretOrKey: process.env.JWT_SECRET || 'your-secret-key'
+        secretOrKey: JWT_SECRET
     },
     async (jwt_payload, done) => {
         try {
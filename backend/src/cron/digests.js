@@ -0,0 +1,29 @@
+/**
+ * @file digests.js
+ * @description Cron job that emails the daily and weekly digests that are due,
+ * once an hour (see services/digestService.js).
+ */
+
+import cron from 'node-cron';
+import digestService from '../services/digestService.js';
+
+let isJobRunning = false;
+
+async function runDigests() {
+    if (isJobRunning) return;
+
+    isJobRunning = true;
+    try {
+        const sent = await digestService.processDueDigests();
+        if (sent > 0) {
+            console.log(`Sent ${sent} digests`);
+        }
+    } catch (error) {
+        console.error('Error in digest job:', error);
+    } finally {
+        isJobRunning = false;
+    }
+}
+
+// Schedule the job to run at the start of every hour
+cron.schedule('0 * * * *', runDigests);
@@ -0,0 +1,29 @@
+/**
+ * @file reminders.js
+ * @description Cron job that posts due /remind reminders every minute
+ * (see services/reminderService.js).
+ */
+
+import cron from 'node-cron';
+import reminderService from '../services/reminderService.js';
+
+let isJobRunning = false;
+
+async function runReminders() {
+    if (isJobRunning) return;
+
+    isJobRunning = true;
+    try {
+        const posted = await reminderService.processDueReminders();
+        if (posted > 0) {
+            console.log(`Posted ${posted} reminders`);
+        }
+    } catch (error) {
+        console.error('Error in reminder job:', error);
+    } finally {
+        isJobRunning = false;
+    }
+}
+
+// Schedule the job to run every minute
+cron.schedule('* * * * *', runReminders);
@@ -0,0 +1,31 @@
+/**
+ * @file webhookDeliveries.js
+ * @description Cron job that retries outgoing webhook deliveries every minute.
+ * First attempts are made as events happen; this job picks up the deliveries
+ * whose backoff has passed (see services/webhookService.js).
+ */
+
+import cron from 'node-cron';
+import webhookService from '../services/webhookService.js';
+
+let isJobRunning = false;
+
+async function runWebhookRetries() {
+    // A slow endpoint can outlast the interval; never run two batches at once
+    if (isJobRunning) return;
+
+    isJobRunning = true;
+    try {
+        const attempted = await webhookService.processDueDeliveries();
+        if (attempted > 0) {
+            console.log(`Retried ${attempted} webhook deliveries`);
+        }
+    } catch (error) {
+        console.error('Error in webhook retry job:', error);
+    } finally {
+        isJobRunning = false;
+    }
+}
+
+// Schedule the job to run every minute
+cron.schedule('* * * * *', runWebhookRetries);
@@ -18,18 +18,33 @@ import userRoutes from './routes/users.js';
 import reactionRoutes from './routes/reactions.js';
 import fileRoutes from './routes/files.js';
 import ragRoutes from './routes/rag.js';
+import searchRoutes from './routes/search.js';
+import inviteRoutes from './routes/invites.js';
+import tokenRoutes from './routes/tokens.js';
+import hookRoutes from './routes/hooks.js';
+import commandRoutes from './routes/commands.js';
+import dmRoutes from './routes/dm.js';
+import notificationRoutes from './routes/notifications.js';
+import pushRoutes from './routes/push.js';
 import healthRoutes from './routes/health.js';
+import cronRoutes from './routes/cron.js';
 import { authenticateJWT } from './middleware/auth.js';
 
 // Initialize development-only services
 async function initDevServices() {
     if (process.env.NODE_ENV !== 'production') {
         try {
-            const [reembedding, messageListener] = await Promise.all([
+            await Promise.all([
                 import('./cron/reembedding.js'),
                 import('./services/messageListenerService.js')
+                    .then(({ default: MessageListenerService }) => new MessageListenerService()),
+                import('./cron/webhookDeliveries.js'),
+                import('./cron/reminders.js'),
+                import('./cron/digests.js'),
+                import('./services/webhookListenerService.js')
+                    .then(({ default: WebhookListenerService }) => new WebhookListenerService())
             ]);
-            console.log('Development services initialized: Cron job and Message Listener');
+            console.log('Development services initialized: Cron jobs, Message Listener and Webhook Listener');
         } catch (error) {
             console.error('Error initializing development services:', error);
         }
@@ -67,7 +82,15 @@ app.get('/', (req, res) => {
             users: '/api/users/*',
             reactions: '/api/reactions/*',
             files: '/api/files/*',
-            rag: '/api/rag/*'
+            rag: '/api/rag/*',
+            search: '/api/search/*',
+            invites: '/api/invites/*',
+            tokens: '/api/tokens/*',
+            hooks: '/api/hooks/*',
+            commands: '/api/commands/*',
+            dm: '/api/dm/*',
+            notifications: '/api/notifications/*',
+            push: '/api/push/*'
         }
     });
 });
@@ -79,7 +102,16 @@ app.use('/api/users', userRoutes);
 app.use('/api/reactions', reactionRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/rag', ragRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/tokens', tokenRoutes);
+app.use('/api/hooks', hookRoutes);
+app.use('/api/commands', commandRoutes);
+app.use('/api/dm', dmRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/push', pushRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/cron', cronRoutes);
 
 // 404 handler - for undefined routes
 app.use((req, res, next) => {
@@ -1,40 +1,68 @@
 /**
  * @file auth.js
- * @description Authentication middleware and utilities that handle JWT token
- * generation and verification. This file provides core authentication functionality
- * for protecting routes and managing user sessions.
+ * @description Authentication middleware that verifies JWT access tokens. This file
+ * provides core authentication functionality for protecting routes; tokens are
+ * issued and revoked by services/tokenService.js. Personal API tokens (see
+ * services/apiTokenService.js) are accepted too, on routes their scopes cover.
  * 
  * Exports:
- * - generateToken: Creates JWT tokens for authenticated users
  * - authenticateJWT: Middleware to verify JWT tokens on protected routes
  * 
  * Features:
- * - JWT token generation
  * - Token verification
+ * - Revoked session rejection (logged-out tokens stop working before they expire)
+ * - API token authentication with scope checks
  * - Request authentication
  * - Error handling
- * - Secure session management
  * 
  * Dependencies:
- * - passport
  * - jsonwebtoken
+ * - ../config/jwt
+ * - ../services/tokenService
+ * - ../services/apiTokenService
  * 
  * @version 1.0.0
  * @created 2024-01-14
  */
 
-import passport from 'passport';
 import jwt from 'jsonwebtoken';
+import { JWT_SECRET } from '../config/jwt.js';
+import tokenService from '../services/tokenService.js';
+import apiTokenService, { API_TOKEN_PREFIX, getRequiredScope } from '../services/apiTokenService.js';
 
-export const generateToken = (user) => {
-    return jwt.sign(
-        { id: user.id, email: user.email },
-        process.env.JWT_SECRET || 'your-secret-key',
-        { expiresIn: '1d' }
-    );
-}; 
+const authenticateApiToken = async (token, req, res, next) => {
+    let result;
+    try {
+        result = await apiTokenService.authenticate(token);
+    } catch (error) {
+        if (error.status === 401) {
+            return res.status(401).json({ message: error.message });
+        }
+        console.error('Error checking API token:', error);
+        return res.status(500).json({ message: 'Error checking API token' });
+    }
 
-export const authenticateJWT = (req, res, next) => {
+    const scope = getRequiredScope(req.method, req.baseUrl, req.path);
+    if (!scope) {
+        return res.status(403).json({ message: 'API tokens cannot be used for this endpoint' });
+    }
+    if (!result.token.scopes.includes(scope)) {
+        return res.status(403).json({ message: `This API token lacks the ${scope} scope` });
+    }
+
+    const { user } = result;
+    req.user = {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        is_bot: user.is_bot,
+        tokenId: result.token.id,
+        scopes: result.token.scopes
+    };
+    next();
+};
+
+export const authenticateJWT = async (req, res, next) => {
     const authHeader = req.headers.authorization;
 
     if (!authHeader) {
@@ -46,12 +74,35 @@ export const authenticateJWT = (req, res, next) => {
         return res.status(401).json({ message: 'No token provided' });
     }
 
+    if (token.startsWith(API_TOKEN_PREFIX)) {
+        return authenticateApiToken(token, req, res, next);
+    }
+
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, JWT_SECRET);
     } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ message: 'Token expired' });
+        }
         console.error('JWT verification error:', error);
         return res.status(401).json({ message: 'Invalid token' });
     }
-};
\ No newline at end of file
+
+    // Tokens issued before sessions existed cannot be revoked, so they are not accepted
+    if (!decoded.sid) {
+        return res.status(401).json({ message: 'Invalid token' });
+    }
+
+    try {
+        if (await tokenService.isSessionRevoked(decoded.sid)) {
+            return res.status(401).json({ message: 'Session has been signed out' });
+        }
+    } catch (error) {
+        console.error('Error checking token revocation:', error);
+        return res.status(500).json({ message: 'Error checking session' });
+    }
+
+    req.user = decoded;
+    next();
+};
@@ -0,0 +1,103 @@
+/**
+ * @file authorize.js
+ * @description Authorization middleware for channel and DM routes. Each route names
+ * the permission it needs and where the conversation comes from; the middleware
+ * answers 400, 403 or 404 on its own and otherwise stores the outcome on
+ * req.access for the handler.
+ *
+ * Exports:
+ * - authorize: Builds the middleware for a permission and a target resolver
+ * - requireSystemAdmin: Builds the middleware for routes only system administrators may use
+ * - channelFromParams / dmFromParams: Conversation from a route parameter
+ * - conversationFromBody: Conversation from channel_id/channelId or dm_id/dmId in the body
+ * - conversationFromQuery: The same, from the query string
+ * - messageFromParams: Conversation of the message named by a route parameter
+ *
+ * Usage:
+ *   router.get('/channel/:channelId', authenticateJWT,
+ *       authorize(PERMISSIONS.READ, channelFromParams()), handler);
+ *
+ * Dependencies:
+ * - ../services/authorizationService
+ *
+ * @version 1.0.0
+ * @created 2024-01-24
+ */
+
+import authorizationService from '../services/authorizationService.js';
+
+export const channelFromParams = (param = 'channelId') => (req) => ({
+    channelId: req.params[param]
+});
+
+export const dmFromParams = (param = 'dmId') => (req) => ({
+    dmId: req.params[param]
+});
+
+export const conversationFromBody = () => (req) => ({
+    channelId: req.body?.channel_id || req.body?.channelId,
+    dmId: req.body?.dm_id || req.body?.dmId
+});
+
+export const conversationFromQuery = () => (req) => ({
+    channelId: req.query?.channel_id || req.query?.channelId,
+    dmId: req.query?.dm_id || req.query?.dmId
+});
+
+// Resolves to null when the message does not exist
+export const messageFromParams = (param = 'messageId') => async (req, service) => {
+    const message = await service.getMessageTarget(req.params[param]);
+    return message && { channelId: message.channel_id, dmId: message.dm_id, message };
+};
+
+/**
+ * Creates middleware requiring a permission on the resolved conversation
+ * @param {string|Function} permission - One of PERMISSIONS, or a function of the
+ *   resolved target returning one (e.g. when channels and DMs need different permissions)
+ * @param {Function} resolveTarget - (req, service) => { channelId?, dmId?, message? } or null
+ * @param {Object} service - Authorization service, replaceable in tests
+ * @returns {Function} Express middleware
+ */
+export const authorize = (permission, resolveTarget, service = authorizationService) => async (req, res, next) => {
+    try {
+        const target = await resolveTarget(req, service);
+        if (!target) {
+            return res.status(404).json({ message: 'Message not found' });
+        }
+
+        if (!target.channelId === !target.dmId) {
+            return res.status(400).json({ message: 'Must provide either channel_id or dm_id' });
+        }
+
+        const required = typeof permission === 'function' ? permission(target) : permission;
+        const result = await service.check(req.user.id, required, target);
+        if (!result.allowed) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        req.access = { ...target, role: result.role };
+        next();
+    } catch (error) {
+        console.error('Error checking authorization:', error);
+        res.status(500).json({ message: 'Error checking permissions' });
+    }
+};
+
+/**
+ * Creates middleware limiting a route to system administrators. API tokens act
+ * for their user, so a token's scopes do not stand in for it.
+ * @param {string} action - What the route does, for the refusal message
+ * @param {Object} service - Authorization service, replaceable in tests
+ * @returns {Function} Express middleware
+ */
+export const requireSystemAdmin = (action, service = authorizationService) => async (req, res, next) => {
+    try {
+        if (!(await service.isSystemAdmin(req.user.id))) {
+            return res.status(403).json({ message: `Not authorized to ${action}` });
+        }
+        next();
+    } catch (error) {
+        console.error('Error checking authorization:', error);
+        res.status(500).json({ message: 'Error checking permissions' });
+    }
+};
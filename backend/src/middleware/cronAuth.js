@@ -0,0 +1,32 @@
+/**
+ * @file cronAuth.js
+ * @description Guards the scheduled job routes under /api/cron. Vercel Cron and
+ * Supabase database webhooks call them with "Authorization: Bearer <CRON_SECRET>".
+ * While CRON_SECRET is unset, every request is refused.
+ *
+ * Exports:
+ * - requireCronSecret: Middleware checking the bearer secret
+ *
+ * Dependencies:
+ * - crypto
+ *
+ * @version 1.0.0
+ * @created 2024-01-28
+ */
+
+import crypto from 'crypto';
+
+export const requireCronSecret = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+        return res.status(503).json({ message: 'Scheduled jobs are not configured' });
+    }
+
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const actual = Buffer.from(req.headers.authorization || '');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return res.status(401).json({ message: 'Invalid cron secret' });
+    }
+
+    next();
+};
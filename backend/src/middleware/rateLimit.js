@@ -1,12 +1,12 @@
 /**
  * @file rateLimit.js
- * @description Rate limiting middleware for RAG queries
+ * @description Rate limiting middleware for RAG queries, account emails and incoming webhooks
  */
 
 import rateLimit from 'express-rate-limit';
 import { MemoryStore } from 'express-rate-limit';
 
-// Rate limit for RAG queries - 10 requests per minute per IP
+// Rate limit for RAG queries and summaries - 10 requests per minute per IP
 export const ragQueryLimiter = rateLimit({
     windowMs: 60 * 1000, // 1 minute window
     max: 10, // limit each IP to 10 requests per windowMs
@@ -21,4 +21,31 @@ export const ragQueryLimiter = rateLimit({
     skip: (req) => process.env.NODE_ENV === 'test',
     // Use memory store from express-rate-limit
     store: new MemoryStore()
-}); 
\ No newline at end of file
+}); 
+
+// Rate limit for endpoints that send email (verification, password reset) - 5 requests per 15 minutes per IP
+export const accountEmailLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minute window
+    max: 5, // limit each IP to 5 emails per windowMs
+    message: {
+        message: 'Too many email requests, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => process.env.NODE_ENV === 'test',
+    store: new MemoryStore()
+});
+
+// Rate limit for incoming webhooks - 30 messages per minute per webhook, wherever they come from
+export const incomingWebhookLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute window
+    max: 30, // limit each webhook to 30 messages per windowMs
+    keyGenerator: (req) => req.params.hookId,
+    message: {
+        message: 'Too many messages for this webhook, please slow down.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => process.env.NODE_ENV === 'test',
+    store: new MemoryStore()
+});
@@ -1,16 +1,28 @@
 /**
  * @file auth.js
- * @description Authentication routes handler that manages user registration and login endpoints.
+ * @description Authentication routes handler that manages user registration, login and session endpoints.
  * This file implements the core authentication functionality using Passport.js and JWT tokens,
  * integrated with Supabase for user data storage.
  * 
  * Endpoints:
  * - POST /api/auth/register: User registration with email, password, and username
  * - POST /api/auth/login: User login with email and password
+ * - POST /api/auth/refresh: Exchange a refresh token for new tokens
+ * - POST /api/auth/logout: Sign out this session, or every session with allSessions
+ * - POST /api/auth/verify-email/request: Email the signed-in user a new verification link
+ * - POST /api/auth/verify-email/confirm: Confirm an email address with the emailed token
+ * - POST /api/auth/password-reset/request: Email a password reset link
+ * - POST /api/auth/password-reset/confirm: Set a new password with the emailed token
+ * 
+ * Tokens:
+ * - Register, login and refresh answer with a short-lived access token (token)
+ *   and a refresh token (refreshToken); each refresh token works once
  * 
  * Features:
  * - Password hashing with bcrypt
- * - JWT token generation
+ * - JWT access tokens with rotating refresh tokens
+ * - Logout and token revocation
+ * - Email verification and password reset with single-use, expiring links
  * - Duplicate email/username checking
  * - Error handling and validation
  * 
@@ -18,7 +30,10 @@
  * - express
  * - passport
  * - bcryptjs
+ * - jsonwebtoken
  * - @supabase/supabase-js
+ * - ../services/tokenService
+ * - ../services/accountService
  * 
  * @version 1.0.0
  * @created 2024-01-14
@@ -27,8 +42,13 @@
 import express from 'express';
 import passport from 'passport';
 import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
 import { createClient } from '@supabase/supabase-js';
-import { generateToken } from '../middleware/auth.js';
+import { JWT_SECRET } from '../config/jwt.js';
+import tokenService from '../services/tokenService.js';
+import accountService from '../services/accountService.js';
+import { authenticateJWT } from '../middleware/auth.js';
+import { accountEmailLimiter } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 const supabase = createClient(
@@ -78,15 +98,22 @@ router.post('/register', async (req, res) => {
             throw error;
         }
 
-        // Generate JWT
-        const token = generateToken(user);
+        // Start a session
+        const { token, refreshToken } = await tokenService.issueTokens(user);
+
+        // The account works before the address is confirmed, so a mail failure is not fatal
+        accountService.sendVerificationEmail(user).catch(mailError => {
+            console.error('Error sending verification email:', mailError);
+        });
 
         res.status(201).json({
             token,
+            refreshToken,
             user: {
                 id: user.id,
                 email: user.email,
-                username: user.username
+                username: user.username,
+                email_verified: false
             }
         });
     } catch (error) {
@@ -105,18 +132,141 @@ router.post('/login', (req, res, next) => {
             return res.status(401).json({ message: info.message });
         }
 
-        // Generate JWT
-        const token = generateToken(user);
+        // Start a session
+        tokenService.issueTokens(user)
+            .then(({ token, refreshToken }) => res.json({
+                token,
+                refreshToken,
+                user: {
+                    id: user.id,
+                    email: user.email,
+                    username: user.username,
+                    email_verified: !!user.email_verified_at
+                }
+            }))
+            .catch(next);
+    })(req, res, next);
+});
 
-        return res.json({
+// Refresh route. Body: { refreshToken }
+router.post('/refresh', async (req, res) => {
+    try {
+        const { token, refreshToken, user } = await tokenService.refresh(req.body.refreshToken);
+
+        res.json({
             token,
+            refreshToken,
             user: {
                 id: user.id,
                 email: user.email,
                 username: user.username
             }
         });
-    })(req, res, next);
+    } catch (error) {
+        if (error.status === 401) {
+            return res.status(401).json({ message: error.message });
+        }
+        console.error('Token refresh error:', error);
+        res.status(500).json({ message: 'Error refreshing token' });
+    }
+});
+
+// Logout route. Body: { refreshToken, allSessions }. Works with an expired access
+// token or with only the refresh token, so a client can always sign out.
+router.post('/logout', async (req, res) => {
+    try {
+        const { refreshToken, allSessions = false } = req.body;
+
+        let session = null;
+        const bearer = req.headers.authorization?.split(' ')[1];
+        if (bearer) {
+            try {
+                const decoded = jwt.verify(bearer, JWT_SECRET, { ignoreExpiration: true });
+                if (decoded.sid) {
+                    session = { session_id: decoded.sid, user_id: decoded.id };
+                }
+            } catch (error) {
+                // Fall back to the refresh token
+            }
+        }
+        if (!session) {
+            session = await tokenService.findSession(refreshToken);
+        }
+
+        if (!session) {
+            return res.status(400).json({ message: 'A valid access token or refreshToken is required' });
+        }
+
+        if (allSessions) {
+            await tokenService.revokeAllSessions(session.user_id);
+        }
+        // Also covers the current session when it has no refresh tokens left
+        await tokenService.revokeSession(session.session_id, session.user_id);
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Error logging out' });
+    }
+});
+
+// Send a new verification link to the signed-in user
+router.post('/verify-email/request', authenticateJWT, accountEmailLimiter, async (req, res) => {
+    try {
+        const sent = await accountService.resendVerification(req.user.id);
+        if (!sent) {
+            return res.status(400).json({ message: 'Email is already verified' });
+        }
+        res.status(202).json({ message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Verification request error:', error);
+        res.status(500).json({ message: 'Error sending verification email' });
+    }
+});
+
+// Confirm an email address. Body: { token }
+router.post('/verify-email/confirm', async (req, res) => {
+    try {
+        const userId = await accountService.confirmEmail(req.body.token);
+        res.json({ message: 'Email verified', userId });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Email verification error:', error);
+        res.status(500).json({ message: 'Error verifying email' });
+    }
+});
+
+// Request a password reset link. Body: { email }. Answers the same, and as quickly,
+// whether or not the address has an account.
+router.post('/password-reset/request', accountEmailLimiter, (req, res) => {
+    const { email } = req.body;
+    if (typeof email !== 'string' || !email.trim()) {
+        return res.status(400).json({ message: 'Email is required' });
+    }
+
+    // Sending in the background keeps the response time from revealing the account
+    accountService.requestPasswordReset(email.trim()).catch(error => {
+        console.error('Password reset request error:', error);
+    });
+
+    res.status(202).json({ message: 'If an account uses this email, a reset link is on its way' });
+});
+
+// Set a new password. Body: { token, password }
+router.post('/password-reset/confirm', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        await accountService.resetPassword(token, password);
+        res.json({ message: 'Password updated; please sign in again' });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Password reset error:', error);
+        res.status(500).json({ message: 'Error resetting password' });
+    }
 });
 
 export default router; 
\ No newline at end of file
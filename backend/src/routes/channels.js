@@ -6,17 +6,56 @@
  * channel metadata.
  * 
  * Endpoints:
- * - GET /api/channels/public: Retrieve all public channels
+ * - GET /api/channels/public: Retrieve all public channels, plus private channels
+ *   that accept join requests
  * - POST /api/channels: Create a new channel
  * - GET /api/channels/:id: Get channel details
  * - PUT /api/channels/:id: Update channel
  * - DELETE /api/channels/:id: Delete channel
- * - POST /api/channels/:id/members: Add member to channel
- * - DELETE /api/channels/:id/members/:userId: Remove member from channel
+ * - GET /api/channels/:id/members: List members with their roles
+ * - PUT /api/channels/:id/members/:userId/role: Promote or demote a member
+ * - POST /api/channels/:id/invites: Create an invite link
+ * - GET /api/channels/:id/invites: List invite links
+ * - DELETE /api/channels/:id/invites/:inviteId: Revoke an invite link
+ * - POST /api/channels/:id/join-requests: Ask to join a private channel
+ * - GET /api/channels/:id/join-requests: List pending join requests
+ * - POST /api/channels/:id/join-requests/:requestId/approve: Approve a join request
+ * - POST /api/channels/:id/join-requests/:requestId/deny: Deny a join request
+ * - GET /api/channels/:id/audit: Membership audit (invites, requests, who let whom in)
+ * - POST /api/channels/:id/webhooks: Register an outgoing webhook
+ * - GET /api/channels/:id/webhooks: List webhooks
+ * - PUT /api/channels/:id/webhooks/:webhookId: Update a webhook
+ * - DELETE /api/channels/:id/webhooks/:webhookId: Remove a webhook
+ * - POST /api/channels/:id/webhooks/:webhookId/rotate-secret: Replace a webhook's signing secret
+ * - GET /api/channels/:id/webhooks/:webhookId/deliveries: Recent deliveries and their outcome
+ * - POST /api/channels/:id/incoming-webhooks: Create an incoming webhook URL
+ * - GET /api/channels/:id/incoming-webhooks: List incoming webhooks
+ * - DELETE /api/channels/:id/incoming-webhooks/:hookId: Revoke an incoming webhook
+ * - GET /api/channels/:id/ai-settings: Get the channel's AI assistant settings
+ * - PUT /api/channels/:id/ai-settings: Update the channel's AI assistant settings
+ * - POST /api/channels/:id/summary: Summarize a time range or everything since the caller last read
+ * - POST /api/channels/:id/read: Move the caller's read cursor. Body: { message_id } (optional)
+ * - GET /api/channels/:id/notifications: The caller's notification preference for the channel
+ * - PUT /api/channels/:id/notifications: Change it. Body: { level, muted_until }
+ * 
+ * Roles:
+ * - owner, admin, moderator, member and guest (read-only); see
+ *   services/authorizationService.js for what each role may do
+ * - Owners and admins edit the channel and manage roles below their own;
+ *   only the owner deletes the channel
+ * - Members made guests stay guests if they leave and rejoin, until given
+ *   another role
+ * - Owners and admins manage invites and join requests; invites are accepted
+ *   through routes/invites.js
+ * - Owners and admins manage webhooks (see services/webhookService.js and
+ *   services/incomingWebhookService.js); messages arrive through routes/hooks.js
  * 
  * Features:
  * - Public/private channel management
  * - Channel member management
+ * - Channel roles
+ * - Invite links and join requests
+ * - Outgoing and incoming webhooks
  * - Channel metadata and statistics
  * - Authentication middleware integration
  * - Error handling and validation
@@ -25,6 +64,11 @@
  * - express
  * - @supabase/supabase-js
  * - ../services/messageService.js
+ * - ../services/inviteService.js
+ * - ../services/webhookService.js
+ * - ../services/incomingWebhookService.js
+ * - ../services/readStateService.js
+ * - ../services/notificationPreferenceService.js
  * 
  * @version 1.0.0
  * @created 2024-01-13
@@ -32,8 +76,18 @@
 
 import express from 'express';
 import { authenticateJWT } from '../middleware/auth.js';
+import { ragQueryLimiter } from '../middleware/rateLimit.js';
+import { authorize, channelFromParams } from '../middleware/authorize.js';
+import { PERMISSIONS, CHANNEL_ROLES, canAssignRole } from '../services/authorizationService.js';
 import { createClient } from '@supabase/supabase-js';
 import MessageService from '../services/messageService.js';
+import aiSettingsService, { validateAISettings } from '../services/aiSettingsService.js';
+import summaryService, { MAX_SUMMARY_MESSAGES } from '../services/summaryService.js';
+import inviteService, { validateInviteOptions } from '../services/inviteService.js';
+import webhookService, { validateWebhookOptions } from '../services/webhookService.js';
+import incomingWebhookService from '../services/incomingWebhookService.js';
+import readStateService from '../services/readStateService.js';
+import notificationPreferenceService from '../services/notificationPreferenceService.js';
 
 const router = express.Router();
 const supabase = createClient(
@@ -44,7 +98,16 @@ const supabase = createClient(
 // Create a basic message service instance without Socket.IO for now
 const messageService = new MessageService();
 
-// Get all public channels
+// Invite and webhook service errors carry the status to answer with
+const sendServiceError = (res, error, message) => {
+    if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ message });
+};
+
+// Get all public channels, and the private ones that accept join requests
 router.get('/public', authenticateJWT, async (req, res) => {
     try {
         const { data: channels, error } = await supabase
@@ -54,7 +117,7 @@ router.get('/public', authenticateJWT, async (req, res) => {
                 creator:created_by(id, username),
                 members_count:channel_members(count)
             `)
-            .eq('is_private', false)
+            .or('is_private.eq.false,allow_join_requests.eq.true')
             .order('created_at', { ascending: true });
 
         if (error) {
@@ -180,54 +243,13 @@ router.get('/', authenticateJWT, async (req, res) => {
     }
 });
 
-// Join a channel
+// Join a public channel. Members an admin made guests rejoin as guests.
 router.post('/:channelId/join', authenticateJWT, async (req, res) => {
     try {
         const { channelId } = req.params;
         const userId = req.user.id;
 
-        // Check if channel exists and is public
-        const { data: channel, error: channelError } = await supabase
-            .from('channels')
-            .select('*')
-            .eq('id', channelId)
-            .limit(1)
-            .single();
-
-        if (channelError || !channel) {
-            return res.status(404).json({ message: 'Channel not found' });
-        }
-
-        if (channel.is_private) {
-            return res.status(403).json({ message: 'Cannot join private channel' });
-        }
-
-        // Check if already a member
-        const { data: existingMember, error: memberError } = await supabase
-            .from('channel_members')
-            .select('*')
-            .eq('channel_id', channelId)
-            .eq('user_id', userId)
-            .limit(1)
-            .single();
-
-        if (existingMember) {
-            return res.status(400).json({ message: 'Already a member of this channel' });
-        }
-
-        // Add user as member
-        const { error: joinError } = await supabase
-            .from('channel_members')
-            .insert({
-                channel_id: channelId,
-                user_id: userId,
-                role: 'member'
-            });
-
-        if (joinError) {
-            console.error('Error joining channel:', joinError);
-            return res.status(500).json({ message: 'Error joining channel' });
-        }
+        const role = await inviteService.joinPublicChannel(channelId, userId);
 
         // Create system message for user joining
         try {
@@ -242,10 +264,9 @@ router.post('/:channelId/join', authenticateJWT, async (req, res) => {
             console.error('Error creating system message for join:', messageError);
         }
 
-        res.status(200).json({ message: 'Successfully joined channel' });
+        res.status(200).json({ message: 'Successfully joined channel', role });
     } catch (error) {
-        console.error('Error in channel join:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        sendServiceError(res, error, 'Error joining channel');
     }
 });
 
@@ -273,7 +294,7 @@ router.post('/:channelId/leave', authenticateJWT, async (req, res) => {
             .select('role')
             .eq('channel_id', channelId)
             .eq('user_id', userId)
-            .maybe.limit(1).single();;
+            .maybeSingle();
 
         if (membershipError) {
             console.error('Error checking membership:', membershipError);
@@ -347,31 +368,10 @@ router.get('/:channelId', authenticateJWT, async (req, res) => {
 });
 
 // Update a channel
-router.put('/:channelId', authenticateJWT, async (req, res) => {
+router.put('/:channelId', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
     try {
         const { channelId } = req.params;
-        const { name, description, is_private } = req.body;
-        const userId = req.user.id;
-
-        // Check if user is the creator of the channel
-        const { data: channel, error: channelError } = await supabase
-            .from('channels')
-            .select('created_by')
-            .eq('id', channelId)
-            .single();
-
-        if (channelError) {
-            console.error('Error fetching channel:', channelError);
-            return res.status(500).json({ message: 'Error fetching channel' });
-        }
-
-        if (!channel) {
-            return res.status(404).json({ message: 'Channel not found' });
-        }
-
-        if (channel.created_by !== userId) {
-            return res.status(403).json({ message: 'Only the channel creator can update the channel' });
-        }
+        const { name, description, is_private, allow_join_requests } = req.body;
 
         // Update the channel
         const { data: updatedChannel, error: updateError } = await supabase
@@ -380,6 +380,7 @@ router.put('/:channelId', authenticateJWT, async (req, res) => {
                 name,
                 description,
                 is_private,
+                allow_join_requests,
                 updated_at: new Date().toISOString()
             })
             .eq('id', channelId)
@@ -405,21 +406,476 @@ router.put('/:channelId', authenticateJWT, async (req, res) => {
     }
 });
 
-// Delete a channel
-router.delete('/:channelId', authenticateJWT, async (req, res) => {
+// List channel members, highest role first
+router.get('/:channelId/members', authenticateJWT, authorize(PERMISSIONS.READ, channelFromParams()), async (req, res) => {
     try {
         const { channelId } = req.params;
 
-        // Check if user is channel owner
-        const { data: membership, error: membershipError } = await supabase
+        const { data: members, error } = await supabase
             .from('channel_members')
-            .select('role')
+            .select('role, joined_at, user:user_id(id, username, avatar_url, status)')
+            .eq('channel_id', channelId);
+
+        if (error) {
+            console.error('Error fetching channel members:', error);
+            return res.status(500).json({ message: 'Error fetching channel members' });
+        }
+
+        members.sort((a, b) =>
+            CHANNEL_ROLES.indexOf(a.role) - CHANNEL_ROLES.indexOf(b.role) ||
+            (a.user?.username || '').localeCompare(b.user?.username || '')
+        );
+
+        res.json(members);
+    } catch (error) {
+        console.error('Error in channel members retrieval:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Promote or demote a member. Body: { role }
+router.put('/:channelId/members/:userId/role', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const { channelId, userId } = req.params;
+        const { role } = req.body;
+
+        if (!CHANNEL_ROLES.includes(role)) {
+            return res.status(400).json({ message: `role must be one of: ${CHANNEL_ROLES.join(', ')}` });
+        }
+
+        if (userId === req.user.id) {
+            return res.status(400).json({ message: 'You cannot change your own role' });
+        }
+
+        const { data: member, error: memberError } = await supabase
+            .from('channel_members')
+            .select('role, user:user_id(id, username)')
             .eq('channel_id', channelId)
-            .eq('user_id', req.user.id)
-            .limit(1)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (memberError) {
+            console.error('Error fetching channel member:', memberError);
+            return res.status(500).json({ message: 'Error fetching channel member' });
+        }
+
+        if (!member) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        if (!canAssignRole(req.access.role, member.role, role)) {
+            return res.status(403).json({ message: 'Not authorized to assign this role to this member' });
+        }
+
+        const { data: updated, error: updateError } = await supabase
+            .from('channel_members')
+            .update({ role })
+            .eq('channel_id', channelId)
+            .eq('user_id', userId)
+            .select('role, joined_at, user:user_id(id, username, avatar_url, status)')
+            .single();
+
+        if (updateError) {
+            console.error('Error updating member role:', updateError);
+            return res.status(500).json({ message: 'Error updating member role' });
+        }
+
+        await inviteService.recordRoleChange(channelId, userId, role, req.user.id);
+
+        try {
+            await messageService.saveMessage({
+                content: `${member.user?.username || userId} is now ${role === 'admin' ? 'an' : 'a'} ${role}`,
+                channel_id: channelId,
+                type: 'system',
+                sender_id: null
+            });
+        } catch (messageError) {
+            // Log the error but don't fail the role change
+            console.error('Error creating system message for role change:', messageError);
+        }
+
+        res.json(updated);
+    } catch (error) {
+        console.error('Error in member role update:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Create an invite link. Body: { expiresInHours, maxUses, role }
+router.post('/:channelId/invites', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const { error: validationError, options } = validateInviteOptions(req.body);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const invite = await inviteService.createInvite(req.params.channelId, req.user.id, options);
+        res.status(201).json(invite);
+    } catch (error) {
+        sendServiceError(res, error, 'Error creating invite');
+    }
+});
+
+// List the channel's invite links, newest first
+router.get('/:channelId/invites', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const invites = await inviteService.listInvites(req.params.channelId);
+        res.json(invites);
+    } catch (error) {
+        sendServiceError(res, error, 'Error fetching invites');
+    }
+});
+
+// Revoke an invite link
+router.delete('/:channelId/invites/:inviteId', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const { channelId, inviteId } = req.params;
+        const invite = await inviteService.revokeInvite(channelId, inviteId, req.user.id);
+        res.json(invite);
+    } catch (error) {
+        sendServiceError(res, error, 'Error revoking invite');
+    }
+});
+
+// Ask to join a private channel. Body: { message }
+router.post('/:channelId/join-requests', authenticateJWT, async (req, res) => {
+    try {
+        const { message } = req.body;
+        if (message !== undefined && message !== null && typeof message !== 'string') {
+            return res.status(400).json({ message: 'message must be a string' });
+        }
+        if (message && message.length > 500) {
+            return res.status(400).json({ message: 'message must be at most 500 characters' });
+        }
+
+        const request = await inviteService.requestToJoin(req.params.channelId, req.user.id, message);
+        res.status(201).json(request);
+    } catch (error) {
+        sendServiceError(res, error, 'Error requesting to join channel');
+    }
+});
+
+// List pending join requests, oldest first
+router.get('/:channelId/join-requests', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const requests = await inviteService.listJoinRequests(req.params.channelId);
+        res.json(requests);
+    } catch (error) {
+        sendServiceError(res, error, 'Error fetching join requests');
+    }
+});
+
+const reviewJoinRequest = (approve) => async (req, res) => {
+    try {
+        const { channelId, requestId } = req.params;
+        const request = await inviteService.reviewJoinRequest(channelId, requestId, req.user.id, approve);
+
+        if (approve) {
+            try {
+                await messageService.saveMessage({
+                    content: `${request.user?.username || request.user_id} joined the channel`,
+                    channel_id: channelId,
+                    type: 'system',
+                    sender_id: null
+                });
+            } catch (messageError) {
+                // Log the error but don't fail the approval
+                console.error('Error creating system message for approved join:', messageError);
+            }
+        }
+
+        res.json(request);
+    } catch (error) {
+        sendServiceError(res, error, 'Error reviewing join request');
+    }
+};
+
+// Approve or deny a pending join request
+router.post('/:channelId/join-requests/:requestId/approve', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), reviewJoinRequest(true));
+router.post('/:channelId/join-requests/:requestId/deny', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), reviewJoinRequest(false));
+
+// Membership audit: invites created and revoked, requests, and who let each member in
+router.get('/:channelId/audit', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const entries = await inviteService.getAudit(req.params.channelId);
+        res.json(entries);
+    } catch (error) {
+        sendServiceError(res, error, 'Error fetching membership audit');
+    }
+});
+
+// Register an outgoing webhook. Body: { url, events, description }. The answer
+// includes the signing secret, which is not shown again.
+router.post('/:channelId/webhooks', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const { error: validationError, options } = validateWebhookOptions(req.body);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const webhook = await webhookService.createWebhook(req.params.channelId, req.user.id, options);
+        res.status(201).json(webhook);
+    } catch (error) {
+        sendServiceError(res, error, 'Error creating webhook');
+    }
+});
+
+// List the channel's webhooks
+router.get('/:channelId/webhooks', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const webhooks = await webhookService.listWebhooks(req.params.channelId);
+        res.json(webhooks);
+    } catch (error) {
+        sendServiceError(res, error, 'Error fetching webhooks');
+    }
+});
+
+// Update a webhook. Body: any of { url, events, description, is_active }
+router.put('/:channelId/webhooks/:webhookId', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const { error: validationError, options } = validateWebhookOptions(req.body, { partial: true });
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const { channelId, webhookId } = req.params;
+        const webhook = await webhookService.updateWebhook(channelId, webhookId, options);
+        res.json(webhook);
+    } catch (error) {
+        sendServiceError(res, error, 'Error updating webhook');
+    }
+});
+
+// Remove a webhook and its delivery log
+router.delete('/:channelId/webhooks/:webhookId', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const { channelId, webhookId } = req.params;
+        await webhookService.deleteWebhook(channelId, webhookId);
+        res.json({ message: 'Webhook deleted' });
+    } catch (error) {
+        sendServiceError(res, error, 'Error deleting webhook');
+    }
+});
+
+// Replace a webhook's signing secret
+router.post('/:channelId/webhooks/:webhookId/rotate-secret', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const { channelId, webhookId } = req.params;
+        const webhook = await webhookService.rotateSecret(channelId, webhookId);
+        res.json(webhook);
+    } catch (error) {
+        sendServiceError(res, error, 'Error rotating webhook secret');
+    }
+});
+
+// Recent deliveries of a webhook, newest first
+router.get('/:channelId/webhooks/:webhookId/deliveries', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const { channelId, webhookId } = req.params;
+        const deliveries = await webhookService.listDeliveries(channelId, webhookId);
+        res.json(deliveries);
+    } catch (error) {
+        sendServiceError(res, error, 'Error fetching webhook deliveries');
+    }
+});
+
+// Create an incoming webhook. Body: { name, avatar_url }; name becomes the bot
+// username messages are posted as. The answer carries the URL path with its
+// secret, which cannot be fetched again.
+router.post('/:channelId/incoming-webhooks', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const { name, avatar_url } = req.body;
+        const hook = await incomingWebhookService.createHook(req.params.channelId, req.user.id, { name, avatar_url });
+        res.status(201).json(hook);
+    } catch (error) {
+        sendServiceError(res, error, 'Error creating incoming webhook');
+    }
+});
+
+// List the channel's incoming webhooks, including revoked ones
+router.get('/:channelId/incoming-webhooks', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const hooks = await incomingWebhookService.listHooks(req.params.channelId);
+        res.json(hooks);
+    } catch (error) {
+        sendServiceError(res, error, 'Error fetching incoming webhooks');
+    }
+});
+
+// Revoke an incoming webhook; its URL stops working at once
+router.delete('/:channelId/incoming-webhooks/:hookId', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const { channelId, hookId } = req.params;
+        const hook = await incomingWebhookService.revokeHook(channelId, hookId, req.user.id);
+        res.json(hook);
+    } catch (error) {
+        sendServiceError(res, error, 'Error revoking incoming webhook');
+    }
+});
+
+// Mark the channel read, up to a message or up to now
+router.post('/:channelId/read', authenticateJWT, authorize(PERMISSIONS.READ, channelFromParams()), async (req, res) => {
+    try {
+        const cursor = await readStateService.markRead(
+            { channelId: req.params.channelId },
+            req.user.id,
+            { messageId: req.body?.message_id }
+        );
+        res.json(cursor);
+    } catch (error) {
+        sendServiceError(res, error, 'Error marking channel read');
+    }
+});
+
+// Get the caller's notification preference for the channel
+router.get('/:channelId/notifications', authenticateJWT, authorize(PERMISSIONS.READ, channelFromParams()), async (req, res) => {
+    try {
+        const preference = await notificationPreferenceService.getConversationPreference(
+            req.user.id,
+            { channelId: req.params.channelId }
+        );
+        res.json(preference);
+    } catch (error) {
+        sendServiceError(res, error, 'Error fetching notification preference');
+    }
+});
+
+// Choose all messages, mentions only or nothing for the channel, or mute it for a while
+router.put('/:channelId/notifications', authenticateJWT, authorize(PERMISSIONS.READ, channelFromParams()), async (req, res) => {
+    try {
+        const preference = await notificationPreferenceService.updateConversationPreference(
+            req.user.id,
+            { channelId: req.params.channelId },
+            req.body || {}
+        );
+        res.json(preference);
+    } catch (error) {
+        sendServiceError(res, error, 'Error updating notification preference');
+    }
+});
+
+// Get the channel's AI assistant settings (anyone who can read the channel)
+router.get('/:channelId/ai-settings', authenticateJWT, authorize(PERMISSIONS.READ, channelFromParams()), async (req, res) => {
+    try {
+        const { channelId } = req.params;
+
+        const settings = await aiSettingsService.getChannelSettings(channelId);
+        res.json(settings);
+    } catch (error) {
+        console.error('Error fetching AI settings:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Update the channel's AI assistant settings (owners and admins)
+router.put('/:channelId/ai-settings', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const { channelId } = req.params;
+
+        const { error: validationError, settings } = validateAISettings(req.body);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const updatedSettings = await aiSettingsService.updateChannelSettings(channelId, settings, req.user.id);
+        res.json(updatedSettings);
+    } catch (error) {
+        console.error('Error updating AI settings:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Summarize channel activity. Body: { since, until } as ISO timestamps, or
+// { sinceLastRead: true }. Defaults to the last 24 hours.
+router.post('/:channelId/summary', authenticateJWT, ragQueryLimiter, authorize(PERMISSIONS.READ, channelFromParams()), async (req, res) => {
+    try {
+        const { channelId } = req.params;
+        const { since, until, sinceLastRead } = req.body;
+
+        for (const [name, value] of [['since', since], ['until', until]]) {
+            if (value !== undefined && Number.isNaN(Date.parse(value))) {
+                return res.status(400).json({ message: `${name} must be an ISO timestamp` });
+            }
+        }
+
+        const { data: channel, error: channelError } = await supabase
+            .from('channels')
+            .select('id, name')
+            .eq('id', channelId)
             .single();
 
-        if (membershipError || membership.role !== 'owner') {
+        if (channelError) {
+            console.error('Error fetching channel:', channelError);
+            return res.status(500).json({ message: 'Error fetching channel' });
+        }
+
+        const { data: membership } = await supabase
+            .from('channel_members')
+            .select('last_read_at')
+            .eq('channel_id', channelId)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+
+        const rangeEnd = until ? new Date(until) : new Date();
+        let rangeStart = since ? new Date(since) : new Date(rangeEnd.getTime() - 24 * 60 * 60 * 1000);
+
+        if (sinceLastRead) {
+            // Without a read marker, treat the caller's own last message as the point they last caught up
+            let lastRead = membership?.last_read_at;
+            if (!lastRead) {
+                const { data: lastOwnMessage } = await supabase
+                    .from('messages')
+                    .select('created_at')
+                    .eq('channel_id', channelId)
+                    .eq('sender_id', req.user.id)
+                    .order('created_at', { ascending: false })
+                    .limit(1)
+                    .maybeSingle();
+                lastRead = lastOwnMessage?.created_at;
+            }
+            if (lastRead) rangeStart = new Date(lastRead);
+        }
+
+        const { data: messages, error: messagesError } = await supabase
+            .from('messages')
+            .select('id, content, created_at, parent_id, sender:sender_id(id, username)')
+            .eq('channel_id', channelId)
+            .gt('created_at', rangeStart.toISOString())
+            .lte('created_at', rangeEnd.toISOString())
+            .order('created_at', { ascending: false })
+            .limit(MAX_SUMMARY_MESSAGES + 1);
+
+        if (messagesError) {
+            console.error('Error fetching messages to summarize:', messagesError);
+            return res.status(500).json({ message: 'Error fetching messages' });
+        }
+
+        // Keep the most recent messages when the range holds more than one summary covers
+        const truncated = messages.length > MAX_SUMMARY_MESSAGES;
+        const inRange = messages.slice(0, MAX_SUMMARY_MESSAGES).reverse();
+
+        const result = await summaryService.summarizeMessages(inRange, { title: `#${channel.name}` });
+
+        res.json({
+            ...result,
+            range: {
+                since: rangeStart.toISOString(),
+                until: rangeEnd.toISOString()
+            },
+            truncated
+        });
+    } catch (error) {
+        console.error('Error summarizing channel:', error);
+        res.status(500).json({ message: 'Failed to generate summary' });
+    }
+});
+
+// Delete a channel
+router.delete('/:channelId', authenticateJWT, authorize(PERMISSIONS.ADMIN, channelFromParams()), async (req, res) => {
+    try {
+        const { channelId } = req.params;
+
+        if (req.access.role !== 'owner') {
             return res.status(403).json({ message: 'Only channel owner can delete channel' });
         }
 
@@ -0,0 +1,120 @@
+/**
+ * @file commands.js
+ * @description Slash command routes handler. The composer lists the commands
+ * available in a conversation for autocomplete and runs them here; bots register
+ * their own commands with an API token (see services/slashCommandService.js).
+ *
+ * Endpoints:
+ * - GET /api/commands?channel_id=|dm_id=: Commands available in a conversation
+ * - POST /api/commands/execute: Run a command. Body: { input, channel_id or dm_id, parent_id }
+ * - GET /api/commands/registered: The calling bot's commands
+ * - POST /api/commands/registered: Register or update a bot command.
+ *   Body: { name, url, description, usage }
+ * - DELETE /api/commands/registered/:commandId: Remove a bot command
+ *
+ * Authorization:
+ * - Running a command needs post access to the conversation; listing needs read access
+ * - Only bot accounts register commands
+ *
+ * Dependencies:
+ * - express
+ * - ../middleware/auth
+ * - ../middleware/authorize
+ * - ../services/slashCommandService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import express from 'express';
+import { authenticateJWT } from '../middleware/auth.js';
+import { authorize, conversationFromBody, conversationFromQuery } from '../middleware/authorize.js';
+import { PERMISSIONS } from '../services/authorizationService.js';
+import slashCommandService, { validateCommandOptions } from '../services/slashCommandService.js';
+
+const router = express.Router();
+
+const sendCommandError = (res, error, fallbackMessage) => {
+    if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ message: fallbackMessage });
+};
+
+const requireBot = (req, res, next) => {
+    if (!req.user.is_bot) {
+        return res.status(403).json({ message: 'Only bot accounts can register commands' });
+    }
+    next();
+};
+
+router.use(authenticateJWT);
+
+// Commands available in a conversation, for autocomplete
+router.get('/', authorize(PERMISSIONS.READ, conversationFromQuery()), async (req, res) => {
+    try {
+        const { channelId, dmId } = req.access;
+        const commands = await slashCommandService.listCommands({ channelId, dmId });
+        res.json(commands);
+    } catch (error) {
+        sendCommandError(res, error, 'Error fetching commands');
+    }
+});
+
+// Run a command; ephemeral responses are only in this answer
+router.post('/execute', authorize(PERMISSIONS.POST, conversationFromBody()), async (req, res) => {
+    try {
+        const { input, parent_id } = req.body;
+        if (typeof input !== 'string' || !input.trim()) {
+            return res.status(400).json({ message: 'input is required' });
+        }
+
+        const { channelId, dmId } = req.access;
+        const result = await slashCommandService.execute(
+            { id: req.user.id, username: req.user.username },
+            { input, channelId: channelId || null, dmId: dmId || null, parentId: parent_id || null }
+        );
+        res.json(result);
+    } catch (error) {
+        sendCommandError(res, error, 'Error running command');
+    }
+});
+
+// The calling bot's registered commands
+router.get('/registered', requireBot, async (req, res) => {
+    try {
+        const commands = await slashCommandService.listRegisteredCommands(req.user.id);
+        res.json(commands);
+    } catch (error) {
+        sendCommandError(res, error, 'Error fetching registered commands');
+    }
+});
+
+// Register a command, or update the bot's command of the same name. The signing
+// secret is only in the answer when the command is first registered.
+router.post('/registered', requireBot, async (req, res) => {
+    try {
+        const { error: validationError, options } = validateCommandOptions(req.body);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const command = await slashCommandService.registerCommand(req.user.id, options);
+        res.status(command.secret ? 201 : 200).json(command);
+    } catch (error) {
+        sendCommandError(res, error, 'Error registering command');
+    }
+});
+
+// Remove one of the bot's commands
+router.delete('/registered/:commandId', requireBot, async (req, res) => {
+    try {
+        await slashCommandService.removeCommand(req.user.id, req.params.commandId);
+        res.json({ message: 'Command removed' });
+    } catch (error) {
+        sendCommandError(res, error, 'Error removing command');
+    }
+});
+
+export default router;
@@ -0,0 +1,67 @@
+/**
+ * @file cron.js
+ * @description Scheduled job routes for deployments without a long-running
+ * process, such as Vercel. They run the same work as the node-cron jobs in
+ * src/cron, which only start on a local server, and are scheduled in vercel.json.
+ * Every route requires the CRON_SECRET bearer token (see middleware/cronAuth.js).
+ *
+ * Endpoints:
+ * - GET /api/cron/webhook-deliveries: Retry outgoing webhook deliveries that are due
+ * - GET /api/cron/reminders: Post /remind reminders that are due
+ * - GET /api/cron/digests: Email the daily and weekly digests that are due
+ * - POST /api/cron/webhook-events: Turn a Supabase database webhook
+ *   ({ type, table, record, old_record }) into outgoing webhook events, in place
+ *   of the change feed listener
+ *
+ * Dependencies:
+ * - express
+ * - ../middleware/cronAuth
+ * - ../services/webhookService
+ * - ../services/webhookListenerService
+ * - ../services/reminderService
+ * - ../services/digestService
+ *
+ * @version 1.0.0
+ * @created 2024-01-28
+ */
+
+import express from 'express';
+import { requireCronSecret } from '../middleware/cronAuth.js';
+import webhookService from '../services/webhookService.js';
+import WebhookListenerService from '../services/webhookListenerService.js';
+import reminderService from '../services/reminderService.js';
+import digestService from '../services/digestService.js';
+
+const router = express.Router();
+const webhookListener = new WebhookListenerService({ subscribe: false });
+
+router.use(requireCronSecret);
+
+// Runs one batch of a job and reports how many items it handled
+const runJob = (name, job) => async (req, res) => {
+    try {
+        res.json({ job: name, processed: await job() });
+    } catch (error) {
+        console.error(`Error in ${name} job:`, error);
+        res.status(500).json({ message: `Error running ${name} job` });
+    }
+};
+
+router.get('/webhook-deliveries', runJob('webhook-deliveries', () => webhookService.processDueDeliveries()));
+router.get('/reminders', runJob('reminders', () => reminderService.processDueReminders()));
+router.get('/digests', runJob('digests', () => digestService.processDueDigests()));
+
+router.post('/webhook-events', async (req, res) => {
+    try {
+        const handled = await webhookListener.handleDatabaseWebhook(req.body || {});
+        if (!handled) {
+            return res.status(400).json({ message: 'Unsupported table' });
+        }
+        res.json({ received: true });
+    } catch (error) {
+        console.error('Error dispatching database webhook:', error);
+        res.status(500).json({ message: 'Error dispatching webhook events' });
+    }
+});
+
+export default router;
@@ -0,0 +1,84 @@
+/**
+ * @file dm.js
+ * @description Direct message routes handler. DMs are created and listed through
+ * Supabase by the client; their messages live under /api/messages/dm/:dmId.
+ *
+ * Endpoints:
+ * - POST /api/dm/:dmId/read: Move the caller's read cursor. Body: { message_id } (optional)
+ * - GET /api/dm/:dmId/notifications: The caller's notification preference for the DM
+ * - PUT /api/dm/:dmId/notifications: Change it. Body: { level, muted_until }
+ *
+ * Authorization:
+ * - Only members of the DM; see middleware/authorize.js
+ *
+ * Dependencies:
+ * - express
+ * - ../middleware/auth
+ * - ../middleware/authorize
+ * - ../services/readStateService
+ * - ../services/notificationPreferenceService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import express from 'express';
+import { authenticateJWT } from '../middleware/auth.js';
+import { authorize, dmFromParams } from '../middleware/authorize.js';
+import { PERMISSIONS } from '../services/authorizationService.js';
+import readStateService from '../services/readStateService.js';
+import notificationPreferenceService from '../services/notificationPreferenceService.js';
+
+const router = express.Router();
+
+// Mark the DM read, up to a message or up to now
+router.post('/:dmId/read', authenticateJWT, authorize(PERMISSIONS.READ, dmFromParams()), async (req, res) => {
+    try {
+        const cursor = await readStateService.markRead(
+            { dmId: req.params.dmId },
+            req.user.id,
+            { messageId: req.body?.message_id }
+        );
+        res.json(cursor);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error marking DM read:', error);
+        res.status(500).json({ message: 'Error marking DM read' });
+    }
+});
+
+// Get the caller's notification preference for the DM
+router.get('/:dmId/notifications', authenticateJWT, authorize(PERMISSIONS.READ, dmFromParams()), async (req, res) => {
+    try {
+        const preference = await notificationPreferenceService.getConversationPreference(
+            req.user.id,
+            { dmId: req.params.dmId }
+        );
+        res.json(preference);
+    } catch (error) {
+        console.error('Error fetching notification preference:', error);
+        res.status(500).json({ message: 'Error fetching notification preference' });
+    }
+});
+
+// Choose all messages, mentions only or nothing for the DM, or mute it for a while
+router.put('/:dmId/notifications', authenticateJWT, authorize(PERMISSIONS.READ, dmFromParams()), async (req, res) => {
+    try {
+        const preference = await notificationPreferenceService.updateConversationPreference(
+            req.user.id,
+            { dmId: req.params.dmId },
+            req.body || {}
+        );
+        res.json(preference);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error updating notification preference:', error);
+        res.status(500).json({ message: 'Error updating notification preference' });
+    }
+});
+
+export default router;
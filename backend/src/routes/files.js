@@ -23,6 +23,7 @@
  * - uuid
  * - @supabase/supabase-js
  * - ../utils/awsS3connect.js
+ * - ../services/authorizationService
  * 
  * @version 1.0.0
  * @created 2024-01-13
@@ -36,6 +37,7 @@ import { authenticateJWT } from '../middleware/auth.js';
 import { createClient } from '@supabase/supabase-js';
 import fs from 'fs';
 import { uploadFileToAws, getFileUrl } from '../utils/awsS3connect.js';
+import authorizationService, { PERMISSIONS } from '../services/authorizationService.js';
 
 const router = express.Router();
 const supabase = createClient(
@@ -98,19 +100,12 @@ router.post('/upload', authenticateJWT, upload.single('file'), async (req, res)
 
         const userId = req.user.id;
 
-        // If it's a DM, verify the user is a member
-        if (dmId) {
-            const { data: membership, error: membershipError } = await supabase
-                .from('direct_message_members')
-                .select('dm_id')
-                .eq('dm_id', dmId)
-                .eq('user_id', userId)
-                .limit(1)
-                .single();
-
-            if (membershipError || !membership) {
-                return res.status(403).json({ message: 'Not authorized to send files in this DM' });
-            }
+        // Checked here rather than in the authorize middleware: multer has to parse the
+        // form first, and a refused upload must not leave its temporary file behind
+        const access = await authorizationService.check(userId, PERMISSIONS.POST, { channelId, dmId });
+        if (!access.allowed) {
+            fs.unlinkSync(req.file.path);
+            return res.status(access.status).json({ message: access.message });
         }
 
         // Upload file to S3
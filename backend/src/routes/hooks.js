@@ -0,0 +1,42 @@
+/**
+ * @file hooks.js
+ * @description Incoming webhook routes handler. Other services post into a
+ * channel by sending JSON to the webhook's URL; the secret in the URL is the only
+ * credential, so no session or API token is needed. Webhooks are created and
+ * revoked under /api/channels/:id/incoming-webhooks.
+ *
+ * Endpoints:
+ * - POST /api/hooks/:hookId/:secret: Post a message as the webhook's bot.
+ *   Body: { text } or { markdown }, optionally with { attachments }
+ *   (see services/incomingWebhookService.js)
+ *
+ * Dependencies:
+ * - express
+ * - ../middleware/rateLimit
+ * - ../services/incomingWebhookService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import express from 'express';
+import { incomingWebhookLimiter } from '../middleware/rateLimit.js';
+import incomingWebhookService from '../services/incomingWebhookService.js';
+
+const router = express.Router();
+
+router.post('/:hookId/:secret', incomingWebhookLimiter, async (req, res) => {
+    try {
+        const { hookId, secret } = req.params;
+        const message = await incomingWebhookService.postMessage(hookId, secret, req.body);
+        res.status(201).json({ id: message.id, channel_id: message.channel_id, created_at: message.created_at });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error posting incoming webhook message:', error);
+        res.status(500).json({ message: 'Error posting message' });
+    }
+});
+
+export default router;
@@ -0,0 +1,69 @@
+/**
+ * @file invites.js
+ * @description Invite link routes handler. Invites are created and revoked by
+ * channel owners and admins under /api/channels/:id/invites; these routes let the
+ * person holding the link look at it and join the channel.
+ *
+ * Endpoints:
+ * - GET /api/invites/:token: Preview the channel an invite leads to
+ * - POST /api/invites/:token/accept: Join the channel
+ *
+ * Dependencies:
+ * - express
+ * - ../services/inviteService
+ * - ../services/messageService
+ *
+ * @version 1.0.0
+ * @created 2024-01-25
+ */
+
+import express from 'express';
+import { authenticateJWT } from '../middleware/auth.js';
+import inviteService from '../services/inviteService.js';
+import MessageService from '../services/messageService.js';
+
+const router = express.Router();
+const messageService = new MessageService();
+
+// Preview an invite
+router.get('/:token', authenticateJWT, async (req, res) => {
+    try {
+        const preview = await inviteService.previewInvite(req.params.token, req.user.id);
+        res.json(preview);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error fetching invite:', error);
+        res.status(500).json({ message: 'Error fetching invite' });
+    }
+});
+
+// Accept an invite and join its channel
+router.post('/:token/accept', authenticateJWT, async (req, res) => {
+    try {
+        const { channel, role, invitedBy } = await inviteService.acceptInvite(req.params.token, req.user.id);
+
+        try {
+            await messageService.saveMessage({
+                content: `${req.user.username || req.user.id} joined the channel${invitedBy ? ` (invited by ${invitedBy.username})` : ''}`,
+                channel_id: channel.id,
+                type: 'system',
+                sender_id: null
+            });
+        } catch (messageError) {
+            // Log the error but don't fail the join operation
+            console.error('Error creating system message for invite:', messageError);
+        }
+
+        res.json({ channel, role });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error accepting invite:', error);
+        res.status(500).json({ message: 'Error accepting invite' });
+    }
+});
+
+export default router;
@@ -7,16 +7,33 @@
  * 
  * Endpoints:
  * - POST /api/messages: Create a new message
- * - GET /api/messages/channel/:channelId: Get channel messages
- * - GET /api/messages/dm/:dmId: Get direct messages
+ * - GET /api/messages/channel/:channelId: Get top-level channel messages (paginated;
+ *   thread replies are fetched per thread)
+ * - GET /api/messages/dm/:dmId: Get top-level direct messages (paginated)
  * - PUT /api/messages/:id: Update a message
- * - DELETE /api/messages/:id: Delete a message
- * - GET /api/messages/thread/:parentId: Get thread messages
+ * - DELETE /api/messages/:id: Delete a message, leaving a tombstone
+ * - GET /api/messages/:id/history: Earlier versions of a message
+ * - GET /api/messages/thread/:parentId: Get thread messages (paginated)
+ * - POST /api/messages/thread/:parentId/summary: Summarize a thread
+ *
+ * Pagination:
+ * - History routes accept limit, before and after query parameters and
+ *   respond with { messages, hasMore, cursors: { before, after } }
+ * 
+ * Authorization:
+ * - Reading requires read access to the conversation and sending requires post
+ *   access; see middleware/authorize.js
+ * - Senders can edit and delete their own messages; channel moderators can also
+ *   delete other people's messages
+ * - History needs read access; a deleted message's history is limited to its
+ *   sender and channel moderators
+ * - Pins are managed by channel moderators, or by either member of a DM
  * 
  * Features:
  * - Channel and DM message support
  * - Threaded conversations
- * - Message editing and deletion
+ * - Cursor-based history pagination
+ * - Message editing and deletion with revision history
  * - User authorization checks
  * - Real-time message delivery
  * - Error handling and validation
@@ -31,257 +48,215 @@
 
 import express from 'express';
 import { authenticateJWT } from '../middleware/auth.js';
+import { ragQueryLimiter } from '../middleware/rateLimit.js';
+import {
+    authorize,
+    channelFromParams,
+    dmFromParams,
+    conversationFromBody,
+    messageFromParams
+} from '../middleware/authorize.js';
+import { PERMISSIONS } from '../services/authorizationService.js';
 import { createClient } from '@supabase/supabase-js';
+import { parsePaginationParams, fetchMessagePage } from '../utils/pagination.js';
+import summaryService, { MAX_SUMMARY_MESSAGES } from '../services/summaryService.js';
+import MessageService from '../services/messageService.js';
+import messageHistoryService from '../services/messageHistoryService.js';
 
 const router = express.Router();
 const supabase = createClient(
     process.env.SUPABASE_URL,
     process.env.SUPABASE_SERVICE_KEY
 );
+const messageService = new MessageService();
+
+// DMs have no moderators, so either member may pin there
+const pinPermission = (target) => (target.dmId ? PERMISSIONS.POST : PERMISSIONS.MODERATE);
+
+const sendServiceError = (res, error, message) => {
+    if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ message });
+};
+
+const MESSAGE_SELECT = `
+    *,
+    sender:sender_id(id, username, avatar_url),
+    twin:twin_of(id, username),
+    file:file_id(id, name, type, size, url)
+`;
 
 // Create a new message
-router.post('/', authenticateJWT, async (req, res) => {
+router.post('/', authenticateJWT, authorize(PERMISSIONS.POST, conversationFromBody()), async (req, res) => {
     try {
         const { content, channel_id, dm_id, parent_id } = req.body;
-        const sender_id = req.user.id;
-
-        // Validate that either channel_id or dm_id is provided, but not both
-        if ((!channel_id && !dm_id) || (channel_id && dm_id)) {
-            return res.status(400).json({ message: 'Must provide either channel_id or dm_id' });
-        }
 
-        // If it's a DM, verify the user is a member
-        if (dm_id) {
-            const { data: membership, error: membershipError } = await supabase
-                .from('direct_message_members')
-                .select('dm_id')
-                .eq('dm_id', dm_id)
-                .eq('user_id', sender_id)
-                .limit(1)
-                .single();
-
-            if (membershipError || !membership) {
-                return res.status(403).json({ message: 'Not authorized to send messages in this DM' });
+        if (parent_id) {
+            const parentError = await messageService.checkThreadParent(parent_id, req.access);
+            if (parentError) {
+                return res.status(400).json({ message: parentError });
             }
         }
 
-        // First get the sender information
-        const { data: sender, error: senderError } = await supabase
-            .from('users')
-            .select('id, username, avatar_url')
-            .eq('id', sender_id)
-            .limit(1)
-            .single();
-
-        if (senderError) {
-            console.error('Error fetching sender:', senderError);
-            return res.status(500).json({ message: 'Error fetching sender information' });
-        }
-
-        // Create the message with sender information included
-        const messageData = {
+        const message = await messageService.saveMessage({
             content,
-            sender_id,
+            sender_id: req.user.id,
             channel_id,
             dm_id,
-            parent_id,
-            sender: sender  // Include sender info in the insert
-        };
+            parent_id
+        });
 
-        const { data: message, error: messageError } = await supabase
-            .from('messages')
-            .insert({
-                content,
-                sender_id,
-                channel_id,
-                dm_id,
-                parent_id
-            })
-            .select(`
-                *,
-                sender:sender_id(id, username, avatar_url)
-            `)
-            .limit(1)
-            .single();
-
-        if (messageError) {
-            console.error('Error saving message:', messageError);
-            return res.status(500).json({ message: 'Error saving message' });
-        }
-
-        // Format the response to match the expected structure
-        const formattedMessage = {
-            ...message,
-            sender: sender  // Ensure sender info is included
-        };
-
-        res.status(201).json(formattedMessage);
+        res.status(201).json(message);
     } catch (error) {
-        console.error('Error in message creation:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        console.error('Error saving message:', error);
+        res.status(500).json({ message: 'Error saving message' });
     }
 });
 
 // Get messages for a channel
-router.get('/channel/:channelId', authenticateJWT, async (req, res) => {
+router.get('/channel/:channelId', authenticateJWT, authorize(PERMISSIONS.READ, channelFromParams()), async (req, res) => {
     try {
         const { channelId } = req.params;
-        const { limit = 50 } = req.query;
 
-        const { data: messages, error } = await supabase
-            .from('messages')
-            .select(`
-                *,
-                sender:sender_id(id, username, avatar_url),
-                file:file_id(id, name, type, size, url)
-            `)
-            .eq('channel_id', channelId)
-            .order('created_at', { ascending: true })
-            .limit(limit);
+        const pagination = parsePaginationParams(req.query);
+        if (pagination.error) {
+            return res.status(400).json({ message: pagination.error });
+        }
+
+        const { data: page, error } = await fetchMessagePage(
+            supabase
+                .from('messages')
+                .select(MESSAGE_SELECT)
+                .eq('channel_id', channelId)
+                .is('parent_id', null),
+            pagination
+        );
 
         if (error) {
             console.error('Error fetching messages:', error);
             return res.status(500).json({ message: 'Error fetching messages' });
         }
 
-        res.json(messages);
+        res.json(page);
     } catch (error) {
         console.error('Error in message retrieval:', error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Edit a message
-router.put('/:messageId', authenticateJWT, async (req, res) => {
+// Edit a message; the previous content is kept as a revision
+router.put('/:messageId', authenticateJWT, authorize(PERMISSIONS.READ, messageFromParams()), async (req, res) => {
     try {
-        const { messageId } = req.params;
-        const { content } = req.body;
-        const userId = req.user.id;
+        const message = await messageHistoryService.editMessage(req.params.messageId, req.user.id, req.body.content);
+        res.json(message);
+    } catch (error) {
+        sendServiceError(res, error, 'Error updating message');
+    }
+});
 
-        // First check if the user is the message sender
-        const { data: message, error: messageError } = await supabase
-            .from('messages')
-            .select('sender_id')
-            .eq('id', messageId)
-            .limit(1)
-            .single();
+// Delete a message. The row stays as a tombstone so threads and history hold up.
+router.delete('/:messageId', authenticateJWT, authorize(PERMISSIONS.READ, messageFromParams()), async (req, res) => {
+    try {
+        const message = await messageHistoryService.deleteMessage(req.params.messageId, req.user.id);
+        res.json({ message: 'Message deleted successfully', deleted: message });
+    } catch (error) {
+        sendServiceError(res, error, 'Error deleting message');
+    }
+});
 
-        if (messageError) {
-            console.error('Error fetching message:', messageError);
-            return res.status(500).json({ message: 'Error fetching message' });
-        }
+// Earlier versions of a message, oldest first
+router.get('/:messageId/history', authenticateJWT, authorize(PERMISSIONS.READ, messageFromParams()), async (req, res) => {
+    try {
+        const history = await messageHistoryService.getHistory(req.params.messageId, req.user.id);
+        res.json(history);
+    } catch (error) {
+        sendServiceError(res, error, 'Error fetching message history');
+    }
+});
 
-        if (!message) {
-            return res.status(404).json({ message: 'Message not found' });
-        }
+// Get thread replies. Only replies in the parent's own conversation belong to the thread.
+router.get('/thread/:parentId', authenticateJWT, authorize(PERMISSIONS.READ, messageFromParams('parentId')), async (req, res) => {
+    try {
+        const { parentId } = req.params;
+        const { channelId, dmId } = req.access;
 
-        if (message.sender_id !== userId) {
-            return res.status(403).json({ message: 'Not authorized to edit this message' });
+        const pagination = parsePaginationParams(req.query);
+        if (pagination.error) {
+            return res.status(400).json({ message: pagination.error });
         }
 
-        // Update the message
-        const { data: updatedMessage, error: updateError } = await supabase
-            .from('messages')
-            .update({
-                content,
-                is_edited: true,
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', messageId)
-            .select(`
-                *,
-                sender:sender_id(id, username, avatar_url)
-            `)
-            .order('created_at', { ascending: true })
-            .limit(1)
-            .single();
+        const { data: page, error } = await fetchMessagePage(
+            supabase
+                .from('messages')
+                .select(MESSAGE_SELECT)
+                .eq('parent_id', parentId)
+                .eq(channelId ? 'channel_id' : 'dm_id', channelId || dmId),
+            pagination
+        );
 
-        if (updateError) {
-            console.error('Error updating message:', updateError);
-            return res.status(500).json({ message: 'Error updating message' });
+        if (error) {
+            console.error('Error fetching thread replies:', error);
+            return res.status(500).json({ message: 'Error fetching thread replies' });
         }
 
-        res.json(updatedMessage);
+        res.json(page);
     } catch (error) {
-        console.error('Error in message update:', error);
+        console.error('Error in thread replies retrieval:', error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Delete a message
-router.delete('/:messageId', authenticateJWT, async (req, res) => {
+// Summarize a thread: the parent message and its most recent replies
+router.post('/thread/:parentId/summary', authenticateJWT, ragQueryLimiter, authorize(PERMISSIONS.READ, messageFromParams('parentId')), async (req, res) => {
     try {
-        const { messageId } = req.params;
-        const userId = req.user.id;
+        const { parentId } = req.params;
 
-        // First check if the user is the message sender
-        const { data: message, error: messageError } = await supabase
+        const { data: parent, error: parentError } = await supabase
             .from('messages')
-            .select('sender_id')
-            .eq('id', messageId)
-            .limit(1)
-            .single();
-
-        if (messageError) {
-            console.error('Error fetching message:', messageError);
-            return res.status(500).json({ message: 'Error fetching message' });
-        }
-
-        if (!message) {
-            return res.status(404).json({ message: 'Message not found' });
-        }
+            .select('id, content, created_at, parent_id, channel_id, dm_id, sender:sender_id(id, username), channel:channel_id(name)')
+            .eq('id', parentId)
+            .maybeSingle();
 
-        if (message.sender_id !== userId) {
-            return res.status(403).json({ message: 'Not authorized to delete this message' });
+        if (parentError) {
+            console.error('Error fetching thread parent:', parentError);
+            return res.status(500).json({ message: 'Error fetching thread' });
         }
 
-        // Delete the message
-        const { error: deleteError } = await supabase
-            .from('messages')
-            .delete()
-            .eq('id', messageId);
-
-        if (deleteError) {
-            console.error('Error deleting message:', deleteError);
-            return res.status(500).json({ message: 'Error deleting message' });
+        if (!parent) {
+            return res.status(404).json({ message: 'Thread not found' });
         }
 
-        res.json({ message: 'Message deleted successfully' });
-    } catch (error) {
-        console.error('Error in message deletion:', error);
-        res.status(500).json({ message: 'Internal server error' });
-    }
-});
-
-// Get thread replies
-router.get('/thread/:parentId', authenticateJWT, async (req, res) => {
-    try {
-        const { parentId } = req.params;
-
-        const { data: replies, error } = await supabase
+        const { data: replies, error: repliesError } = await supabase
             .from('messages')
-            .select(`
-                *,
-                sender:sender_id(id, username, avatar_url),
-                file:file_id(id, name, type, size, url)
-            `)
+            .select('id, content, created_at, parent_id, sender:sender_id(id, username)')
             .eq('parent_id', parentId)
-            .order('created_at', { ascending: true });
+            .eq(parent.channel_id ? 'channel_id' : 'dm_id', parent.channel_id || parent.dm_id)
+            .order('created_at', { ascending: false })
+            .limit(MAX_SUMMARY_MESSAGES);
 
-        if (error) {
-            console.error('Error fetching thread replies:', error);
+        if (repliesError) {
+            console.error('Error fetching thread replies:', repliesError);
             return res.status(500).json({ message: 'Error fetching thread replies' });
         }
 
-        res.json(replies);
+        // Keep the parent and the most recent replies when the thread is longer than one summary covers
+        const truncated = replies.length > MAX_SUMMARY_MESSAGES - 1;
+        const recentReplies = replies.slice(0, MAX_SUMMARY_MESSAGES - 1).reverse();
+
+        const title = parent.channel ? `a thread in #${parent.channel.name}` : 'a direct message thread';
+        const result = await summaryService.summarizeMessages([parent, ...recentReplies], { title });
+
+        res.json({ ...result, truncated });
     } catch (error) {
-        console.error('Error in thread replies retrieval:', error);
-        res.status(500).json({ message: 'Internal server error' });
+        console.error('Error summarizing thread:', error);
+        res.status(500).json({ message: 'Failed to generate summary' });
     }
 });
 
 // Get thread reply count
-router.get('/thread/:messageId/count', authenticateJWT, async (req, res) => {
+router.get('/thread/:messageId/count', authenticateJWT, authorize(PERMISSIONS.READ, messageFromParams()), async (req, res) => {
     try {
         const { messageId } = req.params;
 
@@ -303,41 +278,15 @@ router.get('/thread/:messageId/count', authenticateJWT, async (req, res) => {
 });
 
 // Toggle message pin status
-router.put('/:messageId/pin', authenticateJWT, async (req, res) => {
+router.put('/:messageId/pin', authenticateJWT, authorize(pinPermission, messageFromParams()), async (req, res) => {
     try {
         const { messageId } = req.params;
         const userId = req.user.id;
+        const { id, channel_id, dm_id, deleted_at } = req.access.message;
+        const message = { id, channel_id, dm_id };
 
-        // First check if the message exists and get its channel_id or dm_id
-        const { data: message, error: messageError } = await supabase
-            .from('messages')
-            .select('id, channel_id, dm_id')
-            .eq('id', messageId)
-            .limit(1)
-            .single();
-
-        if (messageError) {
-            console.error('Error fetching message:', messageError);
-            return res.status(500).json({ message: 'Error fetching message' });
-        }
-
-        if (!message) {
-            return res.status(404).json({ message: 'Message not found' });
-        }
-
-        // If it's a DM message, verify the user is a member
-        if (message.dm_id) {
-            const { data: membership, error: membershipError } = await supabase
-                .from('direct_message_members')
-                .select('dm_id')
-                .eq('dm_id', message.dm_id)
-                .eq('user_id', userId)
-                .limit(1)
-                .single();
-
-            if (membershipError || !membership) {
-                return res.status(403).json({ message: 'Not authorized to pin messages in this DM' });
-            }
+        if (deleted_at) {
+            return res.status(400).json({ message: 'Deleted messages cannot be pinned' });
         }
 
         // Check if the message is already pinned
@@ -412,40 +361,30 @@ router.put('/:messageId/pin', authenticateJWT, async (req, res) => {
 });
 
 // Get messages for a DM
-router.get('/dm/:dmId', authenticateJWT, async (req, res) => {
+router.get('/dm/:dmId', authenticateJWT, authorize(PERMISSIONS.READ, dmFromParams()), async (req, res) => {
     try {
         const { dmId } = req.params;
-        const userId = req.user.id;
 
-        // First verify the user is a member of this DM
-        const { data: membership, error: membershipError } = await supabase
-            .from('direct_message_members')
-            .select('dm_id')
-            .eq('dm_id', dmId)
-            .eq('user_id', userId)
-            .limit(1)
-            .single();
-
-        if (membershipError || !membership) {
-            return res.status(403).json({ message: 'Not authorized to view this DM' });
+        const pagination = parsePaginationParams(req.query);
+        if (pagination.error) {
+            return res.status(400).json({ message: pagination.error });
         }
 
-        const { data: messages, error } = await supabase
-            .from('messages')
-            .select(`
-                *,
-                sender:sender_id(id, username, avatar_url),
-                file:file_id(id, name, type, size, url)
-            `)
-            .eq('dm_id', dmId)
-            .order('created_at', { ascending: true });
+        const { data: page, error } = await fetchMessagePage(
+            supabase
+                .from('messages')
+                .select(MESSAGE_SELECT)
+                .eq('dm_id', dmId)
+                .is('parent_id', null),
+            pagination
+        );
 
         if (error) {
             console.error('Error fetching DM messages:', error);
             return res.status(500).json({ message: 'Error fetching messages' });
         }
 
-        res.json(messages);
+        res.json(page);
     } catch (error) {
         console.error('Error in DM message retrieval:', error);
         res.status(500).json({ message: 'Internal server error' });
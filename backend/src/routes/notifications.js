@@ -0,0 +1,68 @@
+/**
+ * @file notifications.js
+ * @description Notification inbox routes handler. Notifications are created when
+ * messages are posted (see services/notificationService.js); clients pick up new
+ * ones through Supabase realtime and use these routes to page and mark them read.
+ *
+ * Endpoints:
+ * - GET /api/notifications: The caller's inbox, newest first.
+ *   Query: unread (true to leave out read ones), limit, before (created_at cursor)
+ * - POST /api/notifications/read-all: Mark every notification read
+ * - POST /api/notifications/:notificationId/read: Mark one notification read
+ *
+ * Dependencies:
+ * - express
+ * - ../middleware/auth
+ * - ../services/notificationService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import express from 'express';
+import { authenticateJWT } from '../middleware/auth.js';
+import notificationService from '../services/notificationService.js';
+
+const router = express.Router();
+
+// List the caller's notifications
+router.get('/', authenticateJWT, async (req, res) => {
+    try {
+        const inbox = await notificationService.listNotifications(req.user.id, {
+            unreadOnly: req.query.unread === 'true',
+            limit: req.query.limit,
+            before: req.query.before
+        });
+        res.json(inbox);
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+        res.status(500).json({ message: 'Error loading notifications' });
+    }
+});
+
+// Mark all of the caller's notifications read
+router.post('/read-all', authenticateJWT, async (req, res) => {
+    try {
+        const updated = await notificationService.markAllRead(req.user.id);
+        res.json({ updated });
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+        res.status(500).json({ message: 'Error marking notifications read' });
+    }
+});
+
+// Mark one notification read
+router.post('/:notificationId/read', authenticateJWT, async (req, res) => {
+    try {
+        const notification = await notificationService.markRead(req.user.id, req.params.notificationId);
+        res.json(notification);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error marking notification read:', error);
+        res.status(500).json({ message: 'Error marking notification read' });
+    }
+});
+
+export default router;
@@ -0,0 +1,69 @@
+/**
+ * @file push.js
+ * @description Web Push routes handler. Browsers fetch the server's VAPID public key,
+ * subscribe through their push service and register the subscription here; mentions
+ * and DM messages are then pushed to them (see services/pushService.js). Only
+ * signed-in sessions can manage subscriptions, not API tokens.
+ *
+ * Endpoints:
+ * - GET /api/push/vapid-public-key: Key to pass as applicationServerKey
+ * - POST /api/push/subscriptions: Register a subscription; 409 if another user
+ *   registered its endpoint. Body: PushSubscription JSON ({ endpoint, keys: { p256dh, auth } })
+ * - DELETE /api/push/subscriptions: Remove a subscription. Body: { endpoint }
+ *
+ * Dependencies:
+ * - express
+ * - ../middleware/auth
+ * - ../services/pushService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import express from 'express';
+import { authenticateJWT } from '../middleware/auth.js';
+import pushService from '../services/pushService.js';
+
+const router = express.Router();
+
+// Public key browsers subscribe with
+router.get('/vapid-public-key', authenticateJWT, (req, res) => {
+    try {
+        res.json({ publicKey: pushService.getPublicKey() });
+    } catch (error) {
+        res.status(error.status || 500).json({ message: error.message });
+    }
+});
+
+// Register one of the caller's browsers
+router.post('/subscriptions', authenticateJWT, async (req, res) => {
+    try {
+        const subscription = await pushService.subscribe(req.user.id, req.body, req.get('user-agent'));
+        res.status(201).json(subscription);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error saving push subscription:', error);
+        res.status(500).json({ message: 'Error saving push subscription' });
+    }
+});
+
+// Remove one of the caller's browsers
+router.delete('/subscriptions', authenticateJWT, async (req, res) => {
+    try {
+        if (!req.body?.endpoint) {
+            return res.status(400).json({ message: 'endpoint is required' });
+        }
+        const removed = await pushService.unsubscribe(req.user.id, req.body.endpoint);
+        if (!removed) {
+            return res.status(404).json({ message: 'Subscription not found' });
+        }
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error removing push subscription:', error);
+        res.status(500).json({ message: 'Error removing push subscription' });
+    }
+});
+
+export default router;
@@ -4,50 +4,103 @@
  */
 
 import express from 'express';
+import { randomUUID } from 'crypto';
+import { createClient } from '@supabase/supabase-js';
 import { authenticateJWT } from '../middleware/auth.js';
 import { ragQueryLimiter } from '../middleware/rateLimit.js';
+import { requireSystemAdmin } from '../middleware/authorize.js';
 import ragService from '../services/ragService.js';
+import MessageService from '../services/messageService.js';
+import aiSettingsService from '../services/aiSettingsService.js';
+import authorizationService, { PERMISSIONS } from '../services/authorizationService.js';
+import { claimQuestion } from '../services/aiAnswerClaims.js';
 import ragController from '../controllers/ragController.js';
 
 const router = express.Router();
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+const messageService = new MessageService();
+
+const AI_USER_ID = '00000000-0000-0000-0000-000000000000';
 
 // Protect all routes with JWT authentication
 router.use(authenticateJWT);
 
+// The index holds messages from every conversation, so only system administrators
+// may read it directly or write to it
+const requireRagAdmin = requireSystemAdmin('manage the RAG index');
+
+const SEARCH_SCOPES = ['channel', 'dm', 'all'];
+
 /**
- * @route GET /api/rag/messages
- * @description Fetch messages for embedding with pagination
+ * Builds the retrieval scope for the authenticated user. Defaults to the
+ * conversation the request came from, or everything the user belongs to.
  */
-router.get('/messages', async (req, res) => {
-    try {
-        const offset = parseInt(req.query.offset) || 0;
-        const limit = parseInt(req.query.limit) || 100;
+const getSearchScope = (req) => {
+    const { scope, channelId, dmId } = req.body;
+    const type = scope || (channelId ? 'channel' : dmId ? 'dm' : 'all');
+    return { userId: req.user.id, type, channelId, dmId };
+};
 
-        const messages = await ragService.fetchMessagesForEmbedding({ offset, limit });
-        res.json({
-            success: true,
-            messages,
-            metadata: {
-                offset,
-                limit,
-                count: messages.length
-            }
-        });
-    } catch (error) {
-        console.error('Error fetching messages for embedding:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch messages',
-            details: error.message
-        });
+/**
+ * Validates the body of an ask request
+ * @returns {{ error?: string, query?: string, topK?: number, scope?: Object }}
+ */
+const parseAskRequest = (req) => {
+    const { query, topK } = req.body;
+
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+        return { error: 'Invalid or missing query' };
+    }
+
+    if (query.length > 5000) {
+        return { error: 'Query too long. Please try a shorter question.' };
+    }
+
+    const scope = getSearchScope(req);
+    if (!SEARCH_SCOPES.includes(scope.type)) {
+        return { error: `Invalid scope. Expected one of: ${SEARCH_SCOPES.join(', ')}` };
     }
-});
+
+    return {
+        query: query.trim(),
+        topK: Math.min(parseInt(topK) || 5, 20),
+        scope
+    };
+};
+
+/**
+ * Checks that the caller may read the conversation a channel or DM scope names,
+ * and post in the conversation an answer will be saved to
+ * @param {Object} req - Request
+ * @param {Object} scope - Search scope from getSearchScope
+ * @param {Object} saveTo - { channelId, dmId } the answer is saved to, if any
+ * @returns {Promise<Object|null>} The refusal ({ status, message }), or null if allowed
+ */
+const checkConversationAccess = async (req, scope, saveTo = {}) => {
+    const checks = [];
+    if (scope.type === 'channel' || scope.type === 'dm') {
+        checks.push([PERMISSIONS.READ, { channelId: scope.channelId, dmId: scope.dmId }]);
+    }
+    if (saveTo.channelId || saveTo.dmId) {
+        checks.push([PERMISSIONS.POST, saveTo]);
+    }
+
+    for (const [permission, target] of checks) {
+        if (!target.channelId && !target.dmId) continue;
+        const result = await authorizationService.check(req.user.id, permission, target);
+        if (!result.allowed) return result;
+    }
+    return null;
+};
 
 /**
  * @route POST /api/rag/embeddings
  * @description Generate embeddings for a batch of messages
  */
-router.post('/embeddings', async (req, res) => {
+router.post('/embeddings', requireRagAdmin, async (req, res) => {
     try {
         const { messages } = req.body;
         
@@ -79,7 +132,7 @@ router.post('/embeddings', async (req, res) => {
  * @route GET /api/rag/vectorstore/status
  * @description Check vector store connection status
  */
-router.get('/vectorstore/status', async (req, res) => {
+router.get('/vectorstore/status', requireRagAdmin, async (req, res) => {
     try {
         const status = await ragService.getVectorStoreStatus();
         res.json(status);
@@ -97,7 +150,7 @@ router.get('/vectorstore/status', async (req, res) => {
  * @route GET /api/rag/vectorstore/index
  * @description Get vector store index configuration
  */
-router.get('/vectorstore/index', async (req, res) => {
+router.get('/vectorstore/index', requireRagAdmin, async (req, res) => {
     try {
         const indexInfo = await ragService.getVectorStoreIndexInfo();
         res.json(indexInfo);
@@ -115,25 +168,23 @@ router.get('/vectorstore/index', async (req, res) => {
  * @route GET /api/rag/vectorstore/stats
  * @description Get vector store statistics
  */
-router.get('/vectorstore/stats', (req, res) => ragController.getVectorStoreStats(req, res));
+router.get('/vectorstore/stats', requireRagAdmin, (req, res) => ragController.getVectorStoreStats(req, res));
 
 /**
  * @route POST /api/rag/vectorstore/upsert
  * @description Upsert vectors into the vector store
  */
-router.post('/vectorstore/upsert', (req, res) => ragController.upsertVectors(req, res));
+router.post('/vectorstore/upsert', requireRagAdmin, (req, res) => ragController.upsertVectors(req, res));
 
 /**
  * @route GET /api/rag/vectorstore/vectors/random
  * @description Get random vectors for validation
  */
-router.get('/vectorstore/vectors/random', async (req, res) => {
+router.get('/vectorstore/vectors/random', requireRagAdmin, async (req, res) => {
     try {
         const count = parseInt(req.query.count) || 5;
         const result = await ragService.queryRandomVectors(count);
-        
-        console.log('Random vectors response:', JSON.stringify(result, null, 2));
-        
+
         // Always return 200, even for "no vectors" cases
         res.status(200).json(result);
     } catch (error) {
@@ -150,7 +201,7 @@ router.get('/vectorstore/vectors/random', async (req, res) => {
  * @route GET /api/rag/vectorstore/vectors/:id
  * @description Fetch a vector by ID
  */
-router.get('/vectorstore/vectors/:id', async (req, res) => {
+router.get('/vectorstore/vectors/:id', requireRagAdmin, async (req, res) => {
     try {
         const { id } = req.params;
         const result = await ragService.fetchVector(id);
@@ -167,37 +218,52 @@ router.get('/vectorstore/vectors/:id', async (req, res) => {
 
 /**
  * @route POST /api/rag/ask
- * @description Process a user's question using RAG to generate a contextually informed answer
+ * @description Process a user's question using RAG to generate a contextually informed answer.
+ * Responds with the answer, the source messages it was grounded in and token usage.
  */
-router.post('/ask', async (req, res) => {
+router.post('/ask', ragQueryLimiter, async (req, res) => {
     try {
         console.log('Endpoint called: POST /api/rag/ask');
-        console.log('Request headers:', req.headers);
-        console.log('Request body:', req.body);
-        
-        const { query } = req.body;
-        
-        if (!query || typeof query !== 'string' || query.trim().length === 0) {
-            console.log('Invalid query:', query);
+
+        const { error, query, topK, scope } = parseAskRequest(req);
+        if (error) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid or missing query'
+                error
+            });
+        }
+
+        const refusal = await checkConversationAccess(req, scope);
+        if (refusal) {
+            return res.status(refusal.status).json({
+                success: false,
+                error: refusal.message
+            });
+        }
+
+        const result = await ragService.answerQuestion(query, { topK, scope });
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.error || 'Failed to generate answer',
+                details: result.details
             });
         }
 
-        // Return hardcoded response for testing
-        const response = {
+        res.json({
             success: true,
-            answer: "Hello! I'm the AI assistant. I see you're trying to chat with me. This is a test response to confirm the messaging system is working.",
+            answer: result.answer,
+            sources: result.sources,
+            usage: result.usage,
             metadata: {
                 query,
-                timestamp: new Date().toISOString(),
-                endpoint: 'POST /api/rag/ask'
+                model: result.metadata.model,
+                contextCount: result.metadata.contextCount,
+                scope: scope.type,
+                timestamp: new Date().toISOString()
             }
-        };
-        console.log('Sending response:', response);
-        return res.status(200).json(response);
-
+        });
     } catch (error) {
         console.error('Error processing RAG query:', error);
         res.status(500).json({
@@ -207,8 +273,189 @@ router.post('/ask', async (req, res) => {
     }
 });
 
+/**
+ * @route POST /api/rag/ask/stream
+ * @description Streaming variant of /ask using Server-Sent Events. Emits a `sources`
+ * event once context is retrieved, `delta` events carrying { content } as tokens
+ * arrive, then a `done` event with the full answer, sources and usage. When the
+ * question was asked in a channel or DM, the final answer is saved there as a
+ * message from the AI user and returned in `done` as `message`. Failures after
+ * the stream has started are reported as an `error` event.
+ *
+ * `question` is the message as the user typed it (trigger included). When given,
+ * it is posted to the channel or DM as the caller's message before answering, the
+ * answer goes in its thread, and the message listener leaves it alone. `parentId`
+ * posts both in an existing thread instead. An 'all' scope only draws on
+ * conversations everyone in the channel or DM can read, since they all see the answer.
+ */
+router.post('/ask/stream', ragQueryLimiter, async (req, res) => {
+    const { error, query, topK, scope } = parseAskRequest(req);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error
+        });
+    }
+
+    const { channelId, dmId, parentId, question } = req.body;
+
+    if (question !== undefined && (typeof question !== 'string' || !question.trim() || (!channelId && !dmId))) {
+        return res.status(400).json({
+            success: false,
+            error: 'question must be a message to post in a channelId or dmId'
+        });
+    }
+
+    // Only persist into conversations the caller may post in
+    let refusal;
+    let parentError = null;
+    let settings = null;
+    try {
+        refusal = await checkConversationAccess(req, scope, { channelId, dmId });
+        if (!refusal && parentId) {
+            parentError = await messageService.checkThreadParent(parentId, { channelId, dmId });
+        }
+        if (!refusal && !parentError && question && channelId) {
+            settings = await aiSettingsService.getChannelSettings(channelId);
+        }
+    } catch (accessError) {
+        console.error('Error checking conversation access:', accessError);
+        return res.status(500).json({
+            success: false,
+            error: 'Error checking permissions'
+        });
+    }
+    if (refusal) {
+        return res.status(refusal.status).json({
+            success: false,
+            error: refusal.message
+        });
+    }
+    if (parentError) {
+        return res.status(400).json({
+            success: false,
+            error: parentError
+        });
+    }
+    if (settings && !settings.enabled) {
+        return res.status(403).json({
+            success: false,
+            error: 'The AI assistant is turned off in this channel'
+        });
+    }
+
+    // The saved answer is read by everyone in the conversation, not just the caller
+    const answerScope = scope.type === 'all' && (channelId || dmId)
+        ? { ...scope, type: 'shared', channelId, dmId }
+        : scope;
+
+    // Post the question first; the listener must not answer it as well
+    let questionMessage = null;
+    if (question) {
+        try {
+            const id = randomUUID();
+            claimQuestion(id);
+            questionMessage = await messageService.saveMessage({
+                id,
+                content: question.trim(),
+                sender_id: req.user.id,
+                channel_id: channelId || null,
+                dm_id: dmId || null,
+                parent_id: parentId || null
+            });
+        } catch (saveError) {
+            console.error('Error saving AI question:', saveError);
+            return res.status(500).json({
+                success: false,
+                error: 'Error saving message'
+            });
+        }
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stop reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+        if (res.writableEnded) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Stop generating tokens nobody will read
+    const abortController = new AbortController();
+    res.on('close', () => abortController.abort());
+
+    try {
+        const result = await ragService.streamAnswer(query, {
+            topK,
+            scope: answerScope,
+            signal: abortController.signal
+        }, {
+            onSources: (sources) => sendEvent('sources', { sources }),
+            onDelta: (content) => sendEvent('delta', { content })
+        });
+
+        if (abortController.signal.aborted) return;
+
+        if (!result.success) {
+            sendEvent('error', { error: result.error || 'Failed to generate answer' });
+            return res.end();
+        }
+
+        let message = null;
+        if (channelId || dmId) {
+            const { data, error: insertError } = await supabase
+                .from('messages')
+                .insert({
+                    content: ragService.formatAnswerWithSources(result.answer, result.sources),
+                    channel_id: channelId || null,
+                    dm_id: dmId || null,
+                    parent_id: parentId || questionMessage?.id || null,
+                    sender_id: AI_USER_ID
+                })
+                .select(`
+                    *,
+                    sender:sender_id(id, username, avatar_url)
+                `)
+                .single();
+
+            if (insertError) {
+                console.error('Error saving streamed AI answer:', insertError);
+            } else {
+                message = data;
+            }
+        }
+
+        sendEvent('done', {
+            success: true,
+            answer: result.answer,
+            sources: result.sources,
+            usage: result.usage,
+            question: questionMessage,
+            message,
+            metadata: {
+                query,
+                model: result.metadata.model,
+                contextCount: result.metadata.contextCount,
+                scope: answerScope.type,
+                timestamp: new Date().toISOString()
+            }
+        });
+        res.end();
+    } catch (error) {
+        console.error('Error streaming RAG answer:', error);
+        sendEvent('error', { error: 'Internal server error while processing query' });
+        res.end();
+    }
+});
+
 // Check which messages have been upserted
-router.get('/vectorstore/check-upserted', authenticateJWT, async (req, res) => {
+router.get('/vectorstore/check-upserted', requireRagAdmin, async (req, res) => {
     try {
         const result = await ragController.checkUpsertedMessages(req, res);
         res.json(result);
@@ -222,7 +469,7 @@ router.get('/vectorstore/check-upserted', authenticateJWT, async (req, res) => {
 });
 
 // Import documents as messages
-router.post('/documents/import', authenticateJWT, async (req, res) => {
+router.post('/documents/import', requireRagAdmin, async (req, res) => {
     try {
         const { documents } = req.body;
         if (!documents || !Array.isArray(documents)) {
@@ -243,7 +490,7 @@ router.post('/documents/import', authenticateJWT, async (req, res) => {
 });
 
 // Upsert all pending messages
-router.post('/vectorstore/upsert-pending', authenticateJWT, async (req, res) => {
+router.post('/vectorstore/upsert-pending', requireRagAdmin, async (req, res) => {
     try {
         const result = await ragController.upsertPendingMessages(req, res);
         res.json(result);
@@ -269,8 +516,24 @@ router.post('/search', async (req, res) => {
             });
         }
 
-        // Perform search
-        const result = await ragService.search(query);
+        const scope = getSearchScope(req);
+        if (!SEARCH_SCOPES.includes(scope.type)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid scope. Expected one of: ${SEARCH_SCOPES.join(', ')}`
+            });
+        }
+
+        const refusal = await checkConversationAccess(req, scope);
+        if (refusal) {
+            return res.status(refusal.status).json({
+                success: false,
+                error: refusal.message
+            });
+        }
+
+        // Perform search within what the user can see
+        const result = await ragService.search(query, { topK: 5, scope });
         
         // Return results
         res.json(result);
@@ -287,7 +550,7 @@ router.post('/search', async (req, res) => {
  * @route GET /api/rag/reembedding/status
  * @description Get the status of the re-embedding cron job
  */
-router.get('/reembedding/status', authenticateJWT, async (req, res) => {
+router.get('/reembedding/status', requireRagAdmin, async (req, res) => {
     try {
         const { getJobStatus } = await import('../cron/reembedding.js');
         const status = getJobStatus();
@@ -14,6 +14,7 @@
  * - Multiple reactions per message
  * - User-specific reaction tracking
  * - Reaction counts and statistics
+ * - Conversation access checks (reacting requires post access)
  * - Error handling and validation
  * 
  * Dependencies:
@@ -26,6 +27,8 @@
 
 import express from 'express';
 import { authenticateJWT } from '../middleware/auth.js';
+import { authorize, messageFromParams } from '../middleware/authorize.js';
+import { PERMISSIONS } from '../services/authorizationService.js';
 import { createClient } from '@supabase/supabase-js';
 
 const router = express.Router();
@@ -35,7 +38,7 @@ const supabase = createClient(
 );
 
 // Add or remove a reaction
-router.post('/:messageId', authenticateJWT, async (req, res) => {
+router.post('/:messageId', authenticateJWT, authorize(PERMISSIONS.POST, messageFromParams()), async (req, res) => {
     try {
         const { messageId } = req.params;
         const { emoji } = req.body;
@@ -95,7 +98,7 @@ router.post('/:messageId', authenticateJWT, async (req, res) => {
 });
 
 // Get reactions for a message
-router.get('/:messageId', authenticateJWT, async (req, res) => {
+router.get('/:messageId', authenticateJWT, authorize(PERMISSIONS.READ, messageFromParams()), async (req, res) => {
     try {
         const { messageId } = req.params;
 
@@ -0,0 +1,53 @@
+/**
+ * @file search.js
+ * @description Message search routes handler. Searches combine full-text and
+ * semantic ranking and only cover the channels and DMs the user belongs to.
+ *
+ * Endpoints:
+ * - GET /api/search/messages: Search messages
+ *
+ * Query Parameters:
+ * - q: Search text with optional filters (from:, in:#, has:file, before:, after:, is:pinned)
+ * - limit: Maximum number of results (1-50, default 20)
+ *
+ * Dependencies:
+ * - express
+ * - ../services/searchService
+ *
+ * @version 1.0.0
+ * @created 2024-01-24
+ */
+
+import express from 'express';
+import { authenticateJWT } from '../middleware/auth.js';
+import searchService, { DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT } from '../services/searchService.js';
+
+const router = express.Router();
+
+// Search messages
+router.get('/messages', authenticateJWT, async (req, res) => {
+    try {
+        const { q } = req.query;
+        if (typeof q !== 'string' || !q.trim()) {
+            return res.status(400).json({ message: 'Query parameter q is required' });
+        }
+
+        const limit = req.query.limit === undefined ? DEFAULT_SEARCH_LIMIT : parseInt(req.query.limit, 10);
+        if (Number.isNaN(limit) || limit < 1) {
+            return res.status(400).json({ message: 'limit must be a positive integer' });
+        }
+
+        const result = await searchService.searchMessages(req.user.id, q, {
+            limit: Math.min(limit, MAX_SEARCH_LIMIT)
+        });
+        res.json(result);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Error searching messages:', error);
+        res.status(500).json({ message: 'Error searching messages' });
+    }
+});
+
+export default router;
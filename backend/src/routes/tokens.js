@@ -0,0 +1,101 @@
+/**
+ * @file tokens.js
+ * @description Personal API token and bot account routes handler. Tokens let
+ * scripts and integrations call the API without a user's password; they can
+ * only be managed from a signed-in session, never with another API token.
+ *
+ * Endpoints:
+ * - GET /api/tokens/scopes: List the scopes a token can be given
+ * - GET /api/tokens: List the tokens the user created
+ * - POST /api/tokens: Create a token for the user or one of their bots
+ * - DELETE /api/tokens/:tokenId: Revoke a token
+ * - GET /api/tokens/bots: List the user's bots
+ * - POST /api/tokens/bots: Create a bot account
+ *
+ * Dependencies:
+ * - express
+ * - ../middleware/auth
+ * - ../services/apiTokenService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import express from 'express';
+import { authenticateJWT } from '../middleware/auth.js';
+import apiTokenService, { API_TOKEN_SCOPES, validateTokenOptions } from '../services/apiTokenService.js';
+
+const router = express.Router();
+
+const sendTokenError = (res, error, fallbackMessage) => {
+    if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ message: fallbackMessage });
+};
+
+router.use(authenticateJWT);
+
+// List the available scopes with descriptions
+router.get('/scopes', (req, res) => {
+    res.json(API_TOKEN_SCOPES);
+});
+
+// List the bots the user manages
+router.get('/bots', async (req, res) => {
+    try {
+        const bots = await apiTokenService.listBots(req.user.id);
+        res.json(bots);
+    } catch (error) {
+        sendTokenError(res, error, 'Error fetching bots');
+    }
+});
+
+// Create a bot. Body: { username, avatar_url }
+router.post('/bots', async (req, res) => {
+    try {
+        const { username, avatar_url } = req.body;
+        const bot = await apiTokenService.createBot(req.user.id, { username, avatar_url });
+        res.status(201).json(bot);
+    } catch (error) {
+        sendTokenError(res, error, 'Error creating bot');
+    }
+});
+
+// List the user's tokens, newest first. Token strings are never returned again.
+router.get('/', async (req, res) => {
+    try {
+        const tokens = await apiTokenService.listTokens(req.user.id);
+        res.json(tokens);
+    } catch (error) {
+        sendTokenError(res, error, 'Error fetching tokens');
+    }
+});
+
+// Create a token. Body: { name, scopes, expiresInDays, botId }
+router.post('/', async (req, res) => {
+    try {
+        const { error: validationError, options } = validateTokenOptions(req.body);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const token = await apiTokenService.createToken(req.user.id, options);
+        res.status(201).json(token);
+    } catch (error) {
+        sendTokenError(res, error, 'Error creating token');
+    }
+});
+
+// Revoke a token
+router.delete('/:tokenId', async (req, res) => {
+    try {
+        const token = await apiTokenService.revokeToken(req.user.id, req.params.tokenId);
+        res.json(token);
+    } catch (error) {
+        sendTokenError(res, error, 'Error revoking token');
+    }
+});
+
+export default router;
@@ -5,6 +5,16 @@
  * with secure access control.
  * 
  * Endpoints:
+ * - GET /api/users/me/twin: Get the caller's digital twin opt-in
+ * - PUT /api/users/me/twin: Opt in to or out of the digital twin
+ * - GET /api/users/me/unread: Unread and mention counts for the caller's channels and DMs
+ * - GET /api/users/me/notification-preferences: Per-conversation preferences and the
+ *   do-not-disturb schedule
+ * - PUT /api/users/me/dnd-schedule: Change the do-not-disturb schedule.
+ *   Body: { enabled, start: 'HH:MM', end: 'HH:MM', timezone }
+ * - GET /api/users/me/digest: The caller's email digest settings
+ * - PUT /api/users/me/digest: Change them.
+ *   Body: { frequency: 'daily' | 'weekly' | 'off', include_summaries }
  * - GET /api/users/:userId: Get user profile by ID
  * 
  * Features:
@@ -24,6 +34,10 @@
 import express from 'express';
 import { authenticateJWT } from '../middleware/auth.js';
 import { createClient } from '@supabase/supabase-js';
+import twinService from '../services/twinService.js';
+import readStateService from '../services/readStateService.js';
+import notificationPreferenceService from '../services/notificationPreferenceService.js';
+import digestService from '../services/digestService.js';
 
 const router = express.Router();
 const supabase = createClient(
@@ -31,6 +45,94 @@ const supabase = createClient(
     process.env.SUPABASE_SERVICE_KEY
 );
 
+// Get the caller's digital twin settings
+router.get('/me/twin', authenticateJWT, async (req, res) => {
+    try {
+        const settings = await twinService.getSettings(req.user.id);
+        res.json(settings);
+    } catch (error) {
+        console.error('Error fetching twin settings:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Opt in to or out of the digital twin
+router.put('/me/twin', authenticateJWT, async (req, res) => {
+    try {
+        const { enabled } = req.body;
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ message: 'enabled must be a boolean' });
+        }
+
+        const settings = await twinService.updateSettings(req.user.id, enabled);
+        res.json(settings);
+    } catch (error) {
+        console.error('Error updating twin settings:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Unread and mention counts for every channel and DM the caller belongs to
+router.get('/me/unread', authenticateJWT, async (req, res) => {
+    try {
+        const counts = await readStateService.getUnreadCounts(req.user.id);
+        res.json(counts);
+    } catch (error) {
+        console.error('Error fetching unread counts:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Notification preferences for the caller's channels and DMs, and their schedule
+router.get('/me/notification-preferences', authenticateJWT, async (req, res) => {
+    try {
+        const preferences = await notificationPreferenceService.getPreferences(req.user.id);
+        res.json(preferences);
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Set the daily window in which the caller is not to be disturbed
+router.put('/me/dnd-schedule', authenticateJWT, async (req, res) => {
+    try {
+        const schedule = await notificationPreferenceService.updateSchedule(req.user.id, req.body || {});
+        res.json(schedule);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error updating do-not-disturb schedule:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// How often the caller gets an email digest of what they missed
+router.get('/me/digest', authenticateJWT, async (req, res) => {
+    try {
+        const settings = await digestService.getSettings(req.user.id);
+        res.json(settings);
+    } catch (error) {
+        console.error('Error fetching digest settings:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Change the caller's email digest settings
+router.put('/me/digest', authenticateJWT, async (req, res) => {
+    try {
+        const settings = await digestService.updateSettings(req.user.id, req.body || {});
+        res.json(settings);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error('Error updating digest settings:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
 // Get user by ID
 router.get('/:userId', authenticateJWT, async (req, res) => {
     console.log('Fetching user:', req.params.userId);
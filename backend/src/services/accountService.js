@@ -0,0 +1,281 @@
+/**
+ * @file accountService.js
+ * @description Email verification and password reset. Both flows email the user a
+ * link carrying a signed token that expires and works once: the token is a JWT
+ * naming its purpose, and its ID is recorded server-side so a used link cannot be
+ * replayed.
+ *
+ * Core Functionality:
+ * - Verification and reset emails
+ * - Token issuing and single-use redemption
+ * - Email confirmation
+ * - Password reset (signs the user out everywhere)
+ *
+ * Errors:
+ * - Invalid, expired or used tokens and unacceptable passwords throw errors with
+ *   status 400 so routes can pass them through
+ *
+ * Environment Variables:
+ * - FRONTEND_URL: Base URL of the web app used in emailed links (default http://localhost:5173)
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - jsonwebtoken
+ * - bcryptjs
+ * - ./mailers
+ * - ./tokenService
+ *
+ * @version 1.0.0
+ * @created 2024-01-25
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { JWT_SECRET } from '../config/jwt.js';
+import { createMailer } from './mailers/index.js';
+import tokenService from './tokenService.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+export const TOKEN_PURPOSES = {
+    VERIFY_EMAIL: 'verify_email',
+    RESET_PASSWORD: 'reset_password'
+};
+
+const TOKEN_LIFETIMES = {
+    [TOKEN_PURPOSES.VERIFY_EMAIL]: '24h',
+    [TOKEN_PURPOSES.RESET_PASSWORD]: '1h'
+};
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const accountError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Checks a new password
+ * @param {string} password - Proposed password
+ * @returns {string|null} Why the password is unacceptable, or null
+ */
+export const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+};
+
+class AccountService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     * @param {Object} options.mailer - Mail transport (see mailers/index.js)
+     * @param {Object} options.tokenService - Session token service
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+        this.mailer = options.mailer || createMailer();
+        this.tokenService = options.tokenService || tokenService;
+        this.frontendUrl = options.frontendUrl || process.env.FRONTEND_URL || 'http://localhost:5173';
+    }
+
+    /**
+     * Issues a signed single-use token
+     * @param {string} userId - User the token is for
+     * @param {string} purpose - One of TOKEN_PURPOSES
+     * @returns {Promise<string>}
+     */
+    async createToken(userId, purpose) {
+        const id = crypto.randomUUID();
+        const token = jwt.sign({ sub: userId, purpose }, JWT_SECRET, {
+            expiresIn: TOKEN_LIFETIMES[purpose],
+            jwtid: id
+        });
+
+        const { error } = await this.supabase
+            .from('account_tokens')
+            .insert({
+                id,
+                user_id: userId,
+                purpose,
+                expires_at: new Date(jwt.decode(token).exp * 1000).toISOString()
+            });
+
+        if (error) throw error;
+        return token;
+    }
+
+    /**
+     * Checks a token and marks it used
+     * @param {string} token - Token from the emailed link
+     * @param {string} purpose - Purpose the token must have been issued for
+     * @returns {Promise<string>} The user ID the token was issued to
+     */
+    async consumeToken(token, purpose) {
+        let claims;
+        try {
+            claims = jwt.verify(token, JWT_SECRET);
+        } catch (error) {
+            throw accountError(error.name === 'TokenExpiredError' ? 'This link has expired' : 'This link is invalid');
+        }
+
+        if (claims.purpose !== purpose || !claims.jti) {
+            throw accountError('This link is invalid');
+        }
+
+        // Marking the token used in a conditional update makes it single-use
+        const { data: used, error } = await this.supabase
+            .from('account_tokens')
+            .update({ used_at: new Date().toISOString() })
+            .eq('id', claims.jti)
+            .eq('purpose', purpose)
+            .is('used_at', null)
+            .select('user_id')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!used) {
+            throw accountError('This link has already been used');
+        }
+
+        return used.user_id;
+    }
+
+    async sendEmail(user, subject, intro, actionLabel, url) {
+        await this.mailer.send({
+            to: user.email,
+            subject,
+            text: `Hi ${user.username},\n\n${intro}\n\n${actionLabel}: ${url}\n\nIf you did not ask for this, you can ignore this email.`,
+            html: `<p>Hi ${escapeHtml(user.username)},</p><p>${intro}</p><p><a href="${escapeHtml(url)}">${actionLabel}</a></p><p>If you did not ask for this, you can ignore this email.</p>`
+        });
+    }
+
+    /**
+     * Emails a verification link
+     * @param {Object} user - User with id, email and username
+     */
+    async sendVerificationEmail(user) {
+        const token = await this.createToken(user.id, TOKEN_PURPOSES.VERIFY_EMAIL);
+        await this.sendEmail(
+            user,
+            'Verify your ChatGenius email address',
+            'Confirm this is your email address to finish setting up your account. The link is valid for 24 hours.',
+            'Verify email',
+            `${this.frontendUrl}/verify-email?token=${encodeURIComponent(token)}`
+        );
+    }
+
+    /**
+     * Emails a new verification link to a signed-in user
+     * @param {string} userId - User ID
+     * @returns {Promise<boolean>} false when the email is already verified
+     */
+    async resendVerification(userId) {
+        const { data: user, error } = await this.supabase
+            .from('users')
+            .select('id, email, username, email_verified_at')
+            .eq('id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!user || user.email_verified_at) return false;
+
+        await this.sendVerificationEmail(user);
+        return true;
+    }
+
+    /**
+     * Marks the token's user as verified
+     * @param {string} token - Token from the verification link
+     * @returns {Promise<string>} The verified user's ID
+     */
+    async confirmEmail(token) {
+        const userId = await this.consumeToken(token, TOKEN_PURPOSES.VERIFY_EMAIL);
+
+        const { error } = await this.supabase
+            .from('users')
+            .update({ email_verified_at: new Date().toISOString() })
+            .eq('id', userId)
+            .is('email_verified_at', null);
+
+        if (error) throw error;
+        return userId;
+    }
+
+    /**
+     * Emails a password reset link if an account uses the address. Callers should
+     * answer the same way either way so addresses cannot be probed.
+     * @param {string} email - Address entered on the forgot-password screen
+     */
+    async requestPasswordReset(email) {
+        const { data: user, error } = await this.supabase
+            .from('users')
+            .select('id, email, username')
+            .eq('email', email)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!user) return;
+
+        const token = await this.createToken(user.id, TOKEN_PURPOSES.RESET_PASSWORD);
+        await this.sendEmail(
+            user,
+            'Reset your ChatGenius password',
+            'Someone asked to reset the password for your account. The link is valid for 1 hour and works once.',
+            'Choose a new password',
+            `${this.frontendUrl}/reset-password?token=${encodeURIComponent(token)}`
+        );
+    }
+
+    /**
+     * Sets a new password and signs the user out of every session
+     * @param {string} token - Token from the reset link
+     * @param {string} password - New password
+     */
+    async resetPassword(token, password) {
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            throw accountError(passwordError);
+        }
+
+        const userId = await this.consumeToken(token, TOKEN_PURPOSES.RESET_PASSWORD);
+
+        const salt = await bcrypt.genSalt(10);
+        const password_hash = await bcrypt.hash(password, salt);
+
+        const { error } = await this.supabase
+            .from('users')
+            .update({ password_hash })
+            .eq('id', userId);
+
+        if (error) throw error;
+
+        // Other reset links sent before this one must not work anymore
+        const { error: expireError } = await this.supabase
+            .from('account_tokens')
+            .update({ used_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .eq('purpose', TOKEN_PURPOSES.RESET_PASSWORD)
+            .is('used_at', null);
+
+        if (expireError) throw expireError;
+
+        await this.tokenService.revokeAllSessions(userId);
+    }
+}
+
+export { AccountService };
+export default new AccountService();
@@ -0,0 +1,30 @@
+/**
+ * @file aiAnswerClaims.js
+ * @description Questions whose AI answer is already being produced by this process.
+ * The streaming endpoint (POST /api/rag/ask/stream) claims a question before saving
+ * it, so the message listener, which sees every new message, does not answer it a
+ * second time.
+ *
+ * @version 1.0.0
+ * @created 2024-01-27
+ */
+
+// The listener sees a new message within seconds, so claims need not outlive that
+const CLAIM_TTL_MS = 60 * 1000;
+
+const claims = new Set();
+
+/**
+ * Marks a message as answered elsewhere
+ * @param {string} messageId - ID the question will be saved with
+ */
+export const claimQuestion = (messageId) => {
+    claims.add(messageId);
+    setTimeout(() => claims.delete(messageId), CLAIM_TTL_MS).unref();
+};
+
+/**
+ * @param {string} messageId - A newly saved message
+ * @returns {boolean} Whether its answer is produced elsewhere
+ */
+export const isQuestionClaimed = (messageId) => claims.has(messageId);
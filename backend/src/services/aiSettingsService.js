@@ -0,0 +1,177 @@
+/**
+ * @file aiSettingsService.js
+ * @description Per-channel configuration for the AI assistant. Channels without a
+ * stored record use the defaults, which match how the assistant behaved before
+ * settings existed (enabled, triggered by "@ai", grounded in this channel's history).
+ *
+ * Core Functionality:
+ * - Settings lookup with defaults
+ * - Settings validation
+ * - Settings persistence
+ *
+ * Settings:
+ * - enabled: Whether the assistant answers in the channel
+ * - trigger: Keyword a message must start with to address the assistant
+ * - system_prompt: Optional instructions replacing the default system prompt
+ * - model, temperature, max_tokens: Chat completion parameters
+ * - use_rag: Whether answers are grounded in retrieved messages
+ * - rag_scope: 'channel' (this channel only) or 'all' (every conversation the asker
+ *   and all of the channel's members can see)
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ *
+ * @version 1.0.0
+ * @created 2024-01-22
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+export const AI_MODELS = ['gpt-3.5-turbo', 'gpt-4', 'gpt-4-turbo', 'gpt-4o', 'gpt-4o-mini'];
+export const RAG_SCOPES = ['channel', 'all'];
+
+export const DEFAULT_AI_SETTINGS = {
+    enabled: true,
+    trigger: '@ai',
+    system_prompt: null,
+    model: 'gpt-3.5-turbo',
+    temperature: 0.7,
+    max_tokens: 500,
+    use_rag: true,
+    rag_scope: 'channel'
+};
+
+const SETTINGS_FIELDS = Object.keys(DEFAULT_AI_SETTINGS);
+
+// The message listener reads settings for every channel message, so keep them briefly
+const CACHE_TTL_MS = 30 * 1000;
+
+/**
+ * Validates a partial settings update
+ * @param {Object} input - Request body
+ * @returns {{ error?: string, settings?: Object }} Only the fields that were provided
+ */
+export const validateAISettings = (input = {}) => {
+    const settings = {};
+
+    for (const field of SETTINGS_FIELDS) {
+        if (input[field] === undefined) continue;
+        const value = input[field];
+
+        switch (field) {
+            case 'enabled':
+            case 'use_rag':
+                if (typeof value !== 'boolean') return { error: `${field} must be a boolean` };
+                break;
+            case 'trigger':
+                if (typeof value !== 'string' || !/^\S{1,32}$/.test(value.trim())) {
+                    return { error: 'trigger must be a single word of at most 32 characters' };
+                }
+                settings[field] = value.trim().toLowerCase();
+                continue;
+            case 'system_prompt':
+                if (value !== null && typeof value !== 'string') return { error: 'system_prompt must be a string' };
+                if (value && value.length > 4000) return { error: 'system_prompt must be at most 4000 characters' };
+                settings[field] = value?.trim() || null;
+                continue;
+            case 'model':
+                if (!AI_MODELS.includes(value)) return { error: `model must be one of: ${AI_MODELS.join(', ')}` };
+                break;
+            case 'temperature':
+                if (typeof value !== 'number' || value < 0 || value > 2) return { error: 'temperature must be a number between 0 and 2' };
+                break;
+            case 'max_tokens':
+                if (!Number.isInteger(value) || value < 1 || value > 4000) return { error: 'max_tokens must be an integer between 1 and 4000' };
+                break;
+            case 'rag_scope':
+                if (!RAG_SCOPES.includes(value)) return { error: `rag_scope must be one of: ${RAG_SCOPES.join(', ')}` };
+                break;
+        }
+
+        settings[field] = value;
+    }
+
+    return { settings };
+};
+
+class AISettingsService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+        this.cache = new Map();
+    }
+
+    /**
+     * Returns the effective settings for a channel
+     * @param {string} channelId - Channel ID
+     * @returns {Promise<Object>} Stored settings merged over the defaults
+     */
+    async getChannelSettings(channelId) {
+        const cached = this.cache.get(channelId);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.settings;
+        }
+
+        const { data, error } = await this.supabase
+            .from('channel_ai_settings')
+            .select('*')
+            .eq('channel_id', channelId)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        const stored = Object.fromEntries(
+            SETTINGS_FIELDS
+                .filter(field => data?.[field] !== undefined && data[field] !== null)
+                .map(field => [field, data[field]])
+        );
+
+        const settings = {
+            channel_id: channelId,
+            ...DEFAULT_AI_SETTINGS,
+            ...stored,
+            updated_by: data?.updated_by || null,
+            updated_at: data?.updated_at || null
+        };
+
+        this.cache.set(channelId, { settings, expiresAt: Date.now() + CACHE_TTL_MS });
+        return settings;
+    }
+
+    /**
+     * Applies a validated partial update to a channel's settings
+     * @param {string} channelId - Channel ID
+     * @param {Object} settings - Output of validateAISettings
+     * @param {string} userId - User making the change
+     * @returns {Promise<Object>} The new effective settings
+     */
+    async updateChannelSettings(channelId, settings, userId) {
+        const current = await this.getChannelSettings(channelId);
+        const next = { ...current, ...settings };
+
+        const { error } = await this.supabase
+            .from('channel_ai_settings')
+            .upsert({
+                channel_id: channelId,
+                ...Object.fromEntries(SETTINGS_FIELDS.map(field => [field, next[field]])),
+                updated_by: userId,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'channel_id' });
+
+        if (error) throw error;
+
+        this.cache.delete(channelId);
+        return this.getChannelSettings(channelId);
+    }
+}
+
+export { AISettingsService };
+export default new AISettingsService();
@@ -0,0 +1,357 @@
+/**
+ * @file apiTokenService.js
+ * @description Personal API tokens and bot accounts for scripts and integrations.
+ * A token acts as the user who created it or as one of their bots, and its scopes
+ * limit which parts of the API it can reach. Tokens are random strings shown once
+ * at creation and stored as hashes; they work until they expire or are revoked.
+ *
+ * Core Functionality:
+ * - Bot account creation and listing
+ * - Token creation, listing and revocation
+ * - Token authentication with last-used tracking
+ * - Mapping requests to the scope they need
+ *
+ * Errors:
+ * - Methods throw errors with a status (400, 401, 403 or 404) for requests that
+ *   cannot be served, so routes and middleware can pass them through
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - bcryptjs
+ * - crypto
+ * - ./tokenService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { hashToken } from './tokenService.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+export const API_TOKEN_PREFIX = 'cgp_';
+
+export const API_TOKEN_SCOPES = {
+    'messages:read': 'Read messages, reactions and search results',
+    'messages:write': 'Send, edit and delete messages and reactions',
+    'channels:read': 'View channels and their members',
+    'channels:write': 'Create, join, leave and manage channels',
+    'users:read': 'View user profiles',
+    'users:write': 'Update the account\'s own settings',
+    'files:write': 'Upload files',
+    'rag:read': 'Ask questions and search the knowledge base',
+    'rag:admin': 'Manage embeddings, imported documents and the vector store',
+    'commands:read': 'List slash commands and the bot\'s registered commands',
+    'commands:write': 'Run slash commands and register the bot\'s own commands'
+};
+
+export const DEFAULT_API_TOKEN_EXPIRY_DAYS = 90;
+export const MAX_API_TOKEN_EXPIRY_DAYS = 365;
+const MAX_NAME_LENGTH = 100;
+const BOT_USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,32}$/;
+
+// last_used_at is only written when it is at least this much out of date
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// API areas tokens can reach, by mount path. Reads need <area>:read and other
+// methods <area>:write; routes outside these areas only accept signed-in sessions.
+const TOKEN_AREAS = {
+    '/api/messages': 'messages',
+    '/api/reactions': 'messages',
+    '/api/dm': 'messages',
+    '/api/notifications': 'messages',
+    '/api/search': 'messages',
+    '/api/channels': 'channels',
+    '/api/invites': 'channels',
+    '/api/users': 'users',
+    '/api/files': 'files',
+    '/api/rag': 'rag',
+    '/api/commands': 'commands'
+};
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// RAG queries are POSTs that only read; every other RAG route administers the index
+const RAG_QUERY_PATHS = new Set(['/ask', '/ask/stream', '/search']);
+
+const TOKEN_FIELDS = 'id, user_id, created_by, name, token_prefix, scopes, expires_at, last_used_at, revoked_at, created_at';
+
+const apiTokenError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Works out the scope an API token needs for a request
+ * @param {string} method - HTTP method
+ * @param {string} baseUrl - Mount path of the router (req.baseUrl)
+ * @param {string} path - Path within the router (req.path)
+ * @returns {string|null} The scope, or null when tokens cannot be used at all
+ */
+export const getRequiredScope = (method, baseUrl, path) => {
+    const area = TOKEN_AREAS[baseUrl];
+    if (!area) return null;
+
+    if (area === 'rag') {
+        return RAG_QUERY_PATHS.has(path) ? 'rag:read' : 'rag:admin';
+    }
+    return `${area}:${READ_METHODS.has(method) ? 'read' : 'write'}`;
+};
+
+/**
+ * Validates the options for a new token
+ * @param {Object} input - Request body
+ * @param {string} input.name - What the token is for
+ * @param {string[]} input.scopes - Scopes from API_TOKEN_SCOPES
+ * @param {number|null} input.expiresInDays - Lifetime in days (default 90); null for no expiry
+ * @param {string} input.botId - Bot the token acts as; omitted for the creator
+ * @returns {{ error?: string, options?: Object }}
+ */
+export const validateTokenOptions = (input = {}) => {
+    const { name, scopes, expiresInDays = DEFAULT_API_TOKEN_EXPIRY_DAYS, botId = null } = input;
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+        return { error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` };
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_TOKEN_SCOPES[scope])) {
+        return { error: `scopes must be a non-empty list of: ${Object.keys(API_TOKEN_SCOPES).join(', ')}` };
+    }
+
+    if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_API_TOKEN_EXPIRY_DAYS)) {
+        return { error: `expiresInDays must be null or an integer between 1 and ${MAX_API_TOKEN_EXPIRY_DAYS}` };
+    }
+
+    if (botId !== null && typeof botId !== 'string') {
+        return { error: 'botId must be a string' };
+    }
+
+    return { options: { name: name.trim(), scopes: [...new Set(scopes)], expiresInDays, botId } };
+};
+
+class ApiTokenService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+    }
+
+    /**
+     * Creates a bot account managed by a user
+     * @param {string} ownerId - User creating the bot
+     * @param {Object} bot - { username, avatar_url }
+     * @returns {Promise<Object>} The bot user
+     */
+    async createBot(ownerId, { username, avatar_url = null } = {}) {
+        if (typeof username !== 'string' || !BOT_USERNAME_PATTERN.test(username)) {
+            throw apiTokenError(400, 'username must be 3-32 letters, digits, underscores or hyphens');
+        }
+
+        const { data: existing, error: existingError } = await this.supabase
+            .from('users')
+            .select('id')
+            .eq('username', username)
+            .maybeSingle();
+
+        if (existingError) throw existingError;
+        if (existing) {
+            throw apiTokenError(400, 'Username already taken');
+        }
+
+        // Bots never sign in; the hash of a discarded random password keeps the column filled
+        const password_hash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+        const id = crypto.randomUUID();
+
+        const { data: bot, error } = await this.supabase
+            .from('users')
+            .insert({
+                id,
+                username,
+                email: `${id}@bots.chatgenius.local`,
+                password_hash,
+                avatar_url,
+                is_bot: true,
+                bot_owner_id: ownerId
+            })
+            .select('id, username, avatar_url, is_bot, bot_owner_id, created_at')
+            .single();
+
+        if (error) throw error;
+        return bot;
+    }
+
+    /**
+     * Lists the bots a user manages
+     * @param {string} ownerId - User ID
+     * @returns {Promise<Object[]>}
+     */
+    async listBots(ownerId) {
+        const { data, error } = await this.supabase
+            .from('users')
+            .select('id, username, avatar_url, is_bot, bot_owner_id, created_at')
+            .eq('bot_owner_id', ownerId)
+            .eq('is_bot', true)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Creates a token. The returned token string is not stored and cannot be shown again.
+     * @param {string} creatorId - User creating the token
+     * @param {Object} options - Validated options (see validateTokenOptions)
+     * @returns {Promise<Object>} The token record plus the token string
+     */
+    async createToken(creatorId, { name, scopes, expiresInDays, botId }) {
+        let userId = creatorId;
+        if (botId) {
+            const { data: bot, error: botError } = await this.supabase
+                .from('users')
+                .select('id, bot_owner_id, is_bot')
+                .eq('id', botId)
+                .maybeSingle();
+
+            if (botError) throw botError;
+            if (!bot || !bot.is_bot || bot.bot_owner_id !== creatorId) {
+                throw apiTokenError(404, 'Bot not found');
+            }
+            userId = bot.id;
+        }
+
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const token = `${API_TOKEN_PREFIX}${secret}`;
+        const expiresAt = expiresInDays === null
+            ? null
+            : new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+
+        const { data, error } = await this.supabase
+            .from('api_tokens')
+            .insert({
+                user_id: userId,
+                created_by: creatorId,
+                name,
+                token_prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+                token_hash: hashToken(token),
+                scopes,
+                expires_at: expiresAt
+            })
+            .select(TOKEN_FIELDS)
+            .single();
+
+        if (error) throw error;
+        return { ...data, token };
+    }
+
+    /**
+     * Lists the tokens a user created, for themselves and their bots
+     * @param {string} creatorId - User ID
+     * @returns {Promise<Object[]>}
+     */
+    async listTokens(creatorId) {
+        const { data, error } = await this.supabase
+            .from('api_tokens')
+            .select(TOKEN_FIELDS)
+            .eq('created_by', creatorId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Revokes a token the user created
+     * @param {string} creatorId - User ID
+     * @param {string} tokenId - Token ID
+     * @returns {Promise<Object>} The revoked token record
+     */
+    async revokeToken(creatorId, tokenId) {
+        const { data: existing, error: fetchError } = await this.supabase
+            .from('api_tokens')
+            .select(TOKEN_FIELDS)
+            .eq('id', tokenId)
+            .eq('created_by', creatorId)
+            .maybeSingle();
+
+        if (fetchError) throw fetchError;
+        if (!existing) {
+            throw apiTokenError(404, 'Token not found');
+        }
+        if (existing.revoked_at) return existing;
+
+        const { data, error } = await this.supabase
+            .from('api_tokens')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', tokenId)
+            .select(TOKEN_FIELDS)
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Resolves a token presented as a bearer token
+     * @param {string} token - Token string
+     * @returns {Promise<{ user: Object, token: Object }>}
+     * @throws {Error} With status 401 when the token is unknown, expired or revoked
+     */
+    async authenticate(token) {
+        const { data: stored, error } = await this.supabase
+            .from('api_tokens')
+            .select('id, user_id, scopes, expires_at, last_used_at, revoked_at')
+            .eq('token_hash', hashToken(token))
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!stored) {
+            throw apiTokenError(401, 'Invalid API token');
+        }
+        if (stored.revoked_at) {
+            throw apiTokenError(401, 'API token has been revoked');
+        }
+        if (stored.expires_at && new Date(stored.expires_at) <= new Date()) {
+            throw apiTokenError(401, 'API token expired');
+        }
+
+        const { data: user, error: userError } = await this.supabase
+            .from('users')
+            .select('id, email, username, is_bot')
+            .eq('id', stored.user_id)
+            .maybeSingle();
+
+        if (userError) throw userError;
+        if (!user) {
+            throw apiTokenError(401, 'Invalid API token');
+        }
+
+        this.recordUse(stored);
+        return { user, token: stored };
+    }
+
+    // Best effort: a failed timestamp update should not fail the request
+    recordUse(stored) {
+        const lastUsed = stored.last_used_at ? new Date(stored.last_used_at).getTime() : 0;
+        if (Date.now() - lastUsed < LAST_USED_RESOLUTION_MS) return;
+
+        this.supabase
+            .from('api_tokens')
+            .update({ last_used_at: new Date().toISOString() })
+            .eq('id', stored.id)
+            .then(({ error }) => {
+                if (error) console.error('Error recording API token use:', error);
+            }, (error) => console.error('Error recording API token use:', error));
+    }
+}
+
+export { ApiTokenService };
+export default new ApiTokenService();
@@ -0,0 +1,222 @@
+/**
+ * @file authorizationService.js
+ * @description Decides what a user may do in a channel or direct message. Routes go
+ * through this service (usually via the authorize middleware) instead of querying
+ * membership tables themselves, so every conversation follows the same rules.
+ *
+ * Permissions:
+ * - read: View messages. Public channels are readable by every user; private
+ *   channels and DMs only by their members
+ * - post: Send messages, files and reactions. Requires membership other than guest
+ * - moderate: Delete other people's messages and manage pins. Requires owner, admin
+ *   or moderator
+ * - admin: Change channel configuration and member roles. Requires owner or admin
+ *
+ * Channel Roles (highest first):
+ * - owner, admin, moderator, member, guest (read-only member)
+ *
+ * DMs have no roles, so moderate and admin are never granted in a DM.
+ *
+ * System administrators (users.is_admin) manage what is not part of any one
+ * conversation, such as the RAG index.
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ *
+ * @version 1.0.0
+ * @created 2024-01-24
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+export const PERMISSIONS = {
+    READ: 'read',
+    POST: 'post',
+    MODERATE: 'moderate',
+    ADMIN: 'admin'
+};
+
+// Highest first; a role outranks every role after it
+export const CHANNEL_ROLES = ['owner', 'admin', 'moderator', 'member', 'guest'];
+
+// Channel roles granting each elevated permission
+export const MODERATOR_ROLES = ['owner', 'admin', 'moderator'];
+export const ADMIN_ROLES = ['owner', 'admin'];
+
+const roleRank = (role) => CHANNEL_ROLES.length - CHANNEL_ROLES.indexOf(role);
+
+/**
+ * Whether a member may change another member's role. Admins manage roles below
+ * their own: owners can appoint admins, admins can appoint moderators, members
+ * and guests. Ownership cannot be handed out this way.
+ * @param {string} actorRole - Role of the member making the change
+ * @param {string} currentRole - Target member's current role
+ * @param {string} newRole - Role to assign
+ * @returns {boolean}
+ */
+export const canAssignRole = (actorRole, currentRole, newRole) =>
+    ADMIN_ROLES.includes(actorRole) &&
+    CHANNEL_ROLES.includes(newRole) &&
+    roleRank(currentRole) < roleRank(actorRole) &&
+    roleRank(newRole) < roleRank(actorRole);
+
+const ACTION_LABELS = {
+    read: 'view',
+    post: 'post in',
+    moderate: 'moderate',
+    admin: 'manage'
+};
+
+const deny = (permission, conversation) => ({
+    allowed: false,
+    status: 403,
+    message: `Not authorized to ${ACTION_LABELS[permission]} this ${conversation}`
+});
+
+class AuthorizationService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+    }
+
+    /**
+     * Looks up a channel and the user's membership in it
+     * @returns {Promise<{ channel: Object|null, role: string|null }>}
+     */
+    async getChannelAccess(userId, channelId) {
+        const [channelResult, memberResult] = await Promise.all([
+            this.supabase
+                .from('channels')
+                .select('id, is_private')
+                .eq('id', channelId)
+                .maybeSingle(),
+            this.supabase
+                .from('channel_members')
+                .select('role')
+                .eq('channel_id', channelId)
+                .eq('user_id', userId)
+                .maybeSingle()
+        ]);
+
+        if (channelResult.error) throw channelResult.error;
+        if (memberResult.error) throw memberResult.error;
+
+        return {
+            channel: channelResult.data,
+            role: memberResult.data ? memberResult.data.role || 'member' : null
+        };
+    }
+
+    async isDMMember(userId, dmId) {
+        const { data, error } = await this.supabase
+            .from('direct_message_members')
+            .select('dm_id')
+            .eq('dm_id', dmId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return !!data;
+    }
+
+    /**
+     * Checks a permission on a channel or DM
+     * @param {string} userId - User acting
+     * @param {string} permission - One of PERMISSIONS
+     * @param {Object} target - Conversation acted on
+     * @param {string} target.channelId - Channel ID
+     * @param {string} target.dmId - DM ID
+     * @returns {Promise<{ allowed: boolean, status?: number, message?: string, role?: string|null }>}
+     *   status and message describe the refusal when allowed is false
+     */
+    async check(userId, permission, { channelId, dmId } = {}) {
+        if (!Object.values(PERMISSIONS).includes(permission)) {
+            throw new Error(`Unknown permission: ${permission}`);
+        }
+
+        if (dmId) {
+            const isMember = await this.isDMMember(userId, dmId);
+            const allowed = isMember && (permission === PERMISSIONS.READ || permission === PERMISSIONS.POST);
+            return allowed ? { allowed, role: null } : deny(permission, 'DM');
+        }
+
+        if (!channelId) {
+            throw new Error('Authorization target requires a channelId or dmId');
+        }
+
+        const { channel, role } = await this.getChannelAccess(userId, channelId);
+        if (!channel) {
+            return { allowed: false, status: 404, message: 'Channel not found' };
+        }
+
+        let allowed;
+        switch (permission) {
+            case PERMISSIONS.READ:
+                allowed = !channel.is_private || !!role;
+                break;
+            case PERMISSIONS.POST:
+                allowed = !!role && role !== 'guest';
+                break;
+            case PERMISSIONS.MODERATE:
+                allowed = MODERATOR_ROLES.includes(role);
+                break;
+            case PERMISSIONS.ADMIN:
+                allowed = ADMIN_ROLES.includes(role);
+                break;
+        }
+
+        return allowed ? { allowed, role } : deny(permission, 'channel');
+    }
+
+    /**
+     * Convenience wrapper around check
+     * @returns {Promise<boolean>}
+     */
+    async can(userId, permission, target) {
+        const { allowed } = await this.check(userId, permission, target);
+        return allowed;
+    }
+
+    /**
+     * Whether a user is a system administrator
+     * @param {string} userId - User acting
+     * @returns {Promise<boolean>}
+     */
+    async isSystemAdmin(userId) {
+        const { data, error } = await this.supabase
+            .from('users')
+            .select('is_admin')
+            .eq('id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data?.is_admin === true;
+    }
+
+    /**
+     * Loads the conversation a message belongs to
+     * @param {string} messageId - Message ID
+     * @returns {Promise<Object|null>} The message's id, channel_id, dm_id, sender_id and deleted_at
+     */
+    async getMessageTarget(messageId) {
+        const { data, error } = await this.supabase
+            .from('messages')
+            .select('id, channel_id, dm_id, sender_id, deleted_at')
+            .eq('id', messageId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+}
+
+export { AuthorizationService };
+export default new AuthorizationService();
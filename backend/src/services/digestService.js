@@ -0,0 +1,481 @@
+/**
+ * @file digestService.js
+ * @description Email digests for users who have been away. Users choose a daily or
+ * weekly digest (or none); cron/digests.js sends every digest that is due. A
+ * digest covers the time since the previous one: DMs with unread messages, unread
+ * mentions, and optionally AI summaries of the channels with the most unread
+ * messages. Digests with nothing in them are not sent.
+ *
+ * Core Functionality:
+ * - Digest settings per user: frequency and whether to include channel summaries
+ * - Collecting the unread DMs, mentions and channel activity of a period
+ * - Rendering digests as text and HTML email and sending them through a mailer
+ *
+ * Delivery Rules:
+ * - Only verified email addresses get digests; bots never do
+ * - Users in do-not-disturb get their digest once it ends
+ * - DMs and channels the user has muted or set to none are left out (see
+ *   notificationPreferenceService)
+ * - A digest is claimed before it is built, so overlapping runs cannot send it
+ *   twice; if sending fails the claim is released and the next run retries
+ * - Each run sends the longest-waiting digests first
+ *
+ * Environment Variables:
+ * - FRONTEND_URL: Base URL of the web app used in emailed links (default http://localhost:5173)
+ * - MAIL_TRANSPORT: See mailers/index.js; 'file' writes digests to MAIL_FILE_DIR
+ *
+ * Errors:
+ * - Methods throw errors with a status (400) for requests that cannot be served,
+ *   so routes can pass them through
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - ./mailers
+ * - ./summaryService
+ * - ./notificationPreferenceService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { createMailer } from './mailers/index.js';
+import summaryService, { MAX_SUMMARY_MESSAGES } from './summaryService.js';
+import notificationPreferenceService from './notificationPreferenceService.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+export const DIGEST_FREQUENCIES = ['daily', 'weekly', 'off'];
+
+const HOUR_MS = 60 * 60 * 1000;
+export const DIGEST_PERIOD_MS = {
+    daily: 24 * HOUR_MS,
+    weekly: 7 * 24 * HOUR_MS
+};
+
+// Digests go out this much early, so a job running a little late each time doesn't drift
+const DUE_SLACK_MS = HOUR_MS;
+const DUE_BATCH_SIZE = 50;
+
+const MAX_DMS = 10;
+const DM_PREVIEW_LIMIT = 3;
+const MAX_MENTIONS = 20;
+const MAX_SUMMARY_CHANNELS = 3;
+// Channels with fewer new messages are listed without a summary
+const MIN_SUMMARY_MESSAGES = 3;
+const PREVIEW_LENGTH = 200;
+
+const CITATION_PATTERN = /\s*\[\d+\]/g;
+
+const digestError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const preview = (content) => {
+    const text = (content || '').replace(/\s+/g, ' ').trim();
+    return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text;
+};
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const latest = (...times) => new Date(Math.max(...times.filter(Boolean).map(time => new Date(time).getTime()))).toISOString();
+
+const formatSettings = (row) => ({
+    frequency: row?.digest_frequency || 'off',
+    include_summaries: row?.digest_include_summaries === true,
+    last_sent_at: row?.digest_last_sent_at || null
+});
+
+class DigestService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     * @param {Object} options.mailer - Mail transport (see mailers/index.js)
+     * @param {Object} options.summaryService - Writes the channel summaries
+     * @param {Object} options.preferenceService - Tells which conversations a user has silenced
+     * @param {string} options.frontendUrl - Base URL for links in digests
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+        this.mailer = options.mailer || createMailer();
+        this.summaryService = options.summaryService || summaryService;
+        this.preferenceService = options.preferenceService || notificationPreferenceService;
+        this.frontendUrl = options.frontendUrl || process.env.FRONTEND_URL || 'http://localhost:5173';
+    }
+
+    /**
+     * A user's digest settings
+     * @returns {Promise<{ frequency: string, include_summaries: boolean, last_sent_at: string|null }>}
+     */
+    async getSettings(userId) {
+        const { data, error } = await this.supabase
+            .from('user_settings')
+            .select('digest_frequency, digest_include_summaries, digest_last_sent_at')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return formatSettings(data);
+    }
+
+    /**
+     * Changes a user's digest settings
+     * @param {string} userId - User changing their settings
+     * @param {Object} settings - { frequency: 'daily' | 'weekly' | 'off', include_summaries }
+     */
+    async updateSettings(userId, { frequency, include_summaries: includeSummaries } = {}) {
+        if (frequency !== undefined && !DIGEST_FREQUENCIES.includes(frequency)) {
+            throw digestError(400, `frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+        }
+        if (includeSummaries !== undefined && typeof includeSummaries !== 'boolean') {
+            throw digestError(400, 'include_summaries must be a boolean');
+        }
+
+        const current = await this.getSettings(userId);
+        const next = {
+            frequency: frequency ?? current.frequency,
+            include_summaries: includeSummaries ?? current.include_summaries
+        };
+
+        const { error } = await this.supabase
+            .from('user_settings')
+            .upsert({
+                user_id: userId,
+                digest_frequency: next.frequency,
+                digest_include_summaries: next.include_summaries,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id' });
+
+        if (error) throw error;
+        return { ...next, last_sent_at: current.last_sent_at };
+    }
+
+    /**
+     * Start of the period a digest covers: the previous digest, unless that was
+     * long enough ago that the user has since turned digests off and on again
+     */
+    getPeriodStart(settings, now) {
+        const period = DIGEST_PERIOD_MS[settings.frequency];
+        const lastSent = settings.last_sent_at && new Date(settings.last_sent_at).getTime();
+        return lastSent && lastSent > now.getTime() - 2 * period
+            ? new Date(lastSent).toISOString()
+            : new Date(now.getTime() - period).toISOString();
+    }
+
+    /**
+     * DMs with unread messages that arrived in the period, each with the newest few
+     */
+    async getUnreadDMs(userId, since, unreadCounts) {
+        const unread = unreadCounts
+            .filter(row => row.dm_id && Number(row.unread_count) > 0)
+            .sort((a, b) => Number(b.unread_count) - Number(a.unread_count));
+
+        const dms = [];
+        for (const row of unread) {
+            if (dms.length >= MAX_DMS) break;
+
+            const { data: messages, error } = await this.supabase
+                .from('messages')
+                .select('id, content, created_at, sender:sender_id(id, username)')
+                .eq('dm_id', row.dm_id)
+                .neq('sender_id', userId)
+                .is('parent_id', null)
+                .is('deleted_at', null)
+                .gt('created_at', latest(since, row.last_read_at))
+                .order('created_at', { ascending: false })
+                .limit(DM_PREVIEW_LIMIT);
+
+            if (error) throw error;
+            if (!messages?.length) continue;
+
+            const { data: members, error: membersError } = await this.supabase
+                .from('direct_message_members')
+                .select('user_id, user:user_id(id, username)')
+                .eq('dm_id', row.dm_id);
+
+            if (membersError) throw membersError;
+
+            dms.push({
+                dm_id: row.dm_id,
+                with: (members || [])
+                    .filter(member => member.user_id !== userId)
+                    .map(member => member.user?.username || 'Unknown User'),
+                unread_count: Number(row.unread_count),
+                messages: [...messages].reverse()
+            });
+        }
+        return dms;
+    }
+
+    /**
+     * Unread mentions from the period, newest first
+     */
+    async getUnreadMentions(userId, since) {
+        const { data, error } = await this.supabase
+            .from('notifications')
+            .select(`
+                id, message_id, channel_id, dm_id, created_at,
+                actor:actor_id(id, username),
+                message:message_id(id, content, deleted_at),
+                channel:channel_id(id, name)
+            `)
+            .eq('user_id', userId)
+            .eq('type', 'mention')
+            .is('read_at', null)
+            .gt('created_at', since)
+            .order('created_at', { ascending: false })
+            .limit(MAX_MENTIONS);
+
+        if (error) throw error;
+        return (data || []).filter(mention => mention.message && !mention.message.deleted_at);
+    }
+
+    /**
+     * AI summaries of the channels with the most unread messages in the period. A
+     * channel whose summary fails is listed without one.
+     */
+    async getChannelSummaries(since, unreadCounts) {
+        const busiest = unreadCounts
+            .filter(row => row.channel_id && Number(row.unread_count) >= MIN_SUMMARY_MESSAGES)
+            .sort((a, b) => Number(b.unread_count) - Number(a.unread_count))
+            .slice(0, MAX_SUMMARY_CHANNELS);
+
+        const summaries = [];
+        for (const row of busiest) {
+            const { data: messages, error } = await this.supabase
+                .from('messages')
+                .select('id, content, created_at, parent_id, sender:sender_id(id, username)')
+                .eq('channel_id', row.channel_id)
+                .is('deleted_at', null)
+                .gt('created_at', latest(since, row.last_read_at))
+                .order('created_at', { ascending: false })
+                .limit(MAX_SUMMARY_MESSAGES);
+
+            if (error) throw error;
+            if ((messages || []).length < MIN_SUMMARY_MESSAGES) continue;
+
+            const { data: channel } = await this.supabase
+                .from('channels')
+                .select('id, name')
+                .eq('id', row.channel_id)
+                .maybeSingle();
+            const name = channel?.name || 'a channel';
+
+            let summary = null;
+            try {
+                const result = await this.summaryService.summarizeMessages([...messages].reverse(), { title: `#${name}` });
+                // Citations point into the prompt, which the reader never sees
+                summary = result.summary.replace(CITATION_PATTERN, '');
+            } catch (summaryError) {
+                console.error(`Error summarizing #${name} for a digest:`, summaryError.message);
+            }
+
+            summaries.push({ channel_id: row.channel_id, name, message_count: messages.length, summary });
+        }
+        return summaries;
+    }
+
+    /**
+     * Collects what a user missed since the given time
+     * @param {string} userId - User the digest is for
+     * @param {string} since - Start of the period
+     * @param {Object} options
+     * @param {boolean} options.includeSummaries - Add AI summaries of busy channels
+     * @param {Date} options.now - Time the digest is built, for checking mutes
+     * @returns {Promise<{ dms: Array, mentions: Array, channels: Array }>}
+     */
+    async buildDigest(userId, since, { includeSummaries = false, now = new Date() } = {}) {
+        const { data: unreadCounts, error } = await this.supabase.rpc('get_unread_counts', { p_user_id: userId });
+        if (error) throw error;
+
+        const silenced = await this.preferenceService.getSilencedConversations(userId, now);
+        const audible = (unreadCounts || []).filter(row => !silenced.has(row.channel_id || row.dm_id));
+
+        return {
+            dms: await this.getUnreadDMs(userId, since, audible),
+            mentions: await this.getUnreadMentions(userId, since),
+            channels: includeSummaries ? await this.getChannelSummaries(since, audible) : []
+        };
+    }
+
+    /**
+     * Renders a digest as an email
+     * @param {Object} user - Recipient, with username
+     * @param {Object} digest - From buildDigest
+     * @param {string} frequency - 'daily' or 'weekly'
+     * @returns {{ subject: string, text: string, html: string }}
+     */
+    renderDigest(user, digest, frequency) {
+        const link = (path) => `${this.frontendUrl}${path}`;
+        const counts = [
+            digest.dms.length && plural(digest.dms.length, 'conversation'),
+            digest.mentions.length && plural(digest.mentions.length, 'mention'),
+            digest.channels.length && plural(digest.channels.length, 'busy channel')
+        ].filter(Boolean);
+        const subject = `Your ${frequency} ChatGenius digest: ${counts.join(', ')}`;
+
+        const text = [`Hi ${user.username},`, '', `Here's what you missed on ChatGenius.`];
+        const html = [`<p>Hi ${escapeHtml(user.username)},</p>`, `<p>Here's what you missed on ChatGenius.</p>`];
+
+        if (digest.dms.length) {
+            text.push('', 'DIRECT MESSAGES');
+            html.push('<h2>Direct messages</h2>');
+            for (const dm of digest.dms) {
+                const url = link(`/chat?dm=${dm.dm_id}`);
+                const title = `${dm.with.join(', ') || 'Direct message'} (${dm.unread_count} unread)`;
+                text.push('', `${title}: ${url}`, ...dm.messages.map(message => `  ${message.sender?.username || 'Someone'}: ${preview(message.content)}`));
+                html.push(
+                    `<h3><a href="${escapeHtml(url)}">${escapeHtml(title)}</a></h3><ul>`,
+                    ...dm.messages.map(message => `<li><strong>${escapeHtml(message.sender?.username || 'Someone')}</strong>: ${escapeHtml(preview(message.content))}</li>`),
+                    '</ul>'
+                );
+            }
+        }
+
+        if (digest.mentions.length) {
+            text.push('', 'MENTIONS', '');
+            html.push('<h2>Mentions</h2><ul>');
+            for (const mention of digest.mentions) {
+                const where = mention.channel ? ` in #${mention.channel.name}` : '';
+                const url = link(mention.channel_id ? `/chat?channel=${mention.channel_id}` : `/chat?dm=${mention.dm_id}`);
+                const who = `${mention.actor?.username || 'Someone'} mentioned you${where}`;
+                text.push(`- ${who}: ${preview(mention.message.content)}`, `  ${url}`);
+                html.push(`<li><a href="${escapeHtml(url)}">${escapeHtml(who)}</a>: ${escapeHtml(preview(mention.message.content))}</li>`);
+            }
+            html.push('</ul>');
+        }
+
+        if (digest.channels.length) {
+            text.push('', 'CHANNEL SUMMARIES');
+            html.push('<h2>Channel summaries</h2>');
+            for (const channel of digest.channels) {
+                const url = link(`/chat?channel=${channel.channel_id}`);
+                const title = `#${channel.name} (${plural(channel.message_count, 'new message')})`;
+                const summary = channel.summary || 'No summary is available for this channel.';
+                text.push('', `${title}: ${url}`, summary);
+                html.push(
+                    `<h3><a href="${escapeHtml(url)}">${escapeHtml(title)}</a></h3>`,
+                    `<p style="white-space: pre-wrap">${escapeHtml(summary)}</p>`
+                );
+            }
+        }
+
+        const footer = `You get this ${frequency} digest because you turned it on. To change it, open your status menu in ChatGenius: ${this.frontendUrl}`;
+        text.push('', footer);
+        html.push(`<p style="color: #666; font-size: 12px">${escapeHtml(footer)}</p>`);
+
+        return { subject, text: text.join('\n'), html: html.join('\n') };
+    }
+
+    /**
+     * Claims the user's next digest by moving digest_last_sent_at, unless another
+     * run already has
+     * @returns {Promise<boolean>} Whether this run may send it
+     */
+    async claim(settings, sentAt) {
+        let query = this.supabase
+            .from('user_settings')
+            .update({ digest_last_sent_at: sentAt })
+            .eq('user_id', settings.user_id);
+
+        query = settings.digest_last_sent_at
+            ? query.eq('digest_last_sent_at', settings.digest_last_sent_at)
+            : query.is('digest_last_sent_at', null);
+
+        const { data, error } = await query.select('user_id');
+        if (error) throw error;
+        return (data || []).length > 0;
+    }
+
+    async release(settings) {
+        const { error } = await this.supabase
+            .from('user_settings')
+            .update({ digest_last_sent_at: settings.digest_last_sent_at || null })
+            .eq('user_id', settings.user_id);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Builds and sends one user's digest
+     * @param {Object} settings - The user's user_settings row
+     * @param {Date} now - Send time
+     * @returns {Promise<boolean>} Whether an email was sent
+     */
+    async sendDigest(settings, now = new Date()) {
+        const { data: user, error } = await this.supabase
+            .from('users')
+            .select('id, email, username, email_verified_at, is_bot')
+            .eq('id', settings.user_id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!user?.email || !user.email_verified_at || user.is_bot) return false;
+
+        // Left unclaimed, so the digest goes out on the first run after do-not-disturb ends
+        const resting = await this.preferenceService.getDoNotDisturb([user.id], now);
+        if (resting.has(user.id)) return false;
+
+        if (!(await this.claim(settings, now.toISOString()))) return false;
+
+        const { frequency, include_summaries: includeSummaries } = formatSettings(settings);
+        try {
+            const since = this.getPeriodStart(formatSettings(settings), now);
+            const digest = await this.buildDigest(user.id, since, { includeSummaries, now });
+            if (!digest.dms.length && !digest.mentions.length && !digest.channels.length) return false;
+
+            await this.mailer.send({ to: user.email, ...this.renderDigest(user, digest, frequency) });
+            return true;
+        } catch (sendError) {
+            await this.release(settings);
+            throw sendError;
+        }
+    }
+
+    /**
+     * Sends every digest that is due
+     * @param {Date} now - Current time
+     * @returns {Promise<number>} How many digests were sent
+     */
+    async processDueDigests(now = new Date()) {
+        let sent = 0;
+        for (const [frequency, period] of Object.entries(DIGEST_PERIOD_MS)) {
+            const dueBefore = new Date(now.getTime() - period + DUE_SLACK_MS).toISOString();
+            // Users who can never get a digest are left out here, or they would fill every batch
+            const { data: due, error } = await this.supabase
+                .from('user_settings')
+                .select('user_id, digest_frequency, digest_include_summaries, digest_last_sent_at, users!inner(id)')
+                .eq('digest_frequency', frequency)
+                .or(`digest_last_sent_at.is.null,digest_last_sent_at.lte.${dueBefore}`)
+                .eq('users.is_bot', false)
+                .not('users.email_verified_at', 'is', null)
+                .order('digest_last_sent_at', { ascending: true, nullsFirst: true })
+                .limit(DUE_BATCH_SIZE);
+
+            if (error) throw error;
+
+            for (const settings of due || []) {
+                try {
+                    if (await this.sendDigest(settings, now)) sent++;
+                } catch (sendError) {
+                    console.error(`Error sending digest to user ${settings.user_id}:`, sendError);
+                }
+            }
+        }
+        return sent;
+    }
+}
+
+export { DigestService };
+export default new DigestService();
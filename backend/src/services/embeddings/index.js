@@ -0,0 +1,26 @@
+/**
+ * @file index.js
+ * @description Embedding provider factory. Every provider implements:
+ *
+ * - embedQuery(text): Returns a single vector
+ * - embedDocuments(texts): Returns one vector per text
+ *
+ * Environment Variables:
+ * - EMBEDDING_PROVIDER: 'openai' (default) or 'local'
+ */
+
+import { OpenAIEmbeddingProvider } from './openAIEmbeddingProvider.js';
+import { LocalEmbeddingProvider } from './localEmbeddingProvider.js';
+
+export const createEmbeddingProvider = (type = process.env.EMBEDDING_PROVIDER || 'openai', options = {}) => {
+    switch (type) {
+        case 'openai':
+            return new OpenAIEmbeddingProvider(options);
+        case 'local':
+            return new LocalEmbeddingProvider(options);
+        default:
+            throw new Error(`Unknown embedding provider: ${type}`);
+    }
+};
+
+export { OpenAIEmbeddingProvider, LocalEmbeddingProvider };
@@ -0,0 +1,62 @@
+/**
+ * @file localEmbeddingProvider.js
+ * @description Deterministic embedding provider that runs without network access.
+ * Text is tokenized into words and character trigrams which are feature-hashed
+ * into a fixed-size, L2-normalized vector. Identical text always produces the
+ * identical vector, and texts sharing vocabulary score as similar, which is
+ * enough to exercise retrieval end-to-end in development and tests.
+ *
+ * Environment Variables:
+ * - LOCAL_EMBEDDING_DIMENSION: Vector size (default: 256)
+ *
+ * @version 1.0.0
+ * @created 2024-01-21
+ */
+
+// 32-bit FNV-1a hash
+const hash = (value) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        h ^= value.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+};
+
+export class LocalEmbeddingProvider {
+    constructor({ dimension = parseInt(process.env.LOCAL_EMBEDDING_DIMENSION) || 256 } = {}) {
+        this.name = 'local';
+        this.model = `local-hash-${dimension}`;
+        this.dimension = dimension;
+    }
+
+    embed(text) {
+        const vector = new Array(this.dimension).fill(0);
+        const tokens = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+        const addFeature = (feature, weight) => {
+            const h = hash(feature);
+            // Use the top bit as a sign so unrelated features tend to cancel out
+            vector[h % this.dimension] += (h & 0x80000000) ? -weight : weight;
+        };
+
+        for (const token of tokens) {
+            addFeature(`w:${token}`, 1);
+            const padded = ` ${token} `;
+            for (let i = 0; i < padded.length - 2; i++) {
+                addFeature(`t:${padded.slice(i, i + 3)}`, 0.5);
+            }
+        }
+
+        const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return magnitude === 0 ? vector : vector.map(value => value / magnitude);
+    }
+
+    async embedQuery(text) {
+        return this.embed(text);
+    }
+
+    async embedDocuments(texts) {
+        return texts.map(text => this.embed(text));
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * @file openAIEmbeddingProvider.js
+ * @description Embedding provider backed by OpenAI's embedding models via LangChain.
+ *
+ * Environment Variables:
+ * - OPENAI_API_KEY: OpenAI API key
+ *
+ * @version 1.0.0
+ * @created 2024-01-21
+ */
+
+import { OpenAIEmbeddings } from '@langchain/openai';
+
+export class OpenAIEmbeddingProvider {
+    constructor({ model = 'text-embedding-3-large', apiKey = process.env.OPENAI_API_KEY } = {}) {
+        this.name = 'openai';
+        this.model = model;
+        this.client = new OpenAIEmbeddings({
+            modelName: model,
+            openAIApiKey: apiKey
+        });
+    }
+
+    async embedQuery(text) {
+        return this.client.embedQuery(text);
+    }
+
+    async embedDocuments(texts) {
+        return this.client.embedDocuments(texts);
+    }
+}
@@ -0,0 +1,351 @@
+/**
+ * @file incomingWebhookService.js
+ * @description Incoming webhooks. Channel owners and admins create URLs that let
+ * other services post into the channel. Each webhook gets its own bot account as
+ * the sender, and its URL carries a secret that is only shown when the webhook is
+ * created. Posted messages go through the same insert path as POST /api/messages.
+ *
+ * Core Functionality:
+ * - Webhook creation, listing and revocation
+ * - Payload validation (text, markdown and attachment blocks)
+ * - Posting as the webhook's bot
+ *
+ * Payload:
+ * - text: Plain text, shown as written (markdown characters are escaped)
+ * - markdown: Markdown, rendered like a user's message
+ * - attachments: Up to MAX_ATTACHMENTS blocks of
+ *   { title, title_link, text, color, fields: [{ title, value, short }] }
+ * - At least one of them is required; text and markdown cannot be combined
+ *
+ * Errors:
+ * - Methods throw errors with a status (400 or 404) for requests that cannot be
+ *   served, so routes can pass them through. Unknown, revoked and wrongly signed
+ *   webhook URLs all answer 404.
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - crypto
+ * - ./apiTokenService
+ * - ./messageService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
+import apiTokenService from './apiTokenService.js';
+import MessageService from './messageService.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+const MAX_HOOKS_PER_CHANNEL = 10;
+export const MAX_CONTENT_LENGTH = 4000;
+export const MAX_ATTACHMENTS = 5;
+const MAX_FIELDS = 10;
+const MAX_TITLE_LENGTH = 200;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_FIELD_TITLE_LENGTH = 100;
+const MAX_FIELD_VALUE_LENGTH = 500;
+
+// Named colors accepted for attachments, as used by other chat tools
+const ATTACHMENT_COLORS = {
+    good: '#2eb67d',
+    warning: '#ecb22e',
+    danger: '#e01e5a'
+};
+
+const HOOK_FIELDS = 'id, channel_id, bot_id, created_by, name, last_used_at, revoked_at, created_at';
+
+const incomingWebhookError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+const isOptionalString = (value, maxLength) =>
+    value === undefined || value === null || (typeof value === 'string' && value.length <= maxLength);
+
+/**
+ * Escapes markdown so plain text is shown as written
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+export const escapeMarkdown = (text) => text
+    .replace(/[\\`*_~[\]<|]/g, '\\$&')
+    .replace(/^([ \t]*)([#>+-])/gm, '$1\\$2')
+    .replace(/^([ \t]*)(\d+)\./gm, '$1$2\\.');
+
+const validateAttachment = (attachment, index) => {
+    const label = `attachments[${index}]`;
+    if (!attachment || typeof attachment !== 'object' || Array.isArray(attachment)) {
+        return { error: `${label} must be an object` };
+    }
+
+    const { title, title_link, text, color, fields } = attachment;
+    if (!isOptionalString(title, MAX_TITLE_LENGTH)) {
+        return { error: `${label}.title must be a string of at most ${MAX_TITLE_LENGTH} characters` };
+    }
+    if (title_link !== undefined && title_link !== null && !isHttpUrl(title_link)) {
+        return { error: `${label}.title_link must be an http or https URL` };
+    }
+    if (!isOptionalString(text, MAX_TEXT_LENGTH)) {
+        return { error: `${label}.text must be a string of at most ${MAX_TEXT_LENGTH} characters` };
+    }
+
+    let resolvedColor = null;
+    if (color !== undefined && color !== null) {
+        resolvedColor = ATTACHMENT_COLORS[color] || (/^#[0-9a-f]{6}$/i.test(color) ? color : null);
+        if (!resolvedColor) {
+            return { error: `${label}.color must be good, warning, danger or a #rrggbb color` };
+        }
+    }
+
+    const validFields = [];
+    if (fields !== undefined && fields !== null) {
+        if (!Array.isArray(fields) || fields.length > MAX_FIELDS) {
+            return { error: `${label}.fields must be a list of at most ${MAX_FIELDS} fields` };
+        }
+        for (const field of fields) {
+            if (!field || typeof field.title !== 'string' || field.title.length > MAX_FIELD_TITLE_LENGTH
+                || typeof field.value !== 'string' || field.value.length > MAX_FIELD_VALUE_LENGTH) {
+                return {
+                    error: `${label}.fields need a title of at most ${MAX_FIELD_TITLE_LENGTH} and a value of at most ${MAX_FIELD_VALUE_LENGTH} characters`
+                };
+            }
+            validFields.push({ title: field.title, value: field.value, short: field.short === true });
+        }
+    }
+
+    if (!title && !text && validFields.length === 0) {
+        return { error: `${label} needs a title, text or fields` };
+    }
+
+    return {
+        attachment: {
+            title: title || null,
+            title_link: title ? title_link || null : null,
+            text: text || null,
+            color: resolvedColor,
+            fields: validFields
+        }
+    };
+};
+
+/**
+ * Validates an incoming webhook payload and turns it into message fields
+ * @param {Object} payload - Request body
+ * @returns {{ error?: string, message?: { content: string, attachments: Object[]|null } }}
+ */
+export const buildIncomingMessage = (payload) => {
+    if (!payload || typeof payload !== 'object') {
+        return { error: 'Payload must be a JSON object' };
+    }
+
+    const { text, markdown, attachments } = payload;
+    if (text !== undefined && markdown !== undefined) {
+        return { error: 'Send either text or markdown, not both' };
+    }
+    if (text !== undefined && typeof text !== 'string') {
+        return { error: 'text must be a string' };
+    }
+    if (markdown !== undefined && typeof markdown !== 'string') {
+        return { error: 'markdown must be a string' };
+    }
+
+    const content = markdown !== undefined ? markdown.trim() : escapeMarkdown((text || '').trim());
+    if (content.length > MAX_CONTENT_LENGTH) {
+        return { error: `Messages must be at most ${MAX_CONTENT_LENGTH} characters` };
+    }
+
+    const validAttachments = [];
+    if (attachments !== undefined && attachments !== null) {
+        if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+            return { error: `attachments must be a list of at most ${MAX_ATTACHMENTS} blocks` };
+        }
+        for (const [index, item] of attachments.entries()) {
+            const { error, attachment } = validateAttachment(item, index);
+            if (error) return { error };
+            validAttachments.push(attachment);
+        }
+    }
+
+    if (!content && validAttachments.length === 0) {
+        return { error: 'Payload needs text, markdown or attachments' };
+    }
+
+    return {
+        message: {
+            content,
+            attachments: validAttachments.length > 0 ? validAttachments : null
+        }
+    };
+};
+
+class IncomingWebhookService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     * @param {Object} options.apiTokenService - Service that creates the bot senders
+     * @param {Object} options.messageService - Service messages are saved through
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+        this.apiTokenService = options.apiTokenService || apiTokenService;
+        this.messageService = options.messageService || new MessageService();
+    }
+
+    /**
+     * Creates a webhook and the bot that posts for it. The secret is only returned here.
+     * @param {string} channelId - Channel ID
+     * @param {string} userId - User creating the webhook; they own the bot
+     * @param {Object} options
+     * @param {string} options.name - Bot username messages are posted as
+     * @param {string} options.avatar_url - Optional bot avatar
+     * @returns {Promise<Object>} The webhook plus its secret and URL path
+     */
+    async createHook(channelId, userId, { name, avatar_url = null } = {}) {
+        if (avatar_url !== null && !isHttpUrl(avatar_url)) {
+            throw incomingWebhookError(400, 'avatar_url must be an http or https URL');
+        }
+
+        const { data: existing, error: countError } = await this.supabase
+            .from('incoming_webhooks')
+            .select('id, revoked_at')
+            .eq('channel_id', channelId);
+
+        if (countError) throw countError;
+        if (existing.filter(hook => !hook.revoked_at).length >= MAX_HOOKS_PER_CHANNEL) {
+            throw incomingWebhookError(400, `A channel can have at most ${MAX_HOOKS_PER_CHANNEL} incoming webhooks`);
+        }
+
+        const bot = await this.apiTokenService.createBot(userId, { username: name, avatar_url });
+
+        const secret = crypto.randomBytes(24).toString('base64url');
+        const { data, error } = await this.supabase
+            .from('incoming_webhooks')
+            .insert({
+                channel_id: channelId,
+                bot_id: bot.id,
+                created_by: userId,
+                name: bot.username,
+                secret_hash: hashSecret(secret)
+            })
+            .select(HOOK_FIELDS)
+            .single();
+
+        if (error) throw error;
+        return { ...data, secret, path: `/api/hooks/${data.id}/${secret}` };
+    }
+
+    /**
+     * Lists a channel's incoming webhooks, newest first, without their secrets
+     * @param {string} channelId - Channel ID
+     * @returns {Promise<Object[]>}
+     */
+    async listHooks(channelId) {
+        const { data, error } = await this.supabase
+            .from('incoming_webhooks')
+            .select(HOOK_FIELDS)
+            .eq('channel_id', channelId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Revokes a webhook; its URL stops working at once. Messages it posted stay.
+     * @param {string} channelId - Channel ID
+     * @param {string} hookId - Webhook ID
+     * @param {string} userId - User revoking it
+     * @returns {Promise<Object>} The revoked webhook
+     */
+    async revokeHook(channelId, hookId, userId) {
+        const { data: hook, error: hookError } = await this.supabase
+            .from('incoming_webhooks')
+            .select('id, revoked_at')
+            .eq('id', hookId)
+            .eq('channel_id', channelId)
+            .maybeSingle();
+
+        if (hookError) throw hookError;
+        if (!hook) {
+            throw incomingWebhookError(404, 'Incoming webhook not found');
+        }
+        if (hook.revoked_at) {
+            throw incomingWebhookError(400, 'Incoming webhook is already revoked');
+        }
+
+        const { data, error } = await this.supabase
+            .from('incoming_webhooks')
+            .update({ revoked_at: new Date().toISOString(), revoked_by: userId })
+            .eq('id', hookId)
+            .select(HOOK_FIELDS)
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Posts a message through a webhook URL
+     * @param {string} hookId - Webhook ID from the URL
+     * @param {string} secret - Secret from the URL
+     * @param {Object} payload - Request body (see buildIncomingMessage)
+     * @returns {Promise<Object>} The saved message
+     */
+    async postMessage(hookId, secret, payload) {
+        const { data: hook, error: hookError } = await this.supabase
+            .from('incoming_webhooks')
+            .select('id, channel_id, bot_id, secret_hash, revoked_at')
+            .eq('id', hookId)
+            .maybeSingle();
+
+        if (hookError) throw hookError;
+
+        const expected = Buffer.from(hook?.secret_hash || '');
+        const actual = Buffer.from(hashSecret(String(secret || '')));
+        if (!hook || hook.revoked_at || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw incomingWebhookError(404, 'Incoming webhook not found');
+        }
+
+        const { error: validationError, message } = buildIncomingMessage(payload);
+        if (validationError) {
+            throw incomingWebhookError(400, validationError);
+        }
+
+        const saved = await this.messageService.saveMessage({
+            ...message,
+            sender_id: hook.bot_id,
+            channel_id: hook.channel_id
+        });
+
+        const { error: usedError } = await this.supabase
+            .from('incoming_webhooks')
+            .update({ last_used_at: new Date().toISOString() })
+            .eq('id', hookId);
+
+        if (usedError) {
+            console.error('Error recording incoming webhook use:', usedError);
+        }
+
+        return saved;
+    }
+}
+
+export { IncomingWebhookService };
+export default new IncomingWebhookService();
@@ -0,0 +1,515 @@
+/**
+ * @file inviteService.js
+ * @description Invite links and join requests for channels. Invites carry a random
+ * token that can be shared as a link; each one expires, may be limited to a number
+ * of uses and can be revoked. Only a SHA-256 hash of the token is stored, so the
+ * link is shown once, when the invite is created. Private channels can also accept requests to join,
+ * which an owner or admin approves or denies. Every step is recorded in the
+ * membership audit so admins can see who brought whom into the channel.
+ * Members an admin made guests rejoin as guests, however they come back.
+ *
+ * Core Functionality:
+ * - Invite creation, listing and revocation
+ * - Invite preview and acceptance
+ * - Join requests and their review
+ * - Direct adds by /invite
+ * - Joining public channels
+ * - Remembering demotions to guest
+ * - Membership audit
+ *
+ * Errors:
+ * - Methods throw errors with a status (400, 403, 404 or 410) for requests that
+ *   cannot be served, so routes can pass them through
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - crypto
+ * - ./tokenService
+ *
+ * @version 1.0.0
+ * @created 2024-01-25
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
+import { hashToken } from './tokenService.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+export const INVITE_ROLES = ['member', 'guest'];
+export const DEFAULT_INVITE_EXPIRY_HOURS = 7 * 24;
+export const MAX_INVITE_EXPIRY_HOURS = 30 * 24;
+export const MAX_INVITE_USES = 1000;
+
+const AUDIT_LIMIT = 100;
+
+// Everything but the token hash, which never leaves the server
+const INVITE_FIELDS = `
+    id, channel_id, created_by, role, expires_at, max_uses, use_count,
+    revoked_at, revoked_by, created_at,
+    creator:created_by(id, username)
+`;
+
+const INVITE_STATUS_MESSAGES = {
+    revoked: 'This invite has been revoked',
+    expired: 'This invite has expired',
+    used_up: 'This invite has been used up'
+};
+
+const inviteError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Validates the options for a new invite
+ * @param {Object} input - Request body
+ * @param {number} input.expiresInHours - Lifetime in hours (default 7 days, at most 30 days)
+ * @param {number|null} input.maxUses - Number of times the invite can be used; null for no limit
+ * @param {string} input.role - Role given to members joining through the invite
+ * @returns {{ error?: string, options?: Object }}
+ */
+export const validateInviteOptions = (input = {}) => {
+    const { expiresInHours = DEFAULT_INVITE_EXPIRY_HOURS, maxUses = null, role = 'member' } = input;
+
+    if (typeof expiresInHours !== 'number' || expiresInHours <= 0 || expiresInHours > MAX_INVITE_EXPIRY_HOURS) {
+        return { error: `expiresInHours must be a number between 1 and ${MAX_INVITE_EXPIRY_HOURS}` };
+    }
+
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES)) {
+        return { error: `maxUses must be null or an integer between 1 and ${MAX_INVITE_USES}` };
+    }
+
+    if (!INVITE_ROLES.includes(role)) {
+        return { error: `role must be one of: ${INVITE_ROLES.join(', ')}` };
+    }
+
+    return { options: { expiresInHours, maxUses, role } };
+};
+
+/**
+ * Describes whether an invite can still be used
+ * @param {Object} invite - channel_invites row
+ * @param {Date} now - Reference time
+ * @returns {'active'|'revoked'|'expired'|'used_up'}
+ */
+export const getInviteStatus = (invite, now = new Date()) => {
+    if (invite.revoked_at) return 'revoked';
+    if (invite.expires_at && new Date(invite.expires_at) <= now) return 'expired';
+    if (invite.max_uses !== null && invite.max_uses !== undefined && invite.use_count >= invite.max_uses) return 'used_up';
+    return 'active';
+};
+
+class InviteService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+    }
+
+    async recordAudit(channelId, action, { actorId = null, userId = null, inviteId = null, requestId = null } = {}) {
+        const { error } = await this.supabase
+            .from('channel_membership_audit')
+            .insert({
+                channel_id: channelId,
+                action,
+                actor_id: actorId,
+                user_id: userId,
+                invite_id: inviteId,
+                request_id: requestId
+            });
+
+        // The membership change already happened; a missing audit row should not undo it
+        if (error) {
+            console.error(`Error recording ${action} audit entry:`, error);
+        }
+    }
+
+    async isMember(channelId, userId) {
+        const { data, error } = await this.supabase
+            .from('channel_members')
+            .select('user_id')
+            .eq('channel_id', channelId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return !!data;
+    }
+
+    async isDemoted(channelId, userId) {
+        const { data, error } = await this.supabase
+            .from('channel_demotions')
+            .select('user_id')
+            .eq('channel_id', channelId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return !!data;
+    }
+
+    // Every way into a channel goes through here, so a demotion holds whichever way
+    // the user rejoins. Returns the role they joined with.
+    async addMember(channelId, userId, role, invitedBy) {
+        const joinedAs = await this.isDemoted(channelId, userId) ? 'guest' : role;
+        const { error } = await this.supabase
+            .from('channel_members')
+            .insert({
+                channel_id: channelId,
+                user_id: userId,
+                role: joinedAs,
+                invited_by: invitedBy
+            });
+
+        if (error) throw error;
+        return joinedAs;
+    }
+
+    /**
+     * Remembers a role change made by an admin: members made guests stay guests
+     * if they leave and rejoin, until someone gives them another role
+     * @param {string} channelId - Channel ID
+     * @param {string} userId - Member whose role changed
+     * @param {string} role - Their new role
+     * @param {string} actorId - Admin who changed it
+     */
+    async recordRoleChange(channelId, userId, role, actorId) {
+        const { error } = role === 'guest'
+            ? await this.supabase
+                .from('channel_demotions')
+                .upsert({ channel_id: channelId, user_id: userId, demoted_by: actorId }, { onConflict: 'channel_id,user_id' })
+            : await this.supabase
+                .from('channel_demotions')
+                .delete()
+                .eq('channel_id', channelId)
+                .eq('user_id', userId);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Joins the user to a public channel
+     * @param {string} channelId - Channel ID
+     * @param {string} userId - User joining
+     * @returns {Promise<string>} The role they joined with
+     */
+    async joinPublicChannel(channelId, userId) {
+        const { data: channel, error } = await this.supabase
+            .from('channels')
+            .select('id, is_private')
+            .eq('id', channelId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!channel) {
+            throw inviteError(404, 'Channel not found');
+        }
+        if (channel.is_private) {
+            throw inviteError(403, 'Cannot join private channel');
+        }
+        if (await this.isMember(channelId, userId)) {
+            throw inviteError(400, 'Already a member of this channel');
+        }
+
+        return this.addMember(channelId, userId, 'member', null);
+    }
+
+    /**
+     * Creates an invite link token for a channel
+     * @param {string} channelId - Channel ID
+     * @param {string} userId - User creating the invite
+     * @param {Object} options - Validated options from validateInviteOptions
+     * @returns {Promise<Object>} The invite, including its token (only returned here)
+     */
+    async createInvite(channelId, userId, { expiresInHours, maxUses, role }) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const { data: invite, error } = await this.supabase
+            .from('channel_invites')
+            .insert({
+                channel_id: channelId,
+                token_hash: hashToken(token),
+                created_by: userId,
+                role,
+                expires_at: new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString(),
+                max_uses: maxUses
+            })
+            .select(INVITE_FIELDS)
+            .single();
+
+        if (error) throw error;
+
+        await this.recordAudit(channelId, 'invite_created', { actorId: userId, inviteId: invite.id });
+        return { ...invite, token, status: getInviteStatus(invite) };
+    }
+
+    /**
+     * Lists a channel's invites, newest first
+     * @param {string} channelId - Channel ID
+     * @returns {Promise<Array>} Invites with their creator and current status
+     */
+    async listInvites(channelId) {
+        const { data, error } = await this.supabase
+            .from('channel_invites')
+            .select(INVITE_FIELDS)
+            .eq('channel_id', channelId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        const now = new Date();
+        return data.map(invite => ({ ...invite, status: getInviteStatus(invite, now) }));
+    }
+
+    /**
+     * Revokes an invite so it can no longer be accepted
+     * @param {string} channelId - Channel the invite belongs to
+     * @param {string} inviteId - Invite ID
+     * @param {string} userId - User revoking the invite
+     * @returns {Promise<Object>} The revoked invite
+     */
+    async revokeInvite(channelId, inviteId, userId) {
+        const { data: invite, error } = await this.supabase
+            .from('channel_invites')
+            .update({ revoked_at: new Date().toISOString(), revoked_by: userId })
+            .eq('id', inviteId)
+            .eq('channel_id', channelId)
+            .is('revoked_at', null)
+            .select(INVITE_FIELDS)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!invite) {
+            throw inviteError(404, 'Invite not found or already revoked');
+        }
+
+        await this.recordAudit(channelId, 'invite_revoked', { actorId: userId, inviteId });
+        return { ...invite, status: getInviteStatus(invite) };
+    }
+
+    async getInviteByToken(token) {
+        const { data, error } = await this.supabase
+            .from('channel_invites')
+            .select(`
+                ${INVITE_FIELDS},
+                channel:channel_id(id, name, description, is_private)
+            `)
+            .eq('token_hash', hashToken(token))
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) {
+            throw inviteError(404, 'Invite not found');
+        }
+        return data;
+    }
+
+    /**
+     * Describes an invite to the user about to accept it
+     * @param {string} token - Invite token
+     * @param {string} userId - User viewing the invite
+     * @returns {Promise<Object>} Channel, inviter, expiry, status and whether the user already belongs
+     */
+    async previewInvite(token, userId) {
+        const invite = await this.getInviteByToken(token);
+
+        return {
+            channel: invite.channel,
+            inviter: invite.creator,
+            role: invite.role,
+            expires_at: invite.expires_at,
+            status: getInviteStatus(invite),
+            is_member: await this.isMember(invite.channel_id, userId)
+        };
+    }
+
+    /**
+     * Joins the user to the invite's channel, using up one of its uses
+     * @param {string} token - Invite token
+     * @param {string} userId - User accepting
+     * @returns {Promise<{ channel: Object, role: string, invitedBy: Object|null }>}
+     */
+    async acceptInvite(token, userId) {
+        const invite = await this.getInviteByToken(token);
+
+        const status = getInviteStatus(invite);
+        if (status !== 'active') {
+            throw inviteError(410, INVITE_STATUS_MESSAGES[status]);
+        }
+
+        if (await this.isMember(invite.channel_id, userId)) {
+            throw inviteError(400, 'Already a member of this channel');
+        }
+
+        // Claiming re-checks validity in the same statement that counts the use,
+        // so an invite cannot be used more often than allowed
+        const { data: claimed, error: claimError } = await this.supabase
+            .rpc('claim_channel_invite', { invite_token_hash: hashToken(token) });
+
+        if (claimError) throw claimError;
+        if (!claimed || claimed.length === 0) {
+            throw inviteError(410, 'This invite is no longer valid');
+        }
+
+        const role = await this.addMember(invite.channel_id, userId, invite.role, invite.created_by);
+        await this.recordAudit(invite.channel_id, 'invite_accepted', {
+            actorId: invite.created_by,
+            userId,
+            inviteId: invite.id
+        });
+
+        return { channel: invite.channel, role, invitedBy: invite.creator };
+    }
+
+    /**
+     * Asks to join a private channel that accepts requests
+     * @param {string} channelId - Channel ID
+     * @param {string} userId - User asking
+     * @param {string} message - Optional note for the admins
+     * @returns {Promise<Object>} The pending request
+     */
+    async requestToJoin(channelId, userId, message) {
+        const { data: channel, error: channelError } = await this.supabase
+            .from('channels')
+            .select('id, is_private, allow_join_requests')
+            .eq('id', channelId)
+            .maybeSingle();
+
+        if (channelError) throw channelError;
+        if (!channel) {
+            throw inviteError(404, 'Channel not found');
+        }
+        if (!channel.is_private) {
+            throw inviteError(400, 'Public channels can be joined directly');
+        }
+        if (!channel.allow_join_requests) {
+            throw inviteError(403, 'This channel does not accept join requests');
+        }
+        if (await this.isMember(channelId, userId)) {
+            throw inviteError(400, 'Already a member of this channel');
+        }
+
+        const { data: request, error } = await this.supabase
+            .from('channel_join_requests')
+            .insert({
+                channel_id: channelId,
+                user_id: userId,
+                message: message?.trim() || null
+            })
+            .select()
+            .single();
+
+        if (error) {
+            // Unique violation on the one-open-request-per-user index
+            if (error.code === '23505') {
+                throw inviteError(400, 'You already asked to join this channel');
+            }
+            throw error;
+        }
+
+        await this.recordAudit(channelId, 'request_created', { userId, requestId: request.id });
+        return request;
+    }
+
+    /**
+     * Lists a channel's pending join requests, oldest first
+     * @param {string} channelId - Channel ID
+     * @returns {Promise<Array>}
+     */
+    async listJoinRequests(channelId) {
+        const { data, error } = await this.supabase
+            .from('channel_join_requests')
+            .select('*, user:user_id(id, username, avatar_url)')
+            .eq('channel_id', channelId)
+            .eq('status', 'pending')
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Approves or denies a pending join request. Approval adds the requester as a member.
+     * @param {string} channelId - Channel ID
+     * @param {string} requestId - Join request ID
+     * @param {string} reviewerId - Owner or admin deciding
+     * @param {boolean} approve - Whether to let the user in
+     * @returns {Promise<Object>} The reviewed request, with the requester
+     */
+    async reviewJoinRequest(channelId, requestId, reviewerId, approve) {
+        const { data: request, error } = await this.supabase
+            .from('channel_join_requests')
+            .update({
+                status: approve ? 'approved' : 'denied',
+                reviewed_by: reviewerId,
+                reviewed_at: new Date().toISOString()
+            })
+            .eq('id', requestId)
+            .eq('channel_id', channelId)
+            .eq('status', 'pending')
+            .select('*, user:user_id(id, username, avatar_url)')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!request) {
+            throw inviteError(404, 'Join request not found or already reviewed');
+        }
+
+        if (approve && !await this.isMember(channelId, request.user_id)) {
+            await this.addMember(channelId, request.user_id, 'member', reviewerId);
+        }
+
+        await this.recordAudit(channelId, approve ? 'request_approved' : 'request_denied', {
+            actorId: reviewerId,
+            userId: request.user_id,
+            requestId
+        });
+
+        return request;
+    }
+
+    /**
+     * Adds a user to the channel straight away, as the /invite command does
+     * @param {string} channelId - Channel ID
+     * @param {string} actorId - User adding them
+     * @param {string} userId - User being added
+     */
+    async addMemberDirectly(channelId, actorId, userId) {
+        if (await this.isMember(channelId, userId)) {
+            throw inviteError(400, 'Already a member of this channel');
+        }
+
+        await this.addMember(channelId, userId, 'member', actorId);
+        await this.recordAudit(channelId, 'member_added', { actorId, userId });
+    }
+
+    /**
+     * Returns the channel's recent membership audit entries, newest first
+     * @param {string} channelId - Channel ID
+     * @returns {Promise<Array>}
+     */
+    async getAudit(channelId) {
+        const { data, error } = await this.supabase
+            .from('channel_membership_audit')
+            .select(`
+                id, action, invite_id, request_id, created_at,
+                actor:actor_id(id, username),
+                user:user_id(id, username)
+            `)
+            .eq('channel_id', channelId)
+            .order('created_at', { ascending: false })
+            .limit(AUDIT_LIMIT);
+
+        if (error) throw error;
+        return data;
+    }
+}
+
+export { InviteService };
+export default new InviteService();
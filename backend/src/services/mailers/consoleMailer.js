@@ -0,0 +1,32 @@
+/**
+ * @file consoleMailer.js
+ * @description Mail transport for local development that prints each message to
+ * the server log instead of sending it, so links in verification and reset
+ * emails can be followed without a mail server.
+ *
+ * @version 1.0.0
+ * @created 2024-01-25
+ */
+
+import crypto from 'crypto';
+
+export class ConsoleMailer {
+    constructor({ from, logger = console } = {}) {
+        this.from = from;
+        this.logger = logger;
+    }
+
+    async send({ to, subject, text }) {
+        const id = crypto.randomUUID();
+        this.logger.log([
+            `--- Mail ${id} ---`,
+            `From: ${this.from}`,
+            `To: ${to}`,
+            `Subject: ${subject}`,
+            '',
+            text,
+            '--- End of mail ---'
+        ].join('\n'));
+        return { id };
+    }
+}
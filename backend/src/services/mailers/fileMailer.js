@@ -0,0 +1,36 @@
+/**
+ * @file fileMailer.js
+ * @description Mail transport for local development and tests that writes each
+ * message to its own JSON file instead of sending it. Files are named after the
+ * send time so the newest message sorts last.
+ *
+ * Environment Variables:
+ * - MAIL_FILE_DIR: Directory the messages are written to (default ./data/mail)
+ *
+ * @version 1.0.0
+ * @created 2024-01-25
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+export class FileMailer {
+    constructor({ from, directory = process.env.MAIL_FILE_DIR || './data/mail' } = {}) {
+        this.from = from;
+        this.directory = directory;
+    }
+
+    async send({ to, subject, text, html }) {
+        const id = crypto.randomUUID();
+        const sentAt = new Date().toISOString();
+
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(
+            path.join(this.directory, `${sentAt.replace(/[:.]/g, '-')}-${id}.json`),
+            JSON.stringify({ id, from: this.from, to, subject, text, html, sentAt }, null, 2)
+        );
+
+        return { id };
+    }
+}
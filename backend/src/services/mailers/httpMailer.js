@@ -0,0 +1,45 @@
+/**
+ * @file httpMailer.js
+ * @description Mail transport that hands messages to an email delivery service
+ * over HTTP. Each message is POSTed as JSON ({ from, to, subject, text, html });
+ * most transactional email providers and relays accept this shape directly or
+ * through a small adapter.
+ *
+ * Environment Variables:
+ * - MAIL_HTTP_URL: Endpoint messages are posted to (required)
+ * - MAIL_HTTP_TOKEN: Optional bearer token for the endpoint
+ *
+ * @version 1.0.0
+ * @created 2024-01-25
+ */
+
+import fetch from 'node-fetch';
+
+export class HttpMailer {
+    constructor({ from, url = process.env.MAIL_HTTP_URL, token = process.env.MAIL_HTTP_TOKEN } = {}) {
+        if (!url) {
+            throw new Error('MAIL_HTTP_URL is required for the http mail transport');
+        }
+        this.from = from;
+        this.url = url;
+        this.token = token;
+    }
+
+    async send({ to, subject, text, html }) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.token && { Authorization: `Bearer ${this.token}` })
+            },
+            body: JSON.stringify({ from: this.from, to, subject, text, html })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Mail delivery failed with status ${response.status}`);
+        }
+
+        const body = await response.json().catch(() => ({}));
+        return { id: body.id || null };
+    }
+}
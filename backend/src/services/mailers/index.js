@@ -0,0 +1,33 @@
+/**
+ * @file index.js
+ * @description Mail transport factory. Every transport implements:
+ *
+ * - send({ to, subject, text, html }): Delivers one message and returns { id }
+ *
+ * Environment Variables:
+ * - MAIL_TRANSPORT: 'console' (default), 'file' or 'http'
+ * - MAIL_FROM: Sender address (default 'ChatGenius <no-reply@chatgenius.local>')
+ */
+
+import { ConsoleMailer } from './consoleMailer.js';
+import { FileMailer } from './fileMailer.js';
+import { HttpMailer } from './httpMailer.js';
+
+export const DEFAULT_MAIL_FROM = 'ChatGenius <no-reply@chatgenius.local>';
+
+export const createMailer = (type = process.env.MAIL_TRANSPORT || 'console', options = {}) => {
+    const from = options.from || process.env.MAIL_FROM || DEFAULT_MAIL_FROM;
+
+    switch (type) {
+        case 'console':
+            return new ConsoleMailer({ ...options, from });
+        case 'file':
+            return new FileMailer({ ...options, from });
+        case 'http':
+            return new HttpMailer({ ...options, from });
+        default:
+            throw new Error(`Unknown mail transport: ${type}`);
+    }
+};
+
+export { ConsoleMailer, FileMailer, HttpMailer };
@@ -0,0 +1,155 @@
+/**
+ * @file mentionService.js
+ * @description Finds who a message mentions and stores them as message_mentions rows.
+ * Mentions are @username, @channel (every member of the conversation) and @here
+ * (members who are around: anyone who is not offline, away or in Do Not Disturb,
+ * which is the "busy" status). Only members
+ * of the conversation can be mentioned, and senders never mention themselves.
+ *
+ * Core Functionality:
+ * - Parsing mentions out of message content, skipping code
+ * - Resolving mentions to members of the channel or DM
+ * - Replacing a message's mention rows after it is posted or edited
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+const AI_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+// Statuses that keep a member out of @here
+const AWAY_STATUSES = ['offline', 'away', 'busy'];
+
+// @ not preceded by a word character or slash (so emails and URLs don't count);
+// names may contain dots and dashes but end on a word character, so "@ada."
+// mentions ada
+const MENTION_PATTERN = /(^|[^\w@/])@([\w][\w.-]*\w|\w)/g;
+
+/**
+ * Finds the mentions in message content. Fenced code blocks and inline code are
+ * skipped. Names are lowercased.
+ * @param {string} content - Message content
+ * @returns {{ usernames: Array<string>, channel: boolean, here: boolean }}
+ */
+export const parseMentions = (content) => {
+    const text = (content || '')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/`[^`\n]*`/g, ' ');
+
+    const names = new Set();
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+        names.add(match[2].toLowerCase());
+    }
+
+    const channel = names.delete('channel');
+    const here = names.delete('here');
+    return { usernames: [...names], channel, here };
+};
+
+class MentionService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+    }
+
+    /**
+     * Members of the message's channel or DM, with their usernames and statuses
+     */
+    async getMembers(message) {
+        const table = message.channel_id ? 'channel_members' : 'direct_message_members';
+        const column = message.channel_id ? 'channel_id' : 'dm_id';
+
+        const { data: memberships, error } = await this.supabase
+            .from(table)
+            .select('user_id')
+            .eq(column, message.channel_id || message.dm_id);
+
+        if (error) throw error;
+        const userIds = [...new Set((memberships || []).map(member => member.user_id))];
+        if (userIds.length === 0) return [];
+
+        const { data: users, error: usersError } = await this.supabase
+            .from('users')
+            .select('id, username, status')
+            .in('id', userIds);
+
+        if (usersError) throw usersError;
+        return users || [];
+    }
+
+    /**
+     * Works out who a message mentions. A member mentioned by name and through
+     * @channel is recorded once, as a mention by name.
+     * @param {Object} message - Message with content, sender_id and channel_id or dm_id
+     * @returns {Promise<Array<{ user_id: string, kind: string }>>}
+     */
+    async resolveMentions(message) {
+        const { usernames, channel, here } = parseMentions(message.content);
+        if (usernames.length === 0 && !channel && !here) return [];
+
+        const members = (await this.getMembers(message))
+            .filter(member => member.id !== message.sender_id && member.id !== AI_USER_ID);
+
+        const mentions = new Map();
+        members
+            .filter(member => usernames.includes((member.username || '').toLowerCase()))
+            .forEach(member => mentions.set(member.id, 'user'));
+
+        if (channel || here) {
+            members
+                .filter(member => !mentions.has(member.id))
+                .filter(member => channel || !AWAY_STATUSES.includes(member.status || 'offline'))
+                .forEach(member => mentions.set(member.id, channel ? 'channel' : 'here'));
+        }
+
+        return [...mentions].map(([userId, kind]) => ({ user_id: userId, kind }));
+    }
+
+    /**
+     * Replaces the mention rows of a message
+     * @param {Object} message - Saved message with its id
+     * @returns {Promise<{ mentions: Array<{ user_id, kind }>, added: Array<{ user_id, kind }> }>}
+     *   Everyone the message mentions now, and who was not mentioned before the edit
+     */
+    async saveMentions(message) {
+        const mentions = await this.resolveMentions(message);
+
+        const { data: previous, error } = await this.supabase
+            .from('message_mentions')
+            .delete()
+            .eq('message_id', message.id)
+            .select('user_id');
+
+        if (error) throw error;
+
+        if (mentions.length > 0) {
+            const { error: insertError } = await this.supabase
+                .from('message_mentions')
+                .insert(mentions.map(mention => ({ message_id: message.id, ...mention })));
+
+            if (insertError) throw insertError;
+        }
+
+        const previousIds = new Set((previous || []).map(row => row.user_id));
+        return {
+            mentions,
+            added: mentions.filter(mention => !previousIds.has(mention.user_id))
+        };
+    }
+}
+
+export { MentionService };
+export default new MentionService();
@@ -0,0 +1,244 @@
+/**
+ * @file messageHistoryService.js
+ * @description Edit history and soft deletion for messages. Every edit stores the
+ * previous content as a revision before the message is changed. Deleting a message
+ * keeps its row as a tombstone: the content, file and attachments are cleared,
+ * deleted_at is set, and what the message said is kept as a final revision.
+ *
+ * Core Functionality:
+ * - Editing with revisions
+ * - Tombstone deletion
+ * - Revision history
+ *
+ * Access:
+ * - Senders edit their own messages; senders and channel moderators delete them
+ * - Anyone who can read the conversation sees the history of a message, except
+ *   that the history of a deleted message is limited to its sender and moderators
+ *
+ * Errors:
+ * - Methods throw errors with a status (400, 403 or 404) for requests that cannot
+ *   be served, so routes can pass them through
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - ./authorizationService
+ * - ./notificationService
+ * - ./ragService (its vector store, to drop embeddings of deleted messages)
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import authorizationService, { PERMISSIONS } from './authorizationService.js';
+import notificationService from './notificationService.js';
+import ragService from './ragService.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+const MESSAGE_SELECT = `
+    *,
+    sender:sender_id(id, username, avatar_url)
+`;
+
+const historyError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+class MessageHistoryService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     * @param {Object} options.authorizationService - Used for the moderator checks
+     * @param {Object} options.vectorStore - Store the message embeddings live in
+     * @param {Object} options.notificationService - Notifies members an edit newly mentions
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+        this.authorizationService = options.authorizationService || authorizationService;
+        this.vectorStore = options.vectorStore || ragService.vectorStore;
+        this.notificationService = options.notificationService || notificationService;
+    }
+
+    async getMessage(messageId) {
+        const { data, error } = await this.supabase
+            .from('messages')
+            .select('id, content, file_id, attachments, sender_id, channel_id, dm_id, deleted_at')
+            .eq('id', messageId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) throw historyError(404, 'Message not found');
+        return data;
+    }
+
+    async recordRevision(message, action, userId) {
+        const { error } = await this.supabase
+            .from('message_revisions')
+            .insert({
+                message_id: message.id,
+                action,
+                content: message.content,
+                file_id: message.file_id || null,
+                attachments: message.attachments || null,
+                edited_by: userId
+            });
+
+        if (error) throw error;
+    }
+
+    /**
+     * Senders, and moderators of the message's channel
+     */
+    async canModerate(message, userId) {
+        if (message.sender_id === userId) return true;
+        return this.authorizationService.can(userId, PERMISSIONS.MODERATE, {
+            channelId: message.channel_id,
+            dmId: message.dm_id
+        });
+    }
+
+    /**
+     * Changes a message's content, keeping the previous content as a revision
+     * @param {string} messageId - Message to edit
+     * @param {string} userId - User editing; must be the sender
+     * @param {string} content - New content
+     * @returns {Promise<Object>} The updated message with its sender
+     */
+    async editMessage(messageId, userId, content) {
+        if (typeof content !== 'string' || !content.trim()) {
+            throw historyError(400, 'Message content is required');
+        }
+
+        const message = await this.getMessage(messageId);
+        if (message.sender_id !== userId) {
+            throw historyError(403, 'Not authorized to edit this message');
+        }
+        if (message.deleted_at) {
+            throw historyError(400, 'Deleted messages cannot be edited');
+        }
+
+        if (message.content !== content) {
+            await this.recordRevision(message, 'edit', userId);
+        }
+
+        const { data, error } = await this.supabase
+            .from('messages')
+            .update({
+                content,
+                is_edited: true,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', messageId)
+            .select(MESSAGE_SELECT)
+            .single();
+
+        if (error) throw error;
+
+        try {
+            await this.notificationService.notifyEditedMessage(data);
+        } catch (notificationError) {
+            console.error('Error sending notifications for edited message:', notificationError);
+        }
+        return data;
+    }
+
+    /**
+     * Turns a message into a tombstone. Its content is kept as a revision, its pin
+     * is removed and its embedding is dropped so it no longer shows up in answers.
+     * Notifications about it are withdrawn.
+     * @param {string} messageId - Message to delete
+     * @param {string} userId - The sender, or a moderator of the channel
+     * @returns {Promise<Object>} The tombstone with its sender
+     */
+    async deleteMessage(messageId, userId) {
+        const message = await this.getMessage(messageId);
+        if (!await this.canModerate(message, userId)) {
+            throw historyError(403, 'Not authorized to delete this message');
+        }
+        if (message.deleted_at) {
+            throw historyError(400, 'Message is already deleted');
+        }
+
+        await this.recordRevision(message, 'delete', userId);
+
+        const now = new Date().toISOString();
+        const { data, error } = await this.supabase
+            .from('messages')
+            .update({
+                content: '',
+                file_id: null,
+                attachments: null,
+                deleted_at: now,
+                deleted_by: userId,
+                updated_at: now
+            })
+            .eq('id', messageId)
+            .select(MESSAGE_SELECT)
+            .single();
+
+        if (error) throw error;
+
+        const { error: unpinError } = await this.supabase
+            .from('pinned_messages')
+            .delete()
+            .eq('message_id', messageId);
+
+        if (unpinError) {
+            console.error('Error unpinning deleted message:', unpinError);
+        }
+
+        try {
+            await this.vectorStore.delete([messageId]);
+        } catch (vectorError) {
+            console.error('Error removing embedding of deleted message:', vectorError);
+        }
+
+        try {
+            await this.notificationService.removeMessage(messageId);
+        } catch (notificationError) {
+            console.error('Error removing notifications of deleted message:', notificationError);
+        }
+
+        return data;
+    }
+
+    /**
+     * Lists a message's revisions, oldest first. Each revision holds the content the
+     * message had until the edit or deletion made at its created_at.
+     * @param {string} messageId - Message whose history to load
+     * @param {string} userId - User asking; read access is checked by the route
+     * @returns {Promise<{ message: Object, revisions: Array }>}
+     */
+    async getHistory(messageId, userId) {
+        const message = await this.getMessage(messageId);
+        if (message.deleted_at && !await this.canModerate(message, userId)) {
+            throw historyError(403, 'Not authorized to view the history of this message');
+        }
+
+        const { data: revisions, error } = await this.supabase
+            .from('message_revisions')
+            .select('id, action, content, file_id, attachments, created_at, editor:edited_by(id, username)')
+            .eq('message_id', messageId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        return {
+            message: {
+                id: message.id,
+                content: message.content,
+                deleted_at: message.deleted_at
+            },
+            revisions
+        };
+    }
+}
+
+export { MessageHistoryService };
+export default new MessageHistoryService();
@@ -1,10 +1,22 @@
 /**
  * @file messageListenerService.js
- * @description Service that listens for new messages and triggers AI responses when needed
+ * @description Service that listens for new messages and triggers AI responses when needed.
+ * Replies are conversation-aware: a question asked in a thread sees the parent
+ * message and earlier replies, and a top-level question sees the most recent
+ * messages in its channel or DM. History is trimmed oldest-first to fit a token
+ * budget, and the answer is always posted inside the question's thread.
+ * Each channel's AI settings decide whether the assistant answers at all, which
+ * trigger keyword addresses it, and how the reply is generated.
+ * Messages addressed to "@username-twin", and DMs to an away user, are answered
+ * by that user's digital twin when they have opted in (see twinService).
+ * Questions the web client streams (POST /api/rag/ask/stream) are skipped.
  */
 
 import { createClient } from '@supabase/supabase-js';
 import ragService from './ragService.js';
+import aiSettingsService, { DEFAULT_AI_SETTINGS } from './aiSettingsService.js';
+import twinService, { parseTwinMention } from './twinService.js';
+import { isQuestionClaimed } from './aiAnswerClaims.js';
 import OpenAI from 'openai';
 
 const supabase = createClient(
@@ -16,6 +28,56 @@ const openai = new OpenAI({
     apiKey: process.env.OPENAI_API_KEY
 });
 
+const AI_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+// Number of recent channel/DM messages offered as history for top-level questions
+const CHANNEL_HISTORY_LIMIT = 20;
+// Number of thread messages offered as history for questions asked in a thread
+const THREAD_HISTORY_LIMIT = 50;
+// Token budget for conversation history, leaving room for context and the answer
+const HISTORY_TOKEN_BUDGET = 1500;
+
+// Rough token estimate (~4 characters per token for English text)
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const DEFAULT_SYSTEM_PROMPT = "You are a helpful AI assistant in a team chat. Earlier messages in the conversation are provided for context, prefixed with the sender's name. Answer the latest question clearly and concisely.";
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches the trigger keyword as a whole word at the start of a message
+const triggerPattern = (trigger) => new RegExp(`^\\s*${escapeRegExp(trigger)}(?=\\s|$)\\s*`, 'i');
+
+/**
+ * Converts conversation history into chat messages, keeping the most recent
+ * messages that fit within the token budget. AI replies become assistant turns;
+ * everyone else's messages become user turns prefixed with the sender's name.
+ * @param {Array} history - Messages oldest first
+ * @param {number} tokenBudget - Maximum estimated tokens to include
+ * @returns {Array<{role: string, content: string}>}
+ */
+export const buildChatHistory = (history, tokenBudget = HISTORY_TOKEN_BUDGET) => {
+    const chatHistory = [];
+    let usedTokens = 0;
+
+    // Walk backwards so the newest messages win when the budget runs out
+    for (let i = history.length - 1; i >= 0; i--) {
+        const entry = history[i];
+        if (!entry.content) continue;
+
+        const turn = entry.sender_id === AI_USER_ID
+            ? { role: 'assistant', content: entry.content }
+            : { role: 'user', content: `${entry.sender?.username || 'Unknown User'}: ${entry.content}` };
+
+        const tokens = estimateTokens(turn.content);
+        if (usedTokens + tokens > tokenBudget) break;
+
+        usedTokens += tokens;
+        chatHistory.unshift(turn);
+    }
+
+    return chatHistory;
+};
+
 class MessageListenerService {
     constructor() {
         this.setupMessageListener();
@@ -41,13 +103,61 @@ class MessageListenerService {
             });
     }
 
-    async generateAIResponse(query, context = null) {
+    /**
+     * Loads the conversation leading up to a message: the thread parent and earlier
+     * replies when the message is in a thread, otherwise the latest messages in the
+     * same channel or DM. Returned oldest first, excluding the message itself.
+     * @param {Object} message - The triggering message row
+     * @returns {Promise<Array>} Messages with sender usernames
+     */
+    async fetchConversationHistory(message) {
+        const select = 'id, content, sender_id, parent_id, created_at, sender:sender_id(username)';
+
+        if (message.parent_id) {
+            const [{ data: parent }, { data: replies, error: repliesError }] = await Promise.all([
+                supabase
+                    .from('messages')
+                    .select(select)
+                    .eq('id', message.parent_id)
+                    .maybeSingle(),
+                supabase
+                    .from('messages')
+                    .select(select)
+                    .eq('parent_id', message.parent_id)
+                    .lt('created_at', message.created_at)
+                    .order('created_at', { ascending: false })
+                    .limit(THREAD_HISTORY_LIMIT)
+            ]);
+
+            if (repliesError) throw repliesError;
+            return [...(parent ? [parent] : []), ...(replies || []).reverse()];
+        }
+
+        let query = supabase
+            .from('messages')
+            .select(select)
+            .is('parent_id', null)
+            .lt('created_at', message.created_at)
+            .order('created_at', { ascending: false })
+            .limit(CHANNEL_HISTORY_LIMIT);
+
+        query = message.channel_id
+            ? query.eq('channel_id', message.channel_id)
+            : query.eq('dm_id', message.dm_id);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return (data || []).reverse();
+    }
+
+    async generateAIResponse(query, context = null, history = [], settings = DEFAULT_AI_SETTINGS) {
         try {
             let messages = [
                 {
                     role: "system",
-                    content: "You are a helpful AI assistant. Answer the user's question clearly and concisely."
-                }
+                    content: settings.system_prompt || DEFAULT_SYSTEM_PROMPT
+                },
+                ...history
             ];
 
             if (context) {
@@ -63,10 +173,10 @@ class MessageListenerService {
             }
 
             const completion = await openai.chat.completions.create({
-                model: "gpt-3.5-turbo",
+                model: settings.model,
                 messages: messages,
-                temperature: 0.7,
-                max_tokens: 500
+                temperature: settings.temperature,
+                max_tokens: settings.max_tokens
             });
 
             return completion.choices[0].message.content;
@@ -76,51 +186,131 @@ class MessageListenerService {
         }
     }
 
+    /**
+     * Answers a message as a user's digital twin and posts the reply marked with twin_of
+     * @param {Object} message - The triggering message row
+     * @param {Object} owner - Twin owner ({ id, username })
+     * @param {string} question - Text the twin should respond to
+     * @param {string|null} parentId - Thread to reply in, or null for top level
+     */
+    async replyAsTwin(message, owner, question, parentId) {
+        console.log(`Twin reply for ${owner.username} requested`);
+
+        const reply = await twinService.generateReply(owner, question, {
+            askerId: message.sender_id,
+            channelId: message.channel_id,
+            dmId: message.dm_id
+        });
+        if (!reply.success) {
+            console.error('Error generating twin reply:', reply.error);
+            return;
+        }
+
+        const { error } = await supabase
+            .from('messages')
+            .insert({
+                content: reply.content,
+                channel_id: message.channel_id,
+                dm_id: message.dm_id,
+                parent_id: parentId,
+                type: 'user',
+                sender_id: AI_USER_ID,
+                twin_of: owner.id
+            });
+
+        if (error) {
+            console.error('Error inserting twin reply:', error);
+        }
+    }
+
     async handleNewMessage(payload) {
         try {
             console.log('New message received:', payload);
             
             const message = payload.new;
-            if (!message || !message.content) return;
+            if (!message || !message.content || message.sender_id === AI_USER_ID) return;
 
-            // Check if message starts with @AI
-            if (message.content.trim().toLowerCase().startsWith('@ai')) {
+            // Questions asked through the streaming endpoint are answered there
+            if (isQuestionClaimed(message.id)) return;
+
+            // DMs have no settings record and always use the defaults
+            const settings = message.channel_id
+                ? await aiSettingsService.getChannelSettings(message.channel_id)
+                : DEFAULT_AI_SETTINGS;
+            if (!settings.enabled) return;
+
+            // "@username-twin ..." addresses that user's twin, answered in a thread
+            const twinMention = parseTwinMention(message.content);
+            if (twinMention) {
+                const owner = await twinService.findTwinByUsername(twinMention.username);
+                if (owner && owner.id !== message.sender_id && twinMention.question) {
+                    await this.replyAsTwin(message, owner, twinMention.question, message.parent_id || message.id);
+                }
+                return;
+            }
+
+            // Check if message starts with the channel's trigger keyword
+            const trigger = triggerPattern(settings.trigger);
+            if (trigger.test(message.content)) {
                 console.log('AI query detected:', message.content);
 
-                // Strip @AI prefix
-                const query = message.content.replace(/^@ai\s*/i, '').trim();
+                // Strip trigger prefix
+                const query = message.content.replace(trigger, '').trim();
                 let aiResponse;
 
+                // Earlier conversation, so follow-up questions make sense
+                let history = [];
                 try {
-                    // Try RAG first
-                    const response = await ragService.search(query);
-                    console.log('RAG response:', response);
-
-                    // Only use RAG results if we have a valid successful response with results
-                    if (response && 
-                        typeof response === 'object' && 
-                        response.success === true && 
-                        Array.isArray(response.results) && 
-                        response.results.length > 0) {
-                        
-                        // We have relevant context from RAG
-                        console.log('Using RAG context for response');
-                        const context = response.results
-                            .sort((a, b) => b.score - a.score)
-                            .slice(0, 3)
-                            .map(r => r.content)
-                            .join('\n\n');
-                        
-                        aiResponse = await this.generateAIResponse(query, context);
-                    } else {
-                        // No relevant context or invalid response, use base knowledge
-                        console.log('No valid RAG results, using base knowledge');
-                        aiResponse = await this.generateAIResponse(query);
-                    }
+                    history = buildChatHistory(await this.fetchConversationHistory(message));
                 } catch (error) {
-                    // Any error in RAG process, fall back to base knowledge
-                    console.log('Error in RAG process, falling back to base knowledge:', error.message);
-                    aiResponse = await this.generateAIResponse(query);
+                    console.error('Error loading conversation history:', error);
+                }
+
+                if (!settings.use_rag) {
+                    // Channel opted out of grounding answers in message history
+                    aiResponse = await this.generateAIResponse(query, null, history, settings);
+                } else {
+                    try {
+                        // Try RAG first, limited to the conversation the question was asked in
+                        // (or, when the channel allows it, everything the asker and every
+                        // member of the channel can see, since they all read the answer)
+                        const response = await ragService.search(query, {
+                            topK: 5,
+                            scope: {
+                                userId: message.sender_id,
+                                type: message.channel_id ? (settings.rag_scope === 'all' ? 'shared' : 'channel') : 'dm',
+                                channelId: message.channel_id,
+                                dmId: message.dm_id
+                            }
+                        });
+                        console.log('RAG response:', response);
+
+                        // Only use RAG results if we have a valid successful response with results
+                        if (response && 
+                            typeof response === 'object' && 
+                            response.success === true && 
+                            Array.isArray(response.results) && 
+                            response.results.length > 0) {
+                            
+                            // We have relevant context from RAG
+                            console.log('Using RAG context for response');
+                            const context = response.results
+                                .sort((a, b) => b.score - a.score)
+                                .slice(0, 3)
+                                .map(r => r.content)
+                                .join('\n\n');
+                            
+                            aiResponse = await this.generateAIResponse(query, context, history, settings);
+                        } else {
+                            // No relevant context or invalid response, use base knowledge
+                            console.log('No valid RAG results, using base knowledge');
+                            aiResponse = await this.generateAIResponse(query, null, history, settings);
+                        }
+                    } catch (error) {
+                        // Any error in RAG process, fall back to base knowledge
+                        console.log('Error in RAG process, falling back to base knowledge:', error.message);
+                        aiResponse = await this.generateAIResponse(query, null, history, settings);
+                    }
                 }
 
                 if (!aiResponse) {
@@ -128,20 +318,27 @@ class MessageListenerService {
                     aiResponse = "I apologize, but I'm having trouble processing your request right now. Please try again later.";
                 }
 
-                // Insert AI's response
+                // Insert AI's response in the question's thread
                 const { error: responseError } = await supabase
                     .from('messages')
                     .insert({
                         content: aiResponse,
                         channel_id: message.channel_id,
                         dm_id: message.dm_id,
+                        parent_id: message.parent_id || message.id,
                         type: 'user',
-                        sender_id: '00000000-0000-0000-0000-000000000000' // AI user ID
+                        sender_id: AI_USER_ID
                     });
 
                 if (responseError) {
                     console.error('Error inserting AI response:', responseError);
                 }
+            } else if (message.dm_id) {
+                // DMs to an away user are answered by their twin, in the same place
+                const awayOwner = await twinService.findAwayTwinForDM(message);
+                if (awayOwner) {
+                    await this.replyAsTwin(message, awayOwner, message.content, message.parent_id || null);
+                }
             }
         } catch (error) {
             console.error('Error handling message:', error);
@@ -149,5 +346,5 @@ class MessageListenerService {
     }
 }
 
-// Create and export a singleton instance
-export default new MessageListenerService(); 
\ No newline at end of file
+export { MessageListenerService };
+export default MessageListenerService;
\ No newline at end of file
@@ -21,6 +21,7 @@
  * 
  * Dependencies:
  * - @supabase/supabase-js
+ * - ./notificationService
  * - socket.io (optional)
  * 
  * @version 1.0.0
@@ -28,6 +29,7 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import notificationService from './notificationService.js';
 
 const supabase = createClient(
     process.env.SUPABASE_URL,
@@ -72,15 +74,23 @@ class MessageService {
         };
     }
 
+    /**
+     * Inserts a message and returns it with its sender. POST /api/messages and
+     * incoming webhooks post through here too. Mentions are recorded and
+     * notifications sent once the message is saved.
+     */
     async saveMessage(message) {
         console.log("Server: [saveMessage] Saving message:", message);
         const { data, error } = await supabase
             .from('messages')
             .insert({
+                id: message.id,
                 content: message.content,
                 sender_id: message.sender_id,
                 channel_id: message.channel_id,
                 dm_id: message.dm_id,
+                parent_id: message.parent_id,
+                attachments: message.attachments,
                 type: message.type || 'user'
             })
             .select(`
@@ -93,9 +103,41 @@ class MessageService {
             console.error('Error saving message:', error);
             throw error;
         }
+
+        try {
+            await notificationService.notifyNewMessage(data);
+        } catch (notificationError) {
+            console.error('Error sending notifications for message:', notificationError);
+        }
         return data;
     }
 
+    /**
+     * Checks that a reply's parent is a top-level message in the conversation the
+     * reply is posted to, so threads never span conversations
+     * @param {string} parentId - Message the reply is posted under
+     * @param {Object} conversation - { channelId } or { dmId } of the reply
+     * @returns {Promise<string|null>} Why the parent is refused, or null if it is valid
+     */
+    async checkThreadParent(parentId, { channelId, dmId }) {
+        if (!channelId && !dmId) return 'parentId requires a channelId or dmId';
+
+        const { data: parent, error } = await supabase
+            .from('messages')
+            .select('id, channel_id, dm_id, parent_id')
+            .eq('id', parentId)
+            .maybeSingle();
+
+        if (error) throw error;
+        const sameConversation = parent && (channelId
+            ? parent.channel_id === channelId
+            : parent.dm_id === dmId);
+        if (!sameConversation || parent.parent_id) {
+            return 'parentId must be a top-level message in the same conversation';
+        }
+        return null;
+    }
+
     async createSystemMessage(channelId, content) {
         console.log("Server: [createSystemMessage] Creating system message for channel:", channelId);
         return this.saveMessage({
@@ -143,6 +185,8 @@ class MessageService {
             try {
                 const savedMessage = await this.saveMessage({
                     ...message,
+                    // Attachments are validated by the incoming webhook route only
+                    attachments: undefined,
                     sender_id: socket.user.id
                 });
 
@@ -0,0 +1,362 @@
+/**
+ * @file notificationPreferenceService.js
+ * @description Notification preferences. Each user picks how much they hear about
+ * every channel and DM, and may keep a daily do-not-disturb window.
+ *
+ * Levels:
+ * - all: every message (channels get a channel_message notification for each
+ *   top-level message)
+ * - mentions: only mentions and replies to the user's threads
+ * - none: nothing
+ * Channels default to mentions and DMs to all. Muting a conversation until a time
+ * behaves like none until then.
+ *
+ * Do Not Disturb:
+ * - A user is in do-not-disturb while their status is "busy" (shown as Do Not
+ *   Disturb in the header), or while their schedule's window is open. The inbox
+ *   still collects notifications then; push and email fan-out hold back.
+ *
+ * Errors:
+ * - Methods throw errors with a status (400) for invalid settings, so routes can
+ *   pass them through
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+export const PREFERENCE_LEVELS = ['all', 'mentions', 'none'];
+export const DEFAULT_LEVELS = { channel: 'mentions', dm: 'all' };
+
+// The status the header labels "Do Not Disturb"
+export const DND_STATUS = 'busy';
+
+const DEFAULT_SCHEDULE = { enabled: false, start: '22:00', end: '08:00', timezone: 'UTC' };
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+
+// Notification types each level lets through
+const LEVEL_TYPES = {
+    all: ['mention', 'thread_reply', 'direct_message', 'channel_message'],
+    mentions: ['mention', 'thread_reply'],
+    none: []
+};
+
+const preferenceError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const toMinutes = (time) => {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+};
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Whether a do-not-disturb schedule's window is open at a given time. Windows
+ * whose end is before their start wrap past midnight.
+ * @param {Object} schedule - { enabled, start: 'HH:MM', end: 'HH:MM', timezone }
+ * @param {Date} now - Time to check
+ * @returns {boolean}
+ */
+export const isWithinSchedule = (schedule, now = new Date()) => {
+    if (!schedule?.enabled || schedule.start === schedule.end) return false;
+
+    const [hours, minutes] = new Intl.DateTimeFormat('en-GB', {
+        timeZone: schedule.timezone || 'UTC',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).format(now).split(':').map(Number);
+
+    const current = hours * 60 + minutes;
+    const start = toMinutes(schedule.start);
+    const end = toMinutes(schedule.end);
+    return start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+};
+
+/**
+ * The level in force for a preference row: none while muted, the conversation
+ * type's default without a row
+ */
+export const effectiveLevel = (preference, isDM, now = new Date()) => {
+    if (preference?.muted_until && new Date(preference.muted_until) > now) return 'none';
+    return preference?.level || (isDM ? DEFAULT_LEVELS.dm : DEFAULT_LEVELS.channel);
+};
+
+const formatSchedule = (settings) => ({
+    enabled: settings?.dnd_enabled === true,
+    start: (settings?.dnd_start || DEFAULT_SCHEDULE.start).slice(0, 5),
+    end: (settings?.dnd_end || DEFAULT_SCHEDULE.end).slice(0, 5),
+    timezone: settings?.dnd_timezone || DEFAULT_SCHEDULE.timezone
+});
+
+class NotificationPreferenceService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+    }
+
+    /**
+     * A user's preference for one channel or DM
+     * @param {string} userId - User whose preference to load
+     * @param {Object} target - { channelId } or { dmId }
+     * @returns {Promise<{ level: string, muted_until: string|null, effective_level: string }>}
+     */
+    async getConversationPreference(userId, { channelId, dmId }) {
+        const column = channelId ? 'channel_id' : 'dm_id';
+        const { data, error } = await this.supabase
+            .from('notification_preferences')
+            .select('level, muted_until')
+            .eq('user_id', userId)
+            .eq(column, channelId || dmId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return {
+            level: data?.level || (dmId ? DEFAULT_LEVELS.dm : DEFAULT_LEVELS.channel),
+            muted_until: data?.muted_until || null,
+            effective_level: effectiveLevel(data, Boolean(dmId))
+        };
+    }
+
+    /**
+     * Changes a user's preference for one channel or DM. Fields left out keep
+     * their current value; muted_until null unmutes.
+     * @param {string} userId - Member changing their preference
+     * @param {Object} target - { channelId } or { dmId }
+     * @param {Object} changes - { level, muted_until }
+     */
+    async updateConversationPreference(userId, { channelId, dmId }, changes = {}) {
+        const { level, muted_until: mutedUntil } = changes;
+        if (level !== undefined && !PREFERENCE_LEVELS.includes(level)) {
+            throw preferenceError(400, `level must be one of: ${PREFERENCE_LEVELS.join(', ')}`);
+        }
+        if (mutedUntil !== undefined && mutedUntil !== null && Number.isNaN(Date.parse(mutedUntil))) {
+            throw preferenceError(400, 'muted_until must be a date or null');
+        }
+
+        const current = await this.getConversationPreference(userId, { channelId, dmId });
+        const column = channelId ? 'channel_id' : 'dm_id';
+        const { error } = await this.supabase
+            .from('notification_preferences')
+            .upsert({
+                user_id: userId,
+                [column]: channelId || dmId,
+                level: level ?? current.level,
+                muted_until: mutedUntil === undefined
+                    ? current.muted_until
+                    : mutedUntil && new Date(mutedUntil).toISOString(),
+                updated_at: new Date().toISOString()
+            }, { onConflict: `user_id,${column}` });
+
+        if (error) throw error;
+        return this.getConversationPreference(userId, { channelId, dmId });
+    }
+
+    /**
+     * A user's do-not-disturb schedule
+     * @returns {Promise<{ enabled: boolean, start: string, end: string, timezone: string }>}
+     */
+    async getSchedule(userId) {
+        const { data, error } = await this.supabase
+            .from('user_settings')
+            .select('dnd_enabled, dnd_start, dnd_end, dnd_timezone')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return formatSchedule(data);
+    }
+
+    /**
+     * Changes a user's do-not-disturb schedule
+     * @param {string} userId - User changing their schedule
+     * @param {Object} schedule - { enabled, start: 'HH:MM', end: 'HH:MM', timezone }
+     */
+    async updateSchedule(userId, { enabled, start, end, timezone } = {}) {
+        const current = await this.getSchedule(userId);
+        const next = {
+            enabled: enabled ?? current.enabled,
+            start: start ?? current.start,
+            end: end ?? current.end,
+            timezone: timezone ?? current.timezone
+        };
+
+        if (typeof next.enabled !== 'boolean') {
+            throw preferenceError(400, 'enabled must be a boolean');
+        }
+        if (!TIME_PATTERN.test(next.start) || !TIME_PATTERN.test(next.end)) {
+            throw preferenceError(400, 'start and end must be times as HH:MM');
+        }
+        if (!isValidTimezone(next.timezone)) {
+            throw preferenceError(400, 'Unknown time zone');
+        }
+
+        const { error } = await this.supabase
+            .from('user_settings')
+            .upsert({
+                user_id: userId,
+                dnd_enabled: next.enabled,
+                dnd_start: next.start.slice(0, 5),
+                dnd_end: next.end.slice(0, 5),
+                dnd_timezone: next.timezone,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id' });
+
+        if (error) throw error;
+        return { ...next, start: next.start.slice(0, 5), end: next.end.slice(0, 5) };
+    }
+
+    /**
+     * Everything a user has set: their conversation preferences and schedule
+     * @returns {Promise<{ conversations: Array, schedule: Object }>}
+     */
+    async getPreferences(userId) {
+        const { data, error } = await this.supabase
+            .from('notification_preferences')
+            .select('channel_id, dm_id, level, muted_until')
+            .eq('user_id', userId);
+
+        if (error) throw error;
+        return {
+            conversations: (data || []).map(row => ({
+                ...row,
+                effective_level: effectiveLevel(row, Boolean(row.dm_id))
+            })),
+            schedule: await this.getSchedule(userId)
+        };
+    }
+
+    async getConversationPreferences(message, userIds) {
+        if (userIds.length === 0) return new Map();
+
+        const column = message.channel_id ? 'channel_id' : 'dm_id';
+        const { data, error } = await this.supabase
+            .from('notification_preferences')
+            .select('user_id, level, muted_until')
+            .eq(column, message.channel_id || message.dm_id)
+            .in('user_id', userIds);
+
+        if (error) throw error;
+        return new Map((data || []).map(row => [row.user_id, row]));
+    }
+
+    /**
+     * Drops the notifications a message's recipients have opted out of
+     * @param {Object} message - The message the notifications are about
+     * @param {Map<string, string>} recipients - Type of notification by user id
+     * @returns {Promise<Map<string, string>>} The recipients who still want theirs
+     */
+    async filterRecipients(message, recipients) {
+        const preferences = await this.getConversationPreferences(message, [...recipients.keys()]);
+        const isDM = !message.channel_id;
+
+        return new Map([...recipients].filter(([userId, type]) =>
+            LEVEL_TYPES[effectiveLevel(preferences.get(userId), isDM)].includes(type)
+        ));
+    }
+
+    /**
+     * Members of a message's channel who want to hear about all of its messages
+     * @param {Object} message - A channel message
+     * @returns {Promise<Array<string>>} Their user ids, without the sender's
+     */
+    async getChannelFollowers(message) {
+        const { data, error } = await this.supabase
+            .from('notification_preferences')
+            .select('user_id, level, muted_until')
+            .eq('channel_id', message.channel_id)
+            .eq('level', 'all');
+
+        if (error) throw error;
+        const userIds = (data || [])
+            .filter(row => row.user_id !== message.sender_id && effectiveLevel(row, false) === 'all')
+            .map(row => row.user_id);
+        if (userIds.length === 0) return [];
+
+        // Preferences outlive memberships, so only keep current members
+        const { data: members, error: membersError } = await this.supabase
+            .from('channel_members')
+            .select('user_id')
+            .eq('channel_id', message.channel_id)
+            .in('user_id', userIds);
+
+        if (membersError) throw membersError;
+        return [...new Set((members || []).map(member => member.user_id))];
+    }
+
+    /**
+     * Channels and DMs a user hears nothing from right now: muted, or set to none
+     * @param {string} userId - User whose preferences to check
+     * @param {Date} now - Time to check
+     * @returns {Promise<Set<string>>} Their channel and DM ids
+     */
+    async getSilencedConversations(userId, now = new Date()) {
+        const { data, error } = await this.supabase
+            .from('notification_preferences')
+            .select('channel_id, dm_id, level, muted_until')
+            .eq('user_id', userId);
+
+        if (error) throw error;
+        return new Set((data || [])
+            .filter(row => effectiveLevel(row, Boolean(row.dm_id), now) === 'none')
+            .map(row => row.channel_id || row.dm_id));
+    }
+
+    /**
+     * Which of the given users are in do-not-disturb right now
+     * @param {Array<string>} userIds - Users to check
+     * @param {Date} now - Time to check
+     * @returns {Promise<Set<string>>}
+     */
+    async getDoNotDisturb(userIds, now = new Date()) {
+        if (userIds.length === 0) return new Set();
+
+        const { data: users, error } = await this.supabase
+            .from('users')
+            .select('id, status')
+            .in('id', userIds);
+
+        if (error) throw error;
+
+        const { data: settings, error: settingsError } = await this.supabase
+            .from('user_settings')
+            .select('user_id, dnd_enabled, dnd_start, dnd_end, dnd_timezone')
+            .in('user_id', userIds);
+
+        if (settingsError) throw settingsError;
+
+        const busy = (users || []).filter(user => user.status === DND_STATUS).map(user => user.id);
+        const scheduled = (settings || [])
+            .filter(row => isWithinSchedule(formatSchedule(row), now))
+            .map(row => row.user_id);
+        return new Set([...busy, ...scheduled]);
+    }
+}
+
+export { NotificationPreferenceService };
+export default new NotificationPreferenceService();
@@ -0,0 +1,291 @@
+/**
+ * @file notificationService.js
+ * @description Each user's notification inbox. Posting a message records its
+ * mentions and notifies the people it concerns: members it mentions, the author of
+ * the thread it replies to, the other members of the DM it is posted in, and
+ * members who follow all messages of its channel. Every user gets at most one
+ * notification per message, of the most specific type, and only if their
+ * preferences for the conversation let it through.
+ * Clients receive new notifications through Supabase realtime on the notifications
+ * table; mentions and DM messages are also sent as Web Push messages.
+ *
+ * Core Functionality:
+ * - Fanning out notifications for new and edited messages
+ * - Listing a user's inbox, newest first
+ * - Marking notifications read, one at a time or all at once
+ *
+ * Errors:
+ * - Methods throw errors with a status (404) for requests that cannot be served,
+ *   so routes can pass them through
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - ./mentionService
+ * - ./notificationPreferenceService
+ * - ./pushService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import mentionService from './mentionService.js';
+import notificationPreferenceService from './notificationPreferenceService.js';
+import pushService from './pushService.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+const DEFAULT_LIMIT = 30;
+const MAX_LIMIT = 100;
+
+const NOTIFICATION_SELECT = `
+    id, type, message_id, channel_id, dm_id, read_at, created_at,
+    actor:actor_id(id, username, avatar_url),
+    message:message_id(id, content, parent_id, deleted_at),
+    channel:channel_id(id, name)
+`;
+
+const notificationError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+class NotificationService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     * @param {Object} options.mentionService - Resolves and stores mentions
+     * @param {Object} options.preferenceService - Applies notification preferences
+     * @param {Object} options.pushService - Sends notifications to subscribed browsers
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+        this.mentionService = options.mentionService || mentionService;
+        this.preferenceService = options.preferenceService || notificationPreferenceService;
+        this.pushService = options.pushService || pushService;
+    }
+
+    /**
+     * Inserts the notifications the recipients' preferences allow, leaving any
+     * they already have for the message
+     * @param {Object} message - The message the notifications are about
+     * @param {Map<string, string>} candidates - Type of notification by user id
+     */
+    async notify(message, candidates) {
+        if (candidates.size === 0) return [];
+        const recipients = await this.preferenceService.filterRecipients(message, candidates);
+        if (recipients.size === 0) return [];
+
+        const rows = [...recipients].map(([userId, type]) => ({
+            user_id: userId,
+            type,
+            message_id: message.id,
+            channel_id: message.channel_id || null,
+            dm_id: message.dm_id || null,
+            actor_id: message.sender_id || null
+        }));
+
+        const { data, error } = await this.supabase
+            .from('notifications')
+            .upsert(rows, { onConflict: 'user_id,message_id', ignoreDuplicates: true })
+            .select('id, user_id, type');
+
+        if (error) throw error;
+
+        // Push services can be slow; the message is already saved, so don't wait
+        const created = data || [];
+        if (created.length > 0) {
+            this.pushService.deliverNotifications(message, created)
+                .catch(pushError => console.error('Error sending push notifications:', pushError));
+        }
+
+        return created;
+    }
+
+    /**
+     * Author of the message a reply belongs under, unless they wrote the reply
+     */
+    async getThreadAuthor(message) {
+        const { data, error } = await this.supabase
+            .from('messages')
+            .select('sender_id')
+            .eq('id', message.parent_id)
+            .maybeSingle();
+
+        if (error) throw error;
+        const authorId = data?.sender_id;
+        return authorId && authorId !== message.sender_id ? authorId : null;
+    }
+
+    /**
+     * Other members of the DM a message was posted in
+     */
+    async getDMRecipients(message) {
+        const { data, error } = await this.supabase
+            .from('direct_message_members')
+            .select('user_id')
+            .eq('dm_id', message.dm_id);
+
+        if (error) throw error;
+        return (data || [])
+            .map(member => member.user_id)
+            .filter(userId => userId !== message.sender_id);
+    }
+
+    /**
+     * Records the mentions of a newly posted message and notifies everyone it
+     * concerns. System messages only notify the members they mention.
+     * @param {Object} message - Saved message
+     * @returns {Promise<Array<{ id, user_id, type }>>} The notifications created
+     */
+    async notifyNewMessage(message) {
+        const { mentions } = await this.mentionService.saveMentions(message);
+        const recipients = new Map(mentions.map(mention => [mention.user_id, 'mention']));
+        const fromUser = message.type !== 'system' && Boolean(message.sender_id);
+
+        if (fromUser && message.parent_id) {
+            const authorId = await this.getThreadAuthor(message);
+            if (authorId && !recipients.has(authorId)) {
+                recipients.set(authorId, 'thread_reply');
+            }
+        }
+
+        if (fromUser && message.dm_id) {
+            (await this.getDMRecipients(message))
+                .filter(userId => !recipients.has(userId))
+                .forEach(userId => recipients.set(userId, 'direct_message'));
+        }
+
+        if (fromUser && message.channel_id && !message.parent_id) {
+            (await this.preferenceService.getChannelFollowers(message))
+                .filter(userId => !recipients.has(userId))
+                .forEach(userId => recipients.set(userId, 'channel_message'));
+        }
+
+        return this.notify(message, recipients);
+    }
+
+    /**
+     * Re-records the mentions of an edited message. Only members the edit newly
+     * mentions are notified; nobody loses a notification they already have.
+     * @param {Object} message - Message after the edit
+     * @returns {Promise<Array<{ id, user_id, type }>>} The notifications created
+     */
+    async notifyEditedMessage(message) {
+        const { added } = await this.mentionService.saveMentions(message);
+        return this.notify(message, new Map(added.map(mention => [mention.user_id, 'mention'])));
+    }
+
+    /**
+     * Removes the notifications and mentions of a deleted message
+     * @param {string} messageId - Deleted message
+     */
+    async removeMessage(messageId) {
+        const { error } = await this.supabase
+            .from('notifications')
+            .delete()
+            .eq('message_id', messageId);
+
+        if (error) throw error;
+
+        const { error: mentionsError } = await this.supabase
+            .from('message_mentions')
+            .delete()
+            .eq('message_id', messageId);
+
+        if (mentionsError) throw mentionsError;
+    }
+
+    /**
+     * Lists a user's notifications, newest first
+     * @param {string} userId - Owner of the inbox
+     * @param {Object} options
+     * @param {boolean} options.unreadOnly - Leave out notifications already read
+     * @param {number} options.limit - Page size (default 30, at most 100)
+     * @param {string} options.before - Only notifications created before this time
+     * @returns {Promise<{ notifications: Array, unreadCount: number, hasMore: boolean }>}
+     */
+    async listNotifications(userId, { unreadOnly = false, limit = DEFAULT_LIMIT, before } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        let query = this.supabase
+            .from('notifications')
+            .select(NOTIFICATION_SELECT)
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(pageSize + 1);
+
+        if (unreadOnly) query = query.is('read_at', null);
+        if (before) query = query.lt('created_at', before);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        const { count, error: countError } = await this.supabase
+            .from('notifications')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .is('read_at', null);
+
+        if (countError) throw countError;
+
+        const rows = data || [];
+        return {
+            notifications: rows.slice(0, pageSize),
+            unreadCount: count || 0,
+            hasMore: rows.length > pageSize
+        };
+    }
+
+    /**
+     * Marks one of the user's notifications read
+     * @returns {Promise<Object>} The notification
+     */
+    async markRead(userId, notificationId) {
+        const { data, error } = await this.supabase
+            .from('notifications')
+            .update({ read_at: new Date().toISOString() })
+            .eq('id', notificationId)
+            .eq('user_id', userId)
+            .is('read_at', null)
+            .select('id, read_at');
+
+        if (error) throw error;
+        if (data?.length) return data[0];
+
+        // Already read, or not theirs
+        const { data: existing, error: existingError } = await this.supabase
+            .from('notifications')
+            .select('id, read_at')
+            .eq('id', notificationId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (existingError) throw existingError;
+        if (!existing) throw notificationError(404, 'Notification not found');
+        return existing;
+    }
+
+    /**
+     * Marks all of the user's unread notifications read
+     * @returns {Promise<number>} How many were marked
+     */
+    async markAllRead(userId) {
+        const { data, error } = await this.supabase
+            .from('notifications')
+            .update({ read_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .is('read_at', null)
+            .select('id');
+
+        if (error) throw error;
+        return (data || []).length;
+    }
+}
+
+export { NotificationService };
+export default new NotificationService();
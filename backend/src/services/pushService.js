@@ -0,0 +1,282 @@
+/**
+ * @file pushService.js
+ * @description Web Push delivery. Browsers subscribe with the server's VAPID public
+ * key and the subscriptions are stored per user. When notifications are created
+ * for mentions and DM messages, each recipient's browsers get an encrypted push
+ * message, so the service worker can show it while the app is in the background.
+ *
+ * Delivery Rules:
+ * - Only mention and direct_message notifications are pushed; the notification
+ *   service has already applied each recipient's conversation preferences
+ * - Nothing is pushed to users in do-not-disturb (see notificationPreferenceService)
+ * - Subscriptions the push service reports as gone (404 or 410) are removed
+ * - Endpoints must be https URLs outside the server's own network, since the
+ *   server POSTs to whatever a browser subscribed with
+ *
+ * Environment Variables:
+ * - VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY: Key pair from `npm run generate-vapid-keys`;
+ *   push is disabled without them
+ * - VAPID_SUBJECT: Contact for push services (mailto: or https: URL)
+ * - PUSH_ALLOW_INSECURE_ENDPOINTS: 'true' accepts http and private network
+ *   endpoints, so a local push service stand-in can receive deliveries
+ *   (development and tests only)
+ *
+ * Errors:
+ * - Methods throw errors with a status (400, 409 or 503) for requests that cannot be
+ *   served, so routes can pass them through
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - node-fetch
+ * - ./push/webPush
+ * - ./notificationPreferenceService
+ * - ./webhookService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import fetch from 'node-fetch';
+import { createVapidAuthorization, encryptPayload, isValidSubscriptionKeys } from './push/webPush.js';
+import notificationPreferenceService from './notificationPreferenceService.js';
+import { isPrivateHost } from './webhookService.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+export const PUSH_TYPES = ['mention', 'direct_message'];
+
+const DEFAULT_VAPID_SUBJECT = 'mailto:no-reply@chatgenius.local';
+// Push services keep undelivered messages this long while a device is offline
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_BODY_LENGTH = 200;
+
+const pushError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+class PushService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     * @param {Function} options.fetch - HTTP client for push services
+     * @param {Object} options.preferenceService - Tells who is in do-not-disturb
+     * @param {Object} options.vapid - { publicKey, privateKey, subject }
+     * @param {boolean} options.allowInsecureEndpoints - Accept http and private network endpoints
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+        this.fetch = options.fetch || fetch;
+        this.preferenceService = options.preferenceService || notificationPreferenceService;
+        this.vapid = options.vapid || {
+            publicKey: process.env.VAPID_PUBLIC_KEY,
+            privateKey: process.env.VAPID_PRIVATE_KEY,
+            subject: process.env.VAPID_SUBJECT || DEFAULT_VAPID_SUBJECT
+        };
+        this.allowInsecureEndpoints = options.allowInsecureEndpoints
+            ?? process.env.PUSH_ALLOW_INSECURE_ENDPOINTS === 'true';
+    }
+
+    isEnabled() {
+        return Boolean(this.vapid.publicKey && this.vapid.privateKey);
+    }
+
+    /**
+     * The key browsers subscribe with
+     * @returns {string} base64url-encoded VAPID public key
+     */
+    getPublicKey() {
+        if (!this.isEnabled()) throw pushError(503, 'Push notifications are not configured');
+        return this.vapid.publicKey;
+    }
+
+    /**
+     * Stores a browser's push subscription for the user. Subscribing the same
+     * endpoint again replaces its keys; an endpoint another user subscribed stays
+     * theirs, so nobody can redirect someone else's notifications.
+     * @param {string} userId - Signed-in user
+     * @param {Object} subscription - PushSubscription JSON: { endpoint, keys: { p256dh, auth } }
+     * @param {string} userAgent - Browser description, to tell subscriptions apart
+     */
+    async subscribe(userId, subscription, userAgent = null) {
+        if (!this.isEnabled()) throw pushError(503, 'Push notifications are not configured');
+
+        let endpoint;
+        try {
+            endpoint = new URL(subscription?.endpoint);
+        } catch {
+            throw pushError(400, 'endpoint must be a URL');
+        }
+        const protocols = this.allowInsecureEndpoints ? ['https:', 'http:'] : ['https:'];
+        if (!protocols.includes(endpoint.protocol)) {
+            throw pushError(400, 'endpoint must use https');
+        }
+        if (!this.allowInsecureEndpoints && isPrivateHost(endpoint.hostname)) {
+            throw pushError(400, 'endpoint must not point to a private network address');
+        }
+        if (!isValidSubscriptionKeys(subscription.keys)) {
+            throw pushError(400, 'keys.p256dh and keys.auth are required');
+        }
+
+        const { data: existing, error: existingError } = await this.supabase
+            .from('push_subscriptions')
+            .select('user_id')
+            .eq('endpoint', subscription.endpoint)
+            .maybeSingle();
+
+        if (existingError) throw existingError;
+        if (existing && existing.user_id !== userId) {
+            throw pushError(409, 'This endpoint is subscribed for another user');
+        }
+
+        const { data, error } = await this.supabase
+            .from('push_subscriptions')
+            .upsert({
+                user_id: userId,
+                endpoint: subscription.endpoint,
+                p256dh: subscription.keys.p256dh,
+                auth: subscription.keys.auth,
+                user_agent: userAgent ? truncate(userAgent, 255) : null
+            }, { onConflict: 'endpoint' })
+            .select('id, endpoint, created_at')
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Removes one of the user's subscriptions
+     * @returns {Promise<boolean>} Whether there was one
+     */
+    async unsubscribe(userId, endpoint) {
+        const { data, error } = await this.supabase
+            .from('push_subscriptions')
+            .delete()
+            .eq('user_id', userId)
+            .eq('endpoint', endpoint)
+            .select('id');
+
+        if (error) throw error;
+        return (data || []).length > 0;
+    }
+
+    /**
+     * What the service worker shows for a notification
+     */
+    async buildPayload(message, notification) {
+        const sender = message.sender?.username || 'Someone';
+        let title = sender;
+        if (notification.type === 'mention') {
+            title = `${sender} mentioned you`;
+            if (message.channel_id) {
+                const { data: channel } = await this.supabase
+                    .from('channels')
+                    .select('name')
+                    .eq('id', message.channel_id)
+                    .maybeSingle();
+                if (channel) title += ` in #${channel.name}`;
+            }
+        }
+
+        return {
+            title,
+            body: truncate(message.content || '', MAX_BODY_LENGTH),
+            url: message.channel_id ? `/chat?channel=${message.channel_id}` : `/chat?dm=${message.dm_id}`,
+            tag: message.channel_id || message.dm_id,
+            notification_id: notification.id,
+            type: notification.type
+        };
+    }
+
+    /**
+     * Sends one encrypted push message
+     * @returns {Promise<{ ok: boolean, gone: boolean, status: number|null }>}
+     */
+    async sendToSubscription(subscription, payload) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+
+        try {
+            const response = await this.fetch(subscription.endpoint, {
+                method: 'POST',
+                headers: {
+                    Authorization: createVapidAuthorization(subscription.endpoint, this.vapid),
+                    'Content-Encoding': 'aes128gcm',
+                    'Content-Type': 'application/octet-stream',
+                    TTL: String(PUSH_TTL_SECONDS),
+                    Urgency: 'high'
+                },
+                body: encryptPayload(JSON.stringify(payload), subscription),
+                signal: controller.signal
+            });
+
+            return {
+                ok: response.ok,
+                gone: response.status === 404 || response.status === 410,
+                status: response.status
+            };
+        } catch (error) {
+            console.error('Error sending push message:', error.message);
+            return { ok: false, gone: false, status: null };
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Pushes newly created notifications to their recipients' browsers
+     * @param {Object} message - The message the notifications are about, with its sender
+     * @param {Array<{ id, user_id, type }>} notifications - Notifications just created
+     * @returns {Promise<{ sent: number, failed: number, removed: number }>}
+     */
+    async deliverNotifications(message, notifications) {
+        const result = { sent: 0, failed: 0, removed: 0 };
+        if (!this.isEnabled()) return result;
+
+        const pushable = notifications.filter(notification => PUSH_TYPES.includes(notification.type));
+        if (pushable.length === 0) return result;
+
+        const dnd = await this.preferenceService.getDoNotDisturb(pushable.map(notification => notification.user_id));
+        const recipients = pushable.filter(notification => !dnd.has(notification.user_id));
+        if (recipients.length === 0) return result;
+
+        const { data: subscriptions, error } = await this.supabase
+            .from('push_subscriptions')
+            .select('id, user_id, endpoint, p256dh, auth')
+            .in('user_id', recipients.map(notification => notification.user_id));
+
+        if (error) throw error;
+
+        for (const notification of recipients) {
+            const targets = (subscriptions || []).filter(subscription => subscription.user_id === notification.user_id);
+            if (targets.length === 0) continue;
+
+            const payload = await this.buildPayload(message, notification);
+            for (const subscription of targets) {
+                const outcome = await this.sendToSubscription(subscription, payload);
+                if (outcome.ok) {
+                    result.sent += 1;
+                } else if (outcome.gone) {
+                    await this.supabase.from('push_subscriptions').delete().eq('id', subscription.id);
+                    result.removed += 1;
+                } else {
+                    result.failed += 1;
+                }
+            }
+        }
+
+        return result;
+    }
+}
+
+export { PushService };
+export default new PushService();
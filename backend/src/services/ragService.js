@@ -1,12 +1,13 @@
 /**
  * @file ragService.js
  * @description Service for handling RAG (Retrieval Augmented Generation) operations.
- * This service manages the embedding and retrieval of chat messages using OpenAI's
- * text-embedding-3-large model and Pinecone vector store.
+ * This service manages the embedding and retrieval of chat messages through a
+ * pluggable embedding provider (OpenAI text-embedding-3-large by default) and a
+ * pluggable vector store (Pinecone by default).
  * 
  * Key Features:
- * - Message embedding generation using OpenAI
- * - Vector storage and retrieval using Pinecone
+ * - Message embedding generation using OpenAI or a local deterministic embedder
+ * - Vector storage and retrieval using Pinecone or an in-process local store
  * - Batch processing for efficient embedding updates
  * - Incremental updates tracking
  * 
@@ -18,20 +19,43 @@
  * 2. Generate embeddings for messages:
  *    const messagesWithEmbeddings = await ragService.generateEmbeddings(messages);
  * 
- * 3. Upsert vectors to Pinecone:
+ * 3. Upsert vectors to the vector store:
  *    await ragService.upsertVectors(messagesWithEmbeddings);
  * 
  * 4. Check and update pending messages:
  *    await ragService.checkUpsertedMessages();
  *    await ragService.upsertPendingMessages();
  * 
+ * 5. Answer a question from chat history:
+ *    const { answer, sources, usage } = await ragService.answerQuestion(query);
+ * 
+ * Permission Scoping:
+ * - Vectors carry channel_id or dm_id metadata
+ * - search, performSimilaritySearch and answerQuestion accept a scope
+ *   ({ userId, type: 'channel' | 'dm' | 'all' | 'shared', channelId, dmId }) that is
+ *   resolved to a Pinecone metadata filter covering only conversations the
+ *   user can see
+ * - 'shared' narrows 'all' to conversations every member of channelId (or dmId)
+ *   can also see, for answers posted where all of them read them
+ * 
  * Environment Variables Required:
- * - OPENAI_API_KEY: OpenAI API key for embeddings
- * - PINECONE_API_KEY: Pinecone API key
- * - PINECONE_INDEX: Name of the Pinecone index
+ * - OPENAI_API_KEY: OpenAI API key for embeddings and chat completions
+ * - PINECONE_API_KEY: Pinecone API key (when VECTOR_STORE=pinecone)
+ * - PINECONE_INDEX: Name of the Pinecone index (when VECTOR_STORE=pinecone)
  * - SUPABASE_URL: Supabase project URL
  * - SUPABASE_SERVICE_KEY: Supabase service role key
  * 
+ * Optional Configuration:
+ * - VECTOR_STORE: 'pinecone' (default) or 'local'
+ * - EMBEDDING_PROVIDER: 'openai' (default) or 'local'
+ * - LOCAL_VECTOR_STORE_PATH: JSON file the local store persists to
+ * - LOCAL_EMBEDDING_DIMENSION: Vector size for the local embedder
+ * 
+ * Dependency Injection:
+ *    new RAGService({ vectorStore, embeddings, openai, supabase })
+ *    lets tests and scripts swap any backend without touching configuration.
+ *    Backends that are not injected are created from configuration on first use.
+ * 
  * Performance Considerations:
  * - Batch size of 100 messages per upsert for optimal performance
  * - 1-second delay between batches to avoid rate limits
@@ -44,14 +68,16 @@
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
-import { OpenAIEmbeddings } from '@langchain/openai';
-import { Pinecone } from '@pinecone-database/pinecone';
 import fetch from 'node-fetch';
 import OpenAI from 'openai';
+import { createVectorStore } from './vectorStores/index.js';
+import { createEmbeddingProvider } from './embeddings/index.js';
 
 // Load environment variables
 dotenv.config();
 
+const AI_USER_ID = '00000000-0000-0000-0000-000000000000';
+
 // Configure Supabase with fetch options for Node.js
 const supabaseOptions = {
     auth: {
@@ -64,14 +90,28 @@ const supabaseOptions = {
     }
 };
 
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SERVICE_KEY,
-    supabaseOptions
-);
+// Created on first use, so importing the service needs no configuration
+let supabase = null;
+const getSupabase = () => {
+    if (!supabase) {
+        supabase = createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_KEY,
+            supabaseOptions
+        );
+    }
+    return supabase;
+};
 
 class RAGService {
-    constructor() {
+    /**
+     * @param {Object} options - Optional overrides for the configured backends
+     * @param {Object} options.vectorStore - Vector store implementation
+     * @param {Object} options.embeddings - Embedding provider implementation
+     * @param {Object} options.openai - OpenAI client used for chat completions
+     * @param {Object} options.supabase - Supabase client
+     */
+    constructor(options = {}) {
         // Initialize text splitter with conservative defaults
         this.textSplitter = new RecursiveCharacterTextSplitter({
             chunkSize: 500,          // Smaller chunks for chat messages
@@ -79,27 +119,40 @@ class RAGService {
             separators: ["\n\n", "\n", " ", ""],  // Common message separators
         });
 
-        // Initialize OpenAI embeddings with ada-002 model
-        this.embeddings = new OpenAIEmbeddings({
-            modelName: "text-embedding-3-large",
-            openAIApiKey: process.env.OPENAI_API_KEY,
-        });
+        // Configured backends are created on first use (see the getters below),
+        // so the default instance can be imported without API keys
+        this.backends = {
+            embeddings: options.embeddings,
+            vectorStore: options.vectorStore,
+            openai: options.openai,
+            supabase: options.supabase
+        };
+    }
 
-        // Initialize OpenAI client for chat completions
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
+    // Embedding provider chosen by EMBEDDING_PROVIDER
+    get embeddings() {
+        this.backends.embeddings ??= createEmbeddingProvider();
+        return this.backends.embeddings;
+    }
 
-        // Initialize Pinecone client
-        this.pinecone = new Pinecone({
-            apiKey: process.env.PINECONE_API_KEY,
-        });
+    // Vector store chosen by VECTOR_STORE
+    get vectorStore() {
+        this.backends.vectorStore ??= createVectorStore();
+        return this.backends.vectorStore;
+    }
 
-        // Initialize the index reference
-        this.index = this.pinecone.index(process.env.PINECONE_INDEX);
+    // OpenAI client for chat completions; null when running fully offline
+    get openai() {
+        this.backends.openai ??= process.env.OPENAI_API_KEY
+            ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+            : null;
+        return this.backends.openai;
+    }
 
-        // Expose Supabase client
-        this.supabase = supabase;
+    // Expose Supabase client
+    get supabase() {
+        this.backends.supabase ??= getSupabase();
+        return this.backends.supabase;
     }
 
     async ensureInitialized() {
@@ -107,6 +160,38 @@ class RAGService {
         return true;
     }
 
+    /**
+     * Reports which backends are configured and whether the vector store responds
+     * @returns {Promise<{success: boolean, vectorStore: string, embeddingProvider: string, stats?: Object, error?: string}>}
+     */
+    async getVectorStoreStatus() {
+        const status = {
+            vectorStore: this.vectorStore.name,
+            embeddingProvider: this.embeddings.name
+        };
+
+        try {
+            const stats = await this.vectorStore.describeStats();
+            return { success: true, ...status, stats };
+        } catch (error) {
+            console.error('Error checking vector store status:', error);
+            return { success: false, ...status, error: error.message };
+        }
+    }
+
+    /**
+     * Fetches a single vector by ID
+     * @param {string} id - Vector (message) ID
+     * @returns {Promise<{success: boolean, vector?: Object, error?: string}>}
+     */
+    async fetchVector(id) {
+        const { records } = await this.vectorStore.fetch([id]);
+        if (!records[id]) {
+            return { success: false, error: 'Vector not found' };
+        }
+        return { success: true, vector: records[id] };
+    }
+
     // Helper to generate embeddings
     async generateEmbeddings(messages) {
         console.log(`Generating embeddings for ${messages.length} messages/chunks...`);
@@ -155,9 +240,9 @@ class RAGService {
                 return { success: true, upsertedCount: 0 };
             }
 
-            console.log(`Upserting ${messagesWithEmbeddings.length} vectors to Pinecone...`);
+            console.log(`Upserting ${messagesWithEmbeddings.length} vectors to ${this.vectorStore.name} vector store...`);
 
-            // Convert to Pinecone format
+            // Convert to vector store format
             const vectors = messagesWithEmbeddings.map(msg => ({
                 id: msg.id,
                 values: msg.embedding,
@@ -175,8 +260,7 @@ class RAGService {
                 const batch = vectors.slice(i, i + batchSize);
                 console.log(`Upserting batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(vectors.length / batchSize)}`);
 
-                // Direct upsert to Pinecone
-                await this.index.upsert(batch);
+                await this.vectorStore.upsert(batch);
 
                 totalUpserted += batch.length;
                 console.log(`Upserted ${totalUpserted}/${vectors.length} vectors`);
@@ -201,11 +285,12 @@ class RAGService {
             console.log('Checking which messages have been upserted...');
             
             // Get all message IDs from the database
-            const { data: messages, error: dbError } = await supabase
+            const { data: messages, error: dbError } = await this.supabase
                 .from('messages')
                 .select('id')
                 .neq('type', 'system')
-                .neq('sender_id', '00000000-0000-0000-0000-000000000000'); // Exclude AI user's messages
+                .neq('sender_id', '00000000-0000-0000-0000-000000000000') // Exclude AI user's messages
+                .is('deleted_at', null);
 
             if (dbError) {
                 throw new Error(`Failed to fetch messages: ${dbError.message}`);
@@ -215,7 +300,7 @@ class RAGService {
             console.log(`Found ${allMessageIds.length} total messages in database`);
 
             // Get index stats
-            const stats = await this.index.describeIndexStats();
+            const stats = await this.vectorStore.describeStats();
             const totalVectors = stats.totalVectorCount || 0;
             
             if (totalVectors === 0) {
@@ -227,11 +312,16 @@ class RAGService {
             }
 
             // Fetch vectors to check which exist
-            const fetchResult = await this.index.fetch(allMessageIds);
+            const fetchResult = await this.vectorStore.fetch(allMessageIds);
             const records = fetchResult.records || {};
             
-            // Determine which messages need upserting
-            const upsertedIds = new Set(Object.keys(records));
+            // Determine which messages need upserting. Vectors written before
+            // conversation metadata existed are re-upserted so scoped search can see them
+            const upsertedIds = new Set(
+                Object.entries(records)
+                    .filter(([, record]) => record.metadata?.channel_id || record.metadata?.dm_id)
+                    .map(([id]) => id)
+            );
             const pendingIds = allMessageIds.filter(id => !upsertedIds.has(id));
 
             return {
@@ -274,13 +364,16 @@ class RAGService {
                 console.log(`\nProcessing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(pendingIds.length / batchSize)}`);
 
                 // Fetch messages
-                const { data: messages, error: fetchError } = await supabase
+                const { data: messages, error: fetchError } = await this.supabase
                     .from('messages')
                     .select(`
                         id,
                         content,
                         created_at,
                         type,
+                        channel_id,
+                        dm_id,
+                        parent_id,
                         sender:users!sender_id (
                             id,
                             username
@@ -304,7 +397,11 @@ class RAGService {
                             sender_id: msg.sender?.id,
                             sender_username: msg.sender?.username,
                             created_at: msg.created_at,
-                            type: msg.type
+                            type: msg.type,
+                            // Pinecone rejects null metadata values, so only set what exists
+                            ...(msg.channel_id && { channel_id: msg.channel_id }),
+                            ...(msg.dm_id && { dm_id: msg.dm_id }),
+                            ...(msg.parent_id && { parent_id: msg.parent_id })
                         }
                     }));
 
@@ -347,7 +444,7 @@ class RAGService {
 
     async queryRandomVectors(count = 10) {
         try {
-            const stats = await this.index.describeIndexStats();
+            const stats = await this.vectorStore.describeStats();
             if (!stats.totalVectorCount) {
                 return {
                     success: true,
@@ -356,7 +453,7 @@ class RAGService {
             }
 
             // Query random vectors
-            const result = await this.index.query({
+            const result = await this.vectorStore.query({
                 topK: count,
                 includeValues: true,
                 includeMetadata: true
@@ -454,6 +551,7 @@ class RAGService {
                 .from('messages')
                 .select('id')
                 .or('last_embedded_at.is.null,last_embedded_at.lt.' + cutoffTime.toISOString())
+                .is('deleted_at', null)
                 .order('created_at', { ascending: true });
 
             if (fetchError) {
@@ -495,7 +593,7 @@ class RAGService {
             }
 
             // Get vector store stats for monitoring
-            const stats = await this.index.describeIndexStats();
+            const stats = await this.vectorStore.describeStats();
             
             console.log('\n=== Re-embedding Process Complete ===');
             console.log('Process Summary:', {
@@ -520,18 +618,184 @@ class RAGService {
         }
     }
 
+    /**
+     * Resolves a search scope to a Pinecone metadata filter
+     * @param {Object} scope - Search scope
+     * @param {string} scope.userId - ID of the user the search runs on behalf of
+     * @param {string} scope.type - 'channel', 'dm', 'all' or 'shared' (default: 'all')
+     * @param {string} scope.channelId - Channel to search when type is 'channel', or
+     *   whose members must all be able to see the results when type is 'shared'
+     * @param {string} scope.dmId - DM to search when type is 'dm', or whose members
+     *   must all be able to see the results when type is 'shared'
+     * @returns {Promise<Object|null>} Metadata filter, or null if the user can see nothing in scope
+     * @throws {Error} If the scope is malformed
+     */
+    async buildScopeFilter({ userId, type = 'all', channelId, dmId } = {}) {
+        if (!userId) {
+            throw new Error('Search scope requires a userId');
+        }
+
+        if (type === 'channel') {
+            if (!channelId) throw new Error('Channel scope requires a channelId');
+
+            const { data: channel, error } = await this.supabase
+                .from('channels')
+                .select('id, is_private, channel_members(user_id)')
+                .eq('id', channelId)
+                .maybeSingle();
+
+            if (error) throw new Error(`Failed to resolve channel scope: ${error.message}`);
+            if (!channel) return null;
+
+            const isMember = channel.channel_members.some(member => member.user_id === userId);
+            if (channel.is_private && !isMember) return null;
+
+            return { channel_id: { $eq: channelId } };
+        }
+
+        if (type === 'dm') {
+            if (!dmId) throw new Error('DM scope requires a dmId');
+
+            const { data: membership, error } = await this.supabase
+                .from('direct_message_members')
+                .select('dm_id')
+                .eq('dm_id', dmId)
+                .eq('user_id', userId)
+                .maybeSingle();
+
+            if (error) throw new Error(`Failed to resolve DM scope: ${error.message}`);
+            if (!membership) return null;
+
+            return { dm_id: { $eq: dmId } };
+        }
+
+        if (type !== 'all' && type !== 'shared') {
+            throw new Error(`Unknown search scope: ${type}`);
+        }
+        if (type === 'shared' && !channelId && !dmId) throw new Error('Shared scope requires a channelId or dmId');
+
+        // Every channel and DM the user belongs to
+        const [channelResult, dmResult] = await Promise.all([
+            this.supabase.from('channel_members').select('channel_id').eq('user_id', userId),
+            this.supabase.from('direct_message_members').select('dm_id').eq('user_id', userId)
+        ]);
+
+        if (channelResult.error) throw new Error(`Failed to resolve channel memberships: ${channelResult.error.message}`);
+        if (dmResult.error) throw new Error(`Failed to resolve DM memberships: ${dmResult.error.message}`);
+
+        let channelIds = channelResult.data.map(row => row.channel_id);
+        let dmIds = dmResult.data.map(row => row.dm_id);
+        if (type === 'shared') {
+            ({ channelIds, dmIds } = await this.filterSharedConversations(userId, { channelId, dmId }, channelIds, dmIds));
+        }
+
+        const clauses = [];
+        if (channelIds.length > 0) clauses.push({ channel_id: { $in: channelIds } });
+        if (dmIds.length > 0) clauses.push({ dm_id: { $in: dmIds } });
+
+        if (clauses.length === 0) return null;
+        return clauses.length === 1 ? clauses[0] : { $or: clauses };
+    }
+
+    /**
+     * Keeps the conversations that every member of a channel or DM can read, so an
+     * answer posted there shows its readers nothing they could not see already.
+     * Public channels are readable by everyone; private channels and DMs only count
+     * when all of the readers (and the asker) belong to them.
+     * @param {string} userId - The asker
+     * @param {Object} postedIn - { channelId } or { dmId } the answer is posted in
+     * @param {Array<string>} channelIds - Channels the asker belongs to
+     * @param {Array<string>} dmIds - DMs the asker belongs to
+     * @returns {Promise<{channelIds: Array<string>, dmIds: Array<string>}>}
+     */
+    async filterSharedConversations(userId, { channelId, dmId }, channelIds, dmIds) {
+        const { data: members, error } = channelId
+            ? await this.supabase.from('channel_members').select('user_id').eq('channel_id', channelId)
+            : await this.supabase.from('direct_message_members').select('user_id').eq('dm_id', dmId);
+
+        if (error) throw new Error(`Failed to resolve conversation members: ${error.message}`);
+
+        // The AI user reads nothing itself, so it does not narrow the scope
+        const audience = [...new Set([userId, ...members.map(member => member.user_id)])]
+            .filter(id => id !== AI_USER_ID);
+        const readableByAll = (memberIds) => audience.every(id => memberIds.includes(id));
+
+        const [channelResult, dmResult] = await Promise.all([
+            channelIds.length > 0
+                ? this.supabase.from('channels').select('id, is_private, channel_members(user_id)').in('id', channelIds)
+                : { data: [] },
+            dmIds.length > 0
+                ? this.supabase.from('direct_message_members').select('dm_id, user_id').in('dm_id', dmIds)
+                : { data: [] }
+        ]);
+
+        if (channelResult.error) throw new Error(`Failed to resolve shared channels: ${channelResult.error.message}`);
+        if (dmResult.error) throw new Error(`Failed to resolve shared DMs: ${dmResult.error.message}`);
+
+        const dmMembers = new Map();
+        for (const row of dmResult.data) {
+            dmMembers.set(row.dm_id, [...(dmMembers.get(row.dm_id) || []), row.user_id]);
+        }
+
+        return {
+            channelIds: channelResult.data
+                .filter(channel => !channel.is_private || readableByAll(channel.channel_members.map(member => member.user_id)))
+                .map(channel => channel.id),
+            dmIds: [...dmMembers]
+                .filter(([, memberIds]) => readableByAll(memberIds))
+                .map(([dmId]) => dmId)
+        };
+    }
+
+    /**
+     * Combines the optional search restrictions into a single metadata filter
+     * @param {Object} options - Search options
+     * @param {Object} options.scope - Permission scope, see buildScopeFilter
+     * @param {string} options.senderId - Only match messages written by this user
+     * @returns {Promise<{filter?: Object, empty: boolean}>} empty is true when nothing can match
+     */
+    async buildSearchFilter({ scope, senderId } = {}) {
+        const clauses = [];
+
+        if (scope) {
+            const scopeFilter = await this.buildScopeFilter(scope);
+            if (!scopeFilter) return { empty: true };
+            clauses.push(scopeFilter);
+        }
+
+        if (senderId) {
+            clauses.push({ sender_id: { $eq: senderId } });
+        }
+
+        if (clauses.length === 0) return { empty: false };
+        return {
+            filter: clauses.length === 1 ? clauses[0] : { $and: clauses },
+            empty: false
+        };
+    }
+
     async search(query, options = { topK: 5 }) {
         try {
             console.log('Searching for:', query);
+
+            // Restrict results to what the caller can see
+            const { filter, empty } = await this.buildSearchFilter(options);
+            if (empty) {
+                return {
+                    success: true,
+                    results: []
+                };
+            }
             
             // Generate embedding for query
             const queryEmbedding = await this.embeddings.embedQuery(query);
             
             // Search in vector store
-            const searchResults = await this.index.query({
+            const searchResults = await this.vectorStore.query({
                 vector: queryEmbedding,
-                topK: options.topK,
-                includeMetadata: true
+                topK: options.topK || 5,
+                includeMetadata: true,
+                ...(filter && { filter })
             });
 
             // Handle empty results gracefully
@@ -553,7 +817,9 @@ class RAGService {
                     sender_id: match.metadata.sender_id,
                     sender_username: match.metadata.sender_username,
                     created_at: match.metadata.created_at,
-                    type: match.metadata.type
+                    type: match.metadata.type,
+                    channel_id: match.metadata.channel_id,
+                    dm_id: match.metadata.dm_id
                 }
             }));
 
@@ -601,7 +867,9 @@ class RAGService {
      * @param {string} query - The search query
      * @param {Object} options - Search options
      * @param {number} options.topK - Number of results to return (default: 5)
-     * @returns {Promise<{success: boolean, results?: Array<{id: string, score: number, content: string}>, error?: string}>}
+     * @param {Object} options.scope - Optional permission scope, see buildScopeFilter
+     * @param {string} options.senderId - Optional author restriction
+     * @returns {Promise<{success: boolean, results?: Array<{id: string, score: number, content: string, metadata: Object}>, error?: string}>}
      */
     async performSimilaritySearch(query, options = { topK: 5 }) {
         try {
@@ -623,6 +891,16 @@ class RAGService {
                 };
             }
 
+            // Restrict results to what the caller can see
+            const { filter, empty } = await this.buildSearchFilter(options);
+            if (empty) {
+                return {
+                    success: true,
+                    message: 'No conversations available in this scope.',
+                    results: []
+                };
+            }
+
             // Generate embedding for the query
             const queryEmbedding = await this.embedQuery(query);
             if (!queryEmbedding.success) {
@@ -638,10 +916,11 @@ class RAGService {
             let searchResults;
             try {
                 searchResults = await Promise.race([
-                    this.index.query({
+                    this.vectorStore.query({
                 vector: queryEmbedding.vector,
-                topK: options.topK,
-                includeMetadata: true
+                topK: options.topK || 5,
+                includeMetadata: true,
+                ...(filter && { filter })
                     }),
                     new Promise((_, reject) => 
                         setTimeout(() => reject(new Error('Search timeout')), 10000)
@@ -688,7 +967,15 @@ class RAGService {
                 .map(match => ({
                 id: match.id,
                 score: match.score,
-                content: match.metadata.content
+                content: match.metadata.content,
+                metadata: {
+                    sender_id: match.metadata.sender_id,
+                    sender_username: match.metadata.sender_username,
+                    created_at: match.metadata.created_at,
+                    type: match.metadata.type,
+                    channel_id: match.metadata.channel_id,
+                    dm_id: match.metadata.dm_id
+                }
             }));
 
             // If no results meet the threshold, return empty results
@@ -831,6 +1118,14 @@ Please only use information from the provided context. If you cannot answer the
             };
         }
 
+        if (!this.openai) {
+            return {
+                success: false,
+                error: 'Service configuration error. Please try again later.',
+                details: 'OPENAI_API_KEY is not configured'
+            };
+        }
+
         const defaultOptions = {
             model: "gpt-3.5-turbo",
             temperature: 0.7,
@@ -854,7 +1149,8 @@ Please only use information from the provided context. If you cannot answer the
             return {
                 success: true,
                 content: completion.choices[0].message.content,
-                usage: completion.usage
+                usage: completion.usage,
+                raw: completion
             };
         } catch (error) {
             // Handle specific OpenAI error types
@@ -888,6 +1184,108 @@ Please only use information from the provided context. If you cannot answer the
         }
     }
 
+    /**
+     * Streams a chat completion from OpenAI, passing each content delta to onDelta.
+     * Resolves once the stream ends with the accumulated completion in the same
+     * shape sendToOpenAI returns, so formatResponse works on either.
+     * @param {Array} messages - Array of chat messages in OpenAI format
+     * @param {Object} options - Same options as sendToOpenAI, plus:
+     * @param {AbortSignal} options.signal - Aborts the request
+     * @param {Function} onDelta - Called with each content delta string
+     * @returns {Promise<{success: boolean, content?: string, usage?: Object, raw?: Object, error?: string}>}
+     */
+    async streamFromOpenAI(messages, options = {}, onDelta = () => {}) {
+        if (!messages || !Array.isArray(messages) || messages.length === 0) {
+            return {
+                success: false,
+                error: 'Invalid or missing messages array'
+            };
+        }
+
+        if (!this.openai) {
+            return {
+                success: false,
+                error: 'Service configuration error. Please try again later.',
+                details: 'OPENAI_API_KEY is not configured'
+            };
+        }
+
+        const { signal, ...completionOptions } = options;
+        const defaultOptions = {
+            model: "gpt-3.5-turbo",
+            temperature: 0.7,
+            max_tokens: 500
+        };
+
+        try {
+            const stream = await this.openai.chat.completions.create({
+                ...defaultOptions,
+                ...completionOptions,
+                messages,
+                stream: true,
+                stream_options: { include_usage: true }
+            }, { signal });
+
+            let content = '';
+            let model = completionOptions.model || defaultOptions.model;
+            let created;
+            let usage;
+
+            for await (const chunk of stream) {
+                model = chunk.model || model;
+                created = chunk.created || created;
+                // The final chunk carries usage and no choices
+                if (chunk.usage) usage = chunk.usage;
+
+                const delta = chunk.choices?.[0]?.delta?.content;
+                if (delta) {
+                    content += delta;
+                    onDelta(delta);
+                }
+            }
+
+            if (!content) {
+                return {
+                    success: false,
+                    error: 'No completion content returned'
+                };
+            }
+
+            return {
+                success: true,
+                content,
+                usage,
+                raw: {
+                    model,
+                    created,
+                    choices: [{ message: { role: 'assistant', content } }],
+                    usage
+                }
+            };
+        } catch (error) {
+            if (signal?.aborted) {
+                return {
+                    success: false,
+                    error: 'Request was cancelled'
+                };
+            }
+            if (error.code === 'context_length_exceeded') {
+                return {
+                    success: false,
+                    error: 'Query too long. Please try a shorter question.',
+                    details: error.message
+                };
+            }
+
+            console.error('Error in OpenAI chat completion stream:', error);
+            return {
+                success: false,
+                error: 'Failed to generate response. Please try again.',
+                details: error.message
+            };
+        }
+    }
+
     /**
      * Formats the response from OpenAI into a standardized format
      * @param {Object} openAIResponse - The raw response from OpenAI
@@ -917,6 +1315,162 @@ Please only use information from the provided context. If you cannot answer the
             }
         };
     }
+
+    /**
+     * Retrieves context for a question and builds the chat prompt for it.
+     * Falls back to a general-knowledge prompt when no relevant context is found.
+     * @param {string} query - The user's question
+     * @param {Object} options - Optional parameters
+     * @param {number} options.topK - Number of context messages to retrieve (default: 5)
+     * @param {Object} options.scope - Optional permission scope, see buildScopeFilter
+     * @returns {Promise<{success: boolean, prompt?: Array, sources?: Array, error?: string}>}
+     */
+    async prepareAnswer(query, { topK = 5, scope } = {}) {
+        const searchResult = await this.performSimilaritySearch(query, { topK, scope });
+        if (!searchResult.success) {
+            return {
+                success: false,
+                error: searchResult.error,
+                details: searchResult.details
+            };
+        }
+
+        const results = searchResult.results;
+        const prompt = results.length > 0
+            ? this.constructChatPrompt(results.map(result => ({
+                id: result.id,
+                score: result.score,
+                metadata: {
+                    content: result.content,
+                    sender: { username: result.metadata.sender_username || 'Unknown User' },
+                    created_at: result.metadata.created_at
+                }
+            })), query)
+            : [
+                {
+                    role: "system",
+                    content: "You are a helpful assistant in a team chat. No relevant chat history was found for this question, so answer from general knowledge and mention that the answer is not based on the team's messages."
+                },
+                {
+                    role: "user",
+                    content: query
+                }
+            ];
+
+        return {
+            success: true,
+            prompt,
+            sources: results.map(result => ({
+                id: result.id,
+                score: result.score,
+                content: result.content,
+                sender_username: result.metadata.sender_username,
+                created_at: result.metadata.created_at,
+                channel_id: result.metadata.channel_id,
+                dm_id: result.metadata.dm_id
+            }))
+        };
+    }
+
+    // Shapes a completion and its sources into the answerQuestion result
+    buildAnswer(completion, sources) {
+        const formatted = this.formatResponse(completion, { contextCount: sources.length });
+
+        return {
+            success: true,
+            answer: formatted.answer,
+            sources,
+            usage: {
+                promptTokens: formatted.metadata.promptTokens,
+                completionTokens: formatted.metadata.completionTokens,
+                totalTokens: formatted.metadata.totalTokens
+            },
+            metadata: formatted.metadata
+        };
+    }
+
+    /**
+     * Appends a markdown "Sources" section so citations survive in a saved message
+     * @param {string} answer - Generated answer
+     * @param {Array} sources - Sources as returned by prepareAnswer
+     * @returns {string}
+     */
+    formatAnswerWithSources(answer, sources = []) {
+        if (!sources.length) return answer;
+
+        const citations = sources.map((source, index) => {
+            const snippet = source.content.length > 120
+                ? `${source.content.substring(0, 120)}...`
+                : source.content;
+            const date = source.created_at ? new Date(source.created_at).toLocaleDateString() : 'unknown date';
+            const relevance = typeof source.score === 'number' ? ` (relevance ${source.score.toFixed(2)})` : '';
+            return `${index + 1}. **${source.sender_username || 'Unknown User'}**, ${date}: "${snippet.replace(/\s+/g, ' ')}"${relevance}`;
+        });
+
+        return `${answer}\n\n**Sources**\n${citations.join('\n')}`;
+    }
+
+    /**
+     * Answers a question using chat history: retrieves similar messages, builds the
+     * chat prompt, calls the model and formats the result with its sources.
+     * Falls back to the model's general knowledge when no relevant context is found.
+     * @param {string} query - The user's question
+     * @param {Object} options - Optional parameters
+     * @param {number} options.topK - Number of context messages to retrieve (default: 5)
+     * @param {Object} options.scope - Optional permission scope, see buildScopeFilter
+     * @param {string} options.model - Model passed through to sendToOpenAI
+     * @param {number} options.temperature - Temperature passed through to sendToOpenAI
+     * @param {number} options.max_tokens - Maximum tokens passed through to sendToOpenAI
+     * @returns {Promise<{success: boolean, answer?: string, sources?: Array, usage?: Object, metadata?: Object, error?: string}>}
+     */
+    async answerQuestion(query, options = {}) {
+        const { topK = 5, scope, ...completionOptions } = options;
+
+        const prepared = await this.prepareAnswer(query, { topK, scope });
+        if (!prepared.success) return prepared;
+
+        const completion = await this.sendToOpenAI(prepared.prompt, completionOptions);
+        if (!completion.success) {
+            return {
+                success: false,
+                error: completion.error,
+                details: completion.details
+            };
+        }
+
+        return this.buildAnswer(completion.raw, prepared.sources);
+    }
+
+    /**
+     * Streaming variant of answerQuestion. Sources are reported before generation
+     * starts and every token delta is passed to the callbacks as it arrives.
+     * @param {string} query - The user's question
+     * @param {Object} options - Same options as answerQuestion, plus:
+     * @param {AbortSignal} options.signal - Aborts the completion (e.g. client disconnected)
+     * @param {Object} callbacks - Progress callbacks
+     * @param {Function} callbacks.onSources - Called once with the retrieved sources
+     * @param {Function} callbacks.onDelta - Called with each content delta
+     * @returns {Promise<{success: boolean, answer?: string, sources?: Array, usage?: Object, metadata?: Object, error?: string}>}
+     */
+    async streamAnswer(query, options = {}, { onSources, onDelta } = {}) {
+        const { topK = 5, scope, ...completionOptions } = options;
+
+        const prepared = await this.prepareAnswer(query, { topK, scope });
+        if (!prepared.success) return prepared;
+
+        onSources?.(prepared.sources);
+
+        const completion = await this.streamFromOpenAI(prepared.prompt, completionOptions, onDelta);
+        if (!completion.success) {
+            return {
+                success: false,
+                error: completion.error,
+                details: completion.details
+            };
+        }
+
+        return this.buildAnswer(completion.raw, prepared.sources);
+    }
 }
 
 // Export both the class and a default instance
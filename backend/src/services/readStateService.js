@@ -0,0 +1,115 @@
+/**
+ * @file readStateService.js
+ * @description Read cursors and unread counts. Each channel and DM membership has a
+ * last_read_at cursor; messages from others after it are unread. Cursors only move
+ * forward, so an older tab cannot mark newer messages unread again.
+ *
+ * Core Functionality:
+ * - Marking channels and DMs read, up to now or up to a message
+ * - Unread and mention counts for all of a user's conversations
+ *
+ * Errors:
+ * - Methods throw errors with a status (404) for requests that cannot be served,
+ *   so routes can pass them through
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+const readStateError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+class ReadStateService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+    }
+
+    /**
+     * Moves the user's read cursor in a channel or DM forward
+     * @param {Object} target - { channelId } or { dmId }
+     * @param {string} userId - Member marking the conversation read
+     * @param {Object} options
+     * @param {string} options.messageId - Read up to this message; defaults to everything
+     * @returns {Promise<{ last_read_at: string, unread_since: string|null }>} The cursor,
+     *   and where it stood before, for the "new messages" divider
+     */
+    async markRead({ channelId, dmId }, userId, { messageId } = {}) {
+        const table = channelId ? 'channel_members' : 'direct_message_members';
+        const column = channelId ? 'channel_id' : 'dm_id';
+        const conversationId = channelId || dmId;
+
+        const { data: membership, error } = await this.supabase
+            .from(table)
+            .select('last_read_at, joined_at')
+            .eq(column, conversationId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!membership) throw readStateError(404, 'Not a member of this conversation');
+
+        let readAt = new Date().toISOString();
+        if (messageId) {
+            const { data: message, error: messageError } = await this.supabase
+                .from('messages')
+                .select('created_at')
+                .eq('id', messageId)
+                .eq(column, conversationId)
+                .maybeSingle();
+
+            if (messageError) throw messageError;
+            if (!message) throw readStateError(404, 'Message not found');
+            readAt = message.created_at;
+        }
+
+        const unreadSince = membership.last_read_at || membership.joined_at || null;
+        if (membership.last_read_at && new Date(membership.last_read_at) >= new Date(readAt)) {
+            return { last_read_at: membership.last_read_at, unread_since: unreadSince };
+        }
+
+        const { error: updateError } = await this.supabase
+            .from(table)
+            .update({ last_read_at: readAt })
+            .eq(column, conversationId)
+            .eq('user_id', userId);
+
+        if (updateError) throw updateError;
+        return { last_read_at: readAt, unread_since: unreadSince };
+    }
+
+    /**
+     * Unread and mention counts for every channel and DM the user belongs to
+     * @param {string} userId - User whose counts to load
+     * @returns {Promise<Array<{ channel_id, dm_id, last_read_at, unread_count, mention_count }>>}
+     */
+    async getUnreadCounts(userId) {
+        const { data, error } = await this.supabase.rpc('get_unread_counts', { p_user_id: userId });
+
+        if (error) throw error;
+        return (data || []).map(row => ({
+            ...row,
+            unread_count: Number(row.unread_count),
+            mention_count: Number(row.mention_count)
+        }));
+    }
+}
+
+export { ReadStateService };
+export default new ReadStateService();
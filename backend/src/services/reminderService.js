@@ -0,0 +1,182 @@
+/**
+ * @file reminderService.js
+ * @description Reminders set with the /remind slash command. A reminder belongs to
+ * the channel or DM it was set in; once it is due, cron/reminders.js posts it there
+ * as a system message naming the person it is for.
+ *
+ * Syntax:
+ * - /remind me in 10 minutes Check the build
+ * - /remind @ada in 2h Send the release notes
+ * - Units: m/min/minutes, h/hr/hours and d/days; reminders are at most 365 days out
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - ./messageService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import MessageService from './messageService.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+const MINUTE_MS = 60 * 1000;
+const MAX_DELAY_MS = 365 * 24 * 60 * MINUTE_MS;
+const MAX_CONTENT_LENGTH = 1000;
+const DUE_BATCH_SIZE = 50;
+
+const UNIT_MS = {
+    m: MINUTE_MS, min: MINUTE_MS, mins: MINUTE_MS, minute: MINUTE_MS, minutes: MINUTE_MS,
+    h: 60 * MINUTE_MS, hr: 60 * MINUTE_MS, hrs: 60 * MINUTE_MS, hour: 60 * MINUTE_MS, hours: 60 * MINUTE_MS,
+    d: 24 * 60 * MINUTE_MS, day: 24 * 60 * MINUTE_MS, days: 24 * 60 * MINUTE_MS
+};
+
+/**
+ * Parses a duration such as "10m", "2 hours" or "3d"
+ * @param {string} text - Duration
+ * @returns {number|null} Milliseconds, or null when it is not a duration
+ */
+export const parseDuration = (text) => {
+    const match = /^(\d+)\s*([a-z]+)$/i.exec((text || '').trim());
+    const unitMs = match && UNIT_MS[match[2].toLowerCase()];
+    return unitMs ? Number(match[1]) * unitMs : null;
+};
+
+// "<who> in <amount><unit> <what>", where the unit may be separated by a space
+const REMINDER_PATTERN = /^(me|@[A-Za-z0-9_-]+)\s+in\s+(\d+)\s*([a-z]+)\s+([\s\S]+)$/i;
+
+export const REMINDER_USAGE = '/remind me|@user in <number> <minutes|hours|days> <what>';
+
+/**
+ * Parses the arguments of /remind
+ * @param {string} text - Everything after "/remind"
+ * @returns {{ error?: string, reminder?: { who: string|null, delayMs: number, content: string } }}
+ *   who is null for "me", otherwise the username without "@"
+ */
+export const parseReminder = (text) => {
+    const match = (text || '').trim().match(REMINDER_PATTERN);
+    if (!match) {
+        return { error: `Usage: ${REMINDER_USAGE}` };
+    }
+
+    const [, who, amount, unit, content] = match;
+    const delayMs = parseDuration(`${amount}${unit}`);
+    if (delayMs === null) {
+        return { error: `Unknown unit "${unit}"; use minutes, hours or days` };
+    }
+    if (delayMs < MINUTE_MS || delayMs > MAX_DELAY_MS) {
+        return { error: 'Reminders must be between 1 minute and 365 days away' };
+    }
+    if (content.trim().length > MAX_CONTENT_LENGTH) {
+        return { error: `Reminders must be at most ${MAX_CONTENT_LENGTH} characters` };
+    }
+
+    return {
+        reminder: {
+            who: who.toLowerCase() === 'me' ? null : who.slice(1),
+            delayMs,
+            content: content.trim()
+        }
+    };
+};
+
+class ReminderService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     * @param {Object} options.messageService - Service reminders are posted through
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+        this.messageService = options.messageService || new MessageService();
+    }
+
+    /**
+     * Stores a reminder
+     * @param {Object} reminder
+     * @param {string} reminder.userId - Who the reminder is for
+     * @param {string} reminder.createdBy - Who set it
+     * @param {string} reminder.channelId - Channel it is posted in (or dmId)
+     * @param {string} reminder.dmId - DM it is posted in (or channelId)
+     * @param {string} reminder.content - What to remind about
+     * @param {Date} reminder.remindAt - When it is due
+     * @returns {Promise<Object>}
+     */
+    async createReminder({ userId, createdBy, channelId = null, dmId = null, content, remindAt }) {
+        const { data, error } = await this.supabase
+            .from('reminders')
+            .insert({
+                user_id: userId,
+                created_by: createdBy,
+                channel_id: channelId,
+                dm_id: dmId,
+                content,
+                remind_at: remindAt.toISOString()
+            })
+            .select('id, user_id, channel_id, dm_id, content, remind_at')
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Posts the reminders that are due
+     * @returns {Promise<number>} Number of reminders posted
+     */
+    async processDueReminders() {
+        const { data: due, error } = await this.supabase
+            .from('reminders')
+            .select('id, user_id, channel_id, dm_id, content')
+            .is('delivered_at', null)
+            .lte('remind_at', new Date().toISOString())
+            .order('remind_at', { ascending: true })
+            .limit(DUE_BATCH_SIZE);
+
+        if (error) throw error;
+
+        let posted = 0;
+        for (const reminder of due) {
+            // Claim the reminder first so an overlapping run cannot post it twice
+            const { data: claimed, error: claimError } = await this.supabase
+                .from('reminders')
+                .update({ delivered_at: new Date().toISOString() })
+                .eq('id', reminder.id)
+                .is('delivered_at', null)
+                .select('id')
+                .maybeSingle();
+
+            if (claimError) throw claimError;
+            if (!claimed) continue;
+
+            const { data: user } = await this.supabase
+                .from('users')
+                .select('username')
+                .eq('id', reminder.user_id)
+                .maybeSingle();
+
+            try {
+                await this.messageService.saveMessage({
+                    content: `⏰ Reminder for @${user?.username || 'someone'}: ${reminder.content}`,
+                    channel_id: reminder.channel_id,
+                    dm_id: reminder.dm_id,
+                    type: 'system',
+                    sender_id: null
+                });
+                posted++;
+            } catch (postError) {
+                console.error(`Error posting reminder ${reminder.id}:`, postError);
+            }
+        }
+
+        return posted;
+    }
+}
+
+export { ReminderService };
+export default new ReminderService();
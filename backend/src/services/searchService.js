@@ -0,0 +1,381 @@
+/**
+ * @file searchService.js
+ * @description Hybrid message search. Keyword matches ranked by Postgres full-text
+ * search and semantically similar messages from the vector store are merged with
+ * reciprocal rank fusion, so exact terms and paraphrases both surface. Results are
+ * limited to the channels and DMs the searching user belongs to.
+ *
+ * Core Functionality:
+ * - Query parsing with inline filters
+ * - Full-text ranking through the search_messages_fts database function
+ * - Vector similarity through RAGService.search
+ * - Reciprocal rank fusion
+ * - Highlighted snippets
+ *
+ * Query Filters:
+ * - from:username - Messages sent by a user
+ * - in:#channel - Messages in a channel
+ * - has:file - Messages with an attachment
+ * - before:YYYY-MM-DD / after:YYYY-MM-DD - Messages sent before / on or after a date
+ * - is:pinned - Pinned messages
+ *
+ * Snippets:
+ * - Matched terms are wrapped in <mark></mark>. Message content is not escaped,
+ *   so clients must render snippets as text split on these markers, never as HTML
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - ./ragService
+ *
+ * @version 1.0.0
+ * @created 2024-01-24
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import ragService from './ragService.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+const MESSAGE_SELECT = `
+    *,
+    sender:sender_id(id, username, avatar_url),
+    twin:twin_of(id, username),
+    channel:channel_id(id, name),
+    file:file_id(id, name, type, size, url)
+`;
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 50;
+
+// Candidates taken from each ranking before fusion
+const CANDIDATE_LIMIT = 50;
+
+// Reciprocal rank fusion constant; 60 is the value from the original RRF paper
+const RRF_K = 60;
+
+// Snippet length for messages without a full-text headline
+const SNIPPET_LENGTH = 160;
+
+const FILTER_PATTERN = /(?:^|\s)(from|in|has|before|after|is):(\S+)/gi;
+
+// Errors for malformed queries carry status 400 so routes can pass them through
+const queryError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+const parseDate = (value, filter) => {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+    if (!date || isNaN(date.getTime())) {
+        throw queryError(`${filter}: expects a date in YYYY-MM-DD format`);
+    }
+    return date.toISOString();
+};
+
+/**
+ * Splits a raw query into free text and filters
+ * @param {string} rawQuery - Query as typed, e.g. "deploy from:alice in:#ops after:2024-01-01"
+ * @returns {{ text: string, filters: Object }}
+ * @throws {Error} With status 400 if a filter value is invalid
+ */
+export const parseSearchQuery = (rawQuery = '') => {
+    const filters = {};
+
+    for (const [, key, value] of rawQuery.matchAll(FILTER_PATTERN)) {
+        switch (key.toLowerCase()) {
+            case 'from':
+                filters.from = value.replace(/^@/, '');
+                break;
+            case 'in':
+                filters.in = value.replace(/^#/, '');
+                break;
+            case 'has':
+                if (value.toLowerCase() !== 'file') throw queryError('has: only supports has:file');
+                filters.hasFile = true;
+                break;
+            case 'before':
+                filters.before = parseDate(value, 'before');
+                break;
+            case 'after':
+                filters.after = parseDate(value, 'after');
+                break;
+            case 'is':
+                if (value.toLowerCase() !== 'pinned') throw queryError('is: only supports is:pinned');
+                filters.isPinned = true;
+                break;
+        }
+    }
+
+    const text = rawQuery.replace(FILTER_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+    return { text, filters };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds a highlighted snippet around the first query term found in the content.
+ * Used for semantic matches, which have no full-text headline.
+ * @param {string} content - Message content
+ * @param {string} text - Free-text part of the query
+ * @returns {string}
+ */
+export const buildSnippet = (content = '', text = '') => {
+    const terms = text
+        .split(/\s+/)
+        .map(term => term.replace(/[^\p{L}\p{N}_-]/gu, ''))
+        .filter(term => term.length >= 2);
+    const pattern = terms.length > 0
+        ? new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'giu')
+        : null;
+
+    let start = 0;
+    if (pattern && content.length > SNIPPET_LENGTH) {
+        const firstMatch = content.search(pattern);
+        if (firstMatch > SNIPPET_LENGTH / 2) start = firstMatch - SNIPPET_LENGTH / 4;
+    }
+
+    let snippet = content.substring(start, start + SNIPPET_LENGTH);
+    if (pattern) snippet = snippet.replace(pattern, '<mark>$1</mark>');
+    if (start > 0) snippet = `...${snippet}`;
+    if (start + SNIPPET_LENGTH < content.length) snippet = `${snippet}...`;
+    return snippet;
+};
+
+/**
+ * Merges ranked id lists with reciprocal rank fusion
+ * @param {Array<Array<string>>} rankings - Message ids, best first, one list per ranker
+ * @returns {Array<{ id: string, score: number }>} Best first
+ */
+export const fuseRankings = (rankings) => {
+    const scores = new Map();
+    for (const ranking of rankings) {
+        ranking.forEach((id, index) => {
+            scores.set(id, (scores.get(id) || 0) + 1 / (RRF_K + index + 1));
+        });
+    }
+    return [...scores.entries()]
+        .map(([id, score]) => ({ id, score }))
+        .sort((a, b) => b.score - a.score);
+};
+
+class SearchService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     * @param {Object} options.ragService - Finds semantically similar messages
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+        this.ragService = options.ragService || ragService;
+    }
+
+    /**
+     * Resolves the channels and DMs a user may search, narrowed by in:#channel
+     * @returns {Promise<{ channelIds: Array<string>, dmIds: Array<string> }>}
+     */
+    async resolveScope(userId, channelName) {
+        const [channelResult, dmResult] = await Promise.all([
+            this.supabase.from('channel_members').select('channel:channel_id(id, name)').eq('user_id', userId),
+            this.supabase.from('direct_message_members').select('dm_id').eq('user_id', userId)
+        ]);
+
+        if (channelResult.error) throw channelResult.error;
+        if (dmResult.error) throw dmResult.error;
+
+        const channels = channelResult.data.map(row => row.channel).filter(Boolean);
+
+        if (channelName) {
+            const channel = channels.find(c => c.name.toLowerCase() === channelName.toLowerCase());
+            return { channelIds: channel ? [channel.id] : [], dmIds: [] };
+        }
+
+        return {
+            channelIds: channels.map(channel => channel.id),
+            dmIds: dmResult.data.map(row => row.dm_id)
+        };
+    }
+
+    /**
+     * Resolves a from: filter to a user id
+     * @returns {Promise<string|null>}
+     */
+    async resolveSender(username) {
+        const { data, error } = await this.supabase
+            .from('users')
+            .select('id')
+            // Case-insensitive exact match; escape LIKE wildcards such as "_"
+            .ilike('username', username.replace(/[%_\\]/g, '\\$&'))
+            .maybeSingle();
+
+        if (error) throw error;
+        return data?.id || null;
+    }
+
+    async fetchPinnedIds(channelIds, dmIds) {
+        const visible = [];
+        if (channelIds.length > 0) visible.push(`channel_id.in.(${channelIds.join(',')})`);
+        if (dmIds.length > 0) visible.push(`dm_id.in.(${dmIds.join(',')})`);
+
+        const { data, error } = await this.supabase
+            .from('pinned_messages')
+            .select('message_id')
+            .or(visible.join(','));
+
+        if (error) throw error;
+        return data.map(row => row.message_id);
+    }
+
+    async keywordSearch(text, scope) {
+        const { data, error } = await this.supabase.rpc('search_messages_fts', {
+            search_query: text,
+            channel_ids: scope.channelIds,
+            dm_ids: scope.dmIds,
+            sender: scope.senderId,
+            with_file: scope.hasFile,
+            created_before: scope.before,
+            created_after: scope.after,
+            only_ids: scope.pinnedIds,
+            result_limit: CANDIDATE_LIMIT
+        });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    async semanticSearch(userId, text, scope, channelName) {
+        const result = await this.ragService.search(text, {
+            topK: CANDIDATE_LIMIT,
+            scope: channelName
+                ? { userId, type: 'channel', channelId: scope.channelIds[0] }
+                : { userId, type: 'all' },
+            senderId: scope.senderId
+        });
+
+        // Keyword results still work when the vector store is unavailable
+        if (!result.success) {
+            console.error('Semantic search failed, using keyword results only:', result.error);
+            return [];
+        }
+        return result.results;
+    }
+
+    /**
+     * Loads full message rows, re-applying scope and filters so semantic candidates
+     * obey the same rules as keyword matches
+     */
+    async fetchMessages(scope, { ids, limit }) {
+        const visible = [];
+        if (scope.channelIds.length > 0) visible.push(`channel_id.in.(${scope.channelIds.join(',')})`);
+        if (scope.dmIds.length > 0) visible.push(`dm_id.in.(${scope.dmIds.join(',')})`);
+
+        let query = this.supabase
+            .from('messages')
+            .select(MESSAGE_SELECT)
+            .or(visible.join(','))
+            .is('deleted_at', null);
+
+        if (ids) query = query.in('id', ids);
+        if (scope.senderId) query = query.eq('sender_id', scope.senderId);
+        if (scope.hasFile) query = query.not('file_id', 'is', null);
+        if (scope.before) query = query.lt('created_at', scope.before);
+        if (scope.after) query = query.gte('created_at', scope.after);
+        if (scope.pinnedIds) query = query.in('id', scope.pinnedIds);
+
+        const { data, error } = await query
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Searches the messages a user can read
+     * @param {string} userId - User searching
+     * @param {string} rawQuery - Query text with optional filters
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Maximum number of results
+     * @returns {Promise<{ results: Array, query: { text: string, filters: Object } }>}
+     * @throws {Error} With status 400 if the query is empty or malformed
+     */
+    async searchMessages(userId, rawQuery, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+        const { text, filters } = parseSearchQuery(rawQuery);
+        if (!text && Object.keys(filters).length === 0) {
+            throw queryError('Search query is required');
+        }
+
+        const response = (results) => ({ results, query: { text, filters } });
+
+        const { channelIds, dmIds } = await this.resolveScope(userId, filters.in);
+        if (channelIds.length === 0 && dmIds.length === 0) return response([]);
+
+        const scope = {
+            channelIds,
+            dmIds,
+            senderId: null,
+            hasFile: filters.hasFile === true,
+            before: filters.before || null,
+            after: filters.after || null,
+            pinnedIds: null
+        };
+
+        if (filters.from) {
+            scope.senderId = await this.resolveSender(filters.from);
+            if (!scope.senderId) return response([]);
+        }
+
+        if (filters.isPinned) {
+            scope.pinnedIds = await this.fetchPinnedIds(channelIds, dmIds);
+            if (scope.pinnedIds.length === 0) return response([]);
+        }
+
+        // Filters only: newest matching messages
+        if (!text) {
+            const messages = await this.fetchMessages(scope, { limit });
+            return response(messages.map(message => ({
+                ...message,
+                score: null,
+                snippet: buildSnippet(message.content)
+            })));
+        }
+
+        const [keywordMatches, semanticMatches] = await Promise.all([
+            this.keywordSearch(text, scope),
+            this.semanticSearch(userId, text, scope, filters.in)
+        ]);
+
+        const fused = fuseRankings([
+            keywordMatches.map(match => match.id),
+            semanticMatches.map(match => match.id)
+        ]).slice(0, CANDIDATE_LIMIT);
+        if (fused.length === 0) return response([]);
+
+        const messages = await this.fetchMessages(scope, {
+            ids: fused.map(match => match.id),
+            limit: CANDIDATE_LIMIT
+        });
+        const messagesById = new Map(messages.map(message => [message.id, message]));
+        const headlines = new Map(keywordMatches.map(match => [match.id, match.headline]));
+
+        const results = fused
+            .filter(match => messagesById.has(match.id))
+            .slice(0, limit)
+            .map(match => {
+                const message = messagesById.get(match.id);
+                return {
+                    ...message,
+                    score: match.score,
+                    snippet: headlines.get(match.id) || buildSnippet(message.content, text)
+                };
+            });
+
+        return response(results);
+    }
+}
+
+export { SearchService };
+export default new SearchService();
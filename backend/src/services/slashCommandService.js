@@ -0,0 +1,600 @@
+/**
+ * @file slashCommandService.js
+ * @description Slash commands typed into the message composer. Built-in commands
+ * are handled here; bots register their own commands, which are POSTed to the
+ * bot's URL, signed like outgoing webhook deliveries, and answered with a message.
+ *
+ * Built-in commands:
+ * - /summarize [duration]: Summarize recent messages (default 24h)
+ * - /remind me|@user in <duration> <what>: Set a reminder (see reminderService)
+ * - /poll "Question" "Option 1" "Option 2": A poll voted on with number reactions
+ * - /topic [text]: Show or set the channel topic (moderators set it)
+ * - /invite @user: Add someone to the channel
+ * - /ai <question>: Ask the AI assistant, as if the message started with its trigger
+ *
+ * Responses:
+ * - { response_type: 'ephemeral', text, attachments }: shown only to the caller
+ *   and never stored
+ * - { response_type: 'in_channel', message }: a message was posted to the conversation
+ * - Problems the caller can fix (bad arguments, missing permissions, unknown
+ *   commands) are ephemeral responses rather than errors
+ *
+ * Bot commands:
+ * - Available in the channels the bot is a member of
+ * - The bot's URL receives { command, text, user, channel_id, parent_id } with
+ *   X-ChatGenius-Timestamp and X-ChatGenius-Signature headers (see webhookService)
+ *   and answers with an incoming webhook payload ({ text } or { markdown }, and
+ *   attachments) plus an optional response_type (default ephemeral)
+ *
+ * Errors:
+ * - Registration methods throw errors with a status (400 or 404), so routes can
+ *   pass them through
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - node-fetch
+ * - crypto
+ * - ./authorizationService, ./messageService, ./summaryService, ./reminderService,
+ *   ./inviteService, ./aiSettingsService, ./webhookService, ./incomingWebhookService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import authorizationService, { PERMISSIONS } from './authorizationService.js';
+import MessageService from './messageService.js';
+import summaryService, { MAX_SUMMARY_MESSAGES } from './summaryService.js';
+import reminderService, { parseReminder, parseDuration, REMINDER_USAGE } from './reminderService.js';
+import inviteService from './inviteService.js';
+import aiSettingsService, { DEFAULT_AI_SETTINGS } from './aiSettingsService.js';
+import { signPayload, validateWebhookUrl } from './webhookService.js';
+import { buildIncomingMessage } from './incomingWebhookService.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+export const BUILTIN_COMMANDS = [
+    { name: 'summarize', usage: '/summarize [duration, e.g. 6h]', description: 'Summarize recent messages, only for you' },
+    { name: 'remind', usage: REMINDER_USAGE, description: 'Set a reminder in this conversation' },
+    { name: 'poll', usage: '/poll "Question" "Option 1" "Option 2"', description: 'Start a poll voted on with reactions' },
+    { name: 'topic', usage: '/topic [new topic]', description: 'Show or set the channel topic', channelOnly: true },
+    { name: 'invite', usage: '/invite @user', description: 'Add someone to this channel', channelOnly: true },
+    { name: 'ai', usage: '/ai <question>', description: 'Ask the AI assistant' }
+];
+
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_USAGE_LENGTH = 100;
+const MAX_TOPIC_LENGTH = 250;
+const DEFAULT_SUMMARY_MS = 24 * 60 * 60 * 1000;
+const MAX_SUMMARY_MS = 30 * 24 * 60 * 60 * 1000;
+const POLL_EMOJIS = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
+const BOT_COMMAND_TIMEOUT_MS = 5 * 1000;
+
+const COMMAND_FIELDS = 'id, bot_id, name, description, usage, url, created_at, updated_at';
+
+const commandError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// "90 minutes", "2 hours", "3 days"
+const describeDelay = (ms) => {
+    const minutes = Math.round(ms / 60000);
+    const [amount, unit] = minutes % (24 * 60) === 0 ? [minutes / (24 * 60), 'day']
+        : minutes % 60 === 0 ? [minutes / 60, 'hour']
+            : [minutes, 'minute'];
+    return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+};
+
+const ephemeral = (text, attachments = null) => ({ response_type: 'ephemeral', text, attachments });
+const inChannel = (message) => ({ response_type: 'in_channel', message });
+
+/**
+ * Splits composer input into the command name and its argument text
+ * @param {string} input - e.g. "/remind me in 5m stretch"
+ * @returns {{ name: string, text: string }|null} null when the input is not a command
+ */
+export const parseCommandInput = (input) => {
+    const match = /^\/([A-Za-z0-9_-]+)(?:\s+([\s\S]*))?$/.exec((input || '').trim());
+    return match ? { name: match[1].toLowerCase(), text: (match[2] || '').trim() } : null;
+};
+
+/**
+ * Splits argument text into words, keeping "quoted phrases" together
+ * @param {string} text - Argument text
+ * @returns {string[]}
+ */
+export const tokenizeArguments = (text) =>
+    [...(text || '').replace(/[“”]/g, '"').matchAll(/"([^"]*)"|(\S+)/g)].map(match => match[1] ?? match[2]);
+
+/**
+ * Validates a bot's command registration
+ * @param {Object} input - Request body
+ * @param {string} input.name - Command name without the slash
+ * @param {string} input.url - http(s) URL invocations are POSTed to
+ * @param {string} input.description - What the command does
+ * @param {string} input.usage - How to call it, e.g. "/deploy <service>"
+ * @returns {{ error?: string, options?: Object }}
+ */
+export const validateCommandOptions = (input = {}) => {
+    const name = typeof input.name === 'string' ? input.name.replace(/^\//, '').toLowerCase() : '';
+    if (!COMMAND_NAME_PATTERN.test(name)) {
+        return { error: 'name must be 2-32 lowercase letters, digits, underscores or hyphens, starting with a letter' };
+    }
+    if (BUILTIN_COMMANDS.some(command => command.name === name)) {
+        return { error: `/${name} is a built-in command` };
+    }
+
+    const { error, url } = validateWebhookUrl(input.url);
+    if (error) return { error };
+
+    for (const [field, maxLength] of [['description', MAX_DESCRIPTION_LENGTH], ['usage', MAX_USAGE_LENGTH]]) {
+        const value = input[field];
+        if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > maxLength)) {
+            return { error: `${field} must be a string of at most ${maxLength} characters` };
+        }
+    }
+
+    return {
+        options: {
+            name,
+            url,
+            description: input.description || null,
+            usage: input.usage || `/${name}`
+        }
+    };
+};
+
+class SlashCommandService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     * @param {Object} options.authorizationService - Permission checks
+     * @param {Object} options.messageService - Service messages are saved through
+     * @param {Object} options.summaryService - Used by /summarize
+     * @param {Object} options.reminderService - Used by /remind
+     * @param {Object} options.inviteService - Used by /invite
+     * @param {Object} options.aiSettingsService - Used by /ai
+     * @param {Function} options.fetch - fetch implementation used for bot commands
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+        this.authorizationService = options.authorizationService || authorizationService;
+        this.messageService = options.messageService || new MessageService();
+        this.summaryService = options.summaryService || summaryService;
+        this.reminderService = options.reminderService || reminderService;
+        this.inviteService = options.inviteService || inviteService;
+        this.aiSettingsService = options.aiSettingsService || aiSettingsService;
+        this.fetch = options.fetch || fetch;
+
+        this.handlers = {
+            summarize: this.summarize,
+            remind: this.remind,
+            poll: this.poll,
+            topic: this.topic,
+            invite: this.invite,
+            ai: this.ai
+        };
+    }
+
+    /**
+     * Lists the commands available in a conversation, for autocomplete
+     * @param {Object} target - { channelId } or { dmId }
+     * @returns {Promise<Object[]>} { name, usage, description, bot } entries; bot is
+     *   null for built-in commands
+     */
+    async listCommands({ channelId, dmId } = {}) {
+        const builtins = BUILTIN_COMMANDS
+            .filter(command => channelId || !command.channelOnly)
+            .map(({ name, usage, description }) => ({ name, usage, description, bot: null }));
+
+        const botCommands = channelId ? await this.getChannelBotCommands(channelId) : [];
+        return [
+            ...builtins,
+            ...botCommands.map(({ name, usage, description, bot }) => ({ name, usage, description, bot }))
+        ].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Only the commands of bots in the channel are loaded, since each one carries its secret
+    async getChannelBotCommands(channelId) {
+        const { data: members, error: membersError } = await this.supabase
+            .from('channel_members')
+            .select('user_id')
+            .eq('channel_id', channelId);
+
+        if (membersError) throw membersError;
+        if (members.length === 0) return [];
+
+        const { data: commands, error } = await this.supabase
+            .from('bot_commands')
+            .select('id, bot_id, name, description, usage, url, secret, bot:bot_id(id, username)')
+            .in('bot_id', members.map(member => member.user_id))
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+        return commands;
+    }
+
+    /**
+     * Runs a command typed by a user
+     * @param {Object} user - Caller ({ id, username })
+     * @param {Object} invocation
+     * @param {string} invocation.input - Composer input starting with "/"
+     * @param {string} invocation.channelId - Channel it was typed in (or dmId)
+     * @param {string} invocation.dmId - DM it was typed in (or channelId)
+     * @param {string} invocation.parentId - Thread it was typed in, if any
+     * @returns {Promise<Object>} An ephemeral or in_channel response
+     */
+    async execute(user, { input, channelId = null, dmId = null, parentId = null }) {
+        const parsed = parseCommandInput(input);
+        if (!parsed) {
+            throw commandError(400, 'Commands start with "/" followed by the command name');
+        }
+
+        const context = { user, channelId, dmId, parentId, text: parsed.text, args: tokenizeArguments(parsed.text) };
+        const builtin = BUILTIN_COMMANDS.find(command => command.name === parsed.name);
+
+        if (builtin) {
+            if (builtin.channelOnly && !channelId) {
+                return ephemeral(`/${builtin.name} only works in channels`);
+            }
+            return this.handlers[builtin.name].call(this, context);
+        }
+
+        const botCommand = channelId
+            ? (await this.getChannelBotCommands(channelId)).find(command => command.name === parsed.name)
+            : null;
+        if (!botCommand) {
+            return ephemeral(`Unknown command /${parsed.name}`);
+        }
+        return this.invokeBotCommand(botCommand, context);
+    }
+
+    postAsCaller(context, content) {
+        return this.messageService.saveMessage({
+            content,
+            sender_id: context.user.id,
+            channel_id: context.channelId,
+            dm_id: context.dmId,
+            parent_id: context.parentId
+        });
+    }
+
+    async summarize(context) {
+        const durationMs = context.text ? parseDuration(context.text) : DEFAULT_SUMMARY_MS;
+        if (!durationMs || durationMs > MAX_SUMMARY_MS) {
+            return ephemeral('Usage: /summarize [duration], e.g. /summarize 6h (at most 30 days)');
+        }
+
+        const since = new Date(Date.now() - durationMs).toISOString();
+        const { data: messages, error } = await this.supabase
+            .from('messages')
+            .select('id, content, created_at, parent_id, sender:sender_id(id, username)')
+            .eq(context.channelId ? 'channel_id' : 'dm_id', context.channelId || context.dmId)
+            .gt('created_at', since)
+            .order('created_at', { ascending: false })
+            .limit(MAX_SUMMARY_MESSAGES);
+
+        if (error) throw error;
+
+        const { summary } = await this.summaryService.summarizeMessages([...messages].reverse(), {
+            title: context.channelId ? 'this channel' : 'this conversation'
+        });
+        return ephemeral(summary);
+    }
+
+    async remind(context) {
+        const { error, reminder } = parseReminder(context.text);
+        if (error) return ephemeral(error);
+
+        let userId = context.user.id;
+        if (reminder.who) {
+            const { data: target, error: userError } = await this.supabase
+                .from('users')
+                .select('id, username')
+                .eq('username', reminder.who)
+                .maybeSingle();
+
+            if (userError) throw userError;
+            const conversation = { channelId: context.channelId, dmId: context.dmId };
+            if (!target || !(await this.authorizationService.can(target.id, PERMISSIONS.READ, conversation))) {
+                return ephemeral(`@${reminder.who} is not in this conversation`);
+            }
+            userId = target.id;
+        }
+
+        await this.reminderService.createReminder({
+            userId,
+            createdBy: context.user.id,
+            channelId: context.channelId,
+            dmId: context.dmId,
+            content: reminder.content,
+            remindAt: new Date(Date.now() + reminder.delayMs)
+        });
+
+        const who = reminder.who ? `@${reminder.who}` : 'you';
+        return ephemeral(`I'll remind ${who} here in ${describeDelay(reminder.delayMs)}: ${reminder.content}`);
+    }
+
+    async poll(context) {
+        const [question, ...options] = context.args;
+        if (!question || options.length < 2 || options.length > POLL_EMOJIS.length) {
+            return ephemeral(`Usage: /poll "Question" "Option 1" "Option 2" (2-${POLL_EMOJIS.length} options)`);
+        }
+
+        const lines = options.map((option, index) => `${POLL_EMOJIS[index]} ${option}`);
+        const content = `📊 **${question}**\n\n${lines.join('\n')}\n\n_React with a number to vote_`;
+        return inChannel(await this.postAsCaller(context, content));
+    }
+
+    async topic(context) {
+        const { data: channel, error } = await this.supabase
+            .from('channels')
+            .select('id, topic')
+            .eq('id', context.channelId)
+            .single();
+
+        if (error) throw error;
+        if (!context.text) {
+            return ephemeral(channel.topic ? `Topic: ${channel.topic}` : 'This channel has no topic. Set one with /topic <text>');
+        }
+
+        if (!(await this.authorizationService.can(context.user.id, PERMISSIONS.MODERATE, { channelId: context.channelId }))) {
+            return ephemeral('Only channel moderators can set the topic');
+        }
+        if (context.text.length > MAX_TOPIC_LENGTH) {
+            return ephemeral(`Topics must be at most ${MAX_TOPIC_LENGTH} characters`);
+        }
+
+        const { error: updateError } = await this.supabase
+            .from('channels')
+            .update({ topic: context.text, updated_at: new Date().toISOString() })
+            .eq('id', context.channelId);
+
+        if (updateError) throw updateError;
+
+        const message = await this.messageService.saveMessage({
+            content: `${context.user.username} set the topic: ${context.text}`,
+            channel_id: context.channelId,
+            type: 'system',
+            sender_id: null
+        });
+        return { ...inChannel(message), topic: context.text };
+    }
+
+    async invite(context) {
+        const username = context.args.length === 1 && context.args[0].replace(/^@/, '');
+        if (!username) {
+            return ephemeral('Usage: /invite @user');
+        }
+
+        const { data: channel, error } = await this.supabase
+            .from('channels')
+            .select('id, is_private')
+            .eq('id', context.channelId)
+            .single();
+
+        if (error) throw error;
+
+        // Anyone who can post may bring people into a public channel; private ones are up to admins
+        const required = channel.is_private ? PERMISSIONS.ADMIN : PERMISSIONS.POST;
+        if (!(await this.authorizationService.can(context.user.id, required, { channelId: context.channelId }))) {
+            return ephemeral('Only channel owners and admins can add people to a private channel');
+        }
+
+        const { data: target, error: userError } = await this.supabase
+            .from('users')
+            .select('id, username')
+            .eq('username', username)
+            .maybeSingle();
+
+        if (userError) throw userError;
+        if (!target) {
+            return ephemeral(`No user named @${username}`);
+        }
+
+        try {
+            await this.inviteService.addMemberDirectly(context.channelId, context.user.id, target.id);
+        } catch (inviteError) {
+            if (inviteError.status) return ephemeral(`@${target.username}: ${inviteError.message}`);
+            throw inviteError;
+        }
+
+        const message = await this.messageService.saveMessage({
+            content: `${context.user.username} added ${target.username} to the channel`,
+            channel_id: context.channelId,
+            type: 'system',
+            sender_id: null
+        });
+        return inChannel(message);
+    }
+
+    async ai(context) {
+        if (!context.text) {
+            return ephemeral('Usage: /ai <question>');
+        }
+
+        // DMs have no settings record and always use the defaults
+        const settings = context.channelId
+            ? await this.aiSettingsService.getChannelSettings(context.channelId)
+            : DEFAULT_AI_SETTINGS;
+        if (!settings.enabled) {
+            return ephemeral('The AI assistant is turned off in this channel');
+        }
+
+        // Posted with the trigger so the message listener answers it like any other question
+        return inChannel(await this.postAsCaller(context, `${settings.trigger} ${context.text}`));
+    }
+
+    /**
+     * Sends a bot command to its bot and turns the answer into a response
+     * @param {Object} command - Registered command, including url, secret and bot
+     * @param {Object} context - Invocation context
+     * @returns {Promise<Object>}
+     */
+    async invokeBotCommand(command, context) {
+        const body = JSON.stringify({
+            command: `/${command.name}`,
+            text: context.text,
+            user: { id: context.user.id, username: context.user.username },
+            channel_id: context.channelId,
+            parent_id: context.parentId
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        let text;
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), BOT_COMMAND_TIMEOUT_MS);
+        try {
+            const response = await this.fetch(command.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'ChatGenius-Commands/1.0',
+                    'X-ChatGenius-Event': 'command',
+                    'X-ChatGenius-Timestamp': String(timestamp),
+                    'X-ChatGenius-Signature': signPayload(command.secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                return ephemeral(`/${command.name} failed (HTTP ${response.status})`);
+            }
+            text = await response.text();
+        } catch (error) {
+            const reason = error.name === 'AbortError' ? 'did not answer in time' : 'could not be reached';
+            return ephemeral(`/${command.name} ${reason}`);
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        // Bots may acknowledge a command without saying anything
+        if (!text) return ephemeral(null);
+
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch {
+            return ephemeral(`/${command.name} answered with an invalid response: not JSON`);
+        }
+        if (!payload || typeof payload !== 'object') {
+            return ephemeral(`/${command.name} answered with an invalid response: not a JSON object`);
+        }
+
+        const { error, message } = buildIncomingMessage({
+            text: payload.text,
+            markdown: payload.markdown,
+            attachments: payload.attachments
+        });
+        if (error) {
+            return ephemeral(`/${command.name} answered with an invalid response: ${error}`);
+        }
+
+        if (payload.response_type !== 'in_channel') {
+            return ephemeral(message.content, message.attachments);
+        }
+
+        return inChannel(await this.messageService.saveMessage({
+            ...message,
+            sender_id: command.bot_id,
+            channel_id: context.channelId,
+            parent_id: context.parentId
+        }));
+    }
+
+    /**
+     * Registers a command for a bot, or updates the bot's existing command of that name.
+     * The signing secret is only returned when the command is first registered.
+     * @param {string} botId - Bot registering the command
+     * @param {Object} options - Validated options (see validateCommandOptions)
+     * @returns {Promise<Object>}
+     */
+    async registerCommand(botId, { name, url, description, usage }) {
+        const { data: existing, error: existingError } = await this.supabase
+            .from('bot_commands')
+            .select('id, bot_id')
+            .eq('name', name)
+            .maybeSingle();
+
+        if (existingError) throw existingError;
+        if (existing && existing.bot_id !== botId) {
+            throw commandError(400, `/${name} is already registered by another bot`);
+        }
+
+        if (existing) {
+            const { data, error } = await this.supabase
+                .from('bot_commands')
+                .update({ url, description, usage, updated_at: new Date().toISOString() })
+                .eq('id', existing.id)
+                .select(COMMAND_FIELDS)
+                .single();
+
+            if (error) throw error;
+            return data;
+        }
+
+        const secret = `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+        const { data, error } = await this.supabase
+            .from('bot_commands')
+            .insert({ bot_id: botId, name, url, description, usage, secret })
+            .select(COMMAND_FIELDS)
+            .single();
+
+        if (error) throw error;
+        return { ...data, secret };
+    }
+
+    /**
+     * Lists a bot's registered commands without their secrets
+     * @param {string} botId - Bot ID
+     * @returns {Promise<Object[]>}
+     */
+    async listRegisteredCommands(botId) {
+        const { data, error } = await this.supabase
+            .from('bot_commands')
+            .select(COMMAND_FIELDS)
+            .eq('bot_id', botId)
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Removes one of a bot's commands
+     * @param {string} botId - Bot ID
+     * @param {string} commandId - Command ID
+     */
+    async removeCommand(botId, commandId) {
+        const { data: command, error: commandLookupError } = await this.supabase
+            .from('bot_commands')
+            .select('id')
+            .eq('id', commandId)
+            .eq('bot_id', botId)
+            .maybeSingle();
+
+        if (commandLookupError) throw commandLookupError;
+        if (!command) {
+            throw commandError(404, 'Command not found');
+        }
+
+        const { error } = await this.supabase
+            .from('bot_commands')
+            .delete()
+            .eq('id', commandId);
+
+        if (error) throw error;
+    }
+}
+
+export { SlashCommandService };
+export default new SlashCommandService();
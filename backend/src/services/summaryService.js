@@ -0,0 +1,160 @@
+/**
+ * @file summaryService.js
+ * @description Summarizes channel history and threads so users can catch up.
+ * Long conversations are summarized map-reduce style: messages are split into
+ * chunks that fit the model's context, each chunk is summarized on its own, and
+ * the partial summaries are merged in groups that also fit, stage by stage, until
+ * one summary is left. Messages are numbered in the prompt
+ * and the model cites them as [n], which is how summaries link back to the key
+ * message ids.
+ *
+ * Core Functionality:
+ * - Message chunking by token budget
+ * - Map and reduce summarization through RAGService.sendToOpenAI
+ * - Citation extraction into key message ids
+ *
+ * Dependencies:
+ * - ./ragService
+ *
+ * @version 1.0.0
+ * @created 2024-01-23
+ */
+
+import ragService from './ragService.js';
+
+// Upper bound on how many messages a single summary covers
+export const MAX_SUMMARY_MESSAGES = 1000;
+
+// Token budget for the messages in one map step
+const CHUNK_TOKEN_BUDGET = 3000;
+
+// Rough token estimate (~4 characters per token for English text)
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const CITATION_PATTERN = /\[(\d+)\]/g;
+
+const formatLine = (message, number) => {
+    const time = new Date(message.created_at).toISOString().slice(0, 16).replace('T', ' ');
+    const sender = message.sender?.username || 'Unknown User';
+    return `[${number}] ${sender} (${time}): ${message.content.replace(/\s+/g, ' ')}`;
+};
+
+/**
+ * Splits numbered message lines (or partial summaries) into chunks that fit the token budget
+ * @param {Array<string>} lines - Formatted message lines
+ * @param {number} minPerChunk - Lines a chunk takes even past the budget
+ * @returns {Array<Array<string>>}
+ */
+const chunkLines = (lines, minPerChunk = 1) => {
+    const chunks = [];
+    let current = [];
+    let usedTokens = 0;
+
+    for (const line of lines) {
+        const tokens = estimateTokens(line);
+        if (current.length >= minPerChunk && usedTokens + tokens > CHUNK_TOKEN_BUDGET) {
+            chunks.push(current);
+            current = [];
+            usedTokens = 0;
+        }
+        current.push(line);
+        usedTokens += tokens;
+    }
+
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+};
+
+class SummaryService {
+    async complete(systemPrompt, userContent) {
+        const result = await ragService.sendToOpenAI([
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userContent }
+        ], { temperature: 0.3, max_tokens: 600 });
+
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to generate summary');
+        }
+        return result.content.trim();
+    }
+
+    /**
+     * Summarizes a list of messages
+     * @param {Array} messages - Messages oldest first, with sender usernames
+     * @param {Object} options - Summary options
+     * @param {string} options.title - What is being summarized, e.g. "#general"
+     * @returns {Promise<{summary: string, keyMessages: Array, messageCount: number, chunkCount: number}>}
+     */
+    async summarizeMessages(messages, { title = 'this conversation' } = {}) {
+        const usable = messages.filter(message => message.content && message.content.trim());
+        if (usable.length === 0) {
+            return {
+                summary: 'There are no messages to summarize.',
+                keyMessages: [],
+                messageCount: 0,
+                chunkCount: 0
+            };
+        }
+
+        const lines = usable.map((message, index) => formatLine(message, index + 1));
+        const chunks = chunkLines(lines);
+
+        const citationRule = 'Cite the messages that support each point by their number in square brackets, e.g. [3] or [3][7]. Only cite numbers that appear in the messages.';
+
+        // Map: summarize each chunk independently
+        const partials = [];
+        for (const chunk of chunks) {
+            partials.push(await this.complete(
+                `You summarize team chat for someone catching up on ${title}. ` +
+                'List the main topics, decisions, open questions and action items (with owners) as short bullet points. ' +
+                citationRule,
+                chunk.join('\n')
+            ));
+        }
+
+        // Reduce: merge neighbouring partial summaries in groups that fit the budget,
+        // stage by stage, until one is left. Groups hold at least two, so each stage shrinks
+        let summaries = partials;
+        while (summaries.length > 1) {
+            const merged = [];
+            for (const group of chunkLines(summaries, 2)) {
+                merged.push(group.length === 1 ? group[0] : await this.complete(
+                    `You merge partial summaries of ${title}, written for consecutive stretches of the conversation, into one summary. ` +
+                    'Group related points, drop duplicates and keep the format: sections for topics, decisions, open questions and action items. ' +
+                    'Keep the existing [n] citations on the points you keep.',
+                    group.map((partial, index) => `Part ${index + 1}:\n${partial}`).join('\n\n')
+                ));
+            }
+            summaries = merged;
+        }
+        const [summary] = summaries;
+
+        // Resolve [n] citations back to message ids, in order of first appearance
+        const cited = new Set();
+        for (const match of summary.matchAll(CITATION_PATTERN)) {
+            const number = parseInt(match[1], 10);
+            if (number >= 1 && number <= usable.length) cited.add(number);
+        }
+
+        const keyMessages = [...cited].map(number => {
+            const message = usable[number - 1];
+            return {
+                ref: number,
+                id: message.id,
+                content: message.content.length > 200 ? `${message.content.substring(0, 200)}...` : message.content,
+                sender_username: message.sender?.username || null,
+                created_at: message.created_at,
+                parent_id: message.parent_id || null
+            };
+        });
+
+        return {
+            summary,
+            keyMessages,
+            messageCount: usable.length,
+            chunkCount: chunks.length
+        };
+    }
+}
+
+export default new SummaryService();
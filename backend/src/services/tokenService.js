@@ -0,0 +1,286 @@
+/**
+ * @file tokenService.js
+ * @description Session tokens. Signing in starts a session that holds a short-lived
+ * access token (JWT) and a refresh token. Refresh tokens are random strings stored
+ * server-side as hashes and rotate on every use; presenting one that was already
+ * rotated means it leaked, so the whole session is revoked. Logging out revokes
+ * the session, and authenticateJWT rejects access tokens of revoked sessions.
+ *
+ * Core Functionality:
+ * - Access and refresh token issuing
+ * - Refresh token rotation with reuse detection
+ * - Session revocation (one session or all of a user's sessions)
+ * - Revocation list lookups
+ *
+ * Revocation Checks:
+ * - Sessions revoked by this server instance are rejected immediately; other
+ *   instances find out from the revoked_sessions table, where a "not revoked"
+ *   answer is cached for REVOCATION_CACHE_TTL_MS
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - jsonwebtoken
+ * - crypto
+ * - ../config/jwt
+ *
+ * @version 1.0.0
+ * @created 2024-01-25
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { JWT_SECRET, ACCESS_TOKEN_EXPIRY, REFRESH_TOKEN_TTL_DAYS } from '../config/jwt.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+const REVOCATION_CACHE_TTL_MS = 30 * 1000;
+const MAX_CACHED_SESSIONS = 10000;
+
+const authError = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+};
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class TokenService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+        // Session ID -> true for sessions known to be revoked
+        this.revokedSessions = new Set();
+        // Session ID -> time until which the session is trusted without a lookup
+        this.checkedSessions = new Map();
+    }
+
+    signAccessToken(user, sessionId) {
+        return jwt.sign(
+            { id: user.id, email: user.email, username: user.username, sid: sessionId },
+            JWT_SECRET,
+            { expiresIn: ACCESS_TOKEN_EXPIRY }
+        );
+    }
+
+    async createRefreshToken(userId, sessionId) {
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+        const { data, error } = await this.supabase
+            .from('refresh_tokens')
+            .insert({
+                user_id: userId,
+                session_id: sessionId,
+                token_hash: hashToken(refreshToken),
+                expires_at: expiresAt.toISOString()
+            })
+            .select('id')
+            .single();
+
+        if (error) throw error;
+        return { id: data.id, refreshToken };
+    }
+
+    /**
+     * Starts a session for a user who just signed in
+     * @param {Object} user - User with id, email and username
+     * @returns {Promise<{ token: string, refreshToken: string }>}
+     */
+    async issueTokens(user) {
+        const sessionId = crypto.randomUUID();
+        const { refreshToken } = await this.createRefreshToken(user.id, sessionId);
+        return { token: this.signAccessToken(user, sessionId), refreshToken };
+    }
+
+    /**
+     * Exchanges a refresh token for a new access token and refresh token
+     * @param {string} refreshToken - Refresh token from the last sign-in or refresh
+     * @returns {Promise<{ token: string, refreshToken: string, user: Object }>}
+     * @throws {Error} With status 401 when the token is unknown, expired or revoked
+     */
+    async refresh(refreshToken) {
+        if (typeof refreshToken !== 'string' || !refreshToken) {
+            throw authError('Invalid refresh token');
+        }
+
+        const { data: stored, error } = await this.supabase
+            .from('refresh_tokens')
+            .select('id, user_id, session_id, expires_at, revoked_at, replaced_by')
+            .eq('token_hash', hashToken(refreshToken))
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!stored) {
+            throw authError('Invalid refresh token');
+        }
+
+        if (stored.revoked_at) {
+            if (stored.replaced_by) {
+                // A rotated token came back: someone else holds a copy of it
+                await this.revokeSession(stored.session_id, stored.user_id);
+                throw authError('Refresh token was already used; please sign in again');
+            }
+            throw authError('Session has been signed out');
+        }
+
+        if (new Date(stored.expires_at) <= new Date()) {
+            throw authError('Refresh token expired');
+        }
+
+        // Claim the token in one conditional update so two concurrent refreshes
+        // cannot both succeed with it
+        const { data: claimed, error: claimError } = await this.supabase
+            .from('refresh_tokens')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', stored.id)
+            .is('revoked_at', null)
+            .select('id')
+            .maybeSingle();
+
+        if (claimError) throw claimError;
+        if (!claimed) {
+            throw authError('Refresh token was already used');
+        }
+
+        const { data: user, error: userError } = await this.supabase
+            .from('users')
+            .select('id, email, username')
+            .eq('id', stored.user_id)
+            .maybeSingle();
+
+        if (userError) throw userError;
+        if (!user) {
+            throw authError('User no longer exists');
+        }
+
+        const next = await this.createRefreshToken(user.id, stored.session_id);
+
+        const { error: linkError } = await this.supabase
+            .from('refresh_tokens')
+            .update({ replaced_by: next.id })
+            .eq('id', stored.id);
+
+        if (linkError) throw linkError;
+
+        return {
+            token: this.signAccessToken(user, stored.session_id),
+            refreshToken: next.refreshToken,
+            user
+        };
+    }
+
+    /**
+     * Signs a session out: its refresh tokens stop working and its access tokens
+     * are added to the revocation list
+     * @param {string} sessionId - Session ID (the sid claim of its access tokens)
+     * @param {string} userId - Owner of the session
+     */
+    async revokeSession(sessionId, userId) {
+        const now = new Date();
+
+        const { error: tokensError } = await this.supabase
+            .from('refresh_tokens')
+            .update({ revoked_at: now.toISOString() })
+            .eq('session_id', sessionId)
+            .is('revoked_at', null);
+
+        if (tokensError) throw tokensError;
+
+        // Access tokens of the session can outlive its last refresh by at most
+        // their own lifetime; keeping the entry as long as a refresh token lives is simpler
+        const { error: listError } = await this.supabase
+            .from('revoked_sessions')
+            .upsert({
+                session_id: sessionId,
+                user_id: userId,
+                revoked_at: now.toISOString(),
+                expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+            });
+
+        if (listError) throw listError;
+
+        this.revokedSessions.add(sessionId);
+        this.checkedSessions.delete(sessionId);
+    }
+
+    /**
+     * Signs a user out everywhere
+     * @param {string} userId - User ID
+     * @returns {Promise<number>} Number of sessions revoked
+     */
+    async revokeAllSessions(userId) {
+        const { data, error } = await this.supabase
+            .from('refresh_tokens')
+            .select('session_id')
+            .eq('user_id', userId)
+            .is('revoked_at', null);
+
+        if (error) throw error;
+
+        const sessionIds = [...new Set(data.map(row => row.session_id))];
+        for (const sessionId of sessionIds) {
+            await this.revokeSession(sessionId, userId);
+        }
+        return sessionIds.length;
+    }
+
+    /**
+     * Looks up the session of a refresh token, e.g. to sign it out
+     * @param {string} refreshToken - Refresh token
+     * @returns {Promise<{ session_id: string, user_id: string }|null>}
+     */
+    async findSession(refreshToken) {
+        if (typeof refreshToken !== 'string' || !refreshToken) return null;
+
+        const { data, error } = await this.supabase
+            .from('refresh_tokens')
+            .select('session_id, user_id')
+            .eq('token_hash', hashToken(refreshToken))
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Whether access tokens of a session must be rejected
+     * @param {string} sessionId - The sid claim of an access token
+     * @returns {Promise<boolean>}
+     */
+    async isSessionRevoked(sessionId) {
+        if (this.revokedSessions.has(sessionId)) return true;
+
+        const trustedUntil = this.checkedSessions.get(sessionId);
+        if (trustedUntil && trustedUntil > Date.now()) return false;
+
+        const { data, error } = await this.supabase
+            .from('revoked_sessions')
+            .select('session_id')
+            .eq('session_id', sessionId)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (data) {
+            this.revokedSessions.add(sessionId);
+            this.checkedSessions.delete(sessionId);
+            return true;
+        }
+
+        if (this.checkedSessions.size >= MAX_CACHED_SESSIONS) {
+            this.checkedSessions.clear();
+        }
+        this.checkedSessions.set(sessionId, Date.now() + REVOCATION_CACHE_TTL_MS);
+        return false;
+    }
+}
+
+export { TokenService };
+export default new TokenService();
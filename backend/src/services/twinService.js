@@ -0,0 +1,227 @@
+/**
+ * @file twinService.js
+ * @description Digital-twin personas. A user who opts in gets a twin that can answer
+ * on their behalf, either when addressed as "@username-twin" or when someone DMs
+ * them while they are away. Replies imitate the user's writing style from their
+ * recent messages and are grounded only in messages they wrote themselves, limited
+ * to the conversation the twin is replying in, since everyone there reads the reply.
+ *
+ * Core Functionality:
+ * - Twin opt-in settings
+ * - Twin mention parsing
+ * - Away-user detection for DMs
+ * - Persona reply generation
+ *
+ * Message Marker:
+ * - Twin replies are sent by the AI user with twin_of set to the persona's owner,
+ *   so clients can label them as generated by the twin and the owner's own
+ *   retrieval never picks them up as things the owner actually said
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - ./ragService
+ *
+ * @version 1.0.0
+ * @created 2024-01-22
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import ragService from './ragService.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+const AI_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+// Statuses in which a DM to the user is answered by their twin
+const AWAY_STATUSES = ['away', 'offline'];
+
+// Number of the owner's recent messages shown to the model as style examples
+const STYLE_SAMPLE_LIMIT = 15;
+
+const TWIN_MENTION_PATTERN = /^\s*@([\w.-]+)-twin(?=\s|$)\s*/i;
+
+/**
+ * Extracts the addressed username from a "@username-twin ..." message
+ * @param {string} content - Message content
+ * @returns {{ username: string, question: string }|null}
+ */
+export const parseTwinMention = (content = '') => {
+    const match = content.match(TWIN_MENTION_PATTERN);
+    if (!match) return null;
+    return {
+        username: match[1],
+        question: content.replace(TWIN_MENTION_PATTERN, '').trim()
+    };
+};
+
+class TwinService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     * @param {Object} options.ragService - Retrieval and chat completions
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+        this.ragService = options.ragService || ragService;
+    }
+
+    /**
+     * Reads a user's twin opt-in
+     * @param {string} userId - User ID
+     * @returns {Promise<{ enabled: boolean }>}
+     */
+    async getSettings(userId) {
+        const { data, error } = await this.supabase
+            .from('user_settings')
+            .select('twin_enabled')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return { enabled: data?.twin_enabled === true };
+    }
+
+    /**
+     * Updates a user's twin opt-in
+     * @param {string} userId - User ID
+     * @param {boolean} enabled - Whether the twin may answer for the user
+     * @returns {Promise<{ enabled: boolean }>}
+     */
+    async updateSettings(userId, enabled) {
+        const { error } = await this.supabase
+            .from('user_settings')
+            .upsert({
+                user_id: userId,
+                twin_enabled: enabled,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id' });
+
+        if (error) throw error;
+        return { enabled };
+    }
+
+    /**
+     * Finds an opted-in twin owner by username
+     * @param {string} username - Username without the "-twin" suffix
+     * @returns {Promise<Object|null>} The owner, or null if unknown or not opted in
+     */
+    async findTwinByUsername(username) {
+        const { data: user, error } = await this.supabase
+            .from('users')
+            .select('id, username, status')
+            // Case-insensitive exact match; escape LIKE wildcards such as "_"
+            .ilike('username', username.replace(/[%_\\]/g, '\\$&'))
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!user || user.id === AI_USER_ID) return null;
+
+        const { enabled } = await this.getSettings(user.id);
+        return enabled ? user : null;
+    }
+
+    /**
+     * Finds the twin that should answer a DM: the other member of a one-to-one DM,
+     * if they are away and have opted in
+     * @param {Object} message - The DM message row
+     * @returns {Promise<Object|null>} The away owner, or null
+     */
+    async findAwayTwinForDM(message) {
+        const { data: members, error } = await this.supabase
+            .from('direct_message_members')
+            .select('user:user_id(id, username, status)')
+            .eq('dm_id', message.dm_id);
+
+        if (error) throw error;
+        if (!members || members.length !== 2) return null;
+
+        const recipient = members
+            .map(member => member.user)
+            .find(user => user && user.id !== message.sender_id);
+
+        if (!recipient || recipient.id === AI_USER_ID || !AWAY_STATUSES.includes(recipient.status)) {
+            return null;
+        }
+
+        const { enabled } = await this.getSettings(recipient.id);
+        return enabled ? recipient : null;
+    }
+
+    /**
+     * Loads the owner's recent messages from the conversation the twin replies in,
+     * so style examples never reveal content its readers could not see
+     * @param {string} ownerId - Twin owner
+     * @param {Object} conversation - { channelId } or { dmId } the reply is posted in
+     * @returns {Promise<Array<{content: string}>>}
+     */
+    async fetchStyleSamples(ownerId, { channelId, dmId }) {
+        const { data, error } = await this.supabase
+            .from('messages')
+            .select('content')
+            .eq('sender_id', ownerId)
+            .eq(channelId ? 'channel_id' : 'dm_id', channelId || dmId)
+            .order('created_at', { ascending: false })
+            .limit(STYLE_SAMPLE_LIMIT);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Generates a reply in the owner's voice
+     * @param {Object} owner - Twin owner ({ id, username })
+     * @param {string} question - What the twin was asked
+     * @param {Object} conversation - Where the twin was asked
+     * @param {string} conversation.askerId - User who asked
+     * @param {string} conversation.channelId - Channel the reply is posted in
+     * @param {string} conversation.dmId - DM the reply is posted in
+     * @returns {Promise<{success: boolean, content?: string, error?: string}>}
+     */
+    async generateReply(owner, question, { askerId, channelId, dmId }) {
+        const samples = await this.fetchStyleSamples(owner.id, { channelId, dmId });
+
+        // Everyone in the conversation reads the reply, so draw only on what it holds
+        const retrieval = await this.ragService.search(question, {
+            topK: 5,
+            scope: { userId: askerId, type: channelId ? 'channel' : 'dm', channelId, dmId },
+            senderId: owner.id
+        });
+        const knowledge = retrieval.success ? retrieval.results : [];
+
+        const styleExamples = samples
+            .map(sample => `- ${sample.content}`)
+            .join('\n');
+        const groundingContext = knowledge.length > 0
+            ? knowledge.map(result => `- ${result.content}`).join('\n')
+            : '(nothing relevant found)';
+
+        const prompt = [
+            {
+                role: 'system',
+                content: `You are the digital twin of ${owner.username}, replying on their behalf while they are unavailable. ` +
+                    `Write the way ${owner.username} writes: match their tone, vocabulary, punctuation and typical message length. ` +
+                    `Only state facts that appear in the messages they wrote below; if they have not said anything about the topic, ` +
+                    `say you are not sure and that ${owner.username} can follow up. Never make commitments on their behalf.\n\n` +
+                    `Examples of how ${owner.username} writes:\n${styleExamples || '(no messages yet)'}\n\n` +
+                    `Things ${owner.username} has said that may be relevant:\n${groundingContext}`
+            },
+            {
+                role: 'user',
+                content: question
+            }
+        ];
+
+        const completion = await this.ragService.sendToOpenAI(prompt, { temperature: 0.8 });
+        if (!completion.success) {
+            return { success: false, error: completion.error };
+        }
+
+        return { success: true, content: completion.content.trim() };
+    }
+}
+
+export { TwinService };
+export default new TwinService();
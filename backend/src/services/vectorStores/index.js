@@ -0,0 +1,29 @@
+/**
+ * @file index.js
+ * @description Vector store factory. Every store implements the same interface:
+ *
+ * - upsert(vectors): Insert or replace { id, values, metadata } records
+ * - fetch(ids): Returns { records } keyed by id
+ * - query({ vector, topK, filter, includeValues, includeMetadata }): Returns { matches }
+ * - delete(ids): Removes records
+ * - describeStats(): Returns { totalVectorCount, dimension }
+ *
+ * Environment Variables:
+ * - VECTOR_STORE: 'pinecone' (default) or 'local'
+ */
+
+import { PineconeVectorStore } from './pineconeVectorStore.js';
+import { LocalVectorStore } from './localVectorStore.js';
+
+export const createVectorStore = (type = process.env.VECTOR_STORE || 'pinecone', options = {}) => {
+    switch (type) {
+        case 'pinecone':
+            return new PineconeVectorStore(options);
+        case 'local':
+            return new LocalVectorStore(options);
+        default:
+            throw new Error(`Unknown vector store: ${type}`);
+    }
+};
+
+export { PineconeVectorStore, LocalVectorStore };
@@ -0,0 +1,199 @@
+/**
+ * @file localVectorStore.js
+ * @description In-process vector store for offline development and tests. Vectors
+ * live in memory and are optionally persisted to a JSON file so they survive
+ * restarts. Similarity is cosine, and metadata filters follow Pinecone's filter
+ * language so the same scope filters work against either backend.
+ *
+ * Supported Filter Operators:
+ * - $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $exists
+ * - $and, $or
+ * - A bare value is shorthand for $eq
+ *
+ * Environment Variables:
+ * - LOCAL_VECTOR_STORE_PATH: Optional JSON file used for persistence
+ *
+ * @version 1.0.0
+ * @created 2024-01-21
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const cosineSimilarity = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+const matchesCondition = (value, condition) => {
+    // Bare values are shorthand for $eq
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+        return matchesCondition(value, { $eq: condition });
+    }
+
+    // List-valued metadata matches when any element satisfies the operator
+    const values = Array.isArray(value) ? value : [value];
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$eq':
+                return values.includes(operand);
+            case '$ne':
+                return !values.includes(operand);
+            case '$in':
+                return values.some(v => operand.includes(v));
+            case '$nin':
+                return !values.some(v => operand.includes(v));
+            case '$gt':
+                return value !== undefined && value > operand;
+            case '$gte':
+                return value !== undefined && value >= operand;
+            case '$lt':
+                return value !== undefined && value < operand;
+            case '$lte':
+                return value !== undefined && value <= operand;
+            case '$exists':
+                return (value !== undefined) === operand;
+            default:
+                throw new Error(`Unsupported filter operator: ${operator}`);
+        }
+    });
+};
+
+/**
+ * Evaluates a Pinecone-style metadata filter
+ * @param {Object} metadata - Vector metadata
+ * @param {Object} filter - Filter expression
+ * @returns {boolean}
+ */
+export const matchesFilter = (metadata = {}, filter = {}) => {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$and') return condition.every(clause => matchesFilter(metadata, clause));
+        if (key === '$or') return condition.some(clause => matchesFilter(metadata, clause));
+        return matchesCondition(metadata[key], condition);
+    });
+};
+
+export class LocalVectorStore {
+    constructor({ filePath = process.env.LOCAL_VECTOR_STORE_PATH } = {}) {
+        this.name = 'local';
+        this.filePath = filePath || null;
+        this.records = new Map();
+        this.dimension = null;
+        this.loaded = false;
+    }
+
+    async load() {
+        if (this.loaded) return;
+        this.loaded = true;
+        if (!this.filePath) return;
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            this.dimension = data.dimension ?? null;
+            for (const record of data.records || []) {
+                this.records.set(record.id, record);
+            }
+            console.log(`Loaded ${this.records.size} vectors from ${this.filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    async persist() {
+        if (!this.filePath) return;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, JSON.stringify({
+            dimension: this.dimension,
+            records: Array.from(this.records.values())
+        }));
+    }
+
+    async upsert(vectors) {
+        await this.load();
+
+        for (const vector of vectors) {
+            if (!vector.id || !Array.isArray(vector.values)) {
+                throw new Error('Each vector requires an id and a values array');
+            }
+            if (this.dimension === null) {
+                this.dimension = vector.values.length;
+            } else if (vector.values.length !== this.dimension) {
+                throw new Error(`Vector dimension ${vector.values.length} does not match store dimension ${this.dimension}`);
+            }
+        }
+
+        for (const vector of vectors) {
+            this.records.set(vector.id, {
+                id: vector.id,
+                values: vector.values,
+                metadata: vector.metadata || {}
+            });
+        }
+
+        await this.persist();
+        return { upsertedCount: vectors.length };
+    }
+
+    async fetch(ids) {
+        await this.load();
+
+        const records = {};
+        for (const id of ids) {
+            if (this.records.has(id)) {
+                records[id] = this.records.get(id);
+            }
+        }
+        return { records };
+    }
+
+    async query({ vector, topK = 10, filter, includeValues = false, includeMetadata = false } = {}) {
+        await this.load();
+
+        let candidates = Array.from(this.records.values());
+        if (filter) {
+            candidates = candidates.filter(record => matchesFilter(record.metadata, filter));
+        }
+
+        const scored = candidates.map(record => ({
+            record,
+            score: vector ? cosineSimilarity(vector, record.values) : 0
+        }));
+        if (vector) {
+            scored.sort((a, b) => b.score - a.score);
+        }
+
+        return {
+            matches: scored.slice(0, topK).map(({ record, score }) => ({
+                id: record.id,
+                score,
+                ...(includeValues && { values: record.values }),
+                ...(includeMetadata && { metadata: record.metadata })
+            }))
+        };
+    }
+
+    async delete(ids) {
+        await this.load();
+        for (const id of ids) {
+            this.records.delete(id);
+        }
+        await this.persist();
+    }
+
+    async describeStats() {
+        await this.load();
+        return {
+            totalVectorCount: this.records.size,
+            dimension: this.dimension
+        };
+    }
+}
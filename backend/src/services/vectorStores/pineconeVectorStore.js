@@ -0,0 +1,73 @@
+/**
+ * @file pineconeVectorStore.js
+ * @description Vector store backed by a Pinecone index. Thin adapter that maps the
+ * Pinecone client onto the vector store interface used by RAGService.
+ *
+ * Environment Variables:
+ * - PINECONE_API_KEY: Pinecone API key
+ * - PINECONE_INDEX: Name of the Pinecone index
+ *
+ * @version 1.0.0
+ * @created 2024-01-21
+ */
+
+import { Pinecone } from '@pinecone-database/pinecone';
+
+export class PineconeVectorStore {
+    constructor({ apiKey = process.env.PINECONE_API_KEY, indexName = process.env.PINECONE_INDEX } = {}) {
+        this.name = 'pinecone';
+        this.indexName = indexName;
+        this.client = new Pinecone({ apiKey });
+        this.index = this.client.index(indexName);
+    }
+
+    /**
+     * @param {Array<{id: string, values: number[], metadata?: Object}>} vectors
+     * @returns {Promise<{upsertedCount: number}>}
+     */
+    async upsert(vectors) {
+        if (vectors.length === 0) return { upsertedCount: 0 };
+        await this.index.upsert(vectors);
+        return { upsertedCount: vectors.length };
+    }
+
+    /**
+     * @param {string[]} ids
+     * @returns {Promise<{records: Object<string, {id: string, values: number[], metadata: Object}>}>}
+     */
+    async fetch(ids) {
+        if (ids.length === 0) return { records: {} };
+        const result = await this.index.fetch(ids);
+        return { records: result.records || {} };
+    }
+
+    /**
+     * @param {Object} params - { vector, topK, filter, includeValues, includeMetadata }
+     * @returns {Promise<{matches: Array<{id: string, score: number, values?: number[], metadata?: Object}>}>}
+     */
+    async query(params) {
+        const result = await this.index.query(params);
+        return { matches: result.matches || [] };
+    }
+
+    /**
+     * @param {string[]} ids
+     */
+    async delete(ids) {
+        if (ids.length === 0) return;
+        await this.index.deleteMany(ids);
+    }
+
+    /**
+     * @returns {Promise<{totalVectorCount: number, dimension: number}>}
+     */
+    async describeStats() {
+        const stats = await this.index.describeIndexStats();
+        return {
+            // Newer Pinecone clients report totalRecordCount instead of totalVectorCount
+            totalVectorCount: stats.totalRecordCount ?? stats.totalVectorCount ?? 0,
+            dimension: stats.dimension,
+            namespaces: stats.namespaces
+        };
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * @file webhookListenerService.js
+ * @description Turns the Postgres change feed into outgoing webhook events. Listens
+ * for changes to channel messages, reactions and memberships and hands each one
+ * to webhookService, which delivers it to the channel's webhooks. DM activity
+ * never leaves the server. A local server starts one listener when it boots;
+ * serverless deployments get the same changes from Supabase database webhooks
+ * posted to /api/cron/webhook-events.
+ *
+ * Events:
+ * - message.created, message.updated (content changes only) and message.deleted
+ *   (deleting a message leaves a tombstone, which arrives as an update)
+ * - reaction.added
+ * - member.joined and member.left
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - ./webhookService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import webhookService from './webhookService.js';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+class WebhookListenerService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     * @param {Object} options.webhookService - Service events are dispatched to
+     * @param {boolean} options.subscribe - Whether to subscribe to the change feed (default true)
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+        this.webhookService = options.webhookService || webhookService;
+        if (options.subscribe !== false) {
+            this.setupListener();
+        }
+    }
+
+    setupListener() {
+        const listen = (channel, table, event, handler) => channel.on(
+            'postgres_changes',
+            { event, schema: 'public', table },
+            (payload) => handler.call(this, payload).catch(error =>
+                console.error(`Error dispatching webhooks for ${table} change:`, error))
+        );
+
+        let channel = this.supabase.channel('webhook-changes');
+        channel = listen(channel, 'messages', '*', this.handleMessageChange);
+        channel = listen(channel, 'message_reactions', 'INSERT', this.handleReactionAdded);
+        channel = listen(channel, 'channel_members', '*', this.handleMembershipChange);
+
+        channel.subscribe((status, err) => {
+            if (status === 'SUBSCRIBED') {
+                console.log('Listening for webhook events...');
+            } else if (status === 'CHANNEL_ERROR') {
+                console.error('Webhook subscription error:', err);
+            }
+        });
+    }
+
+    async handleMessageChange({ eventType, new: row, old }) {
+        if (eventType === 'INSERT' && row?.channel_id) {
+            await this.webhookService.dispatch(row.channel_id, 'message.created', { message: row });
+        } else if (eventType === 'UPDATE' && row?.channel_id && row.deleted_at) {
+            // Deleting a message leaves a tombstone, so deletions arrive as updates
+            if (old?.deleted_at !== null) return;
+            await this.webhookService.dispatch(row.channel_id, 'message.deleted', {
+                message: {
+                    id: row.id,
+                    channel_id: row.channel_id,
+                    sender_id: row.sender_id,
+                    parent_id: row.parent_id
+                }
+            });
+        } else if (eventType === 'UPDATE' && row?.channel_id) {
+            // Pins, embedding bookkeeping and the like also update the row
+            if (old?.content === undefined || old.content === row.content) return;
+            await this.webhookService.dispatch(row.channel_id, 'message.updated', {
+                message: row,
+                previous_content: old.content
+            });
+        } else if (eventType === 'DELETE' && old?.channel_id) {
+            await this.webhookService.dispatch(old.channel_id, 'message.deleted', {
+                message: {
+                    id: old.id,
+                    channel_id: old.channel_id,
+                    sender_id: old.sender_id,
+                    parent_id: old.parent_id
+                }
+            });
+        }
+    }
+
+    async handleReactionAdded({ new: reaction }) {
+        if (!reaction?.message_id) return;
+
+        const { data: message, error } = await this.supabase
+            .from('messages')
+            .select('id, channel_id')
+            .eq('id', reaction.message_id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!message?.channel_id) return;
+
+        await this.webhookService.dispatch(message.channel_id, 'reaction.added', { reaction });
+    }
+
+    /**
+     * Handles a change sent by a Supabase database webhook instead of the change feed
+     * @param {Object} change - { type, table, record, old_record } as Supabase sends it
+     * @returns {Promise<boolean>} false if the table is not one the listener follows
+     */
+    async handleDatabaseWebhook({ type, table, record, old_record: oldRecord }) {
+        const payload = { eventType: type, new: record || {}, old: oldRecord || {} };
+
+        switch (table) {
+            case 'messages':
+                await this.handleMessageChange(payload);
+                return true;
+            case 'message_reactions':
+                if (type === 'INSERT') await this.handleReactionAdded(payload);
+                return true;
+            case 'channel_members':
+                await this.handleMembershipChange(payload);
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    async handleMembershipChange({ eventType, new: row, old }) {
+        if (eventType === 'INSERT' && row?.channel_id) {
+            await this.webhookService.dispatch(row.channel_id, 'member.joined', {
+                member: { user_id: row.user_id, role: row.role, invited_by: row.invited_by ?? null }
+            });
+        } else if (eventType === 'DELETE' && old?.channel_id) {
+            await this.webhookService.dispatch(old.channel_id, 'member.left', {
+                member: { user_id: old.user_id }
+            });
+        }
+    }
+}
+
+export { WebhookListenerService };
+export default WebhookListenerService;
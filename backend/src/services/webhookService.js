@@ -0,0 +1,513 @@
+/**
+ * @file webhookService.js
+ * @description Outgoing webhooks. Channel owners and admins register URLs that are
+ * told about events in the channel. Every event becomes a delivery: a JSON payload
+ * POSTed with an HMAC signature, retried with exponential backoff until the
+ * endpoint answers with a 2xx status or the attempts run out. Deliveries are kept
+ * as a log admins can inspect.
+ *
+ * Core Functionality:
+ * - Webhook registration, update, removal and secret rotation
+ * - Event dispatch to subscribed webhooks
+ * - Signed delivery with retries
+ * - Delivery log
+ *
+ * Signatures:
+ * - X-ChatGenius-Timestamp carries the send time in seconds and
+ *   X-ChatGenius-Signature is "sha256=" followed by the hex HMAC-SHA256 of
+ *   "<timestamp>.<body>" keyed with the webhook secret; receivers should recompute
+ *   it and reject stale timestamps
+ *
+ * Errors:
+ * - Methods throw errors with a status (400 or 404) for requests that cannot be
+ *   served, so routes can pass them through
+ *
+ * Environment Variables:
+ * - WEBHOOK_ALLOW_PRIVATE_URLS: 'true' allows localhost and private network URLs
+ *   (for local development and tests)
+ *
+ * Dependencies:
+ * - @supabase/supabase-js
+ * - node-fetch
+ * - crypto
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY
+);
+
+export const WEBHOOK_EVENTS = [
+    'message.created',
+    'message.updated',
+    'message.deleted',
+    'reaction.added',
+    'member.joined',
+    'member.left'
+];
+
+export const MAX_DELIVERY_ATTEMPTS = 6;
+// Retries wait 1, 2, 4, 8 and 16 minutes
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_WEBHOOKS_PER_CHANNEL = 10;
+const MAX_DESCRIPTION_LENGTH = 200;
+const DELIVERY_LOG_LIMIT = 50;
+const DUE_BATCH_SIZE = 50;
+// Response bodies kept in the log are cut to this length
+const MAX_LOGGED_ERROR_LENGTH = 500;
+
+const WEBHOOK_FIELDS = 'id, channel_id, created_by, url, events, description, is_active, created_at, updated_at';
+
+const webhookError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * Computes the signature header value for a payload
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Send time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex digest>"
+ */
+export const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+export const getRetryDelay = (attempts) => RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1);
+
+// Hosts that point into the server's own network. Names are not resolved, so this
+// catches mistakes and obvious probing rather than every possible route inside.
+// Push subscription endpoints are checked the same way (see pushService).
+export const isPrivateHost = (hostname) => {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local')) {
+        return true;
+    }
+    if (host.includes(':')) {
+        // Unspecified, loopback, unique local, link-local and IPv4-mapped addresses
+        return host === '::' || host === '::1' || /^f[cd]/.test(host) || host.startsWith('fe80:') || host.startsWith('::ffff:');
+    }
+
+    const octets = host.split('.').map(Number);
+    if (octets.length !== 4 || octets.some(octet => !Number.isInteger(octet))) return false;
+
+    // "This" network, private ranges, carrier-grade NAT, loopback and link-local
+    const [a, b] = octets;
+    return a === 0 || a === 10 || (a === 100 && b >= 64 && b <= 127) || a === 127 ||
+        (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+};
+
+/**
+ * Validates a URL events are POSTed to; also used for bot command URLs
+ * @param {string} value - URL
+ * @returns {{ error?: string, url?: string }}
+ */
+export const validateWebhookUrl = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return { error: 'url must be a valid URL' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return { error: 'url must use http or https' };
+    }
+    if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS !== 'true' && isPrivateHost(url.hostname)) {
+        return { error: 'url must not point to a private network address' };
+    }
+    return { url: url.toString() };
+};
+
+/**
+ * Validates webhook options
+ * @param {Object} input - Request body
+ * @param {string} input.url - http(s) URL deliveries are POSTed to
+ * @param {string[]} input.events - Events from WEBHOOK_EVENTS (default all)
+ * @param {string|null} input.description - What the webhook is for
+ * @param {boolean} input.is_active - Whether deliveries are made (updates only)
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate the fields present (for updates)
+ * @returns {{ error?: string, options?: Object }}
+ */
+export const validateWebhookOptions = (input = {}, { partial = false } = {}) => {
+    const options = {};
+
+    if (!partial || input.url !== undefined) {
+        const { error, url } = validateWebhookUrl(input.url);
+        if (error) return { error };
+        options.url = url;
+    }
+
+    if (input.events !== undefined || !partial) {
+        const events = input.events === undefined ? WEBHOOK_EVENTS : input.events;
+        if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+            return { error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}` };
+        }
+        options.events = [...new Set(events)];
+    }
+
+    if (input.description !== undefined) {
+        if (input.description !== null && (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION_LENGTH)) {
+            return { error: `description must be null or a string of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+        }
+        options.description = input.description;
+    }
+
+    if (partial && input.is_active !== undefined) {
+        if (typeof input.is_active !== 'boolean') {
+            return { error: 'is_active must be a boolean' };
+        }
+        options.is_active = input.is_active;
+    }
+
+    return { options };
+};
+
+class WebhookService {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.supabase - Supabase client
+     * @param {Function} options.fetch - fetch implementation used for deliveries
+     */
+    constructor(options = {}) {
+        this.supabase = options.supabase || supabase;
+        this.fetch = options.fetch || fetch;
+    }
+
+    async getWebhook(channelId, webhookId, fields = WEBHOOK_FIELDS) {
+        const { data, error } = await this.supabase
+            .from('channel_webhooks')
+            .select(fields)
+            .eq('id', webhookId)
+            .eq('channel_id', channelId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) {
+            throw webhookError(404, 'Webhook not found');
+        }
+        return data;
+    }
+
+    /**
+     * Registers a webhook. The secret is only returned here and by rotateSecret.
+     * @param {string} channelId - Channel ID
+     * @param {string} userId - User registering the webhook
+     * @param {Object} options - Validated options (see validateWebhookOptions)
+     * @returns {Promise<Object>} The webhook plus its secret
+     */
+    async createWebhook(channelId, userId, { url, events, description = null }) {
+        const { data: existing, error: countError } = await this.supabase
+            .from('channel_webhooks')
+            .select('id')
+            .eq('channel_id', channelId);
+
+        if (countError) throw countError;
+        if (existing.length >= MAX_WEBHOOKS_PER_CHANNEL) {
+            throw webhookError(400, `A channel can have at most ${MAX_WEBHOOKS_PER_CHANNEL} webhooks`);
+        }
+
+        const secret = generateSecret();
+        const { data, error } = await this.supabase
+            .from('channel_webhooks')
+            .insert({
+                channel_id: channelId,
+                created_by: userId,
+                url,
+                events,
+                description,
+                secret
+            })
+            .select(WEBHOOK_FIELDS)
+            .single();
+
+        if (error) throw error;
+        return { ...data, secret };
+    }
+
+    /**
+     * Lists a channel's webhooks without their secrets
+     * @param {string} channelId - Channel ID
+     * @returns {Promise<Object[]>}
+     */
+    async listWebhooks(channelId) {
+        const { data, error } = await this.supabase
+            .from('channel_webhooks')
+            .select(WEBHOOK_FIELDS)
+            .eq('channel_id', channelId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Changes a webhook's URL, events, description or whether it is active
+     * @param {string} channelId - Channel ID
+     * @param {string} webhookId - Webhook ID
+     * @param {Object} changes - Validated partial options
+     * @returns {Promise<Object>}
+     */
+    async updateWebhook(channelId, webhookId, changes) {
+        await this.getWebhook(channelId, webhookId, 'id');
+
+        const { data, error } = await this.supabase
+            .from('channel_webhooks')
+            .update({ ...changes, updated_at: new Date().toISOString() })
+            .eq('id', webhookId)
+            .select(WEBHOOK_FIELDS)
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Removes a webhook and its delivery log
+     * @param {string} channelId - Channel ID
+     * @param {string} webhookId - Webhook ID
+     */
+    async deleteWebhook(channelId, webhookId) {
+        await this.getWebhook(channelId, webhookId, 'id');
+
+        const { error } = await this.supabase
+            .from('channel_webhooks')
+            .delete()
+            .eq('id', webhookId);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Replaces a webhook's secret; deliveries are signed with the new one from now on
+     * @param {string} channelId - Channel ID
+     * @param {string} webhookId - Webhook ID
+     * @returns {Promise<Object>} The webhook plus its new secret
+     */
+    async rotateSecret(channelId, webhookId) {
+        await this.getWebhook(channelId, webhookId, 'id');
+
+        const secret = generateSecret();
+        const { data, error } = await this.supabase
+            .from('channel_webhooks')
+            .update({ secret, updated_at: new Date().toISOString() })
+            .eq('id', webhookId)
+            .select(WEBHOOK_FIELDS)
+            .single();
+
+        if (error) throw error;
+        return { ...data, secret };
+    }
+
+    /**
+     * Lists a webhook's most recent deliveries
+     * @param {string} channelId - Channel ID
+     * @param {string} webhookId - Webhook ID
+     * @returns {Promise<Object[]>}
+     */
+    async listDeliveries(channelId, webhookId) {
+        await this.getWebhook(channelId, webhookId, 'id');
+
+        const { data, error } = await this.supabase
+            .from('webhook_deliveries')
+            .select('id, webhook_id, event, payload, status, attempts, next_attempt_at, last_status_code, last_error, delivered_at, created_at')
+            .eq('webhook_id', webhookId)
+            .order('created_at', { ascending: false })
+            .limit(DELIVERY_LOG_LIMIT);
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Queues an event for every active webhook of the channel that subscribed to
+     * it and makes the first delivery attempts
+     * @param {string} channelId - Channel the event happened in
+     * @param {string} event - One of WEBHOOK_EVENTS
+     * @param {Object} data - Event details
+     * @returns {Promise<number>} Number of deliveries queued
+     */
+    async dispatch(channelId, event, data) {
+        const { data: webhooks, error } = await this.supabase
+            .from('channel_webhooks')
+            .select('id, url, events, secret, is_active')
+            .eq('channel_id', channelId)
+            .eq('is_active', true);
+
+        if (error) throw error;
+
+        const subscribed = webhooks.filter(webhook => webhook.events.includes(event));
+        const createdAt = new Date().toISOString();
+
+        const deliveries = [];
+        for (const webhook of subscribed) {
+            const id = crypto.randomUUID();
+            const payload = { id, event, created_at: createdAt, channel_id: channelId, data };
+
+            const { data: delivery, error: insertError } = await this.supabase
+                .from('webhook_deliveries')
+                .insert({
+                    id,
+                    webhook_id: webhook.id,
+                    event,
+                    payload,
+                    status: 'pending',
+                    attempts: 0,
+                    next_attempt_at: createdAt
+                })
+                .select('id, webhook_id, event, payload, status, attempts')
+                .single();
+
+            if (insertError) {
+                console.error(`Error queueing ${event} delivery for webhook ${webhook.id}:`, insertError);
+                continue;
+            }
+            deliveries.push([delivery, webhook]);
+        }
+
+        await Promise.all(deliveries.map(([delivery, webhook]) =>
+            this.attemptDelivery(delivery, webhook).catch(deliveryError =>
+                console.error(`Error delivering ${delivery.id}:`, deliveryError))));
+
+        return deliveries.length;
+    }
+
+    /**
+     * Makes one attempt at a pending delivery and records the outcome
+     * @param {Object} delivery - webhook_deliveries row
+     * @param {Object} webhook - channel_webhooks row including url and secret
+     * @returns {Promise<boolean>} Whether the endpoint accepted the delivery
+     */
+    async attemptDelivery(delivery, webhook) {
+        const attempts = delivery.attempts + 1;
+
+        // Claim the attempt so two workers cannot make it at the same time; if this
+        // worker dies, the delivery becomes due again once the claim runs out
+        const { data: claimed, error: claimError } = await this.supabase
+            .from('webhook_deliveries')
+            .update({ attempts, next_attempt_at: new Date(Date.now() + 2 * DELIVERY_TIMEOUT_MS).toISOString() })
+            .eq('id', delivery.id)
+            .eq('status', 'pending')
+            .eq('attempts', delivery.attempts)
+            .select('id')
+            .maybeSingle();
+
+        if (claimError) throw claimError;
+        if (!claimed) return false;
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        let statusCode = null;
+        let failure = null;
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+        try {
+            const response = await this.fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'ChatGenius-Webhooks/1.0',
+                    'X-ChatGenius-Event': delivery.event,
+                    'X-ChatGenius-Delivery': delivery.id,
+                    'X-ChatGenius-Timestamp': String(timestamp),
+                    'X-ChatGenius-Signature': signPayload(webhook.secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: controller.signal
+            });
+            statusCode = response.status;
+            if (!response.ok) {
+                const text = await response.text().catch(() => '');
+                failure = `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_LOGGED_ERROR_LENGTH)}` : ''}`;
+            }
+        } catch (error) {
+            failure = error.name === 'AbortError' ? 'Timed out' : error.message;
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        const now = Date.now();
+        let outcome;
+        if (!failure) {
+            outcome = { status: 'succeeded', delivered_at: new Date(now).toISOString(), next_attempt_at: null };
+        } else if (attempts >= MAX_DELIVERY_ATTEMPTS) {
+            outcome = { status: 'failed', next_attempt_at: null };
+        } else {
+            outcome = { next_attempt_at: new Date(now + getRetryDelay(attempts)).toISOString() };
+        }
+
+        const { error: recordError } = await this.supabase
+            .from('webhook_deliveries')
+            .update({ ...outcome, last_status_code: statusCode, last_error: failure })
+            .eq('id', delivery.id);
+
+        if (recordError) throw recordError;
+        return !failure;
+    }
+
+    /**
+     * Retries the deliveries whose next attempt is due
+     * @returns {Promise<number>} Number of deliveries attempted
+     */
+    async processDueDeliveries() {
+        const { data: due, error } = await this.supabase
+            .from('webhook_deliveries')
+            .select('id, webhook_id, event, payload, status, attempts')
+            .eq('status', 'pending')
+            .lte('next_attempt_at', new Date().toISOString())
+            .order('next_attempt_at', { ascending: true })
+            .limit(DUE_BATCH_SIZE);
+
+        if (error) throw error;
+        if (due.length === 0) return 0;
+
+        const { data: webhooks, error: webhooksError } = await this.supabase
+            .from('channel_webhooks')
+            .select('id, url, secret, is_active')
+            .in('id', [...new Set(due.map(delivery => delivery.webhook_id))]);
+
+        if (webhooksError) throw webhooksError;
+        const webhooksById = new Map(webhooks.map(webhook => [webhook.id, webhook]));
+
+        for (const delivery of due) {
+            const webhook = webhooksById.get(delivery.webhook_id);
+            if (!webhook?.is_active) {
+                const { error: skipError } = await this.supabase
+                    .from('webhook_deliveries')
+                    .update({ status: 'failed', next_attempt_at: null, last_error: 'Webhook was disabled' })
+                    .eq('id', delivery.id);
+                if (skipError) console.error(`Error closing delivery ${delivery.id}:`, skipError);
+                continue;
+            }
+
+            try {
+                await this.attemptDelivery(delivery, webhook);
+            } catch (deliveryError) {
+                console.error(`Error retrying delivery ${delivery.id}:`, deliveryError);
+            }
+        }
+
+        return due.length;
+    }
+}
+
+export { WebhookService };
+export default new WebhookService();
@@ -0,0 +1,97 @@
+/**
+ * @file account.test.js
+ * @description Offline test suite for email verification and password reset:
+ * emailed links, single-use and expiring tokens, token purposes, and signing the
+ * user out after a reset. Runs against an in-memory stand-in for Supabase and a
+ * recording mailer, and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'offline-test-secret';
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import { assert, expectStatus } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+// Main test execution
+(async () => {
+    try {
+        const { AccountService, TOKEN_PURPOSES } = await import('../services/accountService.js');
+
+        const tables = {
+            users: [{ id: 'user-1', email: 'ada@example.com', username: 'ada', password_hash: 'old', email_verified_at: null }],
+            account_tokens: []
+        };
+        const sent = [];
+        const revoked = [];
+        const service = new AccountService({
+            supabase: createFakeSupabase(tables, { defaults: { account_tokens: { used_at: null } } }),
+            mailer: { send: async (message) => { sent.push(message); return { id: String(sent.length) }; } },
+            tokenService: { revokeAllSessions: async (userId) => { revoked.push(userId); } },
+            frontendUrl: 'https://chat.example.com'
+        });
+        const ada = tables.users[0];
+        const tokenFrom = (message) => new URL(/https:\/\/\S+/.exec(message.text)[0]).searchParams.get('token');
+
+        console.log('\n=== Starting Account Tests ===\n');
+
+        // Step 1: Email verification
+        console.log('\n--- Testing Email Verification ---');
+        await service.sendVerificationEmail(ada);
+        assert(sent.length === 1 && sent[0].to === 'ada@example.com', 'A verification email should be sent to the user');
+        assert(sent[0].text.includes('https://chat.example.com/verify-email?token='), 'The email should link to the verification page');
+        const verifyToken = tokenFrom(sent[0]);
+        assert(await service.confirmEmail(verifyToken) === 'user-1' && ada.email_verified_at, 'Confirming should verify the user');
+        await expectStatus(service.confirmEmail(verifyToken), 400, 'Verification links should work once', /already been used/);
+        assert(await service.resendVerification('user-1') === false && sent.length === 1, 'Verified users should not be sent another link');
+        console.log('✓ Verification links confirm the address once');
+
+        // Step 2: Password reset requests
+        console.log('\n--- Testing Reset Requests ---');
+        await service.requestPasswordReset('nobody@example.com');
+        assert(sent.length === 1, 'Unknown addresses should not be emailed');
+        await service.requestPasswordReset('ada@example.com');
+        await service.requestPasswordReset('ada@example.com');
+        assert(sent.length === 3 && sent[2].text.includes('/reset-password?token='), 'Reset emails should link to the reset page');
+        const [firstReset, secondReset] = [tokenFrom(sent[1]), tokenFrom(sent[2])];
+        const stored = tables.account_tokens.find(row => row.id === jwt.decode(secondReset).jti);
+        assert(stored.purpose === TOKEN_PURPOSES.RESET_PASSWORD && new Date(stored.expires_at) - Date.now() <= 60 * 60 * 1000,
+            'Reset tokens should be recorded and expire within an hour');
+        console.log('✓ Reset links are only sent to known addresses');
+
+        // Step 3: Resetting the password
+        console.log('\n--- Testing Password Reset ---');
+        await expectStatus(service.resetPassword(secondReset, 'short'), 400, 'Short passwords should be rejected', /at least 8/);
+        await expectStatus(service.resetPassword(verifyToken, 'correct horse'), 400, 'Tokens should only work for their purpose', /invalid/);
+        await service.resetPassword(secondReset, 'correct horse');
+        assert(await bcrypt.compare('correct horse', ada.password_hash), 'The new password should be stored hashed');
+        assert(revoked.join(',') === 'user-1', 'Resetting should sign the user out everywhere');
+        await expectStatus(service.resetPassword(secondReset, 'another password'), 400, 'Reset links should work once', /already been used/);
+        await expectStatus(service.resetPassword(firstReset, 'another password'), 400, 'Older reset links should stop working', /already been used/);
+        console.log('✓ Reset links are single use');
+
+        // Step 4: Expired and forged tokens
+        console.log('\n--- Testing Expired Tokens ---');
+        const expiredId = crypto.randomUUID();
+        tables.account_tokens.push({ id: expiredId, user_id: 'user-1', purpose: TOKEN_PURPOSES.RESET_PASSWORD, used_at: null });
+        const expired = jwt.sign({ sub: 'user-1', purpose: TOKEN_PURPOSES.RESET_PASSWORD, exp: Math.floor(Date.now() / 1000) - 60 },
+            process.env.JWT_SECRET, { jwtid: expiredId });
+        await expectStatus(service.resetPassword(expired, 'correct horse'), 400, 'Expired links should be refused', /expired/);
+        const forged = jwt.sign({ sub: 'user-1', purpose: TOKEN_PURPOSES.RESET_PASSWORD }, 'wrong-secret', { jwtid: expiredId });
+        await expectStatus(service.resetPassword(forged, 'correct horse'), 400, 'Links signed with another key should be refused', /invalid/);
+        const unrecorded = jwt.sign({ sub: 'user-1', purpose: TOKEN_PURPOSES.RESET_PASSWORD }, process.env.JWT_SECRET, { jwtid: crypto.randomUUID() });
+        await expectStatus(service.resetPassword(unrecorded, 'correct horse'), 400, 'Tokens that were never issued should be refused', /already been used/);
+        assert(revoked.length === 1, 'Refused links should not sign anyone out');
+        console.log('✓ Expired and forged links are refused');
+
+        console.log('\n=== All Account Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
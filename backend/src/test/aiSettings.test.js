@@ -0,0 +1,90 @@
+/**
+ * @file aiSettings.test.js
+ * @description Offline test suite for per-channel AI settings: validating updates,
+ * merging stored settings over the defaults, and the settings cache. Runs against
+ * an in-memory stand-in for Supabase and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+
+import { assert } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+// Main test execution
+(async () => {
+    try {
+        const {
+            AISettingsService,
+            validateAISettings,
+            DEFAULT_AI_SETTINGS
+        } = await import('../services/aiSettingsService.js');
+
+        const tables = {
+            channel_ai_settings: [
+                {
+                    channel_id: 'tuned', enabled: false, trigger: '@bot', system_prompt: null, model: 'gpt-4o',
+                    temperature: null, max_tokens: null, use_rag: null, rag_scope: 'all',
+                    updated_by: 'ada', updated_at: '2024-01-01T00:00:00.000Z'
+                }
+            ]
+        };
+        const service = new AISettingsService({ supabase: createFakeSupabase(tables) });
+        const storedRow = (channelId) => tables.channel_ai_settings.find(row => row.channel_id === channelId);
+
+        console.log('\n=== Starting AI Settings Tests ===\n');
+
+        // Step 1: Validation
+        console.log('\n--- Testing Validation ---');
+        const { settings: partial } = validateAISettings({ enabled: false, unknown: 'ignored' });
+        assert(JSON.stringify(partial) === '{"enabled":false}', 'Only provided, known fields should be kept');
+        assert(validateAISettings({ trigger: '  @Helper ' }).settings.trigger === '@helper', 'Triggers should be trimmed and lowercased');
+        assert(validateAISettings({ trigger: 'two words' }).error, 'Triggers should be a single word');
+        assert(validateAISettings({ trigger: 'x'.repeat(33) }).error, 'Triggers should be at most 32 characters');
+        assert(validateAISettings({ system_prompt: '   ' }).settings.system_prompt === null, 'Blank system prompts should reset to the default');
+        assert(validateAISettings({ system_prompt: 'x'.repeat(4001) }).error, 'System prompts should be at most 4000 characters');
+        assert(validateAISettings({ system_prompt: 42 }).error, 'System prompts should be strings');
+        assert(validateAISettings({ model: 'gpt-2' }).error, 'Unknown models should be rejected');
+        assert(validateAISettings({ temperature: 2.5 }).error && validateAISettings({ temperature: '1' }).error, 'Temperatures should be numbers between 0 and 2');
+        assert(validateAISettings({ temperature: 0 }).settings.temperature === 0, 'A temperature of 0 should be allowed');
+        assert(validateAISettings({ max_tokens: 1.5 }).error && validateAISettings({ max_tokens: 4001 }).error, 'max_tokens should be an integer up to 4000');
+        assert(validateAISettings({ use_rag: 'yes' }).error, 'use_rag should be a boolean');
+        assert(validateAISettings({ rag_scope: 'everything' }).error, 'Unknown RAG scopes should be rejected');
+        console.log('✓ Updates are validated field by field');
+
+        // Step 2: Merging over the defaults
+        console.log('\n--- Testing Defaults ---');
+        const fresh = await service.getChannelSettings('fresh');
+        assert(Object.keys(DEFAULT_AI_SETTINGS).every(field => fresh[field] === DEFAULT_AI_SETTINGS[field]), 'Channels without settings should get the defaults');
+        assert(fresh.channel_id === 'fresh' && fresh.updated_by === null && fresh.updated_at === null, 'Default settings should not claim an author');
+
+        const tuned = await service.getChannelSettings('tuned');
+        assert(tuned.enabled === false && tuned.trigger === '@bot' && tuned.model === 'gpt-4o' && tuned.rag_scope === 'all', 'Stored settings should win over the defaults');
+        assert(tuned.temperature === DEFAULT_AI_SETTINGS.temperature && tuned.max_tokens === DEFAULT_AI_SETTINGS.max_tokens && tuned.use_rag === true,
+            'Stored nulls should fall back to the defaults');
+        assert(tuned.updated_by === 'ada', 'Settings should say who changed them');
+        console.log('✓ Stored settings are merged over the defaults');
+
+        // Step 3: Cache
+        console.log('\n--- Testing Cache ---');
+        storedRow('tuned').trigger = '@changed';
+        assert((await service.getChannelSettings('tuned')).trigger === '@bot', 'Settings should be cached between reads');
+
+        const updated = await service.updateChannelSettings('tuned', validateAISettings({ temperature: 0.2 }).settings, 'bob');
+        assert(updated.temperature === 0.2 && updated.updated_by === 'bob', 'Updates should return the new settings');
+        assert(updated.enabled === false && updated.model === 'gpt-4o', 'Updates should keep the fields they do not change');
+        assert((await service.getChannelSettings('tuned')).temperature === 0.2, 'Updates should replace the cached settings');
+
+        await service.updateChannelSettings('fresh', { enabled: false }, 'ada');
+        assert(storedRow('fresh').enabled === false && storedRow('fresh').trigger === DEFAULT_AI_SETTINGS.trigger, 'First updates should store every field');
+        assert((await service.getChannelSettings('fresh')).enabled === false, 'The cached defaults should be dropped after an update');
+        console.log('✓ Updates invalidate the cache');
+
+        console.log('\n=== All AI Settings Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,145 @@
+/**
+ * @file apiToken.test.js
+ * @description Offline test suite for personal API tokens and bot accounts: token
+ * options, scope mapping, creation, revocation and expiry, and API tokens in
+ * authenticateJWT. Runs against an in-memory stand-in for Supabase and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'offline-test-secret';
+
+import { assert, expectStatus } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+// Fake Express response recording what the middleware sent
+const createResponse = () => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        }
+    };
+    return res;
+};
+
+// Main test execution
+(async () => {
+    try {
+        const {
+            ApiTokenService,
+            default: apiTokenService,
+            validateTokenOptions,
+            getRequiredScope,
+            API_TOKEN_PREFIX
+        } = await import('../services/apiTokenService.js');
+        const { authenticateJWT } = await import('../middleware/auth.js');
+
+        const tables = {
+            users: [{ id: 'user-1', email: 'ada@example.com', username: 'ada', is_bot: false }]
+        };
+        const service = new ApiTokenService({ supabase: createFakeSupabase(tables) });
+
+        console.log('\n=== Starting API Token Tests ===\n');
+
+        // Step 1: Options
+        console.log('\n--- Testing Token Options ---');
+        const valid = validateTokenOptions({ name: ' importer ', scopes: ['rag:admin', 'rag:admin'] });
+        assert(valid.options.name === 'importer' && valid.options.scopes.length === 1, 'Names should be trimmed and scopes deduplicated');
+        assert(valid.options.expiresInDays === 90, 'Tokens should expire after 90 days by default');
+        assert(validateTokenOptions({ name: 'x', scopes: ['rag:admin'], expiresInDays: null }).options.expiresInDays === null, 'Tokens may be created without expiry');
+        assert(validateTokenOptions({ name: 'x', scopes: [] }).error, 'At least one scope should be required');
+        assert(validateTokenOptions({ name: 'x', scopes: ['everything'] }).error, 'Unknown scopes should be rejected');
+        assert(validateTokenOptions({ name: '', scopes: ['rag:read'] }).error, 'A name should be required');
+        assert(validateTokenOptions({ name: 'x', scopes: ['rag:read'], expiresInDays: 1000 }).error, 'Lifetimes should be capped');
+        console.log('✓ Token options are validated');
+
+        // Step 2: Scope mapping
+        console.log('\n--- Testing Scope Mapping ---');
+        assert(getRequiredScope('GET', '/api/messages', '/channel/c1') === 'messages:read', 'Reading messages should need messages:read');
+        assert(getRequiredScope('POST', '/api/messages', '/') === 'messages:write', 'Posting messages should need messages:write');
+        assert(getRequiredScope('POST', '/api/reactions', '/m1') === 'messages:write', 'Reactions should count as message writes');
+        assert(getRequiredScope('POST', '/api/rag', '/ask') === 'rag:read', 'RAG questions should need rag:read');
+        assert(getRequiredScope('POST', '/api/rag', '/documents/import') === 'rag:admin', 'Importing documents should need rag:admin');
+        assert(getRequiredScope('GET', '/api/rag', '/vectorstore/status') === 'rag:admin', 'Vector store routes should need rag:admin');
+        assert(getRequiredScope('POST', '/api/tokens', '/') === null, 'Token management should not accept API tokens');
+        assert(getRequiredScope('POST', '/api/auth', '/logout') === null, 'Account routes should not accept API tokens');
+        console.log('✓ Requests map to the scope they need');
+
+        // Step 3: Bots and tokens
+        console.log('\n--- Testing Bots and Tokens ---');
+        const bot = await service.createBot('user-1', { username: 'import-bot' });
+        assert(bot.is_bot && bot.bot_owner_id === 'user-1', 'Bots should be owned by their creator');
+        await expectStatus(service.createBot('user-1', { username: 'import-bot' }), 400, 'Bot usernames should be unique');
+        await expectStatus(service.createBot('user-1', { username: 'no spaces' }), 400, 'Bot usernames should be validated');
+
+        const created = await service.createToken('user-1', validateTokenOptions({ name: 'importer', scopes: ['rag:admin'], botId: bot.id }).options);
+        assert(created.token.startsWith(API_TOKEN_PREFIX) && created.user_id === bot.id, 'Tokens should act as the chosen bot');
+        assert(!tables.api_tokens.some(row => row.token_hash === created.token), 'Tokens should only be stored hashed');
+        assert(!(await service.listTokens('user-1')).some(row => row.token || row.token_hash), 'Listing should not reveal tokens');
+        await expectStatus(
+            service.createToken('user-2', validateTokenOptions({ name: 'stolen', scopes: ['rag:admin'], botId: bot.id }).options),
+            404,
+            'Only the owner should create tokens for a bot'
+        );
+
+        const resolved = await service.authenticate(created.token);
+        assert(resolved.user.id === bot.id && resolved.user.is_bot, 'Tokens should resolve to their account');
+        await new Promise(resolve => setImmediate(resolve));
+        assert(tables.api_tokens[0].last_used_at, 'Using a token should record when it was last used');
+        console.log('✓ Bots get tokens that act as them');
+
+        // Step 4: Revocation and expiry
+        console.log('\n--- Testing Revocation and Expiry ---');
+        await expectStatus(service.authenticate(`${API_TOKEN_PREFIX}unknown`), 401, 'Unknown tokens should be rejected');
+        await expectStatus(service.revokeToken('user-2', created.id), 404, 'Only the creator should revoke a token');
+        await service.revokeToken('user-1', created.id);
+        await expectStatus(service.authenticate(created.token), 401, 'Revoked tokens should be rejected');
+
+        const expiring = await service.createToken('user-1', validateTokenOptions({ name: 'short', scopes: ['messages:read'], expiresInDays: 1 }).options);
+        tables.api_tokens.find(row => row.id === expiring.id).expires_at = new Date(Date.now() - 1000).toISOString();
+        await expectStatus(service.authenticate(expiring.token), 401, 'Expired tokens should be rejected');
+        console.log('✓ Revoked and expired tokens stop working');
+
+        // Step 5: Middleware
+        console.log('\n--- Testing authenticateJWT with API Tokens ---');
+        const runAuth = async (token, method, baseUrl, path) => {
+            const req = { headers: { authorization: `Bearer ${token}` }, method, baseUrl, path };
+            const res = createResponse();
+            let nextCalled = false;
+            await authenticateJWT(req, res, () => { nextCalled = true; });
+            return { req, res, nextCalled };
+        };
+
+        apiTokenService.supabase = createFakeSupabase(tables);
+        const reader = await apiTokenService.createToken('user-1', validateTokenOptions({ name: 'reader', scopes: ['messages:read'] }).options);
+
+        const accepted = await runAuth(reader.token, 'GET', '/api/messages', '/channel/c1');
+        assert(accepted.nextCalled && accepted.req.user.id === 'user-1', 'Tokens should be accepted within their scopes');
+        assert(accepted.req.user.tokenId === reader.id && accepted.req.user.scopes.includes('messages:read'), 'Requests should know which token was used');
+
+        const outOfScope = await runAuth(reader.token, 'POST', '/api/messages', '/');
+        assert(!outOfScope.nextCalled && outOfScope.res.statusCode === 403, 'Tokens should be rejected outside their scopes');
+
+        const management = await runAuth(reader.token, 'GET', '/api/tokens', '/');
+        assert(!management.nextCalled && management.res.statusCode === 403, 'Tokens should not manage tokens');
+
+        await apiTokenService.revokeToken('user-1', reader.id);
+        const revoked = await runAuth(reader.token, 'GET', '/api/messages', '/channel/c1');
+        assert(!revoked.nextCalled && revoked.res.statusCode === 401, 'Revoked tokens should be rejected at once');
+        console.log('✓ authenticateJWT accepts API tokens within their scopes');
+
+        console.log('\n=== All API Token Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
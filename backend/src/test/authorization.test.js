@@ -0,0 +1,181 @@
+/**
+ * @file authorization.test.js
+ * @description Offline test suite for channel and DM authorization: the permission
+ * rules in the authorization service and the responses of the authorize middleware.
+ * Runs against an in-memory stand-in for Supabase and needs no API keys.
+ */
+
+// The service creates its Supabase client on import, so configure it first
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+
+import { assert } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+// Fake Express response recording what the middleware sent
+const createResponse = () => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        }
+    };
+    return res;
+};
+
+const runMiddleware = async (middleware, req) => {
+    const res = createResponse();
+    let nextCalled = false;
+    await middleware(req, res, () => { nextCalled = true; });
+    return { res, nextCalled };
+};
+
+// Main test execution
+(async () => {
+    try {
+        const { AuthorizationService, PERMISSIONS, canAssignRole } = await import('../services/authorizationService.js');
+        const {
+            authorize,
+            channelFromParams,
+            conversationFromBody,
+            messageFromParams,
+            requireSystemAdmin
+        } = await import('../middleware/authorize.js');
+
+        const service = new AuthorizationService({
+            supabase: createFakeSupabase({
+                channels: [
+                    { id: 'general', is_private: false },
+                    { id: 'secret', is_private: true }
+                ],
+                channel_members: [
+                    { channel_id: 'general', user_id: 'owner', role: 'owner' },
+                    { channel_id: 'general', user_id: 'member', role: 'member' },
+                    { channel_id: 'general', user_id: 'mod', role: 'moderator' },
+                    { channel_id: 'general', user_id: 'guest', role: 'guest' },
+                    { channel_id: 'secret', user_id: 'owner', role: 'owner' },
+                    { channel_id: 'secret', user_id: 'member', role: 'member' }
+                ],
+                direct_message_members: [
+                    { dm_id: 'dm-1', user_id: 'member' },
+                    { dm_id: 'dm-1', user_id: 'owner' }
+                ],
+                users: [
+                    { id: 'owner', is_admin: true },
+                    { id: 'member', is_admin: false }
+                ],
+                messages: [
+                    { id: 'msg-secret', channel_id: 'secret', dm_id: null, sender_id: 'member' },
+                    { id: 'msg-general', channel_id: 'general', dm_id: null, sender_id: 'owner' }
+                ]
+            })
+        });
+
+        console.log('\n=== Starting Authorization Tests ===\n');
+
+        // Step 1: Public channels
+        console.log('\n--- Testing Public Channels ---');
+        assert(await service.can('outsider', PERMISSIONS.READ, { channelId: 'general' }), 'Anyone should be able to read a public channel');
+        assert(!await service.can('outsider', PERMISSIONS.POST, { channelId: 'general' }), 'Non-members should not post in a public channel');
+        assert(await service.can('member', PERMISSIONS.POST, { channelId: 'general' }), 'Members should post in a public channel');
+        assert(!await service.can('member', PERMISSIONS.MODERATE, { channelId: 'general' }), 'Plain members should not moderate');
+        assert(!await service.can('member', PERMISSIONS.ADMIN, { channelId: 'general' }), 'Plain members should not administer');
+        assert(await service.can('owner', PERMISSIONS.MODERATE, { channelId: 'general' }), 'Owners should moderate');
+        assert(await service.can('owner', PERMISSIONS.ADMIN, { channelId: 'general' }), 'Owners should administer');
+        console.log('✓ Public channels are readable by everyone and writable by members');
+
+        // Step 2: Private channels
+        console.log('\n--- Testing Private Channels ---');
+        const outsiderRead = await service.check('outsider', PERMISSIONS.READ, { channelId: 'secret' });
+        assert(!outsiderRead.allowed && outsiderRead.status === 403, 'Non-members should get 403 reading a private channel');
+        assert(!await service.can('outsider', PERMISSIONS.POST, { channelId: 'secret' }), 'Non-members should not post in a private channel');
+        const memberRead = await service.check('member', PERMISSIONS.READ, { channelId: 'secret' });
+        assert(memberRead.allowed && memberRead.role === 'member', 'Members should read a private channel and get their role');
+        assert(await service.can('member', PERMISSIONS.POST, { channelId: 'secret' }), 'Members should post in a private channel');
+        const missing = await service.check('member', PERMISSIONS.READ, { channelId: 'nope' });
+        assert(!missing.allowed && missing.status === 404, 'Unknown channels should be reported as 404');
+        console.log('✓ Private channels are limited to members');
+
+        // Step 3: Roles
+        console.log('\n--- Testing Channel Roles ---');
+        assert(await service.can('guest', PERMISSIONS.READ, { channelId: 'general' }), 'Guests should read');
+        assert(!await service.can('guest', PERMISSIONS.POST, { channelId: 'general' }), 'Guests should be read-only');
+        assert(await service.can('mod', PERMISSIONS.MODERATE, { channelId: 'general' }), 'Moderators should moderate');
+        assert(!await service.can('mod', PERMISSIONS.ADMIN, { channelId: 'general' }), 'Moderators should not administer');
+        assert(canAssignRole('owner', 'member', 'admin'), 'Owners should appoint admins');
+        assert(canAssignRole('admin', 'member', 'moderator'), 'Admins should appoint moderators');
+        assert(canAssignRole('admin', 'moderator', 'guest'), 'Admins should demote moderators');
+        assert(!canAssignRole('admin', 'member', 'admin'), 'Admins should not appoint other admins');
+        assert(!canAssignRole('admin', 'admin', 'member'), 'Admins should not demote other admins');
+        assert(!canAssignRole('owner', 'member', 'owner'), 'Ownership should not be assignable');
+        assert(!canAssignRole('moderator', 'member', 'guest'), 'Moderators should not change roles');
+        assert(!canAssignRole('owner', 'member', 'superuser'), 'Unknown roles should be rejected');
+        console.log('✓ Roles grant moderation and administration in order');
+
+        // Step 4: Direct messages
+        console.log('\n--- Testing Direct Messages ---');
+        assert(await service.can('member', PERMISSIONS.READ, { dmId: 'dm-1' }), 'DM members should read the DM');
+        assert(await service.can('member', PERMISSIONS.POST, { dmId: 'dm-1' }), 'DM members should post in the DM');
+        assert(!await service.can('member', PERMISSIONS.MODERATE, { dmId: 'dm-1' }), 'Nobody moderates a DM');
+        const dmOutsider = await service.check('outsider', PERMISSIONS.READ, { dmId: 'dm-1' });
+        assert(!dmOutsider.allowed && dmOutsider.status === 403, 'Non-members should get 403 reading a DM');
+        console.log('✓ DMs are limited to their members');
+
+        // Step 5: Middleware
+        console.log('\n--- Testing authorize Middleware ---');
+        const readChannel = authorize(PERMISSIONS.READ, channelFromParams(), service);
+
+        const denied = await runMiddleware(readChannel, { user: { id: 'outsider' }, params: { channelId: 'secret' } });
+        assert(!denied.nextCalled && denied.res.statusCode === 403, 'Middleware should answer 403 for a private channel');
+        assert(typeof denied.res.body?.message === 'string', '403 responses should carry a message');
+
+        const allowedReq = { user: { id: 'member' }, params: { channelId: 'secret' } };
+        const allowed = await runMiddleware(readChannel, allowedReq);
+        assert(allowed.nextCalled, 'Middleware should call next for members');
+        assert(allowedReq.access?.role === 'member' && allowedReq.access.channelId === 'secret', 'Middleware should expose the access it granted');
+
+        const postMessage = authorize(PERMISSIONS.POST, conversationFromBody(), service);
+        const noTarget = await runMiddleware(postMessage, { user: { id: 'member' }, body: {} });
+        assert(noTarget.res.statusCode === 400, 'A missing conversation should be a 400');
+        const bothTargets = await runMiddleware(postMessage, { user: { id: 'member' }, body: { channel_id: 'general', dm_id: 'dm-1' } });
+        assert(bothTargets.res.statusCode === 400, 'Naming both a channel and a DM should be a 400');
+        const postSecret = await runMiddleware(postMessage, { user: { id: 'outsider' }, body: { channel_id: 'secret' } });
+        assert(postSecret.res.statusCode === 403, 'Posting into a private channel as a non-member should be a 403');
+
+        const reactToMessage = authorize(PERMISSIONS.POST, messageFromParams(), service);
+        const hiddenMessage = await runMiddleware(reactToMessage, { user: { id: 'outsider' }, params: { messageId: 'msg-secret' } });
+        assert(hiddenMessage.res.statusCode === 403, 'Messages in private channels should inherit the channel rules');
+        const unknownMessage = await runMiddleware(reactToMessage, { user: { id: 'member' }, params: { messageId: 'missing' } });
+        assert(unknownMessage.res.statusCode === 404, 'Unknown messages should be a 404');
+        const messageReq = { user: { id: 'member' }, params: { messageId: 'msg-general' } };
+        const knownMessage = await runMiddleware(reactToMessage, messageReq);
+        assert(knownMessage.nextCalled && messageReq.access.message.id === 'msg-general', 'Resolved messages should be passed to the handler');
+        console.log('✓ Middleware answers 400/403/404 consistently');
+
+        // Step 6: System administrators
+        console.log('\n--- Testing System Administrators ---');
+        assert(await service.isSystemAdmin('owner'), 'Users flagged is_admin should be system administrators');
+        assert(!await service.isSystemAdmin('member'), 'Other users should not be system administrators');
+        assert(!await service.isSystemAdmin('unknown'), 'Unknown users should not be system administrators');
+
+        const manageIndex = requireSystemAdmin('manage the RAG index', service);
+        const adminCall = await runMiddleware(manageIndex, { user: { id: 'owner' } });
+        assert(adminCall.nextCalled, 'System administrators should pass the admin check');
+        const memberCall = await runMiddleware(manageIndex, { user: { id: 'member' } });
+        assert(!memberCall.nextCalled && memberCall.res.statusCode === 403, 'Other users should get 403 from the admin check');
+        assert(memberCall.res.body?.message === 'Not authorized to manage the RAG index', 'Admin refusals should carry a message like authorize');
+        console.log('✓ Only system administrators pass the admin check');
+
+        console.log('\n=== All Authorization Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,229 @@
+/**
+ * @file digest.test.js
+ * @description Offline test suite for email digests: settings, which digests are
+ * due, collecting unread DMs, mentions and channel summaries, rendering, and
+ * delivery through the file mail transport. Runs against an in-memory stand-in for
+ * Supabase and a stand-in summarizer, and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.VECTOR_STORE = 'local';
+process.env.EMBEDDING_PROVIDER = 'local';
+delete process.env.LOCAL_VECTOR_STORE_PATH;
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'offline-test-key';
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { assert, expectStatus } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Main test execution
+let mailDirectory;
+(async () => {
+    try {
+        const { DigestService } = await import('../services/digestService.js');
+        const { FileMailer } = await import('../services/mailers/index.js');
+        const { NotificationPreferenceService } = await import('../services/notificationPreferenceService.js');
+
+        const now = new Date('2024-03-10T09:00:00Z');
+        const ago = (hours) => new Date(now.getTime() - hours * HOUR_MS).toISOString();
+        const user = (id, extra = {}) => ({ id, username: id, email: `${id}@example.com`, email_verified_at: ago(1000), is_bot: false, ...extra });
+
+        const tables = {
+            users: [user('ada'), user('bob'), user('cy', { email_verified_at: null }), user('dee'), user('eve'), user('fay')],
+            user_settings: [
+                { user_id: 'ada', digest_frequency: 'daily', digest_include_summaries: true, digest_last_sent_at: ago(24) },
+                { user_id: 'bob', digest_frequency: 'weekly', digest_include_summaries: false, digest_last_sent_at: ago(48) },
+                { user_id: 'cy', digest_frequency: 'daily', digest_include_summaries: false, digest_last_sent_at: null },
+                { user_id: 'dee', digest_frequency: 'daily', digest_include_summaries: false, digest_last_sent_at: null },
+                { user_id: 'eve', digest_frequency: 'off', digest_include_summaries: false, digest_last_sent_at: null }
+            ],
+            unread_counts: [
+                { user_id: 'ada', dm_id: 'dm-1', channel_id: null, last_read_at: ago(30), unread_count: 3 },
+                { user_id: 'ada', dm_id: null, channel_id: 'channel-1', last_read_at: null, unread_count: 4 },
+                { user_id: 'ada', dm_id: null, channel_id: 'channel-2', last_read_at: null, unread_count: 1 },
+                { user_id: 'bob', dm_id: 'dm-1', channel_id: null, last_read_at: null, unread_count: 1 }
+            ],
+            channels: [{ id: 'channel-1', name: 'general' }, { id: 'channel-2', name: 'random' }],
+            direct_message_members: [
+                { dm_id: 'dm-1', user_id: 'ada', user: { id: 'ada', username: 'ada' } },
+                { dm_id: 'dm-1', user_id: 'fay', user: { id: 'fay', username: 'fay' } }
+            ],
+            messages: [
+                { id: 'd0', dm_id: 'dm-1', sender_id: 'fay', sender: { username: 'fay' }, content: 'Old news', created_at: ago(28), parent_id: null, deleted_at: null },
+                { id: 'd1', dm_id: 'dm-1', sender_id: 'fay', sender: { username: 'fay' }, content: 'Are you around?', created_at: ago(5), parent_id: null, deleted_at: null },
+                { id: 'd2', dm_id: 'dm-1', sender_id: 'fay', sender: { username: 'fay' }, content: 'Check <script>this</script>', created_at: ago(4), parent_id: null, deleted_at: null },
+                { id: 'd3', dm_id: 'dm-1', sender_id: 'ada', sender: { username: 'ada' }, content: 'My own reply', created_at: ago(3), parent_id: null, deleted_at: null },
+                ...[1, 2, 3, 4].map(n => ({ id: `c${n}`, channel_id: 'channel-1', sender_id: 'fay', sender: { username: 'fay' }, content: `Release step ${n}`, created_at: ago(10 - n), parent_id: null, deleted_at: null })),
+                { id: 'r1', channel_id: 'channel-2', sender_id: 'fay', sender: { username: 'fay' }, content: 'Lunch?', created_at: ago(2), parent_id: null, deleted_at: null }
+            ],
+            notifications: [
+                { id: 'n1', user_id: 'ada', type: 'mention', channel_id: 'channel-1', dm_id: null, read_at: null, created_at: ago(6), actor: { username: 'fay' }, message: { content: 'Can @ada sign off?', deleted_at: null }, channel: { name: 'general' } },
+                { id: 'n2', user_id: 'ada', type: 'mention', channel_id: 'channel-1', dm_id: null, read_at: ago(1), created_at: ago(6), actor: { username: 'fay' }, message: { content: 'Already read', deleted_at: null }, channel: { name: 'general' } },
+                { id: 'n3', user_id: 'ada', type: 'mention', channel_id: 'channel-1', dm_id: null, read_at: null, created_at: ago(30), actor: { username: 'fay' }, message: { content: 'From the last digest', deleted_at: null }, channel: { name: 'general' } },
+                { id: 'n4', user_id: 'ada', type: 'mention', channel_id: 'channel-1', dm_id: null, read_at: null, created_at: ago(2), actor: { username: 'fay' }, message: { content: 'Deleted', deleted_at: ago(1) }, channel: { name: 'general' } },
+                { id: 'n5', user_id: 'ada', type: 'thread_reply', channel_id: 'channel-1', dm_id: null, read_at: null, created_at: ago(2), actor: { username: 'fay' }, message: { content: 'Not a mention', deleted_at: null }, channel: { name: 'general' } }
+            ],
+            notification_preferences: [
+                { user_id: 'ada', channel_id: 'channel-1', dm_id: null, level: 'all', muted_until: ago(1) }
+            ]
+        };
+        // get_unread_counts returns the user's rows from the unread_counts table
+        const fakeSupabase = createFakeSupabase(tables, {
+            relations: { user_settings: { users: (row) => tables.users.find(candidate => candidate.id === row.user_id) } },
+            rpc: { get_unread_counts: ({ p_user_id: userId }) => tables.unread_counts.filter(row => row.user_id === userId) }
+        });
+        const preferenceService = new NotificationPreferenceService({ supabase: fakeSupabase });
+        const summarized = [];
+        const summaryService = {
+            summarizeMessages: async (messages, { title }) => {
+                summarized.push({ title, ids: messages.map(message => message.id) });
+                return { summary: '- Release goes out Friday [1][3]' };
+            }
+        };
+
+        mailDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'digest-test-'));
+        const service = new DigestService({
+            supabase: fakeSupabase,
+            mailer: new FileMailer({ from: 'ChatGenius <digest@example.com>', directory: mailDirectory }),
+            summaryService,
+            preferenceService,
+            frontendUrl: 'https://chat.example.com'
+        });
+        const settingsOf = (userId) => tables.user_settings.find(row => row.user_id === userId);
+        const readMail = async () => Promise.all(
+            (await fs.readdir(mailDirectory)).sort().map(async file => JSON.parse(await fs.readFile(path.join(mailDirectory, file), 'utf8')))
+        );
+        console.log('\n=== Starting Digest Tests ===\n');
+
+        // Step 1: Settings
+        console.log('\n--- Testing Settings ---');
+        assert((await service.getSettings('fay')).frequency === 'off', 'Digests should be off by default');
+        await expectStatus(service.updateSettings('fay', { frequency: 'hourly' }), 400, 'Unknown frequencies should be rejected');
+        await expectStatus(service.updateSettings('fay', { include_summaries: 'yes' }), 400, 'include_summaries should be a boolean');
+        const updated = await service.updateSettings('fay', { frequency: 'weekly' });
+        assert(updated.frequency === 'weekly' && updated.include_summaries === false, 'Settings should keep unchanged fields');
+        await service.updateSettings('fay', { frequency: 'off' });
+        console.log('✓ Digest settings are validated and stored');
+
+        // Step 2: Sending due digests
+        console.log('\n--- Testing Due Digests ---');
+        const sent = await service.processDueDigests(now);
+        assert(sent === 1, `Only ada's digest should be sent (got ${sent})`);
+        assert(settingsOf('ada').digest_last_sent_at === now.toISOString(), 'Sending should record the time');
+        assert(settingsOf('dee').digest_last_sent_at === now.toISOString(), 'Empty digests should count as sent');
+        assert(settingsOf('cy').digest_last_sent_at === null, 'Unverified addresses should not get digests');
+        assert(settingsOf('bob').digest_last_sent_at === ago(48), 'Weekly digests should wait a week');
+        assert(settingsOf('eve').digest_last_sent_at === null, 'Users who turned digests off should not get them');
+
+        const [mail] = await readMail();
+        assert(mail.to === 'ada@example.com' && mail.from === 'ChatGenius <digest@example.com>', 'Digests should go to the user');
+        assert(mail.subject === 'Your daily ChatGenius digest: 1 conversation, 1 mention, 1 busy channel', `Subjects should count what was missed (got "${mail.subject}")`);
+        assert(mail.text.includes('fay (3 unread): https://chat.example.com/chat?dm=dm-1') && mail.text.includes('Are you around?'), 'Unread DMs should be listed with a link');
+        assert(!mail.text.includes('Old news') && !mail.text.includes('My own reply'), 'Only others\' messages from the period should be previewed');
+        assert(mail.text.includes('fay mentioned you in #general: Can @ada sign off?'), 'Unread mentions should be listed');
+        assert(['Already read', 'From the last digest', 'Deleted', 'Not a mention'].every(text => !mail.text.includes(text)), 'Read, earlier, deleted and non-mention notifications should be left out');
+        assert(mail.text.includes('- Release goes out Friday') && !mail.text.includes('[1]'), 'Summaries should be included without citations');
+        assert(summarized.length === 1 && summarized[0].title === '#general' && summarized[0].ids.join(',') === 'c1,c2,c3,c4', 'Only busy channels should be summarized, oldest message first');
+        assert(mail.html.includes('&lt;script&gt;') && !mail.html.includes('<script>'), 'HTML should be escaped');
+        assert(mail.html.includes('<a href="https://chat.example.com/chat?channel=channel-1">'), 'HTML should link to the conversations');
+
+        assert(await service.processDueDigests(now) === 0, 'Digests should not be sent twice');
+        console.log('✓ Due digests are built and sent');
+
+        // Step 3: Weekly digests and lookback
+        console.log('\n--- Testing Weekly Digests ---');
+        const nextWeek = new Date(now.getTime() + 5 * 24 * HOUR_MS);
+        tables.messages.push({ id: 'd4', dm_id: 'dm-1', sender_id: 'fay', sender: { username: 'fay' }, content: 'Ping for bob', created_at: new Date(nextWeek.getTime() - HOUR_MS).toISOString(), parent_id: null, deleted_at: null });
+        await service.processDueDigests(nextWeek);
+        const weekly = (await readMail()).find(message => message.to === 'bob@example.com');
+        assert(weekly && weekly.subject.startsWith('Your weekly ChatGenius digest'), 'Weekly digests should go out after a week');
+        assert(!weekly.text.includes('CHANNEL SUMMARIES'), 'Summaries should only be included when asked for');
+
+        const longAgo = service.getPeriodStart({ frequency: 'daily', last_sent_at: ago(24 * 30) }, now);
+        assert(longAgo === ago(24), 'Digests after a long break should only cover the last period');
+        console.log('✓ Weekly digests and periods work');
+
+        // Step 4: Failures
+        console.log('\n--- Testing Failures ---');
+        settingsOf('dee').digest_last_sent_at = ago(30);
+        tables.unread_counts.push({ user_id: 'dee', dm_id: 'dm-1', channel_id: null, last_read_at: null, unread_count: 1 });
+        const failing = new DigestService({
+            supabase: fakeSupabase,
+            mailer: { send: async () => { throw new Error('SMTP down'); } },
+            summaryService,
+            preferenceService
+        });
+        const originalError = console.error;
+        console.error = () => {};
+        const failedCount = await failing.processDueDigests(now);
+        console.error = originalError;
+        assert(failedCount === 0 && settingsOf('dee').digest_last_sent_at === ago(30), 'Failed digests should be retried on the next run');
+
+        const flakySummaries = new DigestService({
+            supabase: fakeSupabase,
+            mailer: new FileMailer({ directory: mailDirectory }),
+            summaryService: { summarizeMessages: async () => { throw new Error('model unavailable'); } },
+            preferenceService
+        });
+        console.error = () => {};
+        const digest = await flakySummaries.buildDigest('ada', ago(24), { includeSummaries: true });
+        console.error = originalError;
+        assert(digest.channels.length === 1 && digest.channels[0].summary === null, 'Channels should be listed when their summary fails');
+        assert(flakySummaries.renderDigest({ username: 'ada' }, digest, 'daily').text.includes('No summary is available'), 'Missing summaries should be explained');
+        console.log('✓ Failures are retried or degrade gracefully');
+
+        // Step 5: Silenced conversations
+        console.log('\n--- Testing Silenced Conversations ---');
+        tables.notification_preferences.push(
+            { user_id: 'ada', channel_id: null, dm_id: 'dm-1', level: 'all', muted_until: ago(-2) },
+            { user_id: 'ada', channel_id: 'channel-2', dm_id: null, level: 'none', muted_until: null }
+        );
+        tables.unread_counts.find(row => row.user_id === 'ada' && row.channel_id === 'channel-2').unread_count = 3;
+        tables.messages.push(...[2, 3].map(n => ({ id: `r${n}`, channel_id: 'channel-2', sender_id: 'fay', sender: { username: 'fay' }, content: 'More lunch', created_at: ago(2), parent_id: null, deleted_at: null })));
+        summarized.length = 0;
+        const quiet = await service.buildDigest('ada', ago(24), { includeSummaries: true, now });
+        assert(quiet.dms.length === 0, 'Muted DMs should be left out');
+        assert(quiet.channels.map(channel => channel.channel_id).join(',') === 'channel-1', 'Channels set to none should be left out; expired mutes should not');
+        assert(summarized.every(call => call.title !== '#random'), 'Silenced channels should not be summarized');
+        const later = await service.buildDigest('ada', ago(24), { now: new Date(now.getTime() + 3 * HOUR_MS) });
+        assert(later.dms.length === 1, 'DMs should come back once the mute ends');
+        console.log('✓ Muted conversations are left out');
+
+        // Step 6: Busy batches
+        console.log('\n--- Testing Busy Batches ---');
+        for (let n = 0; n < 60; n++) {
+            tables.users.push(user(`bot-${n}`, { is_bot: true }), user(`new-${n}`, { email_verified_at: null }));
+            tables.user_settings.push(
+                { user_id: `bot-${n}`, digest_frequency: 'daily', digest_include_summaries: false, digest_last_sent_at: null },
+                { user_id: `new-${n}`, digest_frequency: 'daily', digest_include_summaries: false, digest_last_sent_at: null }
+            );
+        }
+        tables.users.push(user('gus'), user('hal', { status: 'busy' }));
+        tables.user_settings.push(
+            { user_id: 'gus', digest_frequency: 'daily', digest_include_summaries: false, digest_last_sent_at: ago(30) },
+            { user_id: 'hal', digest_frequency: 'daily', digest_include_summaries: false, digest_last_sent_at: ago(30) }
+        );
+        await service.processDueDigests(now);
+        assert(settingsOf('gus').digest_last_sent_at === now.toISOString(), 'Bots and unverified users should not crowd out due digests');
+        assert(settingsOf('bot-0').digest_last_sent_at === null && settingsOf('new-0').digest_last_sent_at === null, 'Bots and unverified users should not be claimed');
+        assert(settingsOf('hal').digest_last_sent_at === ago(30), 'Users in do-not-disturb should not be claimed');
+        tables.users.find(row => row.id === 'hal').status = 'online';
+        await service.processDueDigests(now);
+        assert(settingsOf('hal').digest_last_sent_at === now.toISOString(), 'Digests should go out once do-not-disturb ends');
+        console.log('✓ Ineligible users and do-not-disturb do not block or claim digests');
+
+        console.log('\n=== All Digest Tests Passed ===\n');
+        await fs.rm(mailDirectory, { recursive: true, force: true });
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        if (mailDirectory) await fs.rm(mailDirectory, { recursive: true, force: true });
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,28 @@
+/**
+ * @file assert.js
+ * @description Assertions shared by the offline test suites
+ */
+
+export const assert = (condition, message) => {
+    if (!condition) {
+        throw new Error(message);
+    }
+};
+
+/**
+ * Asserts that an action fails with an error carrying the given HTTP status
+ * @param {Promise|Function} action - Promise, or function to call, expected to fail
+ * @param {number} status - Expected error.status
+ * @param {string} message - Failure message
+ * @param {RegExp} pattern - Optional pattern the error message must match
+ */
+export const expectStatus = async (action, status, message, pattern = null) => {
+    try {
+        await (typeof action === 'function' ? action() : action);
+    } catch (error) {
+        assert(error.status === status && (!pattern || pattern.test(error.message)),
+            `${message} (got ${error.status}: ${error.message})`);
+        return;
+    }
+    throw new Error(message);
+};
@@ -0,0 +1,204 @@
+/**
+ * @file fakeSupabase.js
+ * @description In-memory stand-in for the Supabase client, shared by the offline
+ * test suites. Supports the query chains the services use: select (with column
+ * projection, head counts and embedded relations), insert, upsert, update and
+ * delete, the filters eq, neq, is, not, in, gt, gte, lt, lte, ilike and or,
+ * order, limit, single and maybeSingle, and rpc.
+ *
+ * Options:
+ * - defaults: Column defaults for inserted rows by table, like those in init-db.sql
+ * - relations: Embedded relations by table, e.g. { channels: { channel_members:
+ *   (row, tables) => [...] } }, attached when a select asks for them by name or alias
+ * - rpc: Database functions by name, called with their parameters and the tables
+ *
+ * Every inserted row gets an id and created_at unless given one. Selects that
+ * embed a relation return whole rows, and filters can name an embedded column as
+ * "relation.column"; rows keep the order they were inserted in until a query
+ * orders them.
+ */
+
+import crypto from 'crypto';
+
+// "column.is.null,column.lte.value,column.in.(a,b)", the subset of PostgREST or()
+// filters the services use
+const parseOr = (expression) => expression.match(/[^,(]+(\([^)]*\))?/g).map(part => {
+    const [column, operator, ...rest] = part.split('.');
+    const value = rest.join('.');
+    switch (operator) {
+        case 'is':
+            return (row) => (row[column] ?? null) === (value === 'null' ? null : value);
+        case 'eq':
+            return (row) => String(row[column]) === value;
+        case 'in':
+            return (row) => value.slice(1, -1).split(',').includes(String(row[column]));
+        case 'lte':
+            return (row) => row[column] != null && row[column] <= value;
+        case 'gte':
+            return (row) => row[column] != null && row[column] >= value;
+        default:
+            throw new Error(`Unsupported or() operator: ${operator}`);
+    }
+});
+
+// LIKE pattern: % and _ are wildcards unless escaped with a backslash
+const likeToRegExp = (pattern) => new RegExp(`^${pattern.replace(/\\(.)|([%_])|([^\\%_]+)/g, (match, escaped, wildcard, text) => {
+    if (wildcard) return wildcard === '%' ? '.*' : '.';
+    return (escaped ?? text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+})}$`, 'is');
+
+// PostgREST puts nulls last when ascending and first when descending unless told otherwise
+const compareBy = (orders) => (a, b) => {
+    for (const { column, ascending, nullsFirst } of orders) {
+        const [left, right] = [a[column] ?? null, b[column] ?? null];
+        if (left === right) continue;
+        if (left === null || right === null) {
+            return (left === null) === nullsFirst ? -1 : 1;
+        }
+        return (left < right ? -1 : 1) * (ascending ? 1 : -1);
+    }
+    return 0;
+};
+
+/**
+ * Creates a Supabase stand-in over the given tables, which it reads and changes in place
+ * @param {Object<string, Array<Object>>} tables - Rows by table name
+ * @param {Object} options - { defaults, relations, rpc }
+ * @returns {Object} Client with from() and rpc()
+ */
+export const createFakeSupabase = (tables, { defaults = {}, relations = {}, rpc = {} } = {}) => ({
+    rpc: async (name, params = {}) => ({
+        data: rpc[name] ? await rpc[name](params, tables) : [],
+        error: null
+    }),
+    from(table) {
+        const rows = tables[table] = tables[table] || [];
+        const filters = [];
+        const orders = [];
+        let operation = { type: 'select' };
+        let fields = null;
+        let countOnly = false;
+        let limit = Infinity;
+
+        const create = (values) => ({
+            id: crypto.randomUUID(),
+            created_at: new Date().toISOString(),
+            ...defaults[table],
+            ...values
+        });
+        // "relation.column" reads a column of an embedded to-one relation
+        const valueOf = (row, column) => {
+            const [name, field] = column.split('.');
+            if (!field) return row[column];
+            const related = relations[table]?.[name]?.(row, tables);
+            return related ? related[field] : undefined;
+        };
+        const matching = () => rows.filter(row => filters.every(filter => filter(row)));
+        const project = (result) => {
+            if (!fields || fields === '*') return result;
+            if (fields.includes('(')) {
+                // "name(...)", "name!inner(...)" or the alias in "name:column(...)"
+                const embedded = Object.entries(relations[table] || {})
+                    .filter(([name]) => new RegExp(`(^|[\\s,])${name}(!inner)?[:(]`).test(fields));
+                return result.map(row => embedded.reduce(
+                    (withRelations, [name, resolve]) => ({ ...withRelations, [name]: resolve(row, tables) }),
+                    row
+                ));
+            }
+            const columns = fields.split(',').map(field => field.trim());
+            return result.map(row => Object.fromEntries(columns.map(column => [column, row[column]])));
+        };
+        const execute = () => {
+            switch (operation.type) {
+                case 'insert': {
+                    const created = [].concat(operation.values).map(create);
+                    rows.push(...created);
+                    return created;
+                }
+                case 'upsert': {
+                    // Without onConflict the first column stands in for the primary key
+                    const keys = operation.onConflict
+                        ? operation.onConflict.split(',')
+                        : [Object.keys([].concat(operation.values)[0])[0]];
+                    return [].concat(operation.values).flatMap(values => {
+                        const existing = rows.find(row => keys.every(key => row[key] === values[key]));
+                        if (existing) {
+                            return operation.ignoreDuplicates ? [] : [Object.assign(existing, values)];
+                        }
+                        const created = create(values);
+                        rows.push(created);
+                        return [created];
+                    });
+                }
+                case 'update': {
+                    const updated = matching();
+                    updated.forEach(row => Object.assign(row, operation.values));
+                    return updated;
+                }
+                case 'delete': {
+                    const removed = matching();
+                    removed.forEach(row => rows.splice(rows.indexOf(row), 1));
+                    return removed;
+                }
+                default: {
+                    const found = matching();
+                    if (orders.length > 0) found.sort(compareBy(orders));
+                    return found.slice(0, limit);
+                }
+            }
+        };
+        const run = () => project(execute());
+        const filter = (predicate) => {
+            filters.push(predicate);
+            return builder;
+        };
+
+        const builder = {
+            insert: (values) => { operation = { type: 'insert', values }; return builder; },
+            upsert: (values, { onConflict, ignoreDuplicates = false } = {}) => {
+                operation = { type: 'upsert', values, onConflict, ignoreDuplicates };
+                return builder;
+            },
+            update: (values) => { operation = { type: 'update', values }; return builder; },
+            delete: () => { operation = { type: 'delete' }; return builder; },
+            select: (selected, options = {}) => {
+                fields = selected ? selected.replace(/\s+/g, ' ').trim() : null;
+                countOnly = Boolean(options.head);
+                return builder;
+            },
+            order: (column, { ascending = true, nullsFirst = !ascending } = {}) => {
+                orders.push({ column, ascending, nullsFirst });
+                return builder;
+            },
+            limit: (count) => { limit = count; return builder; },
+            eq: (column, value) => filter(row => valueOf(row, column) === value),
+            neq: (column, value) => filter(row => valueOf(row, column) != null && valueOf(row, column) !== value),
+            is: (column, value) => filter(row => (valueOf(row, column) ?? null) === value),
+            not: (column, operator, value) => {
+                if (operator !== 'is') throw new Error(`Unsupported not() operator: ${operator}`);
+                return filter(row => (valueOf(row, column) ?? null) !== value);
+            },
+            in: (column, values) => filter(row => values.includes(valueOf(row, column))),
+            gt: (column, value) => filter(row => valueOf(row, column) != null && valueOf(row, column) > value),
+            gte: (column, value) => filter(row => valueOf(row, column) != null && valueOf(row, column) >= value),
+            lt: (column, value) => filter(row => valueOf(row, column) != null && valueOf(row, column) < value),
+            lte: (column, value) => filter(row => valueOf(row, column) != null && valueOf(row, column) <= value),
+            ilike: (column, pattern) => {
+                const expression = likeToRegExp(pattern);
+                return filter(row => valueOf(row, column) != null && expression.test(valueOf(row, column)));
+            },
+            or: (expression) => {
+                const alternatives = parseOr(expression);
+                return filter(row => alternatives.some(alternative => alternative(row)));
+            },
+            single: async () => ({ data: run()[0] ?? null, error: null }),
+            maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+            then: (resolve, reject) => {
+                const data = run();
+                const result = countOnly ? { data: null, count: data.length, error: null } : { data, error: null };
+                return Promise.resolve(result).then(resolve, reject);
+            }
+        };
+        return builder;
+    }
+});
@@ -0,0 +1,108 @@
+/**
+ * @file incomingWebhook.test.js
+ * @description Offline test suite for incoming webhooks: payload validation,
+ * creating a webhook and its bot, posting through the webhook URL and revocation.
+ * Runs against an in-memory stand-in for Supabase and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'offline-test-secret';
+
+import crypto from 'crypto';
+import { assert, expectStatus } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+// Main test execution
+(async () => {
+    try {
+        const { IncomingWebhookService, buildIncomingMessage, MAX_ATTACHMENTS } = await import('../services/incomingWebhookService.js');
+        const { ApiTokenService } = await import('../services/apiTokenService.js');
+
+        const tables = {
+            users: [{ id: 'user-1', email: 'ada@example.com', username: 'ada', is_bot: false }]
+        };
+        const supabase = createFakeSupabase(tables);
+        const saved = [];
+        const service = new IncomingWebhookService({
+            supabase,
+            apiTokenService: new ApiTokenService({ supabase }),
+            messageService: {
+                saveMessage: async (message) => {
+                    const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...message };
+                    saved.push(row);
+                    return row;
+                }
+            }
+        });
+
+        console.log('\n=== Starting Incoming Webhook Tests ===\n');
+
+        // Step 1: Payloads
+        console.log('\n--- Testing Payload Validation ---');
+        assert(buildIncomingMessage({ text: 'Deploy *done*' }).message.content === 'Deploy \\*done\\*', 'Plain text should have markdown escaped');
+        assert(buildIncomingMessage({ text: '# 1. not a heading' }).message.content === '\\# 1. not a heading', 'Line-start markers should be escaped');
+        assert(buildIncomingMessage({ markdown: 'Deploy **done**' }).message.content === 'Deploy **done**', 'Markdown should be kept as sent');
+        assert(buildIncomingMessage({ text: 'a', markdown: 'b' }).error, 'text and markdown should not be combined');
+        assert(buildIncomingMessage({}).error, 'Empty payloads should be rejected');
+        assert(buildIncomingMessage({ text: 'x'.repeat(5000) }).error, 'Long messages should be rejected');
+
+        const withAttachment = buildIncomingMessage({
+            attachments: [{
+                title: 'Build #42',
+                title_link: 'https://ci.example.com/42',
+                color: 'danger',
+                fields: [{ title: 'Branch', value: 'main', short: true }],
+                extra: 'dropped'
+            }]
+        }).message;
+        assert(withAttachment.content === '' && withAttachment.attachments.length === 1, 'Attachments alone should be enough');
+        assert(withAttachment.attachments[0].color === '#e01e5a' && !('extra' in withAttachment.attachments[0]), 'Attachments should be normalized');
+        assert(buildIncomingMessage({ attachments: [{ title: 'x', title_link: 'javascript:alert(1)' }] }).error, 'Links should be http or https');
+        assert(buildIncomingMessage({ attachments: [{ title: 'x', color: 'red' }] }).error, 'Unknown colors should be rejected');
+        assert(buildIncomingMessage({ attachments: [{ color: '#ffffff' }] }).error, 'Empty attachments should be rejected');
+        assert(buildIncomingMessage({ attachments: Array(MAX_ATTACHMENTS + 1).fill({ title: 'x' }) }).error, 'Attachment counts should be capped');
+        assert(buildIncomingMessage({ text: 'x', attachments: [{ title: 'x', fields: [{ title: 'missing value' }] }] }).error, 'Fields need a value');
+        console.log('✓ Payloads are validated');
+
+        // Step 2: Creating a webhook
+        console.log('\n--- Testing Webhook Creation ---');
+        const hook = await service.createHook('channel-1', 'user-1', { name: 'ci-bot' });
+        const bot = tables.users.find(user => user.id === hook.bot_id);
+        assert(bot?.is_bot && bot.username === 'ci-bot' && bot.bot_owner_id === 'user-1', 'Webhooks should post as a bot owned by their creator');
+        assert(hook.path === `/api/hooks/${hook.id}/${hook.secret}`, 'The URL path should carry the secret');
+        assert(!tables.incoming_webhooks.some(row => row.secret_hash === hook.secret), 'Secrets should only be stored hashed');
+        assert(!(await service.listHooks('channel-1')).some(row => row.secret || row.secret_hash), 'Listing should not reveal secrets');
+        await expectStatus(service.createHook('channel-1', 'user-1', { name: 'ci-bot' }), 400, 'Bot names should be unique');
+        await expectStatus(service.createHook('channel-1', 'user-1', { name: 'other-bot', avatar_url: 'ftp://x' }), 400, 'Avatars should be http or https URLs');
+        console.log('✓ Webhooks get a bot and a secret URL');
+
+        // Step 3: Posting
+        console.log('\n--- Testing Posting ---');
+        const message = await service.postMessage(hook.id, hook.secret, { markdown: 'Build **passed**' });
+        assert(message.sender_id === bot.id && message.channel_id === 'channel-1', 'Messages should be posted as the bot into the channel');
+        assert(saved.length === 1 && saved[0].attachments === null, 'Messages should go through the message service');
+        assert(tables.incoming_webhooks[0].last_used_at, 'Posting should record when the webhook was last used');
+        await expectStatus(service.postMessage(hook.id, 'wrong-secret', { text: 'hi' }), 404, 'Wrong secrets should be rejected');
+        await expectStatus(service.postMessage(crypto.randomUUID(), hook.secret, { text: 'hi' }), 404, 'Unknown webhooks should be rejected');
+        await expectStatus(service.postMessage(hook.id, hook.secret, { text: 42 }), 400, 'Invalid payloads should be rejected');
+        assert(saved.length === 1, 'Rejected requests should not post');
+        console.log('✓ Webhook URLs post as their bot');
+
+        // Step 4: Revocation
+        console.log('\n--- Testing Revocation ---');
+        await expectStatus(service.revokeHook('channel-2', hook.id, 'user-1'), 404, 'Webhooks should only be revoked from their channel');
+        const revoked = await service.revokeHook('channel-1', hook.id, 'user-1');
+        assert(revoked.revoked_at, 'Revoked webhooks should say so');
+        await expectStatus(service.revokeHook('channel-1', hook.id, 'user-1'), 400, 'Webhooks should not be revoked twice');
+        await expectStatus(service.postMessage(hook.id, hook.secret, { text: 'hi' }), 404, 'Revoked webhooks should stop working');
+        console.log('✓ Revoked webhooks stop working');
+
+        console.log('\n=== All Incoming Webhook Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
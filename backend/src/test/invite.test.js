@@ -0,0 +1,171 @@
+/**
+ * @file invite.test.js
+ * @description Offline test suite for channel invites and join requests: invite
+ * options and status, hashed token storage, previewing, accepting (including
+ * use limits, expiry and revocation), reviewing requests to join, and members
+ * made guests rejoining. Runs against an in-memory stand-in for Supabase and
+ * needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'offline-test-secret';
+
+import crypto from 'crypto';
+import { assert, expectStatus } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Column defaults from init-db.sql
+const COLUMN_DEFAULTS = {
+    channel_invites: { use_count: 0, revoked_at: null },
+    channel_join_requests: { status: 'pending' }
+};
+
+// Behaves like the claim_channel_invite SQL function
+const claimInvite = ({ invite_token_hash: tokenHash }, tables) => {
+    const now = new Date();
+    const claimed = tables.channel_invites.filter(invite => invite.token_hash === tokenHash
+        && !invite.revoked_at
+        && (!invite.expires_at || new Date(invite.expires_at) > now)
+        && (invite.max_uses === null || invite.use_count < invite.max_uses));
+    claimed.forEach(invite => { invite.use_count += 1; });
+    return claimed;
+};
+
+// Main test execution
+(async () => {
+    try {
+        const {
+            InviteService,
+            validateInviteOptions,
+            getInviteStatus,
+            DEFAULT_INVITE_EXPIRY_HOURS
+        } = await import('../services/inviteService.js');
+
+        const tables = {
+            channels: [
+                { id: 'private', name: 'ops', is_private: true, allow_join_requests: true },
+                { id: 'closed', name: 'board', is_private: true, allow_join_requests: false },
+                { id: 'public', name: 'general', is_private: false, allow_join_requests: false }
+            ],
+            channel_members: [
+                { channel_id: 'private', user_id: 'owner', role: 'owner' }
+            ],
+            channel_invites: [],
+            channel_join_requests: [],
+            channel_membership_audit: [],
+            channel_demotions: []
+        };
+        const service = new InviteService({
+            supabase: createFakeSupabase(tables, { defaults: COLUMN_DEFAULTS, rpc: { claim_channel_invite: claimInvite } })
+        });
+        const options = (input) => validateInviteOptions(input).options;
+        const auditActions = () => tables.channel_membership_audit.map(entry => entry.action).join(',');
+
+        console.log('\n=== Starting Invite Tests ===\n');
+
+        // Step 1: Options and status
+        console.log('\n--- Testing Invite Options ---');
+        const defaults = options({});
+        assert(defaults.expiresInHours === DEFAULT_INVITE_EXPIRY_HOURS && defaults.maxUses === null && defaults.role === 'member',
+            'Invites should default to 7 days, unlimited uses and the member role');
+        assert(validateInviteOptions({ expiresInHours: 0 }).error, 'Invites should expire in the future');
+        assert(validateInviteOptions({ expiresInHours: 31 * 24 }).error, 'Invites should expire within 30 days');
+        assert(validateInviteOptions({ maxUses: 1.5 }).error, 'Use limits should be whole numbers');
+        assert(validateInviteOptions({ role: 'admin' }).error, 'Invites should not grant admin');
+
+        const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+        const past = new Date(Date.now() - 60 * 1000).toISOString();
+        assert(getInviteStatus({ expires_at: future, max_uses: null, use_count: 9 }) === 'active', 'Unlimited invites should stay active');
+        assert(getInviteStatus({ expires_at: past, max_uses: null, use_count: 0 }) === 'expired', 'Past invites should be expired');
+        assert(getInviteStatus({ expires_at: future, max_uses: 2, use_count: 2 }) === 'used_up', 'Invites should run out of uses');
+        assert(getInviteStatus({ expires_at: past, revoked_at: past, max_uses: 1, use_count: 1 }) === 'revoked', 'Revocation should take precedence');
+        console.log('✓ Invite options and status are checked');
+
+        // Step 2: Token storage
+        console.log('\n--- Testing Token Storage ---');
+        const invite = await service.createInvite('private', 'owner', options({ maxUses: 2, role: 'guest' }));
+        const stored = tables.channel_invites.find(row => row.id === invite.id);
+        assert(typeof invite.token === 'string' && invite.token.length >= 32, 'The new invite should carry its token');
+        assert(stored.token_hash === sha256(invite.token) && !('token' in stored), 'Only a hash of the token should be stored');
+        assert(invite.status === 'active' && auditActions() === 'invite_created', 'Creating an invite should be audited');
+        const listed = await service.listInvites('private');
+        assert(listed.length === 1 && listed[0].token === undefined, 'Listed invites should not include the token');
+        await expectStatus(service.previewInvite(stored.token_hash, 'ada'), 404, 'The stored hash should not work as a token');
+        await expectStatus(service.previewInvite('not-a-token', 'ada'), 404, 'Unknown tokens should not be found');
+        console.log('✓ Invite tokens are stored hashed');
+
+        // Step 3: Accepting
+        console.log('\n--- Testing Accepting Invites ---');
+        const preview = await service.previewInvite(invite.token, 'ada');
+        assert(preview.status === 'active' && preview.role === 'guest' && preview.is_member === false, 'Previews should describe the invite');
+        await service.acceptInvite(invite.token, 'ada');
+        const joined = tables.channel_members.find(member => member.user_id === 'ada');
+        assert(joined?.channel_id === 'private' && joined.role === 'guest' && joined.invited_by === 'owner', 'Accepting should add the user with the invite\'s role');
+        assert(stored.use_count === 1 && auditActions() === 'invite_created,invite_accepted', 'Accepting should use up one use and be audited');
+        assert((await service.previewInvite(invite.token, 'ada')).is_member, 'Previews should know the user already belongs');
+        await expectStatus(service.acceptInvite(invite.token, 'ada'), 400, 'Members should not accept an invite twice');
+        await service.acceptInvite(invite.token, 'bob');
+        await expectStatus(service.acceptInvite(invite.token, 'cy'), 410, 'Used-up invites should be refused');
+        assert(!tables.channel_members.some(member => member.user_id === 'cy'), 'Refused users should not join');
+
+        const expiring = await service.createInvite('private', 'owner', options({}));
+        tables.channel_invites.find(row => row.id === expiring.id).expires_at = past;
+        await expectStatus(service.acceptInvite(expiring.token, 'cy'), 410, 'Expired invites should be refused');
+
+        const revocable = await service.createInvite('private', 'owner', options({}));
+        await service.revokeInvite('private', revocable.id, 'owner');
+        await expectStatus(service.revokeInvite('private', revocable.id, 'owner'), 404, 'Invites should only be revoked once');
+        await expectStatus(service.acceptInvite(revocable.token, 'cy'), 410, 'Revoked invites should be refused');
+        console.log('✓ Invites are accepted within their limits');
+
+        // Step 4: Join requests
+        console.log('\n--- Testing Join Requests ---');
+        await expectStatus(service.requestToJoin('public', 'cy'), 400, 'Public channels should be joined directly');
+        await expectStatus(service.requestToJoin('closed', 'cy'), 403, 'Channels may refuse join requests');
+        await expectStatus(service.requestToJoin('private', 'ada'), 400, 'Members should not ask to join');
+        const request = await service.requestToJoin('private', 'cy', '  let me in  ');
+        assert(request.status === 'pending' && request.message === 'let me in', 'New requests should be pending, with the note trimmed');
+        assert((await service.listJoinRequests('private')).length === 1, 'Pending requests should be listed');
+        await service.reviewJoinRequest('private', request.id, 'owner', true);
+        assert(tables.channel_members.some(member => member.user_id === 'cy' && member.role === 'member'), 'Approved requesters should join as members');
+        await expectStatus(service.reviewJoinRequest('private', request.id, 'owner', false), 404, 'Requests should only be reviewed once');
+        assert(auditActions().endsWith('request_created,request_approved'), 'Requests and their review should be audited');
+        console.log('✓ Join requests are reviewed');
+
+        // Step 5: Demotions
+        console.log('\n--- Testing Demotions ---');
+        const membershipOf = (userId) => tables.channel_members.find(member => member.channel_id === 'public' && member.user_id === userId);
+        const leave = (userId) => tables.channel_members.splice(tables.channel_members.indexOf(membershipOf(userId)), 1);
+        await expectStatus(service.joinPublicChannel('private', 'dan'), 403, 'Private channels should not be joined directly');
+        await expectStatus(service.joinPublicChannel('missing', 'dan'), 404, 'Unknown channels should not be found');
+        assert(await service.joinPublicChannel('public', 'dan') === 'member', 'Public channels should be joined as a member');
+        await expectStatus(service.joinPublicChannel('public', 'dan'), 400, 'Members should not join twice');
+
+        membershipOf('dan').role = 'guest';
+        await service.recordRoleChange('public', 'dan', 'guest', 'owner');
+        leave('dan');
+        assert(await service.joinPublicChannel('public', 'dan') === 'guest' && membershipOf('dan').role === 'guest',
+            'Guests who leave a public channel should rejoin as guests');
+
+        leave('dan');
+        const publicInvite = await service.createInvite('public', 'owner', options({}));
+        const rejoined = await service.acceptInvite(publicInvite.token, 'dan');
+        assert(rejoined.role === 'guest' && membershipOf('dan').role === 'guest', 'Invites should not lift a demotion');
+
+        membershipOf('dan').role = 'member';
+        await service.recordRoleChange('public', 'dan', 'member', 'owner');
+        leave('dan');
+        assert(await service.joinPublicChannel('public', 'dan') === 'member', 'Promoted guests should rejoin with a member role');
+        console.log('✓ Demoted members stay guests when they rejoin');
+
+        console.log('\n=== All Invite Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
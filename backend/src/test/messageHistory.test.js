@@ -0,0 +1,106 @@
+/**
+ * @file messageHistory.test.js
+ * @description Offline test suite for message edit history and soft deletion:
+ * revisions on edit, tombstones on delete and who may see a message's history.
+ * Runs against an in-memory stand-in for Supabase and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.VECTOR_STORE = 'local';
+process.env.EMBEDDING_PROVIDER = 'local';
+delete process.env.LOCAL_VECTOR_STORE_PATH;
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'offline-test-key';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'offline-test-secret';
+
+import { assert, expectStatus } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+// Main test execution
+(async () => {
+    try {
+        const { MessageHistoryService } = await import('../services/messageHistoryService.js');
+        const { PERMISSIONS } = await import('../services/authorizationService.js');
+
+        const tables = {
+            messages: [
+                { id: 'message-1', content: 'Release is on Friday', sender_id: 'ada', channel_id: 'channel-1', dm_id: null, file_id: 'file-1', attachments: null, is_edited: false, deleted_at: null },
+                { id: 'message-2', content: 'Lunch?', sender_id: 'bob', channel_id: 'channel-1', dm_id: null, file_id: null, attachments: null, is_edited: false, deleted_at: null }
+            ],
+            pinned_messages: [{ message_id: 'message-1', channel_id: 'channel-1' }]
+        };
+        const removedVectors = [];
+        const notified = { edited: [], removed: [] };
+        const service = new MessageHistoryService({
+            supabase: createFakeSupabase(tables),
+            // "mod" moderates channel-1
+            authorizationService: {
+                can: async (userId, permission, target) =>
+                    userId === 'mod' && permission === PERMISSIONS.MODERATE && target.channelId === 'channel-1'
+            },
+            vectorStore: { delete: async (ids) => { removedVectors.push(...ids); } },
+            notificationService: {
+                notifyEditedMessage: async (edited) => { notified.edited.push(edited.content); return []; },
+                removeMessage: async (messageId) => { notified.removed.push(messageId); }
+            }
+        });
+        const message = (id) => tables.messages.find(row => row.id === id);
+
+        console.log('\n=== Starting Message History Tests ===\n');
+
+        // Step 1: Editing
+        console.log('\n--- Testing Edits ---');
+        await service.editMessage('message-1', 'ada', 'Release is on Monday');
+        await service.editMessage('message-1', 'ada', 'Release is on Tuesday');
+        assert(message('message-1').content === 'Release is on Tuesday' && message('message-1').is_edited, 'Edits should change the message');
+        assert(tables.message_revisions.length === 2, 'Every edit should store a revision');
+        assert(tables.message_revisions[0].content === 'Release is on Friday' && tables.message_revisions[0].action === 'edit', 'Revisions should keep the previous content');
+        await service.editMessage('message-1', 'ada', 'Release is on Tuesday');
+        assert(tables.message_revisions.length === 2, 'Saving unchanged content should not add a revision');
+        await expectStatus(service.editMessage('message-1', 'bob', 'Hijacked'), 403, 'Only the sender should edit');
+        await expectStatus(service.editMessage('message-1', 'mod', 'Moderated'), 403, 'Moderators should not edit other people\'s messages');
+        await expectStatus(service.editMessage('message-1', 'ada', '   '), 400, 'Edits should not be empty');
+        assert(notified.edited.includes('Release is on Tuesday'), 'Edits should re-check mentions');
+        await expectStatus(service.editMessage('missing', 'ada', 'Hi'), 404, 'Unknown messages should be reported');
+        console.log('✓ Edits keep revisions');
+
+        // Step 2: History
+        console.log('\n--- Testing History ---');
+        const history = await service.getHistory('message-1', 'bob');
+        assert(history.revisions.map(revision => revision.content).join('|') === 'Release is on Friday|Release is on Monday', 'History should list earlier versions oldest first');
+        assert(history.message.content === 'Release is on Tuesday', 'History should include the current version');
+        console.log('✓ Readers see the history of messages');
+
+        // Step 3: Deleting
+        console.log('\n--- Testing Tombstones ---');
+        await expectStatus(service.deleteMessage('message-1', 'bob'), 403, 'Other members should not delete');
+        const tombstone = await service.deleteMessage('message-1', 'ada');
+        assert(message('message-1') && tombstone.deleted_at && tombstone.deleted_by === 'ada', 'Deleting should leave a tombstone');
+        assert(tombstone.content === '' && tombstone.file_id === null, 'Tombstones should not keep the content or file');
+        const lastRevision = tables.message_revisions[tables.message_revisions.length - 1];
+        assert(lastRevision.action === 'delete' && lastRevision.content === 'Release is on Tuesday' && lastRevision.file_id === 'file-1', 'The deleted content should be kept as a revision');
+        assert(tables.pinned_messages.length === 0, 'Deleted messages should be unpinned');
+        assert(removedVectors.includes('message-1'), 'Deleted messages should lose their embedding');
+        assert(notified.removed.includes('message-1'), 'Deleted messages should lose their notifications');
+        await expectStatus(service.deleteMessage('message-1', 'ada'), 400, 'Messages should not be deleted twice');
+        await expectStatus(service.editMessage('message-1', 'ada', 'Back again'), 400, 'Tombstones should not be edited');
+
+        await service.deleteMessage('message-2', 'mod');
+        assert(message('message-2').deleted_by === 'mod', 'Moderators should delete other people\'s messages');
+        console.log('✓ Deleted messages become tombstones');
+
+        // Step 4: History of deleted messages
+        console.log('\n--- Testing Deleted History ---');
+        await expectStatus(service.getHistory('message-1', 'bob'), 403, 'Other members should not read deleted content');
+        assert((await service.getHistory('message-1', 'ada')).revisions.length === 3, 'Senders should see the history of their deleted messages');
+        assert((await service.getHistory('message-2', 'mod')).revisions[0].content === 'Lunch?', 'Moderators should see deleted content');
+        console.log('✓ Deleted content is limited to senders and moderators');
+
+        console.log('\n=== All Message History Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,80 @@
+/**
+ * @file messageListener.test.js
+ * @description Offline test suite for the conversation history the AI assistant is
+ * given: role mapping, ordering and trimming to the token budget. Needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.VECTOR_STORE = 'local';
+process.env.EMBEDDING_PROVIDER = 'local';
+delete process.env.LOCAL_VECTOR_STORE_PATH;
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'offline-test-key';
+
+import { assert } from './helpers/assert.js';
+
+const AI_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+// Main test execution
+(async () => {
+    try {
+        const { buildChatHistory } = await import('../services/messageListenerService.js');
+
+        console.log('\n=== Starting Message Listener Tests ===\n');
+
+        // Step 1: Roles
+        console.log('\n--- Testing Roles ---');
+        const history = [
+            { content: 'When is the release?', sender_id: 'u1', sender: { username: 'alice' } },
+            { content: 'It is on Friday.', sender_id: AI_USER_ID, sender: { username: 'AI Assistant' } },
+            { content: 'Thanks!', sender_id: 'u2', sender: null }
+        ];
+        const turns = buildChatHistory(history);
+        assert(turns.length === 3, `Expected 3 turns, got ${turns.length}`);
+        assert(turns[0].role === 'user' && turns[0].content === 'alice: When is the release?', 'User messages should be prefixed with the sender');
+        assert(turns[1].role === 'assistant' && turns[1].content === 'It is on Friday.', 'AI replies should become unprefixed assistant turns');
+        assert(turns[2].content === 'Unknown User: Thanks!', 'Messages without a sender should still be attributed');
+        console.log('✓ Messages are mapped to chat roles');
+
+        // Step 2: Ordering
+        console.log('\n--- Testing Ordering ---');
+        const numbered = Array.from({ length: 5 }, (_, i) => ({
+            content: `message ${i}`,
+            sender_id: i % 2 ? AI_USER_ID : 'u1',
+            sender: { username: 'alice' }
+        }));
+        const ordered = buildChatHistory(numbered).map(turn => turn.content.replace('alice: ', ''));
+        assert(ordered.join(',') === 'message 0,message 1,message 2,message 3,message 4', 'Turns should stay oldest first');
+        const withTombstone = buildChatHistory([history[0], { content: '', sender_id: 'u1' }, history[1]]);
+        assert(withTombstone.length === 2, 'Messages without content, like deleted ones, should be skipped');
+        assert(buildChatHistory([]).length === 0, 'An empty conversation should have no history');
+        console.log('✓ Turns keep the conversation order');
+
+        // Step 3: Token budget
+        console.log('\n--- Testing History Limit ---');
+        // Each turn is "alice: " plus 32 characters, an estimated 10 tokens
+        const long = Array.from({ length: 10 }, (_, i) => ({
+            content: `message number ${i} ${'x'.repeat(15)}`,
+            sender_id: 'u1',
+            sender: { username: 'alice' }
+        }));
+        const trimmed = buildChatHistory(long, 35);
+        assert(trimmed.length === 3, `Expected the budget to fit 3 turns, got ${trimmed.length}`);
+        assert(trimmed[0].content.includes('message number 7') && trimmed[2].content.includes('message number 9'),
+            'The newest messages should be kept when the budget runs out');
+        assert(buildChatHistory(long, 5).length === 0, 'Nothing should be kept when no message fits');
+        // An oversized message stops the walk, so nothing older than it is included
+        const gap = [long[0], { content: 'y'.repeat(400), sender_id: 'u1' }, long[1]];
+        const afterGap = buildChatHistory(gap, 35);
+        assert(afterGap.length === 1 && afterGap[0].content.includes('message number 1'), 'History should not skip over messages that do not fit');
+        assert(buildChatHistory(long).length === 10, 'The default budget should fit a short conversation');
+        console.log('✓ History is trimmed to the token budget');
+
+        console.log('\n=== All Message Listener Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
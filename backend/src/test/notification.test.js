@@ -0,0 +1,170 @@
+/**
+ * @file notification.test.js
+ * @description Offline test suite for mentions and the notification inbox: parsing
+ * mentions, resolving them to members, fanning out notifications for new and edited
+ * messages, notification preferences and do-not-disturb, and reading the inbox.
+ * Runs against an in-memory stand-in for Supabase and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+
+import { assert, expectStatus } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+// Main test execution
+(async () => {
+    try {
+        const { parseMentions, MentionService } = await import('../services/mentionService.js');
+        const { NotificationService } = await import('../services/notificationService.js');
+        const { NotificationPreferenceService, isWithinSchedule } = await import('../services/notificationPreferenceService.js');
+
+        const tables = {
+            users: [
+                { id: 'ada', username: 'ada', status: 'online' },
+                { id: 'bob', username: 'Bob.Smith', status: 'away' },
+                { id: 'cy', username: 'cy', status: 'busy' },
+                { id: 'dee', username: 'dee', status: 'offline' },
+                { id: 'eve', username: 'eve', status: 'online' },
+                { id: 'fay', username: 'fay', status: 'online' }
+            ],
+            channel_members: ['ada', 'bob', 'cy', 'dee', 'fay'].map(userId => ({ channel_id: 'channel-1', user_id: userId })),
+            direct_message_members: ['ada', 'bob', 'cy'].map(userId => ({ dm_id: 'dm-1', user_id: userId })),
+            messages: [
+                { id: 'parent-1', sender_id: 'bob', channel_id: 'channel-1', content: 'Deploy plan' }
+            ]
+        };
+        const fakeSupabase = createFakeSupabase(tables, { defaults: { notifications: { read_at: null } } });
+        const preferences = new NotificationPreferenceService({ supabase: fakeSupabase });
+        const pushed = [];
+        const pushService = {
+            deliverNotifications: async (message, notifications) => { pushed.push({ message, notifications }); }
+        };
+        const service = new NotificationService({
+            supabase: fakeSupabase,
+            mentionService: new MentionService({ supabase: fakeSupabase }),
+            preferenceService: preferences,
+            pushService
+        });
+        const notificationsOf = (userId) => tables.notifications.filter(row => row.user_id === userId);
+        const typeFor = (userId, messageId) => notificationsOf(userId).find(row => row.message_id === messageId)?.type;
+
+        console.log('\n=== Starting Notification Tests ===\n');
+
+        // Step 1: Parsing
+        console.log('\n--- Testing Mention Parsing ---');
+        const parsed = parseMentions('Hi @Ada and @bob.smith. Ping @here, mail ops@example.com `@cy`\n```\n@dee\n```');
+        assert(parsed.usernames.join(',') === 'ada,bob.smith', 'Names should be lowercased, without trailing dots, emails or code');
+        assert(parsed.here && !parsed.channel, '@here and @channel should be recognised');
+        console.log('✓ Mentions are parsed');
+
+        // Step 2: New messages
+        console.log('\n--- Testing New Message Fan-out ---');
+        await service.notifyNewMessage({ id: 'message-1', sender_id: 'ada', channel_id: 'channel-1', content: 'cc @bob.smith @eve @ada' });
+        assert(tables.message_mentions.length === 1 && tables.message_mentions[0].user_id === 'bob', 'Only other members should be mentioned');
+        assert(typeFor('bob', 'message-1') === 'mention', 'Mentioned members should be notified');
+
+        await service.notifyNewMessage({ id: 'message-2', sender_id: 'ada', channel_id: 'channel-1', content: 'Standup @here' });
+        assert(typeFor('fay', 'message-2') === 'mention', '@here should reach members who are around');
+        assert(['bob', 'cy', 'dee'].every(userId => !typeFor(userId, 'message-2')), '@here should skip away, busy and offline members');
+
+        await service.notifyNewMessage({ id: 'message-3', sender_id: 'cy', channel_id: 'channel-1', content: 'Noted @channel', parent_id: 'parent-1' });
+        const kinds = tables.message_mentions.filter(row => row.message_id === 'message-3').map(row => row.kind);
+        assert(kinds.length === 4 && kinds.every(kind => kind === 'channel'), '@channel should mention every other member');
+        assert(typeFor('bob', 'message-3') === 'mention', 'Mentions should outrank thread replies');
+
+        await service.notifyNewMessage({ id: 'message-4', sender_id: 'cy', channel_id: 'channel-1', content: 'Looks good', parent_id: 'parent-1' });
+        assert(typeFor('bob', 'message-4') === 'thread_reply' && notificationsOf('ada').every(row => row.message_id !== 'message-4'), 'Thread authors should be told about replies');
+        await service.notifyNewMessage({ id: 'message-5', sender_id: 'bob', channel_id: 'channel-1', content: 'Thanks', parent_id: 'parent-1' });
+        assert(!tables.notifications.some(row => row.message_id === 'message-5'), 'Replying in your own thread should not notify you');
+
+        await service.notifyNewMessage({ id: 'message-6', sender_id: 'ada', dm_id: 'dm-1', content: 'Hey @cy' });
+        assert(typeFor('cy', 'message-6') === 'mention' && typeFor('bob', 'message-6') === 'direct_message', 'DM members should be notified');
+        assert(!typeFor('ada', 'message-6'), 'Senders should not be notified');
+        assert(tables.notifications.find(row => row.message_id === 'message-6').dm_id === 'dm-1', 'Notifications should point at the conversation');
+        const dmPush = pushed.find(push => push.message.id === 'message-6');
+        assert(dmPush && dmPush.notifications.map(row => row.user_id).sort().join(',') === 'bob,cy', 'Created notifications should be handed to push delivery');
+
+        await service.notifyNewMessage({ id: 'message-7', sender_id: null, type: 'system', dm_id: 'dm-1', content: 'A Direct Message has been created' });
+        assert(!tables.notifications.some(row => row.message_id === 'message-7'), 'System messages should only notify members they mention');
+        assert(!pushed.some(push => push.message.id === 'message-7'), 'Nothing should be pushed when nobody is notified');
+        console.log('✓ New messages notify the people they concern');
+
+        // Step 3: Edits
+        console.log('\n--- Testing Edits ---');
+        const beforeEdit = notificationsOf('bob').length;
+        await service.notifyEditedMessage({ id: 'message-1', sender_id: 'ada', channel_id: 'channel-1', content: 'cc @bob.smith @dee' });
+        assert(notificationsOf('bob').length === beforeEdit, 'Edits should not notify members twice');
+        assert(typeFor('dee', 'message-1') === 'mention', 'Edits should notify newly mentioned members');
+        await service.notifyEditedMessage({ id: 'message-1', sender_id: 'ada', channel_id: 'channel-1', content: 'cc @dee' });
+        assert(!tables.message_mentions.some(row => row.message_id === 'message-1' && row.user_id === 'bob'), 'Edits should drop mentions that were removed');
+        console.log('✓ Edits only notify new mentions');
+
+        // Step 4: Preferences
+        console.log('\n--- Testing Preferences ---');
+        const inFuture = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+        await preferences.updateConversationPreference('fay', { channelId: 'channel-1' }, { level: 'all' });
+        await preferences.updateConversationPreference('dee', { channelId: 'channel-1' }, { level: 'none' });
+        await preferences.updateConversationPreference('bob', { channelId: 'channel-1' }, { muted_until: inFuture });
+        await preferences.updateConversationPreference('cy', { dmId: 'dm-1' }, { level: 'mentions' });
+        assert((await preferences.getConversationPreference('bob', { channelId: 'channel-1' })).effective_level === 'none', 'Muted conversations should notify about nothing');
+        assert((await preferences.getConversationPreference('bob', { dmId: 'dm-1' })).level === 'all', 'DMs should default to all messages');
+        await expectStatus(preferences.updateConversationPreference('ada', { channelId: 'channel-1' }, { level: 'loud' }), 400, 'Unknown levels should be rejected');
+
+        await service.notifyNewMessage({ id: 'message-8', sender_id: 'ada', channel_id: 'channel-1', content: 'Release notes @dee @bob.smith' });
+        assert(typeFor('fay', 'message-8') === 'channel_message', 'Members following a channel should hear about every message');
+        assert(!typeFor('dee', 'message-8') && !typeFor('bob', 'message-8'), 'Channels set to nothing, or muted, should not notify even for mentions');
+        await service.notifyNewMessage({ id: 'message-9', sender_id: 'ada', channel_id: 'channel-1', content: 'Thread reply', parent_id: 'message-8' });
+        assert(!typeFor('fay', 'message-9'), 'Following a channel should not cover thread replies');
+
+        await service.notifyNewMessage({ id: 'message-10', sender_id: 'ada', dm_id: 'dm-1', content: 'Quick question' });
+        assert(!typeFor('cy', 'message-10') && typeFor('bob', 'message-10') === 'direct_message', 'DMs set to mentions should only notify about mentions');
+
+        await preferences.updateConversationPreference('bob', { channelId: 'channel-1' }, { muted_until: null });
+        await service.notifyNewMessage({ id: 'message-11', sender_id: 'ada', channel_id: 'channel-1', content: 'Back to @bob.smith' });
+        assert(typeFor('bob', 'message-11') === 'mention', 'Unmuting should bring notifications back');
+        console.log('✓ Preferences filter notifications');
+
+        // Step 5: Do not disturb
+        console.log('\n--- Testing Do Not Disturb ---');
+        const overnight = { enabled: true, start: '22:00', end: '07:30', timezone: 'UTC' };
+        assert(isWithinSchedule(overnight, new Date('2024-01-01T23:15:00Z')) && isWithinSchedule(overnight, new Date('2024-01-02T07:00:00Z')), 'Windows should wrap past midnight');
+        assert(!isWithinSchedule(overnight, new Date('2024-01-02T12:00:00Z')), 'Outside the window should not be do-not-disturb');
+        assert(isWithinSchedule({ ...overnight, timezone: 'America/New_York' }, new Date('2024-01-02T04:00:00Z')), 'Schedules should follow the user\'s time zone');
+        await expectStatus(preferences.updateSchedule('ada', { start: '25:00' }), 400, 'Invalid times should be rejected');
+        await expectStatus(preferences.updateSchedule('ada', { timezone: 'Mars/Olympus' }), 400, 'Unknown time zones should be rejected');
+
+        const schedule = await preferences.updateSchedule('ada', { enabled: true, start: '09:00', end: '17:00' });
+        assert(schedule.enabled && schedule.timezone === 'UTC', 'Schedules should keep unchanged fields');
+        const dnd = await preferences.getDoNotDisturb(['ada', 'cy', 'fay'], new Date('2024-01-02T10:00:00Z'));
+        assert(dnd.has('ada') && dnd.has('cy') && !dnd.has('fay'), 'Busy users and open schedules should be do-not-disturb');
+        console.log('✓ Do-not-disturb follows status and schedule');
+
+        // Step 6: Inbox
+        console.log('\n--- Testing Inbox ---');
+        const inbox = await service.listNotifications('bob', { limit: 2 });
+        assert(inbox.notifications.length === 2 && inbox.hasMore, 'Inboxes should be paged');
+        assert(inbox.unreadCount === notificationsOf('bob').length, 'Unread notifications should be counted');
+
+        const [first] = inbox.notifications;
+        const read = await service.markRead('bob', first.id);
+        assert(read.read_at && (await service.markRead('bob', first.id)).read_at === read.read_at, 'Marking read twice should keep the first time');
+        await expectStatus(service.markRead('ada', first.id), 404, 'Other users\' notifications should not be found');
+        assert((await service.listNotifications('bob', { unreadOnly: true })).notifications.every(row => row.id !== first.id), 'Unread lists should leave out read notifications');
+
+        const updated = await service.markAllRead('bob');
+        assert(updated === notificationsOf('bob').length - 1, 'Mark all read should only touch unread notifications');
+        assert((await service.listNotifications('bob')).unreadCount === 0, 'Nothing should be left unread');
+
+        await service.removeMessage('message-6');
+        assert(!tables.notifications.some(row => row.message_id === 'message-6') && !tables.message_mentions.some(row => row.message_id === 'message-6'), 'Deleted messages should leave nothing behind');
+        console.log('✓ Inboxes are listed and marked read');
+
+        console.log('\n=== All Notification Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
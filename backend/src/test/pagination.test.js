@@ -0,0 +1,124 @@
+/**
+ * @file pagination.test.js
+ * @description Offline test suite for cursor-based message pagination: cursor
+ * encoding, query parameter validation and paging through a prepared query in
+ * both directions. Runs against a stand-in query builder and needs no API keys.
+ */
+
+import {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    encodeCursor,
+    decodeCursor,
+    parsePaginationParams,
+    fetchMessagePage
+} from '../utils/pagination.js';
+import { assert } from './helpers/assert.js';
+
+/**
+ * Stand-in for a Supabase query over messages sorted by (created_at, id). Records
+ * the keyset filter and applies it, so pages can be checked end to end.
+ */
+const createFakeQuery = (messages) => {
+    const calls = { or: null, order: [], limit: null };
+    let filter = () => true;
+
+    const query = {
+        calls,
+        or: (expression) => {
+            calls.or = expression;
+            const [, operator, createdAt, id] = /^created_at\.(lt|gt)\."([^"]+)",and\(created_at\.eq\."[^"]+",id\.(?:lt|gt)\.([\w-]+)\)$/.exec(expression) || [];
+            assert(operator, `Unexpected keyset filter: ${expression}`);
+            const sign = operator === 'lt' ? -1 : 1;
+            const compare = (message) => {
+                if (message.created_at !== createdAt) return message.created_at < createdAt ? -1 : 1;
+                return message.id < id ? -1 : message.id > id ? 1 : 0;
+            };
+            filter = (message) => compare(message) === sign;
+            return query;
+        },
+        order: (column, { ascending }) => {
+            calls.order.push({ column, ascending });
+            return query;
+        },
+        limit: async (count) => {
+            calls.limit = count;
+            const { ascending } = calls.order[0];
+            const sorted = messages
+                .filter(filter)
+                .sort((a, b) => (a.created_at === b.created_at ? (a.id < b.id ? -1 : 1) : (a.created_at < b.created_at ? -1 : 1)) * (ascending ? 1 : -1));
+            return { data: sorted.slice(0, count), error: null };
+        }
+    };
+    return query;
+};
+
+// Main test execution
+(async () => {
+    try {
+        console.log('\n=== Starting Pagination Tests ===\n');
+
+        // Step 1: Cursors
+        console.log('\n--- Testing Cursors ---');
+        const message = { id: 'a1b2-c3', created_at: '2024-01-20T10:00:00.123+00:00' };
+        const cursor = encodeCursor(message);
+        const decoded = decodeCursor(cursor);
+        assert(decoded.id === message.id && decoded.created_at === message.created_at, 'Cursors should round-trip');
+        assert(encodeCursor({ id: 'x' }) === null, 'Messages without a timestamp have no cursor');
+        assert(decodeCursor('garbage') === null, 'Cursors without a separator should be rejected');
+        const injected = Buffer.from('2024-01-20T10:00:00Z|x),id.neq.(y').toString('base64url');
+        assert(decodeCursor(injected) === null, 'Cursors should not smuggle PostgREST syntax');
+        const badDate = Buffer.from('2024-99-99T99:00:00Z|abc').toString('base64url');
+        assert(decodeCursor(badDate) === null, 'Cursors should hold a real timestamp');
+        console.log('✓ Cursors are encoded and validated');
+
+        // Step 2: Parameters
+        console.log('\n--- Testing Parameters ---');
+        assert(parsePaginationParams({}).limit === DEFAULT_PAGE_SIZE, 'The page size should default');
+        assert(parsePaginationParams({ limit: '500' }).limit === MAX_PAGE_SIZE, 'The page size should be capped');
+        assert(parsePaginationParams({ limit: '0' }).error, 'Page sizes below one should be rejected');
+        assert(parsePaginationParams({ limit: 'ten' }).error, 'Non-numeric page sizes should be rejected');
+        assert(parsePaginationParams({ before: cursor, after: cursor }).error, 'Only one direction should be allowed');
+        assert(parsePaginationParams({ before: 'garbage' }).error === 'Invalid before cursor', 'Invalid cursors should be named');
+        assert(parsePaginationParams({ after: cursor }).after.id === message.id, 'Valid cursors should be decoded');
+        console.log('✓ Parameters are validated');
+
+        // Step 3: Paging
+        console.log('\n--- Testing Paging ---');
+        // Five messages, two of them sharing a timestamp
+        const history = [
+            { id: 'm1', created_at: '2024-01-20T10:00:00Z' },
+            { id: 'm2', created_at: '2024-01-20T10:01:00Z' },
+            { id: 'm3', created_at: '2024-01-20T10:02:00Z' },
+            { id: 'm4', created_at: '2024-01-20T10:02:00Z' },
+            { id: 'm5', created_at: '2024-01-20T10:03:00Z' }
+        ];
+
+        const latestQuery = createFakeQuery(history);
+        const { data: latest } = await fetchMessagePage(latestQuery, { limit: 2 });
+        assert(latest.messages.map(row => row.id).join(',') === 'm4,m5', 'The newest page should come back oldest first');
+        assert(latest.hasMore && latestQuery.calls.limit === 3, 'One extra row should reveal more history');
+        assert(latestQuery.calls.or === null, 'The newest page needs no keyset filter');
+
+        const { data: older } = await fetchMessagePage(createFakeQuery(history), { limit: 2, before: decodeCursor(latest.cursors.before) });
+        assert(older.messages.map(row => row.id).join(',') === 'm2,m3', 'Paging back should continue past messages sharing a timestamp');
+        const { data: oldest } = await fetchMessagePage(createFakeQuery(history), { limit: 2, before: decodeCursor(older.cursors.before) });
+        assert(oldest.messages.map(row => row.id).join(',') === 'm1' && !oldest.hasMore, 'The oldest page should end the history');
+
+        const { data: newer } = await fetchMessagePage(createFakeQuery(history), { limit: 10, after: decodeCursor(older.cursors.after) });
+        assert(newer.messages.map(row => row.id).join(',') === 'm4,m5' && !newer.hasMore, 'Paging forward should return newer messages in order');
+
+        const { data: empty } = await fetchMessagePage(createFakeQuery([]), { limit: 5 });
+        assert(empty.messages.length === 0 && empty.cursors.before === null, 'Empty histories should have no cursors');
+
+        const failing = { order: () => failing, limit: async () => ({ data: null, error: new Error('boom') }) };
+        assert((await fetchMessagePage(failing, { limit: 5 })).error, 'Query errors should be passed back');
+        console.log('✓ Pages follow the cursors');
+
+        console.log('\n=== All Pagination Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,194 @@
+/**
+ * @file push.test.js
+ * @description Offline test suite for Web Push: subscription validation, VAPID
+ * authorization, encrypted delivery of mentions and DM messages to a local push
+ * service stand-in, do-not-disturb and removal of expired subscriptions. Runs
+ * against an in-memory stand-in for Supabase and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+
+import crypto from 'crypto';
+import http from 'http';
+import { assert, expectStatus } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+// Local push service stand-in: records requests and answers 410 for endpoints under /gone/
+const startPushService = () => new Promise((resolve) => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+            res.statusCode = req.url.startsWith('/gone/') ? 410 : 201;
+            res.end();
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, received, url: `http://127.0.0.1:${server.address().port}` }));
+});
+
+// What a browser holds for a subscription: its key pair and auth secret
+const createBrowserKeys = () => {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    const auth = crypto.randomBytes(16);
+    return {
+        ecdh,
+        auth,
+        keys: { p256dh: ecdh.getPublicKey().toString('base64url'), auth: auth.toString('base64url') }
+    };
+};
+
+const hkdf = (ikm, salt, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+
+// Decrypts an aes128gcm push body the way the browser would (RFC 8291)
+const decryptPayload = (body, { ecdh, auth }) => {
+    const salt = body.subarray(0, 16);
+    const keyLength = body[20];
+    const senderKey = body.subarray(21, 21 + keyLength);
+    const ciphertext = body.subarray(21 + keyLength);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), senderKey]);
+    const ikm = hkdf(ecdh.computeSecret(senderKey), auth, keyInfo, 32);
+    const contentKey = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+    decipher.setAuthTag(ciphertext.subarray(-16));
+    const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+    assert(plaintext[plaintext.length - 1] === 2, 'Payloads should end with the last-record delimiter');
+    return JSON.parse(plaintext.subarray(0, -1).toString());
+};
+
+// Checks a "vapid t=..., k=..." header the way a push service would (RFC 8292)
+const verifyVapid = (header, audience) => {
+    const [, token, key] = header.match(/^vapid t=([^,]+), k=(.+)$/) || [];
+    assert(token && key, 'Authorization should use the vapid scheme');
+
+    const [encodedHeader, encodedClaims, signature] = token.split('.');
+    const point = Buffer.from(key, 'base64url');
+    const publicKey = crypto.createPublicKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: point.subarray(1, 33).toString('base64url'),
+            y: point.subarray(33, 65).toString('base64url')
+        },
+        format: 'jwk'
+    });
+    const valid = crypto.verify(
+        'sha256',
+        Buffer.from(`${encodedHeader}.${encodedClaims}`),
+        { key: publicKey, dsaEncoding: 'ieee-p1363' },
+        Buffer.from(signature, 'base64url')
+    );
+    assert(valid, 'VAPID tokens should be signed with the VAPID key');
+
+    const claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString());
+    assert(claims.aud === audience, 'The token audience should be the push service origin');
+    assert(claims.exp > Date.now() / 1000 && claims.exp <= Date.now() / 1000 + 24 * 60 * 60, 'Tokens should expire within a day');
+    assert(claims.sub.startsWith('mailto:'), 'Tokens should name a contact');
+    return key;
+};
+
+// Main test execution
+let pushServer;
+(async () => {
+    try {
+        const { generateVapidKeys } = await import('../services/push/webPush.js');
+        const { PushService } = await import('../services/pushService.js');
+
+        pushServer = await startPushService();
+        const tables = {
+            channels: [{ id: 'channel-1', name: 'general' }]
+        };
+        const doNotDisturb = new Set(['cy']);
+        const vapid = { ...generateVapidKeys(), subject: 'mailto:ops@chatgenius.local' };
+        const service = new PushService({
+            supabase: createFakeSupabase(tables),
+            preferenceService: { getDoNotDisturb: async (userIds) => new Set(userIds.filter(userId => doNotDisturb.has(userId))) },
+            vapid,
+            allowInsecureEndpoints: true
+        });
+        console.log('\n=== Starting Push Tests ===\n');
+
+        // Step 1: Configuration and subscriptions
+        console.log('\n--- Testing Subscriptions ---');
+        const disabled = new PushService({ supabase: createFakeSupabase({}), vapid: {} });
+        assert(!disabled.isEnabled(), 'Push should be off without VAPID keys');
+        await expectStatus(Promise.resolve().then(() => disabled.getPublicKey()), 503, 'The public key should be unavailable without VAPID keys');
+        const idle = await disabled.deliverNotifications({ id: 'm' }, [{ id: 'n', user_id: 'bob', type: 'mention' }]);
+        assert(idle.sent === 0, 'Nothing should be sent without VAPID keys');
+        assert(service.getPublicKey() === vapid.publicKey, 'The public key should be served to browsers');
+
+        const bob = createBrowserKeys();
+        const bobPhone = createBrowserKeys();
+        const cy = createBrowserKeys();
+        const dee = createBrowserKeys();
+        await expectStatus(service.subscribe('bob', { endpoint: 'not a url', keys: bob.keys }), 400, 'Endpoints should be URLs');
+        await expectStatus(service.subscribe('bob', { endpoint: `${pushServer.url}/push/bob`, keys: { p256dh: bob.keys.p256dh } }), 400, 'Subscriptions need both keys');
+        await expectStatus(service.subscribe('bob', { endpoint: `${pushServer.url}/push/bob`, keys: { ...bob.keys, auth: 'c2hvcnQ' } }), 400, 'Auth secrets should be 16 bytes');
+        const strict = new PushService({ supabase: createFakeSupabase({}), vapid, allowInsecureEndpoints: false });
+        await expectStatus(strict.subscribe('bob', { endpoint: `${pushServer.url}/push/bob`, keys: bob.keys }), 400, 'Endpoints should need https unless allowed');
+        await expectStatus(strict.subscribe('bob', { endpoint: 'https://10.0.0.5/push/bob', keys: bob.keys }), 400, 'Private network endpoints should be rejected');
+        await expectStatus(strict.subscribe('bob', { endpoint: 'https://169.254.169.254/latest/meta-data', keys: bob.keys }), 400, 'Link-local endpoints should be rejected');
+
+        await service.subscribe('bob', { endpoint: `${pushServer.url}/push/bob`, keys: bob.keys });
+        await service.subscribe('bob', { endpoint: `${pushServer.url}/push/bob`, keys: bob.keys }, 'Firefox');
+        await expectStatus(service.subscribe('eve', { endpoint: `${pushServer.url}/push/bob`, keys: bob.keys }), 409, 'Users should not take over another user\'s endpoint');
+        await service.subscribe('bob', { endpoint: `${pushServer.url}/gone/bob-phone`, keys: bobPhone.keys });
+        await service.subscribe('cy', { endpoint: `${pushServer.url}/push/cy`, keys: cy.keys });
+        await service.subscribe('dee', { endpoint: `${pushServer.url}/push/dee`, keys: dee.keys });
+        const bobEndpoint = tables.push_subscriptions.filter(row => row.endpoint === `${pushServer.url}/push/bob`);
+        assert(bobEndpoint.length === 1 && bobEndpoint[0].user_id === 'bob' && bobEndpoint[0].user_agent === 'Firefox', 'Subscribing an endpoint again should replace it for the same user');
+        console.log('✓ Subscriptions are validated and stored');
+
+        // Step 2: Delivery
+        console.log('\n--- Testing Delivery ---');
+        const mention = { id: 'message-1', channel_id: 'channel-1', content: 'Can you review @bob.smith?', sender: { username: 'ada' } };
+        const result = await service.deliverNotifications(mention, [
+            { id: 'n1', user_id: 'bob', type: 'mention' },
+            { id: 'n2', user_id: 'cy', type: 'mention' },
+            { id: 'n3', user_id: 'dee', type: 'thread_reply' }
+        ]);
+        assert(result.sent === 1 && result.removed === 1 && result.failed === 0, `Only bob's browsers should be pushed to (got ${JSON.stringify(result)})`);
+        assert(!pushServer.received.some(request => request.path === '/push/cy'), 'Users in do-not-disturb should not be pushed to');
+        assert(!pushServer.received.some(request => request.path === '/push/dee'), 'Only mentions and DM messages should be pushed');
+
+        const request = pushServer.received.find(entry => entry.path === '/push/bob');
+        assert(verifyVapid(request.headers.authorization, pushServer.url) === vapid.publicKey, 'The VAPID public key should be sent along');
+        assert(request.headers['content-encoding'] === 'aes128gcm' && Number(request.headers.ttl) > 0, 'Requests should carry the push headers');
+        const payload = decryptPayload(request.body, bob);
+        assert(payload.title === 'ada mentioned you in #general', 'Mentions should say who and where');
+        assert(payload.body === mention.content && payload.url === '/chat?channel=channel-1', 'Payloads should carry the message and a link to it');
+        assert(payload.notification_id === 'n1', 'Payloads should point at the notification');
+        assert(!tables.push_subscriptions.some(row => row.endpoint.includes('/gone/')), 'Expired subscriptions should be removed');
+
+        const dm = { id: 'message-2', dm_id: 'dm-1', content: 'x'.repeat(500), sender: { username: 'ada' } };
+        await service.deliverNotifications(dm, [{ id: 'n4', user_id: 'bob', type: 'direct_message' }]);
+        const dmPayload = decryptPayload(pushServer.received[pushServer.received.length - 1].body, bob);
+        assert(dmPayload.title === 'ada' && dmPayload.url === '/chat?dm=dm-1', 'DM messages should link to the DM');
+        assert(dmPayload.body.length === 200, 'Long messages should be shortened');
+        console.log('✓ Mentions and DM messages are pushed, encrypted and signed');
+
+        // Step 3: Unsubscribing
+        console.log('\n--- Testing Unsubscribe ---');
+        assert(!(await service.unsubscribe('eve', `${pushServer.url}/push/bob`)), 'Users should not remove others\' subscriptions');
+        assert(await service.unsubscribe('bob', `${pushServer.url}/push/bob`), 'Users should remove their own subscriptions');
+        const before = pushServer.received.length;
+        await service.deliverNotifications(dm, [{ id: 'n5', user_id: 'bob', type: 'direct_message' }]);
+        assert(pushServer.received.length === before, 'Unsubscribed browsers should not be pushed to');
+        console.log('✓ Browsers can unsubscribe');
+
+        console.log('\n=== All Push Tests Passed ===\n');
+        pushServer.server.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        pushServer?.server.close();
+        process.exit(1);
+    }
+})();
@@ -1,6 +1,9 @@
 /**
  * @file rag.test.js
- * @description Test suite for RAG functionality following the RAG checklist
+ * @description Test suite for RAG functionality following the RAG checklist.
+ * Run with --offline (npm run test:offline) to use the local vector store and
+ * embedder; steps that need OpenAI, Pinecone, Supabase or a running server are
+ * then skipped.
  */
 
 import dotenv from 'dotenv';
@@ -19,6 +22,21 @@ dotenv.config();
 const baseURL = process.env.BASE_URL || 'http://localhost:3000';
 request.agent(baseURL);
 
+// The RAG service reads its backends from the environment on first use
+const offline = process.argv.includes('--offline');
+if (offline) {
+    process.env.VECTOR_STORE = 'local';
+    process.env.EMBEDDING_PROVIDER = 'local';
+    delete process.env.LOCAL_VECTOR_STORE_PATH;
+}
+
+const skipOffline = (step) => {
+    if (offline) {
+        console.log(`⚠️ ${step} skipped (offline)`);
+    }
+    return offline;
+};
+
 // Main test execution
 (async () => {
     try {
@@ -36,88 +54,94 @@ request.agent(baseURL);
             'SUPABASE_SERVICE_KEY'
         ];
 
-        for (const envVar of requiredEnvVars) {
+        for (const envVar of offline ? [] : requiredEnvVars) {
             if (!process.env[envVar]) {
                 throw new Error(`Missing required environment variable: ${envVar}`);
             }
         }
         console.log('✓ All required environment variables are set');
 
-        // Test OpenAI dependencies and API
-        console.log('\n--- Testing OpenAI Integration ---');
-        const openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-        const completion = await openai.chat.completions.create({
-            messages: [{ role: "user", content: "Say hello" }],
-            model: "gpt-3.5-turbo",
-        });
-        if (!completion.choices[0].message) {
-            throw new Error('OpenAI API call failed');
-        }
-        console.log('✓ OpenAI API is working');
-
-        // Test OpenAI/LangChain setup
-        const embeddings = new OpenAIEmbeddings({
-            modelName: "text-embedding-3-large",
-            openAIApiKey: process.env.OPENAI_API_KEY
-        });
-        await embeddings.embedQuery('test'); // Verify we can generate embeddings
-        console.log('✓ OpenAI embeddings are working');
-
-        // Test Pinecone setup
-        const pinecone = new Pinecone({
-            apiKey: process.env.PINECONE_API_KEY
-        });
-        const index = pinecone.index(process.env.PINECONE_INDEX);
-        await index.describeIndexStats();
-        console.log('✓ Pinecone connection is working');
-
-        // Test Supabase setup and message fetching
-        console.log('\n--- Testing Message Fetching ---');
-        const supabase = createClient(
+        // Supabase client for the database steps
+        const supabase = offline ? null : createClient(
             process.env.SUPABASE_URL,
             process.env.SUPABASE_SERVICE_KEY
         );
+
+        if (!skipOffline('Service connectivity and message fetching')) {
+            // Test OpenAI dependencies and API
+            console.log('\n--- Testing OpenAI Integration ---');
+            const openai = new OpenAI({
+                apiKey: process.env.OPENAI_API_KEY
+            });
+            const completion = await openai.chat.completions.create({
+                messages: [{ role: "user", content: "Say hello" }],
+                model: "gpt-3.5-turbo",
+            });
+            if (!completion.choices[0].message) {
+                throw new Error('OpenAI API call failed');
+            }
+            console.log('✓ OpenAI API is working');
+
+            // Test OpenAI/LangChain setup
+            const openAIEmbeddings = new OpenAIEmbeddings({
+                modelName: "text-embedding-3-large",
+                openAIApiKey: process.env.OPENAI_API_KEY
+            });
+            await openAIEmbeddings.embedQuery('test'); // Verify we can generate embeddings
+            console.log('✓ OpenAI embeddings are working');
+
+            // Test Pinecone setup
+            const pinecone = new Pinecone({
+                apiKey: process.env.PINECONE_API_KEY
+            });
+            const pineconeIndex = pinecone.index(process.env.PINECONE_INDEX);
+            await pineconeIndex.describeIndexStats();
+            console.log('✓ Pinecone connection is working');
+
+            // Test Supabase setup and message fetching
+            console.log('\n--- Testing Message Fetching ---');
         
-        // Fetch messages with related data
-        const { data: messages, error } = await supabase
-            .from('messages')
-            .select(`
-                *,
-                sender:sender_id(id, username),
-                channel:channel_id(id, name)
-            `)
-            .order('created_at', { ascending: true });
-
-        if (error) throw error;
+            // Fetch messages with related data
+            const { data: messages, error } = await supabase
+                .from('messages')
+                .select(`
+                    *,
+                    sender:sender_id(id, username),
+                    channel:channel_id(id, name)
+                `)
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
         
-        console.log(`✓ Successfully fetched ${messages.length} messages from database`);
+            console.log(`✓ Successfully fetched ${messages.length} messages from database`);
         
-        // Verify message structure
-        if (messages.length > 0) {
-            const sampleMessage = messages[0];
-            // Required fields that must have values
-            const requiredFields = ['id', 'content', 'created_at'];
-            for (const field of requiredFields) {
-                if (sampleMessage[field] === undefined || sampleMessage[field] === null) {
-                    throw new Error(`Message is missing required field: ${field}`);
+            // Verify message structure
+            if (messages.length > 0) {
+                const sampleMessage = messages[0];
+                // Required fields that must have values
+                const requiredFields = ['id', 'content', 'created_at'];
+                for (const field of requiredFields) {
+                    if (sampleMessage[field] === undefined || sampleMessage[field] === null) {
+                        throw new Error(`Message is missing required field: ${field}`);
+                    }
                 }
-            }
-            // Optional fields that can be null
-            const optionalFields = ['sender', 'channel'];
-            for (const field of optionalFields) {
-                if (sampleMessage[field] === undefined) {
-                    throw new Error(`Message is missing optional field: ${field} (can be null but must be defined)`);
+                // Optional fields that can be null
+                const optionalFields = ['sender', 'channel'];
+                for (const field of optionalFields) {
+                    if (sampleMessage[field] === undefined) {
+                        throw new Error(`Message is missing optional field: ${field} (can be null but must be defined)`);
+                    }
                 }
-            }
-            console.log('✓ Message structure is valid');
+                console.log('✓ Message structure is valid');
             
-            // Log sample message format (without content)
-            const { content, ...messageMeta } = sampleMessage;
-            console.log('Sample message format:', JSON.stringify(messageMeta, null, 2));
-        } else {
-            console.log('⚠️ No messages found in database');
+                // Log sample message format (without content)
+                const { content, ...messageMeta } = sampleMessage;
+                console.log('Sample message format:', JSON.stringify(messageMeta, null, 2));
+            } else {
+                console.log('⚠️ No messages found in database');
+            }
+
+
         }
 
         // Test message chunking
@@ -196,6 +220,8 @@ request.agent(baseURL);
 
         // Test embedding generation
         console.log('\n--- Testing Embedding Generation ---');
+        const { embeddings, vectorStore } = ragService;
+        const expectedDimension = offline ? embeddings.dimension : 3072;
         
         // Generate embeddings for the chunks
         console.log('Generating embeddings for chunks...');
@@ -219,8 +245,8 @@ request.agent(baseURL);
         const sampleEmbedding = embeddingsWithMetadata[0];
         
         // Check vector dimensions (should be 3072 for text-embedding-3-large)
-        if (sampleEmbedding.values.length !== 3072) {
-            throw new Error(`Unexpected embedding dimension: ${sampleEmbedding.values.length} (expected 3072)`);
+        if (sampleEmbedding.values.length !== expectedDimension) {
+            throw new Error(`Unexpected embedding dimension: ${sampleEmbedding.values.length} (expected ${expectedDimension})`);
         }
         console.log('✓ Embedding dimensions are correct');
 
@@ -243,7 +269,7 @@ request.agent(baseURL);
         });
 
         // Phase 1, Step 7: Validate the Upsert
-        console.log('\n--- Testing Pinecone Upsert ---');
+        console.log('\n--- Testing Vector Store Upsert ---');
         
         // Upsert embeddings in batches
         const batchSize = 100;
@@ -253,7 +279,7 @@ request.agent(baseURL);
             const batch = embeddingsWithMetadata.slice(i, i + batchSize);
             console.log(`Upserting batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(embeddingsWithMetadata.length / batchSize)}`);
             
-            await index.upsert(batch);
+            await vectorStore.upsert(batch);
             totalUpserted += batch.length;
             
             console.log(`Progress: ${totalUpserted}/${embeddingsWithMetadata.length} vectors`);
@@ -276,8 +302,8 @@ request.agent(baseURL);
         // Update query vector generation for validation
         const queryVector = await embeddings.embedQuery(randomChunk.content);
         
-        // Search in Pinecone
-        const searchResults = await index.query({
+        // Search in the vector store
+        const searchResults = await vectorStore.query({
             vector: queryVector,
             topK: 1,
             includeMetadata: true
@@ -307,7 +333,7 @@ request.agent(baseURL);
         console.log('\n--- Testing Script Maintenance ---');
         
         // Monitor vector store stats
-        const indexStats = await index.describeIndexStats();
+        const indexStats = await vectorStore.describeStats();
         console.log('Vector store stats:', {
             vectorCount: indexStats.totalVectorCount,
             dimension: indexStats.dimension
@@ -328,7 +354,7 @@ request.agent(baseURL);
 
         // Test vector search time
         const startQuery = Date.now();
-        await index.query({
+        await vectorStore.query({
             vector: queryVector,
             topK: 1,
             includeMetadata: true
@@ -337,7 +363,7 @@ request.agent(baseURL);
         console.log('Vector search time:', {
             operation: 'query',
             durationMs: queryTime,
-            vectorsDimension: 3072
+            vectorsDimension: expectedDimension
         });
 
         // Verify performance is within acceptable limits
@@ -364,236 +390,244 @@ request.agent(baseURL);
             estimatedCostUSD: estimatedCost.toFixed(4)
         });
 
-        // Phase 2, Step 7: Message Embedding Tracking
-        console.log('\n--- Phase 2: Message Embedding Tracking ---');
-        
-        // Get a sample channel ID from existing messages
-        const { data: sampleChannel, error: channelError } = await supabase
-            .from('messages')
-            .select('channel_id')
-            .not('channel_id', 'is', null)
-            .limit(1)
-            .single();
-
-        if (channelError) throw channelError;
-        if (!sampleChannel?.channel_id) throw new Error('No channel found for test message');
-        
-        // Create a test message
-        const { data: message, error: createError } = await supabase
-            .from('messages')
-            .insert({
-                content: 'Test message for embedding tracking',
-                type: 'system',
-                channel_id: sampleChannel.channel_id,
-                dm_id: null
-            })
-            .select()
-            .single();
+        // Channel the database test messages are posted to
+        let sampleChannel = null;
 
-        if (createError) throw createError;
-        if (!message) throw new Error('Failed to create test message');
+        if (!skipOffline('Embedding tracking and the search endpoint')) {
+            // Phase 2, Step 7: Message Embedding Tracking
+            console.log('\n--- Phase 2: Message Embedding Tracking ---');
         
-        // Verify initial state
-        if (message.last_embedded_at !== null) {
-            throw new Error('Expected new message to have null last_embedded_at');
-        }
-        console.log('✓ New message created with null last_embedded_at');
+            // Get a sample channel ID from existing messages
+            const { data: channelRow, error: channelError } = await supabase
+                .from('messages')
+                .select('channel_id')
+                .not('channel_id', 'is', null)
+                .limit(1)
+                .single();
+
+            if (channelError) throw channelError;
+            if (!channelRow?.channel_id) throw new Error('No channel found for test message');
+            sampleChannel = channelRow;
         
-        // Update last_embedded_at
-        const now = new Date().toISOString();
-        const { error: updateError } = await supabase
-            .from('messages')
-            .update({ last_embedded_at: now })
-            .eq('id', message.id);
-
-        if (updateError) throw updateError;
+            // Create a test message
+            const { data: message, error: createError } = await supabase
+                .from('messages')
+                .insert({
+                    content: 'Test message for embedding tracking',
+                    type: 'system',
+                    channel_id: sampleChannel.channel_id,
+                    dm_id: null
+                })
+                .select()
+                .single();
+
+            if (createError) throw createError;
+            if (!message) throw new Error('Failed to create test message');
         
-        // Verify update
-        const { data: updated, error: fetchError } = await supabase
-            .from('messages')
-            .select('last_embedded_at')
-            .eq('id', message.id)
-            .single();
-
-        if (fetchError) throw fetchError;
-        if (!updated || !updated.last_embedded_at) {
-            throw new Error('Failed to update last_embedded_at');
-        }
+            // Verify initial state
+            if (message.last_embedded_at !== null) {
+                throw new Error('Expected new message to have null last_embedded_at');
+            }
+            console.log('✓ New message created with null last_embedded_at');
         
-        // Verify timestamp is valid
-        const timestamp = new Date(updated.last_embedded_at);
-        if (isNaN(timestamp.getTime())) {
-            throw new Error('Invalid timestamp format');
-        }
-        console.log('✓ last_embedded_at column is working correctly');
-
-        // Verify indexes exist
-        console.log('\nVerifying embedding tracking indexes...');
-        const { data: indexList, error: indexError } = await supabase
-            .rpc('check_indexes', {
-                table_name: 'messages',
-                index_patterns: [
-                    'idx_messages_last_embedded_at',
-                    'idx_messages_embedding_update'
-                ]
-            });
+            // Update last_embedded_at
+            const now = new Date().toISOString();
+            const { error: updateError } = await supabase
+                .from('messages')
+                .update({ last_embedded_at: now })
+                .eq('id', message.id);
 
-        if (indexError) {
-            console.log('⚠️ Could not verify indexes through RPC, checking through SQL...');
-            // Fallback to checking if indexes work through a test query
-            const { error: queryError } = await supabase
+            if (updateError) throw updateError;
+        
+            // Verify update
+            const { data: updated, error: fetchError } = await supabase
                 .from('messages')
-                .select('id')
-                .is('last_embedded_at', null)
-                .limit(1);
+                .select('last_embedded_at')
+                .eq('id', message.id)
+                .single();
 
-            if (queryError) {
-                throw new Error('Index verification failed: ' + queryError.message);
+            if (fetchError) throw fetchError;
+            if (!updated || !updated.last_embedded_at) {
+                throw new Error('Failed to update last_embedded_at');
             }
-            console.log('✓ Embedding tracking indexes are functional');
-        } else {
-            if (!indexList || indexList.length !== 2) {
-                throw new Error('Missing required indexes for embedding tracking');
+        
+            // Verify timestamp is valid
+            const timestamp = new Date(updated.last_embedded_at);
+            if (isNaN(timestamp.getTime())) {
+                throw new Error('Invalid timestamp format');
+            }
+            console.log('✓ last_embedded_at column is working correctly');
+
+            // Verify indexes exist
+            console.log('\nVerifying embedding tracking indexes...');
+            const { data: indexList, error: indexError } = await supabase
+                .rpc('check_indexes', {
+                    table_name: 'messages',
+                    index_patterns: [
+                        'idx_messages_last_embedded_at',
+                        'idx_messages_embedding_update'
+                    ]
+                });
+
+            if (indexError) {
+                console.log('⚠️ Could not verify indexes through RPC, checking through SQL...');
+                // Fallback to checking if indexes work through a test query
+                const { error: queryError } = await supabase
+                    .from('messages')
+                    .select('id')
+                    .is('last_embedded_at', null)
+                    .limit(1);
+
+                if (queryError) {
+                    throw new Error('Index verification failed: ' + queryError.message);
+                }
+                console.log('✓ Embedding tracking indexes are functional');
+            } else {
+                if (!indexList || indexList.length !== 2) {
+                    throw new Error('Missing required indexes for embedding tracking');
+                }
+                console.log('✓ Embedding tracking indexes are present');
             }
-            console.log('✓ Embedding tracking indexes are present');
-        }
 
-        // Test scheduled re-embedding process
-        console.log('\nTesting Scheduled Re-embedding Process:');
+            // Test scheduled re-embedding process
+            console.log('\nTesting Scheduled Re-embedding Process:');
         
-        // First, update timestamps for all existing messages
-        const updateResult = await ragService.updateExistingMessagesTimestamp();
-        if (!updateResult.success) {
-            throw new Error(`Failed to update message timestamps: ${updateResult.error}`);
-        }
-        console.log(`Updated timestamps for ${updateResult.updatedCount} messages`);
-
-        // Create test messages that need embedding
-        const testMessages = [
-            {
-                content: 'Test message 1 for scheduled re-embedding',
-                type: 'system',
-                channel_id: sampleChannel.channel_id,
-                last_embedded_at: null // New message, needs embedding
-            },
-            {
-                content: 'Test message 2 for scheduled re-embedding',
-                type: 'system',
-                channel_id: sampleChannel.channel_id,
-                last_embedded_at: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString() // 25 hours old, needs re-embedding
-            },
-            {
-                content: 'Test message 3 for scheduled re-embedding',
-                type: 'system',
-                channel_id: sampleChannel.channel_id,
-                last_embedded_at: new Date().toISOString() // Just embedded, should not need re-embedding
+            // First, update timestamps for all existing messages
+            const updateResult = await ragService.updateExistingMessagesTimestamp();
+            if (!updateResult.success) {
+                throw new Error(`Failed to update message timestamps: ${updateResult.error}`);
             }
-        ];
+            console.log(`Updated timestamps for ${updateResult.updatedCount} messages`);
+
+            // Create test messages that need embedding
+            const testMessages = [
+                {
+                    content: 'Test message 1 for scheduled re-embedding',
+                    type: 'system',
+                    channel_id: sampleChannel.channel_id,
+                    last_embedded_at: null // New message, needs embedding
+                },
+                {
+                    content: 'Test message 2 for scheduled re-embedding',
+                    type: 'system',
+                    channel_id: sampleChannel.channel_id,
+                    last_embedded_at: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString() // 25 hours old, needs re-embedding
+                },
+                {
+                    content: 'Test message 3 for scheduled re-embedding',
+                    type: 'system',
+                    channel_id: sampleChannel.channel_id,
+                    last_embedded_at: new Date().toISOString() // Just embedded, should not need re-embedding
+                }
+            ];
 
-        // Insert test messages
-        const { data: insertedMessages, error: insertError } = await supabase
-            .from('messages')
-            .insert(testMessages)
-            .select();
+            // Insert test messages
+            const { data: insertedMessages, error: insertError } = await supabase
+                .from('messages')
+                .insert(testMessages)
+                .select();
 
-        if (insertError) throw insertError;
-        console.log(`Created ${insertedMessages.length} test messages`);
+            if (insertError) throw insertError;
+            console.log(`Created ${insertedMessages.length} test messages`);
 
-        // Run scheduled re-embedding with 24-hour threshold
-        const firstRun = await ragService.scheduleReembedding({ reembedAfterHours: 24 });
-        if (!firstRun.success) {
-            throw new Error(`First re-embedding run failed: ${firstRun.error}`);
-        }
-        console.log('First run results:', {
-            messagesProcessed: firstRun.messagesProcessed,
-            status: firstRun.status
-        });
+            // Run scheduled re-embedding with 24-hour threshold
+            const firstRun = await ragService.scheduleReembedding({ reembedAfterHours: 24 });
+            if (!firstRun.success) {
+                throw new Error(`First re-embedding run failed: ${firstRun.error}`);
+            }
+            console.log('First run results:', {
+                messagesProcessed: firstRun.messagesProcessed,
+                status: firstRun.status
+            });
 
-        // First run should process all messages that need embedding
-        if (firstRun.messagesProcessed === 0) {
-            throw new Error('Expected messages to be processed in first run');
-        }
+            // First run should process all messages that need embedding
+            if (firstRun.messagesProcessed === 0) {
+                throw new Error('Expected messages to be processed in first run');
+            }
 
-        // Run again to verify no pending messages
-        const secondRun = await ragService.scheduleReembedding({ reembedAfterHours: 24 });
-        if (!secondRun.success) {
-            throw new Error(`Second re-embedding run failed: ${secondRun.error}`);
-        }
-        console.log('Second run results:', {
-            messagesProcessed: secondRun.messagesProcessed,
-            status: secondRun.status
-        });
+            // Run again to verify no pending messages
+            const secondRun = await ragService.scheduleReembedding({ reembedAfterHours: 24 });
+            if (!secondRun.success) {
+                throw new Error(`Second re-embedding run failed: ${secondRun.error}`);
+            }
+            console.log('Second run results:', {
+                messagesProcessed: secondRun.messagesProcessed,
+                status: secondRun.status
+            });
 
-        // Verify no messages were processed in second run
-        if (secondRun.messagesProcessed !== 0) {
-            throw new Error(`Expected 0 messages to be processed in second run, got ${secondRun.messagesProcessed}`);
-        }
+            // Verify no messages were processed in second run
+            if (secondRun.messagesProcessed !== 0) {
+                throw new Error(`Expected 0 messages to be processed in second run, got ${secondRun.messagesProcessed}`);
+            }
 
-        console.log('✓ Scheduled re-embedding process is working correctly');
+            console.log('✓ Scheduled re-embedding process is working correctly');
 
-        // Phase 2: Query Vector Database and Generate LLM Answer
-        console.log('\n--- Phase 2: Search Endpoint Testing ---');
+            // Phase 2: Query Vector Database and Generate LLM Answer
+            console.log('\n--- Phase 2: Search Endpoint Testing ---');
 
-        // Get auth token first
-        console.log('\nGetting auth token...');
-        const loginResponse = await request(baseURL)
-            .post('/api/auth/login')
-            .send({
-                email: process.env.TEST_USER_EMAIL,
-                password: process.env.TEST_USER_PASSWORD
-            });
+            // Get auth token first
+            console.log('\nGetting auth token...');
+            const loginResponse = await request(baseURL)
+                .post('/api/auth/login')
+                .send({
+                    email: process.env.TEST_USER_EMAIL,
+                    password: process.env.TEST_USER_PASSWORD
+                });
 
-        if (!loginResponse.body?.token) {
-            throw new Error('Failed to get auth token');
-        }
-        const token = loginResponse.body.token;
-        console.log('✓ Successfully obtained auth token');
-
-        // Testing search endpoint without auth token
-        console.log('\nTesting search endpoint authentication:');
-        const noAuthResponse = await request(baseURL)
-            .post('/api/rag/search')
-            .send({ query: 'test query' });
+            if (!loginResponse.body?.token) {
+                throw new Error('Failed to get auth token');
+            }
+            const token = loginResponse.body.token;
+            console.log('✓ Successfully obtained auth token');
+
+            // Testing search endpoint without auth token
+            console.log('\nTesting search endpoint authentication:');
+            const noAuthResponse = await request(baseURL)
+                .post('/api/rag/search')
+                .send({ query: 'test query' });
         
-        if (noAuthResponse.status !== 401) {
-            throw new Error(`Expected 401 status for unauthorized request, got ${noAuthResponse.status}`);
-        }
-        console.log('✓ Search endpoint correctly requires authentication');
-
-        // Test search endpoint with invalid query
-        console.log('\nTesting search endpoint validation:');
-        const invalidResponse = await request(baseURL)
-            .post('/api/rag/search')
-            .set('Authorization', `Bearer ${token}`)
-            .send({});
+            if (noAuthResponse.status !== 401) {
+                throw new Error(`Expected 401 status for unauthorized request, got ${noAuthResponse.status}`);
+            }
+            console.log('✓ Search endpoint correctly requires authentication');
+
+            // Test search endpoint with invalid query
+            console.log('\nTesting search endpoint validation:');
+            const invalidResponse = await request(baseURL)
+                .post('/api/rag/search')
+                .set('Authorization', `Bearer ${token}`)
+                .send({});
         
-        if (invalidResponse.status !== 400) {
-            throw new Error(`Expected 400 status for invalid request, got ${invalidResponse.status}`);
-        }
-        console.log('✓ Search endpoint correctly validates input');
-
-        // Test search endpoint with valid query
-        console.log('\nTesting search endpoint with valid query:');
-        const searchResponse = await request(baseURL)
-            .post('/api/rag/search')
-            .set('Authorization', `Bearer ${token}`)
-            .send({ query: 'test query' });
+            if (invalidResponse.status !== 400) {
+                throw new Error(`Expected 400 status for invalid request, got ${invalidResponse.status}`);
+            }
+            console.log('✓ Search endpoint correctly validates input');
+
+            // Test search endpoint with valid query
+            console.log('\nTesting search endpoint with valid query:');
+            const searchResponse = await request(baseURL)
+                .post('/api/rag/search')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ query: 'test query' });
         
-        if (searchResponse.status !== 200) {
-            throw new Error(`Search request failed with status ${searchResponse.status}: ${JSON.stringify(searchResponse.body)}`);
-        }
-        if (!searchResponse.body.success) {
-            throw new Error(`Search request returned success: false - ${searchResponse.body.error}`);
-        }
-        if (!Array.isArray(searchResponse.body.results)) {
-            throw new Error('Expected results to be an array');
+            if (searchResponse.status !== 200) {
+                throw new Error(`Search request failed with status ${searchResponse.status}: ${JSON.stringify(searchResponse.body)}`);
+            }
+            if (!searchResponse.body.success) {
+                throw new Error(`Search request returned success: false - ${searchResponse.body.error}`);
+            }
+            if (!Array.isArray(searchResponse.body.results)) {
+                throw new Error('Expected results to be an array');
+            }
+            console.log('✓ Search endpoint successfully processes queries');
+            console.log('Sample search response:', {
+                status: searchResponse.status,
+                results: searchResponse.body.results.length,
+                firstResult: searchResponse.body.results[0]
+            });
+
+
         }
-        console.log('✓ Search endpoint successfully processes queries');
-        console.log('Sample search response:', {
-            status: searchResponse.status,
-            results: searchResponse.body.results.length,
-            firstResult: searchResponse.body.results[0]
-        });
 
         // Phase 2: Query Embedding Tests
         console.log('\n--- Testing Query Embedding ---');
@@ -607,8 +641,8 @@ request.agent(baseURL);
         }
 
         // Verify embedding dimensions
-        if (queryEmbedding.vector.length !== 3072) {
-            throw new Error(`Unexpected embedding dimension: ${queryEmbedding.vector.length} (expected 3072)`);
+        if (queryEmbedding.vector.length !== expectedDimension) {
+            throw new Error(`Unexpected embedding dimension: ${queryEmbedding.vector.length} (expected ${expectedDimension})`);
         }
 
         // Verify embedding is normalized
@@ -657,18 +691,22 @@ request.agent(baseURL);
         const searchTestMessage = {
             content: "The capital of France is Paris. The city is known for the Eiffel Tower.",
             type: 'system',
-            channel_id: sampleChannel.channel_id
+            channel_id: sampleChannel?.channel_id ?? null
         };
 
-        // Insert test message
-        const { data: insertedSearchMessage, error: searchInsertError } = await supabase
-            .from('messages')
-            .insert(searchTestMessage)
-            .select()
-            .single();
+        // Insert test message; offline runs only need an ID for the vector store
+        let searchMessageId = 'offline-search-message';
+        if (!offline) {
+            const { data: insertedSearchMessage, error: searchInsertError } = await supabase
+                .from('messages')
+                .insert(searchTestMessage)
+                .select()
+                .single();
 
-        if (searchInsertError) throw searchInsertError;
-        console.log('✓ Created test message for similarity search');
+            if (searchInsertError) throw searchInsertError;
+            searchMessageId = insertedSearchMessage.id;
+            console.log('✓ Created test message for similarity search');
+        }
 
         // Generate embedding and upsert to vector store
         const searchMessageEmbedding = await ragService.embedQuery(searchTestMessage.content);
@@ -676,8 +714,8 @@ request.agent(baseURL);
             throw new Error('Failed to generate embedding for test message');
         }
 
-        await index.upsert([{
-            id: insertedSearchMessage.id,
+        await vectorStore.upsert([{
+            id: searchMessageId,
             values: searchMessageEmbedding.vector,
             metadata: {
                 content: searchTestMessage.content
@@ -896,56 +934,60 @@ request.agent(baseURL);
         
         console.log('✓ All chat prompt construction tests passed');
 
-        // Test OpenAI chat completion
-        console.log('\nTesting OpenAI chat completion...');
+        if (!skipOffline('OpenAI chat completion')) {
+            // Test OpenAI chat completion
+            console.log('\nTesting OpenAI chat completion...');
         
-        // Test with our chat prompt
-        console.log('Testing chat completion with valid prompt...');
-        const completionResult = await ragService.sendToOpenAI(chatPrompt);
+            // Test with our chat prompt
+            console.log('Testing chat completion with valid prompt...');
+            const completionResult = await ragService.sendToOpenAI(chatPrompt);
         
-        // Verify completion result
-        if (!completionResult.success) {
-            throw new Error(`Chat completion failed: ${completionResult.error}`);
-        }
-        if (!completionResult.content || typeof completionResult.content !== 'string' || completionResult.content.length === 0) {
-            throw new Error('Invalid or empty content received');
-        }
-        if (!completionResult.usage || !completionResult.usage.total_tokens) {
-            throw new Error('Missing usage information');
-        }
-        console.log('Sample answer:', completionResult.content.substring(0, 100));
-        console.log('✓ Successfully received valid completion');
-
-        // Test with invalid messages
-        console.log('Testing error cases...');
-        const emptyResult = await ragService.sendToOpenAI([]);
-        if (emptyResult.success !== false || !emptyResult.error.includes('Invalid or missing messages')) {
-            throw new Error('Expected error for empty messages array');
-        }
-        console.log('✓ Correctly handles empty messages array');
+            // Verify completion result
+            if (!completionResult.success) {
+                throw new Error(`Chat completion failed: ${completionResult.error}`);
+            }
+            if (!completionResult.content || typeof completionResult.content !== 'string' || completionResult.content.length === 0) {
+                throw new Error('Invalid or empty content received');
+            }
+            if (!completionResult.usage || !completionResult.usage.total_tokens) {
+                throw new Error('Missing usage information');
+            }
+            console.log('Sample answer:', completionResult.content.substring(0, 100));
+            console.log('✓ Successfully received valid completion');
+
+            // Test with invalid messages
+            console.log('Testing error cases...');
+            const emptyResult = await ragService.sendToOpenAI([]);
+            if (emptyResult.success !== false || !emptyResult.error.includes('Invalid or missing messages')) {
+                throw new Error('Expected error for empty messages array');
+            }
+            console.log('✓ Correctly handles empty messages array');
 
-        const nullResult = await ragService.sendToOpenAI(null);
-        if (nullResult.success !== false || !nullResult.error.includes('Invalid or missing messages')) {
-            throw new Error('Expected error for null messages');
-        }
-        console.log('✓ Correctly handles null messages');
+            const nullResult = await ragService.sendToOpenAI(null);
+            if (nullResult.success !== false || !nullResult.error.includes('Invalid or missing messages')) {
+                throw new Error('Expected error for null messages');
+            }
+            console.log('✓ Correctly handles null messages');
 
-        // Test with custom parameters
-        console.log('Testing with custom parameters...');
-        const customCompletionResult = await ragService.sendToOpenAI(chatPrompt, {
-            temperature: 0.2,
-            max_tokens: 200
-        });
+            // Test with custom parameters
+            console.log('Testing with custom parameters...');
+            const customCompletionResult = await ragService.sendToOpenAI(chatPrompt, {
+                temperature: 0.2,
+                max_tokens: 200
+            });
         
-        if (!customCompletionResult.success) {
-            throw new Error(`Custom parameters completion failed: ${customCompletionResult.error}`);
-        }
-        if (!customCompletionResult.content || customCompletionResult.content.length === 0) {
-            throw new Error('Failed to get content with custom parameters');
-        }
-        console.log('✓ Successfully handles custom parameters');
+            if (!customCompletionResult.success) {
+                throw new Error(`Custom parameters completion failed: ${customCompletionResult.error}`);
+            }
+            if (!customCompletionResult.content || customCompletionResult.content.length === 0) {
+                throw new Error('Failed to get content with custom parameters');
+            }
+            console.log('✓ Successfully handles custom parameters');
 
-        console.log('✓ All OpenAI chat completion tests passed');
+            console.log('✓ All OpenAI chat completion tests passed');
+
+
+        }
 
         // Test JSON response formatting
         console.log('\nTesting JSON response formatting...');
@@ -995,17 +1037,50 @@ request.agent(baseURL);
 
         console.log('✓ All JSON response formatting tests passed');
 
+        if (!skipOffline('Answer pipeline')) {
+            // Test the end-to-end answer pipeline used by POST /api/rag/ask
+            console.log('\nTesting answer pipeline...');
+            const answerResult = await ragService.answerQuestion(searchQuery, { topK: 5 });
+            if (!answerResult.success) {
+                throw new Error(`Answer pipeline failed: ${answerResult.error}`);
+            }
+            if (!answerResult.answer || typeof answerResult.answer !== 'string') {
+                throw new Error('Answer pipeline returned no answer');
+            }
+            if (!Array.isArray(answerResult.sources)) {
+                throw new Error('Answer pipeline must return a sources array');
+            }
+            for (const source of answerResult.sources) {
+                if (!source.id || typeof source.score !== 'number') {
+                    throw new Error('Each source must include a message id and score');
+                }
+            }
+            if (!answerResult.usage?.totalTokens) {
+                throw new Error('Answer pipeline missing token usage');
+            }
+            console.log('✓ Answer pipeline returns answer, sources and usage', {
+                sourceCount: answerResult.sources.length,
+                totalTokens: answerResult.usage.totalTokens
+            });
+
+
+        }
+
         // Test error handling and fallback paths
         console.log('\nTesting error handling and fallback paths...');
         
-        // Test OpenAI API error
-        console.log('Testing OpenAI API error handling...');
-        const invalidMessages = [{ role: 'user', content: 'test'.repeat(50000) }]; // Too many tokens
-        const apiErrorResult = await ragService.sendToOpenAI(invalidMessages);
-        if (apiErrorResult.success !== false || !apiErrorResult.error) {
-            throw new Error('Expected API error to be handled gracefully');
+        if (!skipOffline('OpenAI API error handling')) {
+            // Test OpenAI API error
+            console.log('Testing OpenAI API error handling...');
+            const invalidMessages = [{ role: 'user', content: 'test'.repeat(50000) }]; // Too many tokens
+            const apiErrorResult = await ragService.sendToOpenAI(invalidMessages);
+            if (apiErrorResult.success !== false || !apiErrorResult.error) {
+                throw new Error('Expected API error to be handled gracefully');
+            }
+            console.log('✓ OpenAI API errors are handled gracefully');
+
+
         }
-        console.log('✓ OpenAI API errors are handled gracefully');
 
         // Test empty context error
         console.log('Testing empty context handling...');
@@ -1049,89 +1124,93 @@ request.agent(baseURL);
 
         console.log('✓ All error handling tests passed');
 
-        // Testing re-embedding functionality
-        console.log('\nTesting Re-embedding Process:');
+        if (!skipOffline('Re-embedding')) {
+            // Testing re-embedding functionality
+            console.log('\nTesting Re-embedding Process:');
+
+            // Create test messages with different last_embedded_at values
+            const reembedTestMessages = [
+                {
+                    content: 'Test message 1 - never embedded',
+                    type: 'system',
+                    channel_id: sampleChannel.channel_id,
+                    last_embedded_at: null,
+                    sender_id: null
+                },
+                {
+                    content: 'Test message 2 - embedded long ago',
+                    type: 'system',
+                    channel_id: sampleChannel.channel_id,
+                    last_embedded_at: new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString(),
+                    sender_id: null
+                },
+                {
+                    content: 'Test message 3 - recently embedded',
+                    type: 'system',
+                    channel_id: sampleChannel.channel_id,
+                    last_embedded_at: new Date().toISOString(),
+                    sender_id: null
+                }
+            ];
 
-        // Create test messages with different last_embedded_at values
-        const reembedTestMessages = [
-            {
-                content: 'Test message 1 - never embedded',
-                type: 'system',
-                channel_id: sampleChannel.channel_id,
-                last_embedded_at: null,
-                sender_id: null
-            },
-            {
-                content: 'Test message 2 - embedded long ago',
-                type: 'system',
-                channel_id: sampleChannel.channel_id,
-                last_embedded_at: new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString(),
-                sender_id: null
-            },
-            {
-                content: 'Test message 3 - recently embedded',
-                type: 'system',
-                channel_id: sampleChannel.channel_id,
-                last_embedded_at: new Date().toISOString(),
-                sender_id: null
+            // Insert test messages
+            console.log('Creating test messages...');
+            const { data: reembedInsertedMessages, error: reembedInsertError } = await supabase
+                .from('messages')
+                .insert(reembedTestMessages)
+                .select();
+
+            if (reembedInsertError) throw reembedInsertError;
+            console.log(`Created ${reembedInsertedMessages.length} test messages`);
+
+            // Run re-embedding process
+            console.log('\nRunning re-embedding process...');
+            const reembedResult = await ragService.scheduleReembedding({ reembedAfterHours: 24 });
+            if (!reembedResult.success) {
+                throw new Error(`Re-embedding failed: ${reembedResult.error}`);
             }
-        ];
+            console.log('Re-embedding results:', {
+                messagesProcessed: reembedResult.messagesProcessed,
+                status: reembedResult.status
+            });
 
-        // Insert test messages
-        console.log('Creating test messages...');
-        const { data: reembedInsertedMessages, error: reembedInsertError } = await supabase
-            .from('messages')
-            .insert(reembedTestMessages)
-            .select();
-
-        if (reembedInsertError) throw reembedInsertError;
-        console.log(`Created ${reembedInsertedMessages.length} test messages`);
-
-        // Run re-embedding process
-        console.log('\nRunning re-embedding process...');
-        const reembedResult = await ragService.scheduleReembedding({ reembedAfterHours: 24 });
-        if (!reembedResult.success) {
-            throw new Error(`Re-embedding failed: ${reembedResult.error}`);
-        }
-        console.log('Re-embedding results:', {
-            messagesProcessed: reembedResult.messagesProcessed,
-            status: reembedResult.status
-        });
+            // Verify messages were processed correctly
+            console.log('\nVerifying message processing...');
+            const { data: reembedProcessedMessages, error: reembedFetchError } = await supabase
+                .from('messages')
+                .select('*')
+                .in('id', reembedInsertedMessages.map(m => m.id));
 
-        // Verify messages were processed correctly
-        console.log('\nVerifying message processing...');
-        const { data: reembedProcessedMessages, error: reembedFetchError } = await supabase
-            .from('messages')
-            .select('*')
-            .in('id', reembedInsertedMessages.map(m => m.id));
+            if (reembedFetchError) throw reembedFetchError;
 
-        if (reembedFetchError) throw reembedFetchError;
+            // Check that appropriate messages were processed
+            const recentlyProcessed = reembedProcessedMessages.filter(m => {
+                const lastEmbedded = new Date(m.last_embedded_at);
+                const now = new Date();
+                return now - lastEmbedded < 60000; // processed in the last minute
+            });
 
-        // Check that appropriate messages were processed
-        const recentlyProcessed = reembedProcessedMessages.filter(m => {
-            const lastEmbedded = new Date(m.last_embedded_at);
-            const now = new Date();
-            return now - lastEmbedded < 60000; // processed in the last minute
-        });
+            if (recentlyProcessed.length !== 3) { // Changed from 2 to 3 since all messages need processing
+                throw new Error(`Expected 3 messages to be processed, but got ${recentlyProcessed.length}`);
+            }
 
-        if (recentlyProcessed.length !== 3) { // Changed from 2 to 3 since all messages need processing
-            throw new Error(`Expected 3 messages to be processed, but got ${recentlyProcessed.length}`);
-        }
+            // Test monitoring alerts
+            console.log('\nTesting monitoring alerts...');
+            console.log('✓ Monitoring alerts test skipped (table not created yet)');
+
+            // Clean up test messages
+            console.log('\nCleaning up test messages...');
+            const { error: reembedCleanupError } = await supabase
+                .from('messages')
+                .delete()
+                .in('id', reembedInsertedMessages.map(m => m.id));
 
-        // Test monitoring alerts
-        console.log('\nTesting monitoring alerts...');
-        console.log('✓ Monitoring alerts test skipped (table not created yet)');
+            if (reembedCleanupError) throw reembedCleanupError;
 
-        // Clean up test messages
-        console.log('\nCleaning up test messages...');
-        const { error: reembedCleanupError } = await supabase
-            .from('messages')
-            .delete()
-            .in('id', reembedInsertedMessages.map(m => m.id));
+            console.log('✓ All re-embedding tests passed');
 
-        if (reembedCleanupError) throw reembedCleanupError;
 
-        console.log('✓ All re-embedding tests passed');
+        }
 
         // End test suite
         console.log('\n=== All Tests Passed ===\n');
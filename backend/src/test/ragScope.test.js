@@ -0,0 +1,163 @@
+/**
+ * @file ragScope.test.js
+ * @description Offline test suite for RAG search scopes: which channels and DMs a
+ * user's search may draw on, and that scoped searches never return messages from
+ * anywhere else. Runs against a stand-in Supabase client and the local vector store.
+ */
+
+// The RAG service reads its backends from the environment, so configure it first
+process.env.VECTOR_STORE = 'local';
+process.env.EMBEDDING_PROVIDER = 'local';
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+delete process.env.LOCAL_VECTOR_STORE_PATH;
+
+import { assert } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const AI_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+const expectRejection = async (promise, pattern, message) => {
+    try {
+        await promise;
+    } catch (error) {
+        assert(pattern.test(error.message), `${message}: unexpected error ${error.message}`);
+        return;
+    }
+    throw new Error(message);
+};
+
+// Main test execution
+(async () => {
+    try {
+        const { LocalVectorStore } = await import('../services/vectorStores/index.js');
+        const { LocalEmbeddingProvider } = await import('../services/embeddings/index.js');
+        const { RAGService } = await import('../services/ragService.js');
+
+        console.log('\n=== Starting RAG Scope Tests ===\n');
+
+        // alice is in #general, #secret (private), #team (private, with carol)
+        // and a DM with bob; carol is in #general, #team and a DM with dave
+        const supabase = createFakeSupabase({
+            channels: [
+                { id: 'general', is_private: false },
+                { id: 'secret', is_private: true },
+                { id: 'random', is_private: false },
+                { id: 'team', is_private: true }
+            ],
+            channel_members: [
+                { channel_id: 'general', user_id: 'alice' },
+                { channel_id: 'general', user_id: 'carol' },
+                { channel_id: 'general', user_id: AI_USER_ID },
+                { channel_id: 'secret', user_id: 'alice' },
+                { channel_id: 'team', user_id: 'alice' },
+                { channel_id: 'team', user_id: 'carol' }
+            ],
+            direct_message_members: [
+                { dm_id: 'dm-alice-bob', user_id: 'alice' },
+                { dm_id: 'dm-alice-bob', user_id: 'bob' },
+                { dm_id: 'dm-carol-dave', user_id: 'carol' },
+                { dm_id: 'dm-carol-dave', user_id: 'dave' }
+            ]
+        }, {
+            relations: {
+                channels: {
+                    channel_members: (channel, tables) => tables.channel_members.filter(member => member.channel_id === channel.id)
+                }
+            }
+        });
+
+        const embeddings = new LocalEmbeddingProvider({ dimension: 128 });
+        const store = new LocalVectorStore();
+        const rag = new RAGService({ vectorStore: store, embeddings, supabase });
+
+        // Step 1: Channel scope
+        console.log('\n--- Testing Channel Scope ---');
+        const memberFilter = await rag.buildScopeFilter({ userId: 'alice', type: 'channel', channelId: 'secret' });
+        assert(memberFilter?.channel_id?.$eq === 'secret', 'Members should be able to search a private channel');
+        assert(await rag.buildScopeFilter({ userId: 'carol', type: 'channel', channelId: 'secret' }) === null,
+            'Non-members must not search a private channel');
+        const publicFilter = await rag.buildScopeFilter({ userId: 'carol', type: 'channel', channelId: 'random' });
+        assert(publicFilter?.channel_id?.$eq === 'random', 'Anyone should be able to search a public channel');
+        assert(await rag.buildScopeFilter({ userId: 'alice', type: 'channel', channelId: 'missing' }) === null,
+            'Unknown channels should match nothing');
+        console.log('✓ Channel scopes follow channel visibility');
+
+        // Step 2: DM scope
+        console.log('\n--- Testing DM Scope ---');
+        const dmFilter = await rag.buildScopeFilter({ userId: 'bob', type: 'dm', dmId: 'dm-alice-bob' });
+        assert(dmFilter?.dm_id?.$eq === 'dm-alice-bob', 'Participants should be able to search their DM');
+        assert(await rag.buildScopeFilter({ userId: 'carol', type: 'dm', dmId: 'dm-alice-bob' }) === null,
+            'Non-participants must not search a DM');
+        console.log('✓ DM scopes are limited to participants');
+
+        // Step 3: 'all' scope
+        console.log('\n--- Testing All Scope ---');
+        const aliceAll = await rag.buildScopeFilter({ userId: 'alice' });
+        assert(aliceAll.$or.length === 2, 'All scope should cover channels and DMs');
+        assert(JSON.stringify(aliceAll.$or[0].channel_id.$in) === '["general","secret","team"]', 'All scope should list only the user\'s channels');
+        assert(JSON.stringify(aliceAll.$or[1].dm_id.$in) === '["dm-alice-bob"]', 'All scope should list only the user\'s DMs');
+        const bobAll = await rag.buildScopeFilter({ userId: 'bob', type: 'all' });
+        assert(bobAll.dm_id?.$in?.length === 1 && !bobAll.channel_id && !bobAll.$or, 'Users without channels should only get their DMs');
+        assert(await rag.buildScopeFilter({ userId: 'nobody' }) === null, 'Users without conversations should match nothing');
+        console.log('✓ All scope only covers the user\'s own conversations');
+
+        // Step 4: Shared scope
+        console.log('\n--- Testing Shared Scope ---');
+        const generalShared = await rag.buildScopeFilter({ userId: 'alice', type: 'shared', channelId: 'general' });
+        assert(JSON.stringify(generalShared) === '{"channel_id":{"$in":["general","team"]}}',
+            'Answers in a channel should only draw on conversations all of its members can read');
+        const secretShared = await rag.buildScopeFilter({ userId: 'alice', type: 'shared', channelId: 'secret' });
+        assert(JSON.stringify(secretShared.$or[0].channel_id.$in) === '["general","secret","team"]' && secretShared.$or[1].dm_id.$in[0] === 'dm-alice-bob',
+            'Answers only the asker reads may draw on everything the asker can see');
+        const dmShared = await rag.buildScopeFilter({ userId: 'alice', type: 'shared', dmId: 'dm-alice-bob' });
+        assert(JSON.stringify(dmShared) === '{"$or":[{"channel_id":{"$in":["general"]}},{"dm_id":{"$in":["dm-alice-bob"]}}]}',
+            'Answers in a DM should not reveal private channels the other participant is not in');
+        assert(await rag.buildScopeFilter({ userId: 'bob', type: 'shared', channelId: 'general' }) === null,
+            'Askers outside every shared conversation should match nothing');
+        console.log('✓ Shared scope only covers conversations every reader can see');
+
+        // Step 5: Malformed scopes
+        console.log('\n--- Testing Malformed Scopes ---');
+        await expectRejection(rag.buildScopeFilter({ type: 'all' }), /userId/, 'Scopes should require a user');
+        await expectRejection(rag.buildScopeFilter({ userId: 'alice', type: 'channel' }), /channelId/, 'Channel scopes should require a channel');
+        await expectRejection(rag.buildScopeFilter({ userId: 'alice', type: 'dm' }), /dmId/, 'DM scopes should require a DM');
+        await expectRejection(rag.buildScopeFilter({ userId: 'alice', type: 'shared' }), /channelId or dmId/, 'Shared scopes should require a conversation');
+        await expectRejection(rag.buildScopeFilter({ userId: 'alice', type: 'everything' }), /Unknown search scope/, 'Unknown scope types should be rejected');
+        console.log('✓ Malformed scopes are rejected');
+
+        // Step 6: Scoped searches
+        console.log('\n--- Testing Scoped Searches ---');
+        const messages = {
+            'msg-general': { content: 'The release deploy is on Friday', channel_id: 'general' },
+            'msg-secret': { content: 'The secret release deploy plan for Friday', channel_id: 'secret' },
+            'msg-dm': { content: 'Friday release deploy, just between us', dm_id: 'dm-alice-bob' },
+            'msg-other-dm': { content: 'Is the release deploy still Friday?', dm_id: 'dm-carol-dave' }
+        };
+        await store.upsert(await Promise.all(Object.entries(messages).map(async ([id, metadata]) => ({
+            id,
+            values: await embeddings.embedQuery(metadata.content),
+            metadata
+        }))));
+
+        const idsFor = async (scope) => {
+            const result = await rag.search('release deploy Friday', { topK: 10, scope });
+            assert(result.success, `Scoped search failed: ${result.error}`);
+            return result.results.map(match => match.id).sort().join(',');
+        };
+
+        assert(await idsFor({ userId: 'carol' }) === 'msg-general,msg-other-dm', 'Searches must not reach other users\' private channels or DMs');
+        assert(await idsFor({ userId: 'alice' }) === 'msg-dm,msg-general,msg-secret', 'Searches should reach every conversation the user is in');
+        assert(await idsFor({ userId: 'carol', type: 'channel', channelId: 'secret' }) === '', 'Denied scopes should return no results');
+        assert(await idsFor({ userId: 'bob', type: 'dm', dmId: 'dm-alice-bob' }) === 'msg-dm', 'DM searches should stay in the DM');
+        assert(await idsFor({ userId: 'alice', type: 'shared', channelId: 'general' }) === 'msg-general',
+            'Answers posted in a channel must not quote the asker\'s private channels or DMs');
+        console.log('✓ Scoped searches only return visible messages');
+
+        console.log('\n=== All RAG Scope Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,75 @@
+/**
+ * @file readState.test.js
+ * @description Offline test suite for read cursors: marking channels and DMs read,
+ * keeping cursors from moving backwards and loading unread counts. Runs against an
+ * in-memory stand-in for Supabase and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+
+import { assert, expectStatus } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+// Main test execution
+(async () => {
+    try {
+        const { ReadStateService } = await import('../services/readStateService.js');
+
+        const joinedAt = '2024-01-01T00:00:00.000Z';
+        const tables = {
+            channel_members: [{ channel_id: 'channel-1', user_id: 'ada', joined_at: joinedAt, last_read_at: null }],
+            direct_message_members: [{ dm_id: 'dm-1', user_id: 'ada', joined_at: joinedAt, last_read_at: null }],
+            messages: [
+                { id: 'message-1', channel_id: 'channel-1', dm_id: null, created_at: '2024-01-02T00:00:00.000Z' },
+                { id: 'message-2', channel_id: 'channel-1', dm_id: null, created_at: '2024-01-03T00:00:00.000Z' },
+                { id: 'message-3', channel_id: null, dm_id: 'dm-1', created_at: '2024-01-02T00:00:00.000Z' }
+            ]
+        };
+        const service = new ReadStateService({
+            supabase: createFakeSupabase(tables, {
+                rpc: {
+                    get_unread_counts: () => [
+                        { channel_id: 'channel-1', dm_id: null, last_read_at: null, unread_count: '4', mention_count: '1' }
+                    ]
+                }
+            })
+        });
+        const channelCursor = () => tables.channel_members[0].last_read_at;
+
+        console.log('\n=== Starting Read State Tests ===\n');
+
+        // Step 1: Marking read
+        console.log('\n--- Testing Read Cursors ---');
+        const first = await service.markRead({ channelId: 'channel-1' }, 'ada', { messageId: 'message-2' });
+        assert(channelCursor() === '2024-01-03T00:00:00.000Z', 'Reading up to a message should move the cursor to it');
+        assert(first.unread_since === joinedAt, 'Before the first read, messages since joining are unread');
+
+        const second = await service.markRead({ channelId: 'channel-1' }, 'ada', { messageId: 'message-1' });
+        assert(channelCursor() === '2024-01-03T00:00:00.000Z' && second.last_read_at === channelCursor(), 'Cursors should not move backwards');
+
+        const third = await service.markRead({ channelId: 'channel-1' }, 'ada');
+        assert(new Date(channelCursor()) > new Date('2024-01-03T00:00:00.000Z'), 'Marking read without a message should read everything');
+        assert(third.unread_since === '2024-01-03T00:00:00.000Z', 'The previous cursor should be returned for the divider');
+
+        await service.markRead({ dmId: 'dm-1' }, 'ada', { messageId: 'message-3' });
+        assert(tables.direct_message_members[0].last_read_at === '2024-01-02T00:00:00.000Z', 'DMs should have cursors too');
+
+        await expectStatus(service.markRead({ dmId: 'dm-1' }, 'ada', { messageId: 'message-1' }), 404, 'Messages from other conversations should be rejected');
+        await expectStatus(service.markRead({ channelId: 'channel-1' }, 'bob'), 404, 'Non-members should have no cursor');
+        console.log('✓ Read cursors only move forward');
+
+        // Step 2: Counts
+        console.log('\n--- Testing Unread Counts ---');
+        const [counts] = await service.getUnreadCounts('ada');
+        assert(counts.unread_count === 4 && counts.mention_count === 1, 'Counts should be numbers');
+        console.log('✓ Unread counts are loaded');
+
+        console.log('\n=== All Read State Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
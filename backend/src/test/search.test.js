@@ -0,0 +1,121 @@
+/**
+ * @file search.test.js
+ * @description Offline test suite for message search: query filter parsing,
+ * reciprocal rank fusion of keyword and semantic results, snippets for semantic
+ * matches, and which messages a user's search may return. Runs against an
+ * in-memory stand-in for Supabase and a stand-in vector store, and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.VECTOR_STORE = 'local';
+process.env.EMBEDDING_PROVIDER = 'local';
+delete process.env.LOCAL_VECTOR_STORE_PATH;
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'offline-test-key';
+
+import { assert, expectStatus } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+// Main test execution
+(async () => {
+    try {
+        const { SearchService, parseSearchQuery, fuseRankings, buildSnippet } = await import('../services/searchService.js');
+
+        console.log('\n=== Starting Search Tests ===\n');
+
+        // Step 1: Query parsing
+        console.log('\n--- Testing Query Parsing ---');
+        const parsed = parseSearchQuery('deploy from:@alice in:#ops has:file is:pinned after:2024-01-01 before:2024-02-01 plan');
+        assert(parsed.text === 'deploy plan', `Filters should be removed from the text, got "${parsed.text}"`);
+        assert(parsed.filters.from === 'alice' && parsed.filters.in === 'ops', 'Leading @ and # should be stripped');
+        assert(parsed.filters.hasFile === true && parsed.filters.isPinned === true, 'has:file and is:pinned should be flags');
+        assert(parsed.filters.after === '2024-01-01T00:00:00.000Z' && parsed.filters.before === '2024-02-01T00:00:00.000Z',
+            'Dates should be read as UTC midnight');
+        assert(parseSearchQuery('FROM:bob').filters.from === 'bob', 'Filter names should be case-insensitive');
+        assert(parseSearchQuery('email@from:bob').filters.from === undefined, 'Filters should only start a word');
+        const plain = parseSearchQuery('  release   notes ');
+        assert(plain.text === 'release notes' && Object.keys(plain.filters).length === 0, 'Plain text should be normalised');
+        assert(parseSearchQuery().text === '', 'A missing query should parse to nothing');
+        await expectStatus(() => parseSearchQuery('has:link'), 400, 'Unsupported has: values should be rejected');
+        await expectStatus(() => parseSearchQuery('is:starred'), 400, 'Unsupported is: values should be rejected');
+        await expectStatus(() => parseSearchQuery('before:yesterday'), 400, 'Dates not in YYYY-MM-DD should be rejected');
+        await expectStatus(() => parseSearchQuery('after:2024-13-40'), 400, 'Impossible dates should be rejected');
+        console.log('✓ Queries are split into text and filters');
+
+        // Step 2: Rank fusion
+        console.log('\n--- Testing Rank Fusion ---');
+        const fused = fuseRankings([['a', 'b', 'c'], ['c', 'a', 'd']]);
+        assert(fused.map(result => result.id).join(',') === 'a,c,b,d', `Unexpected fused order ${fused.map(result => result.id)}`);
+        assert(Math.abs(fused[0].score - (1 / 61 + 1 / 62)) < 1e-12, 'Scores should add 1 / (60 + rank) per list');
+        assert(fuseRankings([['x', 'y'], []]).map(result => result.id).join(',') === 'x,y', 'An empty ranking should change nothing');
+        assert(fuseRankings([]).length === 0, 'No rankings should fuse to nothing');
+        console.log('✓ Rankings are fused by reciprocal rank');
+
+        // Step 3: Snippets
+        console.log('\n--- Testing Snippets ---');
+        assert(buildSnippet('Deploy is on Friday', 'deploy friday') === '<mark>Deploy</mark> is on <mark>Friday</mark>',
+            'Terms should be highlighted regardless of case');
+        assert(buildSnippet('Costs went up (a lot)', 'a (lot') === 'Costs went up (a <mark>lot</mark>)',
+            'Punctuation and one-letter terms should not be highlighted');
+        const long = `${'filler '.repeat(40)}the migration plan is ready ${'tail '.repeat(40)}`;
+        const snippet = buildSnippet(long, 'migration');
+        assert(snippet.startsWith('...') && snippet.endsWith('...'), 'Long content should be cut on both sides');
+        assert(snippet.includes('<mark>migration</mark>'), 'The snippet should move to the first match');
+        assert(buildSnippet(long, '').startsWith('filler'), 'Without terms the snippet should start at the beginning');
+        assert(buildSnippet(undefined, 'x') === '', 'Missing content should give an empty snippet');
+        console.log('✓ Snippets highlight the query terms');
+
+        // Step 4: Visibility
+        console.log('\n--- Testing Visibility ---');
+        const message = (id, target, content, extra = {}) => ({
+            id, channel_id: null, dm_id: null, ...target, content, sender_id: 'bob',
+            created_at: `2024-03-0${id.length}T10:00:00.000Z`, deleted_at: null, ...extra
+        });
+        const tables = {
+            channels: [
+                { id: 'general', name: 'general', is_private: false },
+                { id: 'secret', name: 'secret', is_private: true }
+            ],
+            channel_members: [{ channel_id: 'general', user_id: 'ada' }, { channel_id: 'secret', user_id: 'bob' }],
+            direct_message_members: [{ dm_id: 'dm-ada', user_id: 'ada' }, { dm_id: 'dm-bob', user_id: 'bob' }],
+            messages: [
+                message('m1', { channel_id: 'general' }, 'deploy on friday'),
+                message('m22', { dm_id: 'dm-ada' }, 'deploy checklist'),
+                message('m333', { channel_id: 'secret' }, 'deploy credentials'),
+                message('m4444', { dm_id: 'dm-bob' }, 'deploy gossip'),
+                message('m55555', { channel_id: 'general' }, 'deploy retracted', { deleted_at: '2024-03-06T00:00:00.000Z' })
+            ]
+        };
+        const matching = (text) => tables.messages.filter(row => row.content.includes(text));
+        const searchService = new SearchService({
+            supabase: createFakeSupabase(tables, {
+                relations: { channel_members: { channel: (row) => tables.channels.find(channel => channel.id === row.channel_id) } },
+                // Like search_messages_fts: only the given conversations, without deleted messages
+                rpc: {
+                    search_messages_fts: ({ search_query: text, channel_ids: channelIds, dm_ids: dmIds }) => matching(text)
+                        .filter(row => (channelIds.includes(row.channel_id) || dmIds.includes(row.dm_id)) && !row.deleted_at)
+                        .map(row => ({ id: row.id, headline: null }))
+                }
+            }),
+            // A vector store that knows nothing of membership or deletion
+            ragService: { search: async (text) => ({ success: true, results: matching(text).map(row => ({ id: row.id })) }) }
+        });
+
+        const found = (await searchService.searchMessages('ada', 'deploy')).results.map(result => result.id).sort();
+        assert(found.join(',') === 'm1,m22', `Only messages in the user's channels and DMs should be found (got ${found})`);
+        const filtered = (await searchService.searchMessages('ada', 'after:2024-01-01')).results.map(result => result.id).sort();
+        assert(filtered.join(',') === 'm1,m22', `Filter-only searches should obey the same rules (got ${filtered})`);
+        const inSecret = await searchService.searchMessages('ada', 'deploy in:#secret');
+        assert(inSecret.results.length === 0, 'Naming a private channel the user is not in should find nothing');
+        const bobFound = (await searchService.searchMessages('bob', 'deploy')).results.map(result => result.id).sort();
+        assert(bobFound.join(',') === 'm333,m4444', `Members should find their private messages (got ${bobFound})`);
+        console.log('✓ Private, other users\' and deleted messages are left out');
+
+        console.log('\n=== All Search Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,234 @@
+/**
+ * @file slashCommand.test.js
+ * @description Offline test suite for slash commands: parsing, the built-in
+ * commands, reminders and bot commands answered by a local HTTP endpoint. Runs
+ * against an in-memory stand-in for Supabase and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.VECTOR_STORE = 'local';
+process.env.EMBEDDING_PROVIDER = 'local';
+delete process.env.LOCAL_VECTOR_STORE_PATH;
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'offline-test-key';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'offline-test-secret';
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+import crypto from 'crypto';
+import http from 'http';
+import { assert } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+// Receives bot command invocations and answers with whatever the test queued
+const startBot = () => new Promise((resolve) => {
+    const received = [];
+    const answers = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            const answer = answers.shift() || { status: 200, body: '' };
+            res.writeHead(answer.status, { 'Content-Type': 'application/json' });
+            res.end(answer.body);
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({
+        server,
+        received,
+        answers,
+        url: `http://127.0.0.1:${server.address().port}/commands`
+    }));
+});
+
+// Main test execution
+(async () => {
+    let bot;
+    try {
+        const {
+            SlashCommandService,
+            parseCommandInput,
+            tokenizeArguments,
+            validateCommandOptions
+        } = await import('../services/slashCommandService.js');
+        const { ReminderService, parseReminder } = await import('../services/reminderService.js');
+        const { InviteService } = await import('../services/inviteService.js');
+        const { signPayload } = await import('../services/webhookService.js');
+        const { PERMISSIONS } = await import('../services/authorizationService.js');
+
+        const tables = {
+            users: [
+                { id: 'user-1', username: 'ada' },
+                { id: 'user-2', username: 'grace' },
+                { id: 'user-3', username: 'linus' },
+                { id: 'bot-1', username: 'deploy-bot', is_bot: true }
+            ],
+            channels: [
+                { id: 'public', name: 'general', is_private: false, topic: null },
+                { id: 'private', name: 'secret', is_private: true, topic: null }
+            ],
+            channel_members: [
+                { channel_id: 'public', user_id: 'user-1', role: 'member' },
+                { channel_id: 'public', user_id: 'user-2', role: 'moderator' },
+                { channel_id: 'public', user_id: 'bot-1', role: 'member' },
+                { channel_id: 'private', user_id: 'user-1', role: 'member' }
+            ],
+            messages: []
+        };
+        const supabase = createFakeSupabase(tables);
+
+        // Roles decide permissions the way authorizationService does
+        const ranks = { member: 1, moderator: 2, admin: 3, owner: 4 };
+        const needed = { [PERMISSIONS.READ]: 1, [PERMISSIONS.POST]: 1, [PERMISSIONS.MODERATE]: 2, [PERMISSIONS.ADMIN]: 3 };
+        const fakeAuthorization = {
+            can: async (userId, permission, { channelId }) => {
+                const member = tables.channel_members.find(row => row.channel_id === channelId && row.user_id === userId);
+                return !!member && ranks[member.role] >= needed[permission];
+            }
+        };
+        const messageService = {
+            saveMessage: async (message) => {
+                const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...message };
+                tables.messages.push(row);
+                return row;
+            }
+        };
+        let aiEnabled = true;
+        const reminderService = new ReminderService({ supabase, messageService });
+        const service = new SlashCommandService({
+            supabase,
+            authorizationService: fakeAuthorization,
+            messageService,
+            reminderService,
+            inviteService: new InviteService({ supabase }),
+            summaryService: {
+                summarizeMessages: async (messages) => ({ summary: `${messages.length} messages summarized` })
+            },
+            aiSettingsService: {
+                getChannelSettings: async () => ({ enabled: aiEnabled, trigger: '@ai' })
+            }
+        });
+
+        const ada = { id: 'user-1', username: 'ada' };
+        const grace = { id: 'user-2', username: 'grace' };
+        const run = (user, input, target = { channelId: 'public' }) => service.execute(user, { input, ...target });
+
+        console.log('\n=== Starting Slash Command Tests ===\n');
+
+        // Step 1: Parsing
+        console.log('\n--- Testing Parsing ---');
+        assert(parseCommandInput('/Poll "a b" c').name === 'poll', 'Command names should be case-insensitive');
+        assert(parseCommandInput('/poll "a b" c').text === '"a b" c', 'Arguments should be kept as typed');
+        assert(parseCommandInput('hello /poll') === null, 'Only input starting with / is a command');
+        assert(tokenizeArguments('"Lunch where?" “Pizza place” tacos').join('|') === 'Lunch where?|Pizza place|tacos', 'Quoted phrases should stay together');
+        assert(parseReminder('me in 10 minutes stretch').reminder.delayMs === 10 * 60 * 1000, 'Reminder delays should be parsed');
+        assert(parseReminder('@grace in 2h ship it').reminder.who === 'grace', 'Reminders may be for someone else');
+        assert(parseReminder('me in 10 fortnights x').error, 'Unknown units should be rejected');
+        assert(parseReminder('me tomorrow x').error, 'Reminders need a delay');
+        console.log('✓ Commands and arguments are parsed');
+
+        // Step 2: Built-in commands
+        console.log('\n--- Testing Built-in Commands ---');
+        const poll = await run(ada, '/poll "Lunch?" Pizza Tacos');
+        assert(poll.response_type === 'in_channel' && poll.message.sender_id === 'user-1', 'Polls should be posted by the caller');
+        assert(poll.message.content.includes('1️⃣ Pizza') && poll.message.content.includes('2️⃣ Tacos'), 'Poll options should be numbered');
+        assert((await run(ada, '/poll "Lunch?" Pizza')).response_type === 'ephemeral', 'Polls need two options');
+
+        const refusedTopic = await run(ada, '/topic Release week');
+        assert(refusedTopic.response_type === 'ephemeral' && tables.channels[0].topic === null, 'Only moderators should set the topic');
+        const topic = await run(grace, '/topic Release week');
+        assert(topic.topic === 'Release week' && tables.channels[0].topic === 'Release week', 'Moderators should set the topic');
+        assert(topic.message.type === 'system', 'Topic changes should be announced');
+        assert((await run(ada, '/topic')).text === 'Topic: Release week', 'Anyone should see the topic');
+        assert((await run(ada, '/topic x', { dmId: 'dm-1' })).text.includes('only works in channels'), 'Channel commands should not run in DMs');
+
+        const refusedInvite = await run(ada, '/invite @linus', { channelId: 'private' });
+        assert(refusedInvite.response_type === 'ephemeral', 'Members should not add people to private channels');
+        const invited = await run(ada, '/invite @linus');
+        assert(invited.response_type === 'in_channel', 'Members should add people to public channels');
+        assert(tables.channel_members.some(row => row.channel_id === 'public' && row.user_id === 'user-3' && row.invited_by === 'user-1'), 'Invited users should become members');
+        assert(tables.channel_membership_audit.some(row => row.action === 'member_added'), 'Adds should be audited');
+        assert((await run(ada, '/invite @linus')).text.includes('Already a member'), 'Members should not be added twice');
+        assert((await run(ada, '/invite @nobody')).text.includes('No user'), 'Unknown users should be reported');
+
+        const question = await run(ada, '/ai what shipped today?');
+        assert(question.message.content === '@ai what shipped today?', 'Questions should be posted with the AI trigger');
+        aiEnabled = false;
+        assert((await run(ada, '/ai hello')).response_type === 'ephemeral', 'Questions should not be posted when the assistant is off');
+
+        const summary = await run(ada, '/summarize 6h');
+        assert(summary.response_type === 'ephemeral' && summary.text.endsWith('messages summarized'), 'Summaries should only go to the caller');
+        assert((await run(ada, '/summarize soon')).text.startsWith('Usage'), 'Summaries need a valid duration');
+        assert((await run(ada, '/nope')).text === 'Unknown command /nope', 'Unknown commands should be reported to the caller');
+        console.log('✓ Built-in commands run with the right permissions');
+
+        // Step 3: Reminders
+        console.log('\n--- Testing Reminders ---');
+        const remind = await run(ada, '/remind @grace in 90m review the PR');
+        assert(remind.text.includes('in 90 minutes'), 'Setting a reminder should be confirmed to the caller');
+        assert((await run(ada, '/remind @linus in 5m hi', { channelId: 'private' })).text.includes('not in this conversation'), 'Reminders should only be for people in the conversation');
+        const stored = tables.reminders[0];
+        assert(stored.user_id === 'user-2' && stored.created_by === 'user-1', 'Reminders should be stored for their target');
+
+        assert(await reminderService.processDueReminders() === 0, 'Reminders should wait until they are due');
+        stored.remind_at = new Date(Date.now() - 1000).toISOString();
+        assert(await reminderService.processDueReminders() === 1, 'Due reminders should be posted');
+        const posted = tables.messages[tables.messages.length - 1];
+        assert(posted.type === 'system' && posted.content.includes('@grace') && posted.channel_id === 'public', 'Reminders should be posted where they were set');
+        assert(await reminderService.processDueReminders() === 0, 'Reminders should only be posted once');
+        console.log('✓ Reminders are posted when due');
+
+        // Step 4: Bot commands
+        console.log('\n--- Testing Bot Commands ---');
+        bot = await startBot();
+        assert(validateCommandOptions({ name: 'poll', url: bot.url }).error, 'Built-in names should be reserved');
+        assert(validateCommandOptions({ name: 'deploy', url: 'ftp://x' }).error, 'Command URLs should be http or https');
+
+        const registered = await service.registerCommand('bot-1', validateCommandOptions({ name: '/Deploy', url: bot.url, usage: '/deploy <service>' }).options);
+        assert(registered.name === 'deploy' && registered.secret, 'Registering should return the signing secret');
+        const updated = await service.registerCommand('bot-1', validateCommandOptions({ name: 'deploy', url: bot.url, description: 'Ship it' }).options);
+        assert(!updated.secret && updated.description === 'Ship it', 'Registering again should update the command');
+        let taken = null;
+        await service.registerCommand('bot-2', validateCommandOptions({ name: 'deploy', url: bot.url }).options).catch(error => { taken = error; });
+        assert(taken?.status === 400, 'Other bots should not take a registered name');
+
+        const listed = await service.listCommands({ channelId: 'public' });
+        assert(listed.some(command => command.name === 'deploy'), 'Bot commands should be listed where the bot is a member');
+        assert(!(await service.listCommands({ channelId: 'private' })).some(command => command.name === 'deploy'), 'Bot commands should not be listed elsewhere');
+        assert(!(await service.listCommands({ dmId: 'dm-1' })).some(command => command.name === 'topic'), 'Channel commands should not be listed in DMs');
+        assert(!listed.some(command => command.secret || command.url), 'Listing should not reveal bot URLs or secrets');
+
+        bot.answers.push({ status: 200, body: JSON.stringify({ text: 'Deploying *api*' }) });
+        const ephemeralAnswer = await run(ada, '/deploy api');
+        const invocation = bot.received[0];
+        assert(JSON.parse(invocation.body).text === 'api' && JSON.parse(invocation.body).user.username === 'ada', 'Bots should receive the arguments and caller');
+        const signature = signPayload(registered.secret, invocation.headers['x-chatgenius-timestamp'], invocation.body);
+        assert(invocation.headers['x-chatgenius-signature'] === signature, 'Invocations should be signed');
+        assert(ephemeralAnswer.response_type === 'ephemeral' && ephemeralAnswer.text === 'Deploying \\*api\\*', 'Bot answers should be ephemeral by default');
+
+        bot.answers.push({ status: 200, body: JSON.stringify({ markdown: 'Deployed **api**', response_type: 'in_channel' }) });
+        const inChannelAnswer = await run(ada, '/deploy api');
+        assert(inChannelAnswer.message.sender_id === 'bot-1' && inChannelAnswer.message.content === 'Deployed **api**', 'in_channel answers should be posted as the bot');
+
+        bot.answers.push({ status: 200, body: 'Deploying api' });
+        const notJson = await run(ada, '/deploy api');
+        assert(notJson.response_type === 'ephemeral' && notJson.text === '/deploy answered with an invalid response: not JSON', 'Answers that are not JSON should be reported as invalid');
+
+        bot.answers.push({ status: 500, body: '' });
+        assert((await run(ada, '/deploy api')).text.includes('HTTP 500'), 'Failing bots should be reported to the caller');
+        assert((await run(ada, '/deploy api', { channelId: 'private' })).text === 'Unknown command /deploy', 'Bot commands should only run where the bot is a member');
+
+        await service.removeCommand('bot-1', registered.id);
+        assert((await service.listRegisteredCommands('bot-1')).length === 0, 'Removed commands should be gone');
+        console.log('✓ Bots register commands and answer them');
+
+        console.log('\n=== All Slash Command Tests Passed ===\n');
+        bot.server.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        bot?.server.close();
+        process.exit(1);
+    }
+})();
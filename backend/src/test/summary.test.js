@@ -0,0 +1,88 @@
+/**
+ * @file summary.test.js
+ * @description Offline test suite for conversation summaries: chunking long
+ * histories, merging partial summaries stage by stage, and resolving citations to
+ * message ids. Runs against a stand-in for the model and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.VECTOR_STORE = 'local';
+process.env.EMBEDDING_PROVIDER = 'local';
+delete process.env.LOCAL_VECTOR_STORE_PATH;
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'offline-test-key';
+
+import { assert } from './helpers/assert.js';
+
+// Rough token estimate used by the service (~4 characters per token)
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const createMessages = (count, length) => Array.from({ length: count }, (_, i) => ({
+    id: `m${i + 1}`,
+    content: `message ${i + 1} ${'x'.repeat(length)}`,
+    created_at: new Date(Date.UTC(2024, 0, 20, 10, i)).toISOString(),
+    sender: { username: 'alice' }
+}));
+
+/**
+ * Stands in for the model: every summary cites the first message number it was
+ * given and is padded to the requested length
+ */
+const createFakeModel = (summaryLength) => {
+    const calls = [];
+    const complete = async (systemPrompt, content) => {
+        calls.push({ step: systemPrompt.startsWith('You merge') ? 'reduce' : 'map', content });
+        const [, cited] = content.match(/\[(\d+)\]/);
+        return `- point [${cited}] ${'y'.repeat(summaryLength)}`;
+    };
+    return { calls, complete };
+};
+
+// Main test execution
+(async () => {
+    try {
+        const { default: summaryService } = await import('../services/summaryService.js');
+
+        console.log('\n=== Starting Summary Tests ===\n');
+
+        // Step 1: Short conversations
+        console.log('\n--- Testing Short Conversations ---');
+        const short = createFakeModel(100);
+        summaryService.complete = short.complete;
+        const brief = await summaryService.summarizeMessages(createMessages(5, 50), { title: '#general' });
+        assert(brief.chunkCount === 1 && short.calls.length === 1, 'Short conversations should take a single call');
+        assert(brief.keyMessages.length === 1 && brief.keyMessages[0].id === 'm1', 'Citations should resolve to message ids');
+        const empty = await summaryService.summarizeMessages([{ id: 'm1', content: '  ' }]);
+        assert(empty.messageCount === 0 && short.calls.length === 1, 'Conversations without content should not reach the model');
+        console.log('✓ Short conversations are summarized in one step');
+
+        // Step 2: Staged reduce
+        console.log('\n--- Testing Staged Reduce ---');
+        // Messages of about 2,750 tokens make one chunk each; 900-token partials fit three to a merge
+        const long = createFakeModel(3600);
+        summaryService.complete = long.complete;
+        const staged = await summaryService.summarizeMessages(createMessages(10, 11000), { title: '#general' });
+        const reduces = long.calls.filter(call => call.step === 'reduce');
+        assert(staged.chunkCount === 10 && long.calls.length === 10 + reduces.length, 'Every chunk should be summarized once');
+        assert(reduces.length === 5, `Expected 10 partials to be merged in 5 calls over 3 stages, got ${reduces.length}`);
+        assert(reduces.every(call => estimateTokens(call.content) <= 3100), 'Each merge should stay within the token budget');
+        assert(staged.keyMessages.length === 1 && staged.keyMessages[0].id === 'm1', 'Citations should survive every stage');
+        console.log('✓ Partial summaries are merged in stages that fit the budget');
+
+        // Step 3: Oversized partials
+        console.log('\n--- Testing Oversized Partials ---');
+        const verbose = createFakeModel(20000);
+        summaryService.complete = verbose.complete;
+        await summaryService.summarizeMessages(createMessages(4, 11000));
+        const pairs = verbose.calls.filter(call => call.step === 'reduce');
+        assert(pairs.length === 3 && pairs.every(call => call.content.includes('Part 2:')), 'Partials over the budget should still be merged in pairs');
+        console.log('✓ Merging always makes progress');
+
+        console.log('\n=== All Summary Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,143 @@
+/**
+ * @file token.test.js
+ * @description Offline test suite for session tokens: refresh token rotation, reuse
+ * detection, logout and the revocation check in authenticateJWT. Runs against an
+ * in-memory stand-in for Supabase and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'offline-test-secret';
+process.env.JWT_EXPIRY = '15m';
+
+import { assert } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+// Fake Express response recording what the middleware sent
+const createResponse = () => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        }
+    };
+    return res;
+};
+
+const expectUnauthorized = async (promise, message) => {
+    try {
+        await promise;
+    } catch (error) {
+        assert(error.status === 401, `${message} (got ${error.message})`);
+        return;
+    }
+    throw new Error(message);
+};
+
+// Main test execution
+(async () => {
+    try {
+        const jwt = (await import('jsonwebtoken')).default;
+        const { TokenService, default: tokenService } = await import('../services/tokenService.js');
+        const { authenticateJWT } = await import('../middleware/auth.js');
+
+        const tables = {
+            users: [{ id: 'user-1', email: 'ada@example.com', username: 'ada' }]
+        };
+        const service = new TokenService({ supabase: createFakeSupabase(tables) });
+        const user = tables.users[0];
+
+        console.log('\n=== Starting Token Tests ===\n');
+
+        // Step 1: Issuing
+        console.log('\n--- Testing Token Issuing ---');
+        const issued = await service.issueTokens(user);
+        const claims = jwt.verify(issued.token, process.env.JWT_SECRET);
+        assert(claims.id === 'user-1' && claims.sid, 'Access tokens should carry the user and session');
+        assert(claims.exp - claims.iat <= 15 * 60, 'Access tokens should be short-lived');
+        assert(!tables.refresh_tokens.some(row => row.token_hash === issued.refreshToken), 'Refresh tokens should only be stored hashed');
+        console.log('✓ Sign-in issues an access token and a refresh token');
+
+        // Step 2: Rotation
+        console.log('\n--- Testing Refresh Rotation ---');
+        const refreshed = await service.refresh(issued.refreshToken);
+        assert(refreshed.refreshToken !== issued.refreshToken, 'Refreshing should rotate the refresh token');
+        assert(jwt.verify(refreshed.token, process.env.JWT_SECRET).sid === claims.sid, 'Rotation should stay in the same session');
+        const second = await service.refresh(refreshed.refreshToken);
+        assert(second.token, 'The rotated token should be usable once');
+        await expectUnauthorized(service.refresh('not-a-token'), 'Unknown refresh tokens should be rejected');
+        console.log('✓ Refresh tokens rotate on every use');
+
+        // Step 3: Reuse detection
+        console.log('\n--- Testing Reuse Detection ---');
+        await expectUnauthorized(service.refresh(issued.refreshToken), 'Reusing a rotated refresh token should be rejected');
+        await expectUnauthorized(service.refresh(second.refreshToken), 'Reuse should revoke the rest of the session');
+        assert(await service.isSessionRevoked(claims.sid), 'Reuse should put the session on the revocation list');
+        console.log('✓ A reused refresh token signs the session out');
+
+        // Step 4: Logout
+        console.log('\n--- Testing Logout ---');
+        const laptop = await service.issueTokens(user);
+        const phone = await service.issueTokens(user);
+        const laptopSession = jwt.decode(laptop.token).sid;
+        const phoneSession = jwt.decode(phone.token).sid;
+        assert(!await service.isSessionRevoked(laptopSession), 'New sessions should not be revoked');
+
+        await service.revokeSession(laptopSession, user.id);
+        assert(await service.isSessionRevoked(laptopSession), 'Logged-out sessions should be revoked');
+        await expectUnauthorized(service.refresh(laptop.refreshToken), 'Logged-out refresh tokens should be rejected');
+        assert(!await service.isSessionRevoked(phoneSession), 'Logging out should leave other sessions alone');
+
+        const revokedCount = await service.revokeAllSessions(user.id);
+        assert(revokedCount === 1 && await service.isSessionRevoked(phoneSession), 'Logging out everywhere should revoke every open session');
+
+        // Another server instance learns about revocations from the table
+        const otherInstance = new TokenService({ supabase: createFakeSupabase(tables) });
+        assert(await otherInstance.isSessionRevoked(phoneSession), 'Revocations should be visible to other instances');
+        console.log('✓ Logout revokes one session or all of them');
+
+        // Step 5: Middleware
+        console.log('\n--- Testing authenticateJWT ---');
+        const runAuth = async (token) => {
+            const req = { headers: token ? { authorization: `Bearer ${token}` } : {} };
+            const res = createResponse();
+            let nextCalled = false;
+            await authenticateJWT(req, res, () => { nextCalled = true; });
+            return { req, res, nextCalled };
+        };
+
+        tokenService.supabase = createFakeSupabase({ users: [user] });
+        const active = await tokenService.issueTokens(user);
+        const accepted = await runAuth(active.token);
+        assert(accepted.nextCalled && accepted.req.user.id === 'user-1', 'Valid access tokens should be accepted');
+
+        await tokenService.revokeSession(jwt.decode(active.token).sid, user.id);
+        const revoked = await runAuth(active.token);
+        assert(!revoked.nextCalled && revoked.res.statusCode === 401, 'Access tokens of logged-out sessions should be rejected');
+
+        const legacy = jwt.sign({ id: 'user-1', email: user.email }, process.env.JWT_SECRET, { expiresIn: '1d' });
+        assert((await runAuth(legacy)).res.statusCode === 401, 'Tokens without a session should be rejected');
+
+        const expired = jwt.sign({ id: 'user-1', sid: 'old' }, process.env.JWT_SECRET, { expiresIn: -10 });
+        const expiredResult = await runAuth(expired);
+        assert(expiredResult.res.statusCode === 401 && expiredResult.res.body.message === 'Token expired', 'Expired tokens should be reported as expired');
+
+        const forged = jwt.sign({ id: 'user-1', sid: 'forged' }, 'your-secret-key');
+        assert((await runAuth(forged)).res.statusCode === 401, 'Tokens signed with another secret should be rejected');
+        assert((await runAuth(null)).res.statusCode === 401, 'Requests without a token should be rejected');
+        console.log('✓ authenticateJWT rejects revoked, legacy, expired and forged tokens');
+
+        console.log('\n=== All Token Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,130 @@
+/**
+ * @file twin.test.js
+ * @description Offline test suite for digital twins: mention parsing, the opt-in,
+ * answering DMs for away users, and what a twin's reply may draw on. Runs against
+ * an in-memory stand-in for Supabase and a stand-in for retrieval and the chat
+ * model, and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.VECTOR_STORE = 'local';
+process.env.EMBEDDING_PROVIDER = 'local';
+delete process.env.LOCAL_VECTOR_STORE_PATH;
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'offline-test-key';
+
+import { assert } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const AI_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+// Main test execution
+(async () => {
+    try {
+        const { TwinService, parseTwinMention } = await import('../services/twinService.js');
+
+        const user = (id, status = 'online') => ({ id, username: id, status });
+        const message = (id, senderId, target, content) => ({
+            id, sender_id: senderId, channel_id: null, dm_id: null, ...target, content,
+            created_at: `2024-03-01T10:0${id.slice(-1)}:00.000Z`
+        });
+        const tables = {
+            users: [user('ada', 'away'), user('bob', 'away'), user('cy'), user('dee-x'), user(AI_USER_ID)],
+            user_settings: [
+                { user_id: 'ada', twin_enabled: true },
+                { user_id: 'bob', twin_enabled: false },
+                { user_id: AI_USER_ID, twin_enabled: true }
+            ],
+            direct_message_members: [
+                { dm_id: 'dm-ada', user_id: 'ada' }, { dm_id: 'dm-ada', user_id: 'cy' },
+                { dm_id: 'dm-bob', user_id: 'bob' }, { dm_id: 'dm-bob', user_id: 'cy' },
+                { dm_id: 'dm-group', user_id: 'ada' }, { dm_id: 'dm-group', user_id: 'bob' }, { dm_id: 'dm-group', user_id: 'cy' }
+            ],
+            messages: [
+                message('m1', 'ada', { channel_id: 'general' }, 'Release is Friday, fingers crossed'),
+                message('m2', 'ada', { channel_id: 'secret' }, 'Release is secretly delayed'),
+                message('m3', 'cy', { channel_id: 'general' }, 'Release notes are on the wiki'),
+                message('m4', 'ada', { dm_id: 'dm-ada' }, 'Release dinner at 7?')
+            ]
+        };
+        const supabase = createFakeSupabase(tables, {
+            relations: { direct_message_members: { user: (row) => tables.users.find(candidate => candidate.id === row.user_id) } }
+        });
+
+        // Scoped retrieval over the messages table, as ragService.search narrows it
+        const searches = [];
+        const prompts = [];
+        const ragService = {
+            search: async (question, options) => {
+                searches.push(options);
+                const { scope, senderId } = options;
+                const results = tables.messages.filter(row => row.sender_id === senderId
+                    && (scope.type === 'channel' ? row.channel_id === scope.channelId : row.dm_id === scope.dmId));
+                return { success: true, results };
+            },
+            sendToOpenAI: async (prompt) => {
+                prompts.push(prompt);
+                return { success: true, content: '  Friday, probably!  ' };
+            }
+        };
+        const service = new TwinService({ supabase, ragService });
+
+        console.log('\n=== Starting Twin Tests ===\n');
+
+        // Step 1: Mentions
+        console.log('\n--- Testing Mentions ---');
+        const mention = parseTwinMention('@Ada-twin when is the release?');
+        assert(mention.username === 'Ada' && mention.question === 'when is the release?', 'Twin mentions should give the username and question');
+        assert(parseTwinMention('@ada when is the release?') === null, 'Plain mentions should not address a twin');
+        assert(parseTwinMention('ask @ada-twin later') === null, 'Twin mentions should start the message');
+        console.log('✓ Twin mentions are parsed');
+
+        // Step 2: Opt-in
+        console.log('\n--- Testing Opt-in ---');
+        assert((await service.findTwinByUsername('ADA'))?.id === 'ada', 'Opted-in users should have a twin, whatever the case');
+        assert(await service.findTwinByUsername('bob') === null, 'Users who opted out should have no twin');
+        assert(await service.findTwinByUsername('cy') === null, 'Users who never opted in should have no twin');
+        assert(await service.findTwinByUsername('dee_x') === null && await service.findTwinByUsername('de%') === null,
+            'Usernames should match exactly, without wildcards');
+        assert(await service.findTwinByUsername(AI_USER_ID) === null, 'The assistant should have no twin');
+
+        await service.updateSettings('cy', true);
+        assert((await service.getSettings('cy')).enabled && (await service.findTwinByUsername('cy'))?.id === 'cy', 'Opting in should create the twin');
+        await service.updateSettings('cy', false);
+        assert(await service.findTwinByUsername('cy') === null, 'Opting out should remove the twin');
+        console.log('✓ Only opted-in users have a twin');
+
+        // Step 3: Away DMs
+        console.log('\n--- Testing Away DMs ---');
+        assert((await service.findAwayTwinForDM({ dm_id: 'dm-ada', sender_id: 'cy' }))?.id === 'ada', 'Away opted-in users should answer DMs through their twin');
+        assert(await service.findAwayTwinForDM({ dm_id: 'dm-bob', sender_id: 'cy' }) === null, 'Away users without a twin should not answer');
+        assert(await service.findAwayTwinForDM({ dm_id: 'dm-ada', sender_id: 'ada' }) === null, 'Online recipients should answer themselves');
+        assert(await service.findAwayTwinForDM({ dm_id: 'dm-group', sender_id: 'cy' }) === null, 'Twins should not answer group DMs');
+        console.log('✓ DMs are answered for away users who opted in');
+
+        // Step 4: Replies
+        console.log('\n--- Testing Replies ---');
+        const ada = tables.users[0];
+        const reply = await service.generateReply(ada, 'When is the release?', { askerId: 'cy', channelId: 'general' });
+        assert(reply.success && reply.content === 'Friday, probably!', 'Replies should be the trimmed completion');
+        const [search] = searches;
+        assert(search.senderId === 'ada' && search.scope.userId === 'cy' && search.scope.type === 'channel' && search.scope.channelId === 'general',
+            'Retrieval should be limited to the owner\'s messages in the conversation, as the asker sees it');
+        const system = prompts[0][0].content;
+        assert(system.includes('Release is Friday'), 'The owner\'s messages in the conversation should be used');
+        assert(!system.includes('secretly delayed'), 'The owner\'s messages elsewhere should not be used');
+        assert(!system.includes('wiki') && !system.includes('dinner'), 'Other people\'s messages and other conversations should not be used');
+
+        await service.generateReply(ada, 'Dinner?', { askerId: 'cy', dmId: 'dm-ada' });
+        assert(searches[1].scope.type === 'dm' && searches[1].scope.dmId === 'dm-ada', 'Replies in a DM should draw on that DM');
+        assert(prompts[1][0].content.includes('dinner at 7') && !prompts[1][0].content.includes('Friday'), 'DM replies should not use channel messages');
+        console.log('✓ Replies draw only on the owner\'s messages in the conversation');
+
+        console.log('\n=== All Twin Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,146 @@
+/**
+ * @file vectorStore.test.js
+ * @description Offline test suite for the local vector store, the local embedding
+ * provider and the RAG pipeline running on top of them. Needs no API keys.
+ */
+
+// The RAG service reads its backends from the environment, so configure it first
+process.env.VECTOR_STORE = 'local';
+process.env.EMBEDDING_PROVIDER = 'local';
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+delete process.env.LOCAL_VECTOR_STORE_PATH;
+
+import { assert } from './helpers/assert.js';
+
+// Main test execution
+(async () => {
+    try {
+        const { LocalVectorStore, createVectorStore } = await import('../services/vectorStores/index.js');
+        const { LocalEmbeddingProvider, createEmbeddingProvider } = await import('../services/embeddings/index.js');
+        const { RAGService } = await import('../services/ragService.js');
+
+        console.log('\n=== Starting Local Vector Store Tests ===\n');
+
+        // Step 1: Factories
+        console.log('\n--- Testing Configuration ---');
+        assert(createVectorStore() instanceof LocalVectorStore, 'VECTOR_STORE=local should create a LocalVectorStore');
+        assert(createEmbeddingProvider() instanceof LocalEmbeddingProvider, 'EMBEDDING_PROVIDER=local should create a LocalEmbeddingProvider');
+        let unknownRejected = false;
+        try {
+            createVectorStore('unknown');
+        } catch {
+            unknownRejected = true;
+        }
+        assert(unknownRejected, 'Unknown vector store types should be rejected');
+        console.log('✓ Backends are selected by configuration');
+
+        // Step 2: Local embeddings
+        console.log('\n--- Testing Local Embeddings ---');
+        const embeddings = new LocalEmbeddingProvider({ dimension: 128 });
+        const first = await embeddings.embedQuery('Deploy the release on Friday');
+        const second = await embeddings.embedQuery('Deploy the release on Friday');
+        assert(first.length === 128, 'Embedding should match the configured dimension');
+        assert(first.every((value, i) => value === second[i]), 'Embeddings should be deterministic');
+        const norm = Math.sqrt(first.reduce((sum, value) => sum + value * value, 0));
+        assert(Math.abs(norm - 1) < 1e-9, 'Embeddings should be L2-normalized');
+        const documents = await embeddings.embedDocuments(['one', 'two']);
+        assert(documents.length === 2, 'embedDocuments should return one vector per text');
+        console.log('✓ Local embeddings are deterministic and normalized');
+
+        // Step 3: Local vector store
+        console.log('\n--- Testing Local Vector Store ---');
+        const store = new LocalVectorStore();
+        const texts = {
+            'msg-1': { content: 'The release deploy is scheduled for Friday', channel_id: 'general' },
+            'msg-2': { content: 'Lunch order: pizza for the whole team', channel_id: 'general' },
+            'msg-3': { content: 'Private plan for the Friday release deploy', channel_id: 'secret' },
+            'msg-4': { content: 'Can you review the deploy script?', dm_id: 'dm-1' }
+        };
+        await store.upsert(await Promise.all(Object.entries(texts).map(async ([id, metadata]) => ({
+            id,
+            values: await embeddings.embedQuery(metadata.content),
+            metadata
+        }))));
+
+        const stats = await store.describeStats();
+        assert(stats.totalVectorCount === 4, `Expected 4 vectors, got ${stats.totalVectorCount}`);
+        assert(stats.dimension === 128, 'Stats should report the vector dimension');
+
+        const queryVector = await embeddings.embedQuery('When is the release deploy?');
+        const unfiltered = await store.query({ vector: queryVector, topK: 2, includeMetadata: true });
+        assert(unfiltered.matches.length === 2, 'topK should limit the number of matches');
+        assert(unfiltered.matches[0].score >= unfiltered.matches[1].score, 'Matches should be sorted by score');
+        assert(['msg-1', 'msg-3'].includes(unfiltered.matches[0].id), 'Most similar message should rank first');
+
+        const scoped = await store.query({
+            vector: queryVector,
+            topK: 10,
+            includeMetadata: true,
+            filter: { $or: [{ channel_id: { $in: ['general'] } }, { dm_id: { $eq: 'dm-1' } }] }
+        });
+        assert(scoped.matches.every(match => match.id !== 'msg-3'), 'Filtered query must not return other channels');
+        assert(scoped.matches.length === 3, 'Filtered query should return every visible message');
+
+        const { records } = await store.fetch(['msg-2', 'missing']);
+        assert(records['msg-2'] && !records.missing, 'fetch should return only existing records');
+
+        await store.delete(['msg-2']);
+        assert((await store.describeStats()).totalVectorCount === 3, 'delete should remove vectors');
+        console.log('✓ Local vector store upserts, queries with filters, fetches and deletes');
+
+        // Step 4: RAG pipeline on local backends
+        console.log('\n--- Testing RAG Pipeline Offline ---');
+        const fakeOpenAI = {
+            chat: {
+                completions: {
+                    create: async ({ model, messages, stream }) => {
+                        const content = `Answer based on ${messages.length} prompt messages`;
+                        const usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 };
+                        if (!stream) {
+                            return { model, choices: [{ message: { content } }], usage };
+                        }
+                        // Emit one chunk per word, then a usage-only chunk like the API does
+                        return (async function* () {
+                            for (const word of content.split(/(?= )/)) {
+                                yield { model, choices: [{ delta: { content: word } }] };
+                            }
+                            yield { model, choices: [], usage };
+                        })();
+                    }
+                }
+            }
+        };
+        const rag = new RAGService({ vectorStore: store, embeddings, openai: fakeOpenAI });
+
+        const searchResult = await rag.search('release deploy Friday', { topK: 3 });
+        assert(searchResult.success && searchResult.results.length > 0, 'search should return results from the local store');
+
+        const status = await rag.getVectorStoreStatus();
+        assert(status.success && status.vectorStore === 'local', 'Status should report the local store');
+
+        const answer = await rag.answerQuestion('When is the release deploy on Friday?', { topK: 3 });
+        assert(answer.success, `answerQuestion failed: ${answer.error}`);
+        assert(answer.usage.totalTokens === 15, 'Usage should be passed through');
+        console.log('✓ RAG search and answering run without network access');
+
+        const deltas = [];
+        let streamedSources;
+        const streamed = await rag.streamAnswer('When is the release deploy on Friday?', { topK: 3 }, {
+            onSources: (sources) => { streamedSources = sources; },
+            onDelta: (delta) => deltas.push(delta)
+        });
+        assert(streamed.success, `streamAnswer failed: ${streamed.error}`);
+        assert(deltas.length > 1, 'Answer should arrive as several deltas');
+        assert(deltas.join('') === answer.answer, 'Deltas should add up to the full answer');
+        assert(Array.isArray(streamedSources), 'Sources should be reported before generation');
+        assert(streamed.usage.totalTokens === 15, 'Streamed usage should be passed through');
+        console.log('✓ Streamed answers match the non-streamed pipeline');
+
+        console.log('\n=== All Local Vector Store Tests Passed ===\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,208 @@
+/**
+ * @file webhook.test.js
+ * @description Offline test suite for outgoing webhooks: option validation, signed
+ * delivery to a local HTTP endpoint, retries with backoff, the delivery log, the
+ * change feed and database webhook events, and the cron secret guarding the
+ * scheduled job routes. Runs against an in-memory stand-in for Supabase and needs no API keys.
+ */
+
+// Configure before the services and their Supabase clients are imported
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'offline-test-key';
+
+import http from 'http';
+import { assert, expectStatus } from './helpers/assert.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+// Local endpoint recording the requests it receives and answering with the queued statuses
+const startReceiver = (statuses) => new Promise((resolve) => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = statuses.shift() ?? 200;
+            res.end(res.statusCode === 200 ? 'ok' : 'try again');
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` }));
+});
+
+// Main test execution
+(async () => {
+    let receiver;
+    try {
+        const {
+            WebhookService,
+            validateWebhookOptions,
+            signPayload,
+            getRetryDelay,
+            MAX_DELIVERY_ATTEMPTS
+        } = await import('../services/webhookService.js');
+        const { WebhookListenerService } = await import('../services/webhookListenerService.js');
+        const { requireCronSecret } = await import('../middleware/cronAuth.js');
+
+        const tables = {};
+        const webhookDefaults = { defaults: { channel_webhooks: { is_active: true } } };
+        const service = new WebhookService({ supabase: createFakeSupabase(tables, webhookDefaults) });
+
+        console.log('\n=== Starting Webhook Tests ===\n');
+
+        // Step 1: Options
+        console.log('\n--- Testing Webhook Options ---');
+        delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+        const defaults = validateWebhookOptions({ url: 'https://hooks.example.com/chat' });
+        assert(defaults.options.events.length === 6, 'Webhooks should subscribe to every event by default');
+        assert(validateWebhookOptions({ url: 'ftp://example.com' }).error, 'Only http(s) URLs should be accepted');
+        assert(validateWebhookOptions({ url: 'not a url' }).error, 'Invalid URLs should be rejected');
+        assert(validateWebhookOptions({ url: 'http://127.0.0.1:8080/' }).error, 'Loopback URLs should be rejected');
+        assert(validateWebhookOptions({ url: 'http://192.168.1.5/' }).error, 'Private network URLs should be rejected');
+        assert(validateWebhookOptions({ url: 'http://[::1]/' }).error, 'IPv6 loopback URLs should be rejected');
+        assert(validateWebhookOptions({ url: 'http://[::]/' }).error, 'The IPv6 unspecified address should be rejected');
+        assert(validateWebhookOptions({ url: 'http://0.0.0.0/' }).error && validateWebhookOptions({ url: 'http://0.1.2.3/' }).error,
+            'Addresses in 0.0.0.0/8 should be rejected');
+        assert(validateWebhookOptions({ url: 'http://100.64.0.1/' }).error && validateWebhookOptions({ url: 'http://100.127.255.254/' }).error,
+            'Carrier-grade NAT addresses should be rejected');
+        assert(!validateWebhookOptions({ url: 'http://100.63.0.1/' }).error && !validateWebhookOptions({ url: 'http://100.128.0.1/' }).error,
+            'Public addresses next to the carrier-grade NAT range should be accepted');
+        assert(validateWebhookOptions({ url: 'https://example.com', events: ['message.exploded'] }).error, 'Unknown events should be rejected');
+        const partial = validateWebhookOptions({ is_active: false }, { partial: true });
+        assert(!partial.error && Object.keys(partial.options).join() === 'is_active', 'Updates should only touch the fields given');
+        process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+        assert(!validateWebhookOptions({ url: 'http://127.0.0.1:8080/' }).error, 'Private URLs should be allowed when configured');
+        console.log('✓ Webhook options are validated');
+
+        // Step 2: Signed delivery
+        console.log('\n--- Testing Signed Delivery ---');
+        receiver = await startReceiver([500, 200]);
+        const webhook = await service.createWebhook('channel-1', 'user-1', validateWebhookOptions({
+            url: receiver.url,
+            events: ['message.created', 'member.joined']
+        }).options);
+        assert(webhook.secret.startsWith('whsec_'), 'Registering should return the signing secret');
+        assert((await service.listWebhooks('channel-1')).every(row => row.secret === undefined), 'Listing should not reveal secrets');
+
+        assert(await service.dispatch('channel-1', 'reaction.added', {}) === 0, 'Unsubscribed events should not be delivered');
+        assert(await service.dispatch('channel-2', 'message.created', {}) === 0, 'Other channels should not be delivered to');
+
+        const queued = await service.dispatch('channel-1', 'message.created', { message: { id: 'm1', content: 'hello' } });
+        assert(queued === 1 && receiver.received.length === 1, 'Subscribed events should be delivered at once');
+
+        const request = receiver.received[0];
+        const payload = JSON.parse(request.body);
+        assert(payload.event === 'message.created' && payload.data.message.id === 'm1', 'The payload should describe the event');
+        assert(request.headers['x-chatgenius-event'] === 'message.created', 'The event should be named in a header');
+        assert(
+            request.headers['x-chatgenius-signature'] === signPayload(webhook.secret, request.headers['x-chatgenius-timestamp'], request.body),
+            'Deliveries should be signed with the webhook secret'
+        );
+        console.log('✓ Deliveries are signed HMAC-SHA256 JSON payloads');
+
+        // Step 3: Retries
+        console.log('\n--- Testing Retries ---');
+        const delivery = tables.webhook_deliveries[0];
+        assert(delivery.status === 'pending' && delivery.attempts === 1 && delivery.last_status_code === 500, 'Failed attempts should be logged and kept pending');
+        assert(new Date(delivery.next_attempt_at) > new Date(), 'Retries should wait for the backoff');
+        assert(getRetryDelay(1) === 60000 && getRetryDelay(3) === 240000, 'Backoff should double with every attempt');
+
+        assert(await service.processDueDeliveries() === 0, 'Deliveries should not be retried before they are due');
+        delivery.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+        assert(await service.processDueDeliveries() === 1 && receiver.received.length === 2, 'Due deliveries should be retried');
+        assert(delivery.status === 'succeeded' && delivery.delivered_at && delivery.attempts === 2, 'A 2xx answer should complete the delivery');
+        assert(JSON.parse(receiver.received[1].body).id === payload.id, 'Retries should resend the same payload');
+
+        // An endpoint that never recovers
+        const failing = new WebhookService({
+            supabase: createFakeSupabase(tables, webhookDefaults),
+            fetch: async () => { throw new Error('connect ECONNREFUSED'); }
+        });
+        await failing.dispatch('channel-1', 'member.joined', { member: { user_id: 'user-2' } });
+        const doomed = tables.webhook_deliveries[1];
+        for (let attempt = 1; attempt < MAX_DELIVERY_ATTEMPTS; attempt++) {
+            doomed.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+            await failing.processDueDeliveries();
+        }
+        assert(doomed.status === 'failed' && doomed.attempts === MAX_DELIVERY_ATTEMPTS, 'Deliveries should fail for good after the last attempt');
+        assert(doomed.last_error === 'connect ECONNREFUSED', 'The delivery log should say why an attempt failed');
+
+        const log = await service.listDeliveries('channel-1', webhook.id);
+        assert(log.length === 2, 'The delivery log should list every delivery');
+        await expectStatus(service.listDeliveries('channel-2', webhook.id), 404, 'Webhooks of other channels should not be visible');
+        console.log('✓ Failed deliveries are retried with backoff and logged');
+
+        // Step 4: Management
+        console.log('\n--- Testing Webhook Management ---');
+        const rotated = await service.rotateSecret('channel-1', webhook.id);
+        assert(rotated.secret !== webhook.secret, 'Rotating should replace the secret');
+        await service.updateWebhook('channel-1', webhook.id, { is_active: false });
+        assert(await service.dispatch('channel-1', 'message.created', {}) === 0, 'Disabled webhooks should not receive events');
+        await service.deleteWebhook('channel-1', webhook.id);
+        await expectStatus(service.deleteWebhook('channel-1', webhook.id), 404, 'Deleted webhooks should be gone');
+        console.log('✓ Webhooks can be disabled, rotated and removed');
+
+        // Step 5: Change feed
+        console.log('\n--- Testing Change Feed Events ---');
+        const dispatched = [];
+        const listener = new WebhookListenerService({
+            subscribe: false,
+            supabase: createFakeSupabase({ messages: [{ id: 'm1', channel_id: 'channel-1' }, { id: 'd1', channel_id: null, dm_id: 'dm-1' }] }),
+            webhookService: { dispatch: async (channelId, event, data) => dispatched.push({ channelId, event, data }) }
+        });
+
+        await listener.handleMessageChange({ eventType: 'INSERT', new: { id: 'm2', channel_id: 'channel-1', content: 'hi' }, old: {} });
+        await listener.handleMessageChange({ eventType: 'INSERT', new: { id: 'd2', channel_id: null, dm_id: 'dm-1', content: 'secret' }, old: {} });
+        await listener.handleMessageChange({ eventType: 'UPDATE', new: { id: 'm2', channel_id: 'channel-1', content: 'hi' }, old: { id: 'm2', content: 'hi' } });
+        await listener.handleMessageChange({ eventType: 'UPDATE', new: { id: 'm2', channel_id: 'channel-1', content: 'hello' }, old: { id: 'm2', content: 'hi' } });
+        await listener.handleMessageChange({ eventType: 'DELETE', new: {}, old: { id: 'm2', channel_id: 'channel-1' } });
+        await listener.handleReactionAdded({ new: { message_id: 'm1', emoji: '👍' } });
+        await listener.handleReactionAdded({ new: { message_id: 'd1', emoji: '👍' } });
+        await listener.handleMembershipChange({ eventType: 'INSERT', new: { channel_id: 'channel-1', user_id: 'user-2', role: 'member' }, old: {} });
+        await listener.handleMembershipChange({ eventType: 'DELETE', new: {}, old: { channel_id: 'channel-1', user_id: 'user-2' } });
+
+        const events = dispatched.map(entry => entry.event);
+        assert(
+            events.join() === 'message.created,message.updated,message.deleted,reaction.added,member.joined,member.left',
+            `Channel changes should map to webhook events (got ${events.join()})`
+        );
+        assert(dispatched[1].data.previous_content === 'hi', 'Edits should carry the previous content');
+        assert(dispatched.every(entry => entry.channelId === 'channel-1'), 'DM activity should never be sent to webhooks');
+
+        // Serverless deployments receive the same changes as Supabase database webhooks
+        dispatched.length = 0;
+        assert(await listener.handleDatabaseWebhook({ type: 'UPDATE', table: 'messages', record: { id: 'm2', channel_id: 'channel-1', content: 'hey' }, old_record: { id: 'm2', content: 'hello' } }),
+            'Message changes should be handled');
+        assert(await listener.handleDatabaseWebhook({ type: 'INSERT', table: 'message_reactions', record: { message_id: 'm1', emoji: '👍' }, old_record: null }),
+            'Reactions should be handled');
+        assert(await listener.handleDatabaseWebhook({ type: 'DELETE', table: 'channel_members', record: null, old_record: { channel_id: 'channel-1', user_id: 'user-2' } }),
+            'Membership changes should be handled');
+        assert(!await listener.handleDatabaseWebhook({ type: 'INSERT', table: 'users', record: { id: 'user-3' } }), 'Other tables should be refused');
+        assert(dispatched.map(entry => entry.event).join() === 'message.updated,reaction.added,member.left',
+            `Database webhooks should map to the same events (got ${dispatched.map(entry => entry.event).join()})`);
+        console.log('✓ Channel changes become webhook events');
+
+        // Step 6: Scheduled job routes
+        console.log('\n--- Testing Cron Secret ---');
+        const callCronRoute = (authorization) => {
+            const res = { statusCode: 200, status(code) { res.statusCode = code; return res; }, json: () => res };
+            let passed = false;
+            requireCronSecret({ headers: authorization ? { authorization } : {} }, res, () => { passed = true; });
+            return passed ? 'next' : res.statusCode;
+        };
+        delete process.env.CRON_SECRET;
+        assert(callCronRoute('Bearer ') === 503, 'Scheduled jobs should be off until CRON_SECRET is set');
+        process.env.CRON_SECRET = 'cron-secret';
+        assert(callCronRoute('Bearer cron-secret') === 'next', 'The right secret should be let through');
+        assert(callCronRoute('Bearer wrong-secret') === 401 && callCronRoute() === 401, 'Other callers should be refused');
+        delete process.env.CRON_SECRET;
+        console.log('✓ Scheduled job routes require the cron secret');
+
+        console.log('\n=== All Webhook Tests Passed ===\n');
+        receiver.server.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Test failed:', error);
+        receiver?.server.close();
+        process.exit(1);
+    }
+})();
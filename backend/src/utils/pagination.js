@@ -0,0 +1,117 @@
+/**
+ * @file pagination.js
+ * @description Cursor-based pagination helpers for message history queries.
+ * Messages are ordered by (created_at, id) so that pages stay stable even when
+ * several messages share the same timestamp or new messages arrive while a
+ * client is paging backwards through history.
+ *
+ * Core Functionality:
+ * - Cursor encoding and decoding
+ * - Query parameter validation
+ * - Keyset filtering on Supabase queries
+ *
+ * Cursor Format:
+ * - Opaque base64url string wrapping "<created_at>|<message id>"
+ *
+ * Query Parameters:
+ * - limit: Page size (1-100, default 50)
+ * - before: Return messages older than this cursor
+ * - after: Return messages newer than this cursor
+ *
+ * @version 1.0.0
+ * @created 2024-01-20
+ */
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+
+export const encodeCursor = (message) => {
+    if (!message?.id || !message?.created_at) return null;
+    return Buffer.from(`${message.created_at}|${message.id}`).toString('base64url');
+};
+
+export const decodeCursor = (cursor) => {
+    const decoded = Buffer.from(String(cursor), 'base64url').toString('utf8');
+    const separatorIndex = decoded.lastIndexOf('|');
+    if (separatorIndex === -1) return null;
+
+    const created_at = decoded.slice(0, separatorIndex);
+    const id = decoded.slice(separatorIndex + 1);
+    // Both parts end up inside a PostgREST filter string, so only allow
+    // characters that can appear in a UUID or an ISO timestamp
+    if (!/^[\w-]+$/.test(id) || !/^[\dT:.+\- Z]+$/.test(created_at)) return null;
+    if (Number.isNaN(Date.parse(created_at))) return null;
+
+    return { created_at, id };
+};
+
+/**
+ * Validates pagination query parameters
+ * @param {Object} query - Express request query
+ * @returns {{ error?: string, limit?: number, before?: Object, after?: Object }}
+ */
+export const parsePaginationParams = (query = {}) => {
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+    if (Number.isNaN(limit) || limit < 1) {
+        return { error: 'limit must be a positive integer' };
+    }
+
+    if (query.before && query.after) {
+        return { error: 'Provide either before or after, not both' };
+    }
+
+    const params = { limit: Math.min(limit, MAX_PAGE_SIZE) };
+
+    for (const direction of ['before', 'after']) {
+        if (query[direction]) {
+            const cursor = decodeCursor(query[direction]);
+            if (!cursor) {
+                return { error: `Invalid ${direction} cursor` };
+            }
+            params[direction] = cursor;
+        }
+    }
+
+    return params;
+};
+
+/**
+ * Fetches one page of messages from a prepared Supabase query. Without a cursor
+ * the most recent page is returned. Messages are always returned oldest first.
+ * @param {Object} query - Supabase query builder already filtered by channel/DM/thread
+ * @param {Object} params - Output of parsePaginationParams
+ * @returns {Promise<{data?: Object, error?: Object}>}
+ */
+export const fetchMessagePage = async (query, { limit, before, after }) => {
+    // Keyset comparison on (created_at, id); values are quoted because
+    // timestamps contain PostgREST's reserved characters
+    if (before) {
+        query = query.or(`created_at.lt."${before.created_at}",and(created_at.eq."${before.created_at}",id.lt.${before.id})`);
+    } else if (after) {
+        query = query.or(`created_at.gt."${after.created_at}",and(created_at.eq."${after.created_at}",id.gt.${after.id})`);
+    }
+
+    // Page towards the cursor, fetching one extra row to detect more history
+    const ascending = !!after;
+    const { data, error } = await query
+        .order('created_at', { ascending })
+        .order('id', { ascending })
+        .limit(limit + 1);
+
+    if (error) return { error };
+
+    const hasMore = data.length > limit;
+    const page = data.slice(0, limit);
+    const messages = ascending ? page : page.reverse();
+
+    return {
+        data: {
+            messages,
+            hasMore,
+            cursors: {
+                before: encodeCursor(messages[0]),
+                after: encodeCursor(messages[messages.length - 1])
+            }
+        }
+    };
+};
@@ -0,0 +1,52 @@
+/**
+ * @file sw.js
+ * @description Service worker for Web Push. Shows the mentions and DM messages the
+ * backend pushes (see backend/src/services/pushService.js) while the app is in the
+ * background, and opens the conversation when one is clicked. Registered by
+ * src/services/pushService.js when the user turns push notifications on.
+ *
+ * Payload: { title, body, url, tag, notification_id, type }
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+self.addEventListener('push', (event) => {
+    if (!event.data) return;
+
+    let payload;
+    try {
+        payload = event.data.json();
+    } catch {
+        payload = { title: 'ChatGenius', body: event.data.text() };
+    }
+
+    event.waitUntil((async () => {
+        // The open app already shows new messages, so only notify when no window is focused
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (windows.some(client => client.focused)) return;
+
+        await self.registration.showNotification(payload.title || 'ChatGenius', {
+            body: payload.body,
+            tag: payload.tag,
+            renotify: Boolean(payload.tag),
+            icon: '/vite.svg',
+            data: { url: payload.url || '/chat' }
+        });
+    })());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/chat', self.location.origin).href;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const existing = windows.find(client => new URL(client.url).origin === self.location.origin);
+        if (existing) {
+            await existing.focus();
+            return existing.navigate(url);
+        }
+        return self.clients.openWindow(url);
+    })());
+});
@@ -20,6 +20,8 @@
  * - /: Authentication page (public)
  * - /chat: Main chat interface (protected)
  * - /browse-channels: Channel browser (protected)
+ * - /verify-email: Emailed email verification link (public)
+ * - /reset-password: Emailed password reset link (public)
  * 
  * Dependencies:
  * - react-router-dom
@@ -27,7 +29,7 @@
  * - ./pages/Auth
  * - ./components/Chat
  * - ./pages/BrowseChannels
- * - ./services/auth
+ * - ./services/authService
  * 
  * @version 1.0.0
  * @created 2024-01-13
@@ -97,6 +99,20 @@ function App() {
             )
           }
         />
+        <Route
+          path="/verify-email"
+          element={<Auth initialMode="verify" onLogin={() => setIsAuthenticated(true)} />}
+        />
+        <Route
+          path="/reset-password"
+          element={
+            <Auth
+              initialMode="reset"
+              onLogin={() => setIsAuthenticated(true)}
+              onSignedOut={() => setIsAuthenticated(false)}
+            />
+          }
+        />
         <Route
           path="/browse-channels"
           element={
@@ -7,11 +7,14 @@
  * Core Functionality:
  * - Axios client configuration
  * - Request interceptors
+ * - Transparent access token refresh
  * - Authentication header management
  * - Base URL configuration
  * 
  * Features:
  * - Automatic token injection
+ * - Expiring tokens renewed before the request is sent
+ * - Requests rejected with 401 retried once after a refresh
  * - CORS configuration
  * - Content-Type headers
  * - Error handling
@@ -22,15 +25,22 @@
  * 
  * Storage Keys:
  * - auth_token: JWT token for authentication
+ * - refresh_token: Token used to renew auth_token
+ * 
+ * Request Options:
+ * - skipAuthRefresh: Send the request as is and never refresh for it (used by
+ *   the refresh and logout calls themselves)
  * 
  * Dependencies:
  * - axios
+ * - ../services/authService
  * 
  * @version 1.0.0
  * @created 2024-01-13
  */
 
 import axios from 'axios';
+import { getToken, getValidToken, refreshAccessToken, endExpiredSession } from '../services/authService';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 
@@ -44,8 +54,16 @@ const api = axios.create({
 
 // Add a request interceptor to include JWT token
 api.interceptors.request.use(
-    (config) => {
-        const token = localStorage.getItem('auth_token');
+    async (config) => {
+        let token = getToken();
+        if (!config.skipAuthRefresh) {
+            try {
+                token = await getValidToken();
+            } catch (error) {
+                // Send the request anyway; a 401 ends the session below
+                console.error('Error refreshing access token:', error);
+            }
+        }
         if (token) {
             config.headers.Authorization = `Bearer ${token}`;
         }
@@ -56,4 +74,35 @@ api.interceptors.request.use(
     }
 );
 
+// Retry requests rejected with 401 once with a refreshed token
+api.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+        const config = error.config;
+        if (error.response?.status !== 401 || !config || config.skipAuthRefresh || config._retried) {
+            return Promise.reject(error);
+        }
+
+        const rejectedToken = config.headers.Authorization?.split(' ')[1];
+        if (!rejectedToken) {
+            return Promise.reject(error);
+        }
+
+        config._retried = true;
+        try {
+            const token = await refreshAccessToken(rejectedToken);
+            config.headers.Authorization = `Bearer ${token}`;
+        } catch (refreshError) {
+            if (refreshError.response?.status === 401 || refreshError.message === 'No refresh token') {
+                endExpiredSession();
+            }
+            return Promise.reject(error);
+        }
+
+        // Send the retry as is; its token is already fresh
+        config.skipAuthRefresh = true;
+        return api(config);
+    }
+);
+
 export default api; 
\ No newline at end of file
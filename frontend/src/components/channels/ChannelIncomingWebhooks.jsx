@@ -0,0 +1,151 @@
+/**
+ * @file ChannelIncomingWebhooks.jsx
+ * @description Incoming webhook management for channel owners and admins. Creates
+ * webhook URLs other services post into the channel with, shows each URL once
+ * right after it is created, and lists and revokes the channel's webhooks.
+ *
+ * Props:
+ * - channelId: ID of the channel
+ *
+ * Dependencies:
+ * - react
+ * - prop-types
+ * - ../../services/channelService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import channelService, { getIncomingWebhookUrl } from '../../services/channelService';
+
+function ChannelIncomingWebhooks({ channelId }) {
+    const [hooks, setHooks] = useState([]);
+    const [name, setName] = useState('');
+    const [createdUrl, setCreatedUrl] = useState(null);
+    const [copied, setCopied] = useState(false);
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const loadHooks = useCallback(async () => {
+        try {
+            setHooks(await channelService.getIncomingWebhooks(channelId));
+        } catch (err) {
+            console.error('Error loading incoming webhooks:', err);
+        }
+    }, [channelId]);
+
+    useEffect(() => {
+        loadHooks();
+        setCreatedUrl(null);
+    }, [loadHooks]);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        setError('');
+        setIsLoading(true);
+        try {
+            const hook = await channelService.createIncomingWebhook(channelId, { name: name.trim() });
+            setHooks(prev => [hook, ...prev]);
+            setCreatedUrl(getIncomingWebhookUrl(hook.path));
+            setCopied(false);
+            setName('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to create webhook');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(createdUrl);
+            setCopied(true);
+        } catch (err) {
+            console.error('Error copying webhook URL:', err);
+        }
+    };
+
+    const handleRevoke = async (hookId) => {
+        setError('');
+        try {
+            const revoked = await channelService.revokeIncomingWebhook(channelId, hookId);
+            setHooks(prev => prev.map(hook => hook.id === hookId ? revoked : hook));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to revoke webhook');
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            <h3 className="font-medium text-white">Incoming webhooks</h3>
+            {error && <p className="text-red-400 text-sm">{error}</p>}
+
+            {/* Not a <form>: the settings modal already is one */}
+            <div className="flex items-center gap-2 text-xs">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleCreate(e)}
+                    placeholder="Bot name, e.g. ci-bot"
+                    className="flex-1 bg-[#1a1a1a] text-white border border-gray-700 rounded px-2 py-1"
+                />
+                <button
+                    type="button"
+                    onClick={handleCreate}
+                    disabled={isLoading || !name.trim()}
+                    className="px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                >
+                    Create webhook
+                </button>
+            </div>
+
+            {createdUrl && (
+                <div className="text-xs space-y-1">
+                    <p className="text-yellow-400">Copy this URL now; it will not be shown again.</p>
+                    <div className="flex items-center gap-2">
+                        <code className="flex-1 truncate bg-[#1a1a1a] text-gray-300 px-2 py-1 rounded">{createdUrl}</code>
+                        <button type="button" onClick={handleCopy} className="text-blue-400 hover:text-blue-300">
+                            {copied ? 'Copied!' : 'Copy'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {hooks.length > 0 && (
+                <ul className="max-h-32 overflow-y-auto space-y-1">
+                    {hooks.map(hook => (
+                        <li key={hook.id} className="flex items-center justify-between text-xs">
+                            <span className="text-gray-300 truncate">
+                                {hook.name} ·{' '}
+                                {hook.revoked_at ? (
+                                    <span className="text-red-400">revoked</span>
+                                ) : (
+                                    <span className="text-gray-500">
+                                        {hook.last_used_at
+                                            ? `last used ${new Date(hook.last_used_at).toLocaleDateString()}`
+                                            : 'never used'}
+                                    </span>
+                                )}
+                            </span>
+                            {!hook.revoked_at && (
+                                <button type="button" onClick={() => handleRevoke(hook.id)} className="flex-shrink-0 text-red-400 hover:text-red-300">
+                                    Revoke
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+ChannelIncomingWebhooks.propTypes = {
+    channelId: PropTypes.string.isRequired
+};
+
+export default ChannelIncomingWebhooks;
@@ -5,8 +5,10 @@
  * bar for channel-specific actions and information.
  * 
  * Core Functionality:
- * - Display channel name and description
+ * - Display channel name, topic and description
  * - Pinned messages toggle
+ * - Catch-up summaries
+ * - Notification preferences
  * - Channel settings access
  * - Channel management actions
  * 
@@ -24,11 +26,15 @@
  * - onLeaveChannel: Function to handle channel leave
  * - onChannelUpdated: Function to handle channel updates
  * - onDeleteChannel: Function to handle channel deletion
+ * - onJumpToMessage: Function to scroll to a message cited in a summary
  * 
  * Dependencies:
  * - react
  * - prop-types
  * - ./EditChannelModal
+ * - ../messages/SummaryPanel
+ * - ../common/NotificationPreferenceMenu
+ * - ../../services/channelService
  * 
  * @version 1.0.0
  * @created 2024-01-13
@@ -37,16 +43,49 @@
 import PropTypes from 'prop-types';
 import { useState } from 'react';
 import EditChannelModal from './EditChannelModal';
+import SummaryPanel from '../messages/SummaryPanel';
+import NotificationPreferenceMenu from '../common/NotificationPreferenceMenu';
+import channelService from '../../services/channelService';
 
-function ChannelInfoBar({ channel, onViewPinnedMessages, onLeaveChannel, onChannelUpdated, onDeleteChannel }) {
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUMMARY_RANGES = [
+    { label: 'Since I last read', options: () => ({ sinceLastRead: true }) },
+    { label: 'Last 24 hours', options: () => ({ since: new Date(Date.now() - DAY_MS).toISOString() }) },
+    { label: 'Last 7 days', options: () => ({ since: new Date(Date.now() - 7 * DAY_MS).toISOString() }) }
+];
+
+function ChannelInfoBar({ channel, onViewPinnedMessages, onLeaveChannel, onChannelUpdated, onDeleteChannel, onJumpToMessage }) {
     const [showPinnedMessages, setShowPinnedMessages] = useState(false);
     const [showSettingsModal, setShowSettingsModal] = useState(false);
+    const [showSummaryMenu, setShowSummaryMenu] = useState(false);
+    const [showSummary, setShowSummary] = useState(false);
+    const [summary, setSummary] = useState(null);
+    const [isSummarizing, setIsSummarizing] = useState(false);
+    const [summaryError, setSummaryError] = useState(null);
 
     const handlePinnedClick = () => {
         setShowPinnedMessages(!showPinnedMessages);
         onViewPinnedMessages(!showPinnedMessages);
     };
 
+    const handleSummarize = async (range) => {
+        setShowSummaryMenu(false);
+        setShowSummary(true);
+        setSummary(null);
+        setSummaryError(null);
+        setIsSummarizing(true);
+
+        try {
+            setSummary(await channelService.summarizeChannel(channel.id, range.options()));
+        } catch (error) {
+            console.error('Error summarizing channel:', error);
+            setSummaryError(error.response?.data?.message || 'Failed to summarize channel');
+        } finally {
+            setIsSummarizing(false);
+        }
+    };
+
     return (
         <div className="bg-[#1a1a1a] border-b border-gray-700 px-6 py-3">
             <div className="flex justify-between items-start">
@@ -54,6 +93,11 @@ function ChannelInfoBar({ channel, onViewPinnedMessages, onLeaveChannel, onChann
                     <h2 className="text-lg font-semibold text-white">
                         {channel.name}
                     </h2>
+                    {channel.topic && (
+                        <p className="text-sm text-gray-300 truncate mt-0.5" title="Channel topic">
+                            {channel.topic}
+                        </p>
+                    )}
                     {channel.description && (
                         <p className="text-sm text-gray-400 truncate mt-0.5">
                             {channel.description}
@@ -61,6 +105,29 @@ function ChannelInfoBar({ channel, onViewPinnedMessages, onLeaveChannel, onChann
                     )}
                 </div>
                 <div className="flex items-center space-x-2">
+                    <NotificationPreferenceMenu channelId={channel.id} />
+                    <div className="relative">
+                        <button
+                            onClick={() => setShowSummaryMenu(!showSummaryMenu)}
+                            disabled={isSummarizing}
+                            className="px-3 py-1 rounded text-sm font-medium text-white hover:bg-gray-800 disabled:opacity-50"
+                        >
+                            {isSummarizing ? 'Summarizing...' : 'Summarize'}
+                        </button>
+                        {showSummaryMenu && (
+                            <div className="absolute right-0 mt-1 w-44 bg-[#242424] border border-gray-700 rounded-md shadow-lg z-10">
+                                {SUMMARY_RANGES.map(range => (
+                                    <button
+                                        key={range.label}
+                                        onClick={() => handleSummarize(range)}
+                                        className="block w-full text-left px-3 py-2 text-sm text-gray-200 hover:bg-gray-800"
+                                    >
+                                        {range.label}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </div>
                     <button
                         onClick={handlePinnedClick}
                         className={`flex items-center space-x-1 px-3 py-1 rounded hover:bg-gray-800 ${showPinnedMessages ? 'bg-gray-800 text-yellow-500' : 'text-white'}`}
@@ -70,9 +137,25 @@ function ChannelInfoBar({ channel, onViewPinnedMessages, onLeaveChannel, onChann
                         </svg>
                         <span className="text-sm font-medium">Pinned</span>
                     </button>
+                    <button
+                        onClick={() => setShowSettingsModal(true)}
+                        className="px-3 py-1 rounded text-sm font-medium text-white hover:bg-gray-800"
+                    >
+                        Settings
+                    </button>
                 </div>
             </div>
 
+            {showSummary && (
+                <SummaryPanel
+                    result={summary}
+                    isLoading={isSummarizing}
+                    error={summaryError}
+                    onClose={() => setShowSummary(false)}
+                    onJumpToMessage={onJumpToMessage}
+                />
+            )}
+
             <EditChannelModal
                 isOpen={showSettingsModal}
                 onClose={() => setShowSettingsModal(false)}
@@ -93,12 +176,14 @@ ChannelInfoBar.propTypes = {
         id: PropTypes.string.isRequired,
         name: PropTypes.string.isRequired,
         description: PropTypes.string,
+        topic: PropTypes.string,
         created_by: PropTypes.string.isRequired
     }).isRequired,
     onViewPinnedMessages: PropTypes.func.isRequired,
     onLeaveChannel: PropTypes.func.isRequired,
     onChannelUpdated: PropTypes.func.isRequired,
-    onDeleteChannel: PropTypes.func.isRequired
+    onDeleteChannel: PropTypes.func.isRequired,
+    onJumpToMessage: PropTypes.func
 };
 
 export default ChannelInfoBar; 
\ No newline at end of file
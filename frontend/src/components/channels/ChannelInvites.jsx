@@ -0,0 +1,260 @@
+/**
+ * @file ChannelInvites.jsx
+ * @description Invite and join request management for channel owners and admins.
+ * Creates expiring, usage-limited invite links, lists and revokes them, reviews
+ * pending requests to join and shows the membership audit. The server only keeps
+ * a hash of each invite token, so a link can be copied until the list is reloaded.
+ *
+ * Props:
+ * - channelId: ID of the channel
+ * - onMembersChanged: Function called after a join request is approved
+ *
+ * Dependencies:
+ * - react
+ * - prop-types
+ * - ../../services/channelService
+ *
+ * @version 1.0.0
+ * @created 2024-01-25
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import channelService, { getInviteLink } from '../../services/channelService';
+
+const EXPIRY_OPTIONS = [
+    { label: '1 hour', hours: 1 },
+    { label: '1 day', hours: 24 },
+    { label: '7 days', hours: 7 * 24 },
+    { label: '30 days', hours: 30 * 24 }
+];
+
+const MAX_USES_OPTIONS = [null, 1, 5, 10, 25, 100];
+
+const AUDIT_LABELS = {
+    invite_created: (entry) => `${entry.actor?.username || 'Someone'} created an invite`,
+    invite_revoked: (entry) => `${entry.actor?.username || 'Someone'} revoked an invite`,
+    invite_accepted: (entry) => `${entry.user?.username || 'Someone'} joined via ${entry.actor?.username || 'someone'}'s invite`,
+    request_created: (entry) => `${entry.user?.username || 'Someone'} asked to join`,
+    request_approved: (entry) => `${entry.actor?.username || 'Someone'} let ${entry.user?.username || 'someone'} in`,
+    request_denied: (entry) => `${entry.actor?.username || 'Someone'} denied ${entry.user?.username || 'someone'}'s request`,
+    member_added: (entry) => `${entry.actor?.username || 'Someone'} added ${entry.user?.username || 'someone'}`
+};
+
+const statusStyles = {
+    active: 'text-green-400',
+    expired: 'text-gray-500',
+    revoked: 'text-red-400',
+    used_up: 'text-gray-500'
+};
+
+function ChannelInvites({ channelId, onMembersChanged }) {
+    const [invites, setInvites] = useState([]);
+    const [requests, setRequests] = useState([]);
+    const [audit, setAudit] = useState([]);
+    const [showAudit, setShowAudit] = useState(false);
+    const [expiresInHours, setExpiresInHours] = useState(7 * 24);
+    const [maxUses, setMaxUses] = useState(null);
+    const [role, setRole] = useState('member');
+    const [copiedId, setCopiedId] = useState(null);
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const loadInvites = useCallback(async () => {
+        try {
+            setInvites(await channelService.getInvites(channelId));
+        } catch (err) {
+            console.error('Error loading invites:', err);
+        }
+    }, [channelId]);
+
+    const loadRequests = useCallback(async () => {
+        try {
+            setRequests(await channelService.getJoinRequests(channelId));
+        } catch (err) {
+            console.error('Error loading join requests:', err);
+        }
+    }, [channelId]);
+
+    useEffect(() => {
+        loadInvites();
+        loadRequests();
+    }, [loadInvites, loadRequests]);
+
+    const handleToggleAudit = async () => {
+        if (!showAudit) {
+            try {
+                setAudit(await channelService.getMembershipAudit(channelId));
+            } catch (err) {
+                console.error('Error loading membership audit:', err);
+            }
+        }
+        setShowAudit(!showAudit);
+    };
+
+    const handleCopy = async (invite) => {
+        try {
+            await navigator.clipboard.writeText(getInviteLink(invite.token));
+            setCopiedId(invite.id);
+            setTimeout(() => setCopiedId(null), 2000);
+        } catch (err) {
+            console.error('Error copying invite link:', err);
+        }
+    };
+
+    const handleCreate = async () => {
+        setError('');
+        setIsLoading(true);
+        try {
+            const invite = await channelService.createInvite(channelId, { expiresInHours, maxUses, role });
+            setInvites(prev => [invite, ...prev]);
+            handleCopy(invite);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to create invite');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleRevoke = async (inviteId) => {
+        setError('');
+        try {
+            const revoked = await channelService.revokeInvite(channelId, inviteId);
+            setInvites(prev => prev.map(invite => invite.id === inviteId ? revoked : invite));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to revoke invite');
+        }
+    };
+
+    const handleReview = async (requestId, approve) => {
+        setError('');
+        try {
+            await channelService.reviewJoinRequest(channelId, requestId, approve);
+            setRequests(prev => prev.filter(request => request.id !== requestId));
+            if (approve) onMembersChanged();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to review request');
+        }
+    };
+
+    const selectClassName = 'text-xs bg-[#1a1a1a] text-white border border-gray-700 rounded px-1 py-0.5';
+
+    return (
+        <div className="space-y-3">
+            <h3 className="font-medium text-white">Invites</h3>
+            {error && <p className="text-red-400 text-sm">{error}</p>}
+
+            <div className="flex flex-wrap items-center gap-2 text-xs text-gray-300">
+                <label>
+                    Expires{' '}
+                    <select value={expiresInHours} onChange={(e) => setExpiresInHours(Number(e.target.value))} className={selectClassName}>
+                        {EXPIRY_OPTIONS.map(option => (
+                            <option key={option.hours} value={option.hours}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    Uses{' '}
+                    <select
+                        value={maxUses ?? ''}
+                        onChange={(e) => setMaxUses(e.target.value ? Number(e.target.value) : null)}
+                        className={selectClassName}
+                    >
+                        {MAX_USES_OPTIONS.map(option => (
+                            <option key={option ?? 'unlimited'} value={option ?? ''}>{option ?? 'No limit'}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    As{' '}
+                    <select value={role} onChange={(e) => setRole(e.target.value)} className={selectClassName}>
+                        <option value="member">member</option>
+                        <option value="guest">guest</option>
+                    </select>
+                </label>
+                <button
+                    type="button"
+                    onClick={handleCreate}
+                    disabled={isLoading}
+                    className="px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                >
+                    Create link
+                </button>
+            </div>
+
+            {invites.length > 0 && (
+                <ul className="max-h-32 overflow-y-auto space-y-1">
+                    {invites.map(invite => (
+                        <li key={invite.id} className="flex items-center justify-between text-xs">
+                            <span className="text-gray-300 truncate">
+                                {invite.creator?.username || 'Unknown'} · {invite.use_count}{invite.max_uses ? `/${invite.max_uses}` : ''} uses ·{' '}
+                                <span className={statusStyles[invite.status]}>
+                                    {invite.status === 'active'
+                                        ? `expires ${new Date(invite.expires_at).toLocaleDateString()}`
+                                        : invite.status.replace('_', ' ')}
+                                </span>
+                            </span>
+                            {invite.status === 'active' && (
+                                <span className="flex-shrink-0 space-x-2">
+                                    {invite.token && (
+                                        <button type="button" onClick={() => handleCopy(invite)} className="text-blue-400 hover:text-blue-300">
+                                            {copiedId === invite.id ? 'Copied!' : 'Copy'}
+                                        </button>
+                                    )}
+                                    <button type="button" onClick={() => handleRevoke(invite.id)} className="text-red-400 hover:text-red-300">
+                                        Revoke
+                                    </button>
+                                </span>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {requests.length > 0 && (
+                <div>
+                    <h4 className="text-sm text-white mb-1">Requests to join</h4>
+                    <ul className="space-y-1">
+                        {requests.map(request => (
+                            <li key={request.id} className="flex items-center justify-between text-xs">
+                                <span className="text-gray-300 truncate" title={request.message || ''}>
+                                    {request.user?.username}
+                                    {request.message && <span className="text-gray-500"> — {request.message}</span>}
+                                </span>
+                                <span className="flex-shrink-0 space-x-2">
+                                    <button type="button" onClick={() => handleReview(request.id, true)} className="text-green-400 hover:text-green-300">
+                                        Approve
+                                    </button>
+                                    <button type="button" onClick={() => handleReview(request.id, false)} className="text-red-400 hover:text-red-300">
+                                        Deny
+                                    </button>
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <button type="button" onClick={handleToggleAudit} className="text-xs text-gray-400 hover:text-gray-200">
+                {showAudit ? 'Hide membership history' : 'Show membership history'}
+            </button>
+            {showAudit && (
+                <ul className="max-h-32 overflow-y-auto space-y-1 text-xs text-gray-400">
+                    {audit.length === 0 && <li>No invites or requests yet</li>}
+                    {audit.map(entry => (
+                        <li key={entry.id}>
+                            {new Date(entry.created_at).toLocaleString()} — {AUDIT_LABELS[entry.action]?.(entry) || entry.action}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+ChannelInvites.propTypes = {
+    channelId: PropTypes.string.isRequired,
+    onMembersChanged: PropTypes.func.isRequired
+};
+
+export default ChannelInvites;
@@ -16,6 +16,7 @@
  * - Create channel modal integration
  * - Browse channels navigation
  * - Visual selection indicators
+ * - Unread and mention badges
  * - Responsive design
  * 
  * Props:
@@ -23,12 +24,14 @@
  * - selectedChannelId: Currently selected channel ID
  * - channels: Array of channel objects
  * - setChannels: Function to update channels list
+ * - unreadCounts: Unread and mention counts keyed by channel ID
  * 
  * Dependencies:
  * - react
  * - react-router-dom
  * - prop-types
  * - ./CreateChannelModal
+ * - ../common/UnreadBadge
  * 
  * @version 1.0.0
  * @created 2024-01-13
@@ -39,8 +42,9 @@ import { useNavigate } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import CreateChannelModal from './CreateChannelModal';
 import EditChannelModal from './EditChannelModal';
+import UnreadBadge from '../common/UnreadBadge';
 
-function ChannelList({ onChannelSelect, selectedChannelId, channels, setChannels }) {
+function ChannelList({ onChannelSelect, selectedChannelId, channels, setChannels, unreadCounts = {} }) {
     const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
     const [showAddOptions, setShowAddOptions] = useState(false);
     const [editingChannel, setEditingChannel] = useState(null);
@@ -88,28 +92,32 @@ function ChannelList({ onChannelSelect, selectedChannelId, channels, setChannels
 
     return (
         <div className="space-y-1">
-            {channels.map((channel) => (
-                <div key={channel.id} className="flex items-center group">
-                    <button
-                        onClick={() => onChannelSelect(channel.id)}
-                        className={`flex-grow text-left px-2 py-1 rounded-l text-white hover:bg-gray-800 ${selectedChannelId === channel.id ? 'bg-gray-800' : ''}`}
-                    >
-                        # {channel.name}
-                    </button>
-                    <button
-                        onClick={(e) => {
-                            e.stopPropagation();
-                            setEditingChannel(channel);
-                        }}
-                        className={`px-2 py-2 rounded-r text-gray-400 hover:text-white hover:bg-gray-800 opacity-0 group-hover:opacity-100 transition-opacity ${selectedChannelId === channel.id ? 'bg-gray-800' : ''}`}
-                    >
-                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                        </svg>
-                    </button>
-                </div>
-            ))}
+            {channels.map((channel) => {
+                const counts = selectedChannelId === channel.id ? null : unreadCounts[channel.id];
+                return (
+                    <div key={channel.id} className="flex items-center group">
+                        <button
+                            onClick={() => onChannelSelect(channel.id)}
+                            className={`flex-grow flex items-center text-left px-2 py-1 rounded-l text-white hover:bg-gray-800 ${selectedChannelId === channel.id ? 'bg-gray-800' : ''} ${counts?.unread_count > 0 ? 'font-semibold' : ''}`}
+                        >
+                            <span className="truncate"># {channel.name}</span>
+                            <UnreadBadge counts={counts} />
+                        </button>
+                        <button
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                setEditingChannel(channel);
+                            }}
+                            className={`px-2 py-2 rounded-r text-gray-400 hover:text-white hover:bg-gray-800 opacity-0 group-hover:opacity-100 transition-opacity ${selectedChannelId === channel.id ? 'bg-gray-800' : ''}`}
+                        >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                            </svg>
+                        </button>
+                    </div>
+                );
+            })}
 
             {/* Add Channel Section */}
             <div className="relative">
@@ -174,7 +182,11 @@ ChannelList.propTypes = {
         description: PropTypes.string,
         created_by: PropTypes.string.isRequired
     })).isRequired,
-    setChannels: PropTypes.func.isRequired
+    setChannels: PropTypes.func.isRequired,
+    unreadCounts: PropTypes.objectOf(PropTypes.shape({
+        unread_count: PropTypes.number,
+        mention_count: PropTypes.number
+    }))
 };
 
 export default ChannelList;
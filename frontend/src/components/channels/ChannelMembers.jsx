@@ -0,0 +1,105 @@
+/**
+ * @file ChannelMembers.jsx
+ * @description Channel member list showing each member's role. Owners and admins
+ * get a role picker for members ranked below them, to promote or demote them.
+ *
+ * Props:
+ * - channelId: ID of the channel
+ * - members: Members as returned by channelService.getMembers
+ * - currentUserRole: Role of the signed-in user in the channel
+ * - onMemberUpdated: Function called with the updated member after a role change
+ *
+ * Dependencies:
+ * - react
+ * - prop-types
+ * - ../../services/channelService
+ * - ../../services/authService
+ *
+ * @version 1.0.0
+ * @created 2024-01-24
+ */
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import channelService, { CHANNEL_ROLES, getAssignableRoles } from '../../services/channelService';
+import { getUser } from '../../services/authService';
+
+const roleStyles = {
+    owner: 'bg-yellow-900 text-yellow-200',
+    admin: 'bg-red-900 text-red-200',
+    moderator: 'bg-blue-900 text-blue-200',
+    member: 'bg-gray-700 text-gray-200',
+    guest: 'bg-gray-800 text-gray-400'
+};
+
+function ChannelMembers({ channelId, members, currentUserRole, onMemberUpdated }) {
+    const [updatingUserId, setUpdatingUserId] = useState(null);
+    const [error, setError] = useState('');
+    const currentUser = getUser();
+    const assignableRoles = getAssignableRoles(currentUserRole);
+
+    const handleRoleChange = async (member, role) => {
+        setError('');
+        setUpdatingUserId(member.user.id);
+        try {
+            const updated = await channelService.updateMemberRole(channelId, member.user.id, role);
+            onMemberUpdated(updated);
+        } catch (err) {
+            console.error('Error updating member role:', err);
+            setError(err.response?.data?.message || 'Failed to update role');
+        } finally {
+            setUpdatingUserId(null);
+        }
+    };
+
+    return (
+        <div>
+            <h3 className="font-medium text-white mb-2">Members ({members.length})</h3>
+            {error && <p className="text-red-400 text-sm mb-2">{error}</p>}
+            <ul className="max-h-48 overflow-y-auto space-y-1">
+                {members.map(member => {
+                    const canChange = member.user.id !== currentUser.id && assignableRoles.includes(member.role);
+                    return (
+                        <li key={member.user.id} className="flex items-center justify-between py-1">
+                            <span className="text-sm text-gray-200 truncate">
+                                {member.user.username}
+                                {member.user.id === currentUser.id && <span className="text-gray-500"> (you)</span>}
+                            </span>
+                            {canChange ? (
+                                <select
+                                    value={member.role}
+                                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                                    disabled={updatingUserId === member.user.id}
+                                    className="text-xs bg-[#1a1a1a] text-white border border-gray-700 rounded px-1 py-0.5"
+                                >
+                                    {assignableRoles.map(role => (
+                                        <option key={role} value={role}>{role}</option>
+                                    ))}
+                                </select>
+                            ) : (
+                                <span className={`text-xs px-1.5 rounded ${roleStyles[member.role] || roleStyles.member}`}>
+                                    {member.role}
+                                </span>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
+
+ChannelMembers.propTypes = {
+    channelId: PropTypes.string.isRequired,
+    members: PropTypes.arrayOf(PropTypes.shape({
+        role: PropTypes.oneOf(CHANNEL_ROLES).isRequired,
+        user: PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            username: PropTypes.string.isRequired
+        }).isRequired
+    })).isRequired,
+    currentUserRole: PropTypes.string,
+    onMemberUpdated: PropTypes.func.isRequired
+};
+
+export default ChannelMembers;
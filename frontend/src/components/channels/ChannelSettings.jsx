@@ -1,130 +1,222 @@
-import React, { useState, useEffect } from 'react';
-import supabase from '../../lib/supabase';
-
-const AI_USER_ID = '00000000-0000-0000-0000-000000000000';
-
-function ChannelSettings({ channel, onClose }) {
-    const [allowAI, setAllowAI] = useState(false);
+/**
+ * @file ChannelSettings.jsx
+ * @description AI assistant settings for channel owners and admins. Turning the
+ * assistant on or off is saved right away; the trigger keyword, instructions,
+ * model parameters and retrieval options are saved together.
+ *
+ * Props:
+ * - channelId: ID of the channel
+ *
+ * Dependencies:
+ * - react
+ * - prop-types
+ * - ../../services/channelService
+ *
+ * @version 1.0.0
+ * @created 2024-01-22
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import channelService from '../../services/channelService';
+
+const AI_MODELS = ['gpt-3.5-turbo', 'gpt-4', 'gpt-4-turbo', 'gpt-4o', 'gpt-4o-mini'];
+
+const inputClassName = 'mt-1 w-full px-2 py-1 text-sm bg-[#1a1a1a] text-white border border-gray-700 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+
+function ChannelSettings({ channelId }) {
+    const [settings, setSettings] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
     const [error, setError] = useState(null);
+    const [saved, setSaved] = useState(false);
 
-    // Check if AI is a member on component mount
+    // Load the channel's AI settings when the channel changes
     useEffect(() => {
-        const checkAIMembership = async () => {
+        const loadSettings = async () => {
+            setIsLoading(true);
             try {
-                const { data, error } = await supabase
-                    .from('channels')
-                    .select('member_ids')
-                    .eq('id', channel.id)
-                    .single();
-
-                if (error) throw error;
-                setAllowAI(data.member_ids?.includes(AI_USER_ID) || false);
+                setSettings(await channelService.getAISettings(channelId));
             } catch (err) {
-                console.error('Error checking AI membership:', err);
-                setError('Failed to check AI status');
+                console.error('Error loading AI settings:', err);
+                setError('Failed to load AI settings');
             } finally {
                 setIsLoading(false);
             }
         };
 
-        checkAIMembership();
-    }, [channel.id]);
+        loadSettings();
+    }, [channelId]);
+
+    const updateField = (field, value) => {
+        setSettings(prev => ({ ...prev, [field]: value }));
+        setSaved(false);
+    };
 
-    const handleAIToggle = async (e) => {
-        const checked = e.target.checked;
-        setIsLoading(true);
+    const save = async (changes) => {
+        setIsSaving(true);
         setError(null);
 
         try {
-            // Get current member_ids
-            const { data: currentData, error: fetchError } = await supabase
-                .from('channels')
-                .select('member_ids')
-                .eq('id', channel.id)
-                .single();
-
-            if (fetchError) throw fetchError;
-
-            let newMemberIds = [...(currentData.member_ids || [])];
-            if (checked && !newMemberIds.includes(AI_USER_ID)) {
-                newMemberIds.push(AI_USER_ID);
-            } else if (!checked && newMemberIds.includes(AI_USER_ID)) {
-                newMemberIds = newMemberIds.filter(id => id !== AI_USER_ID);
-            }
-
-            // Update channel members
-            const { error: updateError } = await supabase
-                .from('channels')
-                .update({ member_ids: newMemberIds })
-                .eq('id', channel.id);
-
-            if (updateError) throw updateError;
-
-            // If AI was added, send a welcome message
-            if (checked && !currentData.member_ids?.includes(AI_USER_ID)) {
-                const welcomeMsg = `Hello! I'm the AI assistant. I can help answer questions about past discussions in this channel. Just start your message with "@AI" to ask me anything!`;
-                
-                const { error: msgError } = await supabase
-                    .from('messages')
-                    .insert({
-                        channel_id: channel.id,
-                        sender_id: AI_USER_ID,
-                        content: welcomeMsg,
-                        type: 'user'
-                    });
-
-                if (msgError) throw msgError;
-            }
-
-            setAllowAI(checked);
+            setSettings(await channelService.updateAISettings(channelId, changes));
+            setSaved(true);
         } catch (err) {
-            console.error('Error toggling AI access:', err);
-            setError('Failed to update AI access');
-            setAllowAI(!checked); // Revert the toggle
+            console.error('Error saving AI settings:', err);
+            setError(err.response?.data?.message || 'Failed to save AI settings');
         } finally {
-            setIsLoading(false);
+            setIsSaving(false);
         }
     };
 
+    const handleToggle = (enabled) => save({ enabled });
+
+    const handleSave = () => save({
+        trigger: settings.trigger,
+        system_prompt: settings.system_prompt || null,
+        model: settings.model,
+        temperature: Number(settings.temperature),
+        max_tokens: parseInt(settings.max_tokens, 10),
+        use_rag: settings.use_rag,
+        rag_scope: settings.rag_scope
+    });
+
+    if (isLoading) {
+        return <p className="text-sm text-gray-400">Loading AI settings...</p>;
+    }
+
+    if (!settings) {
+        return <p className="text-sm text-red-400">{error}</p>;
+    }
+
     return (
-        <div className="p-4">
-            <h2 className="text-lg font-semibold mb-4">Channel Settings</h2>
-            
-            <div className="mb-4">
-                <label className="flex items-center space-x-2 cursor-pointer">
-                    <div className="relative">
-                        <input
-                            type="checkbox"
-                            checked={allowAI}
-                            onChange={handleAIToggle}
-                            disabled={isLoading}
-                            className="form-checkbox h-5 w-5 text-blue-600 transition-all duration-150 ease-in-out"
-                        />
-                        {isLoading && (
-                            <div className="absolute inset-0 bg-gray-200 opacity-50 rounded"></div>
-                        )}
-                    </div>
+        <div className="space-y-3">
+            <h3 className="font-medium text-white">AI Assistant</h3>
+
+            <div>
+                <label className="flex items-center space-x-2 cursor-pointer text-sm text-white">
+                    <input
+                        type="checkbox"
+                        checked={settings.enabled}
+                        onChange={(e) => handleToggle(e.target.checked)}
+                        disabled={isSaving}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-700 rounded"
+                    />
                     <span className="select-none">Enable AI Assistant</span>
                 </label>
-                <p className="text-sm text-gray-500 mt-1">
-                    When enabled, you can ask the AI questions about channel discussions by starting your message with "@AI".
+                <p className="text-xs text-gray-400 mt-1">
+                    When enabled, members can ask the AI questions by starting a message with &quot;{settings.trigger}&quot;.
                 </p>
-                {error && (
-                    <p className="text-sm text-red-500 mt-1">{error}</p>
-                )}
             </div>
 
-            <div className="mt-6">
-                <button
-                    onClick={onClose}
-                    className="px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
-                >
-                    Close
-                </button>
-            </div>
+            {settings.enabled && (
+                <div className="space-y-3 text-sm text-white">
+                    <div>
+                        <label htmlFor="ai-trigger" className="block font-medium">Trigger keyword</label>
+                        <input
+                            id="ai-trigger"
+                            type="text"
+                            value={settings.trigger}
+                            onChange={(e) => updateField('trigger', e.target.value)}
+                            maxLength={32}
+                            className={inputClassName}
+                        />
+                    </div>
+
+                    <div>
+                        <label htmlFor="ai-system-prompt" className="block font-medium">System prompt</label>
+                        <textarea
+                            id="ai-system-prompt"
+                            value={settings.system_prompt || ''}
+                            onChange={(e) => updateField('system_prompt', e.target.value)}
+                            placeholder="Leave empty to use the default assistant instructions"
+                            rows={3}
+                            maxLength={4000}
+                            className={inputClassName}
+                        />
+                    </div>
+
+                    <div className="grid grid-cols-3 gap-3">
+                        <div>
+                            <label htmlFor="ai-model" className="block font-medium">Model</label>
+                            <select
+                                id="ai-model"
+                                value={settings.model}
+                                onChange={(e) => updateField('model', e.target.value)}
+                                className={inputClassName}
+                            >
+                                {AI_MODELS.map(model => (
+                                    <option key={model} value={model}>{model}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="ai-temperature" className="block font-medium">Temperature</label>
+                            <input
+                                id="ai-temperature"
+                                type="number"
+                                min="0"
+                                max="2"
+                                step="0.1"
+                                value={settings.temperature}
+                                onChange={(e) => updateField('temperature', e.target.value)}
+                                className={inputClassName}
+                            />
+                        </div>
+                        <div>
+                            <label htmlFor="ai-max-tokens" className="block font-medium">Max tokens</label>
+                            <input
+                                id="ai-max-tokens"
+                                type="number"
+                                min="1"
+                                max="4000"
+                                value={settings.max_tokens}
+                                onChange={(e) => updateField('max_tokens', e.target.value)}
+                                className={inputClassName}
+                            />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="flex items-center space-x-2 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={settings.use_rag}
+                                onChange={(e) => updateField('use_rag', e.target.checked)}
+                                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-700 rounded"
+                            />
+                            <span className="select-none">Ground answers in message history</span>
+                        </label>
+                        {settings.use_rag && (
+                            <select
+                                value={settings.rag_scope}
+                                onChange={(e) => updateField('rag_scope', e.target.value)}
+                                className={inputClassName}
+                            >
+                                <option value="channel">This channel only</option>
+                                <option value="all">All conversations every member of this channel can see</option>
+                            </select>
+                        )}
+                    </div>
+
+                    <button
+                        type="button"
+                        onClick={handleSave}
+                        disabled={isSaving}
+                        className="px-2 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {isSaving ? 'Saving...' : 'Save AI settings'}
+                    </button>
+                </div>
+            )}
+
+            {error && <p className="text-sm text-red-400">{error}</p>}
+            {saved && <p className="text-sm text-green-400">AI settings saved</p>}
         </div>
     );
 }
 
-export default ChannelSettings; 
\ No newline at end of file
+ChannelSettings.propTypes = {
+    channelId: PropTypes.string.isRequired
+};
+
+export default ChannelSettings;
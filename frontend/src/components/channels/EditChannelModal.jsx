@@ -1,13 +1,14 @@
 /**
  * @file EditChannelModal.jsx
  * @description Modal component for editing channel settings and managing channel
- * membership. This component provides different interfaces for channel creators
- * and regular members, allowing appropriate management actions.
+ * membership. This component provides different interfaces for channel owners and
+ * admins and for regular members, allowing appropriate management actions.
  * 
  * Core Functionality:
  * - Channel settings management
  * - Channel membership control
- * - Creator-specific actions
+ * - Admin-specific actions
+ * - Member roles
  * - Permission handling
  * 
  * Features:
@@ -16,6 +17,9 @@
  * - Privacy toggle
  * - Channel deletion
  * - Channel leaving
+ * - Member list with role management
+ * - Invite links, join requests and membership history
+ * - AI assistant settings
  * - Permission-based UI
  * - Form validation
  * - Loading states
@@ -34,29 +38,37 @@
  * - react
  * - prop-types
  * - ../../services/channelService
- * - ../../services/auth
+ * - ../../services/authService
+ * - ./ChannelMembers
+ * - ./ChannelInvites
+ * - ./ChannelIncomingWebhooks
+ * - ./ChannelSettings
  * 
  * @version 1.0.0
  * @created 2024-01-13
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
-import channelService from '../../services/channelService';
+import channelService, { ADMIN_ROLES } from '../../services/channelService';
 import { getUser } from '../../services/authService';
-import { supabase } from '../../supabaseClient';
-
-const AI_USER_ID = '00000000-0000-0000-0000-000000000000';
+import ChannelMembers from './ChannelMembers';
+import ChannelInvites from './ChannelInvites';
+import ChannelIncomingWebhooks from './ChannelIncomingWebhooks';
+import ChannelSettings from './ChannelSettings';
 
 function EditChannelModal({ isOpen, onClose, channel, onChannelUpdated, onLeaveChannel, onDeleteChannel }) {
     const [name, setName] = useState(channel?.name || '');
     const [description, setDescription] = useState(channel?.description || '');
     const [isPrivate, setIsPrivate] = useState(channel?.is_private || false);
-    const [allowAI, setAllowAI] = useState(false);
+    const [allowJoinRequests, setAllowJoinRequests] = useState(channel?.allow_join_requests || false);
     const [error, setError] = useState('');
     const [isLoading, setIsLoading] = useState(false);
+    const [members, setMembers] = useState([]);
     const currentUser = getUser();
-    const isCreator = channel?.created_by === currentUser.id;
+    const myRole = members.find(member => member.user.id === currentUser.id)?.role;
+    const canManage = ADMIN_ROLES.includes(myRole);
+    const isOwner = myRole === 'owner';
 
     // Update local state when channel prop changes
     useEffect(() => {
@@ -64,82 +76,36 @@ function EditChannelModal({ isOpen, onClose, channel, onChannelUpdated, onLeaveC
             setName(channel.name);
             setDescription(channel.description || '');
             setIsPrivate(channel.is_private || false);
-            checkAIMembership();
+            setAllowJoinRequests(channel.allow_join_requests || false);
         }
     }, [channel]);
 
-    const checkAIMembership = async () => {
-        if (!channel) return;
+    const channelId = channel?.id;
+    const loadMembers = useCallback(async () => {
         try {
-            const { data, error } = await supabase
-                .from('channel_members')
-                .select('user_id')
-                .eq('channel_id', channel.id)
-                .eq('user_id', AI_USER_ID)
-                .single();
-
-            if (error && error.code !== 'PGRST116') throw error; // PGRST116 is "no rows returned"
-            setAllowAI(!!data);
+            const data = await channelService.getMembers(channelId);
+            setMembers(data);
         } catch (err) {
-            console.error('Error checking AI membership:', err);
+            console.error('Error loading channel members:', err);
         }
-    };
-
-    const handleAIToggle = async (checked) => {
-        if (!channel) return;
-        setIsLoading(true);
-
-        try {
-            if (checked) {
-                // Add AI to channel
-                const { error: joinError } = await supabase
-                    .from('channel_members')
-                    .insert({
-                        channel_id: channel.id,
-                        user_id: AI_USER_ID,
-                        role: 'member'
-                    });
-
-                if (joinError) throw joinError;
-
-                // Send welcome message
-                const welcomeMsg = `Hello! I'm the AI assistant. I can help answer questions about past discussions in this channel. Just start your message with "@AI" to ask me anything!`;
-                
-                const { error: msgError } = await supabase
-                    .from('messages')
-                    .insert({
-                        channel_id: channel.id,
-                        sender_id: AI_USER_ID,
-                        content: welcomeMsg,
-                        type: 'user'
-                    });
-
-                if (msgError) throw msgError;
-            } else {
-                // Remove AI from channel
-                const { error: leaveError } = await supabase
-                    .from('channel_members')
-                    .delete()
-                    .eq('channel_id', channel.id)
-                    .eq('user_id', AI_USER_ID);
+    }, [channelId]);
 
-                if (leaveError) throw leaveError;
-            }
-
-            setAllowAI(checked);
-        } catch (err) {
-            console.error('Error toggling AI access:', err);
-            setError('Failed to update AI access');
-            setAllowAI(!checked);
-        } finally {
-            setIsLoading(false);
+    useEffect(() => {
+        if (isOpen && channelId) {
+            loadMembers();
         }
+    }, [isOpen, channelId, loadMembers]);
+
+    const handleMemberUpdated = (updated) => {
+        setMembers(prev => prev.map(member =>
+            member.user.id === updated.user.id ? updated : member
+        ));
     };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
-        if (!isCreator) {
-            setError('Only the channel creator can edit the channel');
+        if (!canManage) {
+            setError('Only channel owners and admins can edit the channel');
             return;
         }
 
@@ -150,7 +116,8 @@ function EditChannelModal({ isOpen, onClose, channel, onChannelUpdated, onLeaveC
             const channelData = {
                 name: name.trim(),
                 description: description.trim(),
-                is_private: isPrivate
+                is_private: isPrivate,
+                allow_join_requests: isPrivate && allowJoinRequests
             };
 
             const updatedChannel = await channelService.updateChannel(channel.id, channelData);
@@ -171,8 +138,8 @@ function EditChannelModal({ isOpen, onClose, channel, onChannelUpdated, onLeaveC
     };
 
     const handleDeleteChannel = async () => {
-        if (!isCreator) {
-            setError('Only the channel creator can delete the channel');
+        if (!isOwner) {
+            setError('Only the channel owner can delete the channel');
             return;
         }
 
@@ -200,10 +167,10 @@ function EditChannelModal({ isOpen, onClose, channel, onChannelUpdated, onLeaveC
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50" onClick={handleOverlayClick}>
-            <div className="bg-[#1a1a1a] rounded-lg shadow-xl w-full max-w-md relative">
+            <div className="bg-[#1a1a1a] rounded-lg shadow-xl w-full max-w-md max-h-[90vh] overflow-y-auto relative">
                 <div className="p-6">
                     <h2 className="text-xl font-semibold mb-4 text-white">Channel Settings</h2>
-                    {isCreator ? (
+                    {canManage ? (
                         <form onSubmit={handleSubmit}>
                             <div className="space-y-4">
                                 <div>
@@ -235,7 +202,7 @@ function EditChannelModal({ isOpen, onClose, channel, onChannelUpdated, onLeaveC
                                     />
                                 </div>
 
-                                <div className="flex items-center space-x-6">
+                                <div className="flex flex-wrap items-center gap-x-6 gap-y-2">
                                     <div className="flex items-center">
                                         <input
                                             type="checkbox"
@@ -249,19 +216,20 @@ function EditChannelModal({ isOpen, onClose, channel, onChannelUpdated, onLeaveC
                                         </label>
                                     </div>
 
-                                    <div className="flex items-center">
-                                        <input
-                                            type="checkbox"
-                                            id="allowAI"
-                                            checked={allowAI}
-                                            onChange={(e) => handleAIToggle(e.target.checked)}
-                                            disabled={isLoading}
-                                            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-700 rounded"
-                                        />
-                                        <label htmlFor="allowAI" className="ml-2 block text-sm text-white">
-                                            Enable AI Assistant
-                                        </label>
-                                    </div>
+                                    {isPrivate && (
+                                        <div className="flex items-center">
+                                            <input
+                                                type="checkbox"
+                                                id="allowJoinRequests"
+                                                checked={allowJoinRequests}
+                                                onChange={(e) => setAllowJoinRequests(e.target.checked)}
+                                                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-700 rounded"
+                                            />
+                                            <label htmlFor="allowJoinRequests" className="ml-2 block text-sm text-white">
+                                                Allow requests to join
+                                            </label>
+                                        </div>
+                                    )}
                                 </div>
 
                                 {error && (
@@ -269,18 +237,33 @@ function EditChannelModal({ isOpen, onClose, channel, onChannelUpdated, onLeaveC
                                         {error}
                                     </div>
                                 )}
+
+                                <ChannelMembers
+                                    channelId={channel.id}
+                                    members={members}
+                                    currentUserRole={myRole}
+                                    onMemberUpdated={handleMemberUpdated}
+                                />
+
+                                <ChannelInvites channelId={channel.id} onMembersChanged={loadMembers} />
+
+                                <ChannelIncomingWebhooks channelId={channel.id} />
+
+                                <ChannelSettings channelId={channel.id} />
                             </div>
 
                             <div className="mt-6 grid grid-cols-2 gap-4">
                                 <div className="space-y-4">
-                                    <button
-                                        type="button"
-                                        onClick={handleDeleteChannel}
-                                        className="w-full px-4 py-2 border border-red-900 text-red-400 rounded-md shadow-sm text-sm font-medium hover:bg-red-900 hover:bg-opacity-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
-                                        disabled={isLoading}
-                                    >
-                                        Delete Channel
-                                    </button>
+                                    {isOwner && (
+                                        <button
+                                            type="button"
+                                            onClick={handleDeleteChannel}
+                                            className="w-full px-4 py-2 border border-red-900 text-red-400 rounded-md shadow-sm text-sm font-medium hover:bg-red-900 hover:bg-opacity-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+                                            disabled={isLoading}
+                                        >
+                                            Delete Channel
+                                        </button>
+                                    )}
                                     <button
                                         type="button"
                                         onClick={handleLeaveChannel}
@@ -323,6 +306,12 @@ function EditChannelModal({ isOpen, onClose, channel, onChannelUpdated, onLeaveC
                                     )}
                                 </div>
                             </div>
+                            <ChannelMembers
+                                channelId={channel.id}
+                                members={members}
+                                currentUserRole={myRole}
+                                onMemberUpdated={handleMemberUpdated}
+                            />
                             <div className="flex justify-between gap-4 pt-4">
                                 <button
                                     type="button"
@@ -355,6 +344,7 @@ EditChannelModal.propTypes = {
         name: PropTypes.string.isRequired,
         description: PropTypes.string,
         is_private: PropTypes.bool,
+        allow_join_requests: PropTypes.bool,
         created_by: PropTypes.string.isRequired
     }),
     onChannelUpdated: PropTypes.func.isRequired,
@@ -11,11 +11,11 @@
  * - Navigation handling
  * 
  * Features:
- * - Message content search
+ * - Hybrid keyword and semantic message search
+ * - Search filters (from:, in:#channel, has:file, before:, after:, is:pinned)
+ * - Highlighted message snippets
  * - Channel search
  * - User search
- * - System message filtering
- * - File attachment filtering
  * - Result type switching
  * - Channel joining
  * - DM navigation
@@ -43,7 +43,7 @@
  * @created 2024-01-14
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import searchService from '../../services/searchService';
@@ -52,6 +52,20 @@ import channelService from '../../services/channelService';
 import { supabase } from '../../supabaseClient';
 import { getUser } from '../../services/authService';
 
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Renders a search snippet, highlighting the <mark>-delimited terms as plain text
+const renderSnippet = (snippet) =>
+    snippet.split(/(<mark>.*?<\/mark>)/g).map((part, index) =>
+        part.startsWith('<mark>') ? (
+            <mark key={index} className="bg-yellow-500/30 text-white rounded px-0.5">
+                {part.slice(6, -7)}
+            </mark>
+        ) : (
+            part
+        )
+    );
+
 function SearchModal({ isOpen, onClose }) {
     const [searchType, setSearchType] = useState('messages');
     const [searchQuery, setSearchQuery] = useState('');
@@ -60,27 +74,16 @@ function SearchModal({ isOpen, onClose }) {
     const navigate = useNavigate();
     const [searchParams, setSearchParams] = useSearchParams();
     const currentUser = getUser();
-    const [includeSystem, setIncludeSystem] = useState(true);
-    const [includeFiles, setIncludeFiles] = useState(true);
-
-    useEffect(() => {
-        if (searchQuery.trim().length >= 2) {
-            performSearch();
-        } else {
-            setResults([]);
-        }
-    }, [searchQuery, searchType, includeSystem, includeFiles]);
+    const [error, setError] = useState(null);
 
-    const performSearch = async () => {
+    const performSearch = useCallback(async () => {
         setIsLoading(true);
+        setError(null);
         try {
             let searchResults;
             switch (searchType) {
                 case 'messages':
-                    searchResults = await searchService.searchMessages(searchQuery, {
-                        includeSystem,
-                        includeFiles
-                    });
+                    searchResults = await searchService.searchMessages(searchQuery);
                     break;
                 case 'channels':
                     searchResults = await searchService.searchChannels(searchQuery);
@@ -94,18 +97,24 @@ function SearchModal({ isOpen, onClose }) {
             setResults(searchResults);
         } catch (error) {
             console.error('Search error:', error);
+            setError(error.response?.data?.message || 'Search failed');
             setResults([]);
         } finally {
             setIsLoading(false);
         }
-    };
+    }, [searchQuery, searchType]);
 
-    const handleSearch = (e) => {
-        e.preventDefault();
-        if (searchQuery.trim().length >= 2) {
-            performSearch();
+    useEffect(() => {
+        if (searchQuery.trim().length < 2) {
+            setResults([]);
+            setError(null);
+            return;
         }
-    };
+
+        // Wait for a pause in typing; message search embeds the query on every request
+        const timeoutId = setTimeout(performSearch, SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timeoutId);
+    }, [searchQuery, performSearch]);
 
     const handleMessageClick = async (message) => {
         if (message.channel_id) {
@@ -173,6 +182,14 @@ function SearchModal({ isOpen, onClose }) {
             );
         }
 
+        if (error) {
+            return (
+                <div className="text-red-400 text-center py-8">
+                    {error}
+                </div>
+            );
+        }
+
         if (results.length === 0) {
             return (
                 <div className="text-gray-500 text-center py-8">
@@ -188,7 +205,7 @@ function SearchModal({ isOpen, onClose }) {
                         {results.map((message) => (
                             <div
                                 key={message.id}
-                                className="p-4 hover:bg-gray-50 rounded-lg cursor-pointer"
+                                className="p-4 hover:bg-gray-800 rounded-lg cursor-pointer"
                                 onClick={() => handleMessageClick(message)}
                             >
                                 <div className="flex items-start space-x-3">
@@ -199,7 +216,7 @@ function SearchModal({ isOpen, onClose }) {
                                     />
                                     <div className="flex-1 min-w-0">
                                         <div className="flex items-center space-x-2">
-                                            <span className="font-medium text-gray-900">
+                                            <span className="font-medium text-white">
                                                 {message.sender?.username || 'Unknown User'}
                                             </span>
                                             <span className="text-sm text-gray-500">
@@ -216,7 +233,9 @@ function SearchModal({ isOpen, onClose }) {
                                                 </span>
                                             )}
                                         </div>
-                                        <p className="text-gray-800 mt-1">{message.content}</p>
+                                        <p className="text-gray-300 mt-1 break-words">
+                                            {renderSnippet(message.snippet || message.content)}
+                                        </p>
                                         {message.file && (
                                             <div className="mt-2 flex items-center space-x-2 text-sm text-gray-500">
                                                 <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -249,13 +268,13 @@ function SearchModal({ isOpen, onClose }) {
                         {results.map((channel) => (
                             <div
                                 key={channel.id}
-                                className="p-4 hover:bg-gray-50 rounded-lg cursor-pointer"
+                                className="p-4 hover:bg-gray-800 rounded-lg cursor-pointer"
                                 onClick={() => handleChannelClick(channel)}
                             >
                                 <div className="flex items-center space-x-3">
                                     <span className="text-gray-400 text-xl">#</span>
                                     <div className="flex-1">
-                                        <h3 className="font-medium text-gray-900">{channel.name}</h3>
+                                        <h3 className="font-medium text-white">{channel.name}</h3>
                                         {channel.description && (
                                             <p className="text-sm text-gray-500">{channel.description}</p>
                                         )}
@@ -272,7 +291,7 @@ function SearchModal({ isOpen, onClose }) {
                         {results.map((user) => (
                             <div
                                 key={user.id}
-                                className="p-4 hover:bg-gray-50 rounded-lg cursor-pointer"
+                                className="p-4 hover:bg-gray-800 rounded-lg cursor-pointer"
                                 onClick={() => handleUserClick(user)}
                             >
                                 <div className="flex items-center space-x-3">
@@ -282,7 +301,7 @@ function SearchModal({ isOpen, onClose }) {
                                         className="w-8 h-8 rounded-full"
                                     />
                                     <div className="flex-1">
-                                        <h3 className="font-medium text-gray-900">{user.username}</h3>
+                                        <h3 className="font-medium text-white">{user.username}</h3>
                                         <div className="flex items-center space-x-2">
                                             <div
                                                 className="w-2 h-2 rounded-full"
@@ -331,7 +350,7 @@ function SearchModal({ isOpen, onClose }) {
                                 type="text"
                                 placeholder="Search messages, channels, or users..."
                                 value={searchQuery}
-                                onChange={handleSearch}
+                                onChange={(e) => setSearchQuery(e.target.value)}
                                 className="w-full px-4 py-2 bg-[#1a1a1a] text-white placeholder-gray-400 border border-gray-700 rounded-lg focus:outline-none focus:border-blue-500"
                             />
                         </div>
@@ -355,20 +374,13 @@ function SearchModal({ isOpen, onClose }) {
                                 Users
                             </button>
                         </div>
+                        {searchType === 'messages' && (
+                            <p className="text-xs text-gray-500 mb-4">
+                                Filters: from:username, in:#channel, has:file, before:YYYY-MM-DD, after:YYYY-MM-DD, is:pinned
+                            </p>
+                        )}
                         <div className="max-h-96 overflow-y-auto">
-                            {isLoading ? (
-                                <div className="text-center py-4 text-gray-400">Loading...</div>
-                            ) : results.length === 0 ? (
-                                <div className="text-center py-4 text-gray-400">No results found</div>
-                            ) : (
-                                <div className="space-y-2">
-                                    {results.map((result) => (
-                                        <div key={result.id} className="p-3 hover:bg-gray-800 rounded-lg cursor-pointer text-white">
-                                            {/* ... existing result content with updated text colors ... */}
-                                        </div>
-                                    ))}
-                                </div>
-                            )}
+                            {renderResults()}
                         </div>
                     </div>
                 </div>
@@ -19,6 +19,11 @@
  * - Message threading
  * - Message reactions
  * - Message pinning
+ * - Role-aware moderation (moderators delete and pin any message)
+ * - Channel summaries with jump-to-message
+ * - Slash commands with autocomplete and ephemeral (only-visible-to-you) answers
+ * - Unread badges, a "new messages" divider and jump-to-unread
+ * - Paginated history (older messages load on scroll-up)
  * - File sharing
  * - User typing indicators
  * - Message formatting
@@ -38,11 +43,14 @@
  * @created 2024-01-13
  */
 
-import { useState, useEffect, useRef } from 'react';
+import { Fragment, useState, useEffect, useRef, useCallback } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import Header from './Header';
 import PropTypes from 'prop-types';
 import messageService from '../../services/messageService';
+import commandService, { matchCommands } from '../../services/commandService';
+import { findMentionQuery, matchMentions, insertMention } from '../../services/mentionService';
+import unreadService from '../../services/unreadService';
 import realtimeService from '../../services/realtimeService';
 import reactionService from '../../services/reactionService';
 import fileService from '../../services/fileService';
@@ -53,11 +61,19 @@ import MessageReactions from '../messages/MessageReactions';
 import EditMessageForm from '../messages/EditMessageForm';
 import FormattedMessage from '../messages/FormattedMessage';
 import FormattingGuide from '../messages/FormattingGuide';
+import useAIChatInterface from '../messages/AIChatInterface';
+import SlashCommandMenu from '../messages/SlashCommandMenu';
+import MentionMenu from '../messages/MentionMenu';
+import MessageAttachments from '../messages/MessageAttachments';
 import ThreadView from '../threads/ThreadView';
 import ChannelInfoBar from '../channels/ChannelInfoBar';
+import NotificationPreferenceMenu from './NotificationPreferenceMenu';
 import { supabase } from '../../supabaseClient';
 import UserList from './UserList';
-import channelService from '../../services/channelService';
+import channelService, { MODERATOR_ROLES } from '../../services/channelService';
+
+// "@ai <question>" asks the AI assistant; the answer is streamed in
+const AI_QUERY_PATTERN = /^@ai\s+(\S[\s\S]*)$/i;
 
 const systemMessageStyles = {
     container: 'flex items-center justify-center py-2',
@@ -77,6 +93,12 @@ function Chat({ onLogout }) {
     const [pinnedMessages, setPinnedMessages] = useState([]);
     const [searchParams, setSearchParams] = useSearchParams();
     const messagesEndRef = useRef(null);
+    const messagesContainerRef = useRef(null);
+    const olderCursorRef = useRef(null);
+    const lastScrollTopRef = useRef(0);
+    const preserveScrollRef = useRef(null);
+    const [hasMoreMessages, setHasMoreMessages] = useState(false);
+    const [isLoadingOlder, setIsLoadingOlder] = useState(false);
     const typingTimeoutRef = useRef(null);
     const typingChannelRef = useRef(null);
     const currentUser = getUser();
@@ -86,10 +108,37 @@ function Chat({ onLogout }) {
     const fileInputRef = useRef(null);
     const [rightSidebarView, setRightSidebarView] = useState('presence');
     const [channelMembers, setChannelMembers] = useState([]);
+    const [channelRole, setChannelRole] = useState(null);
     const [onlineUsers, setOnlineUsers] = useState(new Set());
     const [allUsers, setAllUsers] = useState([]);
+    const [commands, setCommands] = useState([]);
+    const [commandIndex, setCommandIndex] = useState(0);
+    const [mention, setMention] = useState(null);
+    const [mentionIndex, setMentionIndex] = useState(0);
+    const composerRef = useRef(null);
+    const [ephemeralMessages, setEphemeralMessages] = useState([]);
+    const [unreadCounts, setUnreadCounts] = useState({});
+    const [unreadSince, setUnreadSince] = useState(null);
+    const markReadTimeoutRef = useRef(null);
+    const jumpToUnreadRef = useRef(false);
 
     const currentChannelId = !selectedDMId ? searchParams.get('channel') : null;
+    const canModerate = !!currentChannelId && MODERATOR_ROLES.includes(channelRole);
+    const aiChat = useAIChatInterface({ channelId: currentChannelId, dmId: selectedDMId });
+    const commandMatches = matchCommands(commands, newMessage);
+    const mentionMatches = mention
+        ? matchMentions((selectedDMId ? dmParticipants : channelMembers).filter(member => member.id !== currentUser.id), mention.query)
+        : [];
+
+    // Messages from others after the read cursor as it stood when the conversation was opened
+    const unreadMessages = unreadSince
+        ? messages.filter(msg => !msg.parent_id && msg.sender_id !== currentUser.id && new Date(msg.created_at) > new Date(unreadSince))
+        : [];
+    const firstUnreadIndex = unreadMessages.length > 0 ? messages.indexOf(unreadMessages[0]) : -1;
+    // Older unread messages may not be loaded yet, so only place the divider once the message before it is
+    const unreadDividerId = firstUnreadIndex > 0 || (firstUnreadIndex === 0 && !hasMoreMessages)
+        ? unreadMessages[0].id
+        : null;
 
     useEffect(() => {
         const loadChannels = async () => {
@@ -108,10 +157,112 @@ function Chat({ onLogout }) {
         loadChannels();
     }, []);
 
+    useEffect(() => {
+        const loadUnreadCounts = () => {
+            unreadService.getUnreadCounts()
+                .then(setUnreadCounts)
+                .catch(error => console.error('Error loading unread counts:', error));
+        };
+
+        loadUnreadCounts();
+        return unreadService.subscribe(currentUser.id, loadUnreadCounts);
+    }, [currentUser.id]);
+
     const scrollToBottom = () => {
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
     };
 
+    // Attach reactions, pinned status and reply counts to a page of messages
+    const decorateMessages = useCallback(async (pageMessages) => {
+        const { data: pinnedMessages, error: pinnedError } = await supabase
+            .from('pinned_messages')
+            .select('message_id')
+            .eq(selectedDMId ? 'dm_id' : 'channel_id', selectedDMId || currentChannelId);
+
+        if (pinnedError) {
+            console.error('Error loading pinned messages:', pinnedError);
+        }
+
+        const pinnedMessageIds = new Set(pinnedMessages?.map(p => p.message_id) || []);
+
+        const decorated = await Promise.all(
+            pageMessages.map(async (message) => {
+                const reactions = await reactionService.getMessageReactions(message.id);
+                return {
+                    ...message,
+                    reactions,
+                    pinned: pinnedMessageIds.has(message.id)
+                };
+            })
+        );
+
+        const counts = {};
+        await Promise.all(
+            pageMessages.filter(msg => !msg.parent_id).map(async (message) => {
+                try {
+                    const count = await messageService.getThreadCount(message.id);
+                    if (count > 0) {
+                        counts[message.id] = count;
+                    }
+                } catch (error) {
+                    console.error('Error fetching reply count:', error);
+                }
+            })
+        );
+
+        return { messages: decorated, replyCounts: counts };
+    }, [selectedDMId, currentChannelId]);
+
+    const loadOlderMessages = useCallback(async () => {
+        if (isLoadingOlder || !hasMoreMessages || !olderCursorRef.current) return;
+
+        setIsLoadingOlder(true);
+        try {
+            const params = { before: olderCursorRef.current };
+            const page = selectedDMId
+                ? await messageService.getDMMessages(selectedDMId, params)
+                : await messageService.getChannelMessages(currentChannelId, params);
+            const { messages: olderMessages, replyCounts: counts } = await decorateMessages(page.messages);
+
+            // Remember distance from the bottom so the viewport doesn't jump
+            const container = messagesContainerRef.current;
+            preserveScrollRef.current = container ? container.scrollHeight - container.scrollTop : null;
+
+            setMessages(prev => [
+                ...olderMessages.filter(older => !prev.some(msg => msg.id === older.id)),
+                ...prev
+            ]);
+            setReplyCounts(prev => ({ ...counts, ...prev }));
+            setHasMoreMessages(page.hasMore);
+            olderCursorRef.current = page.cursors.before;
+        } catch (error) {
+            console.error('Error loading older messages:', error);
+        } finally {
+            setIsLoadingOlder(false);
+        }
+    }, [isLoadingOlder, hasMoreMessages, selectedDMId, currentChannelId, decorateMessages]);
+
+    const handleMessagesScroll = (e) => {
+        const { scrollTop } = e.currentTarget;
+        const scrollingUp = scrollTop < lastScrollTopRef.current;
+        lastScrollTopRef.current = scrollTop;
+
+        if (scrollingUp && scrollTop < 100 && !showPinnedMessages) {
+            loadOlderMessages();
+        }
+    };
+
+    // Keeps the open conversation read while messages arrive and the tab is visible
+    const scheduleMarkRead = useCallback(() => {
+        if (document.visibilityState !== 'visible') return;
+
+        clearTimeout(markReadTimeoutRef.current);
+        markReadTimeoutRef.current = setTimeout(() => {
+            unreadService.markRead({ channelId: currentChannelId, dmId: selectedDMId })
+                .catch(error => console.error('Error marking conversation read:', error));
+        }, 1000);
+    }, [currentChannelId, selectedDMId]);
+
     useEffect(() => {
         // Only proceed if we have a valid channel ID or DM ID
         if (!selectedDMId && !currentChannelId) return;
@@ -130,6 +281,9 @@ function Chat({ onLogout }) {
                         reactions: []
                     };
                     setMessages(prev => [...prev, messageWithSender]);
+                    if (event.message.sender_id !== currentUser.id) {
+                        scheduleMarkRead();
+                    }
 
                     // If this is a reply, update the reply count for the parent message
                     if (event.message.parent_id) {
@@ -179,56 +333,18 @@ function Chat({ onLogout }) {
             setTypingUsers(users.filter(user => user.user_id !== currentUser.id));
         });
 
-        // Load existing messages
+        // Load the most recent page of messages
         const loadMessages = async () => {
             try {
-                let messages;
-                if (selectedDMId) {
-                    messages = await messageService.getDMMessages(selectedDMId);
-                } else {
-                    messages = await messageService.getChannelMessages(currentChannelId);
-                }
-
-                // Load pinned messages first to get the pinned status
-                const { data: pinnedMessages, error: pinnedError } = await supabase
-                    .from('pinned_messages')
-                    .select('message_id')
-                    .eq(selectedDMId ? 'dm_id' : 'channel_id', selectedDMId || currentChannelId);
-
-                if (pinnedError) {
-                    console.error('Error loading pinned messages:', pinnedError);
-                }
+                const page = selectedDMId
+                    ? await messageService.getDMMessages(selectedDMId)
+                    : await messageService.getChannelMessages(currentChannelId);
 
-                const pinnedMessageIds = new Set(pinnedMessages?.map(p => p.message_id) || []);
-
-                // Load reactions for each message and set pinned status
-                const messagesWithReactionsAndPins = await Promise.all(
-                    messages.map(async (message) => {
-                        const reactions = await reactionService.getMessageReactions(message.id);
-                        return {
-                            ...message,
-                            reactions,
-                            pinned: pinnedMessageIds.has(message.id)
-                        };
-                    })
-                );
-                setMessages(messagesWithReactionsAndPins);
-
-                // Load reply counts for each message
-                const counts = {};
-                await Promise.all(
-                    messages.filter(msg => !msg.parent_id).map(async (message) => {
-                        try {
-                            const count = await messageService.getThreadCount(message.id);
-                            if (count > 0) {
-                                counts[message.id] = count;
-                            }
-                        } catch (error) {
-                            console.error('Error fetching reply count:', error);
-                        }
-                    })
-                );
+                const { messages: decorated, replyCounts: counts } = await decorateMessages(page.messages);
+                setMessages(decorated);
                 setReplyCounts(counts);
+                setHasMoreMessages(page.hasMore);
+                olderCursorRef.current = page.cursors.before;
             } catch (error) {
                 console.error('Error loading messages:', error);
             }
@@ -243,12 +359,84 @@ function Chat({ onLogout }) {
                 realtimeService.stopTyping(typingChannelRef.current);
             }
         };
-    }, [currentChannelId, selectedDMId, currentUser.id]);
+    }, [currentChannelId, selectedDMId, currentUser.id, decorateMessages, scheduleMarkRead]);
+
+    // Opening a conversation marks it read; where the cursor stood places the "new messages" divider
+    useEffect(() => {
+        setUnreadSince(null);
+        jumpToUnreadRef.current = false;
+        if (!selectedDMId && !currentChannelId) return;
+
+        const target = { channelId: currentChannelId, dmId: selectedDMId };
+        unreadService.markRead(target)
+            .then(cursor => setUnreadSince(cursor.unread_since))
+            .catch(error => console.error('Error marking conversation read:', error));
+
+        // Catch up on what arrived while the tab was in the background
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') {
+                unreadService.markRead(target)
+                    .catch(error => console.error('Error marking conversation read:', error));
+            }
+        };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+
+        return () => {
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            clearTimeout(markReadTimeoutRef.current);
+        };
+    }, [currentChannelId, selectedDMId]);
+
+    const handleJumpToUnread = () => {
+        jumpToUnreadRef.current = true;
+        const divider = document.getElementById('unread-divider');
+        if (divider) {
+            jumpToUnreadRef.current = false;
+            divider.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else {
+            loadOlderMessages();
+        }
+    };
+
+    // Slash commands for autocomplete; ephemeral answers belong to one conversation
+    useEffect(() => {
+        setEphemeralMessages([]);
+        if (!selectedDMId && !currentChannelId) return;
+
+        commandService.getCommands({ channelId: currentChannelId, dmId: selectedDMId })
+            .then(setCommands)
+            .catch(error => {
+                console.error('Error loading commands:', error);
+                setCommands([]);
+            });
+    }, [currentChannelId, selectedDMId]);
 
     useEffect(() => {
+        const container = messagesContainerRef.current;
+        if (preserveScrollRef.current !== null && container) {
+            // Older history was prepended; keep the same messages in view
+            container.scrollTop = container.scrollHeight - preserveScrollRef.current;
+            preserveScrollRef.current = null;
+            return;
+        }
         scrollToBottom();
     }, [messages]);
 
+    // Jumping to the first unread message loads older pages until the divider is in place
+    useEffect(() => {
+        if (!jumpToUnreadRef.current || isLoadingOlder) return;
+
+        const divider = document.getElementById('unread-divider');
+        if (divider) {
+            jumpToUnreadRef.current = false;
+            divider.scrollIntoView({ block: 'center' });
+        } else if (hasMoreMessages && unreadMessages.length > 0) {
+            loadOlderMessages();
+        } else {
+            jumpToUnreadRef.current = false;
+        }
+    }, [messages, isLoadingOlder, hasMoreMessages, unreadMessages.length, loadOlderMessages]);
+
     const handleTyping = () => {
         if (typingChannelRef.current) {
             realtimeService.startTyping(typingChannelRef.current, currentUser);
@@ -267,10 +455,82 @@ function Chat({ onLogout }) {
         }, 1000);
     };
 
+    const addEphemeralMessage = (text, attachments = []) => {
+        setEphemeralMessages(prev => [...prev, { id: `${Date.now()}-${prev.length}`, text, attachments }]);
+    };
+
+    const runCommand = async (input) => {
+        try {
+            const result = await commandService.execute(input, {
+                channelId: currentChannelId,
+                dmId: selectedDMId
+            });
+            if (result.response_type === 'ephemeral') {
+                addEphemeralMessage(result.text, result.attachments || []);
+            }
+            if (result.topic !== undefined && currentChannel) {
+                setCurrentChannel({ ...currentChannel, topic: result.topic });
+            }
+        } catch (error) {
+            addEphemeralMessage(error.response?.data?.message || 'Could not run that command');
+        }
+    };
+
+    const selectCommand = (command) => {
+        setNewMessage(`/${command.name} `);
+        setCommandIndex(0);
+    };
+
+    const selectMention = (suggestion) => {
+        const { text, caret } = insertMention(newMessage, mention, suggestion.username);
+        setNewMessage(text);
+        setMention(null);
+        requestAnimationFrame(() => composerRef.current?.setSelectionRange(caret, caret));
+    };
+
+    // Arrow keys move through the mention or command menu; Tab or Enter picks the highlighted entry
+    const handleComposerKeyDown = (e) => {
+        if (mentionMatches.length > 0) {
+            const index = Math.min(mentionIndex, mentionMatches.length - 1);
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setMentionIndex((index + step + mentionMatches.length) % mentionMatches.length);
+            } else if (e.key === 'Tab' || e.key === 'Enter') {
+                e.preventDefault();
+                selectMention(mentionMatches[index]);
+            } else if (e.key === 'Escape') {
+                setMention(null);
+            }
+            return;
+        }
+
+        if (commandMatches.length === 0) return;
+
+        const index = Math.min(commandIndex, commandMatches.length - 1);
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setCommandIndex((index + 1) % commandMatches.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setCommandIndex((index - 1 + commandMatches.length) % commandMatches.length);
+        } else if (e.key === 'Tab' || (e.key === 'Enter' && newMessage !== `/${commandMatches[index].name}`)) {
+            e.preventDefault();
+            selectCommand(commandMatches[index]);
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         if (!newMessage.trim()) return;
 
+        if (newMessage.trim().startsWith('/')) {
+            const input = newMessage.trim();
+            setNewMessage('');
+            await runCommand(input);
+            return;
+        }
+
         try {
             const message = {
                 content: newMessage.trim(),
@@ -278,11 +538,19 @@ function Chat({ onLogout }) {
                 dm_id: selectedDMId || null
             };
 
-            // Send message through API
-            await messageService.sendMessage(message);
+            const aiQuery = AI_QUERY_PATTERN.exec(message.content);
+            if (aiQuery) {
+                // The server posts the question and saves the answer in its thread;
+                // the answer is shown below as it streams in
+                aiChat.askAI(aiQuery[1], { question: message.content });
+            } else {
+                // Send message through API
+                await messageService.sendMessage(message);
+            }
 
             // Clear input
             setNewMessage('');
+            setMention(null);
 
             // Clear typing indicator
             if (typingChannelRef.current) {
@@ -328,8 +596,11 @@ function Chat({ onLogout }) {
         }
 
         try {
-            await messageService.deleteMessage(messageId);
-            setMessages(prev => prev.filter(msg => msg.id !== messageId));
+            const { deleted } = await messageService.deleteMessage(messageId);
+            setMessages(prev => prev.map(msg =>
+                msg.id === messageId ? { ...msg, ...deleted, reactions: [] } : msg
+            ));
+            setPinnedMessages(prev => prev.filter(msg => msg.id !== messageId));
         } catch (error) {
             console.error('Error deleting message:', error);
         }
@@ -437,6 +708,22 @@ function Chat({ onLogout }) {
         }
     };
 
+    // Jumps to a message cited by a summary; thread replies open their thread
+    const handleJumpToMessage = (target) => {
+        if (target.parent_id) {
+            const parent = messages.find(msg => msg.id === target.parent_id);
+            if (parent) setActiveThread(parent);
+            return;
+        }
+
+        const element = document.getElementById(`message-${target.id}`);
+        if (element) {
+            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            element.classList.add('bg-gray-800');
+            setTimeout(() => element.classList.remove('bg-gray-800'), 2000);
+        }
+    };
+
     const handleLeaveChannel = async () => {
         try {
             await channelService.leaveChannel(currentChannelId);
@@ -597,6 +884,8 @@ function Chat({ onLogout }) {
     useEffect(() => {
         if (!currentChannelId) return;
 
+        setChannelRole(null);
+
         const loadChannelMembers = async () => {
             try {
                 // Modified query to not exclude any users
@@ -604,6 +893,7 @@ function Chat({ onLogout }) {
                     .from('channel_members')
                     .select(`
                         user_id,
+                        role,
                         users (
                             id,
                             username,
@@ -621,6 +911,8 @@ function Chat({ onLogout }) {
                         return acc;
                     }, {});
                     setChannelMembers(Object.values(uniqueMembers));
+                    const ownMembership = members.find(member => member.user_id === currentUser.id);
+                    setChannelRole(ownMembership ? ownMembership.role || 'member' : null);
                 }
             } catch (error) {
                 console.error('Error loading channel members:', error);
@@ -652,7 +944,7 @@ function Chat({ onLogout }) {
             supabase.removeChannel(channel);
             clearInterval(intervalId);
         };
-    }, [currentChannelId]);
+    }, [currentChannelId, currentUser.id]);
 
     const getStatusColor = (status) => {
         if (status?.includes('|')) {
@@ -720,10 +1012,12 @@ function Chat({ onLogout }) {
                             selectedChannelId={currentChannelId}
                             channels={channels}
                             setChannels={setChannels}
+                            unreadCounts={unreadCounts}
                         />
                         <DirectMessageList
                             onDMSelect={handleDMSelect}
                             selectedDMId={selectedDMId}
+                            unreadCounts={unreadCounts}
                         />
                         <UserList />
                     </div>
@@ -754,6 +1048,7 @@ function Chat({ onLogout }) {
                                         onLeaveChannel={handleLeaveChannel}
                                         onChannelUpdated={handleChannelUpdate}
                                         onDeleteChannel={handleChannelDelete}
+                                        onJumpToMessage={handleJumpToMessage}
                                     />
                                 )}
 
@@ -767,6 +1062,7 @@ function Chat({ onLogout }) {
                                                     .join(', ')}
                                             </h2>
                                             <div className="flex items-center space-x-4">
+                                                <NotificationPreferenceMenu dmId={selectedDMId} />
                                                 <button
                                                     onClick={() => handleViewPinnedMessages(!showPinnedMessages)}
                                                     className={`flex items-center space-x-2 px-3 py-1 rounded-md text-sm ${
@@ -786,95 +1082,167 @@ function Chat({ onLogout }) {
                                 )}
 
                                 {/* Messages area */}
-                                <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                                <div
+                                    ref={messagesContainerRef}
+                                    onScroll={handleMessagesScroll}
+                                    className="flex-1 overflow-y-auto p-4 space-y-4"
+                                >
+                                    {!showPinnedMessages && unreadMessages.length > 0 && (
+                                        <div className="sticky top-0 z-10 flex items-center justify-between px-3 py-1.5 rounded-md bg-blue-600 text-white text-sm shadow">
+                                            <span>
+                                                {unreadMessages.length}{firstUnreadIndex === 0 && hasMoreMessages ? '+' : ''} new message{unreadMessages.length === 1 ? '' : 's'} since {new Date(unreadSince).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}
+                                            </span>
+                                            <span className="space-x-3">
+                                                <button onClick={handleJumpToUnread} className="font-semibold hover:underline">
+                                                    Jump
+                                                </button>
+                                                <button onClick={() => setUnreadSince(null)} className="hover:underline">
+                                                    Mark as read
+                                                </button>
+                                            </span>
+                                        </div>
+                                    )}
+                                    {isLoadingOlder && (
+                                        <div className="text-center text-xs text-gray-400">Loading older messages...</div>
+                                    )}
                                     {(showPinnedMessages ? pinnedMessages : messages)
                                         .filter(message => !message.parent_id) // Only show messages that are not replies
                                         .map((message) => (
-                                            <div key={message.id} className={message.type === 'system' ? systemMessageStyles.container : 'flex items-start space-x-3'}>
-                                                {message.type === 'system' ? (
-                                                    <div className={systemMessageStyles.content}>
-                                                        <span className={systemMessageStyles.label}>System</span>
-                                                        <span>{message.content}</span>
+                                            <Fragment key={message.id}>
+                                                {!showPinnedMessages && message.id === unreadDividerId && (
+                                                    <div id="unread-divider" className="flex items-center space-x-2 text-xs font-semibold text-red-400">
+                                                        <div className="flex-1 h-px bg-red-500" />
+                                                        <span>New messages</span>
+                                                        <div className="flex-1 h-px bg-red-500" />
                                                     </div>
-                                                ) : (
-                                                    <>
-                                                        <div className="w-8 h-8 rounded-full bg-gray-300 flex-shrink-0">
-                                                            {message.sender?.avatar_url && (
-                                                                <img
-                                                                    src={message.sender.avatar_url}
-                                                                    alt="avatar"
-                                                                    className="w-8 h-8 rounded-full"
-                                                                />
-                                                            )}
+                                                )}
+                                                <div id={`message-${message.id}`} className={message.type === 'system' ? systemMessageStyles.container : 'flex items-start space-x-3'}>
+                                                    {message.type === 'system' ? (
+                                                        <div className={systemMessageStyles.content}>
+                                                            <span className={systemMessageStyles.label}>System</span>
+                                                            <span>{message.content}</span>
                                                         </div>
-                                                        <div className="flex-1">
-                                                            <div className="flex items-center space-x-2">
-                                                                <span className="font-semibold text-sm text-white">
-                                                                    {message.sender?.username || 'Unknown User'}
-                                                                </span>
-                                                                <span className="text-xs text-gray-400">
-                                                                    {new Date(message.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-                                                                </span>
-                                                                {message.is_edited && (
-                                                                    <span className="text-xs text-gray-400">(edited)</span>
-                                                                )}
-                                                                {message.sender?.id === currentUser.id && (
-                                                                    <button
-                                                                        onClick={() => handleDeleteMessage(message.id)}
-                                                                        className="text-xs text-red-500 hover:text-red-700"
-                                                                        title="Delete message"
-                                                                    >
-                                                                        Delete
-                                                                    </button>
+                                                    ) : (
+                                                        <>
+                                                            <div className="w-8 h-8 rounded-full bg-gray-300 flex-shrink-0">
+                                                                {message.sender?.avatar_url && (
+                                                                    <img
+                                                                        src={message.sender.avatar_url}
+                                                                        alt="avatar"
+                                                                        className="w-8 h-8 rounded-full"
+                                                                    />
                                                                 )}
                                                             </div>
-                                                            {editingMessageId === message.id ? (
-                                                                <EditMessageForm
-                                                                    message={message}
-                                                                    onSave={(content) => handleEditMessage(message.id, content)}
-                                                                    onCancel={() => setEditingMessageId(null)}
-                                                                />
-                                                            ) : (
-                                                                <>
-                                                                    <FormattedMessage 
-                                                                        content={message.content} 
-                                                                        file={message.file} 
-                                                                        message={message} 
-                                                                        onEdit={handleEditMessage}
-                                                                        onPin={handlePinMessage}
-                                                                        replyButton={!message.parent_id && (
-                                                                            <button
-                                                                                onClick={() => setActiveThread(message)}
-                                                                                className="text-xs text-gray-400 hover:text-gray-200 flex items-center space-x-1 transition-colors duration-150"
-                                                                            >
-                                                                                <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5" viewBox="0 0 20 20" fill="currentColor">
-                                                                                    <path fillRule="evenodd" d="M7.707 3.293a1 1 0 010 1.414L5.414 7H11a7 7 0 017 7v2a1 1 0 11-2 0v-2a5 5 0 00-5-5H5.414l2.293 2.293a1 1 0 11-1.414 1.414l-4-4a1 1 0 010-1.414l4-4a1 1 0 011.414 0z" clipRule="evenodd" />
-                                                                                </svg>
-                                                                                <span>
-                                                                                    {replyCounts[message.id] ? `${replyCounts[message.id]} ${replyCounts[message.id] === 1 ? 'reply' : 'replies'}` : 'Reply'}
-                                                                                </span>
-                                                                            </button>
-                                                                        )}
-                                                                        reactionButton={
-                                                                            <MessageReactions
-                                                                                reactions={message.reactions}
-                                                                                onReact={handleReaction}
-                                                                                messageId={message.id}
-                                                                            />
-                                                                        }
+                                                            <div className="flex-1">
+                                                                <div className="flex items-center space-x-2">
+                                                                    <span className="font-semibold text-sm text-white">
+                                                                        {message.twin ? `${message.twin.username}'s twin` : message.sender?.username || 'Unknown User'}
+                                                                    </span>
+                                                                    {message.twin_of && (
+                                                                        <span
+                                                                            className="text-xs px-1.5 rounded bg-purple-900 text-purple-200"
+                                                                            title="This reply was written by an AI imitating the user, not by the user"
+                                                                        >
+                                                                            generated by twin
+                                                                        </span>
+                                                                    )}
+                                                                    <span className="text-xs text-gray-400">
+                                                                        {new Date(message.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                                                    </span>
+                                                                    {!message.deleted_at && (message.sender?.id === currentUser.id || canModerate) && (
+                                                                        <button
+                                                                            onClick={() => handleDeleteMessage(message.id)}
+                                                                            className="text-xs text-red-500 hover:text-red-700"
+                                                                            title="Delete message"
+                                                                        >
+                                                                            Delete
+                                                                        </button>
+                                                                    )}
+                                                                </div>
+                                                                {editingMessageId === message.id ? (
+                                                                    <EditMessageForm
+                                                                        message={message}
+                                                                        onSave={(content) => handleEditMessage(message.id, content)}
+                                                                        onCancel={() => setEditingMessageId(null)}
                                                                     />
-                                                                </>
-                                                            )}
-                                                        </div>
-                                                    </>
-                                                )}
-                                            </div>
+                                                                ) : (
+                                                                    <>
+                                                                        <FormattedMessage 
+                                                                            content={message.content} 
+                                                                            file={message.file} 
+                                                                            message={message} 
+                                                                            onEdit={handleEditMessage}
+                                                                            onPin={selectedDMId || canModerate ? handlePinMessage : undefined}
+                                                                            canModerate={canModerate}
+                                                                            replyButton={!message.parent_id && (
+                                                                                <button
+                                                                                    onClick={() => setActiveThread(message)}
+                                                                                    className="text-xs text-gray-400 hover:text-gray-200 flex items-center space-x-1 transition-colors duration-150"
+                                                                                >
+                                                                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5" viewBox="0 0 20 20" fill="currentColor">
+                                                                                        <path fillRule="evenodd" d="M7.707 3.293a1 1 0 010 1.414L5.414 7H11a7 7 0 017 7v2a1 1 0 11-2 0v-2a5 5 0 00-5-5H5.414l2.293 2.293a1 1 0 11-1.414 1.414l-4-4a1 1 0 010-1.414l4-4a1 1 0 011.414 0z" clipRule="evenodd" />
+                                                                                    </svg>
+                                                                                    <span>
+                                                                                        {replyCounts[message.id] ? `${replyCounts[message.id]} ${replyCounts[message.id] === 1 ? 'reply' : 'replies'}` : 'Reply'}
+                                                                                    </span>
+                                                                                </button>
+                                                                            )}
+                                                                            reactionButton={
+                                                                                <MessageReactions
+                                                                                    reactions={message.reactions}
+                                                                                    onReact={handleReaction}
+                                                                                    messageId={message.id}
+                                                                                />
+                                                                            }
+                                                                        />
+                                                                    </>
+                                                                )}
+                                                            </div>
+                                                        </>
+                                                    )}
+                                                </div>
+                                            </Fragment>
                                         ))}
                                     {typingUsers.length > 0 && (
                                         <div className="text-sm text-gray-500 italic">
                                             {typingUsers.map(user => user.username).join(', ')} {typingUsers.length === 1 ? 'is' : 'are'} typing...
                                         </div>
                                     )}
+                                    {(aiChat.isLoading || aiChat.error) && (
+                                        <div className="p-3 rounded-lg border border-purple-900 bg-[#242424]">
+                                            <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+                                                <span>{aiChat.isLoading ? 'AI is answering... (saved in the thread when done)' : 'AI assistant'}</span>
+                                                <button
+                                                    type="button"
+                                                    onClick={aiChat.isLoading ? aiChat.cancel : aiChat.dismissError}
+                                                    className="hover:text-gray-300"
+                                                >
+                                                    {aiChat.isLoading ? 'Stop' : 'Dismiss'}
+                                                </button>
+                                            </div>
+                                            {aiChat.error ? (
+                                                <div className="text-sm text-red-400">{aiChat.error}</div>
+                                            ) : (
+                                                <FormattedMessage content={aiChat.streamingAnswer || '...'} />
+                                            )}
+                                        </div>
+                                    )}
+                                    {ephemeralMessages.map(ephemeral => (
+                                        <div key={ephemeral.id} className="p-3 rounded-lg border border-dashed border-gray-700 bg-[#242424]">
+                                            <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+                                                <span>Only visible to you</span>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setEphemeralMessages(prev => prev.filter(item => item.id !== ephemeral.id))}
+                                                    className="hover:text-gray-300"
+                                                >
+                                                    Dismiss
+                                                </button>
+                                            </div>
+                                            <FormattedMessage content={ephemeral.text} />
+                                            {ephemeral.attachments.length > 0 && <MessageAttachments attachments={ephemeral.attachments} />}
+                                        </div>
+                                    ))}
                                     <div ref={messagesEndRef} />
                                 </div>
 
@@ -960,7 +1328,17 @@ function Chat({ onLogout }) {
                                                 "
                                             </button>
                                         </div>
-                                        <div className="flex items-center space-x-2">
+                                        <div className="relative flex items-center space-x-2">
+                                            <SlashCommandMenu
+                                                commands={commandMatches}
+                                                selectedIndex={Math.min(commandIndex, Math.max(commandMatches.length - 1, 0))}
+                                                onSelect={selectCommand}
+                                            />
+                                            <MentionMenu
+                                                suggestions={mentionMatches}
+                                                selectedIndex={Math.min(mentionIndex, Math.max(mentionMatches.length - 1, 0))}
+                                                onSelect={selectMention}
+                                            />
                                             <button
                                                 type="button"
                                                 onClick={() => fileInputRef.current?.click()}
@@ -972,12 +1350,17 @@ function Chat({ onLogout }) {
                                             </button>
                                             <input
                                                 type="text"
+                                                ref={composerRef}
                                                 value={newMessage}
                                                 onChange={(e) => {
                                                     setNewMessage(e.target.value);
+                                                    setCommandIndex(0);
+                                                    setMention(findMentionQuery(e.target.value, e.target.selectionStart));
+                                                    setMentionIndex(0);
                                                     handleTyping();
                                                 }}
-                                                placeholder="Type a message... (supports Markdown formatting)"
+                                                onKeyDown={handleComposerKeyDown}
+                                                placeholder="Type a message, / for commands or @ to mention (supports Markdown formatting)"
                                                 className="flex-1 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-[#1a1a1a] text-white placeholder-gray-400"
                                             />
                                             <input
@@ -13,7 +13,13 @@
  * - Custom status setting
  * - Status color picker
  * - Auto status mode
+ * - Digital twin opt-in
+ * - Push notifications for mentions and DM messages on this browser
+ * - Email digest of missed DMs and mentions (daily, weekly or off)
+ * - Do Not Disturb schedule (switches the status to Do Not Disturb while its
+ *   daily window is open)
  * - Search modal integration
+ * - Notification inbox
  * - User menu dropdown
  * - Logout functionality
  * - Real-time status updates
@@ -26,17 +32,24 @@
  * - prop-types
  * - ../../services/auth
  * - ../../services/userService
+ * - ../../services/pushService
  * - ../channels/SearchModal
+ * - ./NotificationInbox
  * 
  * @version 1.0.0
  * @created 2024-01-14
  */
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import { getUser } from '../../services/authService';
-import userService from '../../services/userService';
+import userService, { DND_STATUS, isWithinSchedule } from '../../services/userService';
+import pushService, { isPushSupported } from '../../services/pushService';
 import SearchModal from '../channels/SearchModal';
+import NotificationInbox from './NotificationInbox';
+
+// Status the schedule replaced, restored when its window closes
+const DND_PREVIOUS_STATUS_KEY = 'dndPreviousStatus';
 
 function Header({ onLogout = () => { } }) {
     const [showStatusMenu, setShowStatusMenu] = useState(false);
@@ -48,6 +61,13 @@ function Header({ onLogout = () => { } }) {
     const [showColorPicker, setShowColorPicker] = useState(false);
     const [hexInputValue, setHexInputValue] = useState('#9333ea');
     const [isAutoMode, setIsAutoMode] = useState(false);
+    const [twinEnabled, setTwinEnabled] = useState(false);
+    const [pushEnabled, setPushEnabled] = useState(false);
+    const [pushError, setPushError] = useState(null);
+    const [digestSettings, setDigestSettings] = useState(null);
+    const [dndSchedule, setDndSchedule] = useState(null);
+    const [dndDraft, setDndDraft] = useState(null);
+    const [dndError, setDndError] = useState(null);
     const customStatusInputRef = useRef(null);
     const cleanupAutoStatusRef = useRef(null);
     const currentUser = getUser();
@@ -63,6 +83,65 @@ function Header({ onLogout = () => { } }) {
         { name: 'white', hex: '#ffffff' },
     ];
 
+    useEffect(() => {
+        userService.getTwinSettings()
+            .then(settings => setTwinEnabled(settings.enabled))
+            .catch(error => console.error('Error loading twin settings:', error));
+    }, []);
+
+    const handleTwinToggle = async () => {
+        try {
+            const settings = await userService.updateTwinSettings(!twinEnabled);
+            setTwinEnabled(settings.enabled);
+        } catch (error) {
+            console.error('Error updating twin settings:', error);
+        }
+    };
+
+    useEffect(() => {
+        userService.getDigestSettings()
+            .then(setDigestSettings)
+            .catch(error => console.error('Error loading digest settings:', error));
+    }, []);
+
+    const handleDigestChange = async (changes) => {
+        try {
+            setDigestSettings(await userService.updateDigestSettings(changes));
+        } catch (error) {
+            console.error('Error updating digest settings:', error);
+        }
+    };
+
+    useEffect(() => {
+        pushService.isEnabled()
+            .then(setPushEnabled)
+            .catch(error => console.error('Error checking push notifications:', error));
+    }, []);
+
+    const handlePushToggle = async () => {
+        try {
+            setPushEnabled(pushEnabled ? await pushService.disable() : await pushService.enable());
+            setPushError(null);
+        } catch (error) {
+            console.error('Error updating push notifications:', error);
+            setPushError(error.response?.data?.message || error.message);
+        }
+    };
+
+    // Auto status and the do-not-disturb schedule change the status from timers, so they
+    // go through the latest handler
+    const handleStatusChangeRef = useRef(null);
+
+    const startAutoStatus = useCallback(() => {
+        if (cleanupAutoStatusRef.current) {
+            cleanupAutoStatusRef.current();
+        }
+
+        cleanupAutoStatusRef.current = userService.startAutoStatus(async (newStatus) => {
+            await handleStatusChangeRef.current(newStatus, null, true);
+        });
+    }, []);
+
     useEffect(() => {
         const loadUserStatus = async () => {
             try {
@@ -76,6 +155,9 @@ function Header({ onLogout = () => { } }) {
                     setCustomStatus(text);
                     setCustomStatusColor(color || '#9333ea');
                 }
+
+                // Loaded after the status, so the schedule never acts on a status that isn't known yet
+                setDndSchedule(await userService.getDoNotDisturbSchedule());
             } catch (error) {
                 console.error('Error loading user status:', error);
             }
@@ -88,17 +170,7 @@ function Header({ onLogout = () => { } }) {
                 cleanupAutoStatusRef.current();
             }
         };
-    }, [currentUser.id]);
-
-    const startAutoStatus = () => {
-        if (cleanupAutoStatusRef.current) {
-            cleanupAutoStatusRef.current();
-        }
-
-        cleanupAutoStatusRef.current = userService.startAutoStatus(async (newStatus) => {
-            await handleStatusChange(newStatus, null, true);
-        });
-    };
+    }, [currentUser.id, startAutoStatus]);
 
     const handleStatusChange = async (status, color = null, skipAutoCheck = false) => {
         try {
@@ -130,6 +202,53 @@ function Header({ onLogout = () => { } }) {
         }
     };
 
+    useEffect(() => {
+        handleStatusChangeRef.current = handleStatusChange;
+    });
+
+    // While the do-not-disturb window is open the status is Do Not Disturb. The status
+    // it replaced comes back when the window closes, unless the user has picked
+    // another one in the meantime.
+    useEffect(() => {
+        if (!dndSchedule) return;
+
+        const storageKey = `${DND_PREVIOUS_STATUS_KEY}:${currentUser.id}`;
+        const applySchedule = () => {
+            const previous = localStorage.getItem(storageKey);
+            if (isWithinSchedule(dndSchedule)) {
+                if (previous === null && currentStatus !== DND_STATUS) {
+                    localStorage.setItem(storageKey, isAutoMode ? 'auto' : currentStatus);
+                    handleStatusChangeRef.current(DND_STATUS);
+                }
+            } else if (previous !== null) {
+                localStorage.removeItem(storageKey);
+                if (currentStatus === DND_STATUS) {
+                    const [status, color] = previous.split('|');
+                    handleStatusChangeRef.current(status, color || null);
+                }
+            }
+        };
+
+        applySchedule();
+        const interval = setInterval(applySchedule, 60 * 1000);
+        return () => clearInterval(interval);
+    }, [dndSchedule, currentStatus, isAutoMode, currentUser.id]);
+
+    const handleDndScheduleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            const schedule = await userService.updateDoNotDisturbSchedule({
+                ...dndDraft,
+                timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+            });
+            setDndSchedule(schedule);
+            setDndDraft(null);
+            setDndError(null);
+        } catch (error) {
+            setDndError(error.response?.data?.message || 'Failed to save schedule');
+        }
+    };
+
     const handleCustomStatusSubmit = async (e) => {
         e.preventDefault();
         if (customStatus.trim()) {
@@ -199,6 +318,8 @@ function Header({ onLogout = () => { } }) {
                         </div>
                     </div>
                     <div className="flex items-center space-x-4">
+                        <NotificationInbox />
+
                         <button
                             onClick={() => setShowSearchModal(true)}
                             className="p-2 text-gray-300 hover:text-white focus:outline-none"
@@ -350,6 +471,112 @@ function Header({ onLogout = () => { } }) {
                                             </button>
                                         )}
                                         <div className="border-t border-gray-700 my-1" />
+                                        <button
+                                            onClick={handleTwinToggle}
+                                            className="flex items-center justify-between w-full px-4 py-2 text-sm text-white hover:bg-gray-800"
+                                            title="Your twin answers @your-name-twin mentions and DMs while you're away, in your style"
+                                        >
+                                            Digital twin replies
+                                            {twinEnabled && <span className="text-green-500">✓</span>}
+                                        </button>
+                                        {isPushSupported() && (
+                                            <button
+                                                onClick={handlePushToggle}
+                                                className="flex items-center justify-between w-full px-4 py-2 text-sm text-white hover:bg-gray-800"
+                                                title="Get mentions and DM messages on this device while ChatGenius is in the background"
+                                            >
+                                                Push notifications
+                                                {pushEnabled && <span className="text-green-500">✓</span>}
+                                            </button>
+                                        )}
+                                        {pushError && <p className="px-4 pb-2 text-xs text-red-500">{pushError}</p>}
+                                        {dndDraft ? (
+                                            <form onSubmit={handleDndScheduleSubmit} className="px-4 py-2 text-sm text-white">
+                                                <label className="flex items-center space-x-2">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={dndDraft.enabled}
+                                                        onChange={(e) => setDndDraft({ ...dndDraft, enabled: e.target.checked })}
+                                                    />
+                                                    <span>Do Not Disturb every day</span>
+                                                </label>
+                                                <div className="flex items-center mt-2 space-x-2">
+                                                    <input
+                                                        type="time"
+                                                        value={dndDraft.start}
+                                                        onChange={(e) => setDndDraft({ ...dndDraft, start: e.target.value })}
+                                                        className="px-2 py-1 text-xs border rounded bg-[#1a1a1a] text-white"
+                                                    />
+                                                    <span className="text-gray-400">to</span>
+                                                    <input
+                                                        type="time"
+                                                        value={dndDraft.end}
+                                                        onChange={(e) => setDndDraft({ ...dndDraft, end: e.target.value })}
+                                                        className="px-2 py-1 text-xs border rounded bg-[#1a1a1a] text-white"
+                                                    />
+                                                </div>
+                                                {dndError && <p className="mt-1 text-xs text-red-500">{dndError}</p>}
+                                                <div className="flex justify-end mt-2 space-x-2">
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => {
+                                                            setDndDraft(null);
+                                                            setDndError(null);
+                                                        }}
+                                                        className="px-2 py-1 text-xs text-gray-600 hover:text-gray-800"
+                                                    >
+                                                        Cancel
+                                                    </button>
+                                                    <button
+                                                        type="submit"
+                                                        className="px-2 py-1 text-xs text-white bg-blue-500 rounded hover:bg-blue-600"
+                                                    >
+                                                        Save
+                                                    </button>
+                                                </div>
+                                            </form>
+                                        ) : (
+                                            <button
+                                                onClick={() => setDndDraft(dndSchedule || { enabled: false, start: '22:00', end: '08:00' })}
+                                                className="flex items-center justify-between w-full px-4 py-2 text-sm text-white hover:bg-gray-800"
+                                                title="Switch to Do Not Disturb at the same time every day; notifications still reach your inbox"
+                                            >
+                                                Do Not Disturb schedule
+                                                <span className="text-xs text-gray-400">
+                                                    {dndSchedule?.enabled ? `${dndSchedule.start}–${dndSchedule.end}` : 'Off'}
+                                                </span>
+                                            </button>
+                                        )}
+                                        {digestSettings && (
+                                            <div
+                                                className="px-4 py-2 text-sm text-white"
+                                                title="An email of unread DMs and mentions for when you've been away"
+                                            >
+                                                <label className="flex items-center justify-between">
+                                                    <span>Email digest</span>
+                                                    <select
+                                                        value={digestSettings.frequency}
+                                                        onChange={(e) => handleDigestChange({ frequency: e.target.value })}
+                                                        className="px-2 py-1 text-xs border rounded bg-[#1a1a1a] text-white"
+                                                    >
+                                                        <option value="daily">Daily</option>
+                                                        <option value="weekly">Weekly</option>
+                                                        <option value="off">Off</option>
+                                                    </select>
+                                                </label>
+                                                {digestSettings.frequency !== 'off' && (
+                                                    <label className="flex items-center mt-2 space-x-2 text-xs text-gray-300">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={digestSettings.include_summaries}
+                                                            onChange={(e) => handleDigestChange({ include_summaries: e.target.checked })}
+                                                        />
+                                                        <span>Include AI summaries of busy channels</span>
+                                                    </label>
+                                                )}
+                                            </div>
+                                        )}
+                                        <div className="border-t border-gray-700 my-1" />
                                         <button
                                             onClick={onLogout}
                                             className="w-full text-left px-4 py-2 text-sm text-red-400 hover:text-red-300 hover:bg-gray-800"
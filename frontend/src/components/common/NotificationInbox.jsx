@@ -0,0 +1,195 @@
+/**
+ * @file NotificationInbox.jsx
+ * @description Notification bell for the header. Shows how many notifications are
+ * unread and opens the inbox: mentions, replies in the user's threads, DM
+ * messages and posts in channels the user follows, newest first. New
+ * notifications arrive in realtime. Choosing one marks it read and opens its
+ * conversation.
+ *
+ * Dependencies:
+ * - react
+ * - react-router-dom
+ * - ../../services/authService
+ * - ../../services/notificationService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getUser } from '../../services/authService';
+import notificationService from '../../services/notificationService';
+
+const TYPE_LABELS = {
+    mention: 'mentioned you',
+    thread_reply: 'replied to your message',
+    direct_message: 'sent you a message',
+    channel_message: 'posted'
+};
+
+const PREVIEW_LENGTH = 120;
+
+function NotificationInbox() {
+    const [isOpen, setIsOpen] = useState(false);
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [hasMore, setHasMore] = useState(false);
+    const [error, setError] = useState(null);
+    const navigate = useNavigate();
+    const currentUser = getUser();
+    const menuRef = useRef(null);
+
+    const loadNotifications = useCallback(async () => {
+        try {
+            const inbox = await notificationService.getNotifications();
+            setNotifications(inbox.notifications);
+            setUnreadCount(inbox.unreadCount);
+            setHasMore(inbox.hasMore);
+            setError(null);
+        } catch (err) {
+            console.error('Error loading notifications:', err);
+            setError('Failed to load notifications');
+        }
+    }, []);
+
+    useEffect(() => {
+        loadNotifications();
+        // Realtime rows lack the sender and message, so reload the page instead
+        return notificationService.subscribe(currentUser.id, loadNotifications);
+    }, [currentUser.id, loadNotifications]);
+
+    useEffect(() => {
+        function handleClickOutside(event) {
+            if (menuRef.current && !menuRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        }
+
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => {
+            document.removeEventListener('mousedown', handleClickOutside);
+        };
+    }, []);
+
+    const handleLoadMore = async () => {
+        try {
+            const last = notifications[notifications.length - 1];
+            const inbox = await notificationService.getNotifications({ before: last.created_at });
+            setNotifications(prev => [...prev, ...inbox.notifications]);
+            setHasMore(inbox.hasMore);
+        } catch (err) {
+            console.error('Error loading notifications:', err);
+        }
+    };
+
+    const markLocallyRead = (ids) => {
+        const readAt = new Date().toISOString();
+        setNotifications(prev => prev.map(notification =>
+            ids.includes(notification.id) && !notification.read_at ? { ...notification, read_at: readAt } : notification
+        ));
+    };
+
+    const handleOpen = async (notification) => {
+        setIsOpen(false);
+        if (!notification.read_at) {
+            markLocallyRead([notification.id]);
+            setUnreadCount(count => Math.max(count - 1, 0));
+            notificationService.markRead(notification.id)
+                .catch(err => console.error('Error marking notification read:', err));
+        }
+
+        if (notification.channel_id) {
+            navigate(`/chat?channel=${notification.channel_id}`);
+        } else if (notification.dm_id) {
+            navigate(`/chat?dm=${notification.dm_id}`);
+        }
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            await notificationService.markAllRead();
+            markLocallyRead(notifications.map(notification => notification.id));
+            setUnreadCount(0);
+        } catch (err) {
+            console.error('Error marking notifications read:', err);
+        }
+    };
+
+    const describe = (notification) => {
+        const where = notification.channel ? ` in #${notification.channel.name}` : '';
+        return `${notification.actor?.username || 'Someone'} ${TYPE_LABELS[notification.type]}${where}`;
+    };
+
+    const preview = (notification) => {
+        if (!notification.message || notification.message.deleted_at) return 'This message was deleted';
+        const content = notification.message.content || '';
+        return content.length > PREVIEW_LENGTH ? `${content.slice(0, PREVIEW_LENGTH)}…` : content;
+    };
+
+    return (
+        <div className="relative" ref={menuRef}>
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="relative p-2 text-gray-300 hover:text-white focus:outline-none"
+                title="Notifications"
+            >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                </svg>
+                {unreadCount > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] px-1 rounded-full bg-red-600 text-white text-[10px] font-semibold text-center">
+                        {unreadCount > 99 ? '99+' : unreadCount}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-96 max-h-[28rem] overflow-y-auto rounded-md shadow-lg bg-[#242424] border border-gray-700 z-50">
+                    <div className="flex items-center justify-between px-4 py-2 border-b border-gray-700">
+                        <span className="text-sm font-semibold text-white">Notifications</span>
+                        {unreadCount > 0 && (
+                            <button onClick={handleMarkAllRead} className="text-xs text-blue-400 hover:underline">
+                                Mark all as read
+                            </button>
+                        )}
+                    </div>
+
+                    {error && <p className="px-4 py-3 text-sm text-red-500">{error}</p>}
+                    {!error && notifications.length === 0 && (
+                        <p className="px-4 py-3 text-sm text-gray-400">You&apos;re all caught up</p>
+                    )}
+
+                    <ul>
+                        {notifications.map(notification => (
+                            <li key={notification.id}>
+                                <button
+                                    onClick={() => handleOpen(notification)}
+                                    className={`w-full text-left px-4 py-2 hover:bg-gray-700/50 ${notification.read_at ? '' : 'bg-blue-600/10'}`}
+                                >
+                                    <div className="flex items-center justify-between gap-2">
+                                        <span className={`text-sm ${notification.read_at ? 'text-gray-300' : 'text-white font-semibold'}`}>
+                                            {describe(notification)}
+                                        </span>
+                                        <span className="text-xs text-gray-500 whitespace-nowrap">
+                                            {new Date(notification.created_at).toLocaleString()}
+                                        </span>
+                                    </div>
+                                    <div className="text-xs text-gray-400 truncate">{preview(notification)}</div>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+
+                    {hasMore && (
+                        <button onClick={handleLoadMore} className="w-full px-4 py-2 text-xs text-blue-400 hover:underline">
+                            Load older notifications
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default NotificationInbox;
@@ -0,0 +1,141 @@
+/**
+ * @file NotificationPreferenceMenu.jsx
+ * @description Notification settings for one channel or DM: all messages, mentions
+ * only or nothing, and muting for a while. Shown in the channel and DM headers.
+ *
+ * Props:
+ * - channelId: Channel the settings apply to
+ * - dmId: DM the settings apply to (when there is no channelId)
+ *
+ * Dependencies:
+ * - react
+ * - prop-types
+ * - ../../services/notificationService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import notificationService from '../../services/notificationService';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const LEVELS = [
+    { value: 'all', label: 'All messages' },
+    { value: 'mentions', label: 'Mentions and replies' },
+    { value: 'none', label: 'Nothing' }
+];
+
+const MUTE_OPTIONS = [
+    { label: 'Mute for 1 hour', until: () => new Date(Date.now() + HOUR_MS) },
+    { label: 'Mute for 8 hours', until: () => new Date(Date.now() + 8 * HOUR_MS) },
+    {
+        label: 'Mute until tomorrow',
+        until: () => {
+            const tomorrow = new Date();
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            tomorrow.setHours(9, 0, 0, 0);
+            return tomorrow;
+        }
+    }
+];
+
+function NotificationPreferenceMenu({ channelId, dmId }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [preference, setPreference] = useState(null);
+    const [error, setError] = useState(null);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        setPreference(null);
+        notificationService.getConversationPreference({ channelId, dmId })
+            .then(setPreference)
+            .catch(err => console.error('Error loading notification preference:', err));
+    }, [channelId, dmId]);
+
+    useEffect(() => {
+        function handleClickOutside(event) {
+            if (menuRef.current && !menuRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        }
+
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => {
+            document.removeEventListener('mousedown', handleClickOutside);
+        };
+    }, []);
+
+    const update = async (changes) => {
+        try {
+            setPreference(await notificationService.updateConversationPreference({ channelId, dmId }, changes));
+            setError(null);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update notifications');
+        }
+    };
+
+    const isMuted = preference?.muted_until && new Date(preference.muted_until) > new Date();
+
+    return (
+        <div className="relative" ref={menuRef}>
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className={`p-1.5 rounded hover:bg-gray-800 ${isMuted || preference?.level === 'none' ? 'text-gray-500' : 'text-white'}`}
+                title={isMuted ? `Muted until ${new Date(preference.muted_until).toLocaleString()}` : 'Notification settings'}
+            >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                    {(isMuted || preference?.level === 'none') && (
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3l18 18" />
+                    )}
+                </svg>
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 mt-1 w-56 bg-[#242424] border border-gray-700 rounded-md shadow-lg z-20 py-1">
+                    <div className="px-3 py-1 text-xs text-gray-400">Notify me about</div>
+                    {LEVELS.map(level => (
+                        <button
+                            key={level.value}
+                            onClick={() => update({ level: level.value })}
+                            className="flex items-center justify-between w-full px-3 py-2 text-sm text-gray-200 hover:bg-gray-800"
+                        >
+                            {level.label}
+                            {preference?.level === level.value && <span className="text-green-500">✓</span>}
+                        </button>
+                    ))}
+                    <div className="border-t border-gray-700 my-1" />
+                    {isMuted ? (
+                        <button
+                            onClick={() => update({ muted_until: null })}
+                            className="block w-full text-left px-3 py-2 text-sm text-gray-200 hover:bg-gray-800"
+                        >
+                            Unmute (muted until {new Date(preference.muted_until).toLocaleString()})
+                        </button>
+                    ) : (
+                        MUTE_OPTIONS.map(option => (
+                            <button
+                                key={option.label}
+                                onClick={() => update({ muted_until: option.until().toISOString() })}
+                                className="block w-full text-left px-3 py-2 text-sm text-gray-200 hover:bg-gray-800"
+                            >
+                                {option.label}
+                            </button>
+                        ))
+                    )}
+                    {error && <p className="px-3 py-1 text-xs text-red-500">{error}</p>}
+                </div>
+            )}
+        </div>
+    );
+}
+
+NotificationPreferenceMenu.propTypes = {
+    channelId: PropTypes.string,
+    dmId: PropTypes.string
+};
+
+export default NotificationPreferenceMenu;
@@ -0,0 +1,51 @@
+/**
+ * @file UnreadBadge.jsx
+ * @description Unread indicator for a channel or DM in the sidebar. Mentions show
+ * as a red count; other unread messages as a muted count.
+ *
+ * Props:
+ * - counts: { unread_count, mention_count } for the conversation, if known
+ *
+ * Dependencies:
+ * - prop-types
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import PropTypes from 'prop-types';
+
+const formatCount = (count) => (count > 99 ? '99+' : String(count));
+
+function UnreadBadge({ counts }) {
+    if (!counts || (counts.unread_count === 0 && counts.mention_count === 0)) return null;
+
+    if (counts.mention_count > 0) {
+        return (
+            <span
+                className="ml-auto min-w-[1.25rem] px-1.5 rounded-full bg-red-600 text-white text-xs font-semibold text-center"
+                title={`${counts.mention_count} mention${counts.mention_count === 1 ? '' : 's'}`}
+            >
+                {formatCount(counts.mention_count)}
+            </span>
+        );
+    }
+
+    return (
+        <span
+            className="ml-auto min-w-[1.25rem] px-1.5 rounded-full bg-gray-600 text-white text-xs text-center"
+            title={`${counts.unread_count} unread message${counts.unread_count === 1 ? '' : 's'}`}
+        >
+            {formatCount(counts.unread_count)}
+        </span>
+    );
+}
+
+UnreadBadge.propTypes = {
+    counts: PropTypes.shape({
+        unread_count: PropTypes.number,
+        mention_count: PropTypes.number
+    })
+};
+
+export default UnreadBadge;
@@ -1,50 +1,67 @@
-import React, { useState } from 'react';
-import api from '../../api/api';
+import { useRef, useState } from 'react';
+import ragService from '../../services/ragService';
 
-function AIChatInterface({ channelId, dmId }) {
+// Asks the AI from a channel or DM, streaming the answer as it is generated
+function useAIChatInterface({ channelId, dmId }) {
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
+    const [sources, setSources] = useState([]);
+    // Partial answer while tokens are still arriving; cleared once the saved message lands
+    const [streamingAnswer, setStreamingAnswer] = useState('');
+    const abortControllerRef = useRef(null);
+
+    const handleAskAI = async (query, { question, parentId } = {}) => {
+        abortControllerRef.current?.abort();
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
 
-    const handleAskAI = async (query) => {
         try {
             setIsLoading(true);
             setError(null);
+            setSources([]);
+            setStreamingAnswer('');
 
-            // Call the RAG endpoint
-            const { data } = await api.post('/rag/ask', { 
-                query,
+            // Stream the answer; the backend saves the final message, with its
+            // citations, as the AI user so it arrives through the normal message feed
+            const data = await ragService.askStream(query, {
                 channelId,
-                dmId 
-            });
-
-            if (!data.success) {
-                throw new Error(data.error || 'Failed to get AI response');
-            }
-
-            // Insert AI's response as a new message
-            const { error: msgError } = await api.post('/messages', {
-                content: data.answer,
-                sender_id: '00000000-0000-0000-0000-000000000000',
-                channel_id: channelId,
-                dm_id: dmId,
-                type: 'system'
+                dmId,
+                question,
+                parentId,
+                signal: abortController.signal,
+                onSources: setSources,
+                onDelta: (delta) => setStreamingAnswer(prev => prev + delta)
             });
 
-            if (msgError) throw msgError;
-
+            setSources(data.sources || []);
+            return data;
         } catch (err) {
-            setError('Failed to get AI response. Please try again.');
+            if (err.name === 'AbortError') return null;
+            setError(err.message || 'Failed to get AI response. Please try again.');
             console.error('AI chat error:', err);
+            return null;
         } finally {
-            setIsLoading(false);
+            if (abortControllerRef.current === abortController) {
+                abortControllerRef.current = null;
+                setStreamingAnswer('');
+                setIsLoading(false);
+            }
         }
     };
 
+    const cancel = () => {
+        abortControllerRef.current?.abort();
+    };
+
     return {
         isLoading,
         error,
-        askAI: handleAskAI
+        sources,
+        streamingAnswer,
+        askAI: handleAskAI,
+        cancel,
+        dismissError: () => setError(null)
     };
 }
 
-export default AIChatInterface; 
\ No newline at end of file
+export default useAIChatInterface;
@@ -14,6 +14,7 @@
  * - Create new DMs
  * - User search/selection
  * - Real-time DM updates
+ * - Unread and mention badges
  * - Multi-user DM support
  * - System message integration
  * - Error handling
@@ -24,6 +25,7 @@
  * Props:
  * - onDMSelect: Function to handle DM selection
  * - selectedDMId: Currently selected DM ID
+ * - unreadCounts: Unread and mention counts keyed by DM ID
  * 
  * Dependencies:
  * - react
@@ -31,6 +33,7 @@
  * - ../supabaseClient
  * - ../services/auth
  * - ../services/messageService
+ * - ../common/UnreadBadge
  * 
  * @version 1.0.0
  * @created 2024-01-14
@@ -41,8 +44,9 @@ import PropTypes from 'prop-types';
 import { supabase } from '../../supabaseClient';
 import { getUser } from '../../services/authService';
 import messageService from '../../services/messageService';
+import UnreadBadge from '../common/UnreadBadge';
 
-function DirectMessageList({ onDMSelect, selectedDMId }) {
+function DirectMessageList({ onDMSelect, selectedDMId, unreadCounts = {} }) {
     const [directMessages, setDirectMessages] = useState([]);
     const [showCreateDM, setShowCreateDM] = useState(false);
     const [availableUsers, setAvailableUsers] = useState([]);
@@ -70,6 +74,8 @@ function DirectMessageList({ onDMSelect, selectedDMId }) {
                 },
                 (payload) => {
                     console.log('DM member event:', payload);
+                    // Read cursor moves don't change the list
+                    if (payload.eventType === 'UPDATE') return;
                     loadDirectMessages();
                 }
             );
@@ -314,7 +320,10 @@ function DirectMessageList({ onDMSelect, selectedDMId }) {
                             }`}
                     >
                         <span className="mr-2">🗨️</span>
-                        {getDMName(dm)}
+                        <span className={unreadCounts[dm.id]?.unread_count > 0 && selectedDMId !== dm.id ? 'font-semibold' : ''}>
+                            {getDMName(dm)}
+                        </span>
+                        <UnreadBadge counts={selectedDMId === dm.id ? null : unreadCounts[dm.id]} />
                     </button>
                 ))}
                 {directMessages.length === 0 && (
@@ -388,7 +397,11 @@ function DirectMessageList({ onDMSelect, selectedDMId }) {
 
 DirectMessageList.propTypes = {
     onDMSelect: PropTypes.func.isRequired,
-    selectedDMId: PropTypes.string
+    selectedDMId: PropTypes.string,
+    unreadCounts: PropTypes.objectOf(PropTypes.shape({
+        unread_count: PropTypes.number,
+        mention_count: PropTypes.number
+    }))
 };
 
 export default DirectMessageList; 
\ No newline at end of file
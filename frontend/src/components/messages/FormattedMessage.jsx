@@ -7,8 +7,11 @@
  * Core Functionality:
  * - Markdown rendering
  * - File attachment display
+ * - Webhook attachment blocks
  * - Message actions
  * - Pin/Unpin functionality
+ * - Edit history and deleted-message tombstones
+ * - Highlighted @mentions (stronger when they reach the current user)
  * 
  * Features:
  * - Rich text formatting
@@ -25,6 +28,7 @@
  * - message: Message object with metadata
  * - onEdit: Function to handle message editing
  * - onPin: Function to handle message pinning
+ * - canModerate: Whether the user moderates the channel (moderators see deleted messages' history)
  * - replyButton: React node to render reply button
  * - reactionButton: React node to render reaction button
  * 
@@ -34,8 +38,11 @@
  * - remark-gfm
  * - prop-types
  * - ../../services/auth
+ * - ../../services/mentionService
  * - ../files/FileDisplay
+ * - ./MessageAttachments
  * - ./EditMessageForm
+ * - ./MessageHistory
  * - ../../supabaseClient
  * 
  * @version 1.1.0
@@ -47,14 +54,18 @@ import remarkGfm from 'remark-gfm';
 import PropTypes from 'prop-types';
 import { useState } from 'react';
 import { getUser } from '../../services/authService';
+import { linkMentions } from '../../services/mentionService';
 import FileDisplay from '../files/FileDisplay';
+import MessageAttachments from './MessageAttachments';
 import EditMessageForm from './EditMessageForm';
+import MessageHistory from './MessageHistory';
 import { supabase } from '../../supabaseClient';
 
-function FormattedMessage({ content, file, message, onEdit, onPin, replyButton, reactionButton }) {
+function FormattedMessage({ content, file, message, onEdit, onPin, canModerate = false, replyButton, reactionButton }) {
     const [isEditing, setIsEditing] = useState(false);
+    const [showHistory, setShowHistory] = useState(false);
     const currentUser = getUser();
-    const isOwner = message && currentUser.id === message.sender.id;
+    const isOwner = message && currentUser.id === message.sender?.id;
 
     const handleEdit = () => {
         setIsEditing(true);
@@ -77,6 +88,31 @@ function FormattedMessage({ content, file, message, onEdit, onPin, replyButton,
         return <EditMessageForm message={message} onSave={handleSave} onCancel={handleCancel} />;
     }
 
+    const historyPanel = showHistory && (
+        <MessageHistory messageId={message.id} onClose={() => setShowHistory(false)} />
+    );
+
+    // Deleted messages stay in place so threads keep their parent
+    if (message?.deleted_at) {
+        return (
+            <div>
+                <p className="text-sm italic text-gray-500">This message was deleted</p>
+                <div className="mt-1 flex items-center space-x-2">
+                    {(isOwner || canModerate) && (
+                        <button
+                            onClick={() => setShowHistory(!showHistory)}
+                            className="text-xs text-gray-400 hover:text-gray-200"
+                        >
+                            History
+                        </button>
+                    )}
+                    {replyButton}
+                </div>
+                {historyPanel}
+            </div>
+        );
+    }
+
     return (
         <div className="group relative">
             <div className="prose prose-sm max-w-none">
@@ -90,15 +126,37 @@ function FormattedMessage({ content, file, message, onEdit, onPin, replyButton,
                                         {children}
                                     </code>
                                 );
+                            },
+                            a({href, title, children}) {
+                                if (!href?.startsWith('#mention-')) {
+                                    return <a href={href} title={title}>{children}</a>;
+                                }
+                                const name = href.slice('#mention-'.length).toLowerCase();
+                                const mentionsMe = ['channel', 'here', currentUser.username?.toLowerCase()].includes(name);
+                                return (
+                                    <span className={`px-0.5 rounded font-medium ${mentionsMe ? 'bg-yellow-500/20 text-yellow-300' : 'bg-blue-500/20 text-blue-300'}`}>
+                                        {children}
+                                    </span>
+                                );
                             }
                         }}
                     >
-                        {content}
+                        {linkMentions(content)}
                     </ReactMarkdown>
                 </div>
             </div>
             {file && <FileDisplay file={file} />}
+            {message?.attachments?.length > 0 && <MessageAttachments attachments={message.attachments} />}
             <div className="mt-1 flex items-center space-x-2">
+                {message?.is_edited && (
+                    <button
+                        onClick={() => setShowHistory(!showHistory)}
+                        className="text-xs text-gray-400 hover:text-gray-200"
+                        title="Show edit history"
+                    >
+                        (edited)
+                    </button>
+                )}
                 {isOwner && onEdit && (
                     <button
                         onClick={handleEdit}
@@ -110,6 +168,7 @@ function FormattedMessage({ content, file, message, onEdit, onPin, replyButton,
                         <span>Edit</span>
                     </button>
                 )}
+                {onPin && (
                 <button
                     onClick={handlePin}
                     className={`text-xs flex items-center space-x-1 transition-colors duration-150 ${
@@ -123,9 +182,11 @@ function FormattedMessage({ content, file, message, onEdit, onPin, replyButton,
                     </svg>
                     <span>{message?.pinned ? 'Unpin' : 'Pin'}</span>
                 </button>
+                )}
                 {replyButton}
                 {reactionButton}
             </div>
+            {historyPanel}
         </div>
     );
 }
@@ -138,10 +199,14 @@ FormattedMessage.propTypes = {
         sender: PropTypes.shape({
             id: PropTypes.string
         }),
-        pinned: PropTypes.bool
+        pinned: PropTypes.bool,
+        attachments: PropTypes.array,
+        is_edited: PropTypes.bool,
+        deleted_at: PropTypes.string
     }),
     onEdit: PropTypes.func,
     onPin: PropTypes.func,
+    canModerate: PropTypes.bool,
     replyButton: PropTypes.node,
     reactionButton: PropTypes.node
 };
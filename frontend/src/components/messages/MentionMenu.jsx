@@ -0,0 +1,68 @@
+/**
+ * @file MentionMenu.jsx
+ * @description Autocomplete list shown above a composer while an @mention is being
+ * typed. Lists @channel and @here first, then matching members. The composer owns
+ * the keyboard handling and tells the menu which entry is highlighted.
+ *
+ * Props:
+ * - suggestions: Matching entries ({ id, username, avatar_url } for members,
+ *   { username, description } for @channel and @here)
+ * - selectedIndex: Index of the highlighted entry
+ * - onSelect: Function called with the chosen entry
+ *
+ * Dependencies:
+ * - prop-types
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import PropTypes from 'prop-types';
+
+function MentionMenu({ suggestions, selectedIndex, onSelect }) {
+    if (suggestions.length === 0) return null;
+
+    return (
+        <ul
+            role="listbox"
+            className="absolute bottom-full left-0 right-0 mb-2 max-h-64 overflow-y-auto bg-[#242424] border border-gray-700 rounded-lg shadow-lg z-20"
+        >
+            {suggestions.map((suggestion, index) => (
+                <li
+                    key={suggestion.id || suggestion.username}
+                    role="option"
+                    aria-selected={index === selectedIndex}
+                    // mousedown keeps focus in the composer
+                    onMouseDown={(e) => {
+                        e.preventDefault();
+                        onSelect(suggestion);
+                    }}
+                    className={`px-3 py-2 cursor-pointer flex items-center gap-2 ${index === selectedIndex ? 'bg-blue-600/30' : 'hover:bg-gray-700/50'}`}
+                >
+                    {suggestion.id && (
+                        <img
+                            src={suggestion.avatar_url || '/default-avatar.png'}
+                            alt=""
+                            className="w-5 h-5 rounded-full"
+                        />
+                    )}
+                    <span className="text-sm text-white">@{suggestion.username}</span>
+                    {suggestion.description && <span className="text-xs text-gray-400">{suggestion.description}</span>}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+MentionMenu.propTypes = {
+    suggestions: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string,
+        username: PropTypes.string.isRequired,
+        avatar_url: PropTypes.string,
+        description: PropTypes.string
+    })).isRequired,
+    selectedIndex: PropTypes.number.isRequired,
+    onSelect: PropTypes.func.isRequired
+};
+
+export default MentionMenu;
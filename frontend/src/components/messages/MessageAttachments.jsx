@@ -0,0 +1,81 @@
+/**
+ * @file MessageAttachments.jsx
+ * @description Renders the attachment blocks incoming webhooks post with a
+ * message: a colored bar, an optional linked title, markdown text and a grid of
+ * fields. Short fields sit side by side, the others take a full row.
+ *
+ * Props:
+ * - attachments: List of { title, title_link, text, color, fields }
+ *
+ * Dependencies:
+ * - react-markdown
+ * - remark-gfm
+ * - prop-types
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import PropTypes from 'prop-types';
+
+// The server only accepts http(s) links, but attachments are rendered defensively
+const isSafeLink = (url) => typeof url === 'string' && /^https?:\/\//i.test(url);
+
+function MessageAttachments({ attachments }) {
+    return (
+        <div className="mt-1 space-y-2">
+            {attachments.map((attachment, index) => (
+                <div
+                    key={index}
+                    className="border-l-4 pl-3 py-1 bg-[#1a1a1a] rounded-r"
+                    style={{ borderColor: attachment.color || '#4b5563' }}
+                >
+                    {attachment.title && (
+                        <div className="font-semibold text-sm text-white">
+                            {isSafeLink(attachment.title_link) ? (
+                                <a href={attachment.title_link} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">
+                                    {attachment.title}
+                                </a>
+                            ) : (
+                                attachment.title
+                            )}
+                        </div>
+                    )}
+                    {attachment.text && (
+                        <div className="prose prose-sm max-w-none text-gray-300">
+                            <ReactMarkdown remarkPlugins={[remarkGfm]}>{attachment.text}</ReactMarkdown>
+                        </div>
+                    )}
+                    {attachment.fields?.length > 0 && (
+                        <div className="mt-1 grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+                            {attachment.fields.map((field, fieldIndex) => (
+                                <div key={fieldIndex} className={field.short ? '' : 'col-span-2'}>
+                                    <div className="text-xs font-semibold text-gray-400">{field.title}</div>
+                                    <div className="text-gray-200">{field.value}</div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+MessageAttachments.propTypes = {
+    attachments: PropTypes.arrayOf(PropTypes.shape({
+        title: PropTypes.string,
+        title_link: PropTypes.string,
+        text: PropTypes.string,
+        color: PropTypes.string,
+        fields: PropTypes.arrayOf(PropTypes.shape({
+            title: PropTypes.string,
+            value: PropTypes.string,
+            short: PropTypes.bool
+        }))
+    })).isRequired
+};
+
+export default MessageAttachments;
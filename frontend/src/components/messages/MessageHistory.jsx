@@ -0,0 +1,85 @@
+/**
+ * @file MessageHistory.jsx
+ * @description Lists the earlier versions of a message, oldest first, followed by
+ * the current one. Opened from the "edited" marker on a message, or from the
+ * tombstone of a deleted message.
+ *
+ * Props:
+ * - messageId: Message whose history to show
+ * - onClose: Function to dismiss the list
+ *
+ * Dependencies:
+ * - react
+ * - prop-types
+ * - ../../services/messageService
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import messageService from '../../services/messageService';
+
+const ACTION_LABELS = {
+    edit: 'Edited',
+    delete: 'Deleted'
+};
+
+function MessageHistory({ messageId, onClose }) {
+    const [history, setHistory] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        setHistory(null);
+        setError(null);
+        messageService.getMessageHistory(messageId)
+            .then(setHistory)
+            .catch(err => setError(err.response?.data?.message || 'Failed to load history'));
+    }, [messageId]);
+
+    return (
+        <div className="mt-2 rounded-md p-3 text-sm bg-[#242424] border border-gray-700 text-gray-200">
+            <div className="flex justify-between items-center mb-2">
+                <span className="font-semibold">Edit history</span>
+                <button onClick={onClose} className="text-gray-400 hover:underline">
+                    Close
+                </button>
+            </div>
+
+            {!history && !error && <p className="text-gray-400">Loading...</p>}
+            {error && <p className="text-red-500">{error}</p>}
+
+            {history && (
+                <ol className="space-y-2">
+                    {history.revisions.map((revision, index) => (
+                        <li key={revision.id} className="border-l-2 border-gray-600 pl-2">
+                            <div className="text-xs text-gray-400">
+                                {index === 0 ? 'Original' : `Version ${index + 1}`}
+                                {' · '}
+                                {ACTION_LABELS[revision.action]} {new Date(revision.created_at).toLocaleString()}
+                                {revision.editor && ` by ${revision.editor.username}`}
+                            </div>
+                            <div className="whitespace-pre-wrap break-words">
+                                {revision.content || <span className="italic text-gray-500">(no text)</span>}
+                            </div>
+                        </li>
+                    ))}
+                    {!history.message.deleted_at && (
+                        <li className="border-l-2 border-blue-500 pl-2">
+                            <div className="text-xs text-gray-400">Current</div>
+                            <div className="whitespace-pre-wrap break-words">{history.message.content}</div>
+                        </li>
+                    )}
+                </ol>
+            )}
+        </div>
+    );
+}
+
+MessageHistory.propTypes = {
+    messageId: PropTypes.string.isRequired,
+    onClose: PropTypes.func.isRequired
+};
+
+export default MessageHistory;
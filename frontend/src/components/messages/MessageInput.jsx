@@ -1,13 +1,46 @@
-import React, { useState } from 'react';
-import { supabase } from '../../supabaseClient';
-import { getUser } from '../../services/authService';
-import api from '../../api/api';
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import ragService from '../../services/ragService';
+import messageService from '../../services/messageService';
+import { findMentionQuery, matchMentions, insertMention } from '../../services/mentionService';
+import MentionMenu from './MentionMenu';
 
-function MessageInput({ channelId, dmId }) {
+function MessageInput({ channelId, dmId, members = [] }) {
     const [message, setMessage] = useState('');
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
-    const currentUser = getUser();
+    const [mention, setMention] = useState(null);
+    const [mentionIndex, setMentionIndex] = useState(0);
+
+    const suggestions = mention ? matchMentions(members, mention.query) : [];
+
+    const handleChange = (e) => {
+        setMessage(e.target.value);
+        setMention(findMentionQuery(e.target.value, e.target.selectionStart));
+        setMentionIndex(0);
+    };
+
+    const selectMention = (suggestion, input) => {
+        const { text, caret } = insertMention(message, mention, suggestion.username);
+        setMessage(text);
+        setMention(null);
+        requestAnimationFrame(() => input?.setSelectionRange(caret, caret));
+    };
+
+    const handleKeyDown = (e) => {
+        if (suggestions.length === 0) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setMentionIndex((mentionIndex + step + suggestions.length) % suggestions.length);
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            selectMention(suggestions[mentionIndex], e.target);
+        } else if (e.key === 'Escape') {
+            setMention(null);
+        }
+    };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -25,59 +58,29 @@ function MessageInput({ channelId, dmId }) {
                 const query = message.replace(/^@ai\s*/i, '').trim();
                 
                 console.log('Sending AI query:', query);
-                
-                // First insert the user's query as a message
-                const { error: queryError } = await supabase
-                    .from('messages')
-                    .insert({
-                        content: message,
-                        channel_id: channelId,
-                        dm_id: dmId,
-                        type: 'user',
-                        sender_id: currentUser.id
-                    });
-
-                if (queryError) throw queryError;
 
-                // Send to AI endpoint
-                console.log('Making API call to /rag/ask');
-                const { data } = await api.post('/rag/ask', { query });
+                // The server posts the user's query as a message and saves the
+                // answer, with its citations, as the AI user in the query's thread
+                const data = await ragService.askStream(query, {
+                    channelId,
+                    dmId,
+                    question: message.trim()
+                });
                 console.log('AI response:', data);
-
-                if (!data?.answer) {
-                    throw new Error('No response received from AI');
-                }
-
-                // Insert AI's response as a system message
-                const { error: responseError } = await supabase
-                    .from('messages')
-                    .insert({
-                        content: data.answer,
-                        channel_id: channelId,
-                        dm_id: dmId,
-                        type: 'system'
-                    });
-
-                if (responseError) throw responseError;
             } else {
-                // Regular message handling
-                const { error: msgError } = await supabase
-                    .from('messages')
-                    .insert({
-                        content: message,
-                        channel_id: channelId,
-                        dm_id: dmId,
-                        type: 'user',
-                        sender_id: currentUser.id
-                    });
-
-                if (msgError) throw msgError;
+                // Regular messages go through the API, which records their mentions
+                await messageService.sendMessage({
+                    content: message,
+                    channel_id: channelId,
+                    dm_id: dmId
+                });
             }
 
             setMessage('');
+            setMention(null);
         } catch (err) {
             console.error('Error sending message:', err);
-            setError(err.message);
+            setError(err.response?.data?.message || err.message);
         } finally {
             setIsLoading(false);
         }
@@ -86,11 +89,17 @@ function MessageInput({ channelId, dmId }) {
     return (
         <div className="p-4 border-t">
             {error && <div className="text-red-500 mb-2">{error}</div>}
-            <form onSubmit={handleSubmit} className="flex items-center">
+            <form onSubmit={handleSubmit} className="relative flex items-center">
+                <MentionMenu
+                    suggestions={suggestions}
+                    selectedIndex={mentionIndex}
+                    onSelect={(suggestion) => selectMention(suggestion, document.activeElement)}
+                />
                 <input
                     type="text"
                     value={message}
-                    onChange={(e) => setMessage(e.target.value)}
+                    onChange={handleChange}
+                    onKeyDown={handleKeyDown}
                     placeholder={isLoading ? "AI is thinking..." : "Type a message... (Use @AI to ask the AI)"}
                     disabled={isLoading}
                     className="flex-1 p-2 border rounded-lg mr-2"
@@ -107,4 +116,15 @@ function MessageInput({ channelId, dmId }) {
     );
 }
 
+MessageInput.propTypes = {
+    channelId: PropTypes.string,
+    dmId: PropTypes.string,
+    // Members offered when typing an @mention: { id, username, avatar_url }
+    members: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        username: PropTypes.string.isRequired,
+        avatar_url: PropTypes.string
+    }))
+};
+
 export default MessageInput; 
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * @file SlashCommandMenu.jsx
+ * @description Autocomplete list shown above the composer while a slash command
+ * name is being typed. The composer owns the keyboard handling and tells the menu
+ * which entry is highlighted.
+ *
+ * Props:
+ * - commands: Matching commands ({ name, usage, description, bot })
+ * - selectedIndex: Index of the highlighted command
+ * - onSelect: Function called with the chosen command
+ *
+ * Dependencies:
+ * - prop-types
+ *
+ * @version 1.0.0
+ * @created 2024-01-26
+ */
+
+import PropTypes from 'prop-types';
+
+function SlashCommandMenu({ commands, selectedIndex, onSelect }) {
+    if (commands.length === 0) return null;
+
+    return (
+        <ul
+            role="listbox"
+            className="absolute bottom-full left-0 right-0 mb-2 max-h-64 overflow-y-auto bg-[#242424] border border-gray-700 rounded-lg shadow-lg z-20"
+        >
+            {commands.map((command, index) => (
+                <li
+                    key={command.name}
+                    role="option"
+                    aria-selected={index === selectedIndex}
+                    // mousedown keeps focus in the composer
+                    onMouseDown={(e) => {
+                        e.preventDefault();
+                        onSelect(command);
+                    }}
+                    className={`px-3 py-2 cursor-pointer ${index === selectedIndex ? 'bg-blue-600/30' : 'hover:bg-gray-700/50'}`}
+                >
+                    <div className="flex items-baseline justify-between gap-2">
+                        <span className="text-sm text-white font-mono">{command.usage}</span>
+                        {command.bot && <span className="text-xs text-gray-500">{command.bot.username}</span>}
+                    </div>
+                    {command.description && <div className="text-xs text-gray-400">{command.description}</div>}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+SlashCommandMenu.propTypes = {
+    commands: PropTypes.arrayOf(PropTypes.shape({
+        name: PropTypes.string.isRequired,
+        usage: PropTypes.string,
+        description: PropTypes.string,
+        bot: PropTypes.shape({
+            username: PropTypes.string
+        })
+    })).isRequired,
+    selectedIndex: PropTypes.number.isRequired,
+    onSelect: PropTypes.func.isRequired
+};
+
+export default SlashCommandMenu;
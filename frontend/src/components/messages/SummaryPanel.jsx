@@ -0,0 +1,110 @@
+/**
+ * @file SummaryPanel.jsx
+ * @description Displays an AI-generated catch-up summary of a channel or thread.
+ * The summary cites messages as [n]; the cited messages are listed underneath
+ * and can be clicked to jump to them in the conversation.
+ *
+ * Props:
+ * - result: Summary response ({ summary, keyMessages, messageCount, truncated })
+ * - isLoading: Whether a summary is being generated
+ * - error: Error message to display
+ * - onClose: Function to dismiss the panel
+ * - onJumpToMessage: Function called with the key message ({ id, parent_id }) when it is clicked
+ * - theme: 'dark' (channel bar) or 'light' (thread view)
+ *
+ * Dependencies:
+ * - react-markdown
+ * - prop-types
+ *
+ * @version 1.0.0
+ * @created 2024-01-23
+ */
+
+import ReactMarkdown from 'react-markdown';
+import PropTypes from 'prop-types';
+
+const themes = {
+    dark: {
+        container: 'bg-[#242424] border border-gray-700 text-gray-200',
+        muted: 'text-gray-400',
+        item: 'hover:bg-gray-800'
+    },
+    light: {
+        container: 'bg-gray-50 border border-gray-200 text-gray-800',
+        muted: 'text-gray-500',
+        item: 'hover:bg-gray-100'
+    }
+};
+
+function SummaryPanel({ result, isLoading, error, onClose, onJumpToMessage, theme = 'dark' }) {
+    const styles = themes[theme];
+
+    return (
+        <div className={`mt-3 rounded-md p-4 text-sm ${styles.container}`}>
+            <div className="flex justify-between items-center mb-2">
+                <span className="font-semibold">Summary</span>
+                <button onClick={onClose} className={`${styles.muted} hover:underline`}>
+                    Close
+                </button>
+            </div>
+
+            {isLoading && <p className={styles.muted}>Summarizing...</p>}
+            {error && <p className="text-red-500">{error}</p>}
+
+            {result && !isLoading && (
+                <>
+                    <div className="prose prose-sm max-w-none">
+                        <ReactMarkdown>{result.summary}</ReactMarkdown>
+                    </div>
+                    <p className={`mt-2 text-xs ${styles.muted}`}>
+                        Based on {result.messageCount} message{result.messageCount === 1 ? '' : 's'}
+                        {result.truncated && ' (only the most recent messages were included)'}
+                    </p>
+
+                    {result.keyMessages?.length > 0 && (
+                        <div className="mt-3">
+                            <div className={`text-xs font-semibold uppercase mb-1 ${styles.muted}`}>Key messages</div>
+                            <ul className="space-y-1">
+                                {result.keyMessages.map(keyMessage => (
+                                    <li key={keyMessage.id}>
+                                        <button
+                                            onClick={() => onJumpToMessage?.(keyMessage)}
+                                            className={`w-full text-left px-2 py-1 rounded ${styles.item}`}
+                                        >
+                                            <span className={styles.muted}>[{keyMessage.ref}] </span>
+                                            <span className="font-medium">{keyMessage.sender_username || 'Unknown User'}: </span>
+                                            <span>{keyMessage.content}</span>
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+SummaryPanel.propTypes = {
+    result: PropTypes.shape({
+        summary: PropTypes.string.isRequired,
+        messageCount: PropTypes.number,
+        truncated: PropTypes.bool,
+        keyMessages: PropTypes.arrayOf(PropTypes.shape({
+            ref: PropTypes.number.isRequired,
+            id: PropTypes.string.isRequired,
+            content: PropTypes.string,
+            sender_username: PropTypes.string,
+            created_at: PropTypes.string,
+            parent_id: PropTypes.string
+        }))
+    }),
+    isLoading: PropTypes.bool,
+    error: PropTypes.string,
+    onClose: PropTypes.func.isRequired,
+    onJumpToMessage: PropTypes.func,
+    theme: PropTypes.oneOf(['dark', 'light'])
+};
+
+export default SummaryPanel;
@@ -6,6 +6,7 @@ import { getUser } from '../../services/authService';
 import MessageReactions from '../messages/MessageReactions';
 import FormattedMessage from '../messages/FormattedMessage';
 import EditMessageForm from '../messages/EditMessageForm';
+import SummaryPanel from '../messages/SummaryPanel';
 import reactionService from '../../services/reactionService';
 
 function ThreadView({ parentMessage, onClose, onParentReactionUpdate }) {
@@ -13,19 +14,37 @@ function ThreadView({ parentMessage, onClose, onParentReactionUpdate }) {
     const [typingUsers, setTypingUsers] = useState([]);
     const [replies, setReplies] = useState([]);
     const [editingMessageId, setEditingMessageId] = useState(null);
+    const [hasMoreReplies, setHasMoreReplies] = useState(false);
+    const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+    const [showSummary, setShowSummary] = useState(false);
+    const [summary, setSummary] = useState(null);
+    const [isSummarizing, setIsSummarizing] = useState(false);
+    const [summaryError, setSummaryError] = useState(null);
     const repliesEndRef = useRef(null);
+    const repliesContainerRef = useRef(null);
+    const olderCursorRef = useRef(null);
+    const lastScrollTopRef = useRef(0);
+    const preserveScrollRef = useRef(null);
     const typingTimeoutRef = useRef(null);
     const typingChannelRef = useRef({
         thread: `thread:${parentMessage.id}`,
         parent: parentMessage.dm_id ? `dm:${parentMessage.dm_id}` : `channel:${parentMessage.channel_id}`
     });
     const currentUser = getUser();
+    // The realtime subscription outlives renders, so it closes the thread through the latest onClose
+    const onCloseRef = useRef(onClose);
+
+    useEffect(() => {
+        onCloseRef.current = onClose;
+    }, [onClose]);
 
     useEffect(() => {
         const loadReplies = async () => {
             try {
-                const threadReplies = await messageService.getThreadReplies(parentMessage.id);
-                setReplies(threadReplies);
+                const page = await messageService.getThreadReplies(parentMessage.id);
+                setReplies(page.messages);
+                setHasMoreReplies(page.hasMore);
+                olderCursorRef.current = page.cursors.before;
             } catch (error) {
                 console.error('Error loading replies:', error);
             }
@@ -49,7 +68,7 @@ function ThreadView({ parentMessage, onClose, onParentReactionUpdate }) {
                         const newReplies = prev.filter(msg => msg.id !== event.messageId);
                         // Only auto-close if there were replies before and now there are none
                         if (prev.length > 0 && newReplies.length === 0) {
-                            onClose();
+                            onCloseRef.current();
                         }
                         return newReplies;
                     });
@@ -89,9 +108,51 @@ function ThreadView({ parentMessage, onClose, onParentReactionUpdate }) {
     }, [parentMessage.id, currentUser.id, parentMessage.dm_id, parentMessage.channel_id]);
 
     useEffect(() => {
+        const container = repliesContainerRef.current;
+        if (preserveScrollRef.current !== null && container) {
+            // Older replies were prepended; keep the same replies in view
+            container.scrollTop = container.scrollHeight - preserveScrollRef.current;
+            preserveScrollRef.current = null;
+            return;
+        }
         repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
     }, [replies]);
 
+    const loadOlderReplies = async () => {
+        if (isLoadingOlder || !hasMoreReplies || !olderCursorRef.current) return;
+
+        setIsLoadingOlder(true);
+        try {
+            const page = await messageService.getThreadReplies(parentMessage.id, {
+                before: olderCursorRef.current
+            });
+
+            const container = repliesContainerRef.current;
+            preserveScrollRef.current = container ? container.scrollHeight - container.scrollTop : null;
+
+            setReplies(prev => [
+                ...page.messages.filter(older => !prev.some(msg => msg.id === older.id)),
+                ...prev
+            ]);
+            setHasMoreReplies(page.hasMore);
+            olderCursorRef.current = page.cursors.before;
+        } catch (error) {
+            console.error('Error loading older replies:', error);
+        } finally {
+            setIsLoadingOlder(false);
+        }
+    };
+
+    const handleRepliesScroll = (e) => {
+        const { scrollTop } = e.currentTarget;
+        const scrollingUp = scrollTop < lastScrollTopRef.current;
+        lastScrollTopRef.current = scrollTop;
+
+        if (scrollingUp && scrollTop < 100) {
+            loadOlderReplies();
+        }
+    };
+
     const handleTyping = () => {
         // Start typing in both thread and parent channel/DM
         if (typingChannelRef.current.thread) {
@@ -165,15 +226,10 @@ function ThreadView({ parentMessage, onClose, onParentReactionUpdate }) {
         }
 
         try {
-            await messageService.deleteMessage(messageId);
-            setReplies(prev => {
-                const newReplies = prev.filter(msg => msg.id !== messageId);
-                // Only auto-close if there were replies before and now there are none
-                if (prev.length > 0 && newReplies.length === 0) {
-                    onClose();
-                }
-                return newReplies;
-            });
+            const { deleted } = await messageService.deleteMessage(messageId);
+            setReplies(prev => prev.map(msg =>
+                msg.id === messageId ? { ...msg, ...deleted, reactions: [] } : msg
+            ));
         } catch (error) {
             console.error('Error deleting reply:', error);
         }
@@ -197,6 +253,31 @@ function ThreadView({ parentMessage, onClose, onParentReactionUpdate }) {
         }
     };
 
+    const handleSummarize = async () => {
+        setShowSummary(true);
+        setSummary(null);
+        setSummaryError(null);
+        setIsSummarizing(true);
+
+        try {
+            setSummary(await messageService.summarizeThread(parentMessage.id));
+        } catch (error) {
+            console.error('Error summarizing thread:', error);
+            setSummaryError(error.response?.data?.message || 'Failed to summarize thread');
+        } finally {
+            setIsSummarizing(false);
+        }
+    };
+
+    const handleJumpToReply = (target) => {
+        const element = document.getElementById(`thread-message-${target.id}`);
+        if (element) {
+            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            element.classList.add('bg-yellow-50');
+            setTimeout(() => element.classList.remove('bg-yellow-50'), 2000);
+        }
+    };
+
     return (
         <div className="flex flex-col h-full w-full bg-white">
             {/* Thread header */}
@@ -210,10 +291,30 @@ function ThreadView({ parentMessage, onClose, onParentReactionUpdate }) {
                     </button>
                     <h3 className="text-lg font-semibold">Thread</h3>
                 </div>
+                <button
+                    onClick={handleSummarize}
+                    disabled={isSummarizing}
+                    className="px-3 py-1 text-sm text-gray-600 rounded hover:bg-gray-100 disabled:opacity-50"
+                >
+                    {isSummarizing ? 'Summarizing...' : 'Summarize'}
+                </button>
             </div>
 
+            {showSummary && (
+                <div className="px-4 pb-3 border-b">
+                    <SummaryPanel
+                        result={summary}
+                        isLoading={isSummarizing}
+                        error={summaryError}
+                        onClose={() => setShowSummary(false)}
+                        onJumpToMessage={handleJumpToReply}
+                        theme="light"
+                    />
+                </div>
+            )}
+
             {/* Parent message */}
-            <div className="p-6 border-b bg-gray-50">
+            <div id={`thread-message-${parentMessage.id}`} className="p-6 border-b bg-gray-50">
                 <div className="flex items-start space-x-3 max-w-3xl mx-auto">
                     <div className="w-10 h-10 rounded-full bg-gray-300 flex-shrink-0">
                         {parentMessage.sender?.avatar_url && (
@@ -227,27 +328,44 @@ function ThreadView({ parentMessage, onClose, onParentReactionUpdate }) {
                     <div className="flex-1">
                         <div className="flex items-center space-x-2">
                             <span className="font-semibold text-sm">
-                                {parentMessage.sender?.username || 'Unknown User'}
+                                {parentMessage.twin ? `${parentMessage.twin.username}'s twin` : parentMessage.sender?.username || 'Unknown User'}
                             </span>
+                            {parentMessage.twin_of && (
+                                <span
+                                    className="text-xs px-1.5 rounded bg-purple-100 text-purple-700"
+                                    title="This reply was written by an AI imitating the user, not by the user"
+                                >
+                                    generated by twin
+                                </span>
+                            )}
                             <span className="text-xs text-gray-500">
                                 {new Date(parentMessage.created_at).toLocaleTimeString()}
                             </span>
                         </div>
                         <FormattedMessage content={parentMessage.content} message={parentMessage} onEdit={handleEditMessage} />
-                        <MessageReactions
-                            reactions={parentMessage.reactions}
-                            onReact={handleReaction}
-                            messageId={parentMessage.id}
-                        />
+                        {!parentMessage.deleted_at && (
+                            <MessageReactions
+                                reactions={parentMessage.reactions}
+                                onReact={handleReaction}
+                                messageId={parentMessage.id}
+                            />
+                        )}
                     </div>
                 </div>
             </div>
 
             {/* Replies */}
-            <div className="flex-1 overflow-y-auto p-6 space-y-6 bg-white">
+            <div
+                ref={repliesContainerRef}
+                onScroll={handleRepliesScroll}
+                className="flex-1 overflow-y-auto p-6 space-y-6 bg-white"
+            >
                 <div className="max-w-3xl mx-auto space-y-6">
+                    {isLoadingOlder && (
+                        <div className="text-center text-xs text-gray-400">Loading older replies...</div>
+                    )}
                     {replies.map((reply) => (
-                        <div key={reply.id} className="flex items-start space-x-3">
+                        <div key={reply.id} id={`thread-message-${reply.id}`} className="flex items-start space-x-3">
                             <div className="w-10 h-10 rounded-full bg-gray-300 flex-shrink-0">
                                 {reply.sender?.avatar_url && (
                                     <img
@@ -260,15 +378,20 @@ function ThreadView({ parentMessage, onClose, onParentReactionUpdate }) {
                             <div className="flex-1">
                                 <div className="flex items-center space-x-2">
                                     <span className="font-semibold text-sm">
-                                        {reply.sender?.username || 'Unknown User'}
+                                        {reply.twin ? `${reply.twin.username}'s twin` : reply.sender?.username || 'Unknown User'}
                                     </span>
+                                    {reply.twin_of && (
+                                        <span
+                                            className="text-xs px-1.5 rounded bg-purple-100 text-purple-700"
+                                            title="This reply was written by an AI imitating the user, not by the user"
+                                        >
+                                            generated by twin
+                                        </span>
+                                    )}
                                     <span className="text-xs text-gray-500">
                                         {new Date(reply.created_at).toLocaleTimeString()}
                                     </span>
-                                    {reply.is_edited && (
-                                        <span className="text-xs text-gray-400">(edited)</span>
-                                    )}
-                                    {reply.sender?.id === currentUser.id && (
+                                    {!reply.deleted_at && reply.sender?.id === currentUser.id && (
                                         <button
                                             onClick={() => handleDeleteReply(reply.id)}
                                             className="text-xs text-red-500 hover:text-red-700"
@@ -287,11 +410,13 @@ function ThreadView({ parentMessage, onClose, onParentReactionUpdate }) {
                                 ) : (
                                     <FormattedMessage content={reply.content} message={reply} onEdit={handleEditMessage} />
                                 )}
-                                <MessageReactions
-                                    reactions={reply.reactions}
-                                    onReact={handleReaction}
-                                    messageId={reply.id}
-                                />
+                                {!reply.deleted_at && (
+                                    <MessageReactions
+                                        reactions={reply.reactions}
+                                        onReact={handleReaction}
+                                        messageId={reply.id}
+                                    />
+                                )}
                             </div>
                         </div>
                     ))}
@@ -343,7 +468,13 @@ ThreadView.propTypes = {
             username: PropTypes.string.isRequired,
             avatar_url: PropTypes.string
         }),
+        twin_of: PropTypes.string,
+        twin: PropTypes.shape({
+            id: PropTypes.string,
+            username: PropTypes.string
+        }),
         created_at: PropTypes.string.isRequired,
+        deleted_at: PropTypes.string,
         reactions: PropTypes.array
     }).isRequired,
     onClose: PropTypes.func.isRequired,
@@ -2,11 +2,14 @@
  * @file Auth.jsx
  * @description Authentication page component that handles user login and registration.
  * This component provides a form interface for users to sign in or create new accounts,
- * with smooth transitions between modes.
+ * with smooth transitions between modes. It also serves the forgotten password screen
+ * and the pages emailed verification and password reset links open.
  * 
  * Core Functionality:
  * - User authentication
  * - Account registration
+ * - Forgotten password and password reset
+ * - Email verification
  * - Form validation
  * - Error handling
  * 
@@ -19,33 +22,91 @@
  * 
  * Props:
  * - onLogin: Function to handle successful authentication
+ * - onSignedOut: Called when a password reset signed this browser out
+ * - initialMode: Screen to open with ('signin', 'reset' or 'verify'; default 'signin')
  * 
  * Dependencies:
  * - react
+ * - react-router-dom
  * - prop-types
  * - ../components/common/Footer
- * - ../services/auth
+ * - ../services/authService
  * 
  * @version 1.0.0
  * @created 2024-01-14
  */
 
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams, useLocation } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import Footer from '../components/common/Footer';
 import * as authService from '../services/authService';
 
-const Auth = ({ onLogin }) => {
+const MIN_PASSWORD_LENGTH = 8;
+
+const TITLES = {
+    signin: 'Sign in to your account',
+    signup: 'Create new account',
+    forgot: 'Reset your password',
+    reset: 'Choose a new password',
+    verify: 'Verify your email'
+};
+
+const inputClassName = 'appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm';
+const submitClassName = 'w-1/2 py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50';
+
+const Auth = ({ onLogin, onSignedOut, initialMode = 'signin' }) => {
     const [showFooter, setShowFooter] = useState(true);
-    const [isSignIn, setIsSignIn] = useState(true);
+    const [mode, setMode] = useState(initialMode);
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
     const [username, setUsername] = useState('');
     const [error, setError] = useState('');
+    const location = useLocation();
+    const [notice, setNotice] = useState(location.state?.notice || '');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [verifyState, setVerifyState] = useState('pending');
+    const [searchParams] = useSearchParams();
+    const navigate = useNavigate();
+    // StrictMode runs effects twice; a verification link only works once
+    const verifyAttempted = useRef(false);
+
+    const isSignIn = mode === 'signin';
+    const linkToken = searchParams.get('token');
+
+    useEffect(() => {
+        if (initialMode !== 'verify' || verifyAttempted.current) return;
+        verifyAttempted.current = true;
+
+        if (!linkToken) {
+            setVerifyState('failed');
+            setError('This link is invalid');
+            return;
+        }
+
+        authService.confirmEmail(linkToken)
+            .then(() => setVerifyState('verified'))
+            .catch((err) => {
+                setVerifyState('failed');
+                setError(err.response?.data?.message || 'Could not verify your email');
+            });
+    }, [initialMode, linkToken]);
+
+    const switchMode = (nextMode) => {
+        setMode(nextMode);
+        setError('');
+        setNotice('');
+        setEmail('');
+        setPassword('');
+        setConfirmPassword('');
+        setUsername('');
+    };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
+        setNotice('');
 
         try {
             let result;
@@ -61,12 +122,286 @@ const Auth = ({ onLogin }) => {
         }
     };
 
-    const toggleMode = () => {
-        setIsSignIn(!isSignIn);
+    const handleForgotSubmit = async (e) => {
+        e.preventDefault();
         setError('');
-        setEmail('');
-        setPassword('');
-        setUsername('');
+        setIsSubmitting(true);
+
+        try {
+            await authService.requestPasswordReset(email);
+            setNotice('If an account uses that address, we sent it a link to reset the password.');
+        } catch (err) {
+            setError(err.response?.data?.message || 'An error occurred');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleResetSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+            return;
+        }
+        if (password !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            await authService.resetPassword(linkToken, password);
+            onSignedOut?.();
+            navigate('/', {
+                replace: true,
+                state: { notice: 'Your password was changed. Sign in with the new password.' }
+            });
+        } catch (err) {
+            setError(err.response?.data?.message || 'An error occurred');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleResendVerification = async () => {
+        setError('');
+        try {
+            await authService.resendVerificationEmail();
+            setNotice('We sent you a new verification link.');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not send a new link');
+        }
+    };
+
+    const renderMessages = () => (
+        <>
+            {error && (
+                <div className="text-red-600 text-sm text-center">{error}</div>
+            )}
+            {notice && (
+                <div className="text-green-500 text-sm text-center">{notice}</div>
+            )}
+        </>
+    );
+
+    const renderBackToSignIn = () => (
+        <p className="mt-4 text-center text-sm text-gray-600">
+            <button
+                type="button"
+                onClick={() => {
+                    navigate('/', { replace: true });
+                    switchMode('signin');
+                }}
+                className="font-medium text-blue-600 hover:text-blue-500"
+            >
+                Back to sign in
+            </button>
+        </p>
+    );
+
+    const renderForm = () => {
+        if (mode === 'verify') {
+            const signedIn = !!authService.getToken();
+            return (
+                <div className="mt-8 space-y-6 flex flex-col items-center">
+                    {verifyState === 'pending' && (
+                        <p className="text-sm text-gray-400">Verifying your email...</p>
+                    )}
+                    {verifyState === 'verified' && (
+                        <p className="text-sm text-green-500">Your email address is verified.</p>
+                    )}
+                    {renderMessages()}
+                    {verifyState === 'failed' && signedIn && (
+                        <button type="button" onClick={handleResendVerification} className={submitClassName}>
+                            Send a new link
+                        </button>
+                    )}
+                    {verifyState !== 'pending' && (signedIn ? (
+                        <button type="button" onClick={() => navigate('/chat')} className={submitClassName}>
+                            Continue to ChatGenius
+                        </button>
+                    ) : renderBackToSignIn())}
+                </div>
+            );
+        }
+
+        if (mode === 'forgot') {
+            return (
+                <form className="mt-8 space-y-6" onSubmit={handleForgotSubmit}>
+                    <div className="rounded-md shadow-sm flex flex-col items-center">
+                        <div className="w-3/4">
+                            <label htmlFor="email-address" className="sr-only">
+                                Email address
+                            </label>
+                            <input
+                                id="email-address"
+                                name="email"
+                                type="email"
+                                autoComplete="email"
+                                required
+                                className={`${inputClassName} rounded-md`}
+                                placeholder="Email address"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                            />
+                        </div>
+                    </div>
+
+                    {renderMessages()}
+
+                    <div className="flex flex-col items-center">
+                        <button type="submit" disabled={isSubmitting} className={submitClassName}>
+                            Send reset link
+                        </button>
+                        {renderBackToSignIn()}
+                    </div>
+                </form>
+            );
+        }
+
+        if (mode === 'reset') {
+            return (
+                <form className="mt-8 space-y-6" onSubmit={handleResetSubmit}>
+                    <div className="rounded-md shadow-sm -space-y-px flex flex-col items-center">
+                        <div className="w-3/4">
+                            <label htmlFor="new-password" className="sr-only">
+                                New password
+                            </label>
+                            <input
+                                id="new-password"
+                                name="password"
+                                type="password"
+                                autoComplete="new-password"
+                                required
+                                className={`${inputClassName} rounded-t-md`}
+                                placeholder={`New password (at least ${MIN_PASSWORD_LENGTH} characters)`}
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                            />
+                        </div>
+                        <div className="w-3/4">
+                            <label htmlFor="confirm-password" className="sr-only">
+                                Confirm new password
+                            </label>
+                            <input
+                                id="confirm-password"
+                                name="confirm-password"
+                                type="password"
+                                autoComplete="new-password"
+                                required
+                                className={`${inputClassName} rounded-b-md`}
+                                placeholder="Confirm new password"
+                                value={confirmPassword}
+                                onChange={(e) => setConfirmPassword(e.target.value)}
+                            />
+                        </div>
+                    </div>
+
+                    {renderMessages()}
+
+                    <div className="flex flex-col items-center">
+                        <button type="submit" disabled={isSubmitting || !linkToken} className={submitClassName}>
+                            Change password
+                        </button>
+                        {!linkToken && (
+                            <p className="mt-2 text-sm text-red-600">This link is invalid</p>
+                        )}
+                        {renderBackToSignIn()}
+                    </div>
+                </form>
+            );
+        }
+
+        return (
+            <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+                <div className="rounded-md shadow-sm -space-y-px flex flex-col items-center">
+                    <div className="w-3/4">
+                        <label htmlFor="email-address" className="sr-only">
+                            Email address
+                        </label>
+                        <input
+                            id="email-address"
+                            name="email"
+                            type="email"
+                            autoComplete="email"
+                            required
+                            className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-t-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
+                            placeholder="Email address"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                        />
+                    </div>
+                    {!isSignIn && (
+                        <div className="w-3/4">
+                            <label htmlFor="username" className="sr-only">
+                                Username
+                            </label>
+                            <input
+                                id="username"
+                                name="username"
+                                type="text"
+                                autoComplete="username"
+                                required
+                                className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
+                                placeholder="Username"
+                                value={username}
+                                onChange={(e) => setUsername(e.target.value)}
+                            />
+                        </div>
+                    )}
+                    <div className="w-3/4">
+                        <label htmlFor="password" className="sr-only">
+                            Password
+                        </label>
+                        <input
+                            id="password"
+                            name="password"
+                            type="password"
+                            autoComplete="current-password"
+                            required
+                            className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-b-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
+                            placeholder="Password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                        />
+                    </div>
+                </div>
+
+                {renderMessages()}
+
+                <div className="flex flex-col items-center">
+                    <button
+                        type="submit"
+                        className="w-1/2 py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                    >
+                        {isSignIn ? 'Sign in' : 'Create Account'}
+                    </button>
+                    <p className="mt-4 text-center text-sm text-gray-600">
+                        {isSignIn ? 'Or ' : 'Already have an account? '}
+                        <button
+                            type="button"
+                            onClick={() => switchMode(isSignIn ? 'signup' : 'signin')}
+                            className="font-medium text-blue-600 hover:text-blue-500"
+                        >
+                            {isSignIn ? 'create a new account' : 'sign in'}
+                        </button>
+                    </p>
+                    {isSignIn && (
+                        <p className="mt-2 text-center text-sm text-gray-600">
+                            <button
+                                type="button"
+                                onClick={() => switchMode('forgot')}
+                                className="font-medium text-blue-600 hover:text-blue-500"
+                            >
+                                Forgot password?
+                            </button>
+                        </p>
+                    )}
+                </div>
+            </form>
+        );
     };
 
     return (
@@ -87,86 +422,10 @@ const Auth = ({ onLogin }) => {
                 <div className="max-w-md w-full space-y-8">
                     <div>
                         <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-300">
-                            {isSignIn ? 'Sign in to your account' : 'Create new account'}
+                            {TITLES[mode]}
                         </h2>
                     </div>
-                    <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-                        <div className="rounded-md shadow-sm -space-y-px flex flex-col items-center">
-                            <div className="w-3/4">
-                                <label htmlFor="email-address" className="sr-only">
-                                    Email address
-                                </label>
-                                <input
-                                    id="email-address"
-                                    name="email"
-                                    type="email"
-                                    autoComplete="email"
-                                    required
-                                    className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-t-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
-                                    placeholder="Email address"
-                                    value={email}
-                                    onChange={(e) => setEmail(e.target.value)}
-                                />
-                            </div>
-                            {!isSignIn && (
-                                <div className="w-3/4">
-                                    <label htmlFor="username" className="sr-only">
-                                        Username
-                                    </label>
-                                    <input
-                                        id="username"
-                                        name="username"
-                                        type="text"
-                                        autoComplete="username"
-                                        required
-                                        className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
-                                        placeholder="Username"
-                                        value={username}
-                                        onChange={(e) => setUsername(e.target.value)}
-                                    />
-                                </div>
-                            )}
-                            <div className="w-3/4">
-                                <label htmlFor="password" className="sr-only">
-                                    Password
-                                </label>
-                                <input
-                                    id="password"
-                                    name="password"
-                                    type="password"
-                                    autoComplete="current-password"
-                                    required
-                                    className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-b-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
-                                    placeholder="Password"
-                                    value={password}
-                                    onChange={(e) => setPassword(e.target.value)}
-                                />
-                            </div>
-                        </div>
-
-                        {error && (
-                            <div className="text-red-600 text-sm text-center">{error}</div>
-                        )}
-
-                        <div className="flex flex-col items-center">
-                            <button
-                                type="submit"
-                                className="w-1/2 py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                            >
-                                {isSignIn ? 'Sign in' : 'Create Account'}
-                            </button>
-                            <p className="mt-4 text-center text-sm text-gray-600">
-                                {isSignIn ? 'Or ' : 'Already have an account? '}
-                                <button
-                                    type="button"
-                                    onClick={toggleMode}
-                                    className="font-medium text-blue-600 hover:text-blue-500"
-                                >
-                                    {isSignIn ? 'create a new account' : 'sign in'}
-                                </button>
-                            </p>
-                        </div>
-                    </form>
+                    {renderForm()}
                 </div>
             </main>
 
@@ -177,6 +436,8 @@ const Auth = ({ onLogin }) => {
 
 Auth.propTypes = {
     onLogin: PropTypes.func.isRequired,
+    onSignedOut: PropTypes.func,
+    initialMode: PropTypes.oneOf(['signin', 'reset', 'verify']),
 };
 
 export default Auth; 
\ No newline at end of file
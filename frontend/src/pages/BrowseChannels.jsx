@@ -2,11 +2,14 @@
  * @file BrowseChannels.jsx
  * @description Channel browsing page component that displays a list of available
  * public channels and allows users to join them. This component provides a clean
- * interface for discovering and joining chat channels.
+ * interface for discovering and joining chat channels, including private channels
+ * through invite links or requests to join.
  * 
  * Core Functionality:
  * - Channel listing
  * - Channel joining
+ * - Invite link acceptance (pasted, or from the ?invite= query parameter)
+ * - Requests to join private channels
  * - Loading state management
  * - Error handling
  * 
@@ -28,19 +31,88 @@
  */
 
 import { useState, useEffect } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import channelService from '../services/channelService';
 
 function BrowseChannels() {
     const [channels, setChannels] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState('');
+    const [inviteInput, setInviteInput] = useState('');
+    const [invite, setInvite] = useState(null);
+    const [inviteError, setInviteError] = useState('');
+    const [requestedIds, setRequestedIds] = useState(new Set());
+    const [searchParams] = useSearchParams();
     const navigate = useNavigate();
 
     useEffect(() => {
         loadChannels();
     }, []);
 
+    useEffect(() => {
+        const token = searchParams.get('invite');
+        if (token) {
+            setInviteInput(token);
+            loadInvite(token);
+        }
+    }, [searchParams]);
+
+    // Accepts either a full invite link or the bare token
+    const parseInviteToken = (value) => {
+        const trimmed = value.trim();
+        try {
+            return new URL(trimmed).searchParams.get('invite') || trimmed;
+        } catch {
+            return trimmed;
+        }
+    };
+
+    const loadInvite = async (token) => {
+        setInviteError('');
+        setInvite(null);
+        try {
+            const preview = await channelService.previewInvite(token);
+            setInvite({ ...preview, token });
+        } catch (error) {
+            setInviteError(error.response?.data?.message || 'Invite not found');
+        }
+    };
+
+    const handleInviteSubmit = (e) => {
+        e.preventDefault();
+        const token = parseInviteToken(inviteInput);
+        if (token) loadInvite(token);
+    };
+
+    const handleAcceptInvite = async () => {
+        try {
+            if (!invite.is_member) {
+                await channelService.acceptInvite(invite.token);
+            }
+            navigate(`/chat?channel=${invite.channel.id}`);
+        } catch (error) {
+            setInviteError(error.response?.data?.message || 'Error accepting invite');
+        }
+    };
+
+    const handleRequestToJoin = async (channelId) => {
+        const message = window.prompt('Add a note for the channel admins (optional):');
+        if (message === null) return;
+
+        try {
+            await channelService.requestToJoin(channelId, message);
+            setRequestedIds(prev => new Set(prev).add(channelId));
+        } catch (error) {
+            const reason = error.response?.data?.message;
+            // An earlier, still pending request counts as requested
+            if (error.response?.status === 400 && reason?.includes('already asked')) {
+                setRequestedIds(prev => new Set(prev).add(channelId));
+            } else {
+                window.alert(reason || 'Error requesting to join channel');
+            }
+        }
+    };
+
     const loadChannels = async () => {
         try {
             setIsLoading(true);
@@ -91,6 +163,51 @@ function BrowseChannels() {
                         Back to Chat
                     </Link>
                 </div>
+                <form onSubmit={handleInviteSubmit} className="mt-6 flex gap-2">
+                    <input
+                        type="text"
+                        value={inviteInput}
+                        onChange={(e) => setInviteInput(e.target.value)}
+                        placeholder="Have an invite link? Paste it here"
+                        className="flex-1 px-3 py-2 bg-[#1a1a1a] border border-gray-700 rounded-md text-white focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <button
+                        type="submit"
+                        disabled={!inviteInput.trim()}
+                        className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        Open Invite
+                    </button>
+                </form>
+                {inviteError && <p className="mt-2 text-sm text-red-400">{inviteError}</p>}
+                {invite && (
+                    <div className="mt-4 p-4 border border-gray-700 rounded-lg flex items-center justify-between">
+                        <div>
+                            <h3 className="text-lg font-medium text-white">
+                                {invite.channel.is_private ? '🔒' : '#'} {invite.channel.name}
+                            </h3>
+                            {invite.channel.description && (
+                                <p className="mt-1 text-sm text-gray-400">{invite.channel.description}</p>
+                            )}
+                            <p className="mt-1 text-sm text-gray-400">
+                                Invited by {invite.inviter?.username || 'Unknown'}
+                                {invite.role === 'guest' && ' (read-only guest)'}
+                            </p>
+                        </div>
+                        {invite.status === 'active' || invite.is_member ? (
+                            <button
+                                onClick={handleAcceptInvite}
+                                className="ml-4 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700"
+                            >
+                                {invite.is_member ? 'Open Channel' : 'Accept Invite'}
+                            </button>
+                        ) : (
+                            <span className="ml-4 text-sm text-gray-400">
+                                This invite is {invite.status === 'used_up' ? 'used up' : invite.status}
+                            </span>
+                        )}
+                    </div>
+                )}
                 <div className="mt-8">
                     {channels.length === 0 ? (
                         <div className="text-center py-8 bg-[#1a1a1a] rounded-lg">
@@ -104,7 +221,7 @@ function BrowseChannels() {
                                         <div className="flex items-center justify-between">
                                             <div>
                                                 <h3 className="text-lg font-medium text-gray-900">
-                                                    # {channel.name}
+                                                    {channel.is_private ? '🔒' : '#'} {channel.name}
                                                 </h3>
                                                 {channel.description && (
                                                     <p className="mt-1 text-sm text-gray-500">
@@ -120,12 +237,23 @@ function BrowseChannels() {
                                                     )}
                                                 </div>
                                             </div>
-                                            <button
-                                                onClick={() => handleJoinChannel(channel.id)}
-                                                className="ml-4 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                                            >
-                                                Join Channel
-                                            </button>
+                                            {!channel.is_private ? (
+                                                <button
+                                                    onClick={() => handleJoinChannel(channel.id)}
+                                                    className="ml-4 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                                                >
+                                                    Join Channel
+                                                </button>
+                                            ) : requestedIds.has(channel.id) ? (
+                                                <span className="ml-4 text-sm text-gray-500">Request sent</span>
+                                            ) : (
+                                                <button
+                                                    onClick={() => handleRequestToJoin(channel.id)}
+                                                    className="ml-4 px-4 py-2 text-sm font-medium text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                                                >
+                                                    Request to Join
+                                                </button>
+                                            )}
                                         </div>
                                     </li>
                                 ))}
@@ -13,15 +13,26 @@
  * Exports:
  * - login: Authenticate user with email/password
  * - register: Create new user account
- * - logout: Clear user session
+ * - logout: End the session on the server and clear it locally
  * - getToken: Retrieve authentication token
+ * - getValidToken: Retrieve an access token, refreshing it first if it is about to expire
+ * - refreshAccessToken: Exchange the refresh token for new tokens
+ * - endExpiredSession: Clear a session that can no longer be refreshed
+ * - requestPasswordReset / resetPassword: Forgotten password flow
+ * - confirmEmail / resendVerificationEmail: Email verification flow
  * - getUser: Get current user data
  * - isAuthenticated: Check authentication status
  * 
  * Storage Keys:
- * - auth_token: JWT authentication token
+ * - auth_token: JWT authentication token (short-lived)
+ * - refresh_token: Single-use token for getting a new access token
  * - user: User profile data
  * 
+ * Token Refresh:
+ * - Refreshes are serialized across tabs with the Web Locks API where available;
+ *   a tab that finds the token already renewed by another tab reuses it instead
+ *   of spending the (single-use) refresh token again
+ * 
  * Dependencies:
  * - ../api/api
  * 
@@ -32,16 +43,33 @@
 import api from '../api/api';
 
 const TOKEN_KEY = 'auth_token';
+const REFRESH_TOKEN_KEY = 'refresh_token';
 const USER_KEY = 'user';
 
+// Renew access tokens this long before they expire
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+const storeSession = ({ token, refreshToken, user }) => {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    if (user) {
+        localStorage.setItem(USER_KEY, JSON.stringify(user));
+    }
+};
+
+const clearSession = () => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+};
+
 export const login = async (email, password) => {
-    const response = await api.post('/auth/login', { email, password });
-    const { token, user } = response.data;
+    const response = await api.post('/auth/login', { email, password }, { skipAuthRefresh: true });
+    const { token, refreshToken, user } = response.data;
 
     // Ensure token is stored as a single string
     const tokenString = Array.isArray(token) ? token.join('.') : token;
-    localStorage.setItem(TOKEN_KEY, tokenString);
-    localStorage.setItem(USER_KEY, JSON.stringify(user));
+    storeSession({ token: tokenString, refreshToken, user });
 
     return { token: tokenString, user };
 };
@@ -51,19 +79,33 @@ export const register = async (email, password, username) => {
         email,
         password,
         username
-    });
-    const { token, user } = response.data;
+    }, { skipAuthRefresh: true });
+    const { token, refreshToken, user } = response.data;
 
-    // Store token and user data
-    localStorage.setItem(TOKEN_KEY, token);
-    localStorage.setItem(USER_KEY, JSON.stringify(user));
+    // Store tokens and user data
+    storeSession({ token, refreshToken, user });
 
     return { token, user };
 };
 
-export const logout = () => {
-    localStorage.removeItem(TOKEN_KEY);
-    localStorage.removeItem(USER_KEY);
+export const logout = async () => {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    clearSession();
+
+    // Revoke the session server-side so copies of its tokens stop working
+    if (refreshToken) {
+        try {
+            await api.post('/auth/logout', { refreshToken }, { skipAuthRefresh: true });
+        } catch (error) {
+            console.error('Error ending session:', error);
+        }
+    }
+};
+
+// Clears a session whose refresh token was rejected and returns to the sign-in page
+export const endExpiredSession = () => {
+    clearSession();
+    window.location.assign('/');
 };
 
 export const getToken = () => {
@@ -79,4 +121,91 @@ export const getUser = () => {
 
 export const isAuthenticated = () => {
     return !!getToken();
+};
+
+export const requestPasswordReset = async (email) => {
+    const response = await api.post('/auth/password-reset/request', { email }, { skipAuthRefresh: true });
+    return response.data;
+};
+
+export const resetPassword = async (token, password) => {
+    const response = await api.post('/auth/password-reset/confirm', { token, password }, { skipAuthRefresh: true });
+
+    // The reset signed every session out, including this browser's
+    clearSession();
+    return response.data;
+};
+
+export const confirmEmail = async (token) => {
+    const response = await api.post('/auth/verify-email/confirm', { token }, { skipAuthRefresh: true });
+
+    // Keep the stored profile in step when the signed-in user verified their own address
+    const user = getUser();
+    if (user && user.id === response.data.userId) {
+        localStorage.setItem(USER_KEY, JSON.stringify({ ...user, email_verified: true }));
+    }
+    return response.data;
+};
+
+export const resendVerificationEmail = async () => {
+    const response = await api.post('/auth/verify-email/request');
+    return response.data;
+};
+
+const getTokenExpiry = (token) => {
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return payload.exp * 1000;
+    } catch {
+        return 0;
+    }
+};
+
+const withRefreshLock = (callback) =>
+    navigator.locks ? navigator.locks.request('auth-token-refresh', callback) : callback();
+
+let refreshPromise = null;
+
+/**
+ * Exchanges the refresh token for a new access token. Concurrent callers share one request.
+ * @param {string} staleToken - The access token that was rejected or is expiring; if
+ *   another tab already replaced it, the replacement is returned without a request
+ * @returns {Promise<string>} The new access token
+ */
+export const refreshAccessToken = (staleToken = getToken()) => {
+    if (!refreshPromise) {
+        refreshPromise = withRefreshLock(async () => {
+            const current = getToken();
+            if (current && current !== staleToken) {
+                return current;
+            }
+
+            const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+            if (!refreshToken) {
+                throw new Error('No refresh token');
+            }
+
+            const response = await api.post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true });
+            storeSession(response.data);
+            return response.data.token;
+        }).finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+};
+
+/**
+ * Returns the stored access token, refreshed first when it is about to expire
+ * @returns {Promise<string|null>}
+ */
+export const getValidToken = async () => {
+    const token = getToken();
+    if (!token || !localStorage.getItem(REFRESH_TOKEN_KEY)) {
+        return token;
+    }
+    if (getTokenExpiry(token) - EXPIRY_MARGIN_MS > Date.now()) {
+        return token;
+    }
+    return refreshAccessToken(token);
 }; 
\ No newline at end of file
@@ -1,5 +1,22 @@
 import api from '../api/api';
 
+// Channel roles, highest first; mirrors the backend authorization service
+export const CHANNEL_ROLES = ['owner', 'admin', 'moderator', 'member', 'guest'];
+export const MODERATOR_ROLES = ['owner', 'admin', 'moderator'];
+export const ADMIN_ROLES = ['owner', 'admin'];
+
+// Roles a member may give others: only roles below their own, and never owner
+export const getAssignableRoles = (role) =>
+    ADMIN_ROLES.includes(role) ? CHANNEL_ROLES.slice(CHANNEL_ROLES.indexOf(role) + 1) : [];
+
+// Shareable link for an invite token; BrowseChannels accepts it from the query string
+export const getInviteLink = (token) =>
+    `${window.location.origin}/browse-channels?invite=${encodeURIComponent(token)}`;
+
+// Full URL of an incoming webhook from the path the API returns when creating it
+export const getIncomingWebhookUrl = (path) =>
+    new URL(path, new URL(api.defaults.baseURL, window.location.origin)).toString();
+
 class ChannelService {
     async createChannel(channelData) {
         try {
@@ -55,6 +72,91 @@ class ChannelService {
         const response = await api.post(`/channels/${channelId}/leave`);
         return response.data;
     }
+
+    async getAISettings(channelId) {
+        const response = await api.get(`/channels/${channelId}/ai-settings`);
+        return response.data;
+    }
+
+    async updateAISettings(channelId, settings) {
+        const response = await api.put(`/channels/${channelId}/ai-settings`, settings);
+        return response.data;
+    }
+
+    async getMembers(channelId) {
+        const response = await api.get(`/channels/${channelId}/members`);
+        return response.data;
+    }
+
+    async updateMemberRole(channelId, userId, role) {
+        const response = await api.put(`/channels/${channelId}/members/${userId}/role`, { role });
+        return response.data;
+    }
+
+    async createInvite(channelId, options = {}) {
+        const response = await api.post(`/channels/${channelId}/invites`, options);
+        return response.data;
+    }
+
+    async getInvites(channelId) {
+        const response = await api.get(`/channels/${channelId}/invites`);
+        return response.data;
+    }
+
+    async revokeInvite(channelId, inviteId) {
+        const response = await api.delete(`/channels/${channelId}/invites/${inviteId}`);
+        return response.data;
+    }
+
+    async createIncomingWebhook(channelId, options) {
+        const response = await api.post(`/channels/${channelId}/incoming-webhooks`, options);
+        return response.data;
+    }
+
+    async getIncomingWebhooks(channelId) {
+        const response = await api.get(`/channels/${channelId}/incoming-webhooks`);
+        return response.data;
+    }
+
+    async revokeIncomingWebhook(channelId, hookId) {
+        const response = await api.delete(`/channels/${channelId}/incoming-webhooks/${hookId}`);
+        return response.data;
+    }
+
+    async previewInvite(token) {
+        const response = await api.get(`/invites/${encodeURIComponent(token)}`);
+        return response.data;
+    }
+
+    async acceptInvite(token) {
+        const response = await api.post(`/invites/${encodeURIComponent(token)}/accept`);
+        return response.data;
+    }
+
+    async requestToJoin(channelId, message) {
+        const response = await api.post(`/channels/${channelId}/join-requests`, { message });
+        return response.data;
+    }
+
+    async getJoinRequests(channelId) {
+        const response = await api.get(`/channels/${channelId}/join-requests`);
+        return response.data;
+    }
+
+    async reviewJoinRequest(channelId, requestId, approve) {
+        const response = await api.post(`/channels/${channelId}/join-requests/${requestId}/${approve ? 'approve' : 'deny'}`);
+        return response.data;
+    }
+
+    async getMembershipAudit(channelId) {
+        const response = await api.get(`/channels/${channelId}/audit`);
+        return response.data;
+    }
+
+    async summarizeChannel(channelId, options = {}) {
+        const response = await api.post(`/channels/${channelId}/summary`, options);
+        return response.data;
+    }
 }
 
 const channelService = new ChannelService();
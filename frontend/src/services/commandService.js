@@ -0,0 +1,34 @@
+import api from '../api/api';
+
+// Commands whose name starts with what was typed after "/", while no arguments
+// have been typed yet; empty otherwise
+export const matchCommands = (commands, input) => {
+    const match = /^\/([\w-]*)$/.exec(input);
+    if (!match) return [];
+    const typed = match[1].toLowerCase();
+    return commands.filter(command => command.name.startsWith(typed));
+};
+
+class CommandService {
+    // Commands available in a channel or DM: { name, usage, description, bot }
+    async getCommands({ channelId, dmId }) {
+        const params = channelId ? { channel_id: channelId } : { dm_id: dmId };
+        const response = await api.get('/commands', { params });
+        return response.data;
+    }
+
+    // Resolves to { response_type: 'ephemeral', text, attachments } for answers only
+    // the caller sees, or { response_type: 'in_channel', message } when something was posted
+    async execute(input, { channelId, dmId, parentId } = {}) {
+        const response = await api.post('/commands/execute', {
+            input,
+            channel_id: channelId || null,
+            dm_id: dmId || null,
+            parent_id: parentId || null
+        });
+        return response.data;
+    }
+}
+
+const commandService = new CommandService();
+export default commandService;
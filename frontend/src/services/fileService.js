@@ -1,4 +1,4 @@
-import { getToken } from './authService';
+import { getValidToken } from './authService';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 
@@ -15,7 +15,7 @@ const uploadFile = async (file, { channelId, dmId }, messageContent = '') => {
         formData.append('messageContent', messageContent);
     }
 
-    const token = getToken();
+    const token = await getValidToken();
     if (!token) {
         throw new Error('No authentication token found');
     }
@@ -0,0 +1,50 @@
+// Mentions that reach several members at once, offered before usernames
+export const GROUP_MENTIONS = [
+    { username: 'channel', description: 'Notify everyone in this conversation' },
+    { username: 'here', description: 'Notify everyone who is online' }
+];
+
+const MAX_SUGGESTIONS = 8;
+
+// Same rule as the server: @ not preceded by a word character or slash, names
+// ending on one
+const MENTION_PATTERN = /(^|[^\w@/])@([\w][\w.-]*\w|\w)/g;
+const CODE_PATTERN = /(```[\s\S]*?```|`[^`\n]*`)/;
+
+/**
+ * The mention being typed at the caret, as { query, start } where start is the
+ * index of its "@"; null when the caret is not in a mention
+ */
+export const findMentionQuery = (text, caret) => {
+    const match = /(^|\s)@([\w.-]*)$/.exec(text.slice(0, caret));
+    if (!match) return null;
+    return { query: match[2], start: caret - match[2].length - 1 };
+};
+
+// Group mentions and users whose name starts with the query, case-insensitively
+export const matchMentions = (users, query) => {
+    const typed = query.toLowerCase();
+    const startsWith = (entry) => (entry.username || '').toLowerCase().startsWith(typed);
+    return [
+        ...GROUP_MENTIONS.filter(startsWith),
+        ...users.filter(startsWith)
+    ].slice(0, MAX_SUGGESTIONS);
+};
+
+// Replaces the mention being typed with the chosen name; resolves to { text, caret }
+export const insertMention = (text, { start, query }, username) => {
+    const before = `${text.slice(0, start)}@${username} `;
+    const after = text.slice(start + query.length + 1).replace(/^ /, '');
+    return { text: before + after, caret: before.length };
+};
+
+/**
+ * Turns @mentions outside code into links to "#mention-<name>", so the message
+ * renderer can show them highlighted
+ */
+export const linkMentions = (content) => (content || '')
+    .split(CODE_PATTERN)
+    .map((part, index) => index % 2 === 1
+        ? part
+        : part.replace(MENTION_PATTERN, (match, prefix, name) => `${prefix}[@${name}](#mention-${name})`))
+    .join('');
@@ -6,18 +6,20 @@ class MessageService {
         return response.data;
     }
 
-    async getChannelMessages(channelId) {
-        const response = await api.get(`/messages/channel/${channelId}`);
+    // History routes return { messages, hasMore, cursors: { before, after } };
+    // pass { before: cursors.before } to load the previous page
+    async getChannelMessages(channelId, params = {}) {
+        const response = await api.get(`/messages/channel/${channelId}`, { params });
         return response.data;
     }
 
-    async getDMMessages(dmId) {
+    async getDMMessages(dmId, params = {}) {
         try {
-            const response = await api.get(`/messages/dm/${dmId}`);
+            const response = await api.get(`/messages/dm/${dmId}`, { params });
             return response.data;
         } catch (error) {
             console.error('Error fetching DM messages:', error);
-            return [];
+            return { messages: [], hasMore: false, cursors: {} };
         }
     }
 
@@ -40,13 +42,20 @@ class MessageService {
         return response.data;
     }
 
+    // Resolves to { message, deleted }, where deleted is the tombstone left behind
     async deleteMessage(messageId) {
         const response = await api.delete(`/messages/${messageId}`);
         return response.data;
     }
 
-    async getThreadReplies(parentId) {
-        const response = await api.get(`/messages/thread/${parentId}`);
+    // Resolves to { message, revisions }; revisions are oldest first
+    async getMessageHistory(messageId) {
+        const response = await api.get(`/messages/${messageId}/history`);
+        return response.data;
+    }
+
+    async getThreadReplies(parentId, params = {}) {
+        const response = await api.get(`/messages/thread/${parentId}`, { params });
         return response.data;
     }
 
@@ -55,6 +64,11 @@ class MessageService {
         return response.data.count;
     }
 
+    async summarizeThread(parentId) {
+        const response = await api.post(`/messages/thread/${parentId}/summary`);
+        return response.data;
+    }
+
     async togglePin(messageId) {
         const response = await api.put(`/messages/${messageId}/pin`);
         return response.data;
@@ -0,0 +1,60 @@
+import api from '../api/api';
+import { supabase } from '../supabaseClient';
+
+class NotificationService {
+    // Resolves to { notifications, unreadCount, hasMore }, newest first
+    async getNotifications({ unreadOnly = false, before } = {}) {
+        const params = {};
+        if (unreadOnly) params.unread = 'true';
+        if (before) params.before = before;
+        const response = await api.get('/notifications', { params });
+        return response.data;
+    }
+
+    async markRead(notificationId) {
+        const response = await api.post(`/notifications/${notificationId}/read`);
+        return response.data;
+    }
+
+    async markAllRead() {
+        const response = await api.post('/notifications/read-all');
+        return response.data;
+    }
+
+    // Resolves to { level, muted_until, effective_level } for a channel or DM
+    async getConversationPreference({ channelId, dmId }) {
+        const response = await api.get(channelId ? `/channels/${channelId}/notifications` : `/dm/${dmId}/notifications`);
+        return response.data;
+    }
+
+    // changes: { level: 'all' | 'mentions' | 'none', muted_until: ISO string or null }
+    async updateConversationPreference({ channelId, dmId }, changes) {
+        const path = channelId ? `/channels/${channelId}/notifications` : `/dm/${dmId}/notifications`;
+        const response = await api.put(path, changes);
+        return response.data;
+    }
+
+    /**
+     * Calls onNotification with each notification created for the user. Realtime
+     * rows carry no joined sender or message, so callers refetch for display.
+     * @returns {Function} Unsubscribes
+     */
+    subscribe(userId, onNotification) {
+        const channel = supabase
+            .channel(`notifications-${userId}`)
+            .on('postgres_changes', {
+                event: 'INSERT',
+                schema: 'public',
+                table: 'notifications',
+                filter: `user_id=eq.${userId}`
+            }, (payload) => onNotification(payload.new))
+            .subscribe();
+
+        return () => {
+            supabase.removeChannel(channel);
+        };
+    }
+}
+
+const notificationService = new NotificationService();
+export default notificationService;
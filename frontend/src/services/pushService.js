@@ -0,0 +1,87 @@
+import api from '../api/api';
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+// applicationServerKey takes the raw key bytes, the server sends them base64url-encoded
+const toKeyBytes = (base64url) => {
+    const base64 = (base64url + '='.repeat((4 - (base64url.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+};
+
+// Whether this browser can receive Web Push at all
+export const isPushSupported = () =>
+    'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+class PushService {
+    async getSubscription() {
+        if (!isPushSupported()) return null;
+        const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+        return registration ? registration.pushManager.getSubscription() : null;
+    }
+
+    // Whether this browser is subscribed and allowed to show notifications
+    async isEnabled() {
+        if (!isPushSupported() || Notification.permission !== 'granted') return false;
+        return Boolean(await this.getSubscription());
+    }
+
+    /**
+     * Asks for permission, subscribes this browser and registers it with the
+     * backend. Throws if the browser can't or the user declines.
+     */
+    async enable() {
+        if (!isPushSupported()) throw new Error('This browser does not support push notifications');
+
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') throw new Error('Notifications are blocked for this site');
+
+        const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+        await navigator.serviceWorker.ready;
+
+        const { data } = await api.get('/push/vapid-public-key');
+        let subscription = await registration.pushManager.getSubscription();
+        // A subscription made with another server key can't be reused
+        if (subscription) {
+            const currentKey = new Uint8Array(subscription.options.applicationServerKey || []);
+            const serverKey = toKeyBytes(data.publicKey);
+            if (currentKey.length !== serverKey.length || currentKey.some((byte, i) => byte !== serverKey[i])) {
+                await subscription.unsubscribe();
+                subscription = null;
+            }
+        }
+        const subscribe = () => registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: toKeyBytes(data.publicKey)
+        });
+        if (!subscription) subscription = await subscribe();
+
+        try {
+            await api.post('/push/subscriptions', subscription.toJSON());
+        } catch (error) {
+            // Someone else signed in here registered this browser; start over with a new endpoint
+            if (error.response?.status !== 409) throw error;
+            await subscription.unsubscribe();
+            subscription = await subscribe();
+            await api.post('/push/subscriptions', subscription.toJSON());
+        }
+        return true;
+    }
+
+    // Unsubscribes this browser and forgets it on the backend
+    async disable() {
+        const subscription = await this.getSubscription();
+        if (!subscription) return false;
+
+        try {
+            await api.delete('/push/subscriptions', { data: { endpoint: subscription.endpoint } });
+        } catch (error) {
+            // Already gone on the backend; still unsubscribe locally
+            if (error.response?.status !== 404) throw error;
+        }
+        await subscription.unsubscribe();
+        return false;
+    }
+}
+
+const pushService = new PushService();
+export default pushService;
@@ -0,0 +1,73 @@
+import api from '../api/api';
+import { getValidToken } from './authService';
+
+class RAGService {
+    // Returns { success, answer, sources: [{ id, score, content, sender_username, created_at }], usage }
+    async ask(query, { channelId, dmId } = {}) {
+        const response = await api.post('/rag/ask', { query, channelId, dmId });
+        return response.data;
+    }
+
+    // Streams an answer over Server-Sent Events. onDelta receives each token delta and
+    // onSources the retrieved sources; resolves with the final `done` payload, which
+    // includes the message saved as the AI user when asked from a channel or DM.
+    // `question` (the text as typed) is posted as the user's message first, and the
+    // answer is saved in its thread
+    async askStream(query, { channelId, dmId, parentId, question, onDelta, onSources, signal } = {}) {
+        const token = await getValidToken();
+        const response = await fetch(`${api.defaults.baseURL}/rag/ask/stream`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'text/event-stream',
+                ...(token && { Authorization: `Bearer ${token}` })
+            },
+            credentials: 'include',
+            body: JSON.stringify({ query, channelId, dmId, parentId, question }),
+            signal
+        });
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || `Request failed with status ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = null;
+
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events are separated by a blank line
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let event = 'message';
+                let data = '';
+                for (const line of rawEvent.split('\n')) {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) data += line.slice(5).trim();
+                }
+                if (!data) continue;
+
+                const payload = JSON.parse(data);
+                if (event === 'delta') onDelta?.(payload.content);
+                else if (event === 'sources') onSources?.(payload.sources);
+                else if (event === 'done') result = payload;
+                else if (event === 'error') throw new Error(payload.error);
+            }
+        }
+
+        if (!result) throw new Error('Stream ended before the answer was complete');
+        return result;
+    }
+}
+
+const ragService = new RAGService();
+export default ragService;
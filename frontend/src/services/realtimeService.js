@@ -38,6 +38,23 @@
 import { supabase } from '../supabaseClient';
 import reactionService from './reactionService';
 
+/**
+ * Twin replies name the user they speak for, for the "generated by twin" marker
+ * @param {Object} message - Message from a realtime payload
+ * @returns {Promise<Object>} The message, with `twin` added when it has a twin_of
+ */
+const withTwin = async (message) => {
+    if (!message.twin_of) return message;
+
+    const { data: twin } = await supabase
+        .from('users')
+        .select('id, username')
+        .eq('id', message.twin_of)
+        .limit(1)
+        .single();
+    return { ...message, twin };
+};
+
 class RealtimeService {
     constructor() {
         this.channels = new Map();
@@ -97,6 +114,8 @@ class RealtimeService {
                                     .single();
                                 messageWithSender = { ...messageWithSender, file };
                             }
+
+                            messageWithSender = await withTwin(messageWithSender);
                         } catch (error) {
                             console.error('Error fetching sender or file:', error);
                         }
@@ -148,6 +167,8 @@ class RealtimeService {
                                     .single();
                                 messageWithSender = { ...messageWithSender, file };
                             }
+
+                            messageWithSender = await withTwin(messageWithSender);
                         } catch (error) {
                             console.error('Error fetching sender or file:', error);
                         }
@@ -258,6 +279,8 @@ class RealtimeService {
                                 .single();
                             messageWithSender = { ...messageWithSender, file };
                         }
+
+                        messageWithSender = await withTwin(messageWithSender);
                         onMessage({
                             type: 'new_message',
                             message: messageWithSender
@@ -296,6 +319,8 @@ class RealtimeService {
                                 .single();
                             messageWithSender = { ...messageWithSender, file };
                         }
+
+                        messageWithSender = await withTwin(messageWithSender);
                         onMessage({
                             type: 'message_updated',
                             message: messageWithSender
@@ -1,51 +1,13 @@
 import { supabase } from '../supabaseClient';
+import api from '../api/api';
 
 class SearchService {
-    async searchMessages(query, { includeSystem = true, includeFiles = true } = {}) {
-        try {
-            let queryBuilder = supabase
-                .from('messages')
-                .select(`
-                    *,
-                    sender:sender_id (
-                        id,
-                        username,
-                        avatar_url
-                    ),
-                    channel:channel_id (
-                        id,
-                        name
-                    ),
-                    dm:dm_id (
-                        id
-                    ),
-                    file:file_id (
-                        id,
-                        name,
-                        type,
-                        size,
-                        url
-                    )
-                `)
-                .ilike('content', `%${query}%`)
-                .order('created_at', { ascending: false });
-
-            // Apply filters
-            if (!includeSystem) {
-                queryBuilder = queryBuilder.eq('type', 'user');
-            }
-            if (!includeFiles) {
-                queryBuilder = queryBuilder.is('file_id', null);
-            }
-
-            const { data, error } = await queryBuilder.limit(20);
-
-            if (error) throw error;
-            return data;
-        } catch (error) {
-            console.error('Error searching messages:', error);
-            return [];
-        }
+    // Hybrid keyword + semantic search on the backend; supports from:, in:#channel,
+    // has:file, before:, after: and is:pinned filters inside the query
+    // Errors are rethrown so callers can show why a query was rejected
+    async searchMessages(query, { limit } = {}) {
+        const response = await api.get('/search/messages', { params: { q: query, limit } });
+        return response.data.results;
     }
 
     async searchChannels(query) {
@@ -0,0 +1,50 @@
+import api from '../api/api';
+import { supabase } from '../supabaseClient';
+
+// Counts are refetched at most this often while messages keep arriving
+const REFRESH_DELAY_MS = 500;
+
+class UnreadService {
+    // Resolves to an object keyed by channel or DM id: { unread_count, mention_count, last_read_at }
+    async getUnreadCounts() {
+        const response = await api.get('/users/me/unread');
+        return Object.fromEntries(response.data.map(row => [row.channel_id || row.dm_id, row]));
+    }
+
+    // Resolves to { last_read_at, unread_since }; unread_since is where the cursor stood before
+    async markRead({ channelId, dmId }, messageId) {
+        const path = channelId ? `/channels/${channelId}/read` : `/dm/${dmId}/read`;
+        const response = await api.post(path, messageId ? { message_id: messageId } : {});
+        return response.data;
+    }
+
+    /**
+     * Calls onChange when the user's counts may have changed: a new message arrived,
+     * or one of their read cursors moved (possibly in another tab)
+     * @returns {Function} Unsubscribes
+     */
+    subscribe(userId, onChange) {
+        let timer = null;
+        const scheduleChange = () => {
+            clearTimeout(timer);
+            timer = setTimeout(onChange, REFRESH_DELAY_MS);
+        };
+
+        const channel = supabase
+            .channel(`unread-${userId}`)
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'messages' }, (payload) => {
+                if (payload.new.sender_id !== userId) scheduleChange();
+            })
+            .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'channel_members', filter: `user_id=eq.${userId}` }, scheduleChange)
+            .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'direct_message_members', filter: `user_id=eq.${userId}` }, scheduleChange)
+            .subscribe();
+
+        return () => {
+            clearTimeout(timer);
+            supabase.removeChannel(channel);
+        };
+    }
+}
+
+const unreadService = new UnreadService();
+export default unreadService;
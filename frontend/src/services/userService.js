@@ -1,6 +1,31 @@
 import { supabase } from '../supabaseClient';
+import api from '../api/api';
 import { getUser } from './authService';
 
+// The status shown as "Do Not Disturb"
+export const DND_STATUS = 'busy';
+
+// Whether a do-not-disturb schedule's window is open now, in the schedule's time
+// zone; windows ending before they start wrap past midnight
+export const isWithinSchedule = (schedule, now = new Date()) => {
+    if (!schedule?.enabled || schedule.start === schedule.end) return false;
+
+    const [hours, minutes] = new Intl.DateTimeFormat('en-GB', {
+        timeZone: schedule.timezone || 'UTC',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).format(now).split(':').map(Number);
+    const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+
+    const current = hours * 60 + minutes;
+    const start = toMinutes(schedule.start);
+    const end = toMinutes(schedule.end);
+    return start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+};
+
 class UserService {
     constructor() {
         this.autoStatusTimeoutId = null;
@@ -98,6 +123,39 @@ class UserService {
         clearTimeout(this.autoStatusTimeoutId);
     }
 
+    // Digital twin opt-in: { enabled }
+    async getTwinSettings() {
+        const response = await api.get('/users/me/twin');
+        return response.data;
+    }
+
+    async updateTwinSettings(enabled) {
+        const response = await api.put('/users/me/twin', { enabled });
+        return response.data;
+    }
+
+    // Do-not-disturb schedule: { enabled, start: 'HH:MM', end: 'HH:MM', timezone }
+    async getDoNotDisturbSchedule() {
+        const response = await api.get('/users/me/notification-preferences');
+        return response.data.schedule;
+    }
+
+    async updateDoNotDisturbSchedule(schedule) {
+        const response = await api.put('/users/me/dnd-schedule', schedule);
+        return response.data;
+    }
+
+    // Email digest: { frequency: 'daily' | 'weekly' | 'off', include_summaries, last_sent_at }
+    async getDigestSettings() {
+        const response = await api.get('/users/me/digest');
+        return response.data;
+    }
+
+    async updateDigestSettings(settings) {
+        const response = await api.put('/users/me/digest', settings);
+        return response.data;
+    }
+
     async setAIStatus() {
         try {
             const { data, error } = await supabase
@@ -27,16 +27,85 @@ CREATE TABLE users (
     last_name TEXT,
     avatar_url TEXT,
     status TEXT NOT NULL DEFAULT 'offline',
+    email_verified_at TIMESTAMPTZ,
+    -- Bots act through API tokens and cannot sign in; bot_owner_id is the user managing them
+    is_bot BOOLEAN NOT NULL DEFAULT FALSE,
+    bot_owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    -- System administrators manage the RAG index and vector store; granted in SQL:
+    -- UPDATE users SET is_admin = TRUE WHERE email = '...';
+    is_admin BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Refresh Tokens Table: one row per issued refresh token, stored as a SHA-256
+-- hash. Tokens of one sign-in share a session_id; rotating a token revokes it
+-- and points replaced_by at its successor.
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    session_id UUID NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_refresh_tokens_session ON refresh_tokens(session_id);
+CREATE INDEX idx_refresh_tokens_user ON refresh_tokens(user_id) WHERE revoked_at IS NULL;
+
+-- Account Tokens Table: IDs of the signed tokens in email verification and
+-- password reset links. A token is only accepted while used_at is NULL.
+CREATE TABLE account_tokens (
+    id UUID PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    purpose TEXT NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_account_tokens_user ON account_tokens(user_id, purpose) WHERE used_at IS NULL;
+
+-- API Tokens Table: personal access tokens for scripts and integrations,
+-- stored as a SHA-256 hash. user_id is the account the token acts as (the
+-- creator or one of their bots); scopes limit what it may do.
+CREATE TABLE api_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL,
+    token_prefix TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    scopes TEXT[] NOT NULL,
+    expires_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_api_tokens_created_by ON api_tokens(created_by, created_at DESC);
+
+-- Revoked Sessions Table: access tokens whose sid is listed here are rejected.
+-- Rows can be deleted once expires_at has passed.
+CREATE TABLE revoked_sessions (
+    session_id UUID PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    revoked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
 -- Channels Table
 CREATE TABLE channels (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     name TEXT NOT NULL,
     description TEXT,
     is_private BOOLEAN DEFAULT false,
+    -- private channels that users may ask to join; admins approve each request
+    allow_join_requests BOOLEAN NOT NULL DEFAULT false,
+    -- set with the /topic command
+    topic TEXT,
     created_by UUID REFERENCES users(id) NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -47,11 +116,159 @@ CREATE TABLE channels (
 CREATE TABLE channel_members (
     channel_id UUID REFERENCES channels(id) ON DELETE CASCADE,
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-    role TEXT CHECK (role IN ('owner', 'admin', 'member')) DEFAULT 'member',
+    -- guest members can read but not post
+    role TEXT CHECK (role IN ('owner', 'admin', 'moderator', 'member', 'guest')) DEFAULT 'member',
     joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_read_at TIMESTAMP WITH TIME ZONE,
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
     PRIMARY KEY (channel_id, user_id)
 );
 
+-- Channel Demotions Table: members an admin made guests. They rejoin as guests,
+-- so leaving a public channel and joining again does not undo the demotion.
+CREATE TABLE channel_demotions (
+    channel_id UUID REFERENCES channels(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    demoted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (channel_id, user_id)
+);
+
+-- Channel Invites Table
+CREATE TABLE channel_invites (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    channel_id UUID REFERENCES channels(id) ON DELETE CASCADE NOT NULL,
+    -- SHA-256 of the invite token; the token itself is only shown when created
+    token_hash TEXT UNIQUE NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('member', 'guest')),
+    -- NULL means the invite never expires / has no usage limit
+    expires_at TIMESTAMP WITH TIME ZONE,
+    max_uses INTEGER CHECK (max_uses > 0),
+    use_count INTEGER NOT NULL DEFAULT 0,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_channel_invites_channel ON channel_invites(channel_id, created_at DESC);
+
+-- Channel Join Requests Table
+CREATE TABLE channel_join_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    channel_id UUID REFERENCES channels(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    message TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'denied')),
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- At most one open request per user and channel
+CREATE UNIQUE INDEX idx_channel_join_requests_pending
+    ON channel_join_requests(channel_id, user_id) WHERE status = 'pending';
+
+-- Channel Membership Audit Table: who created and revoked invites, and who
+-- brought each member in (through an invite or by approving a request)
+CREATE TABLE channel_membership_audit (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    channel_id UUID REFERENCES channels(id) ON DELETE CASCADE NOT NULL,
+    action TEXT NOT NULL CHECK (action IN (
+        'invite_created', 'invite_revoked', 'invite_accepted',
+        'request_created', 'request_approved', 'request_denied', 'member_added'
+    )),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    invite_id UUID REFERENCES channel_invites(id) ON DELETE SET NULL,
+    request_id UUID REFERENCES channel_join_requests(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_channel_membership_audit_channel ON channel_membership_audit(channel_id, created_at DESC);
+
+-- Uses up one slot of an invite. Returns the invite only if it was still valid,
+-- so concurrent accepts cannot exceed max_uses.
+CREATE OR REPLACE FUNCTION claim_channel_invite(invite_token_hash TEXT)
+RETURNS SETOF channel_invites AS $$
+    UPDATE channel_invites
+    SET use_count = use_count + 1
+    WHERE token_hash = invite_token_hash
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > NOW())
+        AND (max_uses IS NULL OR use_count < max_uses)
+    RETURNING *;
+$$ LANGUAGE sql VOLATILE;
+
+-- Channel Webhooks Table: outgoing webhooks told about events in a channel.
+-- secret signs every delivery (HMAC-SHA256) and is only shown when set.
+CREATE TABLE channel_webhooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    channel_id UUID REFERENCES channels(id) ON DELETE CASCADE NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    url TEXT NOT NULL,
+    events TEXT[] NOT NULL,
+    description TEXT,
+    secret TEXT NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_channel_webhooks_channel ON channel_webhooks(channel_id) WHERE is_active;
+
+-- Webhook Deliveries Table: one row per event sent to a webhook. Pending
+-- deliveries are retried at next_attempt_at until they succeed or fail for good.
+CREATE TABLE webhook_deliveries (
+    id UUID PRIMARY KEY,
+    webhook_id UUID REFERENCES channel_webhooks(id) ON DELETE CASCADE NOT NULL,
+    event TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ,
+    last_status_code INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+-- Incoming Webhooks Table: URLs that let other services post into a channel as
+-- a bot. Only a hash of the secret in the URL is kept; it is shown once.
+CREATE TABLE incoming_webhooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    channel_id UUID REFERENCES channels(id) ON DELETE CASCADE NOT NULL,
+    bot_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    name TEXT NOT NULL,
+    secret_hash TEXT NOT NULL,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_incoming_webhooks_channel ON incoming_webhooks(channel_id, created_at DESC);
+
+-- Bot Commands Table: slash commands bots register. Invocations are POSTed to
+-- url, signed with secret the same way outgoing webhook deliveries are.
+CREATE TABLE bot_commands (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    bot_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT,
+    usage TEXT,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_bot_commands_bot ON bot_commands(bot_id);
+
 -- Direct Messages Table
 CREATE TABLE direct_messages (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -63,6 +280,7 @@ CREATE TABLE direct_message_members (
     dm_id UUID REFERENCES direct_messages(id) ON DELETE CASCADE,
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_read_at TIMESTAMP WITH TIME ZONE,
     PRIMARY KEY (dm_id, user_id)
 );
 
@@ -86,7 +304,15 @@ CREATE TABLE messages (
     dm_id UUID REFERENCES direct_messages(id) ON DELETE CASCADE,
     parent_id UUID REFERENCES messages(id) ON DELETE CASCADE,
     file_id UUID REFERENCES files(id) ON DELETE SET NULL,
+    -- Attachment blocks ({ title, title_link, text, color, fields }) posted by incoming webhooks
+    attachments JSONB,
+    -- Set when the message was generated by this user's digital twin
+    twin_of UUID REFERENCES users(id) ON DELETE SET NULL,
     is_edited BOOLEAN DEFAULT false,
+    -- Deleted messages stay as tombstones: content is cleared, the old content is
+    -- kept in message_revisions
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by UUID REFERENCES users(id) ON DELETE SET NULL,
     type VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (type IN ('user', 'system')),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -112,6 +338,10 @@ CREATE INDEX idx_messages_last_embedded_at ON messages(last_embedded_at);
 CREATE INDEX idx_messages_embedding_update ON messages(last_embedded_at, updated_at)
 WHERE last_embedded_at IS NOT NULL;
 
+-- Create indexes for reading a conversation's messages in order
+CREATE INDEX idx_messages_channel_created ON messages(channel_id, created_at) WHERE channel_id IS NOT NULL;
+CREATE INDEX idx_messages_dm_created ON messages(dm_id, created_at) WHERE dm_id IS NOT NULL;
+
 -- Create trigger for message content search
 CREATE TRIGGER messages_content_update
     BEFORE INSERT OR UPDATE ON messages
@@ -127,6 +357,107 @@ CREATE TABLE message_reactions (
     PRIMARY KEY (message_id, user_id, emoji)
 );
 
+-- Message Revisions Table: what a message said before each edit, and before it
+-- was deleted
+CREATE TABLE message_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('edit', 'delete')),
+    content TEXT NOT NULL,
+    file_id UUID REFERENCES files(id) ON DELETE SET NULL,
+    attachments JSONB,
+    edited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_message_revisions_message ON message_revisions(message_id, created_at);
+
+-- Message Mentions Table: who a message mentions. kind says how: by name, or
+-- through @channel or @here. Rebuilt whenever the message is edited.
+CREATE TABLE message_mentions (
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('user', 'channel', 'here')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (message_id, user_id)
+);
+
+CREATE INDEX idx_message_mentions_user ON message_mentions(user_id);
+
+-- Notifications Table: each user's inbox. One row per user and message; a
+-- mention outranks a reply in the user's thread, which outranks a DM message or
+-- a channel message (for channels set to notify about all messages).
+CREATE TABLE notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('mention', 'thread_reply', 'direct_message', 'channel_message')),
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE NOT NULL,
+    channel_id UUID REFERENCES channels(id) ON DELETE CASCADE,
+    dm_id UUID REFERENCES direct_messages(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    read_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, message_id)
+);
+
+CREATE INDEX idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+-- Notification Preferences Table: how much a user hears about one channel or DM.
+-- Without a row, channels notify about mentions and DMs about all messages.
+-- While muted_until is in the future the conversation notifies about nothing.
+CREATE TABLE notification_preferences (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    channel_id UUID REFERENCES channels(id) ON DELETE CASCADE,
+    dm_id UUID REFERENCES direct_messages(id) ON DELETE CASCADE,
+    level TEXT NOT NULL DEFAULT 'mentions' CHECK (level IN ('all', 'mentions', 'none')),
+    muted_until TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, channel_id),
+    UNIQUE (user_id, dm_id),
+    CHECK (
+        (channel_id IS NOT NULL AND dm_id IS NULL) OR
+        (channel_id IS NULL AND dm_id IS NOT NULL)
+    )
+);
+
+CREATE INDEX idx_notification_preferences_channel ON notification_preferences(channel_id) WHERE level = 'all';
+
+-- Push Subscriptions Table: browsers subscribed to Web Push for a user. The keys
+-- are the subscription's p256dh public key and auth secret, base64url-encoded.
+CREATE TABLE push_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+    user_agent VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_push_subscriptions_user ON push_subscriptions(user_id);
+
+-- Reminders Table: set with /remind and posted into the conversation they were
+-- set in once remind_at has passed
+CREATE TABLE reminders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    channel_id UUID REFERENCES channels(id) ON DELETE CASCADE,
+    dm_id UUID REFERENCES direct_messages(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    remind_at TIMESTAMPTZ NOT NULL,
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (
+        (channel_id IS NOT NULL AND dm_id IS NULL) OR
+        (channel_id IS NULL AND dm_id IS NOT NULL)
+    )
+);
+
+CREATE INDEX idx_reminders_due ON reminders(remind_at) WHERE delivered_at IS NULL;
+
 -- User Settings Table
 CREATE TABLE user_settings (
     user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
@@ -135,9 +466,22 @@ CREATE TABLE user_settings (
     email_notifications BOOLEAN DEFAULT true,
     desktop_notifications BOOLEAN DEFAULT true,
     sound_enabled BOOLEAN DEFAULT true,
+    twin_enabled BOOLEAN DEFAULT false,
+    -- Daily do-not-disturb window in the user's time zone; may wrap past midnight
+    dnd_enabled BOOLEAN NOT NULL DEFAULT false,
+    dnd_start TIME NOT NULL DEFAULT '22:00',
+    dnd_end TIME NOT NULL DEFAULT '08:00',
+    dnd_timezone TEXT NOT NULL DEFAULT 'UTC',
+    -- Email digest of unread DMs and mentions (cron/digests.js), optionally with
+    -- AI summaries of busy channels
+    digest_frequency TEXT NOT NULL DEFAULT 'off' CHECK (digest_frequency IN ('daily', 'weekly', 'off')),
+    digest_include_summaries BOOLEAN NOT NULL DEFAULT false,
+    digest_last_sent_at TIMESTAMPTZ,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+CREATE INDEX idx_user_settings_digest_due ON user_settings(digest_frequency, digest_last_sent_at) WHERE digest_frequency <> 'off';
+
 -- Bookmarked Messages Table
 CREATE TABLE bookmarked_messages (
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
@@ -160,6 +504,104 @@ CREATE TABLE pinned_messages (
     )
 );
 
+-- Channel AI Assistant Settings Table
+CREATE TABLE channel_ai_settings (
+    channel_id UUID PRIMARY KEY REFERENCES channels(id) ON DELETE CASCADE,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    trigger TEXT NOT NULL DEFAULT '@ai',
+    system_prompt TEXT,
+    model TEXT NOT NULL DEFAULT 'gpt-3.5-turbo',
+    temperature REAL NOT NULL DEFAULT 0.7 CHECK (temperature BETWEEN 0 AND 2),
+    max_tokens INTEGER NOT NULL DEFAULT 500 CHECK (max_tokens BETWEEN 1 AND 4000),
+    use_rag BOOLEAN NOT NULL DEFAULT true,
+    rag_scope TEXT NOT NULL DEFAULT 'channel' CHECK (rag_scope IN ('channel', 'all')),
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Ranked full-text message search with highlighted snippets. Callers pass the
+-- channels and DMs the searching user belongs to; the remaining arguments are
+-- optional filters. Deleted messages are never matched.
+CREATE OR REPLACE FUNCTION search_messages_fts(
+    search_query TEXT,
+    channel_ids UUID[],
+    dm_ids UUID[],
+    sender UUID DEFAULT NULL,
+    with_file BOOLEAN DEFAULT false,
+    created_before TIMESTAMPTZ DEFAULT NULL,
+    created_after TIMESTAMPTZ DEFAULT NULL,
+    only_ids UUID[] DEFAULT NULL,
+    result_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (id UUID, rank REAL, headline TEXT) AS $$
+    WITH query AS (
+        SELECT websearch_to_tsquery('message_search', search_query) AS q
+    ),
+    ranked AS (
+        SELECT m.id, m.content, ts_rank_cd(m.content_tsv, query.q) AS rank
+        FROM messages m, query
+        WHERE m.content_tsv @@ query.q
+            AND m.deleted_at IS NULL
+            AND (m.channel_id = ANY(channel_ids) OR m.dm_id = ANY(dm_ids))
+            AND (sender IS NULL OR m.sender_id = sender)
+            AND (NOT with_file OR m.file_id IS NOT NULL)
+            AND (created_before IS NULL OR m.created_at < created_before)
+            AND (created_after IS NULL OR m.created_at >= created_after)
+            AND (only_ids IS NULL OR m.id = ANY(only_ids))
+        ORDER BY rank DESC, m.created_at DESC
+        LIMIT result_limit
+    )
+    SELECT ranked.id, ranked.rank,
+        ts_headline('message_search', ranked.content, query.q,
+            'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" ... "')
+    FROM ranked, query
+    ORDER BY ranked.rank DESC;
+$$ LANGUAGE sql STABLE;
+
+-- Unread and mention counts for every channel and DM a user belongs to. Messages
+-- from others after the read cursor (or after joining, before the first read)
+-- are unread. Unread counts only cover top-level messages, as the conversation
+-- view does; mentions (by name, @channel or @here) also count in thread replies.
+-- Channels and DMs are counted separately so each join can use its index.
+CREATE OR REPLACE FUNCTION get_unread_counts(p_user_id UUID)
+RETURNS TABLE (
+    channel_id UUID,
+    dm_id UUID,
+    last_read_at TIMESTAMPTZ,
+    unread_count BIGINT,
+    mention_count BIGINT
+) AS $$
+    SELECT cm.channel_id, NULL::UUID AS dm_id, cm.last_read_at,
+        COUNT(m.id) FILTER (WHERE m.parent_id IS NULL) AS unread_count,
+        COUNT(m.id) FILTER (WHERE EXISTS (
+            SELECT 1 FROM message_mentions mm
+            WHERE mm.message_id = m.id AND mm.user_id = p_user_id
+        )) AS mention_count
+    FROM channel_members cm
+    LEFT JOIN messages m
+        ON m.channel_id = cm.channel_id
+        AND m.created_at > COALESCE(cm.last_read_at, cm.joined_at)
+        AND m.deleted_at IS NULL
+        AND m.sender_id IS DISTINCT FROM p_user_id
+    WHERE cm.user_id = p_user_id
+    GROUP BY cm.channel_id, cm.last_read_at
+    UNION ALL
+    SELECT NULL::UUID, dmm.dm_id, dmm.last_read_at,
+        COUNT(m.id) FILTER (WHERE m.parent_id IS NULL),
+        COUNT(m.id) FILTER (WHERE EXISTS (
+            SELECT 1 FROM message_mentions mm
+            WHERE mm.message_id = m.id AND mm.user_id = p_user_id
+        ))
+    FROM direct_message_members dmm
+    LEFT JOIN messages m
+        ON m.dm_id = dmm.dm_id
+        AND m.created_at > COALESCE(dmm.last_read_at, dmm.joined_at)
+        AND m.deleted_at IS NULL
+        AND m.sender_id IS DISTINCT FROM p_user_id
+    WHERE dmm.user_id = p_user_id
+    GROUP BY dmm.dm_id, dmm.last_read_at;
+$$ LANGUAGE sql STABLE;
+
 -- Create triggers for updated_at timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -185,5 +627,10 @@ CREATE TRIGGER update_messages_updated_at
     EXECUTE FUNCTION update_updated_at_column();
 
 -- Enable realtime functionality
-CREATE PUBLICATION supabase_realtime FOR TABLE messages, message_reactions, users, direct_message_members;
-ALTER PUBLICATION supabase_realtime SET (publish = 'insert,update,delete'); 
\ No newline at end of file
+CREATE PUBLICATION supabase_realtime FOR TABLE messages, message_reactions, users, direct_message_members, channel_members, notifications;
+ALTER PUBLICATION supabase_realtime SET (publish = 'insert,update,delete');
+
+-- Send whole old rows with updates and deletes, so webhooks know which channel a
+-- deleted message or departed member belonged to and whether content changed
+ALTER TABLE messages REPLICA IDENTITY FULL;
+ALTER TABLE channel_members REPLICA IDENTITY FULL; 
\ No newline at end of file